@@ -22,7 +22,7 @@ require('express-async-errors');
 const app = express();
 
 // Safe module loading with error handling
-let config, logger, apiResponse, errorHandler, corsMiddleware, routes, sendEmployeeWelcomeEmail;
+let config, logger, apiResponse, errorHandler, corsMiddleware, routes, jwksRoutes, sendEmployeeWelcomeEmail, loadShedder, rateLimitStore;
 
 try {
   config = require('./config/environment');
@@ -68,12 +68,32 @@ try {
   console.error('Failed to load corsMiddleware:', error.message);
 }
 
+try {
+  rateLimitStore = require('./src/services/auth/rateLimitStoreService');
+} catch (error) {
+  console.error('Failed to load rate limit store:', error.message);
+}
+
+try {
+  if (config.rateLimiting.loadShedding?.enabled) {
+    loadShedder = require('./src/middleware/rateLimiter').createAdaptiveLimiter();
+  }
+} catch (error) {
+  console.error('Failed to load load shedder:', error.message);
+}
+
 try {
   routes = require('./src/routes');
 } catch (error) {
   console.error('Failed to load routes:', error.message);
 }
 
+try {
+  jwksRoutes = require('./src/routes/auth/jwksRoutes');
+} catch (error) {
+  console.error('Failed to load JWKS routes:', error.message);
+}
+
 try {
   const emailService = require('./src/services/email/employeeEmailService');
   sendEmployeeWelcomeEmail = emailService.sendEmployeeWelcomeEmail;
@@ -140,9 +160,11 @@ if (corsMiddleware && corsMiddleware.default) {
 // RATE LIMITING
 // =============================================================================
 
-// General rate limiting
+// General rate limiting, counted in the shared store so every instance sees the same totals
+// Login, registration and password reset have their own limiters on their routes
+const generalWindowMs = config.rateLimiting.window * 60 * 1000; // Convert minutes to milliseconds
 const generalLimiter = rateLimit({
-  windowMs: config.rateLimiting.window * 60 * 1000, // Convert minutes to milliseconds
+  windowMs: generalWindowMs,
   max: config.rateLimiting.maxRequests,
   message: {
     error: 'Too many requests',
@@ -151,43 +173,21 @@ const generalLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Falls back to the default in-process store if the shared one failed to load
+  ...(rateLimitStore && { store: rateLimitStore.createStore('global', generalWindowMs) }),
   skip: (req) => {
     // Skip rate limiting for health check endpoints
     return req.path === '/health' || req.path === '/api/health';
   }
 });
 
-// Authentication rate limiting (more restrictive)
-const authLimiter = rateLimit({
-  windowMs: config.rateLimiting.authWindow * 60 * 1000,
-  max: config.rateLimiting.authMaxRequests,
-  message: {
-    error: 'Too many authentication attempts',
-    message: 'Too many authentication attempts from this IP, please try again later.',
-    statusCode: 429
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-// Password reset rate limiting (very restrictive)
-const passwordResetLimiter = rateLimit({
-  windowMs: config.rateLimiting.passwordResetWindow * 60 * 1000,
-  max: config.rateLimiting.passwordResetMaxRequests,
-  message: {
-    error: 'Too many password reset attempts',
-    message: 'Too many password reset attempts from this IP, please try again later.',
-    statusCode: 429
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+// Turn low priority requests away first while overloaded
+if (loadShedder) {
+  app.use(loadShedder);
+}
 
 // Apply rate limiting
 app.use(generalLimiter);
-app.use('/api/auth/login', authLimiter);
-app.use('/api/auth/register', authLimiter);
-app.use('/api/auth/password/forgot', passwordResetLimiter);
 
 // =============================================================================
 // COMPRESSION
@@ -359,6 +359,11 @@ app.get('/api', (req, res) => {
   }
 });
 
+// Public signing keys for services that verify our tokens
+if (jwksRoutes) {
+  app.use('/.well-known', jwksRoutes);
+}
+
 // Mount all API routes
 if (routes) {
   app.use('/api', routes);
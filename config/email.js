@@ -71,7 +71,7 @@ const emailConfig = {
 const createTransporter = () => {
   if (emailConfig.development.mockEnabled) {
     // Mock transporter for development
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       streamTransport: true,
       newline: 'unix',
       buffer: true
@@ -79,7 +79,7 @@ const createTransporter = () => {
   }
 
   // Real SMTP transporter
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     ...emailConfig.smtp,
     ...emailConfig.options
   });
@@ -114,12 +114,49 @@ const emailTemplates = {
     textTemplate: 'auth/password-changed.txt'
   },
 
+  magicLink: {
+    subject: 'Your sign-in link',
+    template: 'auth/magic-link.html',
+    textTemplate: 'auth/magic-link.txt'
+  },
+
+  emailChangeConfirm: {
+    subject: 'Confirm your new email address',
+    template: 'auth/email-change-confirm.html',
+    textTemplate: 'auth/email-change-confirm.txt'
+  },
+
+  emailChangeNotice: {
+    subject: 'Your email address is being changed',
+    template: 'auth/email-change-notice.html',
+    textTemplate: 'auth/email-change-notice.txt'
+  },
+
   loginAlert: {
     subject: 'New Login Detected',
     template: 'auth/login-alert.html',
     textTemplate: 'auth/login-alert.txt'
   },
 
+  securityAlert: {
+    subject: 'Security Alert - {{alertType}}',
+    template: 'auth/security-alert.html',
+    textTemplate: 'auth/security-alert.txt'
+  },
+
+  passwordExpiring: {
+    subject: 'Your password expires in {{daysLeft}} day(s)',
+    template: 'auth/password-expiring.html',
+    textTemplate: 'auth/password-expiring.txt'
+  },
+
+  // RBAC emails
+  accessExpiring: {
+    subject: 'Your {{roleName}} access expires in {{daysLeft}} day(s)',
+    template: 'rbac/access-expiring.html',
+    textTemplate: 'rbac/access-expiring.txt'
+  },
+
   // Customer emails
   customerWelcome: {
     subject: 'Welcome to Our Customer Portal',
@@ -103,7 +103,9 @@ const config = {
     refreshSecret: process.env.JWT_REFRESH_SECRET || 'your-refresh-secret',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
     issuer: process.env.JWT_ISSUER || 'Delta-2 Backend',
-    audience: process.env.JWT_AUDIENCE || 'Delta-2 Users'
+    audience: process.env.JWT_AUDIENCE || 'Delta-2 Users',
+    keysDir: process.env.JWT_KEYS_DIR || 'config/keys/jwt', // RS256/ES256 key files and keys.json
+    keyGracePeriod: parseInteger(process.env.JWT_KEY_GRACE_PERIOD, 2592000) // seconds a retired key still verifies
   },
 
   // =============================================================================
@@ -115,7 +117,87 @@ const config = {
     bcryptRounds: parseInteger(process.env.BCRYPT_ROUNDS, 12),
     maxLoginAttempts: parseInteger(process.env.MAX_LOGIN_ATTEMPTS, 5),
     lockoutTime: parseInteger(process.env.LOCKOUT_TIME, 900000), // 15 minutes
-    sessionTimeout: parseInteger(process.env.SESSION_TIMEOUT, 86400000) // 24 hours
+    sessionTimeout: parseInteger(process.env.SESSION_TIMEOUT, 86400000), // 24 hours
+    tokenDenylistStore: process.env.TOKEN_DENYLIST_STORE || (process.env.VERCEL ? 'mysql' : 'memory'), // 'memory' or 'mysql' (shared by all instances)
+    tokenDenylistDefaultTtl: parseInteger(process.env.TOKEN_DENYLIST_DEFAULT_TTL, 2592000), // seconds; used when only a jti is revoked
+    magicLinkExpiresMinutes: parseInteger(process.env.MAGIC_LINK_EXPIRES_MINUTES, 15),
+    magicLinkBindDevice: parseBoolean(process.env.MAGIC_LINK_BIND_DEVICE, true), // Link only works in the browser that requested it
+    impersonationExpiresMinutes: parseInteger(process.env.IMPERSONATION_EXPIRES_MINUTES, 30), // Lifetime of a "login as user" token (not refreshable)
+    reauthMaxAge: parseInteger(process.env.REAUTH_MAX_AGE, 300), // seconds; how recent auth_time must be for sensitive actions
+    emailChangeExpiresMinutes: parseInteger(process.env.EMAIL_CHANGE_EXPIRES_MINUTES, 60), // Confirmation link sent to the new address
+    emailChangeCancelDays: parseInteger(process.env.EMAIL_CHANGE_CANCEL_DAYS, 7) // Cancel link sent to the old address (also reverts a confirmed change)
+  },
+
+  // =============================================================================
+  // TWO-FACTOR AUTHENTICATION CONFIGURATION
+  // =============================================================================
+  mfa: {
+    issuer: process.env.MFA_ISSUER || process.env.APP_NAME || 'Delta-2 Backend', // Shown in authenticator apps
+    pendingTokenExpiresIn: process.env.MFA_PENDING_TOKEN_EXPIRES_IN || '5m', // Time to enter the code after the password
+    encryptionKey: process.env.MFA_ENCRYPTION_KEY || '', // Encrypts stored TOTP secrets (falls back to JWT_SECRET)
+    recoveryCodeCount: parseInteger(process.env.MFA_RECOVERY_CODE_COUNT, 10)
+  },
+
+  // =============================================================================
+  // API KEY CONFIGURATION
+  // =============================================================================
+  apiKeys: {
+    defaultLifetimeDays: parseInteger(process.env.API_KEY_DEFAULT_LIFETIME_DAYS, 90), // Used when a key is created without expiresInDays
+    maxLifetimeDays: parseInteger(process.env.API_KEY_MAX_LIFETIME_DAYS, 365),
+    maxPerUser: parseInteger(process.env.API_KEY_MAX_PER_USER, 10) // Usable (unrevoked, unexpired) keys per user
+  },
+
+  // =============================================================================
+  // BREACHED PASSWORD CHECK CONFIGURATION
+  // =============================================================================
+  breachedPasswords: {
+    corpusPath: process.env.BREACHED_PASSWORDS_PATH || '', // Pwned Passwords range file directory or ordered hash file; empty turns the check off
+    threshold: parseInteger(process.env.BREACHED_PASSWORDS_THRESHOLD, 1) // Refuse passwords seen in at least this many breaches
+  },
+
+  // =============================================================================
+  // PASSWORD HISTORY AND EXPIRY CONFIGURATION
+  // =============================================================================
+  passwordPolicy: {
+    historyCount: parseInteger(process.env.PASSWORD_HISTORY_COUNT, 5), // Refuse the last N passwords; 0 turns the check off
+    maxAgeDays: parseInteger(process.env.PASSWORD_MAX_AGE_DAYS, 0), // Force a change at login once a password is this old; 0 = no maximum age
+    expiryReminderDays: parseInteger(process.env.PASSWORD_EXPIRY_REMINDER_DAYS, 7), // Email users this many days before their password expires
+    changeTokenExpiresIn: process.env.PASSWORD_CHANGE_TOKEN_EXPIRES_IN || '10m' // Time to choose a new password after logging in with an expired one
+  },
+
+  // =============================================================================
+  // OPENID CONNECT (SOCIAL LOGIN) CONFIGURATION
+  // =============================================================================
+  oidc: {
+    stateExpiresIn: process.env.OIDC_STATE_EXPIRES_IN || '10m', // Time to finish signing in at the provider
+    httpTimeout: parseInteger(process.env.OIDC_HTTP_TIMEOUT, 10000), // Discovery, JWKS and token requests (ms)
+    metadataCacheTtl: parseInteger(process.env.OIDC_METADATA_CACHE_TTL, 3600), // Seconds to reuse discovery documents and JWKS
+
+    // A provider is enabled once its client ID is set
+    providers: {
+      google: {
+        displayName: 'Google',
+        issuer: 'https://accounts.google.com',
+        clientId: process.env.OIDC_GOOGLE_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_GOOGLE_CLIENT_SECRET || '',
+        scopes: ['openid', 'email', 'profile']
+      },
+      microsoft: {
+        displayName: 'Microsoft',
+        issuer: `https://login.microsoftonline.com/${process.env.OIDC_MICROSOFT_TENANT || 'common'}/v2.0`,
+        clientId: process.env.OIDC_MICROSOFT_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_MICROSOFT_CLIENT_SECRET || '',
+        scopes: ['openid', 'email', 'profile']
+      },
+      // Any other OIDC issuer (company SSO, Keycloak, a local mock issuer...)
+      oidc: {
+        displayName: process.env.OIDC_GENERIC_DISPLAY_NAME || 'Single sign-on',
+        issuer: process.env.OIDC_GENERIC_ISSUER || '',
+        clientId: process.env.OIDC_GENERIC_CLIENT_ID || '',
+        clientSecret: process.env.OIDC_GENERIC_CLIENT_SECRET || '',
+        scopes: parseArray(process.env.OIDC_GENERIC_SCOPES, ['openid', 'email', 'profile'])
+      }
+    }
   },
 
   // =============================================================================
@@ -140,7 +222,11 @@ const config = {
   frontend: {
     url: process.env.FRONTEND_URL || 'http://localhost:3000',
     loginUrl: process.env.FRONTEND_LOGIN_URL || 'http://localhost:3000/login',
-    resetPasswordUrl: process.env.FRONTEND_RESET_PASSWORD_URL || 'http://localhost:3000/reset-password'
+    resetPasswordUrl: process.env.FRONTEND_RESET_PASSWORD_URL || 'http://localhost:3000/reset-password',
+    magicLinkUrl: process.env.FRONTEND_MAGIC_LINK_URL || 'http://localhost:3000/magic-link', // Page that posts the link's token to /api/auth/magic-link/consume
+    oidcCallbackUrl: process.env.FRONTEND_OIDC_CALLBACK_URL || 'http://localhost:3000/oidc/callback', // redirect_uri registered at every OIDC provider
+    emailChangeConfirmUrl: process.env.FRONTEND_EMAIL_CHANGE_CONFIRM_URL || 'http://localhost:3000/email-change/confirm', // Posts the token to /api/auth/email-change/confirm
+    emailChangeCancelUrl: process.env.FRONTEND_EMAIL_CHANGE_CANCEL_URL || 'http://localhost:3000/email-change/cancel' // Posts the token to /api/auth/email-change/cancel
   },
 
   cors: {
@@ -184,7 +270,19 @@ const config = {
     authWindow: parseInteger(process.env.AUTH_RATE_LIMIT_WINDOW, 15),
     authMaxRequests: parseInteger(process.env.AUTH_RATE_LIMIT_MAX_REQUESTS, 5),
     passwordResetWindow: parseInteger(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW, 60),
-    passwordResetMaxRequests: parseInteger(process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS, 3)
+    passwordResetMaxRequests: parseInteger(process.env.PASSWORD_RESET_RATE_LIMIT_MAX_REQUESTS, 3),
+    // 'memory' or 'mysql' (shared by all instances); Redis is used instead when services.redis.enabled
+    store: process.env.RATE_LIMIT_STORE || (process.env.VERCEL ? 'mysql' : 'memory'),
+    defaultPlan: process.env.API_DEFAULT_PLAN || 'free', // used when no plan is marked as default
+    planCacheTtl: parseInteger(process.env.API_PLAN_CACHE_TTL, 60), // seconds until plan changes reach every instance
+    loadShedding: {
+      enabled: parseBoolean(process.env.LOAD_SHEDDING_ENABLED, true),
+      maxEventLoopLagMs: parseInteger(process.env.LOAD_SHEDDING_MAX_EVENT_LOOP_LAG, 200), // p99 lag in ms
+      maxInFlight: parseInteger(process.env.LOAD_SHEDDING_MAX_IN_FLIGHT, 200), // concurrent requests per process
+      maxPoolUsage: parseInteger(process.env.LOAD_SHEDDING_MAX_POOL_USAGE, 150), // % of pool connections in use or queued for
+      sampleIntervalMs: parseInteger(process.env.LOAD_SHEDDING_SAMPLE_INTERVAL, 1000),
+      retryAfter: parseInteger(process.env.LOAD_SHEDDING_RETRY_AFTER, 5) // seconds
+    }
   },
 
   // =============================================================================
@@ -239,7 +337,21 @@ const config = {
     requestTimeout: parseInteger(process.env.REQUEST_TIMEOUT, 30000),
     bodyParserLimit: process.env.BODY_PARSER_LIMIT || '50mb',
     jsonLimit: process.env.JSON_LIMIT || '10mb',
-    urlEncodedLimit: process.env.URL_ENCODED_LIMIT || '10mb'
+    urlEncodedLimit: process.env.URL_ENCODED_LIMIT || '10mb',
+    permissionCacheEnabled: parseBoolean(process.env.PERMISSION_CACHE_ENABLED, true),
+    permissionCacheTtl: parseInteger(process.env.PERMISSION_CACHE_TTL, 300), // seconds
+    permissionCacheMaxEntries: parseInteger(process.env.PERMISSION_CACHE_MAX_ENTRIES, 5000)
+  },
+
+  // =============================================================================
+  // BACKGROUND JOBS CONFIGURATION
+  // =============================================================================
+  jobs: {
+    assignmentExpiryEnabled: parseBoolean(process.env.ASSIGNMENT_EXPIRY_JOB_ENABLED, true),
+    assignmentExpiryInterval: parseInteger(process.env.ASSIGNMENT_EXPIRY_JOB_INTERVAL, 15), // minutes
+    expiryNoticeDays: parseInteger(process.env.ASSIGNMENT_EXPIRY_NOTICE_DAYS, 7),
+    passwordExpiryReminderEnabled: parseBoolean(process.env.PASSWORD_EXPIRY_REMINDER_JOB_ENABLED, true),
+    passwordExpiryReminderInterval: parseInteger(process.env.PASSWORD_EXPIRY_REMINDER_JOB_INTERVAL, 60) // minutes
   },
 
   // =============================================================================
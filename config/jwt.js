@@ -3,13 +3,18 @@
  *
  * Centralized JWT token configuration and utilities for authentication.
  * Provides token generation, verification, and management functions.
+ * Every generated token gets a unique jti (JWT ID) so it can be revoked
+ * individually through the token denylist. Signing keys come from
+ * jwtKeys.js: the shared secrets for HS*, key files for RS256/ES256.
  *
  * @author Delta-2 Development Team
  * @version 1.0.0
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('./environment');
+const jwtKeys = require('./jwtKeys');
 
 /**
  * JWT Configuration Object
@@ -59,15 +64,17 @@ const jwtConfig = {
  * @returns {string} Generated JWT token
  */
 const generateAccessToken = (payload, options = {}) => {
+  const signing = jwtKeys.getSigningKey('access');
   const tokenOptions = {
+    ...signing.options,
+    jwtid: crypto.randomUUID(),
     expiresIn: options.expiresIn || jwtConfig.accessToken.expiresIn,
-    algorithm: jwtConfig.accessToken.algorithm,
     issuer: jwtConfig.accessToken.issuer,
     audience: jwtConfig.accessToken.audience,
     ...options
   };
 
-  return jwt.sign(payload, jwtConfig.accessToken.secret, tokenOptions);
+  return jwt.sign(payload, signing.key, tokenOptions);
 };
 
 /**
@@ -77,15 +84,17 @@ const generateAccessToken = (payload, options = {}) => {
  * @returns {string} Generated refresh token
  */
 const generateRefreshToken = (payload, options = {}) => {
+  const signing = jwtKeys.getSigningKey('refresh');
   const tokenOptions = {
+    ...signing.options,
+    jwtid: crypto.randomUUID(),
     expiresIn: options.expiresIn || jwtConfig.refreshToken.expiresIn,
-    algorithm: jwtConfig.refreshToken.algorithm,
     issuer: jwtConfig.refreshToken.issuer,
     audience: jwtConfig.refreshToken.audience,
     ...options
   };
 
-  return jwt.sign(payload, jwtConfig.refreshToken.secret, tokenOptions);
+  return jwt.sign(payload, signing.key, tokenOptions);
 };
 
 /**
@@ -95,15 +104,17 @@ const generateRefreshToken = (payload, options = {}) => {
  * @returns {string} Generated password reset token
  */
 const generatePasswordResetToken = (payload, options = {}) => {
+  const signing = jwtKeys.getSigningKey('access');
   const tokenOptions = {
+    ...signing.options,
+    jwtid: crypto.randomUUID(),
     expiresIn: options.expiresIn || jwtConfig.passwordReset.expiresIn,
-    algorithm: jwtConfig.passwordReset.algorithm,
     issuer: jwtConfig.passwordReset.issuer,
     audience: jwtConfig.passwordReset.audience,
     ...options
   };
 
-  return jwt.sign(payload, jwtConfig.passwordReset.secret, tokenOptions);
+  return jwt.sign(payload, signing.key, tokenOptions);
 };
 
 /**
@@ -113,15 +124,17 @@ const generatePasswordResetToken = (payload, options = {}) => {
  * @returns {string} Generated email verification token
  */
 const generateEmailVerificationToken = (payload, options = {}) => {
+  const signing = jwtKeys.getSigningKey('access');
   const tokenOptions = {
+    ...signing.options,
+    jwtid: crypto.randomUUID(),
     expiresIn: options.expiresIn || jwtConfig.emailVerification.expiresIn,
-    algorithm: jwtConfig.emailVerification.algorithm,
     issuer: jwtConfig.emailVerification.issuer,
     audience: jwtConfig.emailVerification.audience,
     ...options
   };
 
-  return jwt.sign(payload, jwtConfig.emailVerification.secret, tokenOptions);
+  return jwt.sign(payload, signing.key, tokenOptions);
 };
 
 /**
@@ -132,14 +145,19 @@ const generateEmailVerificationToken = (payload, options = {}) => {
  * @throws {Error} If token is invalid or expired
  */
 const verifyAccessToken = (token, options = {}) => {
+  const verification = jwtKeys.getVerificationKey(token, 'access');
+  if (!verification) {
+    throw new jwt.JsonWebTokenError('Token signed with an unknown or expired key');
+  }
+
   const verifyOptions = {
-    algorithms: [jwtConfig.accessToken.algorithm],
+    algorithms: verification.algorithms,
     issuer: jwtConfig.accessToken.issuer,
     audience: jwtConfig.accessToken.audience,
     ...options
   };
 
-  return jwt.verify(token, jwtConfig.accessToken.secret, verifyOptions);
+  return jwt.verify(token, verification.key, verifyOptions);
 };
 
 /**
@@ -150,14 +168,19 @@ const verifyAccessToken = (token, options = {}) => {
  * @throws {Error} If token is invalid or expired
  */
 const verifyRefreshToken = (token, options = {}) => {
+  const verification = jwtKeys.getVerificationKey(token, 'refresh');
+  if (!verification) {
+    throw new jwt.JsonWebTokenError('Token signed with an unknown or expired key');
+  }
+
   const verifyOptions = {
-    algorithms: [jwtConfig.refreshToken.algorithm],
+    algorithms: verification.algorithms,
     issuer: jwtConfig.refreshToken.issuer,
     audience: jwtConfig.refreshToken.audience,
     ...options
   };
 
-  return jwt.verify(token, jwtConfig.refreshToken.secret, verifyOptions);
+  return jwt.verify(token, verification.key, verifyOptions);
 };
 
 /**
@@ -168,14 +191,19 @@ const verifyRefreshToken = (token, options = {}) => {
  * @throws {Error} If token is invalid or expired
  */
 const verifyPasswordResetToken = (token, options = {}) => {
+  const verification = jwtKeys.getVerificationKey(token, 'access');
+  if (!verification) {
+    throw new jwt.JsonWebTokenError('Token signed with an unknown or expired key');
+  }
+
   const verifyOptions = {
-    algorithms: [jwtConfig.passwordReset.algorithm],
+    algorithms: verification.algorithms,
     issuer: jwtConfig.passwordReset.issuer,
     audience: jwtConfig.passwordReset.audience,
     ...options
   };
 
-  return jwt.verify(token, jwtConfig.passwordReset.secret, verifyOptions);
+  return jwt.verify(token, verification.key, verifyOptions);
 };
 
 /**
@@ -186,14 +214,19 @@ const verifyPasswordResetToken = (token, options = {}) => {
  * @throws {Error} If token is invalid or expired
  */
 const verifyEmailVerificationToken = (token, options = {}) => {
+  const verification = jwtKeys.getVerificationKey(token, 'access');
+  if (!verification) {
+    throw new jwt.JsonWebTokenError('Token signed with an unknown or expired key');
+  }
+
   const verifyOptions = {
-    algorithms: [jwtConfig.emailVerification.algorithm],
+    algorithms: verification.algorithms,
     issuer: jwtConfig.emailVerification.issuer,
     audience: jwtConfig.emailVerification.audience,
     ...options
   };
 
-  return jwt.verify(token, jwtConfig.emailVerification.secret, verifyOptions);
+  return jwt.verify(token, verification.key, verifyOptions);
 };
 
 /**
@@ -382,6 +415,13 @@ const handleJWTError = (error) => {
  * @throws {Error} If configuration is invalid
  */
 const validateJWTConfig = () => {
+  // Key files replace the shared secrets; loading them checks the manifest and every key
+  if (jwtKeys.isAsymmetric()) {
+    jwtKeys.loadKeys();
+    jwtKeys.getSigningKey();
+    return;
+  }
+
   if (!jwtConfig.accessToken.secret || jwtConfig.accessToken.secret.length < 32) {
     throw new Error('JWT access token secret must be at least 32 characters long');
   }
@@ -420,7 +460,8 @@ const getConfigSummary = () => {
     },
     emailVerification: {
       expiresIn: jwtConfig.emailVerification.expiresIn
-    }
+    },
+    signingKeys: jwtKeys.getKeySummary()
   };
 };
 
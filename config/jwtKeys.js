@@ -0,0 +1,323 @@
+/**
+ * JWT Signing Keys for Delta-2 Backend
+ *
+ * Chooses the key material used to sign and verify JWTs. With an HS*
+ * algorithm the shared secrets from environment.js are used as before; with
+ * RS256 or ES256 the keys are loaded from files on disk, identified by kid,
+ * and the public halves are published as a JWKS document.
+ *
+ * Key directory layout (JWT_KEYS_DIR):
+ *   keys.json            - manifest listing the keys and their schedule
+ *   <kid>.private.pem    - private key (only needed while the key signs)
+ *   <kid>.public.pem     - public key (optional, derived from the private key)
+ *
+ * keys.json example:
+ *   { "keys": [
+ *     { "kid": "2026-10", "alg": "RS256", "privateKeyFile": "2026-10.private.pem",
+ *       "activatesAt": "2026-10-01T00:00:00Z", "retiresAt": "2027-01-01T00:00:00Z" }
+ *   ] }
+ *
+ * Rotation: the active key with the latest activatesAt signs new tokens.
+ * After retiresAt a key stops signing but still verifies tokens for
+ * JWT_KEY_GRACE_PERIOD seconds, so tokens it signed can run out normally.
+ * Keys are published in the JWKS before they activate, so other services
+ * already know them when the first token arrives.
+ *
+ * @author Delta-2 Development Team
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const config = require('./environment');
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+const MANIFEST_FILE = 'keys.json';
+const RELOAD_CHECK_INTERVAL_MS = 60 * 1000; // Look for manifest changes at most once a minute
+
+let keyState = {
+  keys: [],
+  manifestMtime: null,
+  checkedAt: 0
+};
+
+/**
+ * Whether tokens are signed with key files instead of shared secrets
+ * @returns {boolean} True for RS256/ES256
+ */
+const isAsymmetric = () => ASYMMETRIC_ALGORITHMS.includes(config.jwt.algorithm);
+
+/**
+ * Get the directory holding the key files
+ * @returns {string} Absolute key directory
+ */
+const getKeysDirectory = () => path.resolve(__dirname, '..', config.jwt.keysDir);
+
+/**
+ * Check that a key matches the algorithm it is declared for
+ * @param {KeyObject} keyObject - Public or private key
+ * @param {string} alg - RS256 or ES256
+ * @param {string} kid - Key ID (for error messages)
+ * @throws {Error} If the key type doesn't fit the algorithm
+ */
+const assertKeyMatchesAlgorithm = (keyObject, alg, kid) => {
+  if (alg === 'RS256' && keyObject.asymmetricKeyType !== 'rsa') {
+    throw new Error(`JWT key ${kid} must be an RSA key for RS256`);
+  }
+
+  if (alg === 'ES256' && (keyObject.asymmetricKeyType !== 'ec' || keyObject.asymmetricKeyDetails?.namedCurve !== 'prime256v1')) {
+    throw new Error(`JWT key ${kid} must be a P-256 EC key for ES256`);
+  }
+};
+
+/**
+ * Parse an optional manifest date
+ * @param {string} value - ISO date string
+ * @param {string} field - Field name (for error messages)
+ * @param {string} kid - Key ID (for error messages)
+ * @returns {Date|null} Parsed date or null when not set
+ */
+const parseScheduleDate = (value, field, kid) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`JWT key ${kid} has an invalid ${field}: ${value}`);
+  }
+
+  return date;
+};
+
+/**
+ * Load one manifest entry and its key files
+ * @param {Object} entry - Manifest entry
+ * @param {string} directory - Key directory
+ * @returns {Object} Loaded key
+ */
+const loadKeyEntry = (entry, directory) => {
+  const kid = entry.kid;
+  if (!kid || typeof kid !== 'string') {
+    throw new Error('Every JWT key in keys.json needs a string kid');
+  }
+
+  const alg = entry.alg || config.jwt.algorithm;
+  if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    throw new Error(`JWT key ${kid} uses unsupported algorithm ${alg} (use ${ASYMMETRIC_ALGORITHMS.join(' or ')})`);
+  }
+
+  const privateKey = entry.privateKeyFile
+    ? crypto.createPrivateKey(fs.readFileSync(path.join(directory, entry.privateKeyFile), 'utf8'))
+    : null;
+
+  let publicKey = null;
+  if (entry.publicKeyFile) {
+    publicKey = crypto.createPublicKey(fs.readFileSync(path.join(directory, entry.publicKeyFile), 'utf8'));
+  } else if (privateKey) {
+    publicKey = crypto.createPublicKey(privateKey);
+  } else {
+    throw new Error(`JWT key ${kid} needs a privateKeyFile or a publicKeyFile`);
+  }
+
+  assertKeyMatchesAlgorithm(publicKey, alg, kid);
+
+  return {
+    kid,
+    alg,
+    privateKey,
+    publicKey,
+    activatesAt: parseScheduleDate(entry.activatesAt, 'activatesAt', kid),
+    retiresAt: parseScheduleDate(entry.retiresAt, 'retiresAt', kid)
+  };
+};
+
+/**
+ * Load all keys listed in the manifest
+ * @returns {Array} Loaded keys
+ * @throws {Error} If the manifest or a key file is missing or invalid
+ */
+const loadKeys = () => {
+  const directory = getKeysDirectory();
+  const manifestPath = path.join(directory, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`JWT key manifest not found: ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  const keys = (manifest.keys || []).map(entry => loadKeyEntry(entry, directory));
+
+  const kids = new Set();
+  keys.forEach(key => {
+    if (kids.has(key.kid)) {
+      throw new Error(`Duplicate JWT key id: ${key.kid}`);
+    }
+    kids.add(key.kid);
+  });
+
+  keyState = {
+    keys,
+    manifestMtime: fs.statSync(manifestPath).mtimeMs,
+    checkedAt: Date.now()
+  };
+
+  return keys;
+};
+
+/**
+ * Get the loaded keys, reloading them when keys.json has changed
+ * A failed reload keeps the previously loaded keys
+ * @returns {Array} Loaded keys
+ */
+const getKeys = () => {
+  if (keyState.manifestMtime === null) {
+    return loadKeys();
+  }
+
+  if (Date.now() - keyState.checkedAt >= RELOAD_CHECK_INTERVAL_MS) {
+    keyState.checkedAt = Date.now();
+
+    try {
+      const mtime = fs.statSync(path.join(getKeysDirectory(), MANIFEST_FILE)).mtimeMs;
+      if (mtime !== keyState.manifestMtime) {
+        loadKeys();
+      }
+    } catch (error) {
+      console.error('❌ Failed to reload JWT keys, keeping the current ones:', error.message);
+    }
+  }
+
+  return keyState.keys;
+};
+
+/**
+ * Whether a key may sign tokens at the given time
+ * @param {Object} key - Loaded key
+ * @param {number} now - Timestamp (ms)
+ * @returns {boolean} True if the key is active
+ */
+const isSigningKey = (key, now) => {
+  return Boolean(key.privateKey) &&
+    (!key.activatesAt || key.activatesAt.getTime() <= now) &&
+    (!key.retiresAt || key.retiresAt.getTime() > now);
+};
+
+/**
+ * Whether a key may still verify tokens at the given time
+ * @param {Object} key - Loaded key
+ * @param {number} now - Timestamp (ms)
+ * @returns {boolean} True until the grace period after retirement ends
+ */
+const isVerificationKey = (key, now) => {
+  return !key.retiresAt || key.retiresAt.getTime() + config.jwt.keyGracePeriod * 1000 > now;
+};
+
+/**
+ * Get the key and sign options for a token kind
+ * @param {string} kind - 'access', 'refresh' or any other token type
+ * @returns {Object} { key, options: { algorithm, keyid? } }
+ * @throws {Error} If no asymmetric key is active
+ */
+const getSigningKey = (kind = 'access') => {
+  if (!isAsymmetric()) {
+    return {
+      key: kind === 'refresh' ? (config.jwt.refreshSecret || config.jwt.secret) : config.jwt.secret,
+      options: { algorithm: config.jwt.algorithm }
+    };
+  }
+
+  const now = Date.now();
+  const active = getKeys()
+    .filter(key => isSigningKey(key, now))
+    .sort((a, b) => (b.activatesAt?.getTime() || 0) - (a.activatesAt?.getTime() || 0));
+
+  if (active.length === 0) {
+    throw new Error('No active JWT signing key');
+  }
+
+  return {
+    key: active[0].privateKey,
+    options: { algorithm: active[0].alg, keyid: active[0].kid }
+  };
+};
+
+/**
+ * Get the key to verify a token with
+ * The algorithm comes from our key, never from the token header
+ * @param {string} token - JWT
+ * @param {string} kind - 'access', 'refresh' or any other token type
+ * @returns {Object|null} { key, algorithms } or null for an unknown or expired kid
+ */
+const getVerificationKey = (token, kind = 'access') => {
+  if (!isAsymmetric()) {
+    return {
+      key: kind === 'refresh' ? (config.jwt.refreshSecret || config.jwt.secret) : config.jwt.secret,
+      algorithms: [config.jwt.algorithm]
+    };
+  }
+
+  const kid = token ? jwt.decode(token, { complete: true })?.header?.kid : null;
+  if (!kid) {
+    return null;
+  }
+
+  const now = Date.now();
+  const key = getKeys().find(candidate => candidate.kid === kid && isVerificationKey(candidate, now));
+
+  return key ? { key: key.publicKey, algorithms: [key.alg] } : null;
+};
+
+/**
+ * Build the JWKS document with every public key that may verify tokens
+ * @returns {Object} { keys: [JWK] }
+ */
+const getJwks = () => {
+  if (!isAsymmetric()) {
+    return { keys: [] };
+  }
+
+  const now = Date.now();
+
+  return {
+    keys: getKeys()
+      .filter(key => isVerificationKey(key, now))
+      .map(key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig'
+      }))
+  };
+};
+
+/**
+ * Describe the loaded keys (no key material)
+ * @returns {Array} Key summaries
+ */
+const getKeySummary = () => {
+  if (!isAsymmetric()) {
+    return [];
+  }
+
+  const now = Date.now();
+
+  return getKeys().map(key => ({
+    kid: key.kid,
+    alg: key.alg,
+    activatesAt: key.activatesAt,
+    retiresAt: key.retiresAt,
+    signing: isSigningKey(key, now),
+    verifying: isVerificationKey(key, now)
+  }));
+};
+
+module.exports = {
+  ASYMMETRIC_ALGORITHMS,
+  isAsymmetric,
+  loadKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  getKeySummary
+};
@@ -0,0 +1,14 @@
+-- File: database/migrations/009-add-user-role-expiry-notice.sql
+-- Migration: Track Role Expiry Notices
+-- Created: 2026-10-19
+-- Description: Adds a column recording when a user was warned that a role assignment is about to expire
+-- 
+-- For beginners:
+-- The assignment expiry job emails users a few days before a role expires
+-- This column makes sure each assignment only gets that email once
+
+ALTER TABLE user_roles
+    ADD COLUMN expiry_notified_at TIMESTAMP NULL COMMENT 'When the upcoming expiry notice was sent' AFTER expires_at;
+
+CREATE INDEX idx_user_roles_expiry_notice
+ON user_roles (is_active, expiry_notified_at, expires_at);
@@ -0,0 +1,46 @@
+-- File: database/migrations/010-create-role-constraints-table.sql
+-- Migration: Create Role Constraints Table
+-- Created: 2026-10-19
+-- Description: Separation-of-duties rules between roles (mutually exclusive and prerequisite roles)
+--
+-- For beginners:
+-- A mutually_exclusive row means one user may not hold both roles
+-- (e.g. an order approver can't also be an order creator)
+-- A prerequisite row means a user needs related_role_id before they can get role_id
+-- Mutually exclusive pairs are stored once, with the smaller role ID in role_id
+
+CREATE TABLE IF NOT EXISTS role_constraints (
+    -- Primary key - unique identifier for each constraint
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Constraint definition
+    constraint_type ENUM('mutually_exclusive', 'prerequisite') NOT NULL COMMENT 'Kind of rule between the two roles',
+    role_id INT UNSIGNED NOT NULL COMMENT 'Role the rule applies to',
+    related_role_id INT UNSIGNED NOT NULL COMMENT 'Excluded role, or the role required before role_id',
+    description TEXT NULL COMMENT 'Why this rule exists',
+
+    -- Status and control
+    is_active BOOLEAN DEFAULT TRUE COMMENT 'Whether this rule is enforced',
+
+    -- Audit information
+    created_by INT UNSIGNED NULL COMMENT 'User who created this rule',
+    updated_by INT UNSIGNED NULL COMMENT 'User who last updated this rule',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When record was created',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When record was last updated',
+
+    -- Foreign key constraints
+    CONSTRAINT fk_role_constraints_role FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_role_constraints_related_role FOREIGN KEY (related_role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    CONSTRAINT fk_role_constraints_created_by FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    CONSTRAINT fk_role_constraints_updated_by FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+
+    -- One rule of each type per pair of roles
+    UNIQUE KEY uk_role_constraint (constraint_type, role_id, related_role_id),
+
+    -- Indexes for performance
+    INDEX idx_role_constraints_related_role (related_role_id),
+    INDEX idx_role_constraints_active (is_active, constraint_type)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Separation-of-duties rules between roles';
@@ -0,0 +1,59 @@
+-- File: database/migrations/011-create-user-mfa-tables.sql
+-- Migration: Create User MFA Tables
+-- Created: 2026-10-19
+-- Description: TOTP two-factor secrets, one-time recovery codes, and a per-role MFA requirement
+--
+-- For beginners:
+-- user_mfa holds one TOTP secret per user (encrypted, never stored in plain text)
+-- The secret only counts once enabled_at is set, i.e. after the user proved their app works
+-- last_used_step stops the same 30-second code from being used twice
+-- Recovery codes are stored as SHA-256 hashes and can each be used once
+-- roles.require_mfa makes two-factor login mandatory for everyone holding that role
+
+CREATE TABLE IF NOT EXISTS user_mfa (
+    -- Primary key - unique identifier for each MFA record
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- One TOTP secret per user
+    user_id INT UNSIGNED NOT NULL UNIQUE COMMENT 'User this secret belongs to',
+    secret_encrypted VARCHAR(255) NOT NULL COMMENT 'AES-256-GCM encrypted base32 TOTP secret',
+
+    -- Status
+    enabled_at TIMESTAMP NULL COMMENT 'When enrollment was confirmed (NULL while pending)',
+    last_used_step BIGINT UNSIGNED NULL COMMENT 'Time step of the last accepted code (replay protection)',
+    last_used_at TIMESTAMP NULL COMMENT 'When a code was last accepted',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When record was created',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When record was last updated',
+
+    -- Foreign key constraints
+    CONSTRAINT fk_user_mfa_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='TOTP two-factor secrets';
+
+CREATE TABLE IF NOT EXISTS user_mfa_recovery_codes (
+    -- Primary key - unique identifier for each recovery code
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Code ownership
+    user_id INT UNSIGNED NOT NULL COMMENT 'User this code belongs to',
+    code_hash CHAR(64) NOT NULL COMMENT 'SHA-256 hash of the recovery code',
+
+    -- Usage
+    used_at TIMESTAMP NULL COMMENT 'When the code was used (NULL while unused)',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When record was created',
+
+    -- Foreign key constraints
+    CONSTRAINT fk_user_mfa_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes for performance
+    UNIQUE KEY uk_user_mfa_recovery_code (user_id, code_hash),
+    INDEX idx_user_mfa_recovery_codes_unused (user_id, used_at)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='One-time MFA recovery codes';
+
+ALTER TABLE roles
+    ADD COLUMN require_mfa BOOLEAN DEFAULT FALSE COMMENT 'Whether holders of this role must log in with MFA' AFTER is_default;
@@ -0,0 +1,17 @@
+-- File: database/migrations/012-add-session-token-family.sql
+-- Migration: Refresh Token Families
+-- Created: 2026-10-19
+-- Description: Groups every refresh token issued from one login into a token family so replayed tokens can be detected
+--
+-- For beginners:
+-- Each refresh swaps the session's refresh token for a new one (rotation)
+-- All tokens issued from the same login share a token_family value, which is also inside the token
+-- If an older token of the family comes back, somebody kept a copy, so the whole family is revoked
+-- refresh_token is widened because the rotated tokens carry the family and a unique token ID
+
+ALTER TABLE user_sessions
+    MODIFY COLUMN refresh_token VARCHAR(512) NULL COMMENT 'Current refresh token of the session',
+    ADD COLUMN token_family CHAR(36) NULL COMMENT 'Shared by all refresh tokens issued from one login' AFTER refresh_token;
+
+CREATE INDEX idx_sessions_token_family
+ON user_sessions (token_family, is_active);
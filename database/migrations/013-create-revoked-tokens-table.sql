@@ -0,0 +1,32 @@
+-- File: database/migrations/013-create-revoked-tokens-table.sql
+-- Migration: Create Revoked Tokens Table
+-- Created: 2026-10-19
+-- Description: Token denylist used when TOKEN_DENYLIST_STORE=mysql
+--
+-- For beginners:
+-- Every JWT we issue carries a unique ID (the "jti" claim)
+-- Revoking a token stores its jti here until the token would have expired anyway
+-- Rows past expires_at are useless (the token is rejected as expired) and are purged
+-- This works for every token type, including reset and verification tokens that have no session row
+
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    -- The token's jti claim
+    jti VARCHAR(64) NOT NULL PRIMARY KEY COMMENT 'JWT ID of the revoked token',
+
+    -- What was revoked
+    token_type VARCHAR(32) NULL COMMENT 'access, refresh, password_reset, email_verification, mfa_pending',
+    user_id INT UNSIGNED NULL COMMENT 'User the token was issued to',
+
+    -- Entry lifetime
+    expires_at TIMESTAMP NOT NULL COMMENT 'When the token expires; the entry can be dropped afterwards',
+
+    -- Audit information
+    reason VARCHAR(255) NULL COMMENT 'Why the token was revoked',
+    revoked_by INT UNSIGNED NULL COMMENT 'User who revoked the token (NULL for the system)',
+    revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the token was revoked',
+
+    -- Indexes for performance
+    INDEX idx_revoked_tokens_expires_at (expires_at),
+    INDEX idx_revoked_tokens_user_id (user_id)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Denylisted JWT IDs';
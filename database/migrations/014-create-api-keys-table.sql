@@ -0,0 +1,48 @@
+-- File: database/migrations/014-create-api-keys-table.sql
+-- Migration: Create API Keys Table
+-- Created: 2026-10-19
+-- Description: Long-lived personal API keys for machine clients
+--
+-- For beginners:
+-- A key looks like d2k_<12 hex characters>_<secret>; the part before the secret is its prefix
+-- Only the prefix (to find the row) and a SHA-256 hash of the whole key are stored
+-- scopes lists the permissions the key may use; the owner must still hold them at request time
+-- allowed_ips optionally limits the addresses (or CIDR ranges) the key works from
+-- A revoked or expired key is kept for auditing but no longer authenticates
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    -- Primary key - unique identifier for each API key
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Key ownership
+    user_id INT UNSIGNED NOT NULL COMMENT 'User the key acts as',
+    name VARCHAR(100) NOT NULL COMMENT 'Label chosen by the owner',
+
+    -- Key material
+    key_prefix VARCHAR(32) NOT NULL UNIQUE COMMENT 'Public part of the key, used for lookup and display',
+    key_hash CHAR(64) NOT NULL COMMENT 'SHA-256 hash of the full key',
+
+    -- Restrictions
+    scopes JSON NOT NULL COMMENT 'Permission names (module.action) the key may use',
+    allowed_ips JSON NULL COMMENT 'IP addresses or CIDR ranges the key may be used from (NULL = any)',
+    expires_at TIMESTAMP NOT NULL COMMENT 'When the key stops working',
+
+    -- Usage tracking
+    last_used_at TIMESTAMP NULL COMMENT 'When the key last authenticated a request',
+    last_used_ip VARCHAR(45) NULL COMMENT 'IP address of the last request',
+
+    -- Revocation
+    revoked_at TIMESTAMP NULL COMMENT 'When the key was revoked (NULL while usable)',
+    revoked_by INT UNSIGNED NULL COMMENT 'User who revoked the key',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When record was created',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When record was last updated',
+
+    -- Foreign key constraints
+    CONSTRAINT fk_api_keys_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes for performance
+    INDEX idx_api_keys_user_active (user_id, revoked_at, expires_at)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Personal API keys for machine clients';
@@ -0,0 +1,16 @@
+-- File: database/migrations/015-add-password-reset-purpose.sql
+-- Migration: Add Purpose and Device Binding to Password Resets
+-- Created: 2026-10-19
+-- Description: Lets password_resets also hold passwordless login links (magic links)
+--
+-- For beginners:
+-- Magic links work like reset tokens: hashed, short-lived, single-use and rate limited
+-- purpose keeps the two apart, so a login link can never reset a password and vice versa
+-- device_hash is the SHA-256 hash of a cookie set on the browser that asked for the link;
+-- when it is set, the link only works in that browser
+
+ALTER TABLE password_resets
+    ADD COLUMN purpose VARCHAR(32) NOT NULL DEFAULT 'password_reset' COMMENT 'password_reset or magic_link' AFTER token_hash,
+    ADD COLUMN device_hash CHAR(64) NULL COMMENT 'SHA-256 hash of the requesting device cookie (NULL = not bound)' AFTER user_agent,
+    ADD INDEX idx_password_resets_purpose_email (purpose, email, created_at),
+    ADD INDEX idx_password_resets_purpose_ip (purpose, ip_address, created_at);
@@ -0,0 +1,40 @@
+-- File: database/migrations/016-create-user-identities-table.sql
+-- Migration: Create User Identities Table
+-- Created: 2026-10-19
+-- Description: Links accounts at external OpenID Connect providers to local users
+--
+-- For beginners:
+-- An OIDC provider (Google, Microsoft, a company SSO...) identifies a person by the pair
+-- (issuer, subject); provider is our configured name for the issuer
+-- Every row says "this provider account signs in as this user"
+-- A user can link one account per provider; a provider account can belong to one user only
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    -- Primary key - unique identifier for each linked identity
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Local account
+    user_id INT UNSIGNED NOT NULL COMMENT 'User this identity signs in as',
+
+    -- Provider account
+    provider VARCHAR(50) NOT NULL COMMENT 'Configured provider name (google, microsoft, oidc)',
+    subject VARCHAR(255) NOT NULL COMMENT 'sub claim: the provider''s stable ID for the account',
+    email VARCHAR(255) NULL COMMENT 'Email reported by the provider at the last sign-in',
+    email_verified BOOLEAN DEFAULT FALSE COMMENT 'Whether the provider vouched for that email',
+    display_name VARCHAR(255) NULL COMMENT 'Name reported by the provider',
+
+    -- Usage tracking
+    last_login_at TIMESTAMP NULL COMMENT 'When the identity was last used to sign in',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the identity was linked',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When record was last updated',
+
+    -- Foreign key constraints
+    CONSTRAINT fk_user_identities_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- One provider account per user, one user per provider account
+    UNIQUE KEY uk_user_identities_subject (provider, subject),
+    UNIQUE KEY uk_user_identities_user_provider (user_id, provider)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='External OpenID Connect identities linked to users';
@@ -0,0 +1,18 @@
+-- File: database/migrations/017-add-session-impersonation.sql
+-- Migration: Record Impersonation on User Sessions
+-- Created: 2026-10-19
+-- Description: Marks sessions opened by support staff to act as another user ("login as user")
+--
+-- For beginners:
+-- An impersonation session belongs to the impersonated user (user_id) like any other session
+-- impersonator_id and impersonator_session_id say which staff member, from which of their
+-- own sessions, opened it; impersonation_reason is the reason they gave
+-- Sessions are kept after they end, so these rows are the audit trail of every impersonation
+
+ALTER TABLE user_sessions
+    ADD COLUMN impersonator_id INT UNSIGNED NULL COMMENT 'Staff user acting as user_id (NULL = normal login)' AFTER user_id,
+    ADD COLUMN impersonator_session_id INT UNSIGNED NULL COMMENT 'Session of the staff user that started the impersonation' AFTER impersonator_id,
+    ADD COLUMN impersonation_reason VARCHAR(255) NULL COMMENT 'Why the staff user impersonated' AFTER impersonator_session_id,
+    MODIFY COLUMN revoked_reason ENUM('logout', 'admin_revoke', 'security', 'expired', 'new_login', 'impersonation_ended') NULL COMMENT 'Why session was revoked',
+    ADD CONSTRAINT fk_sessions_impersonator_id FOREIGN KEY (impersonator_id) REFERENCES users(id) ON DELETE SET NULL,
+    ADD INDEX idx_sessions_impersonator (impersonator_id, created_at);
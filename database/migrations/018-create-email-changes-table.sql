@@ -0,0 +1,54 @@
+-- File: database/migrations/018-create-email-changes-table.sql
+-- Migration: Create Email Changes Table
+-- Created: 2026-10-19
+-- Description: Pending and completed self-service changes of a user's email address
+--
+-- For beginners:
+-- Changing the email sends a confirmation link to the new address and a notice with a
+-- cancel link to the old one; users.email only changes once the new address confirms
+-- Both links are stored as SHA-256 hashes, like password reset tokens
+-- The cancel link keeps working for a while after confirmation and then puts the old
+-- address back, so a hijacked account can be recovered from the old mailbox
+-- Rows are kept after they complete as the history of the account's addresses
+
+CREATE TABLE IF NOT EXISTS email_changes (
+    -- Primary key - unique identifier for each email change
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Account and addresses
+    user_id INT UNSIGNED NOT NULL COMMENT 'User whose email changes',
+    old_email VARCHAR(255) NOT NULL COMMENT 'Address when the change was requested',
+    new_email VARCHAR(255) NOT NULL COMMENT 'Requested address',
+
+    -- Links
+    confirm_token_hash CHAR(64) NOT NULL UNIQUE COMMENT 'SHA-256 hash of the token sent to new_email',
+    cancel_token_hash CHAR(64) NOT NULL UNIQUE COMMENT 'SHA-256 hash of the token sent to old_email',
+    expires_at TIMESTAMP NOT NULL COMMENT 'When the confirmation link stops working',
+    cancel_expires_at TIMESTAMP NOT NULL COMMENT 'When the cancel link stops working',
+
+    -- State
+    status ENUM('pending', 'confirmed', 'cancelled', 'reverted', 'superseded') NOT NULL DEFAULT 'pending' COMMENT 'superseded = replaced by a newer request',
+    confirmed_at TIMESTAMP NULL COMMENT 'When the new address confirmed',
+    cancelled_at TIMESTAMP NULL COMMENT 'When the old address cancelled or reverted the change',
+
+    -- Request tracking
+    session_id INT UNSIGNED NULL COMMENT 'Session that requested the change (kept when other sessions are revoked)',
+    ip_address VARCHAR(45) NULL COMMENT 'IP address of the request',
+    user_agent TEXT NULL COMMENT 'Browser/client of the request',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When record was created',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When record was last updated',
+
+    -- Foreign key constraints
+    CONSTRAINT fk_email_changes_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes for performance
+    INDEX idx_email_changes_user_status (user_id, status),
+    INDEX idx_email_changes_new_email (new_email, status)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Self-service email address changes';
+
+-- Sessions ended because the account's email changed
+ALTER TABLE user_sessions
+    MODIFY COLUMN revoked_reason ENUM('logout', 'admin_revoke', 'security', 'expired', 'new_login', 'impersonation_ended', 'email_changed') NULL COMMENT 'Why session was revoked';
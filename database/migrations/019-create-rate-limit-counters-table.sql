@@ -0,0 +1,29 @@
+-- File: database/migrations/019-create-rate-limit-counters-table.sql
+-- Migration: Create Rate Limit Counters Table
+-- Created: 2026-10-19
+-- Description: Shared rate limit counters used when RATE_LIMIT_STORE=mysql
+--
+-- For beginners:
+-- Every serverless instance used to count requests in its own memory, so an attacker
+-- spread over many instances was barely limited; this table is shared by all of them
+-- Counts are kept per fixed window (window_start); the limiter adds the current window
+-- to a weighted share of the previous one, which approximates a sliding window
+-- A row is useless once the window after it has ended (expires_at) and is purged
+
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+    -- What is being counted
+    limiter_key VARCHAR(255) NOT NULL COMMENT 'Limiter name and client key, e.g. auth:203.0.113.7:jane@example.com',
+    window_start BIGINT UNSIGNED NOT NULL COMMENT 'Start of the fixed window (milliseconds since epoch)',
+
+    -- The count
+    hits INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Requests counted in this window',
+
+    -- Row lifetime
+    expires_at TIMESTAMP NOT NULL COMMENT 'When the row no longer affects any window and can be dropped',
+
+    PRIMARY KEY (limiter_key, window_start),
+
+    -- Indexes for performance
+    INDEX idx_rate_limit_counters_expires_at (expires_at)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Sliding window rate limit counters';
@@ -0,0 +1,70 @@
+-- File: database/migrations/020-create-api-plans-table.sql
+-- Migration: Create API Plans and Rate Limit Buckets Tables
+-- Created: 2026-10-19
+-- Description: Named API plans with token-bucket limits and daily/monthly quotas
+--
+-- For beginners:
+-- A plan is a token bucket plus quotas: burst_limit is the bucket size (requests allowed back
+-- to back), sustained_per_minute is how fast it refills, and the quotas cap requests per UTC
+-- day and month (NULL = unlimited)
+-- A plan is assigned to a user (users.api_plan_id) or to one API key (api_keys.plan_id, which
+-- wins over the user's plan); everyone else gets the default plan
+-- rate_limit_buckets holds the bucket state of each user or key when RATE_LIMIT_STORE=mysql;
+-- a missing row means a full bucket, so rows can be dropped once the bucket is full again
+
+CREATE TABLE IF NOT EXISTS api_plans (
+    -- Primary key - unique identifier for each plan
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Plan identification
+    name VARCHAR(50) NOT NULL UNIQUE COMMENT 'Plan identifier, e.g. free, standard, enterprise',
+    display_name VARCHAR(100) NOT NULL COMMENT 'Name shown to users',
+    description VARCHAR(255) NULL COMMENT 'What the plan is for',
+
+    -- Token bucket
+    burst_limit INT UNSIGNED NOT NULL COMMENT 'Bucket size: requests allowed back to back',
+    sustained_per_minute INT UNSIGNED NOT NULL COMMENT 'Bucket refill: requests per minute in the long run',
+
+    -- Quotas
+    daily_quota INT UNSIGNED NULL COMMENT 'Requests per UTC day (NULL = unlimited)',
+    monthly_quota INT UNSIGNED NULL COMMENT 'Requests per UTC month (NULL = unlimited)',
+
+    -- Plan status
+    is_default BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Plan of users and keys without an assigned plan',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE COMMENT 'Inactive plans fall back to the default plan',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When record was created',
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP COMMENT 'When record was last updated'
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='API plans with rate limits and quotas';
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+    -- Limiter name and client key, e.g. plan:user:42
+    bucket_key VARCHAR(255) NOT NULL PRIMARY KEY COMMENT 'Limiter name and client key',
+
+    -- Bucket state
+    tokens DOUBLE NOT NULL COMMENT 'Tokens left at refilled_at',
+    refilled_at BIGINT UNSIGNED NOT NULL COMMENT 'When tokens was computed (milliseconds since epoch)',
+
+    -- Row lifetime
+    expires_at TIMESTAMP NOT NULL COMMENT 'When the bucket is full again and the row can be dropped',
+
+    -- Indexes for performance
+    INDEX idx_rate_limit_buckets_expires_at (expires_at)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Token bucket state';
+
+ALTER TABLE users
+    ADD COLUMN api_plan_id INT UNSIGNED NULL COMMENT 'API plan of the user (NULL = default plan)',
+    ADD CONSTRAINT fk_users_api_plan FOREIGN KEY (api_plan_id) REFERENCES api_plans(id) ON DELETE SET NULL;
+
+ALTER TABLE api_keys
+    ADD COLUMN plan_id INT UNSIGNED NULL COMMENT 'API plan of this key (NULL = the owner''s plan)' AFTER scopes,
+    ADD CONSTRAINT fk_api_keys_plan FOREIGN KEY (plan_id) REFERENCES api_plans(id) ON DELETE SET NULL;
+
+-- Default plans
+INSERT IGNORE INTO api_plans (name, display_name, description, burst_limit, sustained_per_minute, daily_quota, monthly_quota, is_default) VALUES
+('free', 'Free', 'Evaluation and hobby use', 20, 60, 1000, 20000, TRUE),
+('standard', 'Standard', 'Production workloads', 100, 600, 50000, 1000000, FALSE),
+('enterprise', 'Enterprise', 'High-volume integrations without quotas', 500, 3000, NULL, NULL, FALSE);
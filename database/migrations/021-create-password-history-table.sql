@@ -0,0 +1,44 @@
+-- File: database/migrations/021-create-password-history-table.sql
+-- Migration: Create Password History Table and Password Expiry Columns
+-- Created: 2026-10-19
+-- Description: Previous password hashes for reuse checks, plus forced password expiry
+--
+-- For beginners:
+-- Every password a user sets is added to password_history, so a new password can be compared
+-- with the last few (PASSWORD_HISTORY_COUNT); older rows are pruned as new ones arrive
+-- users.password_expires_at forces a password change from that moment on (set by an admin
+-- through bulk expire); the max-age policy (PASSWORD_MAX_AGE_DAYS) works from
+-- password_changed_at and needs no column
+-- users.password_expiry_reminded_at remembers that the reminder email went out, so it is sent
+-- once per password; both columns are cleared whenever the password changes
+
+CREATE TABLE IF NOT EXISTS password_history (
+    -- Primary key - unique identifier for each entry
+    id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+
+    -- Owner of the password
+    user_id INT UNSIGNED NOT NULL COMMENT 'User who set the password',
+
+    -- Password
+    password_hash VARCHAR(255) NOT NULL COMMENT 'bcrypt hash of the password (never the password itself)',
+
+    -- Timestamps
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP COMMENT 'When the password was set',
+
+    -- Foreign keys
+    CONSTRAINT fk_password_history_user FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Indexes for performance
+    INDEX idx_password_history_user_created (user_id, created_at)
+
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Previous passwords for reuse checks';
+
+ALTER TABLE users
+    ADD COLUMN password_expires_at TIMESTAMP NULL COMMENT 'Password must be changed from this moment (NULL = only the max-age policy applies)' AFTER password_changed_at,
+    ADD COLUMN password_expiry_reminded_at TIMESTAMP NULL COMMENT 'When the expiry reminder for the current password was sent' AFTER password_expires_at;
+
+-- The current passwords count as history from the start
+INSERT INTO password_history (user_id, password_hash, created_at)
+SELECT id, password, COALESCE(password_changed_at, created_at)
+FROM users
+WHERE deleted_at IS NULL;
@@ -0,0 +1,17 @@
+-- File: database/migrations/022-drop-plain-magic-link-tokens.sql
+-- Migration: Keep Only Hashes of Magic Link Tokens
+-- Created: 2026-10-19
+-- Description: Makes password_resets.token optional and removes the plain magic link tokens
+--
+-- For beginners:
+-- A magic link logs the user straight in, so anyone who can read the table must not be able
+-- to use the links in it; only token_hash is needed to look a link up
+-- New magic link rows leave token NULL (its UNIQUE index allows any number of NULLs), and the
+-- plain tokens of existing rows are cleared here
+
+ALTER TABLE password_resets
+    MODIFY COLUMN token VARCHAR(255) NULL COMMENT 'Plain reset token (NULL for magic links, which only store token_hash)';
+
+UPDATE password_resets
+SET token = NULL
+WHERE purpose = 'magic_link';
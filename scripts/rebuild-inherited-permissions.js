@@ -0,0 +1,78 @@
+/**
+ * Inherited Permission Repair Script
+ *
+ * This script rebuilds the materialized inherited rows in role_permissions
+ * (is_inherited = TRUE) from the role hierarchy.
+ *
+ * For beginners:
+ * - Child roles get copies of their parent roles' permissions so permission
+ *   checks don't have to walk the hierarchy
+ * - The copies are kept in sync automatically, but if they were edited by
+ *   hand or a sync failed, this script rebuilds them from scratch
+ * - Run with --role <id> to only resync one role and the roles below it
+ */
+
+const { RolePermissionModel } = require('../src/models');
+const { testConnection } = require('../src/models/database');
+const permissionCache = require('../src/services/rbac/permissionCacheService');
+
+/**
+ * Main function - rebuild everything or one subtree
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('--help')) {
+    console.log(`
+🔧 Inherited Permission Repair:
+
+  npm run rbac:rebuild-inheritance                 - Drop and rebuild all inherited permissions
+  npm run rbac:rebuild-inheritance -- --role <id>  - Resync one role and its child roles
+      `);
+    process.exit(0);
+  }
+
+  const roleIndex = args.indexOf('--role');
+  const roleId = roleIndex !== -1 ? parseInt(args[roleIndex + 1], 10) : null;
+
+  if (roleIndex !== -1 && !roleId) {
+    console.log('❌ --role needs a numeric role ID');
+    process.exit(1);
+  }
+
+  const connected = await testConnection();
+  if (!connected) {
+    console.error('❌ Cannot connect to database');
+    process.exit(1);
+  }
+
+  const result = roleId
+    ? await RolePermissionModel.syncInheritedPermissionsForSubtree(roleId)
+    : await RolePermissionModel.rebuildInheritedPermissions();
+
+  await permissionCache.invalidateAll();
+
+  console.log('📊 Inherited permission repair summary:');
+  console.log(`   Roles processed: ${result.roles}`);
+  if (result.deleted !== undefined) {
+    console.log(`   Rows dropped:    ${result.deleted}`);
+  }
+  console.log(`   Rows added:      ${result.added}`);
+  console.log(`   Rows updated:    ${result.updated}`);
+  console.log(`   Rows removed:    ${result.removed}`);
+
+  // Close database connections
+  process.exit(0);
+}
+
+// Run the repair script
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Inherited permission repair failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  main
+};
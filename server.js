@@ -25,6 +25,8 @@ const app = require('./app');
 const logger = require('./src/utils/logger');
 const { createDirectories } = require('./src/utils/helpers');
 const { createConnectionPool, closeDatabasePool } = require('./config/database');
+const { startAssignmentExpiryScheduler, stopAssignmentExpiryScheduler } = require('./src/services/rbac/assignmentExpiryService');
+const { startPasswordExpiryReminderScheduler, stopPasswordExpiryReminderScheduler } = require('./src/services/auth/passwordPolicyService');
 
 // Server configuration
 const PORT = process.env.PORT || 3000;
@@ -106,6 +108,10 @@ const startServer = async () => {
       console.log('\n=================================');
       console.log('🎉 Delta-2 Backend is ready!');
       console.log('=================================\n');
+
+      // Background jobs
+      startAssignmentExpiryScheduler();
+      startPasswordExpiryReminderScheduler();
     });
 
     // Handle server errors
@@ -142,6 +148,9 @@ const startServer = async () => {
 const gracefulShutdown = async (server, signal) => {
   logger.info(`\nReceived ${signal}. Starting graceful shutdown...`);
 
+  stopAssignmentExpiryScheduler();
+  stopPasswordExpiryReminderScheduler();
+
   server.close(async (err) => {
     if (err) {
       logger.error('Error during server shutdown:', err);
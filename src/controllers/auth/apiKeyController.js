@@ -0,0 +1,168 @@
+/**
+ * File: src/controllers/auth/apiKeyController.js
+ * API Key Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for managing the current user's personal
+ * API keys.
+ *
+ * For beginners:
+ * - The full key is only in the create response; the client must store it
+ * - Clients send the key as "Authorization: ApiKey <key>" or "X-API-Key: <key>"
+ * - These endpoints need a login session; an API key can't manage API keys
+ */
+
+const apiKeyService = require('../../services/auth/apiKeyService');
+const { success, created, error, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth, logSecurity } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code && ERROR_CODES[result.code]) {
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code, {
+      field: result.field,
+      details: result.data
+    }));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.RESOURCE_NOT_FOUND.code));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * List the current user's API keys
+ * GET /api/auth/api-keys
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listApiKeys = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call API key service
+    const result = await apiKeyService.listApiKeys(userId, {
+      includeInactive: req.query.includeInactive === 'true'
+    });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in listApiKeys controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while retrieving API keys', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Create an API key for the current user
+ * POST /api/auth/api-keys
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call API key service
+    const result = await apiKeyService.createApiKey(userId, req.body);
+
+    if (result.success) {
+      logAuth('API key created', userId, {
+        apiKeyId: result.data.apiKey.id,
+        scopes: result.data.apiKey.scopes,
+        expiresAt: result.data.apiKey.expiresAt
+      });
+      logSecurity('API key created', {
+        userId,
+        apiKeyId: result.data.apiKey.id,
+        keyPrefix: result.data.apiKey.keyPrefix,
+        ip: req.ip
+      });
+      return created(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in createApiKey controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while creating API key', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ * DELETE /api/auth/api-keys/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call API key service
+    const result = await apiKeyService.revokeApiKey(userId, req.params.id, { revokedBy: userId });
+
+    if (result.success) {
+      logAuth('API key revoked', userId, { apiKeyId: result.data.id });
+      logSecurity('API key revoked', { userId, apiKeyId: result.data.id, ip: req.ip });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in revokeApiKey controller', error, { apiKeyId: req.params.id, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while revoking API key', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -0,0 +1,297 @@
+/**
+ * File: src/controllers/auth/apiPlanController.js
+ * API Plan Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for API plans, plan assignments and the
+ * usage report of the current user.
+ *
+ * For beginners:
+ * - Managing plans needs the system:config permission
+ * - Every change is live on this instance at once; other instances pick it
+ *   up within the plan cache TTL (or right away with POST /reload)
+ * - GET /api/me/usage is open to every authenticated user
+ */
+
+const apiPlanService = require('../../services/auth/apiPlanService');
+const { success, created, error, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { logError } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code && ERROR_CODES[result.code]) {
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code, {
+      field: result.field
+    }));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.RESOURCE_NOT_FOUND.code));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * Send an unexpected error
+ *
+ * @param {Object} res - Express response object
+ * @param {string} action - What was being done, for the message
+ * @param {Error} err - Thrown error
+ * @returns {Object} Response
+ */
+const sendUnexpectedError = (res, action, err) => {
+  return internalServerError(res, `Internal server error while ${action}`, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? err.message : undefined
+  }));
+};
+
+/**
+ * Send 400 for an ID parameter that isn't a positive whole number
+ *
+ * @param {Object} res - Express response object
+ * @param {string} field - Parameter name
+ * @param {string} label - Name for the message
+ * @returns {Object} Response
+ */
+const sendInvalidId = (res, field, label) => {
+  return badRequest(res, `Invalid ${label} ID`, createError(ERROR_CODES.VALIDATION_FAILED.code, { field }));
+};
+
+/**
+ * List API plans
+ * GET /api/auth/api-plans
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listPlans = async (req, res) => {
+  try {
+    // Call API plan service
+    const result = await apiPlanService.listPlans();
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in listPlans controller', error, { userId: req.user?.userId });
+    return sendUnexpectedError(res, 'listing API plans', error);
+  }
+};
+
+/**
+ * Create an API plan
+ * POST /api/auth/api-plans
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createPlan = async (req, res) => {
+  try {
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call API plan service
+    const result = await apiPlanService.createPlan(req.body, { actorId: req.user.userId });
+
+    if (result.success) {
+      return created(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in createPlan controller', error, { userId: req.user?.userId });
+    return sendUnexpectedError(res, 'creating API plan', error);
+  }
+};
+
+/**
+ * Update an API plan
+ * PUT /api/auth/api-plans/:planId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updatePlan = async (req, res) => {
+  try {
+    const planId = parseInt(req.params.planId, 10);
+
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    if (!Number.isInteger(planId) || planId < 1) {
+      return sendInvalidId(res, 'planId', 'plan');
+    }
+
+    // Call API plan service
+    const result = await apiPlanService.updatePlan(planId, req.body, { actorId: req.user.userId });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in updatePlan controller', error, { userId: req.user?.userId, planId: req.params.planId });
+    return sendUnexpectedError(res, 'updating API plan', error);
+  }
+};
+
+/**
+ * Put a user on a plan
+ * PUT /api/auth/api-plans/users/:userId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const assignUserPlan = async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId, 10);
+
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    if (!Number.isInteger(userId) || userId < 1) {
+      return sendInvalidId(res, 'userId', 'user');
+    }
+
+    // Call API plan service
+    const result = await apiPlanService.assignUserPlan(userId, req.body, { actorId: req.user.userId });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in assignUserPlan controller', error, { userId: req.user?.userId, targetUserId: req.params.userId });
+    return sendUnexpectedError(res, 'assigning API plan', error);
+  }
+};
+
+/**
+ * Put an API key on its own plan
+ * PUT /api/auth/api-plans/api-keys/:apiKeyId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const assignApiKeyPlan = async (req, res) => {
+  try {
+    const apiKeyId = parseInt(req.params.apiKeyId, 10);
+
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    if (!Number.isInteger(apiKeyId) || apiKeyId < 1) {
+      return sendInvalidId(res, 'apiKeyId', 'API key');
+    }
+
+    // Call API plan service
+    const result = await apiPlanService.assignApiKeyPlan(apiKeyId, req.body, { actorId: req.user.userId });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in assignApiKeyPlan controller', error, { userId: req.user?.userId, apiKeyId: req.params.apiKeyId });
+    return sendUnexpectedError(res, 'assigning API plan', error);
+  }
+};
+
+/**
+ * Reload plans and assignments on this instance
+ * POST /api/auth/api-plans/reload
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const reloadPlans = async (req, res) => {
+  try {
+    // Call API plan service
+    const result = await apiPlanService.reloadPlans();
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in reloadPlans controller', error, { userId: req.user?.userId });
+    return sendUnexpectedError(res, 'reloading API plans', error);
+  }
+};
+
+/**
+ * Report the API consumption of the current user
+ * GET /api/me/usage
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getUsage = async (req, res) => {
+  try {
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call API plan service
+    const result = await apiPlanService.getUsage(req.user);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in getUsage controller', error, { userId: req.user?.userId });
+    return sendUnexpectedError(res, 'retrieving API usage', error);
+  }
+};
+
+module.exports = {
+  listPlans,
+  createPlan,
+  updatePlan,
+  assignUserPlan,
+  assignApiKeyPlan,
+  reloadPlans,
+  getUsage
+};
@@ -16,7 +16,7 @@ const authService = require('../../services/auth/authService');
 const { validateRequest } = require('../../middleware/validation');
 const { Auth: AuthSchemas } = require('../../schemas');
 const { success, error, created, unauthorized, badRequest, notFound } = require('../../utils/apiResponse');
-const { logError, logAuth, logHttp } = require('../../utils/logger');
+const { logError, logAuth, logHttp, logSecurity } = require('../../utils/logger');
 const { ERROR_CODES, createError } = require('../../utils/errorCodes');
 const { calculatePagination } = require('../../utils/helpers');
 
@@ -46,7 +46,7 @@ const register = async (req, res) => {
     }
 
     logAuth('User registration failed', null, { email: body.email, reason: result.message, ipAddress });
-    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+    return badRequest(res, result.message, createError(result.code || ERROR_CODES.VALIDATION_FAILED.code, {
       field: result.field,
       details: result.errors
     }));
@@ -83,6 +83,18 @@ const login = async (req, res) => {
       rememberMe
     });
 
+    // Password accepted, but the login must be finished at /api/auth/mfa/verify
+    if (result.success && result.data.mfaRequired) {
+      logAuth('User login awaiting second factor', null, { email: body.email, enrollmentRequired: result.data.enrollmentRequired, ipAddress });
+      return success(res, result.data, result.message);
+    }
+
+    // Password expired: the login must be finished at /api/auth/password/expired
+    if (result.success && result.data.passwordChangeRequired) {
+      logAuth('User login awaiting password change', null, { email: body.email, ipAddress });
+      return success(res, result.data, result.message);
+    }
+
     if (result.success) {
       // Set HTTP-only cookie for refresh token (optional)
       if (result.data.tokens.refreshToken) {
@@ -190,13 +202,26 @@ const refreshTokens = async (req, res) => {
     });
 
     if (result.success) {
-      logAuth('Token refresh successful', result.data.user?.userId, { ipAddress });
+      // Refresh tokens rotate, so the cookie must carry the new one
+      res.cookie('refreshToken', result.data.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: Math.max(new Date(result.data.session.expiresAt).getTime() - Date.now(), 0)
+      });
+
+      logAuth('Token refresh successful', result.data.user.id, { sessionId: result.data.session.id, ipAddress });
       return success(res, result.data, result.message);
     }
 
     // Clear invalid refresh token cookie
     res.clearCookie('refreshToken');
 
+    if (result.code === ERROR_CODES.REFRESH_TOKEN_REUSED.code) {
+      logSecurity('Refresh token reuse blocked', { revokedSessions: result.data.revokedSessions, ipAddress, userAgent });
+      return unauthorized(res, result.message, createError(ERROR_CODES.REFRESH_TOKEN_REUSED.code));
+    }
+
     logAuth('Token refresh failed', null, { reason: result.message, ipAddress });
     return unauthorized(res, result.message, createError(ERROR_CODES.TOKEN_INVALID.code));
 
@@ -210,9 +235,69 @@ const refreshTokens = async (req, res) => {
   }
 };
 
+/**
+ * Re-authenticate the current session
+ * POST /api/auth/reauthenticate
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const reauthenticate = async (req, res) => {
+  try {
+    const accessToken = req.headers.authorization?.replace('Bearer ', '');
+    const ipAddress = req.ip || req.connection.remoteAddress;
+
+    if (!req.user || !accessToken) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.TOKEN_MISSING.code));
+    }
+
+    // Call authentication service
+    const result = await authService.reauthenticate(req.user, req.body, {
+      accessToken,
+      ipAddress
+    });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    if (result.code && ERROR_CODES[result.code]) {
+      return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code, {
+        field: result.field
+      }));
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    if (/not found/i.test(result.message)) {
+      return notFound(res, result.message, createError(ERROR_CODES.USER_NOT_FOUND.code));
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: result.message,
+      error: process.env.NODE_ENV === 'development' ? result.error : undefined
+    });
+
+  } catch (error) {
+    logError('Error in reauthenticate controller', error, { userId: req.user?.userId, ipAddress: req.ip });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during re-authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Verify email address
- * POST /api/auth/verify-email
+ * GET /api/auth/verify-email/:token
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -220,7 +305,7 @@ const refreshTokens = async (req, res) => {
  */
 const verifyEmail = async (req, res) => {
   try {
-    const { token } = req.body;
+    const token = req.params.token || req.body?.token;
 
     if (!token) {
       return badRequest(res, 'Verification token is required', createError(ERROR_CODES.VALIDATION_FAILED.code, {
@@ -243,7 +328,7 @@ const verifyEmail = async (req, res) => {
     }));
 
   } catch (error) {
-    logError('Error in verifyEmail controller', error, { token: req.body.token?.substring(0, 10) + '...' });
+    logError('Error in verifyEmail controller', error, { token: (req.params.token || req.body?.token)?.substring(0, 10) + '...' });
     return res.status(500).json({
       success: false,
       message: 'Internal server error during email verification',
@@ -254,7 +339,7 @@ const verifyEmail = async (req, res) => {
 
 /**
  * Get current user profile
- * GET /api/auth/profile
+ * GET /api/auth/me
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -377,7 +462,7 @@ const getSessions = async (req, res) => {
 
 /**
  * Check authentication status
- * GET /api/auth/me
+ * GET /api/auth/status
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -420,6 +505,7 @@ module.exports = {
   login,
   logout,
   refreshTokens,
+  reauthenticate,
   verifyEmail,
   getProfile,
   updateProfile,
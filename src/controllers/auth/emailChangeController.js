@@ -0,0 +1,172 @@
+/**
+ * File: src/controllers/auth/emailChangeController.js
+ * Email Change Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for changing a user's email address.
+ *
+ * For beginners:
+ * - Requesting a change needs a login session and a recent password or
+ *   authenticator code (see POST /api/auth/reauthenticate)
+ * - Confirming and cancelling are public: the emailed token is the proof
+ */
+
+const emailChangeService = require('../../services/auth/emailChangeService');
+const { success, error, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { logError } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code && ERROR_CODES[result.code]) {
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code, {
+      field: result.field
+    }));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.USER_NOT_FOUND.code));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * Request an email change
+ * POST /api/auth/email-change
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const requestEmailChange = async (req, res) => {
+  try {
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call email change service
+    const result = await emailChangeService.requestEmailChange(req.user, req.body, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in requestEmailChange controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while requesting email change', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Get the pending email change of the current user
+ * GET /api/auth/email-change
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPendingEmailChange = async (req, res) => {
+  try {
+    // Call email change service
+    const result = await emailChangeService.getPendingEmailChange(req.user.userId);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in getPendingEmailChange controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while retrieving email change', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Confirm an email change from the new address
+ * POST /api/auth/email-change/confirm
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const confirmEmailChange = async (req, res) => {
+  try {
+    // Call email change service
+    const result = await emailChangeService.confirmEmailChange(req.body, {
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in confirmEmailChange controller', error, { ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error while confirming email change', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Cancel or revert an email change from the old address
+ * POST /api/auth/email-change/cancel
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const cancelEmailChange = async (req, res) => {
+  try {
+    // Call email change service
+    const result = await emailChangeService.cancelEmailChange(req.body, {
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in cancelEmailChange controller', error, { ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error while cancelling email change', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  requestEmailChange,
+  getPendingEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+};
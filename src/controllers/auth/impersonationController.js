@@ -0,0 +1,152 @@
+/**
+ * File: src/controllers/auth/impersonationController.js
+ * Impersonation Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for admin impersonation ("login as user").
+ *
+ * For beginners:
+ * - Starting answers with an access token for the impersonated user; the
+ *   staff member keeps their own token and switches back by ending it
+ * - There is no refresh token: the impersonation simply expires
+ */
+
+const impersonationService = require('../../services/auth/impersonationService');
+const { success, created, error, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { logError } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code && ERROR_CODES[result.code]) {
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.USER_NOT_FOUND.code));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * Start impersonating a user
+ * POST /api/auth/admin/impersonate/:userId
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const startImpersonation = async (req, res) => {
+  try {
+    const targetUserId = parseInt(req.params.userId, 10);
+
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    if (!Number.isInteger(targetUserId) || targetUserId < 1) {
+      return badRequest(res, 'Invalid user ID', createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: 'userId'
+      }));
+    }
+
+    // Call impersonation service
+    const result = await impersonationService.startImpersonation(req.user, targetUserId, req.body, {
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.success) {
+      return created(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in startImpersonation controller', error, { userId: req.user?.userId, targetUserId: req.params.userId });
+    return internalServerError(res, 'Internal server error while starting impersonation', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * End the current impersonation
+ * DELETE /api/auth/admin/impersonate
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const endImpersonation = async (req, res) => {
+  try {
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call impersonation service
+    const result = await impersonationService.endImpersonation(req.user, {
+      ipAddress: req.ip || req.connection.remoteAddress
+    });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in endImpersonation controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while ending impersonation', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * List impersonation sessions
+ * GET /api/auth/admin/impersonate
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listImpersonations = async (req, res) => {
+  try {
+    // Call impersonation service
+    const result = await impersonationService.listImpersonations(req.query);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in listImpersonations controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while retrieving impersonation sessions', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations
+};
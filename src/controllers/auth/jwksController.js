@@ -0,0 +1,47 @@
+/**
+ * File: src/controllers/auth/jwksController.js
+ * JWKS Controller - HTTP Request Handlers
+ *
+ * This file publishes the public keys used to sign our JWTs, so other
+ * services can verify tokens without sharing a secret.
+ *
+ * For beginners:
+ * - JWKS (JSON Web Key Set) is the standard format for publishing public keys
+ * - Each key has a kid; a token's header names the kid that signed it
+ * - The response is a bare JWKS document, not wrapped in our usual API response
+ */
+
+const jwtKeys = require('../../../config/jwtKeys');
+const { internalServerError } = require('../../utils/apiResponse');
+const { logError } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+// Verifiers cache the key set; new keys are published before they sign, so a short cache is enough
+const JWKS_CACHE_SECONDS = 300;
+
+/**
+ * Get the JSON Web Key Set
+ * GET /.well-known/jwks.json
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} Response
+ */
+const getJwks = (req, res) => {
+  try {
+    const jwks = jwtKeys.getJwks();
+
+    res.set('Cache-Control', `public, max-age=${JWKS_CACHE_SECONDS}`);
+    return res.status(200).json(jwks);
+
+  } catch (error) {
+    logError('Error in getJwks controller', error, { ip: req.ip });
+    return internalServerError(res, 'Internal server error while loading signing keys', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  getJwks
+};
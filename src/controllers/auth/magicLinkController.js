@@ -0,0 +1,177 @@
+/**
+ * File: src/controllers/auth/magicLinkController.js
+ * Magic Link Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for passwordless login with emailed links.
+ *
+ * For beginners:
+ * - Requesting a link always answers the same way, so nobody can probe which
+ *   email addresses have accounts
+ * - The request sets an HTTP-only device cookie; a link bound to it only works
+ *   in the same browser
+ * - Consuming a link answers exactly like POST /api/auth/login (tokens, or
+ *   { mfaRequired, mfaToken } when a second factor is needed)
+ */
+
+const authService = require('../../services/auth/authService');
+const { success, error, badRequest, unauthorized, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth, logSecurity } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+const DEVICE_COOKIE = 'magicLinkDevice';
+const DEVICE_COOKIE_PATH = '/api/auth/magic-link';
+
+/**
+ * Request a login link by email
+ * POST /api/auth/magic-link
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const requestLink = async (req, res) => {
+  try {
+    const { body } = req;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    // Call authentication service
+    const result = await authService.requestMagicLink(body, {
+      ipAddress,
+      userAgent
+    });
+
+    if (result.success) {
+      if (result.data.deviceToken) {
+        res.cookie(DEVICE_COOKIE, result.data.deviceToken, {
+          httpOnly: true,
+          secure: process.env.NODE_ENV === 'production',
+          sameSite: 'strict',
+          path: DEVICE_COOKIE_PATH,
+          maxAge: result.data.expiresInMinutes * 60 * 1000
+        });
+      }
+
+      logAuth('Magic link requested', null, { email: result.data.email, ipAddress });
+      return success(res, {
+        email: result.data.email,
+        expiresInMinutes: result.data.expiresInMinutes
+      }, result.message);
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+    }));
+
+  } catch (error) {
+    logError('Error in requestLink controller', error, { ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error during magic link request', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Log in with a login link
+ * POST /api/auth/magic-link/consume
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const consumeLink = async (req, res) => {
+  try {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    // Call authentication service
+    const result = await authService.loginWithMagicLink(req.body, {
+      ipAddress,
+      userAgent,
+      deviceToken: req.cookies?.[DEVICE_COOKIE]
+    });
+
+    if (result.success) {
+      res.clearCookie(DEVICE_COOKIE, { path: DEVICE_COOKIE_PATH });
+
+      // Link accepted, but the login must be finished at /api/auth/mfa/verify
+      if (result.data.mfaRequired) {
+        logAuth('Magic link login awaiting second factor', null, { enrollmentRequired: result.data.enrollmentRequired, ipAddress });
+        return success(res, result.data, result.message);
+      }
+
+      // Password expired: the login must be finished at /api/auth/password/expired
+      if (result.data.passwordChangeRequired) {
+        logAuth('Magic link login awaiting password change', null, { ipAddress });
+        return success(res, result.data, result.message);
+      }
+
+      // Set HTTP-only cookie for refresh token, as a password login does
+      const rememberMe = result.data.tokens.expiresIn === '30d';
+      res.cookie('refreshToken', result.data.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000
+      });
+
+      logAuth('User login successful', result.data.user.id, { method: 'magic_link', ipAddress });
+      return success(res, {
+        user: result.data.user,
+        tokens: {
+          accessToken: result.data.tokens.accessToken,
+          expiresIn: result.data.tokens.expiresIn
+        },
+        session: result.data.session
+      }, result.message);
+    }
+
+    if (result.code === ERROR_CODES.MAGIC_LINK_DEVICE_MISMATCH.code) {
+      logSecurity('Magic link used from another device', {
+        userId: result.data.userId,
+        ipAddress,
+        userAgent
+      });
+    }
+
+    if (result.code && ERROR_CODES[result.code]) {
+      return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code));
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    if (result.error) {
+      return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+        originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+      }));
+    }
+
+    logAuth('Magic link login failed', null, { reason: result.message, ipAddress });
+    return unauthorized(res, result.message, createError(ERROR_CODES.INVALID_CREDENTIALS.code, {
+      requiresEmailVerification: result.requiresEmailVerification
+    }));
+
+  } catch (error) {
+    logError('Error in consumeLink controller', error, { ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error during magic link login', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  requestLink,
+  consumeLink
+};
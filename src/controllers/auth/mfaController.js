@@ -0,0 +1,301 @@
+/**
+ * File: src/controllers/auth/mfaController.js
+ * MFA Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for TOTP two-factor authentication:
+ * enrollment, the second step of login, recovery codes and disabling MFA.
+ *
+ * For beginners:
+ * - Login returns { mfaRequired, mfaToken } instead of tokens when MFA applies
+ * - The client then posts the mfaToken and a code to /api/auth/mfa/verify
+ * - Recovery codes are only returned once; the client must show them to the user
+ */
+
+const authService = require('../../services/auth/authService');
+const mfaService = require('../../services/auth/mfaService');
+const { success, error, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth, logSecurity } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code && ERROR_CODES[result.code]) {
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code, {
+      field: result.field,
+      details: result.data
+    }));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.USER_NOT_FOUND.code));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * Get the MFA status of the current user
+ * GET /api/auth/mfa
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getStatus = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call MFA service
+    const result = await mfaService.getMfaStatus(userId);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in getStatus controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while retrieving MFA status', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Start TOTP enrollment
+ * POST /api/auth/mfa/enroll
+ * Logged-in users use their session; users whose role requires MFA can
+ * enroll during login by sending the mfaToken instead
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const startEnrollment = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const { mfaToken } = req.body;
+
+    if (!userId && !mfaToken) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call MFA service (or the login flow when enrolling with an MFA token)
+    const result = userId
+      ? await mfaService.startEnrollment(userId)
+      : await authService.startLoginMfaEnrollment(mfaToken);
+
+    if (result.success) {
+      logAuth('MFA enrollment started', userId || null, { duringLogin: !userId, ipAddress: req.ip });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in startEnrollment controller', error, { userId: req.user?.userId, ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error while starting MFA enrollment', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * POST /api/auth/mfa/enroll/confirm
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const confirmEnrollment = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call MFA service
+    const result = await mfaService.confirmEnrollment(userId, req.body);
+
+    if (result.success) {
+      logAuth('MFA enabled', userId, { ipAddress: req.ip });
+      logSecurity('Two-factor authentication enabled', { userId, ipAddress: req.ip });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in confirmEnrollment controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while confirming MFA enrollment', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Finish a login with the second factor
+ * POST /api/auth/mfa/verify
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const verifyLogin = async (req, res) => {
+  try {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    // Call authentication service
+    const result = await authService.completeMfaLogin(req.body, {
+      ipAddress,
+      userAgent
+    });
+
+    // Password expired: the login must be finished at /api/auth/password/expired
+    if (result.success && result.data.passwordChangeRequired) {
+      logAuth('User login awaiting password change', null, { ipAddress });
+      return success(res, result.data, result.message);
+    }
+
+    if (result.success) {
+      // Set HTTP-only cookie for refresh token, as a password-only login does
+      const rememberMe = result.data.tokens.expiresIn === '30d';
+      res.cookie('refreshToken', result.data.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000
+      });
+
+      logAuth('User login successful', result.data.user.id, { method: result.data.mfa.method, ipAddress });
+
+      if (result.data.mfa.method === 'recovery_code') {
+        logSecurity('Login with MFA recovery code', {
+          userId: result.data.user.id,
+          recoveryCodesRemaining: result.data.mfa.recoveryCodesRemaining,
+          ipAddress
+        });
+      }
+
+      return success(res, {
+        user: result.data.user,
+        tokens: {
+          accessToken: result.data.tokens.accessToken,
+          expiresIn: result.data.tokens.expiresIn
+        },
+        session: result.data.session,
+        mfa: result.data.mfa
+      }, result.message);
+    }
+
+    logAuth('MFA verification failed', null, { reason: result.message, ipAddress });
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in verifyLogin controller', error, { ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error during MFA verification', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Replace the recovery codes of the current user
+ * POST /api/auth/mfa/recovery-codes
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call MFA service
+    const result = await mfaService.regenerateRecoveryCodes(userId, req.body);
+
+    if (result.success) {
+      logAuth('MFA recovery codes regenerated', userId, { ipAddress: req.ip });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in regenerateRecoveryCodes controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while regenerating recovery codes', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Turn two-factor authentication off for the current user
+ * POST /api/auth/mfa/disable
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const disable = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call MFA service
+    const result = await mfaService.disableMfa(userId, req.body);
+
+    if (result.success) {
+      logAuth('MFA disabled', userId, { ipAddress: req.ip });
+      logSecurity('Two-factor authentication disabled', { userId, ipAddress: req.ip });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in disable controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while disabling MFA', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  getStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  disable
+};
@@ -0,0 +1,308 @@
+/**
+ * File: src/controllers/auth/oidcController.js
+ * OIDC Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for signing in with external OpenID Connect
+ * providers and for linking provider accounts to the current user.
+ *
+ * For beginners:
+ * - Starting a sign-in or link answers with the provider URL to open and sets
+ *   an HTTP-only state cookie; the callback only works in that browser
+ * - A sign-in callback answers exactly like POST /api/auth/login (tokens, or
+ *   { mfaRequired, mfaToken } when a second factor is needed); a link callback
+ *   answers with the linked identity
+ */
+
+const oidcService = require('../../services/auth/oidcService');
+const { success, error, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+const STATE_COOKIE = 'oidcState';
+const STATE_COOKIE_PATH = '/api/auth/oidc';
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code && ERROR_CODES[result.code]) {
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.RESOURCE_NOT_FOUND.code));
+  }
+
+  if (result.error) {
+    return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+    }));
+  }
+
+  // Locked, deactivated or unverified account
+  return unauthorized(res, result.message, createError(ERROR_CODES.INVALID_CREDENTIALS.code, {
+    requiresEmailVerification: result.requiresEmailVerification
+  }));
+};
+
+/**
+ * Set the state cookie and answer with the provider URL
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} data - startAuthorization result data
+ * @param {string} message - Response message
+ * @returns {Object} Response
+ */
+const sendAuthorization = (res, data, message) => {
+  res.cookie(STATE_COOKIE, data.stateToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // lax: the callback page is reached by a cross-site redirect from the provider
+    sameSite: 'lax',
+    path: STATE_COOKIE_PATH,
+    maxAge: Math.max(new Date(data.expiresAt).getTime() - Date.now(), 0)
+  });
+
+  return success(res, {
+    provider: data.provider,
+    authorizationUrl: data.authorizationUrl
+  }, message);
+};
+
+/**
+ * List the providers users can sign in with
+ * GET /api/auth/oidc/providers
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const listProviders = (req, res) => {
+  return success(res, { providers: oidcService.listProviders() }, 'Sign-in providers retrieved successfully');
+};
+
+/**
+ * Start signing in with a provider
+ * POST /api/auth/oidc/:provider/authorize
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const authorize = async (req, res) => {
+  try {
+    // Call OIDC service
+    const result = await oidcService.startAuthorization(req.params.provider, { intent: 'login' });
+
+    if (result.success) {
+      return sendAuthorization(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in authorize controller', error, { provider: req.params.provider, ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error while starting sign-in', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Start linking a provider account to the current user
+ * POST /api/auth/oidc/:provider/link
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const startLink = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call OIDC service
+    const result = await oidcService.startAuthorization(req.params.provider, { intent: 'link', userId });
+
+    if (result.success) {
+      return sendAuthorization(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in startLink controller', error, { userId: req.user?.userId, provider: req.params.provider });
+    return internalServerError(res, 'Internal server error while starting identity link', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Finish a sign-in or link when the provider redirected back
+ * POST /api/auth/oidc/callback
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const callback = async (req, res) => {
+  try {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    // Call OIDC service
+    const result = await oidcService.completeAuthorization(req.body, {
+      stateToken: req.cookies?.[STATE_COOKIE],
+      currentUserId: req.user?.userId || null,
+      ipAddress,
+      userAgent
+    });
+
+    // The state is single use either way
+    res.clearCookie(STATE_COOKIE, { path: STATE_COOKIE_PATH });
+
+    if (!result.success) {
+      logAuth('OIDC sign-in failed', req.user?.userId || null, { reason: result.message, ipAddress });
+      return sendFailure(res, result);
+    }
+
+    // Identity linked to the logged-in user
+    if (result.data.identity) {
+      return success(res, result.data, result.message);
+    }
+
+    // Provider accepted, but the login must be finished at /api/auth/mfa/verify
+    if (result.data.mfaRequired) {
+      logAuth('OIDC login awaiting second factor', null, { enrollmentRequired: result.data.enrollmentRequired, ipAddress });
+      return success(res, result.data, result.message);
+    }
+
+    // Password expired: the login must be finished at /api/auth/password/expired
+    if (result.data.passwordChangeRequired) {
+      logAuth('OIDC login awaiting password change', null, { ipAddress });
+      return success(res, result.data, result.message);
+    }
+
+    // Set HTTP-only cookie for refresh token, as a password login does
+    const rememberMe = result.data.tokens.expiresIn === '30d';
+    res.cookie('refreshToken', result.data.tokens.refreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict',
+      maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000
+    });
+
+    logAuth('User login successful', result.data.user.id, { method: 'oidc', ipAddress });
+    return success(res, {
+      user: result.data.user,
+      tokens: {
+        accessToken: result.data.tokens.accessToken,
+        expiresIn: result.data.tokens.expiresIn
+      },
+      session: result.data.session
+    }, result.message);
+
+  } catch (error) {
+    logError('Error in OIDC callback controller', error, { ipAddress: req.ip });
+    return internalServerError(res, 'Internal server error during sign-in', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * List the provider accounts linked to the current user
+ * GET /api/auth/oidc/identities
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const listIdentities = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call OIDC service
+    const result = await oidcService.listIdentities(userId);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in listIdentities controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while retrieving linked identities', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Unlink a provider account from the current user
+ * DELETE /api/auth/oidc/identities/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const unlinkIdentity = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const identityId = parseInt(req.params.id, 10);
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    if (!Number.isInteger(identityId) || identityId < 1) {
+      return badRequest(res, 'Invalid identity ID', createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: 'id'
+      }));
+    }
+
+    // Call OIDC service
+    const result = await oidcService.unlinkIdentity(userId, identityId);
+
+    if (result.success) {
+      return success(res, null, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in unlinkIdentity controller', error, { userId: req.user?.userId, identityId: req.params.id });
+    return internalServerError(res, 'Internal server error while unlinking identity', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  listProviders,
+  authorize,
+  startLink,
+  callback,
+  listIdentities,
+  unlinkIdentity
+};
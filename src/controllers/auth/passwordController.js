@@ -13,6 +13,8 @@
  */
 
 const passwordService = require('../../services/auth/passwordService');
+const passwordPolicyService = require('../../services/auth/passwordPolicyService');
+const authService = require('../../services/auth/authService');
 const { success, error, badRequest, unauthorized } = require('../../utils/apiResponse');
 const { logError, logAuth, logSecurity } = require('../../utils/logger');
 const { ERROR_CODES, createError } = require('../../utils/errorCodes');
@@ -46,7 +48,7 @@ const changePassword = async (req, res) => {
     }
 
     logSecurity('Password change attempt failed', { userId, reason: result.message, ipAddress: req.ip });
-    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+    return badRequest(res, result.message, createError(result.code || ERROR_CODES.VALIDATION_FAILED.code, {
       field: result.field,
       details: result.errors
     }));
@@ -63,7 +65,7 @@ const changePassword = async (req, res) => {
 
 /**
  * Request password reset
- * POST /api/auth/password/reset-request
+ * POST /api/auth/password/forgot
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -131,7 +133,7 @@ const resetPassword = async (req, res) => {
     }
 
     logSecurity('Password reset attempt failed', { reason: result.message, ipAddress, token: body.token?.substring(0, 10) + '...' });
-    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+    return badRequest(res, result.message, createError(result.code || ERROR_CODES.VALIDATION_FAILED.code, {
       field: result.field,
       details: result.errors
     }));
@@ -148,7 +150,7 @@ const resetPassword = async (req, res) => {
 
 /**
  * Validate password reset token
- * POST /api/auth/password/validate-token
+ * GET /api/auth/password/reset/:token/verify
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -156,24 +158,25 @@ const resetPassword = async (req, res) => {
  */
 const validateResetToken = async (req, res) => {
   try {
-    const { body } = req;
+    // The token comes from the URL (GET .../reset/:token/verify) or the body
+    const data = { ...req.body, ...req.params };
 
     // Call password service
-    const result = await passwordService.validateResetToken(body);
+    const result = await passwordService.validateResetToken(data);
 
     if (result.success) {
-      logAuth('Password reset token validated', null, { token: body.token?.substring(0, 10) + '...' });
+      logAuth('Password reset token validated', null, { token: data.token?.substring(0, 10) + '...' });
       return success(res, result.data, result.message);
     }
 
-    logSecurity('Invalid password reset token used', { token: body.token?.substring(0, 10) + '...', ipAddress: req.ip });
+    logSecurity('Invalid password reset token used', { token: data.token?.substring(0, 10) + '...', ipAddress: req.ip });
     return badRequest(res, result.message, createError(ERROR_CODES.TOKEN_INVALID.code, {
       field: result.field,
       details: result.errors
     }));
 
   } catch (error) {
-    logError('Error in validateResetToken controller', error, { token: req.body.token?.substring(0, 10) + '...' });
+    logError('Error in validateResetToken controller', error, { token: (req.params.token || req.body?.token)?.substring(0, 10) + '...' });
     return res.status(500).json({
       success: false,
       message: 'Internal server error during token validation',
@@ -358,6 +361,9 @@ const getPasswordRequirements = async (req, res) => {
       requireLowercase: config.security?.password?.requireLowercase || false,
       requireNumbers: config.security?.password?.requireNumbers || false,
       requireSpecialChars: config.security?.password?.requireSpecial || false,
+      rejectBreachedPasswords: Boolean(config.breachedPasswords?.corpusPath),
+      passwordHistoryCount: config.passwordPolicy?.historyCount || 0,
+      passwordMaxAgeDays: config.passwordPolicy?.maxAgeDays || 0,
       resetExpirationTime: config.auth?.passwordResetExpiresIn || '15m',
       maxResetAttempts: 3,
       resetCooldownPeriod: '15m'
@@ -385,6 +391,183 @@ const getPasswordRequirements = async (req, res) => {
   }
 };
 
+/**
+ * Finish a login that used an expired password
+ * POST /api/auth/password/expired
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const changeExpiredPassword = async (req, res) => {
+  try {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    // Call authentication service
+    const result = await authService.completeExpiredPasswordLogin(req.body, {
+      ipAddress,
+      userAgent
+    });
+
+    if (result.success) {
+      // Set HTTP-only cookie for refresh token, as a regular login does
+      const rememberMe = result.data.tokens.expiresIn === '30d';
+      res.cookie('refreshToken', result.data.tokens.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000
+      });
+
+      logAuth('User login successful', result.data.user.id, { method: 'expired_password_change', ipAddress });
+      logSecurity('Expired password changed at login', { userId: result.data.user.id, ipAddress });
+      return success(res, {
+        user: result.data.user,
+        tokens: {
+          accessToken: result.data.tokens.accessToken,
+          expiresIn: result.data.tokens.expiresIn
+        },
+        session: result.data.session
+      }, result.message);
+    }
+
+    logSecurity('Expired password change failed', { reason: result.message, ipAddress });
+
+    if (result.code === ERROR_CODES.TOKEN_INVALID.code) {
+      return unauthorized(res, result.message, createError(result.code));
+    }
+
+    return badRequest(res, result.message, createError(result.code || ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+
+  } catch (error) {
+    logError('Error in changeExpiredPassword controller', error, { ipAddress: req.ip });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during password change',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the password policy and when the user's password expires
+ * GET /api/auth/password/policy
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPasswordPolicy = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call password policy service
+    const result = await passwordPolicyService.getPasswordPolicy(userId);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return error(res, result.message, 500, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code));
+
+  } catch (error) {
+    logError('Error in getPasswordPolicy controller', error, { userId: req.user?.userId });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving password policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get when the user changed their password (no password data)
+ * GET /api/auth/password/history
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPasswordHistory = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 24);
+
+    // Call password policy service
+    const result = await passwordPolicyService.getPasswordHistory(userId, { limit });
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return error(res, result.message, 500, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code));
+
+  } catch (error) {
+    logError('Error in getPasswordHistory controller', error, { userId: req.user?.userId });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving password history',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Expire the passwords of selected users (admin only)
+ * POST /api/auth/password/admin/bulk-expire
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const bulkExpirePasswords = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+
+    if (!userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call password policy service
+    const result = await passwordPolicyService.bulkExpirePasswords(req.body, { actorId: userId });
+
+    if (result.success) {
+      logAuth('Passwords expired', userId, { expired: result.data.expired, ipAddress: req.ip });
+      return success(res, result.data, result.message);
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    return error(res, result.message, 500, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code));
+
+  } catch (error) {
+    logError('Error in bulkExpirePasswords controller', error, { userId: req.user?.userId });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while expiring passwords',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   changePassword,
   requestReset,
@@ -394,5 +577,9 @@ module.exports = {
   validatePasswordStrength,
   generatePassword,
   checkPasswordSecurity,
-  getPasswordRequirements
+  getPasswordRequirements,
+  changeExpiredPassword,
+  getPasswordPolicy,
+  getPasswordHistory,
+  bulkExpirePasswords
 };
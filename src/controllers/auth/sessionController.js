@@ -89,12 +89,17 @@ const revokeSession = async (req, res) => {
       }));
     }
 
-    // For session revocation, we'll need to extend the auth service
-    // This is a placeholder implementation
     const { SessionModel } = require('../../models');
-    const result = await SessionModel.revokeSessionById(sessionId, userId, ipAddress);
+    const session = await SessionModel.findById(sessionId);
 
-    if (result.success) {
+    // Other users' sessions look the same as missing ones
+    if (!session || session.userId !== userId) {
+      return badRequest(res, 'Session not found');
+    }
+
+    const revoked = await SessionModel.revokeSession(session.id, 'logout');
+
+    if (revoked) {
       logAuth('Session revoked', userId, { sessionId, ipAddress });
       logSecurity('Session manually revoked by user', { userId, sessionId, ipAddress });
       return success(res, {
@@ -103,7 +108,7 @@ const revokeSession = async (req, res) => {
       }, 'Session revoked successfully');
     }
 
-    return badRequest(res, result.message || 'Failed to revoke session');
+    return badRequest(res, 'Session is already revoked');
 
   } catch (error) {
     logError('Error in revokeSession controller', error, { userId: req.user?.userId, sessionId: req.params.sessionId });
@@ -221,26 +226,25 @@ const getCurrentSession = async (req, res) => {
 const updateCurrentSession = async (req, res) => {
   try {
     const userId = req.user?.userId;
-    const sessionToken = req.headers.authorization?.replace('Bearer ', '');
-    const ipAddress = req.ip || req.connection.remoteAddress;
+    const sessionId = req.user?.sessionId;
 
-    if (!userId || !sessionToken) {
+    if (!userId || !sessionId) {
       return unauthorized(res, 'Authentication required', createError(ERROR_CODES.TOKEN_MISSING.code));
     }
 
     // Update session activity
     const { SessionModel } = require('../../models');
-    const result = await SessionModel.updateActivity(sessionToken, ipAddress);
+    const updated = await SessionModel.updateLastUsed(sessionId);
 
-    if (result.success) {
-      logAuth('Session activity updated', userId, { sessionId: result.data.sessionId });
+    if (updated) {
+      logAuth('Session activity updated', userId, { sessionId });
       return success(res, {
-        sessionId: result.data.sessionId,
+        sessionId,
         lastActivityAt: getCurrentTimestamp()
       }, 'Session activity updated successfully');
     }
 
-    return badRequest(res, result.message || 'Failed to update session');
+    return badRequest(res, 'Session is no longer active');
 
   } catch (error) {
     logError('Error in updateCurrentSession controller', error, { userId: req.user?.userId });
@@ -270,13 +274,9 @@ const getSessionStats = async (req, res) => {
 
     // Get session statistics
     const { SessionModel } = require('../../models');
-    const stats = await SessionModel.getUserStatistics(userId);
-
-    if (stats.success) {
-      return success(res, stats.data, 'Session statistics retrieved successfully');
-    }
+    const stats = await SessionModel.getStatistics(userId);
 
-    return badRequest(res, stats.message || 'Failed to get session statistics');
+    return success(res, stats, 'Session statistics retrieved successfully');
 
   } catch (error) {
     logError('Error in getSessionStats controller', error, { userId: req.user?.userId });
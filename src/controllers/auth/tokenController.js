@@ -0,0 +1,65 @@
+/**
+ * File: src/controllers/auth/tokenController.js
+ * Token Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for administering issued tokens.
+ *
+ * For beginners:
+ * - Revoking a token puts its jti on the denylist until it expires
+ * - Any token type can be revoked, including reset and verification tokens
+ */
+
+const authService = require('../../services/auth/authService');
+const { success, badRequest, internalServerError } = require('../../utils/apiResponse');
+const { logError, logSecurity } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Revoke a specific token
+ * POST /api/auth/tokens/revoke
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const revokeToken = async (req, res) => {
+  try {
+    const revokedBy = req.user?.userId;
+
+    // Call authentication service
+    const result = await authService.revokeIssuedToken(req.body, { revokedBy });
+
+    if (result.success) {
+      logSecurity('Token revoked by admin', {
+        revokedBy,
+        jti: result.data.jti,
+        tokenType: result.data.tokenType,
+        tokenUserId: result.data.userId,
+        reason: req.body.reason,
+        ip: req.ip
+      });
+      return success(res, result.data, result.message);
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    return badRequest(res, result.message, createError(ERROR_CODES.TOKEN_INVALID.code, {
+      originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+    }));
+
+  } catch (error) {
+    logError('Error in revokeToken controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while revoking token', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  revokeToken
+};
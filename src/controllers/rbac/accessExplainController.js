@@ -0,0 +1,112 @@
+/**
+ * File: src/controllers/rbac/accessExplainController.js
+ * Access Explain Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for the access explanation endpoints.
+ * It returns the role/permission chain behind an access decision.
+ *
+ * For beginners:
+ * - Support staff use these endpoints to find out why a user got a 403
+ * - The simulate endpoint answers "what if this user had (or lost) a role?"
+ * - Nothing is changed in the database by either endpoint
+ */
+
+const accessExplainService = require('../../services/rbac/accessExplainService');
+const { success, badRequest, unauthorized, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send an explain/simulate service result
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendResult = (res, result) => {
+  if (result.success) {
+    return success(res, result.data, result.message);
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * Explain a user's access to a permission or role
+ * GET /api/rbac/explain
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const explainAccess = async (req, res) => {
+  try {
+    const { userId, permission, role, addRoleIds, removeRoleIds, ip } = req.query;
+
+    if (!req.user?.userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call access explain service
+    const result = await accessExplainService.explainAccess({ userId, permission, role, addRoleIds, removeRoleIds, ip });
+
+    if (result.success) {
+      logAuth('Access explanation requested', req.user.userId, { targetUserId: userId, permission, role });
+    }
+
+    return sendResult(res, result);
+
+  } catch (error) {
+    logError('Error in explainAccess controller', error, { query: req.query, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while explaining access', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Simulate role changes and explain the resulting access
+ * POST /api/rbac/explain/simulate
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const simulateAccess = async (req, res) => {
+  try {
+    const { userId, permission, role, addRoleIds = [], removeRoleIds = [], ip } = req.body;
+
+    if (!req.user?.userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call access explain service
+    const result = await accessExplainService.explainAccess({ userId, permission, role, addRoleIds, removeRoleIds, ip });
+
+    if (result.success) {
+      logAuth('Access simulation requested', req.user.userId, { targetUserId: userId, permission, role, addRoleIds, removeRoleIds });
+    }
+
+    return sendResult(res, result);
+
+  } catch (error) {
+    logError('Error in simulateAccess controller', error, { body: req.body, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while simulating access', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  explainAccess,
+  simulateAccess
+};
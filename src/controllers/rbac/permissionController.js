@@ -13,6 +13,7 @@
  */
 
 const permissionService = require('../../services/rbac/permissionService');
+const permissionDependencyService = require('../../services/rbac/permissionDependencyService');
 const { success, error, created, badRequest, unauthorized, notFound } = require('../../utils/apiResponse');
 const { logError, logAuth, logSecurity } = require('../../utils/logger');
 const { ERROR_CODES, createError } = require('../../utils/errorCodes');
@@ -21,7 +22,7 @@ const { PAGINATION } = require('../../utils/constants');
 
 /**
  * Create a new permission
- * POST /api/permissions
+ * POST /api/rbac/permissions
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -61,7 +62,7 @@ const createPermission = async (req, res) => {
 
 /**
  * Get all permissions with filtering
- * GET /api/permissions
+ * GET /api/rbac/permissions
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -121,7 +122,7 @@ const getAllPermissions = async (req, res) => {
 
 /**
  * Get permission by ID
- * GET /api/permissions/:id
+ * GET /api/rbac/permissions/:id
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -160,7 +161,7 @@ const getPermissionById = async (req, res) => {
 
 /**
  * Update permission
- * PUT /api/permissions/:id
+ * PUT /api/rbac/permissions/:id
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -209,7 +210,7 @@ const updatePermission = async (req, res) => {
 
 /**
  * Delete permission
- * DELETE /api/permissions/:id
+ * DELETE /api/rbac/permissions/:id
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -254,7 +255,7 @@ const deletePermission = async (req, res) => {
 
 /**
  * Get permissions by module
- * GET /api/permissions/module/:module
+ * GET /api/rbac/permissions/module/:module
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -297,7 +298,7 @@ const getPermissionsByModule = async (req, res) => {
 
 /**
  * Get available modules
- * GET /api/permissions/modules
+ * GET /api/rbac/permissions/modules
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -326,7 +327,7 @@ const getAvailableModules = async (req, res) => {
 
 /**
  * Create permissions for a module
- * POST /api/permissions/module/:module
+ * POST /api/rbac/permissions/module/:module
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -387,7 +388,7 @@ const createModulePermissions = async (req, res) => {
 
 /**
  * Check user permission
- * GET /api/permissions/check/:userId/:permission
+ * GET /api/rbac/permissions/check/:userId/:permission
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -404,8 +405,10 @@ const checkUserPermission = async (req, res) => {
       }));
     }
 
-    // Call permission service
-    const result = await permissionService.checkUserPermission(userId, permission);
+    // Call permission service (optional ?ip= evaluates IP-restricted grants)
+    const result = await permissionService.checkUserPermission(userId, permission, {
+      ip: req.query.ip
+    });
 
     if (result.success) {
       return success(res, result.data, 'Permission check completed');
@@ -425,8 +428,8 @@ const checkUserPermission = async (req, res) => {
 
 /**
  * Get permission statistics
- * GET /api/permissions/stats
- * GET /api/permissions/module/:module/stats
+ * GET /api/rbac/permissions/stats
+ * GET /api/rbac/permissions/module/:module/stats
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -455,9 +458,103 @@ const getPermissionStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Get permission cache statistics
+ * GET /api/rbac/permissions/cache/stats
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPermissionCacheStats = (req, res) => {
+  const result = permissionService.getPermissionCacheStats();
+  return success(res, result.data, result.message);
+};
+
+/**
+ * Get permission dependency graph
+ * GET /api/rbac/permissions/:id/dependencies
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getPermissionDependencies = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Call permission dependency service
+    const result = await permissionDependencyService.getPermissionDependencyGraph(id);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return notFound(res, result.message, createError(ERROR_CODES.RESOURCE_NOT_FOUND.code));
+
+  } catch (error) {
+    logError('Error in getPermissionDependencies controller', error, { id: req.params.id });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrieving permission dependencies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update permission dependencies
+ * PUT /api/rbac/permissions/:id/dependencies
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updatePermissionDependencies = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { requiredPermissionIds, operation } = req.body;
+    const updatedBy = req.user?.userId;
+
+    if (!updatedBy) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call permission dependency service
+    const result = await permissionDependencyService.updatePermissionDependencies(id, { requiredPermissionIds, operation }, updatedBy);
+
+    if (result.success) {
+      logAuth('Permission dependencies updated', updatedBy, { permissionId: id, operation, requiredPermissionIds });
+      logSecurity('Permission dependencies modified', { updatedBy, permissionId: id });
+      return success(res, result.data, result.message);
+    }
+
+    if (result.message === 'Permission not found') {
+      return notFound(res, result.message, createError(ERROR_CODES.RESOURCE_NOT_FOUND.code));
+    }
+
+    const errorCode = result.code === ERROR_CODES.PERMISSION_DEPENDENCY_CYCLE.code
+      ? result.code
+      : ERROR_CODES.VALIDATION_FAILED.code;
+
+    return badRequest(res, result.message, createError(errorCode, {
+      field: result.field,
+      details: result.errors
+    }));
+
+  } catch (error) {
+    logError('Error in updatePermissionDependencies controller', error, { id: req.params.id, body: req.body, updatedBy: req.user?.userId });
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error during permission dependency update',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Bulk create permissions
- * POST /api/permissions/bulk
+ * POST /api/rbac/permissions/bulk
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -513,5 +610,8 @@ module.exports = {
   createModulePermissions,
   checkUserPermission,
   getPermissionStatistics,
+  getPermissionCacheStats,
+  getPermissionDependencies,
+  updatePermissionDependencies,
   bulkCreatePermissions
 };
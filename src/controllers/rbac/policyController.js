@@ -0,0 +1,136 @@
+/**
+ * File: src/controllers/rbac/policyController.js
+ * Policy Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for exporting and importing the RBAC policy
+ * (roles, permissions and role grants) as JSON or YAML documents.
+ *
+ * For beginners:
+ * - Export returns the document in the response, or as a file with ?download=true
+ * - Import is a dry run unless dryRun is false in the request body
+ * - A failed import changes nothing; the whole transaction is rolled back
+ */
+
+const policyService = require('../../services/rbac/policyService');
+const { success, badRequest, unauthorized, conflict, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  yaml: 'application/yaml'
+};
+
+/**
+ * Export the RBAC policy
+ * GET /api/rbac/policy/export
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const exportPolicy = async (req, res) => {
+  try {
+    const { format = 'json', download } = req.query;
+
+    if (!req.user?.userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call policy service
+    const result = await policyService.exportPolicy({ format });
+
+    if (result.success) {
+      logAuth('RBAC policy exported', req.user.userId, { format: result.data.format });
+
+      if (download === 'true') {
+        const date = new Date().toISOString().slice(0, 10);
+        res.set('Content-Type', CONTENT_TYPES[result.data.format]);
+        res.set('Content-Disposition', `attachment; filename="rbac-policy-${date}.${result.data.format}"`);
+        return res.status(200).send(result.data.content);
+      }
+
+      return success(res, result.data, result.message);
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+    }));
+
+  } catch (error) {
+    logError('Error in exportPolicy controller', error, { query: req.query, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while exporting policy', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Import an RBAC policy (dry run by default)
+ * POST /api/rbac/policy/import
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const importPolicy = async (req, res) => {
+  try {
+    const { document, content, format, dryRun, prune } = req.body;
+
+    if (!req.user?.userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call policy service
+    const result = await policyService.importPolicy({ document, content, format, dryRun, prune }, req.user.userId);
+
+    if (result.success) {
+      if (!result.data.dryRun) {
+        logAuth('RBAC policy imported', req.user.userId, { prune: result.data.prune, summary: result.data.summary });
+      }
+      return success(res, result.data, result.message);
+    }
+
+    if (result.code === ERROR_CODES.POLICY_IMPORT_FAILED.code) {
+      return conflict(res, result.message, createError(result.code, {
+        details: { errors: result.errors, plan: result.data }
+      }));
+    }
+
+    if (result.code === ERROR_CODES.POLICY_INVALID.code) {
+      return badRequest(res, result.message, createError(result.code, {
+        field: result.field,
+        details: { errors: result.errors, plan: result.data }
+      }));
+    }
+
+    if (result.errors) {
+      return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+        field: result.field,
+        details: result.errors
+      }));
+    }
+
+    return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+    }));
+
+  } catch (error) {
+    logError('Error in importPolicy controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while importing policy', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  exportPolicy,
+  importPolicy
+};
@@ -0,0 +1,231 @@
+/**
+ * File: src/controllers/rbac/roleConstraintController.js
+ * Role Constraint Controller - HTTP Request Handlers
+ *
+ * This file handles HTTP requests for separation-of-duties rules between
+ * roles and the report of users who currently break them.
+ *
+ * For beginners:
+ * - mutually_exclusive rules stop one user from holding both roles
+ * - prerequisite rules make a user hold one role before getting another
+ * - The rules are enforced when roles are assigned, bulk assigned or transferred
+ */
+
+const roleConstraintService = require('../../services/rbac/roleConstraintService');
+const { success, created, badRequest, unauthorized, notFound, conflict, internalServerError } = require('../../utils/apiResponse');
+const { logError, logAuth, logSecurity } = require('../../utils/logger');
+const { ERROR_CODES, createError } = require('../../utils/errorCodes');
+
+/**
+ * Send a failed service result with the matching status
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} result - Service result
+ * @returns {Object} Response
+ */
+const sendFailure = (res, result) => {
+  if (result.code === ERROR_CODES.ROLE_CONSTRAINT_CONFLICT.code) {
+    return conflict(res, result.message, createError(result.code, {
+      details: result.data.conflicts
+    }));
+  }
+
+  if (result.errors) {
+    return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
+      field: result.field,
+      details: result.errors
+    }));
+  }
+
+  if (/not found/i.test(result.message)) {
+    return notFound(res, result.message, createError(ERROR_CODES.RESOURCE_NOT_FOUND.code, {
+      field: result.field
+    }));
+  }
+
+  return internalServerError(res, result.message, createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+    originalError: process.env.NODE_ENV === 'development' ? result.error : undefined
+  }));
+};
+
+/**
+ * List role constraints
+ * GET /api/rbac/role-constraints
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getConstraints = async (req, res) => {
+  try {
+    if (!req.user?.userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call role constraint service
+    const result = await roleConstraintService.getConstraints(req.query);
+
+    if (result.success) {
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in getConstraints controller', error, { query: req.query, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while retrieving role constraints', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Create a role constraint
+ * POST /api/rbac/role-constraints
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const createConstraint = async (req, res) => {
+  try {
+    const createdBy = req.user?.userId;
+
+    if (!createdBy) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call role constraint service
+    const result = await roleConstraintService.createConstraint(req.body, createdBy);
+
+    if (result.success) {
+      logAuth('Role constraint created', createdBy, { constraintId: result.data.id });
+      logSecurity('Separation-of-duties rule added', {
+        createdBy,
+        constraintType: result.data.constraintType,
+        roleId: result.data.roleId,
+        relatedRoleId: result.data.relatedRoleId
+      });
+      return created(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in createConstraint controller', error, { body: req.body, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while creating role constraint', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Update a role constraint
+ * PUT /api/rbac/role-constraints/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const updateConstraint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updatedBy = req.user?.userId;
+
+    if (!updatedBy) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call role constraint service
+    const result = await roleConstraintService.updateConstraint(id, req.body, updatedBy);
+
+    if (result.success) {
+      logAuth('Role constraint updated', updatedBy, { constraintId: result.data.id, isActive: result.data.isActive });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in updateConstraint controller', error, { constraintId: req.params.id, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while updating role constraint', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Delete a role constraint
+ * DELETE /api/rbac/role-constraints/:id
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const deleteConstraint = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const deletedBy = req.user?.userId;
+
+    if (!deletedBy) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call role constraint service
+    const result = await roleConstraintService.deleteConstraint(id);
+
+    if (result.success) {
+      logAuth('Role constraint deleted', deletedBy, { constraintId: result.data.id });
+      logSecurity('Separation-of-duties rule removed', { deletedBy, constraintId: result.data.id });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in deleteConstraint controller', error, { constraintId: req.params.id, userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while deleting role constraint', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+/**
+ * Report users whose roles break a role constraint
+ * GET /api/rbac/role-constraints/violations
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+const getViolationsReport = async (req, res) => {
+  try {
+    if (!req.user?.userId) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code));
+    }
+
+    // Call role constraint service
+    const result = await roleConstraintService.getViolationsReport();
+
+    if (result.success) {
+      logAuth('Role constraint violations report generated', req.user.userId, { totalViolations: result.data.totalViolations });
+      return success(res, result.data, result.message);
+    }
+
+    return sendFailure(res, result);
+
+  } catch (error) {
+    logError('Error in getViolationsReport controller', error, { userId: req.user?.userId });
+    return internalServerError(res, 'Internal server error while building violations report', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+      originalError: process.env.NODE_ENV === 'development' ? error.message : undefined
+    }));
+  }
+};
+
+module.exports = {
+  getConstraints,
+  createConstraint,
+  updateConstraint,
+  deleteConstraint,
+  getViolationsReport
+};
@@ -13,7 +13,7 @@
  */
 
 const roleService = require('../../services/rbac/roleService');
-const { success, created, badRequest, unauthorized, notFound, internalServerError } = require('../../utils/apiResponse');
+const { success, created, badRequest, unauthorized, notFound, conflict, internalServerError } = require('../../utils/apiResponse');
 const { ERROR_CODES, createError } = require('../../utils/errorCodes');
 const { logError, logAuth, logSecurity } = require('../../utils/logger');
 const { calculatePagination, isEmpty } = require('../../utils/helpers');
@@ -21,7 +21,7 @@ const { PAGINATION } = require('../../utils/constants');
 
 /**
  * Create a new role
- * POST /api/roles
+ * POST /api/rbac/roles
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -62,7 +62,7 @@ const createRole = async (req, res) => {
 
 /**
  * Get all roles with filtering
- * GET /api/roles
+ * GET /api/rbac/roles
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -119,7 +119,7 @@ const getAllRoles = async (req, res) => {
 
 /**
  * Get role by ID
- * GET /api/roles/:id
+ * GET /api/rbac/roles/:id
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -166,7 +166,7 @@ const getRoleById = async (req, res) => {
 
 /**
  * Update role
- * PUT /api/roles/:id
+ * PUT /api/rbac/roles/:id
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -217,7 +217,7 @@ const updateRole = async (req, res) => {
 
 /**
  * Delete role
- * DELETE /api/roles/:id
+ * DELETE /api/rbac/roles/:id
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -263,7 +263,7 @@ const deleteRole = async (req, res) => {
 
 /**
  * Assign permissions to role
- * POST /api/roles/:id/permissions
+ * POST /api/rbac/roles/:id/permissions
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -272,7 +272,7 @@ const deleteRole = async (req, res) => {
 const assignPermissions = async (req, res) => {
   try {
     const { id } = req.params;
-    const { permissionIds } = req.body;
+    const { permissionIds, conditions, expiresAt, autoGrantDependencies } = req.body;
     const assignedBy = req.user?.userId;
 
     if (!assignedBy) {
@@ -294,7 +294,7 @@ const assignPermissions = async (req, res) => {
     }
 
     // Call role service
-    const result = await roleService.assignPermissions(id, permissionIds, assignedBy);
+    const result = await roleService.assignPermissions(id, permissionIds, assignedBy, { conditions, expiresAt, autoGrantDependencies });
 
     if (result.success) {
       logAuth('Permissions assigned to role', assignedBy, { roleId: id, permissionsCount: permissionIds.length });
@@ -302,6 +302,13 @@ const assignPermissions = async (req, res) => {
       return success(res, result.data, result.message);
     }
 
+    if (result.code === ERROR_CODES.PERMISSION_DEPENDENCY_UNSATISFIED.code) {
+      return conflict(res, result.message, createError(result.code, {
+        details: 'Grant the missing prerequisites first or set autoGrantDependencies',
+        missing: result.data.missing
+      }));
+    }
+
     return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, 'Permission assignment failed', {
       field: result.field,
       validationErrors: result.errors
@@ -321,7 +328,7 @@ const assignPermissions = async (req, res) => {
 
 /**
  * Remove permissions from role
- * DELETE /api/roles/:id/permissions
+ * DELETE /api/rbac/roles/:id/permissions
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -330,7 +337,7 @@ const assignPermissions = async (req, res) => {
 const removePermissions = async (req, res) => {
   try {
     const { id } = req.params;
-    const { permissionIds } = req.body;
+    const { permissionIds, cascade } = req.body;
     const removedBy = req.user?.userId;
 
     if (!removedBy) {
@@ -352,7 +359,7 @@ const removePermissions = async (req, res) => {
     }
 
     // Call role service
-    const result = await roleService.removePermissions(id, permissionIds, removedBy);
+    const result = await roleService.removePermissions(id, permissionIds, removedBy, { cascade });
 
     if (result.success) {
       logAuth('Permissions removed from role', removedBy, { roleId: id, permissionsCount: permissionIds.length });
@@ -360,6 +367,13 @@ const removePermissions = async (req, res) => {
       return success(res, result.data, result.message);
     }
 
+    if (result.code === ERROR_CODES.PERMISSION_DEPENDENCY_IN_USE.code) {
+      return conflict(res, result.message, createError(result.code, {
+        details: 'Remove the dependent permissions first or set cascade',
+        dependents: result.data.dependents
+      }));
+    }
+
     return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, 'Permission removal failed', {
       field: result.field,
       validationErrors: result.errors
@@ -379,7 +393,7 @@ const removePermissions = async (req, res) => {
 
 /**
  * Get role permissions
- * GET /api/roles/:id/permissions
+ * GET /api/rbac/roles/:id/permissions
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -424,7 +438,7 @@ const getRolePermissions = async (req, res) => {
 
 /**
  * Get role hierarchy
- * GET /api/roles/:id/hierarchy
+ * GET /api/rbac/roles/:id/hierarchy
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -469,7 +483,7 @@ const getRoleHierarchy = async (req, res) => {
 
 /**
  * Duplicate role
- * POST /api/roles/:id/duplicate
+ * POST /api/rbac/roles/:id/duplicate
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -520,8 +534,8 @@ const duplicateRole = async (req, res) => {
 
 /**
  * Get role statistics
- * GET /api/roles/stats
- * GET /api/roles/:id/stats
+ * GET /api/rbac/roles/stats
+ * GET /api/rbac/roles/:id/stats
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -553,7 +567,7 @@ const getRoleStatistics = async (req, res) => {
 
 /**
  * Bulk create roles
- * POST /api/roles/bulk
+ * POST /api/rbac/roles/bulk
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -13,15 +13,26 @@
  */
 
 const userRoleService = require('../../services/rbac/userRoleService');
-const { success, error, created, badRequest, unauthorized, notFound } = require('../../utils/apiResponse');
+const { success, error, created, badRequest, unauthorized, notFound, conflict } = require('../../utils/apiResponse');
 const { logError, logAuth, logSecurity } = require('../../utils/logger');
 const { ERROR_CODES, createError } = require('../../utils/errorCodes');
 const { calculatePagination, isEmpty } = require('../../utils/helpers');
 const { PAGINATION } = require('../../utils/constants');
 
+/**
+ * Check whether a service result failed on a separation-of-duties rule
+ *
+ * @param {Object} result - Service result
+ * @returns {boolean} True for role constraint violations
+ */
+const isRoleConstraintViolation = (result) => [
+  ERROR_CODES.ROLE_MUTUALLY_EXCLUSIVE.code,
+  ERROR_CODES.ROLE_PREREQUISITE_MISSING.code
+].includes(result.code);
+
 /**
  * Assign role to user
- * POST /api/user-roles/assign
+ * POST /api/rbac/user-roles/assign
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -52,6 +63,12 @@ const assignRole = async (req, res) => {
       return created(res, result.data, result.message);
     }
 
+    if (isRoleConstraintViolation(result)) {
+      return conflict(res, result.message, createError(result.code, {
+        details: result.data.violations
+      }));
+    }
+
     return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
       field: result.field,
       details: result.errors
@@ -69,7 +86,7 @@ const assignRole = async (req, res) => {
 
 /**
  * Revoke role from user
- * POST /api/user-roles/revoke
+ * POST /api/rbac/user-roles/revoke
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -117,7 +134,7 @@ const revokeRole = async (req, res) => {
 
 /**
  * Get user's roles
- * GET /api/user-roles/user/:userId
+ * GET /api/rbac/user-roles/user/:userId
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -162,7 +179,7 @@ const getUserRoles = async (req, res) => {
 
 /**
  * Get role's assigned users
- * GET /api/user-roles/role/:roleId
+ * GET /api/rbac/user-roles/role/:roleId
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -215,7 +232,7 @@ const getRoleUsers = async (req, res) => {
 
 /**
  * Check if user has specific role
- * GET /api/user-roles/check/:userId/:roleId
+ * GET /api/rbac/user-roles/check/:userId/:roleId
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -253,7 +270,7 @@ const checkUserRole = async (req, res) => {
 
 /**
  * Set user's primary role
- * PUT /api/user-roles/primary
+ * PUT /api/rbac/user-roles/primary
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -301,7 +318,7 @@ const setPrimaryRole = async (req, res) => {
 
 /**
  * Get user's primary role
- * GET /api/user-roles/primary/:userId
+ * GET /api/rbac/user-roles/primary/:userId
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -339,7 +356,7 @@ const getUserPrimaryRole = async (req, res) => {
 
 /**
  * Get user permissions from all assigned roles
- * GET /api/user-roles/permissions/:userId
+ * GET /api/rbac/user-roles/permissions/:userId
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -382,7 +399,7 @@ const getUserPermissions = async (req, res) => {
 
 /**
  * Transfer user roles to another user
- * POST /api/user-roles/transfer
+ * POST /api/rbac/user-roles/transfer
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -413,6 +430,12 @@ const transferUserRoles = async (req, res) => {
       return success(res, result.data, result.message);
     }
 
+    if (isRoleConstraintViolation(result)) {
+      return conflict(res, result.message, createError(result.code, {
+        details: result.data.violations
+      }));
+    }
+
     return badRequest(res, result.message, createError(ERROR_CODES.VALIDATION_FAILED.code, {
       field: result.field,
       details: result.errors
@@ -430,7 +453,7 @@ const transferUserRoles = async (req, res) => {
 
 /**
  * Bulk assign roles to multiple users
- * POST /api/user-roles/bulk-assign
+ * POST /api/rbac/user-roles/bulk-assign
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -476,8 +499,8 @@ const bulkAssignRoles = async (req, res) => {
 
 /**
  * Get user role statistics
- * GET /api/user-roles/stats
- * GET /api/user-roles/stats/:userId
+ * GET /api/rbac/user-roles/stats
+ * GET /api/rbac/user-roles/stats/:userId
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
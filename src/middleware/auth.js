@@ -12,16 +12,113 @@
  * - Integrates with MySQL2 models for user verification
  */
 
-const { jwtService } = require('../services/auth/jwtService');
+const jwtService = require('../services/auth/jwtService');
+const apiKeyService = require('../services/auth/apiKeyService');
+const tokenDenylist = require('../services/auth/tokenDenylistService');
+const rateLimitStore = require('../services/auth/rateLimitStoreService');
 const { UserModel, SessionModel } = require('../models');
-const { unauthorized, forbidden, internalServerError, tooManyRequests } = require('../utils/apiResponse');
+const { error, unauthorized, forbidden, internalServerError, tooManyRequests } = require('../utils/apiResponse');
 const { ERROR_CODES, createError } = require('../utils/errorCodes');
 const { logError, logAuth, logSecurity } = require('../utils/logger');
 const { isEmpty, getCurrentTimestamp } = require('../utils/helpers');
+const config = require('../../config/environment');
+
+/**
+ * Get an API key from the request
+ * Accepts "Authorization: ApiKey <key>" or the X-API-Key header
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} API key or null if none was sent
+ */
+const getApiKeyFromRequest = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice(7).trim();
+  }
+
+  return req.headers['x-api-key'] || null;
+};
+
+/**
+ * Authenticate a request with an API key
+ * The key acts as its owner; req.user.apiKey carries the scopes that
+ * requirePermission intersects with the owner's permissions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @param {string} key - Presented API key
+ * @returns {Promise<void>}
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const result = await apiKeyService.authenticateApiKey(key, { ipAddress: req.ip });
+
+  if (!result.success) {
+    if (!result.code) {
+      throw new Error(result.error || result.message);
+    }
+
+    logSecurity('Rejected API key attempt', {
+      code: result.code,
+      apiKeyId: result.data?.apiKeyId,
+      userId: result.data?.userId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    return error(res, result.message, ERROR_CODES[result.code].httpStatus, createError(result.code, result.message));
+  }
+
+  const { apiKey, user } = result.data;
+
+  req.user = {
+    userId: user.id,
+    email: user.email,
+    isVerified: user.isVerified,
+    sessionId: null,
+    apiKey: {
+      id: apiKey.id,
+      name: apiKey.name,
+      scopes: apiKey.scopes
+    }
+  };
+
+  logAuth('API key authenticated', user.id, {
+    apiKeyId: apiKey.id,
+    ip: req.ip
+  });
+
+  next();
+};
+
+/**
+ * Check the impersonation an access token was issued for
+ * The impersonation ends as soon as the staff member's own session does
+ *
+ * @param {Object} decoded - Verified access token payload with impersonatorId
+ * @param {Object} session - Session of the token
+ * @returns {Promise<Object|null>} { impersonatorId, impersonatorSessionId }, or null if no longer valid
+ */
+const resolveImpersonation = async (decoded, session) => {
+  if (session.impersonatorId !== decoded.impersonatorId) {
+    return null;
+  }
+
+  const impersonatorSession = await SessionModel.findById(session.impersonatorSessionId);
+
+  if (!impersonatorSession || !impersonatorSession.isActive || impersonatorSession.user?.isActive === false) {
+    return null;
+  }
+
+  return {
+    impersonatorId: session.impersonatorId,
+    impersonatorSessionId: session.impersonatorSessionId
+  };
+};
 
 /**
  * Authenticate JWT token middleware
  * Validates JWT token and sets user in request object
+ * Requests carrying an API key instead are authenticated with that key
  *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -30,6 +127,11 @@ const { isEmpty, getCurrentTimestamp } = require('../utils/helpers');
  */
 const authenticateToken = async (req, res, next) => {
   try {
+    const apiKey = getApiKeyFromRequest(req);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.startsWith('Bearer ')
       ? authHeader.slice(7)
@@ -39,8 +141,8 @@ const authenticateToken = async (req, res, next) => {
       return unauthorized(res, 'Access token is required', createError(ERROR_CODES.TOKEN_MISSING.code, 'Authorization header with Bearer token is required'));
     }
 
-    // Verify JWT token
-    const decoded = jwtService.verifyAccessToken(token);
+    // Verify JWT token (the denylist is checked below to report revocation separately)
+    const decoded = await jwtService.verifyAccessToken(token, { checkRevoked: false });
 
     if (!decoded) {
       logSecurity('Invalid token attempt', {
@@ -51,6 +153,16 @@ const authenticateToken = async (req, res, next) => {
       return unauthorized(res, 'Invalid or expired token', createError(ERROR_CODES.TOKEN_INVALID.code, 'The provided token is invalid or has expired'));
     }
 
+    // Reject revoked tokens before touching users or sessions
+    if (await tokenDenylist.isRevoked(decoded.jti)) {
+      logSecurity('Revoked token attempt', {
+        userId: decoded.userId,
+        jti: decoded.jti,
+        ip: req.ip
+      });
+      return unauthorized(res, 'Token has been revoked', createError(ERROR_CODES.TOKEN_REVOKED.code, 'The provided token has been revoked'));
+    }
+
     // Check if user exists and is active
     const user = await UserModel.findById(decoded.userId);
 
@@ -77,17 +189,44 @@ const authenticateToken = async (req, res, next) => {
       return unauthorized(res, 'Session expired or invalid', createError(ERROR_CODES.TOKEN_EXPIRED.code, 'User session has expired or is invalid'));
     }
 
+    // Impersonation tokens only work while the staff member's own session does
+    const impersonation = decoded.impersonatorId ? await resolveImpersonation(decoded, session) : null;
+
+    if (decoded.impersonatorId && !impersonation) {
+      logSecurity('Invalid impersonation session attempt', {
+        userId: decoded.userId,
+        impersonatorId: decoded.impersonatorId,
+        sessionId: session.id,
+        ip: req.ip
+      });
+      return unauthorized(res, 'Impersonation has ended', createError(ERROR_CODES.TOKEN_EXPIRED.code, 'The impersonating session has ended or is invalid'));
+    }
+
     // Update session activity
-    await SessionModel.updateActivity(token, req.ip);
+    await SessionModel.updateLastUsed(session.id);
 
     // Set user information in request
     req.user = {
       userId: user.id,
       email: user.email,
       isVerified: user.isVerified,
-      sessionId: session.id
+      sessionId: session.id,
+      authTime: decoded.auth_time,
+      ...impersonation
     };
 
+    if (impersonation) {
+      // Audit trail: every request made while impersonating
+      logSecurity('Impersonated request', {
+        userId: user.id,
+        impersonatorId: impersonation.impersonatorId,
+        sessionId: session.id,
+        method: req.method,
+        endpoint: req.originalUrl,
+        ip: req.ip
+      });
+    }
+
     logAuth('Token authenticated', decoded.userId, {
       sessionId: session.id,
       ip: req.ip
@@ -127,7 +266,7 @@ const optionalAuth = async (req, res, next) => {
     }
 
     // Try to verify token, but don't fail if invalid
-    const decoded = jwtService.verifyAccessToken(token);
+    const decoded = await jwtService.verifyAccessToken(token);
 
     if (decoded) {
       const user = await UserModel.findById(decoded.userId);
@@ -135,14 +274,31 @@ const optionalAuth = async (req, res, next) => {
       if (user && user.isActive) {
         const session = await SessionModel.findByToken(token);
 
-        if (session && session.isActive) {
+        const impersonation = session && session.isActive && decoded.impersonatorId
+          ? await resolveImpersonation(decoded, session)
+          : null;
+
+        if (session && session.isActive && (!decoded.impersonatorId || impersonation)) {
           req.user = {
             userId: user.id,
             email: user.email,
             isVerified: user.isVerified,
-            sessionId: session.id
+            sessionId: session.id,
+            authTime: decoded.auth_time,
+            ...impersonation
           };
 
+          if (impersonation) {
+            logSecurity('Impersonated request', {
+              userId: user.id,
+              impersonatorId: impersonation.impersonatorId,
+              sessionId: session.id,
+              method: req.method,
+              endpoint: req.originalUrl,
+              ip: req.ip
+            });
+          }
+
           logAuth('Optional auth successful', decoded.userId, {
             sessionId: session.id,
             ip: req.ip
@@ -163,6 +319,90 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require a login session middleware
+ * Rejects requests authenticated with an API key, e.g. for managing API keys
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+const requireSessionAuth = (req, res, next) => {
+  if (!req.user) {
+    return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code, 'User authentication is required'));
+  }
+
+  if (req.user.apiKey) {
+    logSecurity('API key used on a session-only endpoint', {
+      userId: req.user.userId,
+      apiKeyId: req.user.apiKey.id,
+      endpoint: req.path,
+      ip: req.ip
+    });
+    return forbidden(res, 'This endpoint requires a login session', createError(ERROR_CODES.SESSION_AUTH_REQUIRED.code, 'API keys cannot be used for this endpoint'));
+  }
+
+  next();
+};
+
+/**
+ * Block sensitive account actions while impersonating
+ * Staff may look around as the user but not change their credentials,
+ * security settings or sessions
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ * @returns {void}
+ */
+const blockDuringImpersonation = (req, res, next) => {
+  if (req.user && req.user.impersonatorId) {
+    logSecurity('Blocked action while impersonating', {
+      userId: req.user.userId,
+      impersonatorId: req.user.impersonatorId,
+      method: req.method,
+      endpoint: req.originalUrl,
+      ip: req.ip
+    });
+    return forbidden(res, 'This action is not allowed while impersonating', createError(ERROR_CODES.IMPERSONATION_ACTION_BLOCKED.code));
+  }
+
+  next();
+};
+
+/**
+ * Require a recent authentication for sensitive actions
+ * A valid access token is not enough: the user must have entered their
+ * password or authenticator code (auth_time claim) within maxAge seconds.
+ * Tokens without auth_time (API keys, impersonation) never qualify
+ *
+ * @param {number} maxAge - Maximum age of the authentication in seconds
+ * @returns {Function} Middleware function
+ */
+const requireRecentAuth = (maxAge = config.auth.reauthMaxAge) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code, 'User authentication is required'));
+    }
+
+    const authAge = req.user.authTime ? Math.floor(Date.now() / 1000) - req.user.authTime : null;
+
+    if (authAge === null || authAge > maxAge) {
+      logSecurity('Recent authentication required', {
+        userId: req.user.userId,
+        authAge,
+        maxAge,
+        endpoint: req.originalUrl,
+        ip: req.ip
+      });
+      return forbidden(res, 'Please confirm your password to continue', createError(ERROR_CODES.REAUTHENTICATION_REQUIRED.code, { details: { maxAge } }));
+    }
+
+    next();
+  };
+};
+
 /**
  * Require email verification middleware
  * Ensures user has verified their email address
@@ -234,7 +474,7 @@ const validateRefreshToken = async (req, res, next) => {
       return unauthorized(res, 'Refresh token is required', createError(ERROR_CODES.TOKEN_MISSING.code, 'Refresh token must be provided in request body or cookies'));
     }
 
-    const decoded = jwtService.verifyRefreshToken(refreshToken);
+    const decoded = await jwtService.verifyRefreshToken(refreshToken);
 
     if (!decoded) {
       logSecurity('Invalid refresh token attempt', {
@@ -280,57 +520,53 @@ const validateRefreshToken = async (req, res, next) => {
 
 /**
  * Rate limiting for authentication endpoints
- * Limits login attempts per IP address
+ * Limits login attempts per IP address and route
+ * Attempts are counted in the shared rate limit store, so every instance sees them
  *
  * @param {number} maxAttempts - Maximum attempts per window
  * @param {number} windowMinutes - Time window in minutes
  * @returns {Function} Middleware function
  */
 const createAuthRateLimit = (maxAttempts = 5, windowMinutes = 15) => {
-  const attempts = new Map();
-
-  return (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    const windowMs = windowMinutes * 60 * 1000;
-
-    // Clean up old entries
-    for (const [key, value] of attempts.entries()) {
-      if (now - value.firstAttempt > windowMs) {
-        attempts.delete(key);
-      }
-    }
-
-    // Get current attempts for this IP
-    let ipAttempts = attempts.get(ip) || { count: 0, firstAttempt: now };
+  const windowMs = windowMinutes * 60 * 1000;
+  const name = `auth-attempts:${maxAttempts}:${windowMinutes}`;
+
+  return async (req, res, next) => {
+    try {
+      const ip = req.ip || req.connection.remoteAddress;
+      const route = `${req.baseUrl}${req.route ? req.route.path : ''}`;
+      const key = `${route}:${ip}`;
+      const now = Date.now();
+
+      const { totalHits, resetTime } = await rateLimitStore.hit(name, key, windowMs);
+
+      // Check if limit exceeded (rejected attempts are not counted)
+      if (totalHits > maxAttempts) {
+        await rateLimitStore.undo(name, key, windowMs);
+
+        logSecurity('Rate limit exceeded for authentication', {
+          ip,
+          route,
+          attempts: totalHits - 1,
+          maxAttempts,
+          windowMinutes
+        });
 
-    // Reset if window has passed
-    if (now - ipAttempts.firstAttempt > windowMs) {
-      ipAttempts = { count: 0, firstAttempt: now };
-    }
+        const retryAfter = Math.ceil((resetTime.getTime() - now) / 1000);
 
-    // Check if limit exceeded
-    if (ipAttempts.count >= maxAttempts) {
-      const resetTime = new Date(ipAttempts.firstAttempt + windowMs);
+        return tooManyRequests(res, `Too many authentication attempts. Try again after ${resetTime.toLocaleTimeString()}`, retryAfter, {
+          retryAfter,
+          resetTime: resetTime.toISOString()
+        });
+      }
 
-      logSecurity('Rate limit exceeded for authentication', {
-        ip,
-        attempts: ipAttempts.count,
-        maxAttempts,
-        windowMinutes
-      });
+      next();
+    } catch (error) {
+      logError('Authentication rate limit error', error, { path: req.originalUrl });
 
-      return tooManyRequests(res, `Too many authentication attempts. Try again after ${resetTime.toLocaleTimeString()}`, Math.ceil((ipAttempts.firstAttempt + windowMs - now) / 1000), {
-        retryAfter: Math.ceil((ipAttempts.firstAttempt + windowMs - now) / 1000),
-        resetTime: resetTime.toISOString()
-      });
+      // The store already falls back to memory; don't lock everyone out on a bug here
+      next();
     }
-
-    // Increment attempt count
-    ipAttempts.count++;
-    attempts.set(ip, ipAttempts);
-
-    next();
   };
 };
 
@@ -431,7 +667,11 @@ const logAuthEvent = (eventType) => {
 
 module.exports = {
   authenticateToken,
+  authenticate: authenticateToken, // Alias used by route modules
   optionalAuth,
+  requireSessionAuth,
+  blockDuringImpersonation,
+  requireRecentAuth,
   requireEmailVerification,
   requireAuth,
   validateRefreshToken,
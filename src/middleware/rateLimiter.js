@@ -4,21 +4,40 @@
  * Configurable rate limiting middleware using express-rate-limit
  * with custom stores, key generators, and security features.
  *
+ * Every limiter counts in the shared rate limit store (Redis or MySQL), so
+ * limits hold across all instances instead of per process.
+ *
  * @author Delta-2 Development Team
  * @version 1.0.0
  */
 
+const { monitorEventLoopDelay } = require('perf_hooks');
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
-const { apiResponse } = require('../utils/apiResponse');
-const { ERROR_CODES } = require('../utils/errorCodes');
+const apiResponse = require('../utils/apiResponse');
+const { ERROR_CODES, createError } = require('../utils/errorCodes');
 const logger = require('../utils/logger');
 const config = require('../../config/environment');
+const rateLimitStore = require('../services/auth/rateLimitStoreService');
+const apiPlanService = require('../services/auth/apiPlanService');
+const database = require('../models/database');
 
 // =============================================================================
 // RATE LIMIT CONFIGURATIONS
 // =============================================================================
 
+/**
+ * Give a limiter its own counters in the shared rate limit store
+ * A limiter passing its own store keeps it
+ * @param {string} name - Limiter name (keeps counters of limiters apart)
+ * @param {Object} options - Rate limiter options
+ * @returns {Object} Options with a store
+ */
+const withStore = (name, options) => ({
+  ...options,
+  store: options.store || rateLimitStore.createStore(name, options.windowMs)
+});
+
 /**
  * Default rate limit configuration
  */
@@ -159,7 +178,7 @@ const uploadConfig = {
 /**
  * Progressive slowdown for repeated requests
  */
-const progressiveSlowDown = slowDown({
+const progressiveSlowDown = slowDown(withStore('slowdown', {
   windowMs: 15 * 60 * 1000, // 15 minutes
   delayAfter: 10, // Allow 10 requests per windowMs without delay
   delayMs: 500, // Add 500ms delay per request after delayAfter
@@ -170,7 +189,7 @@ const progressiveSlowDown = slowDown({
   skip: (req) => {
     return req.path === '/health' || req.path === '/api/health';
   }
-});
+}));
 
 // =============================================================================
 // RATE LIMITER INSTANCES
@@ -179,32 +198,32 @@ const progressiveSlowDown = slowDown({
 /**
  * General rate limiter for all routes
  */
-const generalLimiter = rateLimit(defaultConfig);
+const generalLimiter = rateLimit(withStore('general', defaultConfig));
 
 /**
  * Authentication rate limiter
  */
-const authLimiter = rateLimit(authConfig);
+const authLimiter = rateLimit(withStore('auth', authConfig));
 
 /**
  * Password reset rate limiter
  */
-const passwordResetLimiter = rateLimit(passwordResetConfig);
+const passwordResetLimiter = rateLimit(withStore('password-reset', passwordResetConfig));
 
 /**
  * API rate limiter
  */
-const apiLimiter = rateLimit(apiConfig);
+const apiLimiter = rateLimit(withStore('api', apiConfig));
 
 /**
  * Upload rate limiter
  */
-const uploadLimiter = rateLimit(uploadConfig);
+const uploadLimiter = rateLimit(withStore('upload', uploadConfig));
 
 /**
  * Strict rate limiter for sensitive operations
  */
-const strictLimiter = rateLimit({
+const strictLimiter = rateLimit(withStore('strict', {
   windowMs: 15 * 60 * 1000,
   max: 5,
   standardHeaders: true,
@@ -223,7 +242,7 @@ const strictLimiter = rateLimit({
       'Rate limit exceeded for sensitive operations',
       Math.ceil(req.rateLimit.resetTime / 1000));
   }
-});
+}));
 
 // =============================================================================
 // CUSTOM RATE LIMITERS
@@ -231,6 +250,7 @@ const strictLimiter = rateLimit({
 
 /**
  * Create custom rate limiter with specific configuration
+ * Limiters with the same options.name share their counters
  * @param {Object} options - Rate limiter options
  * @returns {Function} Express middleware function
  */
@@ -252,7 +272,7 @@ const createCustomLimiter = (options = {}) => {
     })
   };
 
-  return rateLimit(config);
+  return rateLimit(withStore(`custom:${options.name || 'custom'}`, config));
 };
 
 /**
@@ -262,7 +282,7 @@ const createCustomLimiter = (options = {}) => {
  * @returns {Function} Express middleware function
  */
 const createUserLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  return rateLimit({
+  return rateLimit(withStore(`user:${maxRequests}:${windowMs}`, {
     windowMs,
     max: maxRequests,
     standardHeaders: true,
@@ -284,7 +304,7 @@ const createUserLimiter = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
         'User rate limit exceeded, please try again later',
         Math.ceil(req.rateLimit.resetTime / 1000));
     }
-  });
+  }));
 };
 
 /**
@@ -308,7 +328,7 @@ const createIPLimiter = (whitelist = [], options = {}) => {
     }
   };
 
-  return rateLimit(config);
+  return rateLimit(withStore(`ip:${options.name || 'ip'}`, config));
 };
 
 /**
@@ -318,7 +338,7 @@ const createIPLimiter = (whitelist = [], options = {}) => {
  * @returns {Function} Express middleware function
  */
 const createEndpointLimiter = (endpoint, options = {}) => {
-  return rateLimit({
+  return rateLimit(withStore('endpoint', {
     ...defaultConfig,
     ...options,
     keyGenerator: (req) => {
@@ -338,7 +358,7 @@ const createEndpointLimiter = (endpoint, options = {}) => {
                 `Rate limit exceeded for ${endpoint}`,
                 Math.ceil(req.rateLimit.resetTime / 1000));
     }
-  });
+  }));
 };
 
 // =============================================================================
@@ -347,6 +367,7 @@ const createEndpointLimiter = (endpoint, options = {}) => {
 
 /**
  * Dynamic rate limiter based on user role
+ * For API traffic, planLimiter applies limits per plan instead
  * @param {Object} roleLimits - Limits per role
  * @returns {Function} Express middleware function
  */
@@ -358,12 +379,16 @@ const createRoleBasisLimiter = (roleLimits = {}) => {
   };
 
   const limits = { ...defaultLimits, ...roleLimits };
+  const limiters = new Map(); // role -> limiter, created once so counts carry over
+
+  const getLimiter = (userRole) => {
+    if (limiters.has(userRole)) {
+      return limiters.get(userRole);
+    }
 
-  return (req, res, next) => {
-    const userRole = req.user?.roles?.[0]?.name || 'guest';
     const roleConfig = limits[userRole] || limits.guest;
 
-    const limiter = rateLimit({
+    const limiter = rateLimit(withStore(`role:${userRole}:${roleConfig.max}:${roleConfig.windowMs}`, {
       windowMs: roleConfig.windowMs,
       max: roleConfig.max,
       standardHeaders: true,
@@ -383,56 +408,274 @@ const createRoleBasisLimiter = (roleLimits = {}) => {
                     `Rate limit exceeded for ${userRole} role`,
                     Math.ceil(req.rateLimit.resetTime / 1000));
       }
+    }));
+
+    limiters.set(userRole, limiter);
+    return limiter;
+  };
+
+  return (req, res, next) => {
+    const userRole = req.user?.roles?.[0]?.name || 'guest';
+    return getLimiter(userRole)(req, res, next);
+  };
+};
+
+// =============================================================================
+// ADAPTIVE LOAD SHEDDING
+// =============================================================================
+
+/**
+ * Priority classes, from never shed to shed first
+ * The numbers are the load at which a class is turned away; a load of 1
+ * means one of the signals reached its configured limit
+ */
+const SHED_AT_LOAD = {
+  critical: Infinity, // auth and health: must keep working while degraded
+  high: 1.5,
+  normal: 1,
+  low: 0.75 // bulk, export and report endpoints
+};
+
+/**
+ * Default route priorities, checked in order against the full path
+ * Bulk routes come before the auth rule, so admin bulk jobs under /api/auth
+ * (e.g. /api/auth/password/admin/bulk-expire) are still shed first
+ */
+const DEFAULT_PRIORITY_RULES = [
+  { pattern: /^\/(api\/)?health$/, priority: 'critical' },
+  { pattern: /^\/\.well-known\//, priority: 'critical' },
+  { pattern: /\/(bulk|batch|export|import|reports?)([-_][\w-]+)?(\/|$)/, priority: 'low' },
+  { pattern: /^\/api\/auth(\/|$)/, priority: 'critical' }
+];
+
+const EVENT_LOOP_RESOLUTION_MS = 20;
+
+// Requests of this process that passed the load shedder and haven't finished
+let inFlightRequests = 0;
+const countedRequests = new WeakSet();
+
+let eventLoopMonitor = null;
+let eventLoopLagMs = 0;
+let lastShedLogAt = 0;
+
+/**
+ * Start sampling event loop delay, once per process
+ * The p99 delay of each interval becomes the current lag
+ * @param {number} sampleIntervalMs - How often the lag is updated
+ */
+const startEventLoopMonitor = (sampleIntervalMs) => {
+  if (eventLoopMonitor) {
+    return;
+  }
+
+  eventLoopMonitor = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION_MS });
+  eventLoopMonitor.enable();
+
+  setInterval(() => {
+    // After the other due timers, so a delay that just ended is recorded before the reset
+    setImmediate(() => {
+      // The histogram includes the sampling timer's own interval
+      eventLoopLagMs = Math.max(0, eventLoopMonitor.percentile(99) / 1e6 - EVENT_LOOP_RESOLUTION_MS);
+      eventLoopMonitor.reset();
     });
+  }, sampleIntervalMs).unref();
+};
 
-    return limiter(req, res, next);
+/**
+ * Get the current load of this process
+ * Each signal is divided by its limit, and the load is the highest of them
+ * @param {Object} limits - { maxEventLoopLagMs, maxInFlight, maxPoolUsage } (pool usage in percent)
+ * @returns {Object} { load, eventLoopLagMs, inFlightRequests, poolUsage, signals }
+ */
+const getLoadStatus = (limits = config.rateLimiting.loadShedding) => {
+  // Connections in use plus requests waiting for one, per connection of the pool
+  const pool = database.getPoolStatus();
+  const poolUsage = pool.connectionLimit
+    ? (pool.totalConnections - pool.freeConnections + pool.queuedRequests) / pool.connectionLimit * 100
+    : 0;
+
+  const signals = {
+    eventLoopLag: eventLoopLagMs / limits.maxEventLoopLagMs,
+    inFlight: inFlightRequests / limits.maxInFlight,
+    dbPool: poolUsage / limits.maxPoolUsage
   };
+
+  return {
+    load: Math.max(...Object.values(signals)),
+    eventLoopLagMs: Math.round(eventLoopLagMs),
+    inFlightRequests,
+    poolUsage: Math.round(poolUsage),
+    signals
+  };
+};
+
+/**
+ * Find the priority class of a request from route rules
+ * @param {Object} req - Express request object
+ * @param {Array} rules - [{ pattern, priority }]; the first match wins
+ * @returns {string} Priority class ('normal' when no rule matches)
+ */
+const classifyRequest = (req, rules) => {
+  const path = req.originalUrl.split('?')[0];
+  const rule = rules.find(({ pattern }) => pattern.test(path));
+  return rule ? rule.priority : 'normal';
 };
 
 /**
- * Adaptive rate limiter that adjusts based on system load
- * @param {Object} options - Adaptive options
+ * Adaptive load shedder
+ * Turns requests away with 503 and Retry-After while the process is
+ * overloaded, lowest priority first: bulk and report endpoints go at 75% of
+ * a limit, normal traffic at the limit, auth and health routes never.
+ * Load comes from event loop lag, database pool usage and in-flight requests
+ * of this process; mount it early so every request is counted.
+ * @param {Object} options - { maxEventLoopLagMs?, maxInFlight?, maxPoolUsage?, sampleIntervalMs?,
+ *   retryAfter? (seconds), rules?, classify?(req), shedAt? (load per priority class) }
  * @returns {Function} Express middleware function
  */
 const createAdaptiveLimiter = (options = {}) => {
-  const {
-    baseMax = 100,
-    baseWindowMs = 15 * 60 * 1000,
-    loadThreshold = 80, // CPU/memory threshold percentage
-    reductionFactor = 0.5 // Reduce limits by this factor when under load
-  } = options;
+  const defaults = config.rateLimiting.loadShedding;
+  const limits = {
+    maxEventLoopLagMs: options.maxEventLoopLagMs || defaults.maxEventLoopLagMs,
+    maxInFlight: options.maxInFlight || defaults.maxInFlight,
+    maxPoolUsage: options.maxPoolUsage || defaults.maxPoolUsage
+  };
+  const shedAt = { ...SHED_AT_LOAD, ...options.shedAt };
+  const rules = options.rules || DEFAULT_PRIORITY_RULES;
+  const classify = options.classify || ((req) => classifyRequest(req, rules));
+  const retryAfter = options.retryAfter || defaults.retryAfter;
+
+  startEventLoopMonitor(options.sampleIntervalMs || defaults.sampleIntervalMs);
 
   return (req, res, next) => {
-    // Simple load check (in production, use proper monitoring)
-    const isUnderLoad = process.cpuUsage().user > loadThreshold * 1000000; // Simplified check
+    const priority = classify(req);
+    req.loadPriority = priority;
+
+    const status = getLoadStatus(limits);
+    if (status.load >= (shedAt[priority] ?? shedAt.normal)) {
+      // Logging every shed request would add to the load
+      if (Date.now() - lastShedLogAt > 10000) {
+        lastShedLogAt = Date.now();
+        logger.warn('Shedding requests under load', { priority, path: req.originalUrl, ...status });
+      }
+
+      return apiResponse.serviceUnavailable(res, 'Server is busy, please try again shortly', retryAfter);
+    }
 
-    const adjustedMax = isUnderLoad ? Math.floor(baseMax * reductionFactor) : baseMax;
+    // Count each request once, even with several shedders on its way
+    if (!countedRequests.has(req)) {
+      countedRequests.add(req);
+      inFlightRequests += 1;
+
+      let released = false;
+      const release = () => {
+        if (!released) {
+          released = true;
+          inFlightRequests -= 1;
+        }
+      };
+      res.on('finish', release);
+      res.on('close', release);
+    }
 
-    const limiter = rateLimit({
-      windowMs: baseWindowMs,
-      max: adjustedMax,
-      standardHeaders: true,
-      legacyHeaders: false,
-      keyGenerator: (req) => {
-        return req.user?.id || req.ip;
-      },
-      handler: (req, res) => {
-        logger.logSecurity('Adaptive rate limit exceeded', {
-          isUnderLoad,
-          adjustedMax,
-          userId: req.user?.id,
-          ip: req.ip,
-          path: req.originalUrl
-        });
+    next();
+  };
+};
 
-        return apiResponse.tooManyRequests(res,
-          'Rate limit exceeded due to high system load',
-          Math.ceil(req.rateLimit.resetTime / 1000));
-      }
+// =============================================================================
+// PLAN-BASED RATE LIMITING
+// =============================================================================
+
+/**
+ * Set rate limit and quota headers for a plan
+ * RateLimit-* describe the token bucket, X-Quota-* the quota closest to its limit
+ * @param {Object} res - Express response object
+ * @param {Object} result - Result of apiPlanService.consumeRequest
+ */
+const setPlanHeaders = (res, result) => {
+  const { plan, bucket, quotas } = result;
+
+  res.set({
+    'RateLimit-Limit': plan.burstLimit,
+    'RateLimit-Remaining': bucket.remaining,
+    'RateLimit-Reset': Math.max(0, Math.ceil((bucket.resetTime.getTime() - Date.now()) / 1000))
+  });
+
+  const quota = Object.values(quotas)
+    .filter(periodQuota => periodQuota.limit !== null)
+    .sort((a, b) => a.remaining - b.remaining)[0];
+
+  if (quota) {
+    res.set({
+      'X-Quota-Limit': quota.limit,
+      'X-Quota-Remaining': quota.remaining,
+      'X-Quota-Reset': Math.ceil(quota.resetTime.getTime() / 1000)
     });
+  }
+};
 
-    return limiter(req, res, next);
-  };
+/**
+ * Plan-based limiter for authenticated API traffic
+ * Takes each request from the token bucket and daily/monthly quotas of the
+ * plan of the user or API key; mount it after authentication
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+const planLimiter = async (req, res, next) => {
+  if (!req.user) {
+    return next();
+  }
+
+  try {
+    const result = await apiPlanService.consumeRequest(req.user);
+    if (!result.plan) {
+      return next();
+    }
+
+    setPlanHeaders(res, result);
+    req.apiPlan = { name: result.plan.name, subject: result.subject };
+
+    if (result.exceeded === 'burst') {
+      logger.logSecurity('Plan rate limit exceeded', {
+        plan: result.plan.name,
+        subject: result.subject,
+        ip: req.ip,
+        path: req.originalUrl
+      });
+
+      return apiResponse.tooManyRequests(res,
+        `Rate limit exceeded for the ${result.plan.name} plan, please slow down`,
+        result.bucket.retryAfter);
+    }
+
+    if (result.exceeded) {
+      const quota = result.quotas[result.exceeded];
+      const retryAfter = Math.ceil((quota.resetTime.getTime() - Date.now()) / 1000);
+
+      logger.logSecurity('Plan quota exceeded', {
+        plan: result.plan.name,
+        subject: result.subject,
+        period: result.exceeded,
+        limit: quota.limit,
+        path: req.originalUrl
+      });
+
+      res.set('Retry-After', retryAfter.toString());
+      return apiResponse.error(res,
+        `The ${result.exceeded} quota of the ${result.plan.name} plan is used up`,
+        ERROR_CODES.QUOTA_EXCEEDED.httpStatus,
+        createError(ERROR_CODES.QUOTA_EXCEEDED.code, {
+          details: { period: result.exceeded, limit: quota.limit, resetTime: quota.resetTime, retryAfter }
+        }));
+    }
+
+    next();
+  } catch (error) {
+    logger.logError('Plan rate limit error', error, { userId: req.user.userId, path: req.originalUrl });
+
+    // Don't block on rate limit errors, just log them
+    next();
+  }
 };
 
 // =============================================================================
@@ -575,10 +818,12 @@ module.exports = {
   createRoleBasisLimiter,
   createAdaptiveLimiter,
   createBypassLimiter,
+  planLimiter,
 
   // Monitoring and utilities
   logRateLimitUsage,
   getRateLimitStatus,
+  getLoadStatus,
   detectSuspiciousActivity
 };
 // ============================================================================
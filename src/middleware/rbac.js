@@ -14,14 +14,17 @@
 
 const userRoleService = require('../services/rbac/userRoleService');
 const permissionService = require('../services/rbac/permissionService');
-const { unauthorized, forbidden, badRequest, internalServerError, tooManyRequests } = require('../utils/apiResponse');
+const ownershipService = require('../services/rbac/ownershipService');
+const { unauthorized, forbidden, badRequest, notFound, internalServerError, tooManyRequests } = require('../utils/apiResponse');
 const { ERROR_CODES, createError } = require('../utils/errorCodes');
 const { logError, logAuth, logSecurity } = require('../utils/logger');
 const { isEmpty, getCurrentTimestamp } = require('../utils/helpers');
+const { normalizePermission, buildConditionContext, evaluateGrants } = require('../utils/permissionConditions');
 
 /**
  * Require specific role middleware
  * Checks if user has a specific role
+ * Roles can't be narrowed by API key scopes, so API keys never pass a role check
  *
  * @param {string|Array} requiredRoles - Required role(s) (name or array of names)
  * @returns {Function} Middleware function
@@ -35,6 +38,17 @@ const requireRole = (requiredRoles) => {
         return unauthorized(res, 'Authentication required', createError(ERROR_CODES.UNAUTHORIZED.code, 'User authentication is required for role-based access'));
       }
 
+      if (req.user.apiKey) {
+        logSecurity('API key used on a role-protected endpoint', {
+          userId: req.user.userId,
+          apiKeyId: req.user.apiKey.id,
+          requiredRoles: roles,
+          endpoint: req.path,
+          ip: req.ip
+        });
+        return forbidden(res, 'This endpoint requires a login session', createError(ERROR_CODES.SESSION_AUTH_REQUIRED.code, 'Role-protected endpoints cannot be used with an API key'));
+      }
+
       // Get user roles
       const userRoles = await userRoleService.getUserRoles(req.user.userId, {
         includeInactive: false,
@@ -96,15 +110,26 @@ const requireRole = (requiredRoles) => {
 
 /**
  * Require specific permission middleware
- * Checks if user has a specific permission
+ * Checks if user has a specific permission and that the grant's conditions hold
+ *
+ * Conditions on role_permissions and user_roles are evaluated against the request
+ * and the target resource (req.resource or options.getResource). A grant whose
+ * conditions need a resource that is not known yet is denied, unless the route
+ * opts in with deferConditions: the undecided conditions are then passed on in
+ * req.permissionConditions and the handler MUST decide them with
+ * checkPermissionConditions once it has loaded the resource.
  *
  * @param {string|Array} requiredPermissions - Required permission(s) (name or array)
  * @param {Object} options - Permission check options
+ * @param {boolean} options.requireAll - User needs all permissions instead of one
+ * @param {Function} options.getResource - async (req) => resource row used for conditions
+ * @param {string} options.ownerField - Resource field holding the owner's user ID
+ * @param {boolean} options.deferConditions - Let undecided conditions through to the handler
  * @returns {Function} Middleware function
  */
 const requirePermission = (requiredPermissions, options = {}) => {
-  const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
-  const { requireAll = false } = options; // If true, user needs ALL permissions, not just one
+  const permissions = (Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions]).map(normalizePermission);
+  const { requireAll = false, getResource = null, ownerField, deferConditions = false } = options; // If requireAll, user needs ALL permissions, not just one
 
   return async (req, res, next) => {
     try {
@@ -115,7 +140,8 @@ const requirePermission = (requiredPermissions, options = {}) => {
       // Get user permissions from all roles
       const userPermissions = await userRoleService.getUserPermissions(req.user.userId, {
         groupByModule: false,
-        includeRoleInfo: true
+        includeRoleInfo: true,
+        includeConditions: true
       });
 
       if (!userPermissions.success || !userPermissions.data.permissions.length) {
@@ -128,21 +154,78 @@ const requirePermission = (requiredPermissions, options = {}) => {
         return forbidden(res, 'User has no permissions', createError(ERROR_CODES.INSUFFICIENT_PERMISSIONS.code, 'User does not have any permissions assigned'));
       }
 
-      const userPerms = userPermissions.data.permissions;
+      // An API key only carries the permissions it was scoped to, and only while its owner still holds them
+      const apiKeyScopes = req.user.apiKey ? req.user.apiKey.scopes.map(normalizePermission) : null;
+      const userPerms = apiKeyScopes
+        ? userPermissions.data.permissions.filter(perm => apiKeyScopes.includes(perm))
+        : userPermissions.data.permissions;
+      const permissionGrants = Object.fromEntries(Object.entries(userPermissions.data.permissionGrants || {})
+        .filter(([perm]) => !apiKeyScopes || apiKeyScopes.includes(perm)));
+
+      // Only load the resource when a held grant actually carries conditions
+      const needsResource = permissions.some(perm => (permissionGrants[perm] || [])
+        .some(grant => !isEmpty(grant.assignmentConditions) || !isEmpty(grant.permissionConditions)));
+      const resource = req.resource || (needsResource && getResource ? await getResource(req) : null);
+      const membership = needsResource ? await ownershipService.getMembership(req.user) : {};
+      const context = buildConditionContext(req, resource, { ownerField, membership });
+
+      const evaluations = permissions.map(perm => ({
+        permission: perm,
+        ...evaluateGrants(permissionGrants[perm], context)
+      }));
+
+      // Undecided conditions only pass when the route decides them itself
+      const passes = (evaluation) => evaluation.granted || (deferConditions && evaluation.conditional);
 
       // Check permissions based on requireAll flag
       let hasRequiredPermissions;
       if (requireAll) {
         // User must have ALL required permissions
-        hasRequiredPermissions = permissions.every(perm => userPerms.includes(perm));
+        hasRequiredPermissions = evaluations.every(passes);
       } else {
         // User needs at least ONE of the required permissions
-        hasRequiredPermissions = permissions.some(perm => userPerms.includes(perm));
+        hasRequiredPermissions = evaluations.some(passes);
+      }
+
+      // Permission is held, but every grant of it failed its conditions
+      const deniedByConditions = evaluations.filter(evaluation => !evaluation.granted && evaluation.deniedBy.length);
+
+      // Permission is held, but its conditions could not be decided without a resource
+      const undecidedConditions = evaluations.filter(evaluation => !passes(evaluation) && evaluation.conditional);
+
+      if (!hasRequiredPermissions && deniedByConditions.length) {
+        logSecurity('Permission denied by grant conditions', {
+          userId: req.user.userId,
+          requiredPermissions: permissions,
+          deniedBy: deniedByConditions.map(({ permission, deniedBy }) => ({ permission, deniedBy })),
+          endpoint: req.path,
+          ip: req.ip
+        });
+        return forbidden(res, 'Access denied. Permission conditions are not met', createError(ERROR_CODES.PERMISSION_DENIED.code, {
+          details: 'Permission is granted only under conditions that do not hold for this request',
+          requiredPermissions: permissions,
+          deniedBy: deniedByConditions.map(({ permission, deniedBy }) => ({ permission, deniedBy }))
+        }));
+      }
+
+      if (!hasRequiredPermissions && undecidedConditions.length) {
+        logSecurity('Permission denied, grant conditions could not be checked', {
+          userId: req.user.userId,
+          requiredPermissions: permissions,
+          pending: undecidedConditions.map(({ permission, pendingConditions }) => ({ permission, pendingConditions })),
+          endpoint: req.path,
+          ip: req.ip
+        });
+        return forbidden(res, 'Access denied. Permission conditions could not be checked', createError(ERROR_CODES.PERMISSION_DENIED.code, {
+          details: 'Permission is granted only under conditions that need the target resource, which this route does not provide',
+          requiredPermissions: permissions
+        }));
       }
 
       if (!hasRequiredPermissions) {
         logSecurity('Permission access denied', {
           userId: req.user.userId,
+          apiKeyId: req.user.apiKey?.id,
           userPermissions: userPerms,
           requiredPermissions: permissions,
           requireAll,
@@ -159,6 +242,14 @@ const requirePermission = (requiredPermissions, options = {}) => {
       // Set user permissions in request for use in controllers
       req.userPermissions = userPerms;
       req.permissionSources = userPermissions.data.permissionSources;
+      // With requireAll off, one unconditional grant settles the request on its own
+      const settled = !requireAll && evaluations.some(evaluation => evaluation.granted);
+      req.permissionConditions = settled ? {} : evaluations
+        .filter(evaluation => evaluation.conditional)
+        .reduce((pending, evaluation) => ({ ...pending, [evaluation.permission]: evaluation.pendingConditions }), {});
+      if (resource) {
+        req.resource = resource;
+      }
 
       logAuth('Permission access granted', req.user.userId, {
         permissions: userPerms.length,
@@ -181,16 +272,57 @@ const requirePermission = (requiredPermissions, options = {}) => {
   };
 };
 
+/**
+ * Decide the permission conditions requirePermission deferred to the handler
+ * Call once the resource is loaded; every deferred permission must hold for it,
+ * and without a resource nothing holds.
+ *
+ * @param {Object} req - Request that passed requirePermission(..., { deferConditions: true })
+ * @param {Object|null} resource - Loaded resource (database row)
+ * @param {Object} options - { ownerField? }
+ * @returns {Promise<Object>} { allowed, deniedBy }
+ */
+const checkPermissionConditions = async (req, resource, options = {}) => {
+  const deferred = Object.entries(req.permissionConditions || {});
+  if (!deferred.length) {
+    return { allowed: true, deniedBy: [] };
+  }
+
+  const membership = await ownershipService.getMembership(req.user);
+  const context = buildConditionContext(req, resource, { ownerField: options.ownerField, membership });
+
+  const deniedBy = deferred
+    .map(([permission, grants]) => ({ permission, ...evaluateGrants(grants, context) }))
+    .filter(evaluation => !evaluation.granted)
+    .map(({ permission, deniedBy: reasons, pendingConditions }) => ({ permission, deniedBy: reasons, pendingConditions }));
+
+  if (deniedBy.length) {
+    logSecurity('Deferred permission conditions not met', {
+      userId: req.user?.userId,
+      deniedBy,
+      endpoint: req.path,
+      ip: req.ip
+    });
+  }
+
+  return { allowed: deniedBy.length === 0, deniedBy };
+};
+
 /**
  * Check ownership middleware
- * Verifies if user owns the resource or has permission to access it
+ * Loads the resource through its registered ownership resolver and verifies
+ * the user owns it directly or through a team/department
  *
  * @param {string} resourceParam - Request parameter containing resource ID
- * @param {string} ownershipField - Field name to check ownership (default: 'user_id')
+ * @param {string} ownershipField - Owner column override (default: the resolver's owner column)
  * @param {Array} bypassRoles - Roles that can bypass ownership check
+ * @param {Object} options - { resourceType?, allowTeam?, allowDepartment? }
+ *   resourceType defaults to the parameter name without its 'Id' suffix ('sessionId' => 'session')
  * @returns {Function} Middleware function
  */
-const checkOwnership = (resourceParam, ownershipField = 'user_id', bypassRoles = ['admin', 'super_admin']) => {
+const checkOwnership = (resourceParam, ownershipField = null, bypassRoles = ['admin', 'super_admin'], options = {}) => {
+  const resourceType = options.resourceType || resourceParam.replace(/Id$/, '');
+
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -205,13 +337,13 @@ const checkOwnership = (resourceParam, ownershipField = 'user_id', bypassRoles =
         }));
       }
 
-      // Get user roles to check for bypass
-      const userRoles = await userRoleService.getUserRoles(req.user.userId, {
+      // Get user roles to check for bypass (not for API keys, like requireRole)
+      const userRoles = req.user.apiKey ? null : await userRoleService.getUserRoles(req.user.userId, {
         includeInactive: false,
         includeExpired: false
       });
 
-      if (userRoles.success && userRoles.data.roles.length) {
+      if (userRoles && userRoles.success && userRoles.data.roles.length) {
         const userRoleNames = userRoles.data.roles.map(role => role.role_name);
 
         // Check if user has bypass role
@@ -227,9 +359,10 @@ const checkOwnership = (resourceParam, ownershipField = 'user_id', bypassRoles =
         }
       }
 
-      // If accessing own user ID, allow access
+      // If accessing own user ID, allow access without a lookup
       if (resourceParam === 'userId' && resourceId === req.user.userId.toString()) {
         req.isOwner = true;
+        req.ownedThrough = 'user';
         logAuth('Resource owner access granted', req.user.userId, {
           resourceParam,
           resourceId
@@ -237,16 +370,59 @@ const checkOwnership = (resourceParam, ownershipField = 'user_id', bypassRoles =
         return next();
       }
 
-      // For other resources, you would typically check database ownership
-      // This is a simplified example - in practice, you'd query the resource table
+      // Fail closed when nobody told us how to find this resource
+      if (!ownershipService.getOwnershipResolver(resourceType)) {
+        logError('No ownership resolver registered', new Error(`Unknown resource type '${resourceType}'`), {
+          userId: req.user.userId,
+          resourceParam,
+          resourceType
+        });
+        return internalServerError(res, 'Ownership validation error', createError(ERROR_CODES.INTERNAL_SERVER_ERROR.code, {
+          details: 'Ownership resolver is not configured for this resource'
+        }));
+      }
+
+      const resource = await ownershipService.loadResource(resourceType, resourceId, req);
+      if (!resource) {
+        return notFound(res, 'Resource not found', createError(ERROR_CODES.RESOURCE_NOT_FOUND.code, {
+          details: `The requested ${resourceType} does not exist`,
+          resourceType,
+          resourceId
+        }));
+      }
+
+      const { isOwner, ownedThrough } = await ownershipService.resolveOwnership(resourceType, resource, req.user, {
+        ownerColumn: ownershipField,
+        allowTeam: options.allowTeam,
+        allowDepartment: options.allowDepartment
+      });
+
+      if (!isOwner) {
+        logSecurity('Resource ownership check failed', {
+          userId: req.user.userId,
+          resourceType,
+          resourceId,
+          ip: req.ip
+        });
+
+        return forbidden(res, 'Access denied. You do not own this resource', createError(ERROR_CODES.ACCESS_DENIED.code, {
+          details: 'Resource belongs to another user',
+          resourceType,
+          resourceId
+        }));
+      }
+
+      // Expose the loaded resource so later middleware (e.g. requirePermission conditions) can reuse it
+      req.resource = resource;
       req.resourceId = resourceId;
-      req.ownershipField = ownershipField;
-      req.bypassRoles = bypassRoles;
+      req.isOwner = true;
+      req.ownedThrough = ownedThrough;
 
-      logAuth('Ownership validation completed', req.user.userId, {
+      logAuth('Resource owner access granted', req.user.userId, {
         resourceParam,
+        resourceType,
         resourceId,
-        ownershipField
+        ownedThrough
       });
 
       next();
@@ -511,6 +687,7 @@ const logRBACEvent = (operation) => {
 module.exports = {
   requireRole,
   requirePermission,
+  checkPermissionConditions,
   checkOwnership,
   requireAdmin,
   requireSuperAdmin,
@@ -518,5 +695,9 @@ module.exports = {
   requireDynamicPermission,
   optionalRole,
   createRBACRateLimit,
-  logRBACEvent
+  logRBACEvent,
+
+  // Ownership resolver registry (see services/rbac/ownershipService)
+  registerOwnershipResolver: ownershipService.registerOwnershipResolver,
+  registerMembershipResolver: ownershipService.registerMembershipResolver
 };
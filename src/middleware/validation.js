@@ -13,7 +13,9 @@
  */
 
 const yup = require('yup');
+const { validationResult } = require('express-validator');
 const { schemas, utils: schemaUtils, presets } = require('../schemas');
+const rateLimitStore = require('../services/auth/rateLimitStoreService');
 
 /**
  * Create validation middleware for specific schema and data source
@@ -157,6 +159,38 @@ const validateHeaders = (schema, options = {}) => {
   return createValidationMiddleware(schema, 'headers', options);
 };
 
+/**
+ * Send the errors found by express-validator chains
+ * Goes after the validator arrays from src/validators, which only collect
+ * errors on the request and never answer it themselves
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const handleValidationErrors = (req, res, next) => {
+  const result = validationResult(req);
+
+  if (result.isEmpty()) {
+    return next();
+  }
+
+  const errors = result.array().map(error => ({
+    field: error.path,
+    message: error.msg
+  }));
+
+  return res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors,
+    timestamp: new Date().toISOString(),
+    path: req.originalUrl,
+    method: req.method
+  });
+};
+
 /**
  * Validate multiple data sources in one middleware
  * For complex validation scenarios involving multiple request parts
@@ -385,9 +419,12 @@ const validateFileUpload = (options = {}) => {
 /**
  * Rate limiting validation middleware
  * Validates requests aren't exceeding rate limits
+ * Counts live in the shared rate limit store, so the limit holds across instances;
+ * validators with the same options.name share their counters
  *
- * @param {Object} options - Rate limiting options
+ * @param {Object} options - Rate limiting options; name is required
  * @returns {Function} Express middleware function
+ * @throws {Error} If options.name is missing
  */
 const validateRateLimit = (options = {}) => {
   const {
@@ -395,56 +432,53 @@ const validateRateLimit = (options = {}) => {
     maxRequests = 100,
     keyGenerator = (req) => req.ip,
     skipSuccessfulRequests = false,
-    skipFailedRequests = false
+    skipFailedRequests = false,
+    name
   } = options;
 
-  const requestCounts = new Map();
+  // A default name would let unrelated routes with the same numbers share one counter
+  if (!name) {
+    throw new Error('validateRateLimit needs a name for its counters');
+  }
 
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       const key = keyGenerator(req);
       const now = Date.now();
-      const windowStart = now - windowMs;
 
-      // Clean old entries
-      for (const [storedKey, data] of requestCounts) {
-        if (data.resetTime <= now) {
-          requestCounts.delete(storedKey);
-        }
-      }
+      const { totalHits, resetTime } = await rateLimitStore.hit(name, key, windowMs);
 
-      // Get current count for this key
-      let requestData = requestCounts.get(key);
-
-      if (!requestData || requestData.resetTime <= now) {
-        // Initialize or reset counter
-        requestData = {
-          count: 0,
-          resetTime: now + windowMs
-        };
-        requestCounts.set(key, requestData);
-      }
+      // Check if limit exceeded (rejected requests are not counted)
+      if (totalHits > maxRequests) {
+        await rateLimitStore.undo(name, key, windowMs);
 
-      // Check if limit exceeded
-      if (requestData.count >= maxRequests) {
         return res.status(429).json({
           success: false,
           message: 'Too many requests',
           error: 'Rate limit exceeded',
-          retryAfter: Math.ceil((requestData.resetTime - now) / 1000),
+          retryAfter: Math.ceil((resetTime.getTime() - now) / 1000),
           limit: maxRequests,
           window: windowMs / 1000
         });
       }
 
-      // Increment counter
-      requestData.count++;
+      // Take back the count once we know the request is one to skip
+      if (skipSuccessfulRequests || skipFailedRequests) {
+        res.on('finish', () => {
+          const failed = res.statusCode >= 400;
+          if ((failed && skipFailedRequests) || (!failed && skipSuccessfulRequests)) {
+            rateLimitStore.undo(name, key, windowMs).catch((error) => {
+              console.error('❌ Rate limit undo error:', error);
+            });
+          }
+        });
+      }
 
       // Add rate limit headers
       res.set({
         'X-RateLimit-Limit': maxRequests,
-        'X-RateLimit-Remaining': Math.max(0, maxRequests - requestData.count),
-        'X-RateLimit-Reset': Math.ceil(requestData.resetTime / 1000)
+        'X-RateLimit-Remaining': Math.max(0, maxRequests - totalHits),
+        'X-RateLimit-Reset': Math.ceil(resetTime.getTime() / 1000)
       });
 
       next();
@@ -505,6 +539,7 @@ module.exports = {
   validateQuery,
   validateParams,
   validateHeaders,
+  handleValidationErrors,
 
   // Advanced validation
   validateMultiple,
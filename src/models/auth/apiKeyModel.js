@@ -0,0 +1,272 @@
+/**
+ * File: src/models/auth/apiKeyModel.js
+ * API Key Model - MySQL2 Database Operations
+ *
+ * This file handles personal API keys used by machine clients instead of a
+ * login session.
+ *
+ * For beginners:
+ * - The full key is never stored; rows keep its public prefix and a hash
+ * - A key is usable while revokedAt is empty and expiresAt lies in the future
+ * - scopes and allowedIps are JSON arrays
+ * - planId is the key's own API plan; null means it uses its owner's plan
+ */
+
+const { executeQuery } = require('../database');
+
+/**
+ * API Key Model Class
+ * Contains all API key related database operations
+ */
+class ApiKeyModel {
+  /**
+     * Create a new API key record
+     *
+     * @param {Object} keyData - { userId, name, keyPrefix, keyHash, scopes, allowedIps, expiresAt }
+     * @returns {Promise<Object>} Created API key object
+     */
+  static async create(keyData) {
+    try {
+      const {
+        userId,
+        name,
+        keyPrefix,
+        keyHash,
+        scopes,
+        allowedIps = null,
+        expiresAt
+      } = keyData;
+
+      const query = `
+        INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, allowed_ips, expires_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `;
+
+      const result = await executeQuery(query, [
+        userId,
+        name,
+        keyPrefix,
+        keyHash,
+        JSON.stringify(scopes),
+        allowedIps && allowedIps.length ? JSON.stringify(allowedIps) : null,
+        expiresAt
+      ]);
+
+      return await this.findById(result.insertId);
+
+    } catch (error) {
+      console.error('❌ Error creating API key:', error);
+      throw new Error(`Failed to create API key: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find an API key by ID
+     *
+     * @param {number} id - API key ID
+     * @returns {Promise<Object|null>} API key object or null
+     */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT id, user_id, name, key_prefix, key_hash, scopes, plan_id, allowed_ips, expires_at,
+               last_used_at, last_used_ip, revoked_at, revoked_by, created_at, updated_at
+        FROM api_keys
+        WHERE id = ?
+      `;
+
+      const results = await executeQuery(query, [id]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatApiKeyObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding API key by ID:', error);
+      throw new Error(`Failed to find API key: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find an API key by its public prefix
+     *
+     * @param {string} keyPrefix - Key prefix (d2k_<id>)
+     * @returns {Promise<Object|null>} API key object or null
+     */
+  static async findByPrefix(keyPrefix) {
+    try {
+      const query = `
+        SELECT id, user_id, name, key_prefix, key_hash, scopes, plan_id, allowed_ips, expires_at,
+               last_used_at, last_used_ip, revoked_at, revoked_by, created_at, updated_at
+        FROM api_keys
+        WHERE key_prefix = ?
+      `;
+
+      const results = await executeQuery(query, [keyPrefix]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatApiKeyObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding API key by prefix:', error);
+      throw new Error(`Failed to find API key: ${error.message}`);
+    }
+  }
+
+  /**
+     * Get the API keys of a user, newest first
+     *
+     * @param {number} userId - User ID
+     * @param {Object} options - { includeInactive } to also list revoked and expired keys
+     * @returns {Promise<Array>} API key objects
+     */
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { includeInactive = false } = options;
+
+      let query = `
+        SELECT id, user_id, name, key_prefix, key_hash, scopes, plan_id, allowed_ips, expires_at,
+               last_used_at, last_used_ip, revoked_at, revoked_by, created_at, updated_at
+        FROM api_keys
+        WHERE user_id = ?
+      `;
+
+      if (!includeInactive) {
+        query += ' AND revoked_at IS NULL AND expires_at > NOW()';
+      }
+
+      query += ' ORDER BY created_at DESC';
+
+      const results = await executeQuery(query, [userId]);
+
+      return results.map(row => this._formatApiKeyObject(row));
+
+    } catch (error) {
+      console.error('❌ Error finding API keys by user:', error);
+      throw new Error(`Failed to find API keys: ${error.message}`);
+    }
+  }
+
+  /**
+     * Count the usable API keys of a user
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Number of unrevoked, unexpired keys
+     */
+  static async countActiveByUser(userId) {
+    try {
+      const query = `
+        SELECT COUNT(*) as total
+        FROM api_keys
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+      `;
+
+      const results = await executeQuery(query, [userId]);
+
+      return Number(results[0].total);
+
+    } catch (error) {
+      console.error('❌ Error counting API keys:', error);
+      throw new Error(`Failed to count API keys: ${error.message}`);
+    }
+  }
+
+  /**
+     * Record that a key authenticated a request
+     *
+     * @param {number} id - API key ID
+     * @param {string} ipAddress - Client IP address
+     * @returns {Promise<boolean>} Success status
+     */
+  static async recordUsage(id, ipAddress = null) {
+    try {
+      const query = `
+        UPDATE api_keys
+        SET last_used_at = NOW(), last_used_ip = ?
+        WHERE id = ?
+      `;
+
+      const result = await executeQuery(query, [ipAddress, id]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error recording API key usage:', error);
+      throw new Error(`Failed to record API key usage: ${error.message}`);
+    }
+  }
+
+  /**
+     * Revoke an API key of a user
+     *
+     * @param {number} id - API key ID
+     * @param {number} userId - Owner's user ID
+     * @param {number} revokedBy - User revoking the key
+     * @returns {Promise<boolean>} False if the key doesn't exist, belongs to someone else or is already revoked
+     */
+  static async revoke(id, userId, revokedBy = null) {
+    try {
+      const query = `
+        UPDATE api_keys
+        SET revoked_at = NOW(), revoked_by = ?, updated_at = NOW()
+        WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+      `;
+
+      const result = await executeQuery(query, [revokedBy, id, userId]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error revoking API key:', error);
+      throw new Error(`Failed to revoke API key: ${error.message}`);
+    }
+  }
+
+  /**
+     * Format API key object for application use
+     *
+     * @private
+     * @param {Object} row - Database row
+     * @returns {Object} Formatted API key object
+     */
+  static _formatApiKeyObject(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      keyHash: row.key_hash,
+      scopes: this._parseJson(row.scopes) || [],
+      planId: row.plan_id || null,
+      allowedIps: this._parseJson(row.allowed_ips),
+      expiresAt: row.expires_at,
+      lastUsedAt: row.last_used_at,
+      lastUsedIp: row.last_used_ip,
+      revokedAt: row.revoked_at,
+      revokedBy: row.revoked_by,
+      isActive: row.revoked_at === null && new Date(row.expires_at) > new Date(),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+     * Parse a JSON column value
+     * mysql2 already returns JSON columns as objects; older drivers return strings
+     *
+     * @private
+     * @param {string|Array|null} value - Raw column value
+     * @returns {Array|null} Parsed value
+     */
+  static _parseJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+}
+
+module.exports = ApiKeyModel;
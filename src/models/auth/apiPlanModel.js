@@ -0,0 +1,309 @@
+/**
+ * File: src/models/auth/apiPlanModel.js
+ * API Plan Model - MySQL2 Database Operations
+ *
+ * This file handles API plans and which user or API key is on which plan.
+ *
+ * For beginners:
+ * - A plan is a token bucket (burstLimit, sustainedPerMinute) plus optional
+ *   daily and monthly quotas; null means unlimited
+ * - Users point to a plan with users.api_plan_id, API keys with
+ *   api_keys.plan_id; the key's plan wins over its owner's plan
+ * - Exactly one plan should be marked as the default plan
+ */
+
+const { executeQuery, executeTransaction } = require('../database');
+
+/**
+ * API Plan Model Class
+ * Contains all API plan related database operations
+ */
+class ApiPlanModel {
+  /**
+     * Create a new plan
+     * Marking it as default removes the mark from the other plans
+     *
+     * @param {Object} planData - { name, displayName, description, burstLimit, sustainedPerMinute, dailyQuota, monthlyQuota, isDefault, isActive }
+     * @returns {Promise<Object>} Created plan object
+     */
+  static async create(planData) {
+    try {
+      const {
+        name,
+        displayName,
+        description = null,
+        burstLimit,
+        sustainedPerMinute,
+        dailyQuota = null,
+        monthlyQuota = null,
+        isDefault = false,
+        isActive = true
+      } = planData;
+
+      const planId = await executeTransaction(async () => {
+        if (isDefault) {
+          await executeQuery('UPDATE api_plans SET is_default = FALSE WHERE is_default = TRUE');
+        }
+
+        const query = `
+          INSERT INTO api_plans (
+            name, display_name, description, burst_limit, sustained_per_minute,
+            daily_quota, monthly_quota, is_default, is_active, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+        `;
+
+        const result = await executeQuery(query, [
+          name.toLowerCase(),
+          displayName,
+          description,
+          burstLimit,
+          sustainedPerMinute,
+          dailyQuota,
+          monthlyQuota,
+          isDefault,
+          isActive
+        ]);
+
+        return result.insertId;
+      });
+
+      return await this.findById(planId);
+
+    } catch (error) {
+      console.error('❌ Error creating API plan:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Plan name already exists');
+      }
+
+      throw new Error(`Failed to create API plan: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find a plan by ID
+     *
+     * @param {number} planId - Plan ID
+     * @returns {Promise<Object|null>} Plan object or null
+     */
+  static async findById(planId) {
+    try {
+      const results = await executeQuery(`${this._selectQuery()} WHERE id = ?`, [planId]);
+      return results.length > 0 ? this._formatApiPlanObject(results[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding API plan by ID:', error);
+      throw new Error(`Failed to find API plan: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find a plan by name
+     *
+     * @param {string} name - Plan name
+     * @returns {Promise<Object|null>} Plan object or null
+     */
+  static async findByName(name) {
+    try {
+      const results = await executeQuery(`${this._selectQuery()} WHERE name = ?`, [name.toLowerCase()]);
+      return results.length > 0 ? this._formatApiPlanObject(results[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding API plan by name:', error);
+      throw new Error(`Failed to find API plan: ${error.message}`);
+    }
+  }
+
+  /**
+     * Get all plans, smallest burst limit first
+     *
+     * @returns {Promise<Array>} Plan objects
+     */
+  static async findAll() {
+    try {
+      const results = await executeQuery(`${this._selectQuery()} ORDER BY burst_limit ASC, name ASC`);
+      return results.map(row => this._formatApiPlanObject(row));
+
+    } catch (error) {
+      console.error('❌ Error finding API plans:', error);
+      throw new Error(`Failed to find API plans: ${error.message}`);
+    }
+  }
+
+  /**
+     * Update a plan
+     * Marking it as default removes the mark from the other plans
+     *
+     * @param {number} planId - Plan ID
+     * @param {Object} updateData - Data to update (snake_case columns)
+     * @returns {Promise<Object|null>} Updated plan object or null if not found
+     */
+  static async update(planId, updateData) {
+    try {
+      const allowedFields = [
+        'display_name', 'description', 'burst_limit', 'sustained_per_minute',
+        'daily_quota', 'monthly_quota', 'is_default', 'is_active'
+      ];
+
+      // Filter only allowed fields
+      const updateFields = {};
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updateFields[key] = updateData[key];
+        }
+      });
+
+      if (Object.keys(updateFields).length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      const setClause = Object.keys(updateFields)
+        .map(field => `${field} = ?`)
+        .join(', ');
+
+      const updated = await executeTransaction(async () => {
+        if (updateFields.is_default) {
+          await executeQuery('UPDATE api_plans SET is_default = FALSE WHERE is_default = TRUE AND id <> ?', [planId]);
+        }
+
+        const query = `
+          UPDATE api_plans
+          SET ${setClause}, updated_at = NOW()
+          WHERE id = ?
+        `;
+
+        const result = await executeQuery(query, [...Object.values(updateFields), planId]);
+        return result.affectedRows > 0;
+      });
+
+      if (!updated) {
+        return null; // Plan not found
+      }
+
+      return await this.findById(planId);
+
+    } catch (error) {
+      console.error('❌ Error updating API plan:', error);
+      throw error; // Re-throw to preserve specific error messages
+    }
+  }
+
+  /**
+     * Get the plan assigned to a user, or to the API key in use
+     * The key's own plan wins over the user's plan
+     *
+     * @param {number} userId - User ID
+     * @param {number|null} apiKeyId - API key used for the request
+     * @returns {Promise<Object>} { planId, apiKeyPlanId } (null when not assigned)
+     */
+  static async findAssignedPlan(userId, apiKeyId = null) {
+    try {
+      const query = `
+        SELECT u.api_plan_id AS user_plan_id, k.plan_id AS key_plan_id
+        FROM users u
+        LEFT JOIN api_keys k ON k.id = ? AND k.user_id = u.id
+        WHERE u.id = ?
+      `;
+
+      const results = await executeQuery(query, [apiKeyId, userId]);
+
+      if (results.length === 0) {
+        return { planId: null, apiKeyPlanId: null };
+      }
+
+      const keyPlanId = results[0].key_plan_id || null;
+      return {
+        planId: keyPlanId || results[0].user_plan_id || null,
+        apiKeyPlanId: keyPlanId
+      };
+
+    } catch (error) {
+      console.error('❌ Error finding assigned API plan:', error);
+      throw new Error(`Failed to find assigned API plan: ${error.message}`);
+    }
+  }
+
+  /**
+     * Put a user on a plan
+     *
+     * @param {number} userId - User ID
+     * @param {number|null} planId - Plan ID, or null for the default plan
+     * @returns {Promise<boolean>} True if the user exists
+     */
+  static async assignToUser(userId, planId) {
+    try {
+      const result = await executeQuery(
+        'UPDATE users SET api_plan_id = ?, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL',
+        [planId, userId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error assigning API plan to user:', error);
+      throw new Error(`Failed to assign API plan: ${error.message}`);
+    }
+  }
+
+  /**
+     * Put an API key on its own plan
+     *
+     * @param {number} apiKeyId - API key ID
+     * @param {number|null} planId - Plan ID, or null for the owner's plan
+     * @returns {Promise<boolean>} True if the key exists
+     */
+  static async assignToApiKey(apiKeyId, planId) {
+    try {
+      const result = await executeQuery(
+        'UPDATE api_keys SET plan_id = ?, updated_at = NOW() WHERE id = ?',
+        [planId, apiKeyId]
+      );
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error assigning API plan to API key:', error);
+      throw new Error(`Failed to assign API plan: ${error.message}`);
+    }
+  }
+
+  /**
+     * Columns selected for every lookup
+     *
+     * @returns {string} SELECT ... FROM clause
+     * @private
+     */
+  static _selectQuery() {
+    return `
+      SELECT id, name, display_name, description, burst_limit, sustained_per_minute,
+             daily_quota, monthly_quota, is_default, is_active, created_at, updated_at
+      FROM api_plans
+    `;
+  }
+
+  /**
+     * Format database row to plan object
+     *
+     * @param {Object} row - Database row
+     * @returns {Object} Formatted plan object
+     * @private
+     */
+  static _formatApiPlanObject(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      displayName: row.display_name,
+      description: row.description,
+      burstLimit: Number(row.burst_limit),
+      sustainedPerMinute: Number(row.sustained_per_minute),
+      dailyQuota: row.daily_quota === null ? null : Number(row.daily_quota),
+      monthlyQuota: row.monthly_quota === null ? null : Number(row.monthly_quota),
+      isDefault: Boolean(row.is_default),
+      isActive: Boolean(row.is_active),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = ApiPlanModel;
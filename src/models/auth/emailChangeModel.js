@@ -0,0 +1,252 @@
+/**
+ * File: src/models/auth/emailChangeModel.js
+ * Email Change Model - MySQL2 Database Operations
+ *
+ * This file handles requests to change a user's email address.
+ *
+ * For beginners:
+ * - A request gets two tokens: one confirms it from the new address, the other
+ *   cancels it from the old address
+ * - Only SHA-256 hashes of the tokens are stored; the plain tokens go out by
+ *   email once and are never saved
+ * - A user has at most one pending request; a new one supersedes the old one
+ * - Status moves from pending to confirmed, cancelled or superseded, and a
+ *   confirmed change can still be reverted with the cancel link
+ */
+
+const { executeQuery } = require('../database');
+const crypto = require('crypto');
+
+/**
+ * Email Change Model Class
+ * Contains all email change related database operations
+ */
+class EmailChangeModel {
+  /**
+     * Create an email change request
+     * Any pending request of the user is superseded
+     *
+     * @param {Object} changeData - { userId, oldEmail, newEmail, expiresAt, cancelExpiresAt, sessionId, ipAddress, userAgent }
+     * @returns {Promise<Object>} Created request with plainConfirmToken and plainCancelToken
+     */
+  static async create(changeData) {
+    try {
+      const {
+        userId,
+        oldEmail,
+        newEmail,
+        expiresAt,
+        cancelExpiresAt,
+        sessionId = null,
+        ipAddress = null,
+        userAgent = null
+      } = changeData;
+
+      const confirmToken = this._generateToken();
+      const cancelToken = this._generateToken();
+
+      await executeQuery(`
+        UPDATE email_changes
+        SET status = 'superseded', updated_at = NOW()
+        WHERE user_id = ? AND status = 'pending'
+      `, [userId]);
+
+      const query = `
+        INSERT INTO email_changes (
+          user_id, old_email, new_email, confirm_token_hash, cancel_token_hash,
+          expires_at, cancel_expires_at, session_id, ip_address, user_agent, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `;
+
+      const result = await executeQuery(query, [
+        userId,
+        oldEmail.toLowerCase(),
+        newEmail.toLowerCase(),
+        this._hashToken(confirmToken),
+        this._hashToken(cancelToken),
+        expiresAt,
+        cancelExpiresAt,
+        sessionId,
+        ipAddress,
+        userAgent
+      ]);
+
+      const change = await this.findById(result.insertId);
+
+      // Plain tokens are only available in this response
+      change.plainConfirmToken = confirmToken;
+      change.plainCancelToken = cancelToken;
+      return change;
+
+    } catch (error) {
+      console.error('❌ Error creating email change request:', error);
+      throw new Error(`Failed to create email change request: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find an email change request by ID
+     *
+     * @param {number} id - Request ID
+     * @returns {Promise<Object|null>} Request object or null
+     */
+  static async findById(id) {
+    try {
+      const results = await executeQuery(`${this._selectQuery()} WHERE id = ?`, [id]);
+      return results.length > 0 ? this._formatEmailChangeObject(results[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding email change by ID:', error);
+      throw new Error(`Failed to find email change: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find an email change request by its confirmation token
+     *
+     * @param {string} token - Token from the link sent to the new address
+     * @returns {Promise<Object|null>} Request object or null
+     */
+  static async findByConfirmToken(token) {
+    try {
+      const results = await executeQuery(`${this._selectQuery()} WHERE confirm_token_hash = ?`, [this._hashToken(token)]);
+      return results.length > 0 ? this._formatEmailChangeObject(results[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding email change by confirmation token:', error);
+      throw new Error(`Failed to find email change: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find an email change request by its cancel token
+     *
+     * @param {string} token - Token from the notice sent to the old address
+     * @returns {Promise<Object|null>} Request object or null
+     */
+  static async findByCancelToken(token) {
+    try {
+      const results = await executeQuery(`${this._selectQuery()} WHERE cancel_token_hash = ?`, [this._hashToken(token)]);
+      return results.length > 0 ? this._formatEmailChangeObject(results[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding email change by cancel token:', error);
+      throw new Error(`Failed to find email change: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find the pending email change request of a user
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} Request object or null
+     */
+  static async findPendingByUserId(userId) {
+    try {
+      const query = `
+        ${this._selectQuery()}
+        WHERE user_id = ? AND status = 'pending' AND expires_at > NOW()
+        ORDER BY created_at DESC
+        LIMIT 1
+      `;
+
+      const results = await executeQuery(query, [userId]);
+      return results.length > 0 ? this._formatEmailChangeObject(results[0]) : null;
+
+    } catch (error) {
+      console.error('❌ Error finding pending email change:', error);
+      throw new Error(`Failed to find pending email change: ${error.message}`);
+    }
+  }
+
+  /**
+     * Move a request from one status to another
+     * Only one caller can win the transition, so a link works once
+     *
+     * @param {number} id - Request ID
+     * @param {string} fromStatus - Status the request must have
+     * @param {string} toStatus - 'confirmed', 'cancelled' or 'reverted'
+     * @returns {Promise<boolean>} True if the status changed
+     */
+  static async updateStatus(id, fromStatus, toStatus) {
+    try {
+      const timestampColumn = toStatus === 'confirmed' ? 'confirmed_at' : 'cancelled_at';
+
+      const query = `
+        UPDATE email_changes
+        SET status = ?, ${timestampColumn} = NOW(), updated_at = NOW()
+        WHERE id = ? AND status = ?
+      `;
+
+      const result = await executeQuery(query, [toStatus, id, fromStatus]);
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error updating email change status:', error);
+      throw new Error(`Failed to update email change: ${error.message}`);
+    }
+  }
+
+  /**
+     * Columns selected for every lookup (the token hashes stay in the database)
+     *
+     * @returns {string} SELECT ... FROM clause
+     * @private
+     */
+  static _selectQuery() {
+    return `
+      SELECT id, user_id, old_email, new_email, expires_at, cancel_expires_at, status,
+             confirmed_at, cancelled_at, session_id, ip_address, user_agent, created_at, updated_at
+      FROM email_changes
+    `;
+  }
+
+  /**
+     * Generate a random token for a link
+     *
+     * @returns {string} 64 hex characters
+     * @private
+     */
+  static _generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+     * Hash a token for storage and lookup
+     *
+     * @param {string} token - Plain token
+     * @returns {string} SHA-256 hex digest
+     * @private
+     */
+  static _hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+     * Format database row to email change object
+     *
+     * @param {Object} row - Database row
+     * @returns {Object} Formatted email change object
+     * @private
+     */
+  static _formatEmailChangeObject(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      oldEmail: row.old_email,
+      newEmail: row.new_email,
+      expiresAt: row.expires_at,
+      cancelExpiresAt: row.cancel_expires_at,
+      status: row.status,
+      confirmedAt: row.confirmed_at,
+      cancelledAt: row.cancelled_at,
+      sessionId: row.session_id,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = EmailChangeModel;
@@ -0,0 +1,264 @@
+/**
+ * File: src/models/auth/mfaModel.js
+ * MFA Model - MySQL2 Database Operations
+ *
+ * This file handles TOTP two-factor secrets and one-time recovery codes.
+ *
+ * For beginners:
+ * - Each user has at most one TOTP secret; it is stored encrypted
+ * - A secret is "pending" until enabledAt is set by a confirmed enrollment
+ * - lastUsedStep records the 30-second window of the last accepted code, so
+ *   a code can't be replayed
+ * - Recovery codes are only ever stored as hashes and are marked used once
+ */
+
+const { executeQuery, executeTransaction } = require('../database');
+
+/**
+ * MFA Model Class
+ * Contains all MFA related database operations
+ */
+class MfaModel {
+  /**
+     * Find the MFA record of a user
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<Object|null>} MFA object or null
+     */
+  static async findByUserId(userId) {
+    try {
+      const query = `
+        SELECT id, user_id, secret_encrypted, enabled_at, last_used_step, last_used_at, created_at, updated_at
+        FROM user_mfa
+        WHERE user_id = ?
+      `;
+
+      const results = await executeQuery(query, [userId]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatMfaObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding MFA record:', error);
+      throw new Error(`Failed to find MFA record: ${error.message}`);
+    }
+  }
+
+  /**
+     * Store a new, not yet enabled secret for a user
+     * Replaces any earlier pending secret; an enabled secret is left alone
+     *
+     * @param {number} userId - User ID
+     * @param {string} secretEncrypted - Encrypted TOTP secret
+     * @returns {Promise<Object|null>} MFA object, or null if MFA is already enabled
+     */
+  static async savePendingSecret(userId, secretEncrypted) {
+    try {
+      const query = `
+        INSERT INTO user_mfa (user_id, secret_encrypted, enabled_at, last_used_step, created_at, updated_at)
+        VALUES (?, ?, NULL, NULL, NOW(), NOW())
+        ON DUPLICATE KEY UPDATE
+          secret_encrypted = IF(enabled_at IS NULL, VALUES(secret_encrypted), secret_encrypted),
+          last_used_step = IF(enabled_at IS NULL, NULL, last_used_step),
+          updated_at = NOW()
+      `;
+
+      await executeQuery(query, [userId, secretEncrypted]);
+
+      const mfa = await this.findByUserId(userId);
+
+      return mfa && !mfa.enabledAt ? mfa : null;
+
+    } catch (error) {
+      console.error('❌ Error saving pending MFA secret:', error);
+      throw new Error(`Failed to save MFA secret: ${error.message}`);
+    }
+  }
+
+  /**
+     * Enable MFA and replace the user's recovery codes
+     *
+     * @param {number} userId - User ID
+     * @param {number} timeStep - Time step of the code that confirmed enrollment
+     * @param {Array} codeHashes - Hashed recovery codes
+     * @returns {Promise<boolean>} True if a pending secret was enabled
+     */
+  static async enable(userId, timeStep, codeHashes) {
+    try {
+      return await executeTransaction(async () => {
+        const result = await executeQuery(`
+          UPDATE user_mfa
+          SET enabled_at = NOW(), last_used_step = ?, last_used_at = NOW(), updated_at = NOW()
+          WHERE user_id = ? AND enabled_at IS NULL
+        `, [timeStep, userId]);
+
+        if (result.affectedRows === 0) {
+          return false;
+        }
+
+        await this.replaceRecoveryCodes(userId, codeHashes);
+
+        return true;
+      });
+
+    } catch (error) {
+      console.error('❌ Error enabling MFA:', error);
+      throw new Error(`Failed to enable MFA: ${error.message}`);
+    }
+  }
+
+  /**
+     * Record an accepted code
+     * Only succeeds for a later time step than the last accepted one, so two
+     * requests racing with the same code can't both get through
+     *
+     * @param {number} userId - User ID
+     * @param {number} timeStep - Time step of the accepted code
+     * @returns {Promise<boolean>} True if the code had not been used yet
+     */
+  static async markStepUsed(userId, timeStep) {
+    try {
+      const query = `
+        UPDATE user_mfa
+        SET last_used_step = ?, last_used_at = NOW(), updated_at = NOW()
+        WHERE user_id = ? AND enabled_at IS NOT NULL
+          AND (last_used_step IS NULL OR last_used_step < ?)
+      `;
+
+      const result = await executeQuery(query, [timeStep, userId, timeStep]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error recording MFA code use:', error);
+      throw new Error(`Failed to record MFA code use: ${error.message}`);
+    }
+  }
+
+  /**
+     * Remove a user's secret and recovery codes
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} True if an MFA record was deleted
+     */
+  static async delete(userId) {
+    try {
+      return await executeTransaction(async () => {
+        await executeQuery('DELETE FROM user_mfa_recovery_codes WHERE user_id = ?', [userId]);
+        const result = await executeQuery('DELETE FROM user_mfa WHERE user_id = ?', [userId]);
+
+        return result.affectedRows > 0;
+      });
+
+    } catch (error) {
+      console.error('❌ Error deleting MFA record:', error);
+      throw new Error(`Failed to delete MFA record: ${error.message}`);
+    }
+  }
+
+  /**
+     * Replace all recovery codes of a user
+     *
+     * @param {number} userId - User ID
+     * @param {Array} codeHashes - Hashed recovery codes
+     * @returns {Promise<number>} Number of codes stored
+     */
+  static async replaceRecoveryCodes(userId, codeHashes) {
+    try {
+      return await executeTransaction(async () => {
+        await executeQuery('DELETE FROM user_mfa_recovery_codes WHERE user_id = ?', [userId]);
+
+        if (codeHashes.length > 0) {
+          const placeholders = codeHashes.map(() => '(?, ?, NOW())').join(', ');
+          const params = codeHashes.flatMap(codeHash => [userId, codeHash]);
+
+          await executeQuery(`
+            INSERT INTO user_mfa_recovery_codes (user_id, code_hash, created_at)
+            VALUES ${placeholders}
+          `, params);
+        }
+
+        return codeHashes.length;
+      });
+
+    } catch (error) {
+      console.error('❌ Error replacing recovery codes:', error);
+      throw new Error(`Failed to replace recovery codes: ${error.message}`);
+    }
+  }
+
+  /**
+     * Use up a recovery code
+     *
+     * @param {number} userId - User ID
+     * @param {string} codeHash - Hashed recovery code
+     * @returns {Promise<boolean>} True if an unused code matched
+     */
+  static async consumeRecoveryCode(userId, codeHash) {
+    try {
+      const query = `
+        UPDATE user_mfa_recovery_codes
+        SET used_at = NOW()
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      `;
+
+      const result = await executeQuery(query, [userId, codeHash]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error using recovery code:', error);
+      throw new Error(`Failed to use recovery code: ${error.message}`);
+    }
+  }
+
+  /**
+     * Count the unused recovery codes of a user
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Unused code count
+     */
+  static async countUnusedRecoveryCodes(userId) {
+    try {
+      const query = `
+        SELECT COUNT(*) as remaining
+        FROM user_mfa_recovery_codes
+        WHERE user_id = ? AND used_at IS NULL
+      `;
+
+      const results = await executeQuery(query, [userId]);
+
+      return Number(results[0].remaining);
+
+    } catch (error) {
+      console.error('❌ Error counting recovery codes:', error);
+      throw new Error(`Failed to count recovery codes: ${error.message}`);
+    }
+  }
+
+  /**
+     * Format MFA object for consistent output
+     *
+     * @private
+     * @param {Object} row - Raw MFA data from database
+     * @returns {Object} Formatted MFA object
+     */
+  static _formatMfaObject(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      secretEncrypted: row.secret_encrypted,
+      isEnabled: row.enabled_at !== null,
+      enabledAt: row.enabled_at,
+      lastUsedStep: row.last_used_step !== null ? Number(row.last_used_step) : null,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = MfaModel;
@@ -0,0 +1,114 @@
+/**
+ * File: src/models/auth/passwordHistoryModel.js
+ * Password History Model - MySQL2 Database Operations
+ *
+ * This file keeps the hashes of the passwords each user has set, so the
+ * password policy can refuse a password that was used recently.
+ *
+ * For beginners:
+ * - Only bcrypt hashes are stored; a new password is compared with them
+ *   using bcrypt.compare, just like at login
+ * - UserModel.updatePassword and PasswordResetModel.useResetToken write the
+ *   entry in the same transaction as the password update
+ * - prune keeps only as many entries per user as the policy looks at
+ * - Entries disappear with the user (ON DELETE CASCADE)
+ */
+
+const { executeQuery } = require('../database');
+
+/**
+ * Password History Model Class
+ * Contains all password history related database operations
+ */
+class PasswordHistoryModel {
+  /**
+     * Get the hashes of the most recent passwords of a user, newest first
+     *
+     * @param {number} userId - User ID
+     * @param {number} limit - Number of passwords
+     * @returns {Promise<Array<string>>} Password hashes
+     */
+  static async findRecentHashes(userId, limit) {
+    try {
+      const query = `
+        SELECT password_hash
+        FROM password_history
+        WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${parseInt(limit, 10)}
+      `;
+
+      const results = await executeQuery(query, [userId]);
+      return results.map(row => row.password_hash);
+
+    } catch (error) {
+      console.error('❌ Error finding recent password hashes:', error);
+      throw new Error(`Failed to find password history: ${error.message}`);
+    }
+  }
+
+  /**
+     * List when a user changed their password, newest first
+     * Hashes are never part of the result
+     *
+     * @param {number} userId - User ID
+     * @param {number} limit - Maximum number of entries
+     * @returns {Promise<Array<Object>>} Entries ({ id, changedAt })
+     */
+  static async findByUserId(userId, limit = 24) {
+    try {
+      const query = `
+        SELECT id, created_at
+        FROM password_history
+        WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+        LIMIT ${parseInt(limit, 10)}
+      `;
+
+      const results = await executeQuery(query, [userId]);
+      return results.map(row => ({
+        id: row.id,
+        changedAt: row.created_at
+      }));
+
+    } catch (error) {
+      console.error('❌ Error listing password history:', error);
+      throw new Error(`Failed to list password history: ${error.message}`);
+    }
+  }
+
+  /**
+     * Delete all but the newest entries of a user
+     *
+     * @param {number} userId - User ID
+     * @param {number} keep - Number of entries to keep
+     * @returns {Promise<number>} Number of deleted entries
+     */
+  static async prune(userId, keep) {
+    try {
+      // MySQL can't LIMIT a subquery used with IN directly, hence the derived table
+      const query = `
+        DELETE FROM password_history
+        WHERE user_id = ?
+          AND id NOT IN (
+            SELECT id FROM (
+              SELECT id
+              FROM password_history
+              WHERE user_id = ?
+              ORDER BY created_at DESC, id DESC
+              LIMIT ${Math.max(parseInt(keep, 10), 0)}
+            ) AS newest
+          )
+      `;
+
+      const result = await executeQuery(query, [userId, userId]);
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error pruning password history:', error);
+      throw new Error(`Failed to prune password history: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PasswordHistoryModel;
@@ -10,6 +10,8 @@
  * - We generate secure tokens that are sent via email for verification
  * - Tokens expire after a certain time and can only be used once
  * - We track attempts and IP addresses for security monitoring
+ * - The same table holds passwordless login links (purpose 'magic_link'); every
+ *   lookup is limited to one purpose so the two token kinds never mix
  */
 
 const { executeQuery, executeTransaction } = require('../database');
@@ -25,6 +27,8 @@ class PasswordResetModel {
      * Create a new password reset request
      *
      * @param {Object} resetData - Password reset data
+     * @param {string} resetData.purpose - 'password_reset' (default) or 'magic_link'
+     * @param {string} resetData.deviceToken - Secret held by the requesting device; binds the token to it
      * @returns {Promise<Object>} Created password reset object
      */
   static async createResetRequest(resetData) {
@@ -34,12 +38,15 @@ class PasswordResetModel {
         userId = null,
         ipAddress,
         userAgent = null,
-        expiresAt = null
+        expiresAt = null,
+        purpose = 'password_reset',
+        deviceToken = null
       } = resetData;
 
       // Generate secure reset token
       const resetToken = this._generateResetToken();
       const tokenHash = await this._hashToken(resetToken);
+      const deviceHash = deviceToken ? await this._hashToken(deviceToken) : null;
 
       // Default expiration: 15 minutes from now
       const defaultExpiration = new Date();
@@ -48,25 +55,28 @@ class PasswordResetModel {
       const finalExpirationTime = expiresAt || defaultExpiration;
 
       // Check rate limiting before creating
-      const canCreate = await this._checkRateLimit(email, ipAddress);
+      const canCreate = await this._checkRateLimit(email, ipAddress, purpose);
       if (!canCreate.allowed) {
-        throw new Error(`Too many password reset requests. Please try again later.`);
+        throw new Error(`Too many ${purpose === 'magic_link' ? 'login link' : 'password reset'} requests. Please try again later.`);
       }
 
       const insertQuery = `
                 INSERT INTO password_resets (
-                    email, user_id, token, token_hash, ip_address, user_agent,
-                    expires_at, created_at, updated_at
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+                    email, user_id, token, token_hash, purpose, ip_address, user_agent,
+                    device_hash, expires_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
             `;
 
       const insertParams = [
         email.toLowerCase(),
         userId,
-        resetToken, // Store plain token for returning to user
+        // Magic links log the user in, so only their hash is stored; the plain token is returned below
+        purpose === 'magic_link' ? null : resetToken,
         tokenHash,  // Store hashed version for security
+        purpose,
         ipAddress,
         userAgent,
+        deviceHash,
         finalExpirationTime
       ];
 
@@ -78,7 +88,7 @@ class PasswordResetModel {
       // Add the plain token to return (only for this response)
       resetRequest.plainToken = resetToken;
 
-      console.log(`✅ Password reset request created for ${email} with ID: ${result.insertId}`);
+      console.log(`✅ ${purpose === 'magic_link' ? 'Login link' : 'Password reset request'} created for ${email} with ID: ${result.insertId}`);
       return resetRequest;
 
     } catch (error) {
@@ -97,8 +107,8 @@ class PasswordResetModel {
     try {
       const query = `
                 SELECT 
-                    pr.id, pr.email, pr.user_id, pr.ip_address, pr.user_agent,
-                    pr.expires_at, pr.is_used, pr.used_at, pr.used_ip,
+                    pr.id, pr.email, pr.user_id, pr.purpose, pr.ip_address, pr.user_agent,
+                    pr.device_hash, pr.expires_at, pr.is_used, pr.used_at, pr.used_ip,
                     pr.verification_attempts, pr.max_attempts, pr.request_count,
                     pr.created_at, pr.updated_at,
                     u.first_name, u.last_name, u.is_active as user_active
@@ -125,25 +135,26 @@ class PasswordResetModel {
      * Find password reset request by token
      *
      * @param {string} token - Reset token
+     * @param {string} purpose - 'password_reset' (default) or 'magic_link'
      * @returns {Promise<Object|null>} Reset request object or null
      */
-  static async findByToken(token) {
+  static async findByToken(token, purpose = 'password_reset') {
     try {
       const tokenHash = await this._hashToken(token);
 
       const query = `
                 SELECT 
-                    pr.id, pr.email, pr.user_id, pr.ip_address, pr.user_agent,
-                    pr.expires_at, pr.is_used, pr.used_at, pr.used_ip,
+                    pr.id, pr.email, pr.user_id, pr.purpose, pr.ip_address, pr.user_agent,
+                    pr.device_hash, pr.expires_at, pr.is_used, pr.used_at, pr.used_ip,
                     pr.verification_attempts, pr.max_attempts, pr.request_count,
                     pr.created_at, pr.updated_at,
                     u.first_name, u.last_name, u.is_active as user_active
                 FROM password_resets pr
                 LEFT JOIN users u ON pr.user_id = u.id
-                WHERE pr.token_hash = ?
+                WHERE pr.token_hash = ? AND pr.purpose = ?
             `;
 
-      const results = await executeQuery(query, [tokenHash]);
+      const results = await executeQuery(query, [tokenHash, purpose]);
 
       if (results.length === 0) {
         return null;
@@ -162,11 +173,12 @@ class PasswordResetModel {
      *
      * @param {string} token - Reset token
      * @param {string} email - Email address
+     * @param {string} purpose - 'password_reset' (default) or 'magic_link'
      * @returns {Promise<Object|null>} Valid reset request or null
      */
-  static async validateResetToken(token, email) {
+  static async validateResetToken(token, email, purpose = 'password_reset') {
     try {
-      const resetRequest = await this.findByToken(token);
+      const resetRequest = await this.findByToken(token, purpose);
 
       if (!resetRequest) {
         console.log('ℹ️ Password reset token not found');
@@ -237,11 +249,23 @@ class PasswordResetModel {
         // Update user password
         const updatePasswordQuery = `
                     UPDATE users 
-                    SET password = ?, password_changed_at = NOW(), updated_at = NOW()
+                    SET 
+                        password = ?,
+                        password_changed_at = NOW(),
+                        password_expires_at = NULL,
+                        password_expiry_reminded_at = NULL,
+                        updated_at = NOW()
                     WHERE id = ?
                 `;
         await connection.execute(updatePasswordQuery, [hashedPassword, resetRequest.userId]);
 
+        // Remember the password for reuse checks
+        const historyQuery = `
+                    INSERT INTO password_history (user_id, password_hash, created_at)
+                    VALUES (?, ?, NOW())
+                `;
+        await connection.execute(historyQuery, [resetRequest.userId, hashedPassword]);
+
         // Mark reset token as used
         const markUsedQuery = `
                     UPDATE password_resets 
@@ -276,6 +300,69 @@ class PasswordResetModel {
     }
   }
 
+  /**
+     * Use a magic link to log in
+     * The link is marked used atomically, so it works exactly once, and all
+     * other open links for the email stop working
+     *
+     * @param {string} token - Magic link token
+     * @param {string} email - Email address
+     * @param {string} clientIp - Client IP address
+     * @param {string} deviceToken - Device cookie presented with the link
+     * @returns {Promise<Object>} { consumed, link?, reason? } - reason is 'invalid' or 'device_mismatch'
+     */
+  static async consumeMagicLink(token, email, clientIp, deviceToken = null) {
+    try {
+      const link = await this.validateResetToken(token, email, 'magic_link');
+
+      if (!link || !link.userId) {
+        return { consumed: false, reason: 'invalid' };
+      }
+
+      // A bound link only works on the device that asked for it
+      if (link.deviceHash && (!deviceToken || await this._hashToken(deviceToken) !== link.deviceHash)) {
+        await this._incrementVerificationAttempts(link.id);
+        return { consumed: false, reason: 'device_mismatch', link };
+      }
+
+      let consumed = false;
+
+      await executeTransaction(async (connection) => {
+        // Only one request can flip is_used, so a link can't be used twice
+        const markUsedQuery = `
+                    UPDATE password_resets 
+                    SET 
+                        is_used = TRUE,
+                        used_at = NOW(),
+                        used_ip = ?,
+                        updated_at = NOW()
+                    WHERE id = ? AND is_used = FALSE
+                `;
+        const [result] = await connection.execute(markUsedQuery, [clientIp, link.id]);
+        consumed = result.affectedRows > 0;
+
+        if (consumed) {
+          const invalidateQuery = `
+                      UPDATE password_resets 
+                      SET 
+                          is_used = TRUE,
+                          used_at = NOW(),
+                          used_ip = ?,
+                          updated_at = NOW()
+                      WHERE email = ? AND purpose = 'magic_link' AND id != ? AND is_used = FALSE
+                  `;
+          await connection.execute(invalidateQuery, [clientIp, link.email, link.id]);
+        }
+      });
+
+      return consumed ? { consumed: true, link } : { consumed: false, reason: 'invalid' };
+
+    } catch (error) {
+      console.error('❌ Error using magic link:', error);
+      throw new Error(`Failed to use magic link: ${error.message}`);
+    }
+  }
+
   /**
      * Get all password reset requests for an email
      *
@@ -398,7 +485,8 @@ class PasswordResetModel {
       const {
         timeframe = 24, // hours
         minRequests = 5, // minimum requests to consider suspicious
-        limit = 50
+        limit = 50,
+        purpose = null // 'password_reset' or 'magic_link' (default: both)
       } = options;
 
       // Find IPs or emails with high request frequency
@@ -414,13 +502,14 @@ class PasswordResetModel {
                     COUNT(DISTINCT email) as unique_emails_from_ip
                 FROM password_resets 
                 WHERE created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+                AND (? IS NULL OR purpose = ?)
                 GROUP BY COALESCE(email, ip_address), ip_address
                 HAVING request_count >= ?
                 ORDER BY request_count DESC, blocked_attempts DESC
                 LIMIT ?
             `;
 
-      const results = await executeQuery(query, [timeframe, minRequests, limit]);
+      const results = await executeQuery(query, [timeframe, purpose, purpose, minRequests, limit]);
 
       return results.map(record => ({
         ...record,
@@ -495,13 +584,15 @@ class PasswordResetModel {
 
   /**
      * Check rate limiting for password reset requests
+     * Password resets and magic links are counted separately
      *
      * @param {string} email - Email address
      * @param {string} ipAddress - IP address
+     * @param {string} purpose - 'password_reset' (default) or 'magic_link'
      * @returns {Promise<Object>} Rate limit check result
      * @private
      */
-  static async _checkRateLimit(email, ipAddress) {
+  static async _checkRateLimit(email, ipAddress, purpose = 'password_reset') {
     try {
       const timeWindow = 15; // minutes
       const maxRequests = 3; // max requests per email per time window
@@ -511,19 +602,19 @@ class PasswordResetModel {
       const emailQuery = `
                 SELECT COUNT(*) as count
                 FROM password_resets 
-                WHERE email = ? 
+                WHERE email = ? AND purpose = ?
                 AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
             `;
-      const [emailResult] = await executeQuery(emailQuery, [email, timeWindow]);
+      const [emailResult] = await executeQuery(emailQuery, [email, purpose, timeWindow]);
 
       // Check IP rate limit
       const ipQuery = `
                 SELECT COUNT(*) as count
                 FROM password_resets 
-                WHERE ip_address = ? 
+                WHERE ip_address = ? AND purpose = ?
                 AND created_at >= DATE_SUB(NOW(), INTERVAL ? MINUTE)
             `;
-      const [ipResult] = await executeQuery(ipQuery, [ipAddress, timeWindow]);
+      const [ipResult] = await executeQuery(ipQuery, [ipAddress, purpose, timeWindow]);
 
       const emailExceeded = emailResult.count >= maxRequests;
       const ipExceeded = ipResult.count >= maxRequestsPerIP;
@@ -580,8 +671,10 @@ class PasswordResetModel {
       id: resetData.id,
       email: resetData.email,
       userId: resetData.user_id,
+      purpose: resetData.purpose || 'password_reset',
       ipAddress: resetData.ip_address,
       userAgent: resetData.user_agent,
+      deviceHash: resetData.device_hash || null,
       expiresAt: resetData.expires_at,
       isUsed: Boolean(resetData.is_used),
       usedAt: resetData.used_at,
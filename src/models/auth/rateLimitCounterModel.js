@@ -0,0 +1,244 @@
+/**
+ * File: src/models/auth/rateLimitCounterModel.js
+ * Rate Limit Counter Model - MySQL2 Database Operations
+ *
+ * This file stores request counts for the MySQL rate limit backend.
+ *
+ * For beginners:
+ * - A row counts the requests of one key during one fixed window
+ * - The rate limit store adds the current window to a weighted share of the
+ *   previous one, so only those two rows matter for a key
+ * - Rows only matter until expires_at; after that they get purged
+ * - Token buckets (rate_limit_buckets) keep the tokens left and when they
+ *   were computed; a missing row is a full bucket
+ */
+
+const { executeQuery, executeTransaction } = require('../database');
+
+/**
+ * Rate Limit Counter Model Class
+ * Contains all rate limit counter database operations
+ */
+class RateLimitCounterModel {
+  /**
+     * Count one request of a key in a window
+     * Concurrent requests are added up by the database, not by the instance
+     *
+     * @param {string} key - Limiter key
+     * @param {number} windowStart - Window start (ms since epoch)
+     * @param {Date} expiresAt - When the row can be dropped
+     * @returns {Promise<boolean>} Success status
+     */
+  static async increment(key, windowStart, expiresAt) {
+    try {
+      const query = `
+        INSERT INTO rate_limit_counters (limiter_key, window_start, hits, expires_at)
+        VALUES (?, ?, 1, ?)
+        ON DUPLICATE KEY UPDATE hits = hits + 1
+      `;
+
+      await executeQuery(query, [key, windowStart, expiresAt]);
+
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error incrementing rate limit counter:', error);
+      throw new Error(`Failed to increment rate limit counter: ${error.message}`);
+    }
+  }
+
+  /**
+     * Take back one counted request of a key in a window
+     *
+     * @param {string} key - Limiter key
+     * @param {number} windowStart - Window start (ms since epoch)
+     * @returns {Promise<boolean>} True if a count was taken back
+     */
+  static async decrement(key, windowStart) {
+    try {
+      const query = `
+        UPDATE rate_limit_counters
+        SET hits = hits - 1
+        WHERE limiter_key = ? AND window_start = ? AND hits > 0
+      `;
+
+      const result = await executeQuery(query, [key, windowStart]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error decrementing rate limit counter:', error);
+      throw new Error(`Failed to decrement rate limit counter: ${error.message}`);
+    }
+  }
+
+  /**
+     * Get the counts of a key for the given windows
+     *
+     * @param {string} key - Limiter key
+     * @param {number[]} windowStarts - Window starts (ms since epoch)
+     * @returns {Promise<Object>} Map of window start to hits (missing windows are left out)
+     */
+  static async getCounts(key, windowStarts) {
+    try {
+      const placeholders = windowStarts.map(() => '?').join(', ');
+      const query = `
+        SELECT window_start, hits
+        FROM rate_limit_counters
+        WHERE limiter_key = ? AND window_start IN (${placeholders})
+      `;
+
+      const results = await executeQuery(query, [key, ...windowStarts]);
+
+      return results.reduce((counts, row) => {
+        counts[Number(row.window_start)] = Number(row.hits);
+        return counts;
+      }, {});
+
+    } catch (error) {
+      console.error('❌ Error getting rate limit counts:', error);
+      throw new Error(`Failed to get rate limit counts: ${error.message}`);
+    }
+  }
+
+  /**
+     * Forget every window of a key
+     *
+     * @param {string} key - Limiter key
+     * @returns {Promise<number>} Number of removed rows
+     */
+  static async deleteKey(key) {
+    try {
+      const result = await executeQuery('DELETE FROM rate_limit_counters WHERE limiter_key = ?', [key]);
+
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error deleting rate limit counters:', error);
+      throw new Error(`Failed to delete rate limit counters: ${error.message}`);
+    }
+  }
+
+  /**
+     * Remove rows that no longer affect any window
+     *
+     * @returns {Promise<number>} Number of removed rows
+     */
+  static async deleteExpired() {
+    try {
+      const result = await executeQuery('DELETE FROM rate_limit_counters WHERE expires_at <= NOW()');
+
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error deleting expired rate limit counters:', error);
+      throw new Error(`Failed to delete expired rate limit counters: ${error.message}`);
+    }
+  }
+
+  /**
+     * Take one token from a bucket, refilling it for the time that passed
+     * The row is locked, so concurrent requests take tokens one after another
+     *
+     * @param {string} key - Bucket key
+     * @param {number} capacity - Bucket size
+     * @param {number} refillPerMs - Tokens added per millisecond
+     * @param {number} now - Current time (ms since epoch)
+     * @returns {Promise<Object>} { allowed, tokens } with the tokens left afterwards
+     */
+  static async takeToken(key, capacity, refillPerMs, now) {
+    try {
+      return await executeTransaction(async () => {
+        const results = await executeQuery(
+          'SELECT tokens, refilled_at FROM rate_limit_buckets WHERE bucket_key = ? FOR UPDATE',
+          [key]
+        );
+
+        let tokens = capacity;
+        if (results.length > 0) {
+          const elapsed = Math.max(0, now - Number(results[0].refilled_at));
+          tokens = Math.min(capacity, Number(results[0].tokens) + elapsed * refillPerMs);
+        }
+
+        const allowed = tokens >= 1;
+        if (allowed) tokens -= 1;
+
+        // The row is only needed until the bucket is full again
+        const expiresAt = new Date(now + Math.ceil((capacity - tokens) / refillPerMs));
+
+        await executeQuery(`
+          INSERT INTO rate_limit_buckets (bucket_key, tokens, refilled_at, expires_at)
+          VALUES (?, ?, ?, ?)
+          ON DUPLICATE KEY UPDATE tokens = VALUES(tokens), refilled_at = VALUES(refilled_at), expires_at = VALUES(expires_at)
+        `, [key, tokens, now, expiresAt]);
+
+        return { allowed, tokens };
+      });
+
+    } catch (error) {
+      console.error('❌ Error taking rate limit token:', error);
+      throw new Error(`Failed to take rate limit token: ${error.message}`);
+    }
+  }
+
+  /**
+     * Get the stored state of a bucket
+     *
+     * @param {string} key - Bucket key
+     * @returns {Promise<Object|null>} { tokens, refilledAt } or null for a full bucket
+     */
+  static async getBucket(key) {
+    try {
+      const results = await executeQuery('SELECT tokens, refilled_at FROM rate_limit_buckets WHERE bucket_key = ?', [key]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return {
+        tokens: Number(results[0].tokens),
+        refilledAt: Number(results[0].refilled_at)
+      };
+
+    } catch (error) {
+      console.error('❌ Error getting rate limit bucket:', error);
+      throw new Error(`Failed to get rate limit bucket: ${error.message}`);
+    }
+  }
+
+  /**
+     * Remove buckets that are full again
+     *
+     * @returns {Promise<number>} Number of removed rows
+     */
+  static async deleteExpiredBuckets() {
+    try {
+      const result = await executeQuery('DELETE FROM rate_limit_buckets WHERE expires_at <= NOW()');
+
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error deleting expired rate limit buckets:', error);
+      throw new Error(`Failed to delete expired rate limit buckets: ${error.message}`);
+    }
+  }
+
+  /**
+     * Count keys that still have a live window
+     *
+     * @returns {Promise<number>} Number of keys
+     */
+  static async countActiveKeys() {
+    try {
+      const results = await executeQuery('SELECT COUNT(DISTINCT limiter_key) as total FROM rate_limit_counters WHERE expires_at > NOW()');
+
+      return Number(results[0].total);
+
+    } catch (error) {
+      console.error('❌ Error counting rate limit keys:', error);
+      throw new Error(`Failed to count rate limit keys: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RateLimitCounterModel;
@@ -0,0 +1,117 @@
+/**
+ * File: src/models/auth/revokedTokenModel.js
+ * Revoked Token Model - MySQL2 Database Operations
+ *
+ * This file stores the IDs (jti) of revoked JWTs for the MySQL denylist backend.
+ *
+ * For beginners:
+ * - A row means "reject any token carrying this jti"
+ * - Rows only matter until expires_at; after that the token is expired anyway
+ * - The denylist service decides whether this table or memory is used
+ */
+
+const { executeQuery } = require('../database');
+
+/**
+ * Revoked Token Model Class
+ * Contains all token denylist database operations
+ */
+class RevokedTokenModel {
+  /**
+     * Add a token ID to the denylist
+     * Revoking the same jti again keeps the latest expiry and reason
+     *
+     * @param {Object} entryData - { jti, expiresAt, tokenType, userId, reason, revokedBy }
+     * @returns {Promise<boolean>} Success status
+     */
+  static async add(entryData) {
+    try {
+      const {
+        jti,
+        expiresAt,
+        tokenType = null,
+        userId = null,
+        reason = null,
+        revokedBy = null
+      } = entryData;
+
+      const query = `
+        INSERT INTO revoked_tokens (jti, token_type, user_id, expires_at, reason, revoked_by, revoked_at)
+        VALUES (?, ?, ?, ?, ?, ?, NOW())
+        ON DUPLICATE KEY UPDATE
+          expires_at = GREATEST(expires_at, VALUES(expires_at)),
+          reason = VALUES(reason),
+          revoked_by = VALUES(revoked_by)
+      `;
+
+      await executeQuery(query, [jti, tokenType, userId, expiresAt, reason, revokedBy]);
+
+      return true;
+
+    } catch (error) {
+      console.error('❌ Error adding revoked token:', error);
+      throw new Error(`Failed to revoke token: ${error.message}`);
+    }
+  }
+
+  /**
+     * Check whether a token ID is on the denylist
+     *
+     * @param {string} jti - JWT ID
+     * @returns {Promise<boolean>} True if the token is revoked
+     */
+  static async isRevoked(jti) {
+    try {
+      const query = `
+        SELECT 1
+        FROM revoked_tokens
+        WHERE jti = ? AND expires_at > NOW()
+        LIMIT 1
+      `;
+
+      const results = await executeQuery(query, [jti]);
+
+      return results.length > 0;
+
+    } catch (error) {
+      console.error('❌ Error checking revoked token:', error);
+      throw new Error(`Failed to check revoked token: ${error.message}`);
+    }
+  }
+
+  /**
+     * Remove entries whose tokens have expired
+     *
+     * @returns {Promise<number>} Number of removed entries
+     */
+  static async deleteExpired() {
+    try {
+      const result = await executeQuery('DELETE FROM revoked_tokens WHERE expires_at <= NOW()');
+
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error deleting expired revoked tokens:', error);
+      throw new Error(`Failed to delete expired revoked tokens: ${error.message}`);
+    }
+  }
+
+  /**
+     * Count entries that are still in effect
+     *
+     * @returns {Promise<number>} Number of revoked, unexpired tokens
+     */
+  static async countActive() {
+    try {
+      const results = await executeQuery('SELECT COUNT(*) as total FROM revoked_tokens WHERE expires_at > NOW()');
+
+      return Number(results[0].total);
+
+    } catch (error) {
+      console.error('❌ Error counting revoked tokens:', error);
+      throw new Error(`Failed to count revoked tokens: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RevokedTokenModel;
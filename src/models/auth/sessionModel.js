@@ -33,6 +33,10 @@ class SessionModel {
         userId,
         sessionToken,
         refreshToken = null,
+        tokenFamily = null,
+        impersonatorId = null,
+        impersonatorSessionId = null,
+        impersonationReason = null,
         deviceName = null,
         deviceType = 'web',
         userAgent = null,
@@ -48,16 +52,21 @@ class SessionModel {
 
       const insertQuery = `
         INSERT INTO user_sessions (
-          user_id, session_token, refresh_token, device_name, device_type,
+          user_id, impersonator_id, impersonator_session_id, impersonation_reason,
+          session_token, refresh_token, token_family, device_name, device_type,
           user_agent, ip_address, country, city, expires_at,
           is_remember_me, last_used_at, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW(), NOW())
       `;
 
       const insertParams = [
         userId,
+        impersonatorId,
+        impersonatorSessionId,
+        impersonationReason,
         finalSessionToken,
         refreshToken,
+        tokenFamily,
         deviceName,
         deviceType,
         userAgent,
@@ -92,7 +101,8 @@ class SessionModel {
     try {
       const query = `
         SELECT 
-          s.id, s.user_id, s.session_token, s.refresh_token,
+          s.id, s.user_id, s.impersonator_id, s.impersonator_session_id, s.impersonation_reason,
+          s.session_token, s.refresh_token, s.token_family,
           s.device_name, s.device_type, s.user_agent,
           s.ip_address, s.country, s.city,
           s.expires_at, s.last_used_at, s.is_active, s.revoked_at,
@@ -128,7 +138,8 @@ class SessionModel {
     try {
       const query = `
         SELECT 
-          s.id, s.user_id, s.session_token, s.refresh_token,
+          s.id, s.user_id, s.impersonator_id, s.impersonator_session_id, s.impersonation_reason,
+          s.session_token, s.refresh_token, s.token_family,
           s.device_name, s.device_type, s.user_agent,
           s.ip_address, s.country, s.city,
           s.expires_at, s.last_used_at, s.is_active, s.revoked_at,
@@ -154,6 +165,77 @@ class SessionModel {
     }
   }
 
+  /**
+   * Find session by its current refresh token
+   *
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object|null>} Session object or null
+   */
+  static async findByRefreshToken(refreshToken) {
+    try {
+      const query = `
+        SELECT 
+          s.id, s.user_id, s.impersonator_id, s.impersonator_session_id, s.impersonation_reason,
+          s.session_token, s.refresh_token, s.token_family,
+          s.device_name, s.device_type, s.user_agent,
+          s.ip_address, s.country, s.city,
+          s.expires_at, s.last_used_at, s.is_active, s.revoked_at,
+          s.revoked_reason, s.is_remember_me, s.is_suspicious,
+          s.created_at, s.updated_at,
+          u.email, u.first_name, u.last_name, u.is_active as user_active
+        FROM user_sessions s
+        INNER JOIN users u ON s.user_id = u.id
+        WHERE s.refresh_token = ? AND u.deleted_at IS NULL
+      `;
+
+      const results = await executeQuery(query, [refreshToken]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatSessionObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding session by refresh token:', error);
+      throw new Error(`Failed to find session: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find all sessions of a refresh token family
+   *
+   * @param {string} tokenFamily - Token family ID
+   * @returns {Promise<Array>} Array of session objects
+   */
+  static async findByTokenFamily(tokenFamily) {
+    try {
+      const query = `
+        SELECT 
+          s.id, s.user_id, s.impersonator_id, s.impersonator_session_id, s.impersonation_reason,
+          s.session_token, s.refresh_token, s.token_family,
+          s.device_name, s.device_type, s.user_agent,
+          s.ip_address, s.country, s.city,
+          s.expires_at, s.last_used_at, s.is_active, s.revoked_at,
+          s.revoked_reason, s.is_remember_me, s.is_suspicious,
+          s.created_at, s.updated_at,
+          u.email, u.first_name, u.last_name, u.is_active as user_active
+        FROM user_sessions s
+        INNER JOIN users u ON s.user_id = u.id
+        WHERE s.token_family = ?
+        ORDER BY s.created_at ASC
+      `;
+
+      const results = await executeQuery(query, [tokenFamily]);
+
+      return results.map(session => this._formatSessionObject(session));
+
+    } catch (error) {
+      console.error('❌ Error finding sessions by token family:', error);
+      throw new Error(`Failed to find sessions by token family: ${error.message}`);
+    }
+  }
+
   /**
    * Validate session and check if it's active
    *
@@ -329,6 +411,35 @@ class SessionModel {
     }
   }
 
+  /**
+   * Revoke every session of a refresh token family
+   *
+   * @param {string} tokenFamily - Token family ID
+   * @param {string} reason - Reason for revocation
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  static async revokeTokenFamily(tokenFamily, reason = 'security') {
+    try {
+      const query = `
+        UPDATE user_sessions 
+        SET 
+          is_active = FALSE,
+          revoked_at = NOW(),
+          revoked_reason = ?,
+          updated_at = NOW()
+        WHERE token_family = ? AND is_active = TRUE
+      `;
+
+      const result = await executeQuery(query, [reason, tokenFamily]);
+
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error revoking token family:', error);
+      throw new Error(`Failed to revoke token family: ${error.message}`);
+    }
+  }
+
   /**
    * Get all active sessions for a user
    *
@@ -347,7 +458,8 @@ class SessionModel {
 
       let query = `
         SELECT 
-          id, session_token, device_name, device_type, user_agent,
+          id, impersonator_id, impersonator_session_id, impersonation_reason,
+          session_token, device_name, device_type, user_agent,
           ip_address, country, city, expires_at, last_used_at,
           is_active, revoked_at, revoked_reason, is_remember_me,
           is_suspicious, created_at, updated_at
@@ -536,6 +648,66 @@ class SessionModel {
     }
   }
 
+  /**
+   * Find impersonation sessions, newest first
+   *
+   * @param {Object} options - { impersonatorId, userId, activeOnly, limit }
+   * @returns {Promise<Array>} Sessions with the impersonated user's info and impersonatorEmail
+   */
+  static async findImpersonations(options = {}) {
+    try {
+      const {
+        impersonatorId = null,
+        userId = null,
+        activeOnly = false,
+        limit = 50
+      } = options;
+
+      let query = `
+        SELECT
+          s.id, s.user_id, s.impersonator_id, s.impersonator_session_id, s.impersonation_reason,
+          s.ip_address, s.user_agent, s.expires_at, s.last_used_at, s.is_active,
+          s.revoked_at, s.revoked_reason, s.created_at, s.updated_at,
+          u.email, u.first_name, u.last_name, u.is_active as user_active,
+          i.email as impersonator_email
+        FROM user_sessions s
+        INNER JOIN users u ON s.user_id = u.id
+        LEFT JOIN users i ON s.impersonator_id = i.id
+        WHERE s.impersonator_id IS NOT NULL
+      `;
+
+      const params = [];
+
+      if (impersonatorId) {
+        query += ' AND s.impersonator_id = ?';
+        params.push(impersonatorId);
+      }
+
+      if (userId) {
+        query += ' AND s.user_id = ?';
+        params.push(userId);
+      }
+
+      if (activeOnly) {
+        query += ' AND s.is_active = TRUE AND s.expires_at > NOW()';
+      }
+
+      query += ' ORDER BY s.created_at DESC LIMIT ?';
+      params.push(limit);
+
+      const results = await executeQuery(query, params);
+
+      return results.map(row => ({
+        ...this._formatSessionObject(row, true),
+        impersonatorEmail: row.impersonator_email
+      }));
+
+    } catch (error) {
+      console.error('❌ Error finding impersonation sessions:', error);
+      throw new Error(`Failed to find impersonation sessions: ${error.message}`);
+    }
+  }
+
   /**
    * Update refresh token
    *
@@ -560,6 +732,60 @@ class SessionModel {
     }
   }
 
+  /**
+   * Rotate the tokens of a session
+   * Only succeeds while the session still holds the refresh token being
+   * exchanged, so the same refresh token can't be rotated twice
+   *
+   * @param {number} sessionId - Session ID
+   * @param {string} currentRefreshToken - Refresh token being exchanged
+   * @param {string} newSessionToken - New access token
+   * @param {string} newRefreshToken - New refresh token
+   * @returns {Promise<boolean>} True if the tokens were rotated
+   */
+  static async rotateTokens(sessionId, currentRefreshToken, newSessionToken, newRefreshToken) {
+    try {
+      const query = `
+        UPDATE user_sessions 
+        SET session_token = ?, refresh_token = ?, last_used_at = NOW(), updated_at = NOW()
+        WHERE id = ? AND refresh_token = ? AND is_active = TRUE
+      `;
+
+      const result = await executeQuery(query, [newSessionToken, newRefreshToken, sessionId, currentRefreshToken]);
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error rotating session tokens:', error);
+      throw new Error(`Failed to rotate session tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the access token of a session, keeping its refresh token
+   * Only succeeds while the session still holds the current access token
+   *
+   * @param {number} sessionId - Session ID
+   * @param {string} currentSessionToken - Access token the session holds now
+   * @param {string} newSessionToken - Access token to store
+   * @returns {Promise<boolean>} True if the token was replaced
+   */
+  static async replaceSessionToken(sessionId, currentSessionToken, newSessionToken) {
+    try {
+      const query = `
+        UPDATE user_sessions 
+        SET session_token = ?, last_used_at = NOW(), updated_at = NOW()
+        WHERE id = ? AND session_token = ? AND is_active = TRUE
+      `;
+
+      const result = await executeQuery(query, [newSessionToken, sessionId, currentSessionToken]);
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error replacing session token:', error);
+      throw new Error(`Failed to replace session token: ${error.message}`);
+    }
+  }
+
   /**
    * Extend session expiration
    *
@@ -637,6 +863,11 @@ class SessionModel {
       userId: sessionRow.user_id,
       sessionToken: sessionRow.session_token,
       refreshToken: sessionRow.refresh_token,
+      tokenFamily: sessionRow.token_family,
+      impersonatorId: sessionRow.impersonator_id || null,
+      impersonatorSessionId: sessionRow.impersonator_session_id || null,
+      impersonationReason: sessionRow.impersonation_reason || null,
+      isImpersonation: Boolean(sessionRow.impersonator_id),
       deviceName: sessionRow.device_name,
       deviceType: sessionRow.device_type,
       userAgent: sessionRow.user_agent,
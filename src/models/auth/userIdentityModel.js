@@ -0,0 +1,227 @@
+/**
+ * File: src/models/auth/userIdentityModel.js
+ * User Identity Model - MySQL2 Database Operations
+ *
+ * This file handles accounts at external OpenID Connect providers that are
+ * linked to local users.
+ *
+ * For beginners:
+ * - provider + subject identifies the external account; it never changes,
+ *   unlike the email address the provider reports
+ * - A user has at most one identity per provider
+ */
+
+const { executeQuery } = require('../database');
+
+/**
+ * User Identity Model Class
+ * Contains all linked identity related database operations
+ */
+class UserIdentityModel {
+  /**
+     * Link an external identity to a user
+     *
+     * @param {Object} identityData - { userId, provider, subject, email, emailVerified, displayName }
+     * @returns {Promise<Object>} Created identity object
+     */
+  static async create(identityData) {
+    try {
+      const {
+        userId,
+        provider,
+        subject,
+        email = null,
+        emailVerified = false,
+        displayName = null
+      } = identityData;
+
+      const query = `
+        INSERT INTO user_identities (user_id, provider, subject, email, email_verified, display_name, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())
+      `;
+
+      const result = await executeQuery(query, [
+        userId,
+        provider,
+        subject,
+        email,
+        emailVerified,
+        displayName
+      ]);
+
+      return await this.findById(result.insertId);
+
+    } catch (error) {
+      console.error('❌ Error creating user identity:', error);
+
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Identity is already linked to an account');
+      }
+
+      throw new Error(`Failed to create user identity: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find an identity by ID
+     *
+     * @param {number} id - Identity ID
+     * @returns {Promise<Object|null>} Identity object or null
+     */
+  static async findById(id) {
+    try {
+      const query = `
+        SELECT id, user_id, provider, subject, email, email_verified, display_name,
+               last_login_at, created_at, updated_at
+        FROM user_identities
+        WHERE id = ?
+      `;
+
+      const results = await executeQuery(query, [id]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatIdentityObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding user identity by ID:', error);
+      throw new Error(`Failed to find user identity: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find the identity for a provider account
+     *
+     * @param {string} provider - Provider name
+     * @param {string} subject - Provider's subject (sub claim)
+     * @returns {Promise<Object|null>} Identity object or null
+     */
+  static async findByProviderSubject(provider, subject) {
+    try {
+      const query = `
+        SELECT id, user_id, provider, subject, email, email_verified, display_name,
+               last_login_at, created_at, updated_at
+        FROM user_identities
+        WHERE provider = ? AND subject = ?
+      `;
+
+      const results = await executeQuery(query, [provider, subject]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatIdentityObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding user identity by subject:', error);
+      throw new Error(`Failed to find user identity: ${error.message}`);
+    }
+  }
+
+  /**
+     * Get the identities linked to a user
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<Array>} Identity objects, oldest first
+     */
+  static async findByUserId(userId) {
+    try {
+      const query = `
+        SELECT id, user_id, provider, subject, email, email_verified, display_name,
+               last_login_at, created_at, updated_at
+        FROM user_identities
+        WHERE user_id = ?
+        ORDER BY created_at ASC
+      `;
+
+      const results = await executeQuery(query, [userId]);
+
+      return results.map(row => this._formatIdentityObject(row));
+
+    } catch (error) {
+      console.error('❌ Error finding user identities:', error);
+      throw new Error(`Failed to find user identities: ${error.message}`);
+    }
+  }
+
+  /**
+     * Record a sign-in with an identity and refresh the claims copied from the provider
+     *
+     * @param {number} id - Identity ID
+     * @param {Object} profile - { email, emailVerified, displayName }
+     * @returns {Promise<boolean>} Success status
+     */
+  static async recordLogin(id, profile = {}) {
+    try {
+      const query = `
+        UPDATE user_identities
+        SET email = ?, email_verified = ?, display_name = ?, last_login_at = NOW(), updated_at = NOW()
+        WHERE id = ?
+      `;
+
+      const result = await executeQuery(query, [
+        profile.email || null,
+        Boolean(profile.emailVerified),
+        profile.displayName || null,
+        id
+      ]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error recording identity login:', error);
+      throw new Error(`Failed to record identity login: ${error.message}`);
+    }
+  }
+
+  /**
+     * Unlink an identity from a user
+     *
+     * @param {number} id - Identity ID
+     * @param {number} userId - Owner's user ID
+     * @returns {Promise<boolean>} False if the identity doesn't exist or belongs to someone else
+     */
+  static async delete(id, userId) {
+    try {
+      const query = `
+        DELETE FROM user_identities
+        WHERE id = ? AND user_id = ?
+      `;
+
+      const result = await executeQuery(query, [id, userId]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error deleting user identity:', error);
+      throw new Error(`Failed to delete user identity: ${error.message}`);
+    }
+  }
+
+  /**
+     * Format identity object for application use
+     *
+     * @private
+     * @param {Object} row - Database row
+     * @returns {Object} Formatted identity object
+     */
+  static _formatIdentityObject(row) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      provider: row.provider,
+      subject: row.subject,
+      email: row.email,
+      emailVerified: Boolean(row.email_verified),
+      displayName: row.display_name,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = UserIdentityModel;
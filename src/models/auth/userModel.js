@@ -96,15 +96,17 @@ class UserModel {
      * Find user by ID
      *
      * @param {number} userId - User ID
+     * @param {boolean} includePassword - Whether to include password hash
      * @returns {Promise<Object|null>} User object or null
      */
-  static async findById(userId) {
+  static async findById(userId, includePassword = false) {
     try {
       const query = `
         SELECT 
-          id, email, first_name, last_name, username, phone,
+          id, email, ${includePassword ? 'password, ' : ''}first_name, last_name, username, phone,
           email_verified, email_verified_at, is_active,
           failed_login_attempts, locked_until,
+          password_changed_at, password_expires_at,
           avatar_url, timezone, language,
           last_login_at, last_login_ip,
           created_at, updated_at
@@ -139,13 +141,15 @@ class UserModel {
       const selectFields = includePassword
         ? `id, email, password, first_name, last_name, username, phone,
            email_verified, email_verified_at, is_active,
-           failed_login_attempts, locked_until, password_changed_at,
+           failed_login_attempts, locked_until,
+           password_changed_at, password_expires_at,
            avatar_url, timezone, language,
            last_login_at, last_login_ip,
            created_at, updated_at`
         : `id, email, first_name, last_name, username, phone,
            email_verified, email_verified_at, is_active,
            failed_login_attempts, locked_until,
+           password_changed_at, password_expires_at,
            avatar_url, timezone, language,
            last_login_at, last_login_ip,
            created_at, updated_at`;
@@ -318,6 +322,8 @@ class UserModel {
 
   /**
      * Update user password
+     * The new password goes into password_history, and any forced expiry
+     * and sent expiry reminder are cleared
      *
      * @param {number} userId - User ID
      * @param {string} newPassword - New plain text password
@@ -329,17 +335,26 @@ class UserModel {
       const saltRounds = 12;
       const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
 
-      const query = `
-        UPDATE users 
-        SET password = ?, password_changed_at = NOW(), updated_at = NOW()
-        WHERE id = ? AND deleted_at IS NULL
-      `;
+      await executeTransaction(async (connection) => {
+        const query = `
+          UPDATE users 
+          SET password = ?, password_changed_at = NOW(),
+              password_expires_at = NULL, password_expiry_reminded_at = NULL,
+              updated_at = NOW()
+          WHERE id = ? AND deleted_at IS NULL
+        `;
 
-      const result = await executeQuery(query, [hashedPassword, userId]);
+        const [result] = await connection.execute(query, [hashedPassword, userId]);
 
-      if (result.affectedRows === 0) {
-        throw new Error('User not found');
-      }
+        if (result.affectedRows === 0) {
+          throw new Error('User not found');
+        }
+
+        await connection.execute(`
+          INSERT INTO password_history (user_id, password_hash, created_at)
+          VALUES (?, ?, NOW())
+        `, [userId, hashedPassword]);
+      });
 
       console.log(`✅ Password updated for user ID: ${userId}`);
       return true;
@@ -467,6 +482,39 @@ class UserModel {
     }
   }
 
+  /**
+     * Change a user's email address
+     * Only succeeds while the user still has currentEmail; the new address
+     * counts as verified because it was confirmed through a link sent to it
+     *
+     * @param {number} userId - User ID
+     * @param {string} currentEmail - Address the user must still have
+     * @param {string} newEmail - New address
+     * @returns {Promise<boolean>} True if the address was changed
+     */
+  static async changeEmail(userId, currentEmail, newEmail) {
+    try {
+      const query = `
+        UPDATE users 
+        SET email = ?, email_verified = TRUE, email_verified_at = NOW(), updated_at = NOW()
+        WHERE id = ? AND email = ? AND deleted_at IS NULL
+      `;
+
+      const result = await executeQuery(query, [newEmail.toLowerCase(), userId, currentEmail.toLowerCase()]);
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error changing email:', error);
+
+      // The unique index is the final word if another account took the address meanwhile
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Email address is already in use');
+      }
+
+      throw new Error(`Failed to change email: ${error.message}`);
+    }
+  }
+
   /**
      * Soft delete user account
      *
@@ -655,6 +703,98 @@ class UserModel {
     }
   }
 
+  /**
+     * Find users whose password expires soon and who weren't reminded yet
+     * A password expires at password_expires_at or maxAgeDays after it was
+     * set, whichever comes first
+     *
+     * @param {number} maxAgeDays - Maximum password age (0 = no maximum age)
+     * @param {number} withinDays - Reminder window in days
+     * @param {number} limit - Maximum number of users
+     * @returns {Promise<Array<Object>>} Rows with id, email, first_name and expires_at
+     */
+  static async findPasswordsExpiringSoon(maxAgeDays, withinDays, limit = 500) {
+    try {
+      const ageExpiry = `DATE_ADD(COALESCE(password_changed_at, created_at), INTERVAL ${parseInt(maxAgeDays, 10)} DAY)`;
+      const expiresAt = maxAgeDays > 0
+        ? `LEAST(COALESCE(password_expires_at, ${ageExpiry}), ${ageExpiry})`
+        : 'password_expires_at';
+
+      const query = `
+        SELECT id, email, first_name, expires_at
+        FROM (
+          SELECT id, email, first_name, ${expiresAt} AS expires_at
+          FROM users
+          WHERE is_active = TRUE
+            AND deleted_at IS NULL
+            AND password_expiry_reminded_at IS NULL
+        ) AS candidates
+        WHERE expires_at > NOW()
+          AND expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+        ORDER BY expires_at ASC
+        LIMIT ${parseInt(limit, 10)}
+      `;
+
+      return await executeQuery(query, [withinDays]);
+
+    } catch (error) {
+      console.error('❌ Error finding expiring passwords:', error);
+      throw new Error(`Failed to find expiring passwords: ${error.message}`);
+    }
+  }
+
+  /**
+     * Record that the expiry reminder for the current password was sent
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<boolean>} Success status
+     */
+  static async markPasswordExpiryReminded(userId) {
+    try {
+      const query = `
+        UPDATE users 
+        SET password_expiry_reminded_at = NOW()
+        WHERE id = ?
+      `;
+
+      const result = await executeQuery(query, [userId]);
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error marking password expiry reminder:', error);
+      throw new Error(`Failed to mark password expiry reminder: ${error.message}`);
+    }
+  }
+
+  /**
+     * Force users to change their password from a given moment
+     * The reminder flag is reset, so users get a reminder for the new date
+     *
+     * @param {Array<number>} userIds - User IDs
+     * @param {Date} expiresAt - Moment the passwords expire
+     * @returns {Promise<number>} Number of users updated
+     */
+  static async expirePasswords(userIds, expiresAt) {
+    try {
+      if (userIds.length === 0) {
+        return 0;
+      }
+
+      const query = `
+        UPDATE users 
+        SET password_expires_at = ?, password_expiry_reminded_at = NULL, updated_at = NOW()
+        WHERE id IN (${userIds.map(() => '?').join(', ')}) AND deleted_at IS NULL
+      `;
+
+      const result = await executeQuery(query, [expiresAt, ...userIds]);
+      return result.affectedRows;
+
+    } catch (error) {
+      console.error('❌ Error expiring passwords:', error);
+      throw new Error(`Failed to expire passwords: ${error.message}`);
+    }
+  }
+
   /**
      * Get user statistics
      *
@@ -703,6 +843,8 @@ class UserModel {
       isActive: Boolean(userRow.is_active),
       failedLoginAttempts: userRow.failed_login_attempts || 0,
       lockedUntil: userRow.locked_until,
+      passwordChangedAt: userRow.password_changed_at,
+      passwordExpiresAt: userRow.password_expires_at,
       avatarUrl: userRow.avatar_url,
       timezone: userRow.timezone || 'UTC',
       language: userRow.language || 'en',
@@ -10,13 +10,22 @@
  * - When you need to run a query, it borrows a connection from the pool
  * - After the query, the connection is returned to the pool for reuse
  * - This is much more efficient than creating new connections each time
+ * - Inside executeTransaction, executeQuery runs on the transaction's
+ *   connection, so model calls made from the callback join the transaction
+ * - A transaction started inside another one becomes a SAVEPOINT: if it
+ *   fails, only its own work is undone and the outer transaction decides
+ *   whether to go on
  */
 
+const { AsyncLocalStorage } = require('async_hooks');
 const mysql = require('mysql2/promise');
 const { getDatabaseConfig } = require('../../config/database');
 
 let pool = null;
 
+// Transaction the current async call chain is running in ({ connection, savepoints })
+const transactionContext = new AsyncLocalStorage();
+
 /**
  * Create MySQL connection pool
  * A pool manages multiple connections automatically
@@ -94,10 +103,12 @@ const  getConnection = async () => {
  * @returns {Promise<Array>} Query results
  */
 const executeQuery = async (query, params = []) => {
+  const transactionConnection = transactionContext.getStore()?.connection;
   let connection;
 
   try {
-    connection = await getConnection();
+    // Join the surrounding transaction, if any, instead of borrowing a new connection
+    connection = transactionConnection || await getConnection();
     // Execute query with parameters to prevent SQL injection
     const [rows] = await connection.execute(query, params);
 
@@ -109,21 +120,57 @@ const executeQuery = async (query, params = []) => {
     console.error('Parameters:', params);
     throw error;
   } finally {
-    // Always release connection back to pool
-    if (connection) {
+    // Always release connection back to pool (the transaction releases its own)
+    if (connection && !transactionConnection) {
       connection.customRelease();
     }
   }
 };
 
+/**
+ * Run a transaction inside an outer one as a savepoint
+ * A failure rolls back to the savepoint, so the outer transaction can catch the
+ * error and still commit its own work; the outer transaction commits or rolls
+ * back everything else
+ *
+ * @param {Object} transaction - Outer transaction ({ connection, savepoints })
+ * @param {Function} callback - Function containing queries to execute
+ * @returns {Promise} Transaction result
+ */
+const executeNestedTransaction = async (transaction, callback) => {
+  const { connection } = transaction;
+
+  // Savepoint names only need to be unique within the outer transaction
+  transaction.savepoints += 1;
+  const savepoint = `sp_${transaction.savepoints}`;
+
+  await connection.query(`SAVEPOINT ${savepoint}`);
+
+  try {
+    const result = await callback(connection);
+    await connection.query(`RELEASE SAVEPOINT ${savepoint}`);
+    return result;
+  } catch (error) {
+    await connection.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+    throw error;
+  }
+};
+
 /**
  * Execute multiple queries in a transaction
  * Use this when you need multiple queries to succeed or fail together
+ * A transaction started inside another one runs in a savepoint of the outer
+ * transaction (see executeNestedTransaction)
  *
  * @param {Function} callback - Function containing queries to execute
  * @returns {Promise} Transaction result
  */
 const executeTransaction = async (callback) => {
+  const outerTransaction = transactionContext.getStore();
+  if (outerTransaction) {
+    return executeNestedTransaction(outerTransaction, callback);
+  }
+
   let connection;
 
   try {
@@ -133,7 +180,7 @@ const executeTransaction = async (callback) => {
     await connection.beginTransaction();
 
     // Execute queries in callback
-    const result = await callback(connection);
+    const result = await transactionContext.run({ connection, savepoints: 0 }, () => callback(connection));
 
     // Commit transaction if all queries succeeded
     await connection.commit();
@@ -216,11 +263,15 @@ const getPoolStatus = () => {
     return { status: 'Pool not initialized' };
   }
 
+  // The promise pool wraps the pool that keeps the connections
+  const corePool = pool.pool || pool;
+
   return {
-    totalConnections: pool._allConnections?.length || 0,
-    freeConnections: pool._freeConnections?.length || 0,
-    acquiringConnections: pool._acquiringConnections?.length || 0,
-    queuedRequests: pool._connectionQueue?.length || 0
+    connectionLimit: corePool.config?.connectionLimit || 0,
+    totalConnections: corePool._allConnections?.length || 0,
+    freeConnections: corePool._freeConnections?.length || 0,
+    acquiringConnections: corePool._acquiringConnections?.length || 0,
+    queuedRequests: corePool._connectionQueue?.length || 0
   };
 };
 
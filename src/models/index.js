@@ -18,12 +18,21 @@ const { getConnection, closePool, checkHealth } = require('./database');
 const UserModel = require('./auth/userModel');
 const SessionModel = require('./auth/sessionModel');
 const PasswordResetModel = require('./auth/passwordResetModel');
+const MfaModel = require('./auth/mfaModel');
+const RevokedTokenModel = require('./auth/revokedTokenModel');
+const ApiKeyModel = require('./auth/apiKeyModel');
+const UserIdentityModel = require('./auth/userIdentityModel');
+const EmailChangeModel = require('./auth/emailChangeModel');
+const RateLimitCounterModel = require('./auth/rateLimitCounterModel');
+const ApiPlanModel = require('./auth/apiPlanModel');
+const PasswordHistoryModel = require('./auth/passwordHistoryModel');
 
 // Import RBAC Models
 const RoleModel = require('./rbac/roleModel');
 const PermissionModel = require('./rbac/permissionModel');
 const RolePermissionModel = require('./rbac/rolePermissionModel');
 const UserRoleModel = require('./rbac/userRoleModel');
+const RoleConstraintModel = require('./rbac/roleConstraintModel');
 
 /**
  * Model Registry Class
@@ -74,8 +83,8 @@ class ModelRegistry {
      */
   static getAvailableModels() {
     return [
-      { category: 'Authentication', models: ['User', 'Session', 'PasswordReset'] },
-      { category: 'RBAC', models: ['Role', 'Permission', 'RolePermission', 'UserRole'] }
+      { category: 'Authentication', models: ['User', 'Session', 'PasswordReset', 'Mfa', 'RevokedToken', 'ApiKey', 'UserIdentity', 'EmailChange', 'RateLimitCounter', 'ApiPlan', 'PasswordHistory'] },
+      { category: 'RBAC', models: ['Role', 'Permission', 'RolePermission', 'UserRole', 'RoleConstraint'] }
     ];
   }
 
@@ -328,6 +337,22 @@ class ModelRegistry {
       'SessionModel': SessionModel,
       'PasswordReset': PasswordResetModel,
       'PasswordResetModel': PasswordResetModel,
+      'Mfa': MfaModel,
+      'MfaModel': MfaModel,
+      'RevokedToken': RevokedTokenModel,
+      'RevokedTokenModel': RevokedTokenModel,
+      'ApiKey': ApiKeyModel,
+      'ApiKeyModel': ApiKeyModel,
+      'UserIdentity': UserIdentityModel,
+      'UserIdentityModel': UserIdentityModel,
+      'EmailChange': EmailChangeModel,
+      'EmailChangeModel': EmailChangeModel,
+      'RateLimitCounter': RateLimitCounterModel,
+      'RateLimitCounterModel': RateLimitCounterModel,
+      'ApiPlan': ApiPlanModel,
+      'ApiPlanModel': ApiPlanModel,
+      'PasswordHistory': PasswordHistoryModel,
+      'PasswordHistoryModel': PasswordHistoryModel,
 
       // RBAC Models
       'Role': RoleModel,
@@ -337,7 +362,9 @@ class ModelRegistry {
       'RolePermission': RolePermissionModel,
       'RolePermissionModel': RolePermissionModel,
       'UserRole': UserRoleModel,
-      'UserRoleModel': UserRoleModel
+      'UserRoleModel': UserRoleModel,
+      'RoleConstraint': RoleConstraintModel,
+      'RoleConstraintModel': RoleConstraintModel
     };
 
     return models[modelName] || null;
@@ -363,12 +390,21 @@ module.exports = {
   UserModel,
   SessionModel,
   PasswordResetModel,
+  MfaModel,
+  RevokedTokenModel,
+  ApiKeyModel,
+  UserIdentityModel,
+  EmailChangeModel,
+  RateLimitCounterModel,
+  ApiPlanModel,
+  PasswordHistoryModel,
 
   // RBAC Models
   RoleModel,
   PermissionModel,
   RolePermissionModel,
   UserRoleModel,
+  RoleConstraintModel,
 
   // Database Utilities (re-exported for convenience)
   getConnection,
@@ -379,14 +415,23 @@ module.exports = {
   Auth: {
     UserModel,
     SessionModel,
-    PasswordResetModel
+    PasswordResetModel,
+    MfaModel,
+    RevokedTokenModel,
+    ApiKeyModel,
+    UserIdentityModel,
+    EmailChangeModel,
+    RateLimitCounterModel,
+    ApiPlanModel,
+    PasswordHistoryModel
   },
 
   RBAC: {
     RoleModel,
     PermissionModel,
     RolePermissionModel,
-    UserRoleModel
+    UserRoleModel,
+    RoleConstraintModel
   },
 
   // Utility functions
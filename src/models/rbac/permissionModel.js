@@ -254,7 +254,7 @@ class PermissionModel {
       // Convert to object with module as key
       const grouped = {};
       results.forEach(row => {
-        grouped[row.module] = JSON.parse(row.permissions);
+        grouped[row.module] = this._parseJson(row.permissions);
       });
 
       return grouped;
@@ -743,6 +743,36 @@ class PermissionModel {
     }
   }
 
+  /**
+     * Get the dependency list of every permission
+     * The permissions table is small, so graphs are built from one query
+     *
+     * @returns {Promise<Map>} Map of permission ID => { id, name, displayName, isActive, requiresPermissions }
+     */
+  static async getDependencyMap() {
+    try {
+      const query = `
+        SELECT id, name, display_name, is_active, requires_permissions
+        FROM permissions
+        WHERE deleted_at IS NULL
+      `;
+
+      const results = await executeQuery(query);
+
+      return new Map(results.map(row => [row.id, {
+        id: row.id,
+        name: row.name,
+        displayName: row.display_name,
+        isActive: Boolean(row.is_active),
+        requiresPermissions: (this._parseJson(row.requires_permissions) || []).map(Number)
+      }]));
+
+    } catch (error) {
+      console.error('❌ Error getting permission dependencies:', error);
+      throw new Error(`Failed to get permission dependencies: ${error.message}`);
+    }
+  }
+
   /**
      * Validate permission name format
      *
@@ -817,9 +847,7 @@ class PermissionModel {
       colorCode: permissionRow.color_code,
       accessLevel: permissionRow.access_level,
       scope: permissionRow.scope,
-      requiresPermissions: permissionRow.requires_permissions
-        ? JSON.parse(permissionRow.requires_permissions)
-        : null,
+      requiresPermissions: this._parseJson(permissionRow.requires_permissions),
       usageCount: permissionRow.usage_count || 0,
       deletedAt: permissionRow.deleted_at,
       createdAt: permissionRow.created_at,
@@ -831,6 +859,19 @@ class PermissionModel {
       hasDependencies: permissionRow.requires_permissions !== null
     };
   }
+
+  /**
+     * Parse a JSON column value
+     * mysql2 already returns JSON columns as objects; older drivers return strings
+     *
+     * @private
+     * @param {string|Object|null} value - Raw column value
+     * @returns {Object|Array|null} Parsed value
+     */
+  static _parseJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
 }
 
 module.exports = PermissionModel;
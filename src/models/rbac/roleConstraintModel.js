@@ -0,0 +1,341 @@
+/**
+ * File: src/models/rbac/roleConstraintModel.js
+ * Role Constraint Model - MySQL2 Database Operations
+ *
+ * This file handles separation-of-duties rules between roles: pairs of roles
+ * one user may not hold together, and roles that need another role first.
+ *
+ * For beginners:
+ * - mutually_exclusive: a user can't hold role_id and related_role_id at once
+ * - prerequisite: a user needs related_role_id before they can get role_id
+ * - Exclusive pairs are symmetric, so they are stored once with the smaller
+ *   role ID first; this lets the unique key catch (A, B) and (B, A) duplicates
+ */
+
+const { executeQuery } = require('../database');
+
+const CONSTRAINT_TYPES = ['mutually_exclusive', 'prerequisite'];
+
+/**
+ * Role Constraint Model Class
+ * Contains all role constraint database operations
+ */
+class RoleConstraintModel {
+  /**
+     * Create a new role constraint
+     *
+     * @param {Object} constraintData - { constraintType, roleId, relatedRoleId, description, createdBy }
+     * @returns {Promise<Object>} Created constraint object
+     */
+  static async create(constraintData) {
+    try {
+      const {
+        constraintType,
+        description = null,
+        createdBy = null
+      } = constraintData;
+
+      if (!CONSTRAINT_TYPES.includes(constraintType)) {
+        throw new Error(`Invalid constraint type: ${constraintType}`);
+      }
+
+      const { roleId, relatedRoleId } = this._normalizePair(constraintType, constraintData.roleId, constraintData.relatedRoleId);
+
+      if (roleId === relatedRoleId) {
+        throw new Error('A role cannot be constrained against itself');
+      }
+
+      const existing = await this.findByRoles(constraintType, roleId, relatedRoleId);
+      if (existing) {
+        throw new Error('Role constraint already exists');
+      }
+
+      const insertQuery = `
+        INSERT INTO role_constraints (
+          constraint_type, role_id, related_role_id, description,
+          is_active, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, TRUE, ?, NOW(), NOW())
+      `;
+
+      const result = await executeQuery(insertQuery, [constraintType, roleId, relatedRoleId, description, createdBy]);
+
+      return await this.findById(result.insertId);
+
+    } catch (error) {
+      console.error('❌ Error creating role constraint:', error);
+      throw error; // Re-throw to preserve specific error messages
+    }
+  }
+
+  /**
+     * Find role constraint by ID
+     *
+     * @param {number} constraintId - Constraint ID
+     * @returns {Promise<Object|null>} Constraint object or null
+     */
+  static async findById(constraintId) {
+    try {
+      const query = `
+        ${this._selectQuery()}
+        WHERE rc.id = ?
+      `;
+
+      const results = await executeQuery(query, [constraintId]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatConstraintObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding role constraint by ID:', error);
+      throw new Error(`Failed to find role constraint: ${error.message}`);
+    }
+  }
+
+  /**
+     * Find a role constraint by type and roles
+     * Exclusive pairs match in either order
+     *
+     * @param {string} constraintType - mutually_exclusive or prerequisite
+     * @param {number} roleId - Role ID
+     * @param {number} relatedRoleId - Related role ID
+     * @returns {Promise<Object|null>} Constraint object or null
+     */
+  static async findByRoles(constraintType, roleId, relatedRoleId) {
+    try {
+      const pair = this._normalizePair(constraintType, roleId, relatedRoleId);
+
+      const query = `
+        ${this._selectQuery()}
+        WHERE rc.constraint_type = ? AND rc.role_id = ? AND rc.related_role_id = ?
+      `;
+
+      const results = await executeQuery(query, [constraintType, pair.roleId, pair.relatedRoleId]);
+
+      if (results.length === 0) {
+        return null;
+      }
+
+      return this._formatConstraintObject(results[0]);
+
+    } catch (error) {
+      console.error('❌ Error finding role constraint by roles:', error);
+      throw new Error(`Failed to find role constraint: ${error.message}`);
+    }
+  }
+
+  /**
+     * List role constraints
+     *
+     * @param {Object} filters - { constraintType, roleId, includeInactive }
+     * @returns {Promise<Array>} Array of constraint objects
+     */
+  static async findAll(filters = {}) {
+    try {
+      const {
+        constraintType = null,
+        roleId = null,
+        includeInactive = false
+      } = filters;
+
+      const whereConditions = [];
+      const queryParams = [];
+
+      if (constraintType) {
+        whereConditions.push('rc.constraint_type = ?');
+        queryParams.push(constraintType);
+      }
+
+      // A role appears on either side of the rule
+      if (roleId) {
+        whereConditions.push('(rc.role_id = ? OR rc.related_role_id = ?)');
+        queryParams.push(roleId, roleId);
+      }
+
+      if (!includeInactive) {
+        whereConditions.push('rc.is_active = TRUE');
+      }
+
+      const query = `
+        ${this._selectQuery()}
+        ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ORDER BY rc.constraint_type, r.name, rr.name
+      `;
+
+      const results = await executeQuery(query, queryParams);
+
+      return results.map(row => this._formatConstraintObject(row));
+
+    } catch (error) {
+      console.error('❌ Error listing role constraints:', error);
+      throw new Error(`Failed to list role constraints: ${error.message}`);
+    }
+  }
+
+  /**
+     * Update role constraint
+     *
+     * @param {number} constraintId - Constraint ID
+     * @param {Object} updateData - Data to update (snake_case columns)
+     * @returns {Promise<Object|null>} Updated constraint object or null if not found
+     */
+  static async update(constraintId, updateData) {
+    try {
+      const allowedFields = ['description', 'is_active', 'updated_by'];
+
+      // Filter only allowed fields
+      const updateFields = {};
+      Object.keys(updateData).forEach(key => {
+        if (allowedFields.includes(key) && updateData[key] !== undefined) {
+          updateFields[key] = updateData[key];
+        }
+      });
+
+      if (Object.keys(updateFields).length === 0) {
+        throw new Error('No valid fields to update');
+      }
+
+      const setClause = Object.keys(updateFields)
+        .map(field => `${field} = ?`)
+        .join(', ');
+
+      const query = `
+        UPDATE role_constraints
+        SET ${setClause}, updated_at = NOW()
+        WHERE id = ?
+      `;
+
+      const result = await executeQuery(query, [...Object.values(updateFields), constraintId]);
+
+      if (result.affectedRows === 0) {
+        return null; // Constraint not found
+      }
+
+      return await this.findById(constraintId);
+
+    } catch (error) {
+      console.error('❌ Error updating role constraint:', error);
+      throw error; // Re-throw to preserve specific error messages
+    }
+  }
+
+  /**
+     * Delete role constraint
+     *
+     * @param {number} constraintId - Constraint ID
+     * @returns {Promise<boolean>} True if a constraint was deleted
+     */
+  static async delete(constraintId) {
+    try {
+      const result = await executeQuery('DELETE FROM role_constraints WHERE id = ?', [constraintId]);
+
+      return result.affectedRows > 0;
+
+    } catch (error) {
+      console.error('❌ Error deleting role constraint:', error);
+      throw new Error(`Failed to delete role constraint: ${error.message}`);
+    }
+  }
+
+  /**
+     * Get every active, unexpired user-role assignment
+     * Used to scan all users for constraint violations in one pass
+     *
+     * @returns {Promise<Array>} Array of { userId, userEmail, roleId }
+     */
+  static async getActiveUserRoles() {
+    try {
+      const query = `
+        SELECT ur.user_id, u.email as user_email, ur.role_id
+        FROM user_roles ur
+        INNER JOIN users u ON ur.user_id = u.id
+        INNER JOIN roles r ON ur.role_id = r.id AND r.is_active = TRUE AND r.deleted_at IS NULL
+        WHERE ur.is_active = TRUE
+          AND (ur.expires_at IS NULL OR ur.expires_at > NOW())
+        ORDER BY ur.user_id, ur.role_id
+      `;
+
+      const results = await executeQuery(query);
+
+      return results.map(row => ({
+        userId: row.user_id,
+        userEmail: row.user_email,
+        roleId: row.role_id
+      }));
+
+    } catch (error) {
+      console.error('❌ Error getting active user roles:', error);
+      throw new Error(`Failed to get active user roles: ${error.message}`);
+    }
+  }
+
+  /**
+     * Put exclusive pairs in stored order (smaller role ID first)
+     *
+     * @private
+     * @param {string} constraintType - Constraint type
+     * @param {number} roleId - Role ID
+     * @param {number} relatedRoleId - Related role ID
+     * @returns {Object} { roleId, relatedRoleId }
+     */
+  static _normalizePair(constraintType, roleId, relatedRoleId) {
+    if (constraintType === 'mutually_exclusive' && relatedRoleId < roleId) {
+      return { roleId: relatedRoleId, relatedRoleId: roleId };
+    }
+    return { roleId, relatedRoleId };
+  }
+
+  /**
+     * Shared SELECT for constraint lookups, with both role names joined
+     *
+     * @private
+     * @returns {string} SQL fragment
+     */
+  static _selectQuery() {
+    return `
+      SELECT
+        rc.id, rc.constraint_type, rc.role_id, rc.related_role_id, rc.description,
+        rc.is_active, rc.created_by, rc.updated_by, rc.created_at, rc.updated_at,
+        r.name as role_name, r.display_name as role_display_name,
+        rr.name as related_role_name, rr.display_name as related_role_display_name
+      FROM role_constraints rc
+      INNER JOIN roles r ON rc.role_id = r.id
+      INNER JOIN roles rr ON rc.related_role_id = rr.id
+    `;
+  }
+
+  /**
+     * Format constraint object for consistent output
+     *
+     * @private
+     * @param {Object} row - Raw constraint data from database
+     * @returns {Object} Formatted constraint object
+     */
+  static _formatConstraintObject(row) {
+    return {
+      id: row.id,
+      constraintType: row.constraint_type,
+      roleId: row.role_id,
+      relatedRoleId: row.related_role_id,
+      description: row.description,
+      isActive: Boolean(row.is_active),
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      // Related objects
+      role: {
+        name: row.role_name,
+        displayName: row.role_display_name
+      },
+      relatedRole: {
+        name: row.related_role_name,
+        displayName: row.related_role_display_name
+      }
+    };
+  }
+}
+
+module.exports = RoleConstraintModel;
@@ -13,6 +13,7 @@
  */
 
 const { executeQuery, executeTransaction } = require('../database');
+const RolePermissionModel = require('./rolePermissionModel');
 
 /**
  * Role Model Class
@@ -34,6 +35,7 @@ class RoleModel {
         parentRoleId = null,
         isActive = true,
         isDefault = false,
+        requireMfa = false,
         maxUsers = null,
         colorCode = null,
         icon = null,
@@ -68,10 +70,10 @@ class RoleModel {
       const insertQuery = `
         INSERT INTO roles (
           name, display_name, description, parent_role_id,
-          is_active, is_default, max_users, user_count,
+          is_active, is_default, require_mfa, max_users, user_count,
           color_code, icon, priority, created_by,
           created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, NOW(), NOW())
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ?, ?, ?, NOW(), NOW())
       `;
 
       const insertParams = [
@@ -81,6 +83,7 @@ class RoleModel {
         parentRoleId,
         isActive,
         isDefault,
+        requireMfa,
         maxUsers,
         colorCode,
         icon,
@@ -116,7 +119,7 @@ class RoleModel {
       const query = `
         SELECT 
           r.id, r.name, r.display_name, r.description, r.parent_role_id,
-          r.is_system_role, r.is_active, r.is_default, r.max_users, r.user_count,
+          r.is_system_role, r.is_active, r.is_default, r.require_mfa, r.max_users, r.user_count,
           r.color_code, r.icon, r.priority, r.deleted_at,
           r.created_at, r.updated_at, r.created_by, r.updated_by
         FROM roles r
@@ -162,7 +165,7 @@ class RoleModel {
       const query = `
         SELECT 
           id, name, display_name, description, parent_role_id,
-          is_system_role, is_active, is_default, max_users, user_count,
+          is_system_role, is_active, is_default, require_mfa, max_users, user_count,
           color_code, icon, priority, deleted_at,
           created_at, updated_at, created_by, updated_by
         FROM roles 
@@ -201,7 +204,7 @@ class RoleModel {
       let query = `
         SELECT 
           id, name, display_name, description, parent_role_id,
-          is_system_role, is_active, is_default, max_users, user_count,
+          is_system_role, is_active, is_default, require_mfa, max_users, user_count,
           color_code, icon, priority,
           created_at, updated_at
         FROM roles 
@@ -259,6 +262,53 @@ class RoleModel {
     }
   }
 
+  /**
+     * Get the parent of every role in one query
+     * Lets callers walk the hierarchy in memory instead of one findById per level
+     *
+     * @returns {Promise<Map>} Role ID => parent role ID (null for root roles)
+     */
+  static async getParentMap() {
+    try {
+      const query = `
+        SELECT id, parent_role_id
+        FROM roles
+        WHERE deleted_at IS NULL
+      `;
+
+      const results = await executeQuery(query);
+
+      return new Map(results.map(row => [row.id, row.parent_role_id]));
+
+    } catch (error) {
+      console.error('❌ Error getting role parent map:', error);
+      throw new Error(`Failed to get role hierarchy: ${error.message}`);
+    }
+  }
+
+  /**
+     * List the active roles whose holders must log in with MFA
+     *
+     * @returns {Promise<Array>} Array of { id, name }
+     */
+  static async getMfaRequiredRoles() {
+    try {
+      const query = `
+        SELECT id, name
+        FROM roles
+        WHERE require_mfa = TRUE AND is_active = TRUE AND deleted_at IS NULL
+      `;
+
+      const results = await executeQuery(query);
+
+      return results.map(row => ({ id: row.id, name: row.name }));
+
+    } catch (error) {
+      console.error('❌ Error getting MFA-required roles:', error);
+      throw new Error(`Failed to get MFA-required roles: ${error.message}`);
+    }
+  }
+
   /**
      * Update role
      *
@@ -270,7 +320,7 @@ class RoleModel {
     try {
       const allowedFields = [
         'display_name', 'description', 'parent_role_id', 'is_active',
-        'is_default', 'max_users', 'color_code', 'icon', 'priority', 'updated_by'
+        'is_default', 'require_mfa', 'max_users', 'color_code', 'icon', 'priority', 'updated_by'
       ];
 
       // Filter only allowed fields
@@ -381,6 +431,7 @@ class RoleModel {
         }
 
         // Update child roles to have no parent
+        const [children] = await connection.execute('SELECT id FROM roles WHERE parent_role_id = ?', [roleId]);
         const orphanChildrenQuery = `
           UPDATE roles 
           SET parent_role_id = NULL, updated_at = NOW()
@@ -400,6 +451,11 @@ class RoleModel {
           WHERE id = ?
         `;
         await connection.execute(deleteQuery, [deletedBy, roleId]);
+
+        // Former children (and the roles below them) no longer inherit through the deleted role
+        for (const child of children) {
+          await RolePermissionModel.syncInheritedPermissionsForSubtree(child.id);
+        }
       });
 
       console.log(`✅ Role ${role.name} soft deleted`);
@@ -492,8 +548,8 @@ class RoleModel {
 
       // Get paginated results
       const selectFields = includeUserCount
-        ? 'id, name, display_name, description, parent_role_id, is_system_role, is_active, is_default, max_users, user_count, color_code, icon, priority, created_at, updated_at'
-        : 'id, name, display_name, description, parent_role_id, is_system_role, is_active, is_default, max_users, color_code, icon, priority, created_at, updated_at';
+        ? 'id, name, display_name, description, parent_role_id, is_system_role, is_active, is_default, require_mfa, max_users, user_count, color_code, icon, priority, created_at, updated_at'
+        : 'id, name, display_name, description, parent_role_id, is_system_role, is_active, is_default, require_mfa, max_users, color_code, icon, priority, created_at, updated_at';
 
       const query = `
         SELECT ${selectFields}
@@ -533,7 +589,7 @@ class RoleModel {
       const query = `
         SELECT 
           id, name, display_name, description, parent_role_id,
-          is_system_role, is_active, is_default, max_users, user_count,
+          is_system_role, is_active, is_default, require_mfa, max_users, user_count,
           color_code, icon, priority,
           created_at, updated_at
         FROM roles 
@@ -600,6 +656,17 @@ class RoleModel {
     }
   }
 
+  /**
+     * Check if making parentRoleId the parent of childRoleId would create a cycle
+     *
+     * @param {number} childRoleId - Child role ID
+     * @param {number} parentRoleId - Proposed parent role ID
+     * @returns {Promise<boolean>} True if circular
+     */
+  static wouldCreateCircularHierarchy(childRoleId, parentRoleId) {
+    return this._wouldCreateCircularHierarchy(childRoleId, parentRoleId);
+  }
+
   /**
      * Check if role hierarchy would be circular
      *
@@ -702,6 +769,7 @@ class RoleModel {
       isSystemRole: Boolean(roleRow.is_system_role),
       isActive: Boolean(roleRow.is_active),
       isDefault: Boolean(roleRow.is_default),
+      requireMfa: Boolean(roleRow.require_mfa),
       maxUsers: roleRow.max_users,
       userCount: roleRow.user_count || 0,
       colorCode: roleRow.color_code,
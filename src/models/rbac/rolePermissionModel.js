@@ -117,6 +117,10 @@ class RolePermissionModel {
         throw new Error('Permission assignment is already inactive');
       }
 
+      if (assignment.isInherited) {
+        throw new Error('Permission is inherited from a parent role; revoke it from that role instead');
+      }
+
       const revokeQuery = `
         UPDATE role_permissions 
         SET 
@@ -146,6 +150,44 @@ class RolePermissionModel {
     }
   }
 
+  /**
+     * Change the conditions and expiry of a direct grant
+     * Inherited copies are refreshed by syncInheritedPermissions
+     *
+     * @param {number} roleId - Role ID
+     * @param {number} permissionId - Permission ID
+     * @param {Object} updateData - { conditions, expiresAt }
+     * @returns {Promise<Object|null>} Updated assignment or null if the role has no direct grant
+     */
+  static async updateAssignment(roleId, permissionId, updateData) {
+    try {
+      const { conditions = null, expiresAt = null } = updateData;
+
+      const updateQuery = `
+        UPDATE role_permissions
+        SET conditions = ?, expires_at = ?, updated_at = NOW()
+        WHERE role_id = ? AND permission_id = ? AND is_active = TRUE AND is_inherited = FALSE
+      `;
+
+      const result = await executeQuery(updateQuery, [
+        conditions ? JSON.stringify(conditions) : null,
+        expiresAt,
+        roleId,
+        permissionId
+      ]);
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return this.findByRoleAndPermission(roleId, permissionId);
+
+    } catch (error) {
+      console.error('❌ Error updating role-permission assignment:', error);
+      throw new Error(`Failed to update assignment: ${error.message}`);
+    }
+  }
+
   /**
      * Find role-permission assignment by ID
      *
@@ -325,6 +367,7 @@ class RolePermissionModel {
         INNER JOIN role_permissions rp ON rh.id = rp.role_id
         INNER JOIN permissions p ON rp.permission_id = p.id
         WHERE rp.is_active = TRUE 
+          AND rp.is_inherited = FALSE
           AND p.is_active = TRUE 
           AND p.deleted_at IS NULL
       `;
@@ -398,92 +441,89 @@ class RolePermissionModel {
 
   /**
      * Sync inherited permissions for a role
+     * Rebuilds the role's is_inherited rows from its ancestors' direct grants
+     * Call it from the transaction that changed the grants or the hierarchy;
+     * it then runs in a savepoint of that transaction
      *
      * @param {number} roleId - Role ID
      * @returns {Promise<Object>} Sync results
      */
   static async syncInheritedPermissions(roleId) {
     try {
-      const syncResults = {
-        added: 0,
-        removed: 0,
-        updated: 0
-      };
+      const syncResults = await executeTransaction(connection => this._syncInheritedPermissions(connection, roleId));
+
+      console.log(`✅ Synced inherited permissions for role ${roleId}: +${syncResults.added}, -${syncResults.removed}, ~${syncResults.updated}`);
+      return syncResults;
+
+    } catch (error) {
+      console.error('❌ Error syncing inherited permissions:', error);
+      throw new Error(`Failed to sync inherited permissions: ${error.message}`);
+    }
+  }
+
+  /**
+     * Sync inherited permissions for a role and every role below it
+     * Runs in one transaction so the subtree never ends up half updated
+     *
+     * @param {number} roleId - Root role ID
+     * @returns {Promise<Object>} Sync results
+     */
+  static async syncInheritedPermissionsForSubtree(roleId) {
+    try {
+      const syncResults = await executeTransaction(async (connection) => {
+        const subtreeQuery = `
+          WITH RECURSIVE subtree AS (
+            SELECT id, 0 as level
+            FROM roles
+            WHERE id = ? AND deleted_at IS NULL
 
-      await executeTransaction(async (connection) => {
-        // Remove existing inherited permissions
-        const removeQuery = `
-          DELETE FROM role_permissions 
-          WHERE role_id = ? AND is_inherited = TRUE
-        `;
-        const removeResult = await connection.execute(removeQuery, [roleId]);
-        syncResults.removed = removeResult[0].affectedRows;
-
-        // Get role hierarchy (parent roles)
-        const hierarchyQuery = `
-          WITH RECURSIVE role_hierarchy AS (
-            SELECT parent_role_id, 1 as level
-            FROM roles 
-            WHERE id = ? AND parent_role_id IS NOT NULL
-            
             UNION ALL
-            
-            SELECT r.parent_role_id, rh.level + 1
+
+            SELECT r.id, s.level + 1
             FROM roles r
-            INNER JOIN role_hierarchy rh ON r.id = rh.parent_role_id
-            WHERE r.parent_role_id IS NOT NULL AND rh.level < 10
+            INNER JOIN subtree s ON r.parent_role_id = s.id
+            WHERE r.deleted_at IS NULL AND s.level < 10
           )
-          SELECT DISTINCT 
-            rp.permission_id,
-            rp.conditions,
-            rp.expires_at,
-            rp.role_id as inherited_from_role_id
-          FROM role_hierarchy rh
-          INNER JOIN role_permissions rp ON rh.parent_role_id = rp.role_id
-          WHERE rp.is_active = TRUE 
-            AND (rp.expires_at IS NULL OR rp.expires_at > NOW())
+          SELECT id FROM subtree ORDER BY level
         `;
+        const [subtree] = await connection.execute(subtreeQuery, [roleId]);
 
-        const hierarchyResult = await connection.execute(hierarchyQuery, [roleId]);
-        const inheritablePermissions = hierarchyResult[0];
+        return this._syncRoles(connection, subtree.map(row => row.id));
+      });
 
-        // Add inherited permissions
-        for (const inheritedPerm of inheritablePermissions) {
-          // Check if permission is not already directly assigned
-          const directAssignmentQuery = `
-            SELECT COUNT(*) as count 
-            FROM role_permissions 
-            WHERE role_id = ? AND permission_id = ? AND is_inherited = FALSE AND is_active = TRUE
-          `;
-          const directResult = await connection.execute(directAssignmentQuery, [roleId, inheritedPerm.permission_id]);
-
-          if (directResult[0][0].count === 0) {
-            const insertQuery = `
-              INSERT INTO role_permissions (
-                role_id, permission_id, conditions, expires_at,
-                is_inherited, inherited_from_role_id, granted_at, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, TRUE, ?, NOW(), NOW(), NOW())
-            `;
+      return syncResults;
+
+    } catch (error) {
+      console.error('❌ Error syncing inherited permissions for subtree:', error);
+      throw new Error(`Failed to sync inherited permissions: ${error.message}`);
+    }
+  }
 
-            await connection.execute(insertQuery, [
-              roleId,
-              inheritedPerm.permission_id,
-              inheritedPerm.conditions,
-              inheritedPerm.expires_at,
-              inheritedPerm.inherited_from_role_id
-            ]);
+  /**
+     * Drop every inherited row and rebuild them from scratch
+     * Repair operation for stale data (see scripts/rebuild-inherited-permissions.js)
+     *
+     * @returns {Promise<Object>} Rebuild results
+     */
+  static async rebuildInheritedPermissions() {
+    try {
+      const rebuildResults = await executeTransaction(async (connection) => {
+        const [deleteResult] = await connection.execute('DELETE FROM role_permissions WHERE is_inherited = TRUE');
 
-            syncResults.added++;
-          }
-        }
+        const [roles] = await connection.execute('SELECT id FROM roles WHERE deleted_at IS NULL ORDER BY id');
+        const syncResults = await this._syncRoles(connection, roles.map(row => row.id));
+
+        return {
+          ...syncResults,
+          deleted: deleteResult.affectedRows
+        };
       });
 
-      console.log(`✅ Synced inherited permissions for role ${roleId}: +${syncResults.added}, -${syncResults.removed}`);
-      return syncResults;
+      return rebuildResults;
 
     } catch (error) {
-      console.error('❌ Error syncing inherited permissions:', error);
-      throw new Error(`Failed to sync inherited permissions: ${error.message}`);
+      console.error('❌ Error rebuilding inherited permissions:', error);
+      throw new Error(`Failed to rebuild inherited permissions: ${error.message}`);
     }
   }
 
@@ -514,34 +554,58 @@ class RolePermissionModel {
           try {
             // Check if already assigned
             const existingQuery = `
-              SELECT COUNT(*) as count 
+              SELECT id, is_active, is_inherited
               FROM role_permissions 
-              WHERE role_id = ? AND permission_id = ? AND is_active = TRUE
+              WHERE role_id = ? AND permission_id = ?
+              FOR UPDATE
             `;
-            const existingResult = await connection.execute(existingQuery, [roleId, permissionId]);
+            const [existingRows] = await connection.execute(existingQuery, [roleId, permissionId]);
+            const existing = existingRows[0];
 
-            if (existingResult[0][0].count > 0) {
+            if (existing && existing.is_active && !existing.is_inherited) {
               results.skipped++;
               continue;
             }
 
-            // Assign permission
-            const insertQuery = `
-              INSERT INTO role_permissions (
-                role_id, permission_id, granted_by, conditions, expires_at,
-                granted_at, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())
-            `;
-
             const conditionsJson = conditions ? JSON.stringify(conditions) : null;
 
-            await connection.execute(insertQuery, [
-              roleId,
-              permissionId,
-              grantedBy,
-              conditionsJson,
-              expiresAt
-            ]);
+            if (existing) {
+              // Revoked or inherited row: the unique key allows one row, so turn it into a direct grant
+              const convertQuery = `
+                UPDATE role_permissions
+                SET
+                  is_active = TRUE,
+                  is_inherited = FALSE,
+                  inherited_from_role_id = NULL,
+                  granted_by = ?,
+                  granted_at = NOW(),
+                  conditions = ?,
+                  expires_at = ?,
+                  revoked_by = NULL,
+                  revoked_at = NULL,
+                  revocation_reason = NULL,
+                  updated_at = NOW()
+                WHERE id = ?
+              `;
+
+              await connection.execute(convertQuery, [grantedBy, conditionsJson, expiresAt, existing.id]);
+            } else {
+              // Assign permission
+              const insertQuery = `
+                INSERT INTO role_permissions (
+                  role_id, permission_id, granted_by, conditions, expires_at,
+                  granted_at, created_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, NOW(), NOW(), NOW())
+              `;
+
+              await connection.execute(insertQuery, [
+                roleId,
+                permissionId,
+                grantedBy,
+                conditionsJson,
+                expiresAt
+              ]);
+            }
 
             results.assigned++;
 
@@ -718,6 +782,169 @@ class RolePermissionModel {
     }
   }
 
+  /**
+     * Sync inherited permissions for several roles inside a transaction
+     *
+     * @private
+     * @param {Object} connection - Transaction connection
+     * @param {Array} roleIds - Role IDs
+     * @returns {Promise<Object>} Combined sync results
+     */
+  static async _syncRoles(connection, roleIds) {
+    const totals = {
+      roles: roleIds.length,
+      added: 0,
+      removed: 0,
+      updated: 0
+    };
+
+    for (const roleId of roleIds) {
+      const result = await this._syncInheritedPermissions(connection, roleId);
+      totals.added += result.added;
+      totals.removed += result.removed;
+      totals.updated += result.updated;
+    }
+
+    if (totals.added + totals.removed + totals.updated > 0) {
+      const updateUsageQuery = `
+        UPDATE permissions p
+        SET usage_count = (
+          SELECT COUNT(*) 
+          FROM role_permissions rp 
+          WHERE rp.permission_id = p.id AND rp.is_active = TRUE
+        )
+      `;
+      await connection.execute(updateUsageQuery);
+    }
+
+    return totals;
+  }
+
+  /**
+     * Bring one role's inherited rows in line with its ancestors' direct grants
+     * The closest ancestor wins when several grant the same permission, and a
+     * direct grant on the role itself always takes precedence. Inactive and
+     * deleted ancestors pass nothing on
+     *
+     * @private
+     * @param {Object} connection - Transaction connection
+     * @param {number} roleId - Role ID
+     * @returns {Promise<Object>} { added, removed, updated }
+     */
+  static async _syncInheritedPermissions(connection, roleId) {
+    const syncResults = {
+      added: 0,
+      removed: 0,
+      updated: 0
+    };
+
+    // Direct grants of every ancestor, closest first
+    const ancestorQuery = `
+      WITH RECURSIVE ancestors AS (
+        SELECT parent_role_id as role_id, 1 as level
+        FROM roles 
+        WHERE id = ? AND parent_role_id IS NOT NULL
+        
+        UNION ALL
+        
+        SELECT r.parent_role_id, a.level + 1
+        FROM roles r
+        INNER JOIN ancestors a ON r.id = a.role_id
+        WHERE r.parent_role_id IS NOT NULL AND a.level < 10
+      )
+      SELECT 
+        rp.permission_id,
+        rp.conditions,
+        rp.expires_at,
+        rp.role_id as inherited_from_role_id
+      FROM ancestors a
+      INNER JOIN roles r ON a.role_id = r.id AND r.deleted_at IS NULL AND r.is_active = TRUE
+      INNER JOIN role_permissions rp ON a.role_id = rp.role_id
+      WHERE rp.is_active = TRUE 
+        AND rp.is_inherited = FALSE
+        AND (rp.expires_at IS NULL OR rp.expires_at > NOW())
+      ORDER BY a.level ASC
+    `;
+    const [ancestorGrants] = await connection.execute(ancestorQuery, [roleId]);
+
+    const inheritable = new Map();
+    ancestorGrants.forEach(grant => {
+      if (!inheritable.has(grant.permission_id)) inheritable.set(grant.permission_id, grant);
+    });
+
+    const existingQuery = `
+      SELECT id, permission_id, is_active, is_inherited, inherited_from_role_id, conditions, expires_at
+      FROM role_permissions
+      WHERE role_id = ?
+      FOR UPDATE
+    `;
+    const [existingRows] = await connection.execute(existingQuery, [roleId]);
+    const existing = new Map(existingRows.map(row => [row.permission_id, row]));
+
+    // Inherited rows whose source grant is gone
+    for (const row of existingRows) {
+      if (row.is_inherited && !inheritable.has(row.permission_id)) {
+        await connection.execute('DELETE FROM role_permissions WHERE id = ?', [row.id]);
+        syncResults.removed++;
+      }
+    }
+
+    for (const [permissionId, grant] of inheritable) {
+      const row = existing.get(permissionId);
+      const conditionsJson = grant.conditions ? JSON.stringify(this._parseJson(grant.conditions)) : null;
+
+      if (row && row.is_active && !row.is_inherited) {
+        continue; // Direct grant wins
+      }
+
+      if (row && row.is_active && row.is_inherited &&
+        row.inherited_from_role_id === grant.inherited_from_role_id &&
+        JSON.stringify(this._parseJson(row.conditions)) === JSON.stringify(this._parseJson(grant.conditions)) &&
+        String(row.expires_at) === String(grant.expires_at)) {
+        continue; // Already up to date
+      }
+
+      if (row) {
+        const updateQuery = `
+          UPDATE role_permissions
+          SET
+            is_active = TRUE,
+            is_inherited = TRUE,
+            inherited_from_role_id = ?,
+            granted_by = NULL,
+            granted_at = NOW(),
+            conditions = ?,
+            expires_at = ?,
+            revoked_by = NULL,
+            revoked_at = NULL,
+            revocation_reason = NULL,
+            updated_at = NOW()
+          WHERE id = ?
+        `;
+        await connection.execute(updateQuery, [grant.inherited_from_role_id, conditionsJson, grant.expires_at, row.id]);
+        syncResults.updated++;
+        continue;
+      }
+
+      const insertQuery = `
+        INSERT INTO role_permissions (
+          role_id, permission_id, conditions, expires_at,
+          is_inherited, inherited_from_role_id, granted_at, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, TRUE, ?, NOW(), NOW(), NOW())
+      `;
+      await connection.execute(insertQuery, [
+        roleId,
+        permissionId,
+        conditionsJson,
+        grant.expires_at,
+        grant.inherited_from_role_id
+      ]);
+      syncResults.added++;
+    }
+
+    return syncResults;
+  }
+
   /**
      * Update permission usage count
      *
@@ -761,7 +988,7 @@ class RolePermissionModel {
       permissionId: assignmentRow.permission_id,
       grantedBy: assignmentRow.granted_by,
       grantedAt: assignmentRow.granted_at,
-      conditions: assignmentRow.conditions ? JSON.parse(assignmentRow.conditions) : null,
+      conditions: this._parseJson(assignmentRow.conditions),
       expiresAt: assignmentRow.expires_at,
       isActive: Boolean(assignmentRow.is_active),
       isInherited: Boolean(assignmentRow.is_inherited),
@@ -806,7 +1033,7 @@ class RolePermissionModel {
       accessLevel: row.access_level,
       scope: row.scope,
       grantedAt: row.granted_at,
-      conditions: row.conditions ? JSON.parse(row.conditions) : null,
+      conditions: this._parseJson(row.conditions),
       expiresAt: row.expires_at,
       isActive: Boolean(row.is_active),
       isInherited: Boolean(row.is_inherited),
@@ -833,7 +1060,7 @@ class RolePermissionModel {
       isSystemRole: Boolean(row.is_system_role),
       userCount: row.user_count || 0,
       grantedAt: row.granted_at,
-      conditions: row.conditions ? JSON.parse(row.conditions) : null,
+      conditions: this._parseJson(row.conditions),
       expiresAt: row.expires_at,
       isActive: Boolean(row.is_active),
       isInherited: Boolean(row.is_inherited),
@@ -858,7 +1085,7 @@ class RolePermissionModel {
       action: row.permission_action,
       accessLevel: row.access_level,
       scope: row.scope,
-      conditions: row.conditions ? JSON.parse(row.conditions) : null,
+      conditions: this._parseJson(row.conditions),
       expiresAt: row.expires_at,
       isInherited: Boolean(row.is_inherited),
       inheritedFromRoleId: row.inherited_from_role_id,
@@ -869,6 +1096,19 @@ class RolePermissionModel {
       isDirect: row.inheritance_level === 0
     };
   }
+
+  /**
+     * Parse a JSON column value
+     * mysql2 already returns JSON columns as objects; older drivers return strings
+     *
+     * @private
+     * @param {string|Object|null} value - Raw column value
+     * @returns {Object|null} Parsed value
+     */
+  static _parseJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
 }
 
 module.exports = RolePermissionModel;
@@ -199,6 +199,7 @@ class UserRoleModel {
      *
      * @param {number} userId - User ID
      * @param {Object} options - Query options
+     * @param {boolean} options.includeInactiveRoles - Also return assignments of inactive or deleted roles
      * @returns {Promise<Object>} User's roles
      */
   static async getUserRoles(userId, options = {}) {
@@ -206,6 +207,7 @@ class UserRoleModel {
       const {
         includeInactive = false,
         includeExpired = false,
+        includeInactiveRoles = false,
         includePermissions = false
       } = options;
 
@@ -245,10 +247,12 @@ class UserRoleModel {
                     ur.assigned_by,
                     r.name as role_name,
                     r.description as role_description,
-                    r.priority as role_priority
+                    r.priority as role_priority,
+                    r.is_active as role_is_active,
+                    r.deleted_at as role_deleted_at
                     ${permissionFields}
                 FROM user_roles ur
-                JOIN roles r ON ur.role_id = r.id AND r.is_active = 1
+                JOIN roles r ON ur.role_id = r.id${includeInactiveRoles ? '' : ' AND r.is_active = 1'}
                 ${permissionJoin}
                 WHERE ${whereConditions.join(' AND ')}
                 ${includePermissions ? 'GROUP BY ur.id' : ''}
@@ -269,13 +273,15 @@ class UserRoleModel {
             role_name: role.role_name,
             role_description: role.role_description,
             role_priority: role.role_priority,
+            role_is_active: Boolean(role.role_is_active),
+            role_deleted_at: role.role_deleted_at,
             is_primary: Boolean(role.is_primary),
             is_active: Boolean(role.is_active),
             assigned_at: role.assigned_at,
             expires_at: role.expires_at,
             assignment_reason: role.assignment_reason,
             assigned_by: role.assigned_by,
-            conditions: role.conditions ? JSON.parse(role.conditions) : null,
+            conditions: UserRoleModel._parseJson(role.conditions),
             permissions: role.permissions ? role.permissions.split(',') : []
           }))
         }
@@ -291,6 +297,74 @@ class UserRoleModel {
     }
   }
 
+  /**
+     * Get every permission grant a user holds, one row per role/permission pair
+     * Unlike getUserRoles this keeps the conditions of each grant so they can be evaluated
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<Object>} User's permission grants
+     */
+  static async getUserPermissionGrants(userId) {
+    try {
+      const query = `
+                SELECT
+                    ur.id as user_role_id,
+                    ur.role_id,
+                    ur.is_primary,
+                    ur.conditions as assignment_conditions,
+                    r.name as role_name,
+                    p.id as permission_id,
+                    p.name as permission_name,
+                    p.scope as permission_scope,
+                    rp.conditions as permission_conditions,
+                    rp.is_inherited,
+                    rp.inherited_from_role_id,
+                    rp.expires_at
+                FROM user_roles ur
+                JOIN roles r ON ur.role_id = r.id AND r.is_active = 1
+                JOIN role_permissions rp ON r.id = rp.role_id AND rp.is_active = 1
+                    AND (rp.expires_at IS NULL OR rp.expires_at > NOW())
+                JOIN permissions p ON rp.permission_id = p.id AND p.is_active = 1
+                WHERE ur.user_id = ?
+                    AND ur.is_active = 1
+                    AND (ur.expires_at IS NULL OR ur.expires_at > NOW())
+                ORDER BY ur.is_primary DESC, r.priority ASC, p.name ASC
+            `;
+
+      const grants = await executeQuery(query, [userId]);
+
+      return {
+        success: true,
+        data: {
+          user_id: userId,
+          total_grants: grants.length,
+          grants: grants.map(grant => ({
+            user_role_id: grant.user_role_id,
+            role_id: grant.role_id,
+            role_name: grant.role_name,
+            is_primary: Boolean(grant.is_primary),
+            permission_id: grant.permission_id,
+            permission_name: grant.permission_name,
+            permission_scope: grant.permission_scope,
+            assignment_conditions: UserRoleModel._parseJson(grant.assignment_conditions),
+            permission_conditions: UserRoleModel._parseJson(grant.permission_conditions),
+            is_inherited: Boolean(grant.is_inherited),
+            inherited_from_role_id: grant.inherited_from_role_id,
+            expires_at: grant.expires_at
+          }))
+        }
+      };
+
+    } catch (error) {
+      console.error('Error in getUserPermissionGrants:', error);
+      return {
+        success: false,
+        message: `Failed to get user permission grants: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
   /**
      * Get all users assigned to a role
      *
@@ -453,6 +527,33 @@ class UserRoleModel {
     }
   }
 
+  /**
+     * Lock a user's role assignments until the surrounding transaction ends
+     * The user row is locked as well, so a user without any assignment is
+     * covered too. Must be called inside executeTransaction
+     *
+     * @param {number} userId - User ID
+     * @returns {Promise<number>} Number of assignments locked
+     */
+  static async lockUserAssignments(userId) {
+    try {
+      const query = `
+                SELECT u.id, ur.id as assignment_id
+                FROM users u
+                LEFT JOIN user_roles ur ON ur.user_id = u.id
+                WHERE u.id = ?
+                FOR UPDATE
+            `;
+
+      const rows = await executeQuery(query, [userId]);
+      return rows.filter(row => row.assignment_id !== null).length;
+
+    } catch (error) {
+      console.error('❌ Error locking user role assignments:', error);
+      throw new Error(`Failed to lock user role assignments: ${error.message}`);
+    }
+  }
+
   /**
      * Find user-role assignment by user ID and role ID
      *
@@ -667,6 +768,184 @@ class UserRoleModel {
       };
     }
   }
+
+  /**
+     * Deactivate role assignments whose expires_at has passed
+     * When a user's primary role expires, their next active role
+     * (same order as getUserRoles) becomes primary
+     *
+     * @returns {Promise<Object>} Expired assignments and promoted primary roles
+     */
+  static async expireAssignments() {
+    try {
+      return await executeTransaction(async (connection) => {
+        const selectQuery = `
+                    SELECT id, user_id, role_id, is_primary
+                    FROM user_roles
+                    WHERE is_active = 1
+                      AND expires_at IS NOT NULL
+                      AND expires_at <= NOW()
+                    FOR UPDATE
+                `;
+        const [expired] = await connection.execute(selectQuery);
+
+        if (expired.length === 0) {
+          return {
+            success: true,
+            data: { expired_count: 0, user_ids: [], role_ids: [], promoted: [] }
+          };
+        }
+
+        const expiredIds = expired.map(row => row.id);
+        const expireQuery = `
+                    UPDATE user_roles
+                    SET is_active = 0,
+                        is_primary = 0,
+                        revoked_at = NOW(),
+                        revocation_reason = 'expired',
+                        updated_at = NOW()
+                    WHERE id IN (${expiredIds.map(() => '?').join(',')})
+                `;
+        await connection.execute(expireQuery, expiredIds);
+
+        // Promote a replacement primary role for users who lost theirs
+        const promoted = [];
+        const lostPrimary = [...new Set(expired.filter(row => row.is_primary).map(row => row.user_id))];
+
+        for (const userId of lostPrimary) {
+          const nextQuery = `
+                        SELECT ur.id, ur.role_id
+                        FROM user_roles ur
+                        JOIN roles r ON ur.role_id = r.id AND r.is_active = 1
+                        WHERE ur.user_id = ?
+                          AND ur.is_active = 1
+                          AND (ur.expires_at IS NULL OR ur.expires_at > NOW())
+                        ORDER BY r.priority ASC, ur.assigned_at ASC
+                        LIMIT 1
+                    `;
+          const [[next]] = await connection.execute(nextQuery, [userId]);
+
+          if (next) {
+            await connection.execute(
+              'UPDATE user_roles SET is_primary = 1, updated_at = NOW() WHERE id = ?',
+              [next.id]
+            );
+            promoted.push({ user_id: userId, role_id: next.role_id });
+          }
+        }
+
+        return {
+          success: true,
+          data: {
+            expired_count: expired.length,
+            user_ids: [...new Set(expired.map(row => row.user_id))],
+            role_ids: [...new Set(expired.map(row => row.role_id))],
+            promoted
+          }
+        };
+      });
+
+    } catch (error) {
+      console.error('Error in expireAssignments:', error);
+      return {
+        success: false,
+        message: `Failed to expire role assignments: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+     * Get active assignments expiring within the given number of days
+     * that have not been notified yet
+     *
+     * @param {number} withinDays - Look-ahead window in days
+     * @param {number} limit - Maximum rows to return
+     * @returns {Promise<Object>} Expiring assignments with user and role details
+     */
+  static async getExpiringAssignments(withinDays = 7, limit = 500) {
+    try {
+      const query = `
+                SELECT 
+                    ur.id,
+                    ur.user_id,
+                    ur.role_id,
+                    ur.expires_at,
+                    u.email,
+                    u.first_name,
+                    r.name as role_name,
+                    r.display_name as role_display_name
+                FROM user_roles ur
+                JOIN users u ON ur.user_id = u.id AND u.is_active = 1
+                JOIN roles r ON ur.role_id = r.id AND r.is_active = 1
+                WHERE ur.is_active = 1
+                  AND ur.expiry_notified_at IS NULL
+                  AND ur.expires_at IS NOT NULL
+                  AND ur.expires_at > NOW()
+                  AND ur.expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY)
+                ORDER BY ur.expires_at ASC
+                LIMIT ${parseInt(limit)}
+            `;
+
+      const assignments = await executeQuery(query, [withinDays]);
+
+      return {
+        success: true,
+        data: {
+          total: assignments.length,
+          assignments
+        }
+      };
+
+    } catch (error) {
+      console.error('Error in getExpiringAssignments:', error);
+      return {
+        success: false,
+        message: `Failed to get expiring assignments: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+     * Record that the expiry notice for an assignment was sent
+     *
+     * @param {number} assignmentId - User role assignment ID
+     * @returns {Promise<Object>} Operation result
+     */
+  static async markExpiryNotified(assignmentId) {
+    try {
+      const query = `
+                UPDATE user_roles 
+                SET expiry_notified_at = NOW()
+                WHERE id = ?
+            `;
+      await executeQuery(query, [assignmentId]);
+
+      return { success: true };
+
+    } catch (error) {
+      console.error('Error in markExpiryNotified:', error);
+      return {
+        success: false,
+        message: `Failed to mark expiry notice: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+     * Parse a JSON column value
+     * mysql2 already returns JSON columns as objects; older drivers return strings
+     *
+     * @private
+     * @param {string|Object|null} value - Raw column value
+     * @returns {Object|null} Parsed value
+     */
+  static _parseJson(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
 }
 
 module.exports = UserRoleModel;
@@ -0,0 +1,46 @@
+// src/routes/auth/apiKeyRoutes.js
+const express = require('express');
+const apiKeyController = require('../../controllers/auth/apiKeyController');
+const authMiddleware = require('../../middleware/auth');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+// API keys are managed from a login session only, never with another API key
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.requireSessionAuth);
+router.use(authMiddleware.blockDuringImpersonation);
+
+/**
+ * @route   GET /api/auth/api-keys
+ * @desc    List the current user's API keys (never the secrets)
+ * @access  Private (login session)
+ * @query   { includeInactive? } - Also list revoked and expired keys
+ */
+router.get('/',
+  apiKeyController.listApiKeys
+);
+
+/**
+ * @route   POST /api/auth/api-keys
+ * @desc    Create an API key; the full key is returned only in this response
+ * @access  Private (login session)
+ * @body    { name, scopes: ['module.action'], expiresInDays?, allowedIps?: ['ip' | 'cidr'] }
+ */
+router.post('/',
+  authMiddleware.createAuthRateLimit(10, 60),
+  validation.validateBody('auth.createApiKey'),
+  apiKeyController.createApiKey
+);
+
+/**
+ * @route   DELETE /api/auth/api-keys/:id
+ * @desc    Revoke an API key (it stops working immediately)
+ * @access  Private (login session)
+ * @params  { id }
+ */
+router.delete('/:id',
+  apiKeyController.revokeApiKey
+);
+
+module.exports = router;
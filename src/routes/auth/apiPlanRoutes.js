@@ -0,0 +1,80 @@
+// src/routes/auth/apiPlanRoutes.js
+const express = require('express');
+const apiPlanController = require('../../controllers/auth/apiPlanController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const validation = require('../../middleware/validation');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// Plans decide the limits of every API client
+router.use(authMiddleware.authenticate);
+router.use(rbac.requirePermission(PERMISSIONS.SYSTEM_CONFIG));
+
+/**
+ * @route   GET /api/auth/api-plans
+ * @desc    List API plans and which one is the default
+ * @access  Private (system:config)
+ */
+router.get('/',
+  apiPlanController.listPlans
+);
+
+/**
+ * @route   POST /api/auth/api-plans
+ * @desc    Create an API plan
+ * @access  Private (system:config)
+ * @body    { name, displayName, description?, burstLimit, sustainedPerMinute, dailyQuota?, monthlyQuota?, isDefault?, isActive? }
+ */
+router.post('/',
+  validation.validateBody('auth.createApiPlan'),
+  apiPlanController.createPlan
+);
+
+/**
+ * @route   POST /api/auth/api-plans/reload
+ * @desc    Reload plans and assignments on this instance, e.g. after editing them in the database
+ * @access  Private (system:config)
+ */
+router.post('/reload',
+  apiPlanController.reloadPlans
+);
+
+/**
+ * @route   PUT /api/auth/api-plans/users/:userId
+ * @desc    Put a user on a plan; null moves them back to the default plan
+ * @access  Private (system:config)
+ * @params  { userId }
+ * @body    { plan }
+ */
+router.put('/users/:userId',
+  validation.validateBody('auth.assignApiPlan'),
+  apiPlanController.assignUserPlan
+);
+
+/**
+ * @route   PUT /api/auth/api-plans/api-keys/:apiKeyId
+ * @desc    Put an API key on its own plan; null moves it back to its owner's plan
+ * @access  Private (system:config)
+ * @params  { apiKeyId }
+ * @body    { plan }
+ */
+router.put('/api-keys/:apiKeyId',
+  validation.validateBody('auth.assignApiPlan'),
+  apiPlanController.assignApiKeyPlan
+);
+
+/**
+ * @route   PUT /api/auth/api-plans/:planId
+ * @desc    Change the limits or status of a plan; takes effect without a restart
+ * @access  Private (system:config)
+ * @params  { planId }
+ * @body    { displayName?, description?, burstLimit?, sustainedPerMinute?, dailyQuota?, monthlyQuota?, isDefault?, isActive? }
+ */
+router.put('/:planId',
+  validation.validateBody('auth.updateApiPlan'),
+  apiPlanController.updatePlan
+);
+
+module.exports = router;
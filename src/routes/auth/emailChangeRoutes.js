@@ -0,0 +1,60 @@
+// src/routes/auth/emailChangeRoutes.js
+const express = require('express');
+const emailChangeController = require('../../controllers/auth/emailChangeController');
+const authMiddleware = require('../../middleware/auth');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/auth/email-change
+ * @desc    The pending email change of the current user, if any
+ * @access  Private (login session)
+ */
+router.get('/',
+  authMiddleware.authenticate,
+  authMiddleware.requireSessionAuth,
+  emailChangeController.getPendingEmailChange
+);
+
+/**
+ * @route   POST /api/auth/email-change
+ * @desc    Send a confirmation link to the new address and a cancel link to the current one
+ * @access  Private (login session, recent authentication)
+ * @body    { newEmail }
+ */
+router.post('/',
+  authMiddleware.authenticate,
+  authMiddleware.requireSessionAuth,
+  authMiddleware.blockDuringImpersonation,
+  authMiddleware.requireRecentAuth(),
+  authMiddleware.createAuthRateLimit(5, 60),
+  validation.validateBody('auth.emailChangeRequest'),
+  emailChangeController.requestEmailChange
+);
+
+/**
+ * @route   POST /api/auth/email-change/confirm
+ * @desc    Switch to the new address; signs out the user's other sessions
+ * @access  Public (token from the link sent to the new address)
+ * @body    { token }
+ */
+router.post('/confirm',
+  authMiddleware.createAuthRateLimit(10, 15),
+  validation.validateBody('auth.emailChangeToken'),
+  emailChangeController.confirmEmailChange
+);
+
+/**
+ * @route   POST /api/auth/email-change/cancel
+ * @desc    Drop a pending change, or put the old address back and sign out every session
+ * @access  Public (token from the notice sent to the old address)
+ * @body    { token }
+ */
+router.post('/cancel',
+  authMiddleware.createAuthRateLimit(10, 15),
+  validation.validateBody('auth.emailChangeToken'),
+  emailChangeController.cancelEmailChange
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// src/routes/auth/impersonationRoutes.js
+const express = require('express');
+const impersonationController = require('../../controllers/auth/impersonationController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const validation = require('../../middleware/validation');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+router.use(authMiddleware.authenticate);
+
+/**
+ * @route   DELETE /api/auth/admin/impersonate
+ * @desc    End the impersonation this token belongs to
+ * @access  Private (impersonation token)
+ */
+router.delete('/',
+  impersonationController.endImpersonation
+);
+
+/**
+ * @route   GET /api/auth/admin/impersonate
+ * @desc    Audit trail of impersonation sessions, newest first
+ * @access  Private (users.impersonate, login session)
+ * @query   { impersonatorId?, userId?, activeOnly?, limit? }
+ */
+router.get('/',
+  authMiddleware.requireSessionAuth,
+  authMiddleware.blockDuringImpersonation,
+  rbac.requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  validation.validateQuery('auth.listImpersonations'),
+  impersonationController.listImpersonations
+);
+
+/**
+ * @route   POST /api/auth/admin/impersonate/:userId
+ * @desc    Start impersonating a user; returns a short-lived access token for them
+ * @access  Private (users.impersonate, login session)
+ * @params  { userId }
+ * @body    { reason }
+ */
+router.post('/:userId',
+  authMiddleware.requireSessionAuth,
+  authMiddleware.blockDuringImpersonation,
+  rbac.requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  validation.validateBody('auth.startImpersonation'),
+  impersonationController.startImpersonation
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// src/routes/auth/jwksRoutes.js
+const express = require('express');
+const jwksController = require('../../controllers/auth/jwksController');
+
+const router = express.Router();
+
+/**
+ * @route   GET /.well-known/jwks.json
+ * @desc    Public keys for verifying our JWTs (empty with HS* signing)
+ * @access  Public
+ */
+router.get('/jwks.json', jwksController.getJwks);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+// src/routes/auth/magicLinkRoutes.js
+const express = require('express');
+const magicLinkController = require('../../controllers/auth/magicLinkController');
+const authMiddleware = require('../../middleware/auth');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/magic-link
+ * @desc    Email a one-time sign-in link (same answer whether or not the account exists)
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/',
+  authMiddleware.createAuthRateLimit(5, 15), // Per-IP limit on top of the per-email limit in the model
+  validation.validateBody('auth.magicLinkRequest'),
+  magicLinkController.requestLink
+);
+
+/**
+ * @route   POST /api/auth/magic-link/consume
+ * @desc    Log in with the token from a sign-in link
+ * @access  Public (needs the device cookie set by the request when links are device-bound)
+ * @body    { token, email, rememberMe?, deviceName? }
+ */
+router.post('/consume',
+  authMiddleware.createAuthRateLimit(10, 15),
+  validation.validateBody('auth.magicLinkConsume'),
+  magicLinkController.consumeLink
+);
+
+module.exports = router;
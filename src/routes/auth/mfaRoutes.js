@@ -0,0 +1,86 @@
+// src/routes/auth/mfaRoutes.js
+const express = require('express');
+const mfaController = require('../../controllers/auth/mfaController');
+const authMiddleware = require('../../middleware/auth');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+// Public routes (second login step, authenticated by the MFA token)
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Finish a login with an authenticator or recovery code and get tokens
+ * @access  Public (requires the mfaToken returned by login)
+ * @body    { mfaToken, code?, recoveryCode? }
+ */
+router.post('/verify',
+  authMiddleware.createAuthRateLimit(10, 15), // Limit code guessing per IP
+  validation.validateBody('auth.mfaVerify'),
+  mfaController.verifyLogin
+);
+
+/**
+ * @route   POST /api/auth/mfa/enroll
+ * @desc    Start TOTP enrollment (returns the secret and otpauth URI for the QR code)
+ * @access  Private, or Public with the mfaToken of a login whose role requires MFA
+ * @body    { mfaToken? }
+ */
+router.post('/enroll',
+  authMiddleware.optionalAuth,
+  authMiddleware.blockDuringImpersonation,
+  mfaController.startEnrollment
+);
+
+// Protected routes (authentication required)
+router.use(authMiddleware.authenticate);
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Get two-factor status (enabled, required by roles, recovery codes left)
+ * @access  Private
+ */
+router.get('/',
+  mfaController.getStatus
+);
+
+/**
+ * @route   POST /api/auth/mfa/enroll/confirm
+ * @desc    Confirm enrollment with a code from the app and get recovery codes
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/enroll/confirm',
+  authMiddleware.blockDuringImpersonation,
+  authMiddleware.createAuthRateLimit(10, 15),
+  validation.validateBody('auth.mfaCode'),
+  mfaController.confirmEnrollment
+);
+
+/**
+ * @route   POST /api/auth/mfa/recovery-codes
+ * @desc    Replace all recovery codes (the old ones stop working)
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/recovery-codes',
+  authMiddleware.blockDuringImpersonation,
+  authMiddleware.createAuthRateLimit(10, 15),
+  validation.validateBody('auth.mfaCode'),
+  mfaController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/auth/mfa/disable
+ * @desc    Turn two-factor authentication off (not allowed while a role requires it)
+ * @access  Private
+ * @body    { password, code?, recoveryCode? }
+ */
+router.post('/disable',
+  authMiddleware.blockDuringImpersonation,
+  authMiddleware.createAuthRateLimit(10, 15),
+  validation.validateBody('auth.mfaDisable'),
+  mfaController.disable
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// src/routes/auth/oidcRoutes.js
+const express = require('express');
+const oidcController = require('../../controllers/auth/oidcController');
+const authMiddleware = require('../../middleware/auth');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List the configured sign-in providers
+ * @access  Public
+ */
+router.get('/providers',
+  oidcController.listProviders
+);
+
+/**
+ * @route   GET /api/auth/oidc/identities
+ * @desc    List the provider accounts linked to the current user
+ * @access  Private
+ */
+router.get('/identities',
+  authMiddleware.authenticate,
+  oidcController.listIdentities
+);
+
+/**
+ * @route   DELETE /api/auth/oidc/identities/:id
+ * @desc    Unlink a provider account from the current user
+ * @access  Private (login session)
+ * @params  { id }
+ */
+router.delete('/identities/:id',
+  authMiddleware.authenticate,
+  authMiddleware.requireSessionAuth,
+  authMiddleware.blockDuringImpersonation,
+  oidcController.unlinkIdentity
+);
+
+/**
+ * @route   POST /api/auth/oidc/callback
+ * @desc    Finish a sign-in or link with the code and state the provider sent back
+ * @access  Public (needs the state cookie; a link also needs the session that started it)
+ * @body    { code, state, rememberMe?, deviceName? }
+ */
+router.post('/callback',
+  authMiddleware.createAuthRateLimit(10, 15),
+  authMiddleware.optionalAuth,
+  validation.validateBody('auth.oidcCallback'),
+  oidcController.callback
+);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/authorize
+ * @desc    Start signing in with a provider; answers with the URL to open
+ * @access  Public
+ * @params  { provider } - google, microsoft or oidc
+ */
+router.post('/:provider/authorize',
+  authMiddleware.createAuthRateLimit(20, 15),
+  oidcController.authorize
+);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/link
+ * @desc    Start linking a provider account to the current user; answers with the URL to open
+ * @access  Private (login session)
+ * @params  { provider } - google, microsoft or oidc
+ */
+router.post('/:provider/link',
+  authMiddleware.authenticate,
+  authMiddleware.requireSessionAuth,
+  authMiddleware.blockDuringImpersonation,
+  oidcController.startLink
+);
+
+module.exports = router;
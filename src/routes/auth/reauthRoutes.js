@@ -0,0 +1,24 @@
+// src/routes/auth/reauthRoutes.js
+const express = require('express');
+const authController = require('../../controllers/auth/authController');
+const authMiddleware = require('../../middleware/auth');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/auth/reauthenticate
+ * @desc    Confirm the password or an authenticator code; returns an access token with a fresh auth_time for the same session
+ * @access  Private (login session)
+ * @body    { password } or { code }
+ */
+router.post('/',
+  authMiddleware.authenticate,
+  authMiddleware.requireSessionAuth,
+  authMiddleware.blockDuringImpersonation,
+  authMiddleware.createAuthRateLimit(5, 15),
+  validation.validateBody('auth.reauthenticate'),
+  authController.reauthenticate
+);
+
+module.exports = router;
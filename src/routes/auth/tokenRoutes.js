@@ -0,0 +1,26 @@
+// src/routes/auth/tokenRoutes.js
+const express = require('express');
+const tokenController = require('../../controllers/auth/tokenController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const validation = require('../../middleware/validation');
+
+const router = express.Router();
+
+// Token administration is limited to admins
+router.use(authMiddleware.authenticate);
+router.use(authMiddleware.blockDuringImpersonation);
+router.use(rbac.requireAdmin);
+
+/**
+ * @route   POST /api/auth/tokens/revoke
+ * @desc    Revoke a specific token (any type) until it expires
+ * @access  Private (admin, super_admin)
+ * @body    { token?, jti?, expiresAt?, reason? } - token or jti
+ */
+router.post('/revoke',
+  validation.validateBody('auth.revokeToken'),
+  tokenController.revokeToken
+);
+
+module.exports = router;
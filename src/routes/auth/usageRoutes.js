@@ -0,0 +1,18 @@
+// src/routes/auth/usageRoutes.js
+const express = require('express');
+const apiPlanController = require('../../controllers/auth/apiPlanController');
+const authMiddleware = require('../../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/me/usage
+ * @desc    API plan, burst tokens and quota consumption of the current user and their API keys
+ * @access  Private
+ */
+router.get('/',
+  authMiddleware.authenticate,
+  apiPlanController.getUsage
+);
+
+module.exports = router;
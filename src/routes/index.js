@@ -4,11 +4,43 @@ const router = express.Router();
 // Import all route modules
 const authRoutes = require('./auth/authRoutes');
 const passwordRoutes = require('./auth/passwordRoutes');
+const mfaRoutes = require('./auth/mfaRoutes');
+const magicLinkRoutes = require('./auth/magicLinkRoutes');
+const oidcRoutes = require('./auth/oidcRoutes');
+const tokenRoutes = require('./auth/tokenRoutes');
+const apiKeyRoutes = require('./auth/apiKeyRoutes');
+const impersonationRoutes = require('./auth/impersonationRoutes');
+const reauthRoutes = require('./auth/reauthRoutes');
+const emailChangeRoutes = require('./auth/emailChangeRoutes');
+const apiPlanRoutes = require('./auth/apiPlanRoutes');
+const usageRoutes = require('./auth/usageRoutes');
+const roleRoutes = require('./rbac/roleRoutes');
+const permissionRoutes = require('./rbac/permissionRoutes');
+const userRoleRoutes = require('./rbac/userRoleRoutes');
+const accessExplainRoutes = require('./rbac/accessExplainRoutes');
+const policyRoutes = require('./rbac/policyRoutes');
+const roleConstraintRoutes = require('./rbac/roleConstraintRoutes');
 // Add other route imports here as needed
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/auth/password', passwordRoutes);
+router.use('/auth/mfa', mfaRoutes);
+router.use('/auth/magic-link', magicLinkRoutes);
+router.use('/auth/oidc', oidcRoutes);
+router.use('/auth/tokens', tokenRoutes);
+router.use('/auth/api-keys', apiKeyRoutes);
+router.use('/auth/admin/impersonate', impersonationRoutes);
+router.use('/auth/reauthenticate', reauthRoutes);
+router.use('/auth/email-change', emailChangeRoutes);
+router.use('/auth/api-plans', apiPlanRoutes);
+router.use('/me/usage', usageRoutes);
+router.use('/rbac/roles', roleRoutes);
+router.use('/rbac/permissions', permissionRoutes);
+router.use('/rbac/user-roles', userRoleRoutes);
+router.use('/rbac/explain', accessExplainRoutes);
+router.use('/rbac/policy', policyRoutes);
+router.use('/rbac/role-constraints', roleConstraintRoutes);
 // Add other router.use calls here as needed
 
 module.exports = router;
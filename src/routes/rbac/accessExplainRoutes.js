@@ -0,0 +1,41 @@
+// src/routes/rbac/accessExplainRoutes.js
+const express = require('express');
+const accessExplainController = require('../../controllers/rbac/accessExplainController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const rateLimiter = require('../../middleware/rateLimiter');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// All explain routes require an authenticated user
+router.use(authMiddleware.authenticate);
+
+// Requests count against the caller's API plan
+router.use(rateLimiter.planLimiter);
+
+// Explanations expose a user's full role and permission chain
+router.use(rbac.requirePermission([PERMISSIONS.ROLES_READ, PERMISSIONS.PERMISSIONS_READ], { requireAll: true }));
+
+/**
+ * @route   GET /api/rbac/explain
+ * @desc    Explain why a user is granted or denied a permission or role
+ * @access  Private (roles:read and permissions:read)
+ * @query   { userId, permission?, role?, addRoleIds?, removeRoleIds?, ip? }
+ */
+router.get('/',
+  accessExplainController.explainAccess
+);
+
+/**
+ * @route   POST /api/rbac/explain/simulate
+ * @desc    Explain access after adding/removing roles, without applying the change
+ * @access  Private (roles:read and permissions:read)
+ * @body    { userId, permission?, role?, addRoleIds?: [], removeRoleIds?: [], ip? }
+ */
+router.post('/simulate',
+  rbac.createRBACRateLimit(30, 60), // Each simulation walks every role hierarchy
+  accessExplainController.simulateAccess
+);
+
+module.exports = router;
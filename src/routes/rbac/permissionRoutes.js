@@ -0,0 +1,212 @@
+// src/routes/rbac/permissionRoutes.js
+const express = require('express');
+const permissionController = require('../../controllers/rbac/permissionController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const rateLimiter = require('../../middleware/rateLimiter');
+const validation = require('../../middleware/validation');
+const { rbac: rbacSchemas } = require('../../schemas');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// All permission routes require an authenticated user
+router.use(authMiddleware.authenticate);
+
+// Requests count against the caller's API plan
+router.use(rateLimiter.planLimiter);
+
+/**
+ * @route   POST /api/rbac/permissions
+ * @desc    Create a new permission
+ * @access  Private (permissions:create)
+ * @body    { name, displayName, description?, module, action, resource?, accessLevel?, scope?, groupName? }
+ */
+router.post('/',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_CREATE),
+  validation.validateBody('rbac.createPermission'),
+  permissionController.createPermission
+);
+
+/**
+ * @route   GET /api/rbac/permissions
+ * @desc    List permissions with filtering and pagination
+ * @access  Private (permissions:list or permissions:read)
+ * @query   { page?, limit?, search?, module?, accessLevel?, includeInactive?, systemOnly?, customOnly?, sortBy?, sortOrder? }
+ */
+router.get('/',
+  rbac.requirePermission([PERMISSIONS.PERMISSIONS_LIST, PERMISSIONS.PERMISSIONS_READ]),
+  permissionController.getAllPermissions
+);
+
+/**
+ * @route   GET /api/rbac/permissions/modules
+ * @desc    List modules that have permissions
+ * @access  Private (permissions:read)
+ */
+router.get('/modules',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getAvailableModules
+);
+
+/**
+ * @route   GET /api/rbac/permissions/stats
+ * @desc    Get statistics for all permissions
+ * @access  Private (permissions:read)
+ */
+router.get('/stats',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getPermissionStatistics
+);
+
+/**
+ * @route   GET /api/rbac/permissions/cache/stats
+ * @desc    Get effective-permission cache hit/miss statistics
+ * @access  Private (permissions:read)
+ */
+router.get('/cache/stats',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getPermissionCacheStats
+);
+
+/**
+ * @route   POST /api/rbac/permissions/bulk
+ * @desc    Create multiple permissions in one request
+ * @access  Private (permissions:create)
+ * @body    { permissions: [] }
+ */
+router.post('/bulk',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_CREATE),
+  rbac.createRBACRateLimit(5, 60), // Bulk operations are expensive
+  permissionController.bulkCreatePermissions
+);
+
+/**
+ * @route   GET /api/rbac/permissions/check/:userId/:permission
+ * @desc    Check whether a user holds a permission
+ * @access  Private (permissions:read)
+ * @params  { userId, permission }
+ */
+router.get('/check/:userId/:permission',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.checkUserPermission
+);
+
+/**
+ * @route   GET /api/rbac/permissions/module/:module
+ * @desc    Get permissions for a module
+ * @access  Private (permissions:read)
+ * @params  { module }
+ */
+router.get('/module/:module',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getPermissionsByModule
+);
+
+/**
+ * @route   POST /api/rbac/permissions/module/:module
+ * @desc    Create the standard permissions for a module
+ * @access  Private (permissions:create)
+ * @params  { module }
+ * @body    { actions?, description?, accessLevel? }
+ */
+router.post('/module/:module',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_CREATE),
+  permissionController.createModulePermissions
+);
+
+/**
+ * @route   GET /api/rbac/permissions/module/:module/stats
+ * @desc    Get permission statistics for a module
+ * @access  Private (permissions:read)
+ * @params  { module }
+ */
+router.get('/module/:module/stats',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getPermissionStatistics
+);
+
+/**
+ * @route   GET /api/rbac/permissions/:id
+ * @desc    Get permission details
+ * @access  Private (permissions:read)
+ * @params  { id }
+ */
+router.get('/:id',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getPermissionById
+);
+
+/**
+ * @route   PUT /api/rbac/permissions/:id
+ * @desc    Update permission details
+ * @access  Private (permissions:update)
+ * @params  { id }
+ * @body    { displayName?, description?, accessLevel?, scope?, groupName?, isActive? }
+ */
+router.put('/:id',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_UPDATE),
+  validation.validateBody(rbacSchemas.permission.updatePermissionSchema.omit(['id'])), // Permission ID comes from the URL
+  permissionController.updatePermission
+);
+
+/**
+ * @route   GET /api/rbac/permissions/:id/dependencies
+ * @desc    Get the prerequisite/dependent graph of a permission
+ * @access  Private (permissions:read)
+ * @params  { id }
+ */
+router.get('/:id/dependencies',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_READ),
+  permissionController.getPermissionDependencies
+);
+
+/**
+ * @route   PUT /api/rbac/permissions/:id/dependencies
+ * @desc    Add, remove or replace the permissions this permission requires
+ * @access  Private (permissions:update)
+ * @params  { id }
+ * @body    { requiredPermissionIds: [], operation?: 'add'|'remove'|'replace' }
+ */
+router.put('/:id/dependencies',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_UPDATE),
+  rbac.logRBACEvent('permission_dependencies_update'),
+  permissionController.updatePermissionDependencies
+);
+
+/**
+ * @route   DELETE /api/rbac/permissions/:id
+ * @desc    Delete a permission
+ * @access  Private (permissions:delete)
+ * @params  { id }
+ */
+router.delete('/:id',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_DELETE),
+  rbac.logRBACEvent('permission_delete'),
+  permissionController.deletePermission
+);
+
+// Route parameter validation
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid permission ID format',
+      error: 'PERMISSION_ID_INVALID_FORMAT'
+    });
+  }
+  next();
+});
+
+router.param('module', (req, res, next, module) => {
+  if (!/^[a-z][a-z0-9_]*$/.test(module)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid module name format',
+      error: 'MODULE_INVALID_FORMAT'
+    });
+  }
+  next();
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// src/routes/rbac/policyRoutes.js
+const express = require('express');
+const policyController = require('../../controllers/rbac/policyController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const rateLimiter = require('../../middleware/rateLimiter');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// All policy routes require an authenticated user
+router.use(authMiddleware.authenticate);
+
+// Requests count against the caller's API plan
+router.use(rateLimiter.planLimiter);
+
+/**
+ * @route   GET /api/rbac/policy/export
+ * @desc    Export roles, permissions and role grants as a policy document
+ * @access  Private (roles:read and permissions:read)
+ * @query   { format?: 'json'|'yaml', download?: boolean }
+ */
+router.get('/export',
+  rbac.requirePermission([PERMISSIONS.ROLES_READ, PERMISSIONS.PERMISSIONS_READ], { requireAll: true }),
+  policyController.exportPolicy
+);
+
+/**
+ * @route   POST /api/rbac/policy/import
+ * @desc    Diff a policy document against the current policy, and apply it unless dryRun
+ * @access  Private (create/update roles and permissions, assign/revoke permissions)
+ * @body    { document?: {}, content?: string, format?: 'json'|'yaml', dryRun?: boolean, prune?: boolean }
+ */
+router.post('/import',
+  rbac.requirePermission([
+    PERMISSIONS.ROLES_CREATE,
+    PERMISSIONS.ROLES_UPDATE,
+    PERMISSIONS.PERMISSIONS_CREATE,
+    PERMISSIONS.PERMISSIONS_UPDATE,
+    PERMISSIONS.PERMISSIONS_ASSIGN,
+    PERMISSIONS.PERMISSIONS_REVOKE
+  ], { requireAll: true }),
+  rbac.createRBACRateLimit(10, 60), // Each import reads and diffs the whole policy
+  policyController.importPolicy
+);
+
+module.exports = router;
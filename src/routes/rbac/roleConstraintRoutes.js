@@ -0,0 +1,75 @@
+// src/routes/rbac/roleConstraintRoutes.js
+const express = require('express');
+const roleConstraintController = require('../../controllers/rbac/roleConstraintController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const rateLimiter = require('../../middleware/rateLimiter');
+const validation = require('../../middleware/validation');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// All role constraint routes require an authenticated user
+router.use(authMiddleware.authenticate);
+
+// Requests count against the caller's API plan
+router.use(rateLimiter.planLimiter);
+
+/**
+ * @route   GET /api/rbac/role-constraints
+ * @desc    List separation-of-duties rules between roles
+ * @access  Private (roles:read)
+ * @query   { constraintType?: 'mutually_exclusive'|'prerequisite', roleId?, includeInactive? }
+ */
+router.get('/',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  roleConstraintController.getConstraints
+);
+
+/**
+ * @route   GET /api/rbac/role-constraints/violations
+ * @desc    List users whose current roles break an active rule
+ * @access  Private (roles:read)
+ */
+router.get('/violations',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  rbac.createRBACRateLimit(10, 60), // Scans every active role assignment
+  roleConstraintController.getViolationsReport
+);
+
+/**
+ * @route   POST /api/rbac/role-constraints
+ * @desc    Add a mutually exclusive or prerequisite rule between two roles
+ * @access  Private (roles:update)
+ * @body    { constraintType: 'mutually_exclusive'|'prerequisite', roleId, relatedRoleId, description? }
+ */
+router.post('/',
+  rbac.requirePermission(PERMISSIONS.ROLES_UPDATE),
+  validation.validateBody('rbac.createRoleConstraint'),
+  roleConstraintController.createConstraint
+);
+
+/**
+ * @route   PUT /api/rbac/role-constraints/:id
+ * @desc    Update a rule's description or enable/disable it
+ * @access  Private (roles:update)
+ * @params  { id }
+ * @body    { description?, isActive? }
+ */
+router.put('/:id',
+  rbac.requirePermission(PERMISSIONS.ROLES_UPDATE),
+  roleConstraintController.updateConstraint
+);
+
+/**
+ * @route   DELETE /api/rbac/role-constraints/:id
+ * @desc    Delete a rule
+ * @access  Private (roles:update)
+ * @params  { id }
+ */
+router.delete('/:id',
+  rbac.requirePermission(PERMISSIONS.ROLES_UPDATE),
+  roleConstraintController.deleteConstraint
+);
+
+module.exports = router;
@@ -0,0 +1,185 @@
+// src/routes/rbac/roleRoutes.js
+const express = require('express');
+const roleController = require('../../controllers/rbac/roleController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const rateLimiter = require('../../middleware/rateLimiter');
+const validation = require('../../middleware/validation');
+const { rbac: rbacSchemas } = require('../../schemas');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// All role routes require an authenticated user
+router.use(authMiddleware.authenticate);
+
+// Requests count against the caller's API plan
+router.use(rateLimiter.planLimiter);
+
+/**
+ * @route   POST /api/rbac/roles
+ * @desc    Create a new role
+ * @access  Private (roles:create)
+ * @body    { name, displayName, description?, parentRoleId?, isActive?, isDefault?, maxUsers?, colorCode?, icon?, priority? }
+ */
+router.post('/',
+  rbac.requirePermission(PERMISSIONS.ROLES_CREATE),
+  validation.validateBody('rbac.createRole'),
+  roleController.createRole
+);
+
+/**
+ * @route   GET /api/rbac/roles
+ * @desc    List roles with filtering and pagination
+ * @access  Private (roles:list or roles:read)
+ * @query   { page?, limit?, search?, includeInactive?, systemOnly?, customOnly?, sortBy?, sortOrder? }
+ */
+router.get('/',
+  rbac.requirePermission([PERMISSIONS.ROLES_LIST, PERMISSIONS.ROLES_READ]),
+  roleController.getAllRoles
+);
+
+/**
+ * @route   GET /api/rbac/roles/stats
+ * @desc    Get statistics for all roles
+ * @access  Private (roles:read)
+ */
+router.get('/stats',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  roleController.getRoleStatistics
+);
+
+/**
+ * @route   POST /api/rbac/roles/bulk
+ * @desc    Create multiple roles in one request
+ * @access  Private (roles:create)
+ * @body    { roles: [] }
+ */
+router.post('/bulk',
+  rbac.requirePermission(PERMISSIONS.ROLES_CREATE),
+  rbac.createRBACRateLimit(5, 60), // Bulk operations are expensive
+  roleController.bulkCreateRoles
+);
+
+/**
+ * @route   GET /api/rbac/roles/:id
+ * @desc    Get role details
+ * @access  Private (roles:read)
+ * @params  { id }
+ */
+router.get('/:id',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  roleController.getRoleById
+);
+
+/**
+ * @route   PUT /api/rbac/roles/:id
+ * @desc    Update role details or parent role
+ * @access  Private (roles:update)
+ * @params  { id }
+ * @body    { name?, displayName?, description?, parentRoleId?, isActive?, isDefault?, maxUsers?, colorCode?, icon?, priority? }
+ */
+router.put('/:id',
+  rbac.requirePermission(PERMISSIONS.ROLES_UPDATE),
+  validation.validateBody(rbacSchemas.role.updateRoleSchema.omit(['id'])), // Role ID comes from the URL
+  roleController.updateRole
+);
+
+/**
+ * @route   DELETE /api/rbac/roles/:id
+ * @desc    Delete a role
+ * @access  Private (roles:delete)
+ * @params  { id }
+ */
+router.delete('/:id',
+  rbac.requirePermission(PERMISSIONS.ROLES_DELETE),
+  rbac.logRBACEvent('role_delete'),
+  roleController.deleteRole
+);
+
+/**
+ * @route   GET /api/rbac/roles/:id/permissions
+ * @desc    Get permissions granted to a role
+ * @access  Private (roles:read)
+ * @params  { id }
+ */
+router.get('/:id/permissions',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  roleController.getRolePermissions
+);
+
+/**
+ * @route   POST /api/rbac/roles/:id/permissions
+ * @desc    Grant permissions to a role
+ * @access  Private (permissions:assign)
+ * @params  { id }
+ * @body    { permissionIds: [], conditions?, expiresAt?, autoGrantDependencies? }
+ */
+router.post('/:id/permissions',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_ASSIGN),
+  validation.validateBody('rbac.rolePermissions'),
+  rbac.logRBACEvent('role_permissions_assign'),
+  roleController.assignPermissions
+);
+
+/**
+ * @route   DELETE /api/rbac/roles/:id/permissions
+ * @desc    Remove permissions from a role
+ * @access  Private (permissions:revoke)
+ * @params  { id }
+ * @body    { permissionIds: [], cascade? }
+ */
+router.delete('/:id/permissions',
+  rbac.requirePermission(PERMISSIONS.PERMISSIONS_REVOKE),
+  validation.validateBody('rbac.rolePermissions'),
+  rbac.logRBACEvent('role_permissions_remove'),
+  roleController.removePermissions
+);
+
+/**
+ * @route   GET /api/rbac/roles/:id/hierarchy
+ * @desc    Get the parent chain of a role
+ * @access  Private (roles:read)
+ * @params  { id }
+ */
+router.get('/:id/hierarchy',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  roleController.getRoleHierarchy
+);
+
+/**
+ * @route   POST /api/rbac/roles/:id/duplicate
+ * @desc    Create a copy of a role with its permissions
+ * @access  Private (roles:create)
+ * @params  { id }
+ * @body    { name, displayName, description? }
+ */
+router.post('/:id/duplicate',
+  rbac.requirePermission(PERMISSIONS.ROLES_CREATE),
+  roleController.duplicateRole
+);
+
+/**
+ * @route   GET /api/rbac/roles/:id/stats
+ * @desc    Get statistics for a single role
+ * @access  Private (roles:read)
+ * @params  { id }
+ */
+router.get('/:id/stats',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  roleController.getRoleStatistics
+);
+
+// Route parameter validation
+router.param('id', (req, res, next, id) => {
+  if (!/^\d+$/.test(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid role ID format',
+      error: 'ROLE_ID_INVALID_FORMAT'
+    });
+  }
+  next();
+});
+
+module.exports = router;
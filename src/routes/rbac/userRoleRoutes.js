@@ -0,0 +1,184 @@
+// src/routes/rbac/userRoleRoutes.js
+const express = require('express');
+const userRoleController = require('../../controllers/rbac/userRoleController');
+const authMiddleware = require('../../middleware/auth');
+const rbac = require('../../middleware/rbac');
+const rateLimiter = require('../../middleware/rateLimiter');
+const validation = require('../../middleware/validation');
+const { rbac: rbacSchemas } = require('../../schemas');
+const { PERMISSIONS } = require('../../utils/constants');
+
+const router = express.Router();
+
+// All user-role routes require an authenticated user
+router.use(authMiddleware.authenticate);
+
+// Requests count against the caller's API plan
+router.use(rateLimiter.planLimiter);
+
+/**
+ * @route   POST /api/rbac/user-roles/assign
+ * @desc    Assign a role to a user
+ * @access  Private (roles:assign, recent authentication)
+ * @body    { userId, roleId, context?, assignmentReason?, isPrimary?, expiresAt?, conditions? }
+ */
+router.post('/assign',
+  rbac.requirePermission(PERMISSIONS.ROLES_ASSIGN),
+  authMiddleware.requireRecentAuth(),
+  validation.validateBody(rbacSchemas.userRole.assignRoleSchema.omit(['assignedBy'])), // Assigner comes from req.user
+  rbac.logRBACEvent('role_assign'),
+  userRoleController.assignRole
+);
+
+/**
+ * @route   POST /api/rbac/user-roles/revoke
+ * @desc    Revoke a role from a user
+ * @access  Private (roles:revoke)
+ * @body    { userId, roleId, revocationReason, revocationNote? }
+ */
+router.post('/revoke',
+  rbac.requirePermission(PERMISSIONS.ROLES_REVOKE),
+  validation.validateBody(rbacSchemas.userRole.revokeRoleSchema.omit(['revokedBy'])), // Revoker comes from req.user
+  rbac.logRBACEvent('role_revoke'),
+  userRoleController.revokeRole
+);
+
+/**
+ * @route   POST /api/rbac/user-roles/transfer
+ * @desc    Move a role assignment from one user to another
+ * @access  Private (roles:assign and roles:revoke, recent authentication)
+ * @body    { fromUserId, toUserId, roleId, transferReason, transferNote? }
+ */
+router.post('/transfer',
+  rbac.requirePermission([PERMISSIONS.ROLES_ASSIGN, PERMISSIONS.ROLES_REVOKE], { requireAll: true }),
+  authMiddleware.requireRecentAuth(),
+  validation.validateBody(rbacSchemas.userRole.roleTransferSchema.omit(['transferredBy'])), // Transferrer comes from req.user
+  rbac.logRBACEvent('role_transfer'),
+  userRoleController.transferUserRoles
+);
+
+/**
+ * @route   POST /api/rbac/user-roles/bulk-assign
+ * @desc    Assign roles to many users in one request
+ * @access  Private (roles:assign, recent authentication)
+ * @body    { assignments: [] }
+ */
+router.post('/bulk-assign',
+  rbac.requirePermission(PERMISSIONS.ROLES_ASSIGN),
+  authMiddleware.requireRecentAuth(),
+  rbac.createRBACRateLimit(5, 60), // Bulk operations are expensive
+  rbac.logRBACEvent('role_bulk_assign'),
+  userRoleController.bulkAssignRoles
+);
+
+/**
+ * @route   PUT /api/rbac/user-roles/primary
+ * @desc    Set a user's primary role
+ * @access  Private (roles:assign)
+ * @body    { userId, roleId }
+ */
+router.put('/primary',
+  rbac.requirePermission(PERMISSIONS.ROLES_ASSIGN),
+  userRoleController.setPrimaryRole
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/stats
+ * @desc    Get user-role assignment statistics
+ * @access  Private (roles:read)
+ */
+router.get('/stats',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  userRoleController.getUserRoleStatistics
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/stats/:userId
+ * @desc    Get role statistics for a user
+ * @access  Private (roles:read)
+ * @params  { userId }
+ */
+router.get('/stats/:userId',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  userRoleController.getUserRoleStatistics
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/user/:userId
+ * @desc    Get roles assigned to a user
+ * @access  Private (roles:read)
+ * @params  { userId }
+ */
+router.get('/user/:userId',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  userRoleController.getUserRoles
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/role/:roleId
+ * @desc    Get users holding a role
+ * @access  Private (roles:read and users:list)
+ * @params  { roleId }
+ */
+router.get('/role/:roleId',
+  rbac.requirePermission([PERMISSIONS.ROLES_READ, PERMISSIONS.USERS_LIST], { requireAll: true }),
+  userRoleController.getRoleUsers
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/check/:userId/:roleId
+ * @desc    Check whether a user holds a role
+ * @access  Private (roles:read)
+ * @params  { userId, roleId }
+ */
+router.get('/check/:userId/:roleId',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  userRoleController.checkUserRole
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/primary/:userId
+ * @desc    Get a user's primary role
+ * @access  Private (roles:read)
+ * @params  { userId }
+ */
+router.get('/primary/:userId',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  userRoleController.getUserPrimaryRole
+);
+
+/**
+ * @route   GET /api/rbac/user-roles/permissions/:userId
+ * @desc    Get the effective permissions of a user
+ * @access  Private (roles:read)
+ * @params  { userId }
+ */
+router.get('/permissions/:userId',
+  rbac.requirePermission(PERMISSIONS.ROLES_READ),
+  userRoleController.getUserPermissions
+);
+
+// Route parameter validation
+router.param('userId', (req, res, next, userId) => {
+  if (!/^\d+$/.test(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid user ID format',
+      error: 'USER_ID_INVALID_FORMAT'
+    });
+  }
+  next();
+});
+
+router.param('roleId', (req, res, next, roleId) => {
+  if (!/^\d+$/.test(roleId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid role ID format',
+      error: 'ROLE_ID_INVALID_FORMAT'
+    });
+  }
+  next();
+});
+
+module.exports = router;
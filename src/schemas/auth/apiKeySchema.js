@@ -0,0 +1,67 @@
+/**
+ * File: src/schemas/auth/apiKeySchema.js
+ * API Key Validation Schemas
+ *
+ * This file contains Yup validation schemas for creating personal API keys.
+ *
+ * For beginners:
+ * - scopes are permission names the key may use, e.g. users.read
+ *   (users:read is accepted too); the owner must hold each of them
+ * - allowedIps takes single addresses or IPv4 CIDR ranges such as 10.0.0.0/8
+ * - The longest allowed lifetime comes from config.apiKeys.maxLifetimeDays
+ */
+
+const yup = require('yup');
+
+const IPV4_OR_CIDR_REGEX = /^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\/(?:3[0-2]|[12]?\d))?$/;
+const IPV6_REGEX = /^[0-9a-fA-F:]+:[0-9a-fA-F:.]*$/;
+
+/**
+ * Create API key schema
+ */
+const createApiKeySchema = yup.object().shape({
+  name: yup
+    .string()
+    .trim()
+    .min(1, 'Name is required')
+    .max(100, 'Name must not exceed 100 characters')
+    .required('Name is required')
+    .label('Name'),
+
+  scopes: yup
+    .array()
+    .of(yup
+      .string()
+      .trim()
+      .transform((value) => (typeof value === 'string' ? value.replace(':', '.') : value))
+      .matches(/^[a-z][a-z0-9_]*\.[a-z][a-z0-9_]*$/, 'Scope must be a permission name like users.read'))
+    .min(1, 'At least one scope is required')
+    .max(100, 'A key can have at most 100 scopes')
+    .transform((value) => (Array.isArray(value) ? [...new Set(value)] : value))
+    .required('Scopes are required')
+    .label('Scopes'),
+
+  expiresInDays: yup
+    .number()
+    .typeError('Expires In Days must be a number')
+    .integer('Expires In Days must be a whole number')
+    .min(1, 'Key must be valid for at least one day')
+    .nullable()
+    .label('Expires In Days'),
+
+  allowedIps: yup
+    .array()
+    .of(yup
+      .string()
+      .trim()
+      .test('ip-or-cidr', 'Allowed IPs must be IP addresses or IPv4 CIDR ranges', (value) => {
+        return !value || IPV4_OR_CIDR_REGEX.test(value) || IPV6_REGEX.test(value);
+      }))
+    .max(50, 'At most 50 allowed IPs can be set')
+    .nullable()
+    .label('Allowed IPs')
+});
+
+module.exports = {
+  createApiKeySchema
+};
@@ -0,0 +1,124 @@
+/**
+ * File: src/schemas/auth/apiPlanSchema.js
+ * API Plan Validation Schemas
+ *
+ * This file contains Yup validation schemas for managing API plans and
+ * assigning them to users and API keys.
+ *
+ * For beginners:
+ * - burstLimit is how many requests may come back to back,
+ *   sustainedPerMinute how many per minute are allowed in the long run
+ * - A quota left empty (null) means unlimited
+ * - Assigning plan: null puts a user back on the default plan, or an API key
+ *   back on its owner's plan
+ */
+
+const yup = require('yup');
+
+const PLAN_NAME_REGEX = /^[a-z][a-z0-9_-]*$/;
+
+/**
+ * Limit and status fields shared by create and update
+ */
+const planFields = {
+  displayName: yup
+    .string()
+    .trim()
+    .min(1, 'Display name is required')
+    .max(100, 'Display name must not exceed 100 characters')
+    .label('Display Name'),
+
+  description: yup
+    .string()
+    .trim()
+    .max(255, 'Description must not exceed 255 characters')
+    .nullable()
+    .label('Description'),
+
+  burstLimit: yup
+    .number()
+    .typeError('Burst limit must be a number')
+    .integer('Burst limit must be a whole number')
+    .min(1, 'Burst limit must be at least 1')
+    .label('Burst Limit'),
+
+  sustainedPerMinute: yup
+    .number()
+    .typeError('Sustained rate must be a number')
+    .integer('Sustained rate must be a whole number')
+    .min(1, 'Sustained rate must be at least 1 request per minute')
+    .label('Sustained Per Minute'),
+
+  dailyQuota: yup
+    .number()
+    .typeError('Daily quota must be a number')
+    .integer('Daily quota must be a whole number')
+    .min(1, 'Daily quota must be at least 1 (leave empty for unlimited)')
+    .nullable()
+    .label('Daily Quota'),
+
+  monthlyQuota: yup
+    .number()
+    .typeError('Monthly quota must be a number')
+    .integer('Monthly quota must be a whole number')
+    .min(1, 'Monthly quota must be at least 1 (leave empty for unlimited)')
+    .nullable()
+    .label('Monthly Quota'),
+
+  isDefault: yup
+    .boolean()
+    .label('Is Default'),
+
+  isActive: yup
+    .boolean()
+    .label('Is Active')
+};
+
+/**
+ * Create API plan schema
+ */
+const createApiPlanSchema = yup.object().shape({
+  name: yup
+    .string()
+    .trim()
+    .lowercase()
+    .matches(PLAN_NAME_REGEX, 'Plan name must start with a letter and contain only letters, numbers, - and _')
+    .max(50, 'Plan name must not exceed 50 characters')
+    .required('Plan name is required')
+    .label('Name'),
+
+  ...planFields,
+
+  displayName: planFields.displayName.required('Display name is required'),
+  burstLimit: planFields.burstLimit.required('Burst limit is required'),
+  sustainedPerMinute: planFields.sustainedPerMinute.required('Sustained rate is required')
+});
+
+/**
+ * Update API plan schema
+ * The name is the plan's identifier and can't be changed
+ */
+const updateApiPlanSchema = yup.object().shape(planFields)
+  .test('at-least-one-field', 'At least one field must be provided', (value) => {
+    return Object.keys(planFields).some(field => value?.[field] !== undefined);
+  });
+
+/**
+ * Assign API plan schema
+ */
+const assignApiPlanSchema = yup.object().shape({
+  plan: yup
+    .string()
+    .trim()
+    .lowercase()
+    .matches(PLAN_NAME_REGEX, 'Invalid plan name')
+    .nullable()
+    .defined('Plan is required (null for the default plan)')
+    .label('Plan')
+});
+
+module.exports = {
+  createApiPlanSchema,
+  updateApiPlanSchema,
+  assignApiPlanSchema
+};
@@ -0,0 +1,40 @@
+/**
+ * File: src/schemas/auth/emailChangeSchema.js
+ * Email Change Validation Schemas
+ *
+ * This file contains Yup validation schemas for changing a user's email address.
+ *
+ * For beginners:
+ * - The logged-in user asks for the change with the new address
+ * - The new address gets a confirmation link and the old one a cancel link;
+ *   the frontend pages opened by those links post their token back
+ */
+
+const yup = require('yup');
+const { emailSchema } = require('../common/baseSchema');
+
+/**
+ * Request email change schema
+ */
+const emailChangeRequestSchema = yup.object().shape({
+  newEmail: emailSchema
+    .label('New Email')
+});
+
+/**
+ * Confirm or cancel email change schema
+ */
+const emailChangeTokenSchema = yup.object().shape({
+  // Token from the emailed link
+  token: yup
+    .string()
+    .trim()
+    .matches(/^[0-9a-f]{64}$/, 'Invalid email change link')
+    .required('Email change token is required')
+    .label('Token')
+});
+
+module.exports = {
+  emailChangeRequestSchema,
+  emailChangeTokenSchema
+};
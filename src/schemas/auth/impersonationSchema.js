@@ -0,0 +1,61 @@
+/**
+ * File: src/schemas/auth/impersonationSchema.js
+ * Impersonation Validation Schemas
+ *
+ * This file contains Yup validation schemas for admin impersonation
+ * ("login as user").
+ *
+ * For beginners:
+ * - Staff must say why they impersonate; the reason is stored on the
+ *   impersonation session and logged
+ */
+
+const yup = require('yup');
+
+/**
+ * Start impersonation schema
+ */
+const startImpersonationSchema = yup.object().shape({
+  reason: yup
+    .string()
+    .trim()
+    .min(5, 'Reason must be at least 5 characters')
+    .max(255, 'Reason must be less than 255 characters')
+    .required('A reason for impersonating is required')
+    .label('Reason')
+});
+
+/**
+ * List impersonation sessions schema (query string)
+ */
+const listImpersonationsSchema = yup.object().shape({
+  impersonatorId: yup
+    .number()
+    .integer()
+    .positive()
+    .label('Impersonator ID'),
+
+  userId: yup
+    .number()
+    .integer()
+    .positive()
+    .label('User ID'),
+
+  activeOnly: yup
+    .boolean()
+    .default(false)
+    .label('Active Only'),
+
+  limit: yup
+    .number()
+    .integer()
+    .min(1)
+    .max(200)
+    .default(50)
+    .label('Limit')
+});
+
+module.exports = {
+  startImpersonationSchema,
+  listImpersonationsSchema
+};
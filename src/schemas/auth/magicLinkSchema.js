@@ -0,0 +1,58 @@
+/**
+ * File: src/schemas/auth/magicLinkSchema.js
+ * Magic Link Validation Schemas
+ *
+ * This file contains Yup validation schemas for passwordless login links.
+ *
+ * For beginners:
+ * - A user asks for a link by email; the email contains a one-time token
+ * - The frontend page opened by the link posts the token and email back to
+ *   log in, optionally with the same rememberMe/deviceName as the login form
+ */
+
+const yup = require('yup');
+const { emailSchema, booleanSchema } = require('../common/baseSchema');
+
+/**
+ * Request magic link schema
+ */
+const magicLinkRequestSchema = yup.object().shape({
+  email: emailSchema
+    .label('Email')
+});
+
+/**
+ * Consume magic link schema
+ */
+const magicLinkConsumeSchema = yup.object().shape({
+  // Token from the emailed link
+  token: yup
+    .string()
+    .trim()
+    .matches(/^[0-9a-f]{64}$/, 'Invalid login link')
+    .required('Login link token is required')
+    .label('Token'),
+
+  email: emailSchema
+    .label('Email'),
+
+  rememberMe: booleanSchema
+    .default(false)
+    .label('Remember Me'),
+
+  deviceName: yup
+    .string()
+    .trim()
+    .max(100, 'Device name must be less than 100 characters')
+    .nullable()
+    .transform((value, originalValue) => {
+      // Transform empty string to null
+      return originalValue === '' ? null : value;
+    })
+    .label('Device Name')
+});
+
+module.exports = {
+  magicLinkRequestSchema,
+  magicLinkConsumeSchema
+};
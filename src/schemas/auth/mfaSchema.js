@@ -0,0 +1,112 @@
+/**
+ * File: src/schemas/auth/mfaSchema.js
+ * Two-Factor Authentication Validation Schemas
+ *
+ * This file contains Yup validation schemas for TOTP enrollment, the second
+ * step of login, recovery codes, turning two-factor authentication off and
+ * re-authenticating before sensitive actions.
+ *
+ * For beginners:
+ * - A TOTP code is the 6-digit number shown by an authenticator app
+ * - A recovery code (e.g. 3f9a2-c41d7) replaces the app once if the phone is lost
+ * - The mfaToken comes from the login response when a second factor is needed
+ */
+
+const yup = require('yup');
+
+/**
+ * 6-digit authenticator code (spaces are ignored)
+ */
+const totpCodeSchema = yup
+  .string()
+  .transform((value) => (typeof value === 'string' ? value.replace(/\s/g, '') : value))
+  .matches(/^\d{6}$/, 'Code must be 6 digits');
+
+/**
+ * One-time recovery code (dashes, spaces and case are ignored)
+ */
+const recoveryCodeSchema = yup
+  .string()
+  .transform((value) => (typeof value === 'string' ? value.replace(/[\s-]/g, '').toLowerCase() : value))
+  .matches(/^[0-9a-f]{10}$/, 'Recovery code must look like xxxxx-xxxxx');
+
+/**
+ * Confirm enrollment / regenerate recovery codes schema
+ * Both need a current code from the authenticator app
+ */
+const mfaCodeSchema = yup.object().shape({
+  code: totpCodeSchema
+    .required('Authenticator code is required')
+    .label('Code')
+});
+
+/**
+ * Second login step schema
+ * Exactly one of code and recoveryCode must be given
+ */
+const mfaVerifySchema = yup.object().shape({
+  mfaToken: yup
+    .string()
+    .trim()
+    .required('MFA token is required')
+    .label('MFA Token'),
+
+  code: totpCodeSchema
+    .nullable()
+    .label('Code'),
+
+  recoveryCode: recoveryCodeSchema
+    .nullable()
+    .label('Recovery Code')
+}).test('one-factor', 'Provide either an authenticator code or a recovery code', (value) => {
+  return Boolean(value) && Boolean(value.code) !== Boolean(value.recoveryCode);
+});
+
+/**
+ * Disable two-factor authentication schema
+ * Needs the password plus either an authenticator code or a recovery code
+ */
+const mfaDisableSchema = yup.object().shape({
+  password: yup
+    .string()
+    .min(1, 'Password is required')
+    .max(128, 'Password is too long')
+    .required('Password is required')
+    .label('Password'),
+
+  code: totpCodeSchema
+    .nullable()
+    .label('Code'),
+
+  recoveryCode: recoveryCodeSchema
+    .nullable()
+    .label('Recovery Code')
+}).test('one-factor', 'Provide either an authenticator code or a recovery code', (value) => {
+  return Boolean(value) && Boolean(value.code) !== Boolean(value.recoveryCode);
+});
+
+/**
+ * Re-authentication schema
+ * Confirms the user with either their password or an authenticator code
+ */
+const reauthenticateSchema = yup.object().shape({
+  password: yup
+    .string()
+    .min(1, 'Password is required')
+    .max(128, 'Password is too long')
+    .nullable()
+    .label('Password'),
+
+  code: totpCodeSchema
+    .nullable()
+    .label('Code')
+}).test('one-factor', 'Provide either your password or an authenticator code', (value) => {
+  return Boolean(value) && Boolean(value.password) !== Boolean(value.code);
+});
+
+module.exports = {
+  mfaCodeSchema,
+  mfaVerifySchema,
+  mfaDisableSchema,
+  reauthenticateSchema
+};
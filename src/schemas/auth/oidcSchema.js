@@ -0,0 +1,55 @@
+/**
+ * File: src/schemas/auth/oidcSchema.js
+ * OIDC Validation Schemas
+ *
+ * This file contains Yup validation schemas for signing in with external
+ * OpenID Connect providers.
+ *
+ * For beginners:
+ * - The provider redirects the browser to the frontend with ?code=...&state=...
+ * - The frontend posts both back, optionally with the same rememberMe and
+ *   deviceName as the login form
+ */
+
+const yup = require('yup');
+const { booleanSchema } = require('../common/baseSchema');
+
+/**
+ * Provider callback schema
+ */
+const oidcCallbackSchema = yup.object().shape({
+  // Authorization code issued by the provider
+  code: yup
+    .string()
+    .trim()
+    .max(2048, 'Authorization code is too long')
+    .required('Authorization code is required')
+    .label('Code'),
+
+  // Must equal the state we sent to the provider
+  state: yup
+    .string()
+    .trim()
+    .max(512, 'State is too long')
+    .required('State is required')
+    .label('State'),
+
+  rememberMe: booleanSchema
+    .default(false)
+    .label('Remember Me'),
+
+  deviceName: yup
+    .string()
+    .trim()
+    .max(100, 'Device name must be less than 100 characters')
+    .nullable()
+    .transform((value, originalValue) => {
+      // Transform empty string to null
+      return originalValue === '' ? null : value;
+    })
+    .label('Device Name')
+});
+
+module.exports = {
+  oidcCallbackSchema
+};
@@ -418,6 +418,63 @@ const passwordHistorySchema = yup.object().shape({
     .label('History Count')
 });
 
+/**
+ * Expired password change validation schema
+ * Finishes a login that used an expired password
+ */
+const expiredPasswordChangeSchema = yup.object().shape({
+  // Token returned by login instead of a session
+  passwordChangeToken: yup
+    .string()
+    .trim()
+    .required('Password change token is required')
+    .label('Password Change Token'),
+
+  // New password with strength requirements
+  newPassword: passwordSchema
+    .label('New Password'),
+
+  // New password confirmation
+  confirmNewPassword: yup
+    .string()
+    .required('Password confirmation is required')
+    .oneOf([yup.ref('newPassword')], 'Password confirmation must match new password')
+    .label('Confirm New Password')
+});
+
+/**
+ * Bulk password expiry validation schema
+ * For forcing selected users to choose a new password
+ */
+const bulkExpirePasswordsSchema = yup.object().shape({
+  // Users whose passwords expire
+  userIds: yup
+    .array()
+    .of(idSchema)
+    .min(1, 'At least one user is required')
+    .max(100, 'Cannot expire passwords for more than 100 users at once')
+    .required('User IDs are required')
+    .label('User IDs'),
+
+  // Reason for the expiry (kept in the security log)
+  reason: yup
+    .string()
+    .trim()
+    .min(10, 'Reason must be at least 10 characters')
+    .max(1000, 'Reason must be less than 1000 characters')
+    .required('Reason for expiring passwords is required')
+    .label('Reason'),
+
+  // Days the current passwords keep working
+  gracePeriodDays: yup
+    .number()
+    .integer('Grace period must be a whole number of days')
+    .min(0, 'Grace period cannot be negative')
+    .max(90, 'Grace period cannot exceed 90 days')
+    .default(0)
+    .label('Grace Period Days')
+});
+
 /**
  * Password validation helpers and utilities
  */
@@ -632,6 +689,8 @@ module.exports = {
   passwordPolicySchema,
   passwordHistorySchema,
   passwordExpirationSchema,
+  expiredPasswordChangeSchema,
+  bulkExpirePasswordsSchema,
 
   // Helper functions
   passwordValidationHelpers
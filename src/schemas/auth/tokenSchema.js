@@ -0,0 +1,54 @@
+/**
+ * File: src/schemas/auth/tokenSchema.js
+ * Token Administration Validation Schemas
+ *
+ * This file contains Yup validation schemas for revoking individual tokens.
+ *
+ * For beginners:
+ * - An admin can revoke a token by pasting the token itself, or by its jti
+ *   (the unique token ID, e.g. found in logs)
+ * - With the full token the expiry is read from it; with only a jti the
+ *   entry is kept until expiresAt (or a configured default)
+ */
+
+const yup = require('yup');
+
+/**
+ * Revoke token schema
+ * Exactly one of token and jti must be given
+ */
+const revokeTokenSchema = yup.object().shape({
+  token: yup
+    .string()
+    .trim()
+    .transform((value) => (typeof value === 'string' && value.startsWith('Bearer ') ? value.slice(7) : value))
+    .matches(/^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/, 'Token must be a JWT')
+    .nullable()
+    .label('Token'),
+
+  jti: yup
+    .string()
+    .trim()
+    .max(64, 'Token ID must not exceed 64 characters')
+    .nullable()
+    .label('Token ID'),
+
+  expiresAt: yup
+    .date()
+    .typeError('Expires At must be a valid date')
+    .nullable()
+    .label('Expires At'),
+
+  reason: yup
+    .string()
+    .trim()
+    .max(255, 'Reason must not exceed 255 characters')
+    .nullable()
+    .label('Reason')
+}).test('token-or-jti', 'Provide either a token or a jti', (value) => {
+  return Boolean(value) && Boolean(value.token) !== Boolean(value.jti);
+});
+
+module.exports = {
+  revokeTokenSchema
+};
@@ -23,11 +23,21 @@ const baseSchemas = require('./common/baseSchema');
 const loginSchemas = require('./auth/loginSchema');
 const registerSchemas = require('./auth/registerSchema');
 const passwordSchemas = require('./auth/passwordSchema');
+const mfaSchemas = require('./auth/mfaSchema');
+const tokenSchemas = require('./auth/tokenSchema');
+const apiKeySchemas = require('./auth/apiKeySchema');
+const magicLinkSchemas = require('./auth/magicLinkSchema');
+const oidcSchemas = require('./auth/oidcSchema');
+const impersonationSchemas = require('./auth/impersonationSchema');
+const emailChangeSchemas = require('./auth/emailChangeSchema');
+const apiPlanSchemas = require('./auth/apiPlanSchema');
 
 // Import RBAC schemas
 const roleSchemas = require('./rbac/roleSchema');
 const permissionSchemas = require('./rbac/permissionSchema');
 const userRoleSchemas = require('./rbac/userRoleSchema');
+const policySchemas = require('./rbac/policySchema');
+const roleConstraintSchemas = require('./rbac/roleConstraintSchema');
 
 /**
  * Centralized schema registry
@@ -107,6 +117,40 @@ const schemas = {
     passwordHistory: passwordSchemas.passwordHistorySchema,
     bulkPasswordReset: passwordSchemas.bulkPasswordResetSchema,
     passwordExpiration: passwordSchemas.passwordExpirationSchema,
+    expiredPasswordChange: passwordSchemas.expiredPasswordChangeSchema,
+    bulkExpirePasswords: passwordSchemas.bulkExpirePasswordsSchema,
+
+    // Two-factor authentication
+    mfaCode: mfaSchemas.mfaCodeSchema,
+    mfaVerify: mfaSchemas.mfaVerifySchema,
+    mfaDisable: mfaSchemas.mfaDisableSchema,
+    reauthenticate: mfaSchemas.reauthenticateSchema,
+
+    // Token administration
+    revokeToken: tokenSchemas.revokeTokenSchema,
+
+    // API keys
+    createApiKey: apiKeySchemas.createApiKeySchema,
+
+    // Passwordless login
+    magicLinkRequest: magicLinkSchemas.magicLinkRequestSchema,
+    magicLinkConsume: magicLinkSchemas.magicLinkConsumeSchema,
+
+    // Social login
+    oidcCallback: oidcSchemas.oidcCallbackSchema,
+
+    // Admin impersonation
+    startImpersonation: impersonationSchemas.startImpersonationSchema,
+    listImpersonations: impersonationSchemas.listImpersonationsSchema,
+
+    // Email change
+    emailChangeRequest: emailChangeSchemas.emailChangeRequestSchema,
+    emailChangeToken: emailChangeSchemas.emailChangeTokenSchema,
+
+    // API plans
+    createApiPlan: apiPlanSchemas.createApiPlanSchema,
+    updateApiPlan: apiPlanSchemas.updateApiPlanSchema,
+    assignApiPlan: apiPlanSchemas.assignApiPlanSchema,
 
     // Validation helpers
     loginValidationHelpers: loginSchemas.loginValidationHelpers,
@@ -123,7 +167,10 @@ const schemas = {
     roleQuery: roleSchemas.roleQuerySchema,
     roleAssignment: roleSchemas.roleAssignmentSchema,
     roleHierarchy: roleSchemas.roleHierarchySchema,
+    rolePermissions: roleSchemas.rolePermissionsSchema,
     bulkRoleOperation: roleSchemas.bulkRoleOperationSchema,
+    bulkCreateRoles: roleSchemas.bulkCreateRolesSchema,
+    duplicateRole: roleSchemas.duplicateRoleSchema,
 
     // Permission management
     createPermission: permissionSchemas.createPermissionSchema,
@@ -131,6 +178,8 @@ const schemas = {
     deletePermission: permissionSchemas.deletePermissionSchema,
     permissionQuery: permissionSchemas.permissionQuerySchema,
     bulkPermissionCreation: permissionSchemas.bulkPermissionCreationSchema,
+    bulkCreatePermissions: permissionSchemas.bulkCreatePermissionsSchema,
+    modulePermissions: permissionSchemas.modulePermissionsSchema,
     permissionDependency: permissionSchemas.permissionDependencySchema,
 
     // User-role assignments
@@ -138,11 +187,22 @@ const schemas = {
     revokeRole: userRoleSchemas.revokeRoleSchema,
     updateRoleAssignment: userRoleSchemas.updateRoleAssignmentSchema,
     bulkRoleAssignment: userRoleSchemas.bulkRoleAssignmentSchema,
+    bulkAssignRoles: userRoleSchemas.bulkAssignRolesSchema,
     roleTransfer: userRoleSchemas.roleTransferSchema,
     userRoleQuery: userRoleSchemas.userRoleQuerySchema,
     permissionCheck: userRoleSchemas.permissionCheckSchema,
+    accessExplain: userRoleSchemas.accessExplainSchema,
     roleAssignmentAudit: userRoleSchemas.roleAssignmentAuditSchema,
 
+    // Policy import/export
+    policyDocument: policySchemas.policyDocumentSchema,
+    policyImport: policySchemas.policyImportSchema,
+
+    // Separation-of-duties role constraints
+    createRoleConstraint: roleConstraintSchemas.createRoleConstraintSchema,
+    updateRoleConstraint: roleConstraintSchemas.updateRoleConstraintSchema,
+    roleConstraintQuery: roleConstraintSchemas.roleConstraintQuerySchema,
+
     // Validation helpers
     roleValidationHelpers: roleSchemas.roleValidationHelpers,
     roleValidationConstants: roleSchemas.roleValidationConstants,
@@ -426,7 +486,8 @@ const schemaCollections = {
     register: schemas.auth.register,
     changePassword: schemas.auth.changePassword,
     resetPassword: schemas.auth.passwordResetRequest,
-    completeReset: schemas.auth.passwordResetComplete
+    completeReset: schemas.auth.passwordResetComplete,
+    expiredPasswordChange: schemas.auth.expiredPasswordChange
   },
 
   /**
@@ -486,6 +547,7 @@ const schemaCollections = {
   bulkOperations: {
     bulkRegister: schemas.auth.bulkRegister,
     bulkPasswordReset: schemas.auth.bulkPasswordReset,
+    bulkExpirePasswords: schemas.auth.bulkExpirePasswords,
     bulkRoleAssignment: schemas.rbac.bulkRoleAssignment,
     bulkRoleOperation: schemas.rbac.bulkRoleOperation,
     bulkPermissionCreation: schemas.rbac.bulkPermissionCreation
@@ -629,7 +691,15 @@ module.exports = {
   auth: {
     login: loginSchemas,
     register: registerSchemas,
-    password: passwordSchemas
+    password: passwordSchemas,
+    mfa: mfaSchemas,
+    token: tokenSchemas,
+    apiKey: apiKeySchemas,
+    magicLink: magicLinkSchemas,
+    oidc: oidcSchemas,
+    impersonation: impersonationSchemas,
+    emailChange: emailChangeSchemas,
+    apiPlan: apiPlanSchemas
   },
   rbac: {
     role: roleSchemas,
@@ -522,6 +522,57 @@ const bulkPermissionCreationSchema = yup.object().shape({
     .label('Created By')
 });
 
+/**
+ * Bulk permission list schema
+ * Each permission is validated again by createPermissionSchema when it is created
+ */
+const bulkCreatePermissionsSchema = yup.object().shape({
+  permissions: yup
+    .array()
+    .of(yup.object())
+    .min(1, 'At least one permission is required')
+    .max(200, 'Cannot create more than 200 permissions at once')
+    .required('Permissions are required')
+    .label('Permissions')
+});
+
+/**
+ * Module permissions schema
+ * For creating one module.action permission per action of a module
+ */
+const modulePermissionsSchema = yup.object().shape({
+  module: yup
+    .string()
+    .trim()
+    .lowercase()
+    .min(2, 'Module name must be at least 2 characters')
+    .max(50, 'Module name must be less than 50 characters')
+    .matches(/^[a-z][a-z0-9_]*$/, 'Module name must start with a letter and contain only lowercase letters, numbers, and underscores')
+    .required('Module name is required')
+    .label('Module'),
+
+  actions: yup
+    .array()
+    .of(
+      yup
+        .string()
+        .trim()
+        .lowercase()
+        .min(2, 'Action must be at least 2 characters')
+        .matches(/^[a-z][a-z0-9_]*$/, 'Action must start with a letter and contain only lowercase letters, numbers, and underscores')
+    )
+    .min(1, 'At least one action is required')
+    .max(50, 'Cannot create more than 50 actions at once')
+    .required('Actions are required')
+    .label('Actions'),
+
+  accessLevel: yup
+    .string()
+    .oneOf(['basic', 'intermediate', 'advanced', 'admin'], 'Invalid access level')
+    .default('basic')
+    .label('Access Level')
+});
+
 /**
  * Permission dependency validation schema
  * For managing permission dependencies
@@ -972,6 +1023,8 @@ module.exports = {
 
   // Bulk operation schemas
   bulkPermissionCreationSchema,
+  bulkCreatePermissionsSchema,
+  modulePermissionsSchema,
   permissionDependencySchema,
 
   // Helper functions and utilities
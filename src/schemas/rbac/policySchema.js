@@ -0,0 +1,294 @@
+/**
+ * File: src/schemas/rbac/policySchema.js
+ * RBAC Policy Document Validation Schemas
+ *
+ * This file contains Yup validation schemas for RBAC policy documents, the
+ * versioned JSON/YAML files used to export and import roles, permissions and
+ * role grants.
+ *
+ * For beginners:
+ * - A policy document lists permissions and roles by name, never by database ID,
+ *   so the same file can be applied to any environment
+ * - Roles point at their parent role by name and list their direct grants
+ * - A grant is either a permission name or { name, conditions, expiresAt }
+ * - Fields left out of a document take their default value on import
+ */
+
+const yup = require('yup');
+const { booleanSchema, colorCodeSchema } = require('../common/baseSchema');
+const { validateConditions } = require('../../utils/permissionConditions');
+
+// Bump when the document layout changes in a way older importers can't read
+const POLICY_VERSION = 1;
+
+const permissionNameSchema = yup
+  .string()
+  .trim()
+  .lowercase()
+  .matches(/^[a-z][a-z0-9_]*\.[a-z][a-z0-9_]*$/, 'Permission name must follow format: module.action');
+
+// Existing system role names (e.g. admin) are allowed here, unlike createRoleSchema
+const roleNameSchema = yup
+  .string()
+  .trim()
+  .lowercase()
+  .matches(/^[a-z][a-z0-9_]*$/, 'Role name must start with a letter and contain only lowercase letters, numbers, and underscores');
+
+/**
+ * Check that a value is a plain object (not an array)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+const isPlainObject = value => typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check that every item in a list has a different name
+ *
+ * @param {Array} items - Items with a name field
+ * @returns {boolean} True if names are unique
+ */
+const hasUniqueNames = (items) => {
+  if (!items) return true;
+  const names = items.map(item => (typeof item === 'string' ? item : item.name));
+  return new Set(names).size === names.length;
+};
+
+/**
+ * Policy permission schema
+ * One entry of the document's permissions list
+ */
+const policyPermissionSchema = yup.object().shape({
+  name: permissionNameSchema
+    .required('Permission name is required')
+    .label('Permission Name'),
+
+  displayName: yup
+    .string()
+    .trim()
+    .required('Display name is required')
+    .label('Display Name'),
+
+  description: yup
+    .string()
+    .nullable()
+    .default(null)
+    .label('Description'),
+
+  resource: yup
+    .string()
+    .trim()
+    .nullable()
+    .default(null)
+    .label('Resource'),
+
+  accessLevel: yup
+    .string()
+    .oneOf(['basic', 'intermediate', 'advanced', 'admin'], 'Invalid access level')
+    .default('basic')
+    .label('Access Level'),
+
+  scope: yup
+    .string()
+    .oneOf(['own', 'team', 'organization', 'global'], 'Invalid scope')
+    .default('own')
+    .label('Scope'),
+
+  groupName: yup
+    .string()
+    .trim()
+    .nullable()
+    .default(null)
+    .label('Group Name'),
+
+  isActive: booleanSchema
+    .default(true)
+    .label('Is Active'),
+
+  // Prerequisite permissions by name
+  requires: yup
+    .array()
+    .of(permissionNameSchema)
+    .max(10, 'Cannot require more than 10 permissions')
+    .default([])
+    .label('Required Permissions')
+});
+
+/**
+ * Policy grant schema
+ * A plain permission name, or an object when the grant has conditions or an expiry
+ */
+const policyGrantSchema = yup.lazy(value => (typeof value === 'string'
+  ? permissionNameSchema.required('Permission name is required')
+  : yup.object().shape({
+    name: permissionNameSchema
+      .required('Permission name is required')
+      .label('Permission Name'),
+
+    conditions: yup
+      .mixed(isPlainObject)
+      .nullable()
+      .default(null)
+      .typeError('Permission conditions must be an object')
+      .test('valid-conditions', 'Permission conditions are invalid', function (conditions) {
+        const problems = validateConditions(conditions);
+        return problems.length === 0 || this.createError({ message: problems.join('; ') });
+      })
+      .label('Permission Conditions'),
+
+    expiresAt: yup
+      .date()
+      .min(new Date(), 'Expiration date must be in the future')
+      .nullable()
+      .default(null)
+      .label('Expires At')
+  })));
+
+/**
+ * Policy role schema
+ * One entry of the document's roles list
+ */
+const policyRoleSchema = yup.object().shape({
+  name: roleNameSchema
+    .required('Role name is required')
+    .label('Role Name'),
+
+  displayName: yup
+    .string()
+    .trim()
+    .required('Display name is required')
+    .label('Display Name'),
+
+  description: yup
+    .string()
+    .nullable()
+    .default(null)
+    .label('Description'),
+
+  // Parent role by name
+  parent: roleNameSchema
+    .nullable()
+    .default(null)
+    .test('not-self-parent', 'Role cannot be its own parent', function (value) {
+      return !value || value !== this.parent.name;
+    })
+    .label('Parent Role'),
+
+  isActive: booleanSchema
+    .default(true)
+    .label('Is Active'),
+
+  isDefault: booleanSchema
+    .default(false)
+    .label('Is Default Role'),
+
+  requireMfa: booleanSchema
+    .default(false)
+    .label('Require MFA'),
+
+  maxUsers: yup
+    .number()
+    .integer('Max users must be a whole number')
+    .min(1, 'Max users must be at least 1')
+    .nullable()
+    .default(null)
+    .label('Maximum Users'),
+
+  priority: yup
+    .number()
+    .integer('Priority must be a whole number')
+    .default(0)
+    .label('Priority'),
+
+  colorCode: colorCodeSchema
+    .nullable()
+    .default(null)
+    .label('Color Code'),
+
+  icon: yup
+    .string()
+    .trim()
+    .nullable()
+    .default(null)
+    .label('Icon'),
+
+  // Direct grants only; inherited permissions come from the parent role
+  permissions: yup
+    .array()
+    .of(policyGrantSchema)
+    .default([])
+    .test('unique-grants', 'A permission can only be granted once per role', hasUniqueNames)
+    .label('Permissions')
+});
+
+/**
+ * Policy document schema
+ * The whole exported or imported document
+ */
+const policyDocumentSchema = yup.object().shape({
+  version: yup
+    .number()
+    .oneOf([POLICY_VERSION], `Unsupported policy version (expected ${POLICY_VERSION})`)
+    .required('Policy version is required')
+    .label('Policy Version'),
+
+  permissions: yup
+    .array()
+    .of(policyPermissionSchema)
+    .default([])
+    .test('unique-permissions', 'Permission names must be unique', hasUniqueNames)
+    .label('Permissions'),
+
+  roles: yup
+    .array()
+    .of(policyRoleSchema)
+    .default([])
+    .test('unique-roles', 'Role names must be unique', hasUniqueNames)
+    .label('Roles')
+});
+
+/**
+ * Policy import request schema
+ * The document is sent parsed (document) or as JSON/YAML text (content)
+ */
+const policyImportSchema = yup.object().shape({
+  // mixed, not object: stripUnknown would otherwise empty the document
+  document: yup
+    .mixed(isPlainObject)
+    .nullable()
+    .default(null)
+    .typeError('Policy document must be an object')
+    .label('Policy Document'),
+
+  content: yup
+    .string()
+    .nullable()
+    .default(null)
+    .max(1024 * 1024, 'Policy document must be smaller than 1 MB')
+    .label('Policy Content'),
+
+  format: yup
+    .string()
+    .lowercase()
+    .oneOf(['json', 'yaml'], 'Format must be json or yaml')
+    .default('json')
+    .label('Format'),
+
+  // Only report the changes unless dryRun is false
+  dryRun: booleanSchema
+    .default(true)
+    .label('Dry Run'),
+
+  // Remove direct grants that the document doesn't list from the roles it manages
+  prune: booleanSchema
+    .default(false)
+    .label('Prune')
+}).test('document-or-content', 'Either document or content is required', (value) => {
+  return Boolean(value && (value.document || value.content));
+});
+
+module.exports = {
+  POLICY_VERSION,
+  policyDocumentSchema,
+  policyImportSchema
+};
@@ -0,0 +1,91 @@
+/**
+ * File: src/schemas/rbac/roleConstraintSchema.js
+ * Role Constraint Validation Schemas
+ *
+ * This file contains Yup validation schemas for separation-of-duties rules
+ * between roles.
+ *
+ * For beginners:
+ * - mutually_exclusive: one user can't hold both roles (order approver vs order creator)
+ * - prerequisite: the user must already hold relatedRoleId before getting roleId
+ * - Roles are referenced by ID; both must exist when the rule is created
+ */
+
+const yup = require('yup');
+const { idSchema, optionalIdSchema, booleanSchema } = require('../common/baseSchema');
+
+const CONSTRAINT_TYPES = ['mutually_exclusive', 'prerequisite'];
+
+/**
+ * Create role constraint validation schema
+ */
+const createRoleConstraintSchema = yup.object().shape({
+  constraintType: yup
+    .string()
+    .oneOf(CONSTRAINT_TYPES, 'Constraint type must be mutually_exclusive or prerequisite')
+    .required('Constraint type is required')
+    .label('Constraint Type'),
+
+  roleId: idSchema
+    .label('Role ID'),
+
+  relatedRoleId: idSchema
+    .test('different-roles', 'A role cannot be constrained against itself', function (value) {
+      return !value || value !== this.parent.roleId;
+    })
+    .label('Related Role ID'),
+
+  description: yup
+    .string()
+    .trim()
+    .max(500, 'Description must be less than 500 characters')
+    .nullable()
+    .default(null)
+    .label('Description')
+});
+
+/**
+ * Update role constraint validation schema
+ * The type and roles of a rule are fixed; delete and recreate it to change them
+ */
+const updateRoleConstraintSchema = yup.object().shape({
+  id: idSchema
+    .label('Constraint ID'),
+
+  description: yup
+    .string()
+    .trim()
+    .max(500, 'Description must be less than 500 characters')
+    .nullable()
+    .label('Description'),
+
+  isActive: booleanSchema
+    .label('Is Active')
+}).test('has-changes', 'At least one field must be provided for update', (value) => {
+  return Boolean(value) && (value.description !== undefined || value.isActive !== undefined);
+});
+
+/**
+ * Role constraint query validation schema
+ */
+const roleConstraintQuerySchema = yup.object().shape({
+  constraintType: yup
+    .string()
+    .oneOf(CONSTRAINT_TYPES, 'Constraint type must be mutually_exclusive or prerequisite')
+    .nullable()
+    .label('Constraint Type'),
+
+  roleId: optionalIdSchema
+    .label('Role ID'),
+
+  includeInactive: booleanSchema
+    .default(false)
+    .label('Include Inactive')
+});
+
+module.exports = {
+  CONSTRAINT_TYPES,
+  createRoleConstraintSchema,
+  updateRoleConstraintSchema,
+  roleConstraintQuerySchema
+};
@@ -23,6 +23,7 @@ const {
   pageSizeSchema,
   sortOrderSchema
 } = require('../common/baseSchema');
+const { validateConditions } = require('../../utils/permissionConditions');
 
 /**
  * Create role validation schema
@@ -85,6 +86,11 @@ const createRoleSchema = yup.object().shape({
     .default(false)
     .label('Is Default Role'),
 
+  // Holders of this role must log in with two-factor authentication
+  requireMfa: booleanSchema
+    .default(false)
+    .label('Require MFA'),
+
   // Role capacity
   maxUsers: yup
     .number()
@@ -188,6 +194,9 @@ const updateRoleSchema = yup.object().shape({
   isDefault: booleanSchema
     .label('Is Default Role'),
 
+  requireMfa: booleanSchema
+    .label('Require MFA'),
+
   maxUsers: yup
     .number()
     .integer('Max users must be a whole number')
@@ -418,6 +427,57 @@ const roleHierarchySchema = yup.object().shape({
     .label('Maximum Hierarchy Depth')
 });
 
+/**
+ * Role permissions validation schema
+ * For granting or removing a set of permissions on a role
+ */
+const rolePermissionsSchema = yup.object().shape({
+  // Permissions to grant or remove
+  permissionIds: yup
+    .array()
+    .of(idSchema)
+    .min(1, 'At least one permission ID is required')
+    .max(200, 'Cannot change more than 200 permissions at once')
+    .required('Permission IDs are required')
+    .test('unique-ids', 'Permission IDs must be unique', (permissionIds) => {
+      if (!permissionIds) return true;
+      const uniqueIds = new Set(permissionIds);
+      return permissionIds.length === uniqueIds.size;
+    })
+    .label('Permission IDs'),
+
+  // Conditions the grant is limited by (see utils/permissionConditions)
+  // mixed, not object: stripUnknown would otherwise drop every condition key
+  conditions: yup
+    .mixed(value => typeof value === 'object' && !Array.isArray(value))
+    .nullable()
+    .typeError('Permission conditions must be an object')
+    .test('valid-conditions', 'Permission conditions are invalid', function (value) {
+      const problems = validateConditions(value);
+      return problems.length === 0 || this.createError({ message: problems.join('; ') });
+    })
+    .label('Permission Conditions'),
+
+  // Grant expiration
+  expiresAt: yup
+    .date()
+    .min(new Date(), 'Expiration date must be in the future')
+    .nullable()
+    .label('Expires At'),
+
+  // Grant missing prerequisite permissions instead of rejecting the grant
+  autoGrantDependencies: yup
+    .boolean()
+    .default(false)
+    .label('Auto-grant Dependencies'),
+
+  // Also remove permissions that depend on the removed ones
+  cascade: yup
+    .boolean()
+    .default(false)
+    .label('Cascade')
+});
+
 /**
  * Bulk role operations validation schema
  * For performing operations on multiple roles
@@ -475,6 +535,38 @@ const bulkRoleOperationSchema = yup.object().shape({
     .label('Operation Reason')
 });
 
+/**
+ * Bulk role creation schema
+ * Each role is validated again by createRoleSchema when it is created
+ */
+const bulkCreateRolesSchema = yup.object().shape({
+  roles: yup
+    .array()
+    .of(yup.object())
+    .min(1, 'At least one role is required')
+    .max(100, 'Cannot create more than 100 roles at once')
+    .required('Roles are required')
+    .label('Roles')
+});
+
+/**
+ * Role duplication schema
+ * Fields left out are taken from the source role
+ */
+const duplicateRoleSchema = createRoleSchema
+  .pick(['name', 'displayName', 'description', 'parentRoleId', 'isActive', 'priority'])
+  .shape({
+    // Left out, these come from the source role
+    displayName: createRoleSchema.fields.displayName.notRequired(),
+    parentRoleId: createRoleSchema.fields.parentRoleId.default(undefined),
+    isActive: createRoleSchema.fields.isActive.default(undefined),
+    priority: createRoleSchema.fields.priority.default(undefined),
+
+    copyPermissions: booleanSchema
+      .default(true)
+      .label('Copy Permissions')
+  });
+
 /**
  * Role validation helpers
  */
@@ -712,9 +804,12 @@ module.exports = {
   // Role assignment schemas
   roleAssignmentSchema,
   roleHierarchySchema,
+  rolePermissionsSchema,
 
   // Bulk operation schemas
   bulkRoleOperationSchema,
+  bulkCreateRolesSchema,
+  duplicateRoleSchema,
 
   // Helper functions and utilities
   roleValidationHelpers,
@@ -23,6 +23,7 @@ const {
   pageSizeSchema,
   sortOrderSchema
 } = require('../common/baseSchema');
+const { validateConditions } = require('../../utils/permissionConditions');
 
 /**
  * Assign role to user validation schema
@@ -67,24 +68,20 @@ const assignRoleSchema = yup.object().shape({
     .label('Assignment Expires At'),
 
   // Assignment conditions (JSON object)
+  // mixed, not object: stripUnknown would otherwise drop every condition key
   conditions: yup
-    .object()
+    .mixed(value => typeof value === 'object' && !Array.isArray(value))
     .nullable()
+    .typeError('Assignment conditions must be an object')
     .test('valid-conditions', 'Assignment conditions must be a valid object', function (value) {
       if (!value) return true;
 
-      // Basic validation for common condition fields
-      const allowedFields = [
-        'department_restriction', 'project_access', 'time_restriction',
-        'ip_restriction', 'feature_flags', 'data_access_level'
-      ];
-
-      const conditionKeys = Object.keys(value);
-      const invalidKeys = conditionKeys.filter(key => !allowedFields.includes(key));
+      // Conditions are evaluated on every permission check, so reject anything the evaluator does not understand
+      const problems = validateConditions(value);
 
-      if (invalidKeys.length > 0) {
+      if (problems.length > 0) {
         return this.createError({
-          message: `Invalid condition fields: ${invalidKeys.join(', ')}`
+          message: `Invalid conditions: ${problems.join('; ')}`
         });
       }
 
@@ -299,6 +296,20 @@ const bulkRoleAssignmentSchema = yup.object().shape({
     .label('Notification Template')
 });
 
+/**
+ * Bulk assign roles validation schema
+ * Each assignment is validated by assignRoleSchema when it is processed
+ */
+const bulkAssignRolesSchema = yup.object().shape({
+  assignments: yup
+    .array()
+    .of(yup.object())
+    .min(1, 'At least one assignment is required')
+    .max(100, 'Cannot process more than 100 assignments at once')
+    .required('Assignments are required')
+    .label('Assignments')
+});
+
 /**
  * User role query validation schema
  * For searching and filtering user-role assignments
@@ -528,6 +539,56 @@ const permissionCheckSchema = yup.object().shape({
     .label('Include Inherited Permissions')
 });
 
+/**
+ * Access explanation validation schema
+ * For explaining (and simulating) why a user is granted or denied access
+ */
+const roleIdListSchema = yup
+  .array()
+  .transform((value, originalValue) => (typeof originalValue === 'string'
+    ? originalValue.split(',').map(id => id.trim()).filter(Boolean)
+    : value)) // Query strings arrive as "1,2,3"
+  .of(idSchema)
+  .max(20, 'Cannot simulate more than 20 roles at once')
+  .default([]);
+
+const accessExplainSchema = yup.object().shape({
+  // User to explain access for
+  userId: idSchema
+    .label('User ID'),
+
+  // Permission to explain (module.action or module:action)
+  permission: yup
+    .string()
+    .trim()
+    .lowercase()
+    .matches(/^[a-z][a-z0-9_]*[.:][a-z][a-z0-9_]*$/, 'Permission must follow format: module.action')
+    .label('Permission'),
+
+  // Role to explain (as checked by requireRole)
+  role: yup
+    .string()
+    .trim()
+    .max(50, 'Role name must be less than 50 characters')
+    .label('Role'),
+
+  // What-if: roles to add or remove before explaining
+  addRoleIds: roleIdListSchema
+    .label('Roles To Add'),
+
+  removeRoleIds: roleIdListSchema
+    .label('Roles To Remove'),
+
+  // Optional request context for IP-restricted grants
+  ip: yup
+    .string()
+    .trim()
+    .max(45, 'IP address must be less than 45 characters')
+    .label('IP Address')
+}).test('permission-or-role', 'Either permission or role is required', (value) => {
+  return Boolean(value && (value.permission || value.role));
+});
+
 /**
  * Role assignment audit validation schema
  * For tracking role assignment changes and history
@@ -653,17 +714,7 @@ const userRoleValidationHelpers = {
       return { isValid: true, errors: [] };
     }
 
-    const errors = [];
-    const allowedFields = [
-      'department_restriction', 'project_access', 'time_restriction',
-      'ip_restriction', 'feature_flags', 'data_access_level'
-    ];
-
-    Object.keys(conditions).forEach(key => {
-      if (!allowedFields.includes(key)) {
-        errors.push(`Unknown condition field: ${key}`);
-      }
-    });
+    const errors = validateConditions(conditions);
 
     return {
       isValid: errors.length === 0,
@@ -759,12 +810,12 @@ const userRoleValidationConstants = {
 
   // Common assignment conditions
   COMMON_CONDITIONS: {
-    DEPARTMENT_RESTRICTION: 'department_restriction',
-    PROJECT_ACCESS: 'project_access',
-    TIME_RESTRICTION: 'time_restriction',
-    IP_RESTRICTION: 'ip_restriction',
-    FEATURE_FLAGS: 'feature_flags',
-    DATA_ACCESS_LEVEL: 'data_access_level'
+    SCOPE: 'scope',
+    OWN_RECORDS_ONLY: 'own_records_only',
+    TIME_WINDOW: 'time_window',
+    IP_RANGES: 'ip_ranges',
+    ATTRIBUTES: 'attributes',
+    VALID_UNTIL: 'valid_until'
   }
 };
 
@@ -776,11 +827,13 @@ module.exports = {
 
   // Bulk and transfer schemas
   bulkRoleAssignmentSchema,
+  bulkAssignRolesSchema,
   roleTransferSchema,
 
   // Query and audit schemas
   userRoleQuerySchema,
   permissionCheckSchema,
+  accessExplainSchema,
   roleAssignmentAuditSchema,
 
   // Helper functions and utilities
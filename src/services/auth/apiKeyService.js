@@ -0,0 +1,312 @@
+/**
+ * File: src/services/auth/apiKeyService.js
+ * API Key Service - Personal API Keys for Machine Clients
+ *
+ * This file handles creating, listing and revoking personal API keys, and
+ * checking a presented key when a request authenticates with one.
+ *
+ * For beginners:
+ * - A key looks like d2k_<12 hex characters>_<secret>; it is shown once,
+ *   when it is created, and only its SHA-256 hash is stored
+ * - The d2k_<id> part (the prefix) finds the row; the hash proves the secret
+ * - A key acts as its owner, but only with the permissions in its scopes
+ *   (the rbac middleware intersects them with the owner's current permissions)
+ * - Uses functional programming instead of classes
+ */
+
+const crypto = require('crypto');
+const { ApiKeyModel, UserModel } = require('../../models');
+const { schemas } = require('../../schemas');
+const userRoleService = require('../rbac/userRoleService');
+const { ipMatchesRange } = require('../../utils/permissionConditions');
+const config = require('../../../config/environment');
+
+const KEY_PREFIX = 'd2k';
+const API_KEY_REGEX = /^(d2k_[0-9a-f]{12})_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Generate a new API key
+ *
+ * @returns {Object} { key, keyPrefix }
+ */
+const generateApiKey = () => {
+  const keyPrefix = `${KEY_PREFIX}_${crypto.randomBytes(6).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    key: `${keyPrefix}_${secret}`,
+    keyPrefix
+  };
+};
+
+/**
+ * Hash an API key for storage and lookup
+ *
+ * @param {string} key - Full API key
+ * @returns {string} SHA-256 hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Remove the stored hash before an API key leaves the service
+ *
+ * @param {Object} apiKey - API key object from the model
+ * @returns {Object} API key without keyHash
+ */
+const toPublicApiKey = (apiKey) => {
+  const { keyHash: _keyHash, ...publicKey } = apiKey;
+  return publicKey;
+};
+
+/**
+ * Result for an unknown, malformed or revoked key
+ *
+ * @returns {Object} Service result
+ */
+const invalidKeyResult = () => ({
+  success: false,
+  code: 'API_KEY_INVALID',
+  message: 'Invalid API key'
+});
+
+/**
+ * Create an API key for a user
+ * Every scope must be a permission the user holds right now
+ *
+ * @param {number} userId - User ID
+ * @param {Object} data - { name, scopes, expiresInDays?, allowedIps? }
+ * @returns {Promise<Object>} Result with the key (shown only now) and its details
+ */
+const createApiKey = async (userId, data) => {
+  try {
+    const validatedData = await schemas.auth.createApiKey.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const expiresInDays = validatedData.expiresInDays || config.apiKeys.defaultLifetimeDays;
+    if (expiresInDays > config.apiKeys.maxLifetimeDays) {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: [`API keys can be valid for at most ${config.apiKeys.maxLifetimeDays} days`],
+        field: 'expiresInDays'
+      };
+    }
+
+    const activeKeys = await ApiKeyModel.countActiveByUser(userId);
+    if (activeKeys >= config.apiKeys.maxPerUser) {
+      return {
+        success: false,
+        code: 'API_KEY_LIMIT_REACHED',
+        message: `You can have at most ${config.apiKeys.maxPerUser} active API keys`
+      };
+    }
+
+    const permissionsResult = await userRoleService.getUserPermissions(userId);
+    if (!permissionsResult.success) {
+      return permissionsResult;
+    }
+
+    const heldPermissions = permissionsResult.data.permissions;
+    const notHeld = validatedData.scopes.filter(scope => !heldPermissions.includes(scope));
+
+    if (notHeld.length > 0) {
+      return {
+        success: false,
+        code: 'API_KEY_SCOPE_INVALID',
+        message: `You don't hold these permissions: ${notHeld.join(', ')}`,
+        field: 'scopes',
+        data: { scopes: notHeld }
+      };
+    }
+
+    const { key, keyPrefix } = generateApiKey();
+    const apiKey = await ApiKeyModel.create({
+      userId,
+      name: validatedData.name,
+      keyPrefix,
+      keyHash: hashApiKey(key),
+      scopes: validatedData.scopes,
+      allowedIps: validatedData.allowedIps,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    return {
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      data: {
+        key,
+        apiKey: toPublicApiKey(apiKey)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in createApiKey:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to create API key',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List the API keys of a user
+ *
+ * @param {number} userId - User ID
+ * @param {Object} options - { includeInactive } to also list revoked and expired keys
+ * @returns {Promise<Object>} Result with the keys (never the secrets)
+ */
+const listApiKeys = async (userId, options = {}) => {
+  try {
+    const apiKeys = await ApiKeyModel.findByUserId(userId, {
+      includeInactive: Boolean(options.includeInactive)
+    });
+
+    return {
+      success: true,
+      message: 'API keys retrieved successfully',
+      data: {
+        apiKeys: apiKeys.map(toPublicApiKey),
+        total: apiKeys.length
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in listApiKeys:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve API keys',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Revoke an API key of a user
+ *
+ * @param {number} userId - Owner's user ID
+ * @param {number} keyId - API key ID
+ * @param {Object} options - { revokedBy }
+ * @returns {Promise<Object>} Revocation result
+ */
+const revokeApiKey = async (userId, keyId, options = {}) => {
+  try {
+    const revoked = await ApiKeyModel.revoke(keyId, userId, options.revokedBy || userId);
+
+    if (!revoked) {
+      return {
+        success: false,
+        message: 'API key not found or already revoked'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'API key revoked successfully',
+      data: { id: Number(keyId) }
+    };
+
+  } catch (error) {
+    console.error('Error in revokeApiKey:', error);
+    return {
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Check a presented API key and its restrictions
+ * Records the use when the key is accepted
+ *
+ * @param {string} key - Full API key from the request
+ * @param {Object} context - { ipAddress }
+ * @returns {Promise<Object>} Result with the key (without hash) and its owner
+ */
+const authenticateApiKey = async (key, context = {}) => {
+  try {
+    const match = API_KEY_REGEX.exec(String(key || '').trim());
+    if (!match) {
+      return invalidKeyResult();
+    }
+
+    const apiKey = await ApiKeyModel.findByPrefix(match[1]);
+    if (!apiKey || apiKey.revokedAt) {
+      return invalidKeyResult();
+    }
+
+    const presentedHash = Buffer.from(hashApiKey(match[0]), 'hex');
+    if (!crypto.timingSafeEqual(presentedHash, Buffer.from(apiKey.keyHash, 'hex'))) {
+      return invalidKeyResult();
+    }
+
+    if (new Date(apiKey.expiresAt) <= new Date()) {
+      return {
+        success: false,
+        code: 'API_KEY_EXPIRED',
+        message: 'API key has expired',
+        data: { apiKeyId: apiKey.id, userId: apiKey.userId }
+      };
+    }
+
+    const allowedIps = apiKey.allowedIps || [];
+    if (allowedIps.length > 0 && !allowedIps.some(range => ipMatchesRange(context.ipAddress, range))) {
+      return {
+        success: false,
+        code: 'API_KEY_IP_NOT_ALLOWED',
+        message: 'API key is not allowed from this IP address',
+        data: { apiKeyId: apiKey.id, userId: apiKey.userId }
+      };
+    }
+
+    const user = await UserModel.findById(apiKey.userId);
+    if (!user || !user.isActive) {
+      return {
+        success: false,
+        code: 'USER_NOT_FOUND',
+        message: 'User not found or inactive',
+        data: { apiKeyId: apiKey.id, userId: apiKey.userId }
+      };
+    }
+
+    await ApiKeyModel.recordUsage(apiKey.id, context.ipAddress);
+
+    return {
+      success: true,
+      message: 'API key accepted',
+      data: {
+        apiKey: toPublicApiKey(apiKey),
+        user
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in authenticateApiKey:', error);
+    return {
+      success: false,
+      message: 'Failed to check API key',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,640 @@
+/**
+ * File: src/services/auth/apiPlanService.js
+ * API Plan Service - Token Buckets and Quotas per Plan
+ *
+ * This file decides which API plan a request runs under, takes the request
+ * out of the plan's token bucket and quotas, and manages the plans.
+ *
+ * For beginners:
+ * - A plan has a token bucket: burstLimit requests can come back to back,
+ *   then the bucket refills at sustainedPerMinute
+ * - Daily and monthly quotas count requests per UTC day and month
+ * - An API key with its own plan has its own counters; other keys share
+ *   their owner's plan and counters
+ * - Plans are cached for config.rateLimiting.planCacheTtl seconds, so changes
+ *   reach every instance without a restart; this instance reloads at once
+ * - Uses functional programming instead of classes
+ */
+
+const { ApiPlanModel, ApiKeyModel } = require('../../models');
+const { schemas } = require('../../schemas');
+const rateLimitStore = require('./rateLimitStoreService');
+const config = require('../../../config/environment');
+const logger = require('../../utils/logger');
+
+const PLAN_CACHE_TTL_MS = (config.rateLimiting?.planCacheTtl ?? 60) * 1000;
+const MAX_CACHED_ASSIGNMENTS = 10000;
+const BUCKET_LIMITER = 'plan';
+const QUOTA_PERIODS = ['daily', 'monthly'];
+
+let planCache = null; // { plans: Map of id -> plan, loadedAt }
+const assignmentCache = new Map(); // userId:apiKeyId -> { planId, apiKeyPlanId, expiresAt }
+
+// =============================================================================
+// PLAN RESOLUTION
+// =============================================================================
+
+/**
+ * Get all plans, from the cache while it is fresh
+ *
+ * @param {boolean} force - Reload even if the cache is fresh
+ * @returns {Promise<Map>} Plans by ID
+ */
+const loadPlans = async (force = false) => {
+  if (!force && planCache && Date.now() - planCache.loadedAt < PLAN_CACHE_TTL_MS) {
+    return planCache.plans;
+  }
+
+  const plans = await ApiPlanModel.findAll();
+  planCache = {
+    plans: new Map(plans.map(plan => [plan.id, plan])),
+    loadedAt: Date.now()
+  };
+
+  return planCache.plans;
+};
+
+/**
+ * Drop cached plans and assignments, so the next request reads them again
+ */
+const invalidateCaches = () => {
+  planCache = null;
+  assignmentCache.clear();
+};
+
+/**
+ * Find the plan of users and keys without an assigned plan
+ *
+ * @param {Map} plans - Plans by ID
+ * @returns {Object|null} Default plan
+ */
+const findDefaultPlan = (plans) => {
+  const activePlans = [...plans.values()].filter(plan => plan.isActive);
+  return activePlans.find(plan => plan.isDefault)
+    || activePlans.find(plan => plan.name === config.rateLimiting?.defaultPlan)
+    || null;
+};
+
+/**
+ * Get the plan assignment of a user and API key, from the cache while it is fresh
+ *
+ * @param {number} userId - User ID
+ * @param {number|null} apiKeyId - API key used for the request
+ * @returns {Promise<Object>} { planId, apiKeyPlanId }
+ */
+const getAssignment = async (userId, apiKeyId) => {
+  const cacheKey = `${userId}:${apiKeyId || ''}`;
+  const cached = assignmentCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  const assignment = await ApiPlanModel.findAssignedPlan(userId, apiKeyId);
+
+  if (assignmentCache.size >= MAX_CACHED_ASSIGNMENTS) {
+    assignmentCache.clear();
+  }
+  assignmentCache.set(cacheKey, { ...assignment, expiresAt: Date.now() + PLAN_CACHE_TTL_MS });
+
+  return assignment;
+};
+
+/**
+ * Find the plan a request runs under and whose counters it uses
+ * An inactive or deleted plan falls back to the default plan
+ *
+ * @param {Object} actor - req.user { userId, apiKey? }
+ * @returns {Promise<Object>} { plan, subject } (plan is null when no plan applies)
+ */
+const resolvePlan = async (actor) => {
+  const apiKeyId = actor.apiKey?.id || null;
+  const assignment = await getAssignment(actor.userId, apiKeyId);
+  const plans = await loadPlans();
+
+  const assigned = assignment.planId ? plans.get(assignment.planId) : null;
+  const plan = assigned && assigned.isActive ? assigned : findDefaultPlan(plans);
+
+  // A key with its own plan is counted on its own
+  const subject = assignment.apiKeyPlanId ? `key:${apiKeyId}` : `user:${actor.userId}`;
+
+  return { plan, subject };
+};
+
+/**
+ * Get the current UTC day and month
+ *
+ * @param {Date} now - Current time
+ * @returns {Object} { daily: { start, end }, monthly: { start, end } }
+ */
+const getQuotaPeriods = (now = new Date()) => {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+
+  return {
+    daily: { start: new Date(Date.UTC(year, month, day)), end: new Date(Date.UTC(year, month, day + 1)) },
+    monthly: { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) }
+  };
+};
+
+/**
+ * Get the quota limit of a plan for a period
+ *
+ * @param {Object} plan - Plan object
+ * @param {string} period - 'daily' or 'monthly'
+ * @returns {number|null} Limit, or null for unlimited
+ */
+const getQuotaLimit = (plan, period) => (period === 'daily' ? plan.dailyQuota : plan.monthlyQuota);
+
+/**
+ * Describe quota usage
+ *
+ * @param {number|null} limit - Quota limit (null for unlimited)
+ * @param {number} used - Requests counted
+ * @param {Date} resetTime - End of the period
+ * @returns {Object} { limit, used, remaining, resetTime }
+ */
+const describeQuota = (limit, used, resetTime) => {
+  if (limit === null) {
+    return { limit: null, used, remaining: null, resetTime };
+  }
+
+  return {
+    limit,
+    used: Math.min(used, limit),
+    remaining: Math.max(0, limit - used),
+    resetTime
+  };
+};
+
+// =============================================================================
+// REQUEST ACCOUNTING
+// =============================================================================
+
+/**
+ * Count a request against the plan of its user or API key
+ * Takes a token first, then counts the request in each quota; a request
+ * over a quota is not counted in any quota
+ *
+ * @param {Object} actor - req.user { userId, apiKey? }
+ * @returns {Promise<Object>} { plan, subject, bucket, quotas, exceeded } where exceeded is
+ *   null, 'burst', 'daily' or 'monthly' (plan is null when no plan applies)
+ */
+const consumeRequest = async (actor) => {
+  const { plan, subject } = await resolvePlan(actor);
+  if (!plan) {
+    return { plan: null, subject, bucket: null, quotas: {}, exceeded: null };
+  }
+
+  const result = { plan, subject, bucket: null, quotas: {}, exceeded: null };
+
+  result.bucket = await rateLimitStore.takeToken(BUCKET_LIMITER, subject, plan.burstLimit, plan.sustainedPerMinute / 60);
+  if (!result.bucket.allowed) {
+    result.exceeded = 'burst';
+    return result;
+  }
+
+  const periods = getQuotaPeriods();
+  const counted = [];
+
+  // Unlimited periods are counted too, for the usage report
+  for (const period of QUOTA_PERIODS) {
+    const limit = getQuotaLimit(plan, period);
+    const { start, end } = periods[period];
+    const used = await rateLimitStore.countInPeriod(`quota:${period}`, subject, start, end);
+    counted.push(period);
+    result.quotas[period] = describeQuota(limit, used, end);
+
+    if (limit !== null && used > limit) {
+      result.exceeded = period;
+      for (const countedPeriod of counted) {
+        await rateLimitStore.uncountInPeriod(`quota:${countedPeriod}`, subject, periods[countedPeriod].start);
+      }
+      break;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Get the consumption of one subject under a plan without counting a request
+ *
+ * @param {Object} plan - Plan object
+ * @param {string} subject - user:<id> or key:<id>
+ * @returns {Promise<Object>} { burst, quotas }
+ */
+const getSubjectUsage = async (plan, subject) => {
+  const bucket = await rateLimitStore.getTokens(BUCKET_LIMITER, subject, plan.burstLimit, plan.sustainedPerMinute / 60);
+  const periods = getQuotaPeriods();
+  const quotas = {};
+
+  for (const period of QUOTA_PERIODS) {
+    const limit = getQuotaLimit(plan, period);
+    const { start, end } = periods[period];
+    const used = await rateLimitStore.getPeriodCount(`quota:${period}`, subject, start);
+
+    quotas[period] = describeQuota(limit, used, end);
+  }
+
+  return {
+    burst: {
+      limit: plan.burstLimit,
+      remaining: bucket.remaining,
+      sustainedPerMinute: plan.sustainedPerMinute,
+      resetTime: bucket.resetTime
+    },
+    quotas
+  };
+};
+
+/**
+ * Shape a plan for API responses
+ *
+ * @param {Object} plan - Plan object
+ * @returns {Object} Public plan fields
+ */
+const toPublicPlan = (plan) => ({
+  name: plan.name,
+  displayName: plan.displayName,
+  burstLimit: plan.burstLimit,
+  sustainedPerMinute: plan.sustainedPerMinute,
+  dailyQuota: plan.dailyQuota,
+  monthlyQuota: plan.monthlyQuota
+});
+
+/**
+ * Report the API consumption of the current user
+ * Covers the current credential and every API key with a plan of its own
+ *
+ * @param {Object} actor - req.user { userId, apiKey? }
+ * @returns {Promise<Object>} Result with { plan, usage, apiKeys }
+ */
+const getUsage = async (actor) => {
+  try {
+    const userPlan = await resolvePlan({ userId: actor.userId });
+    const current = actor.apiKey ? await resolvePlan(actor) : userPlan;
+
+    if (!current.plan) {
+      return {
+        success: true,
+        message: 'No API plan applies to this account',
+        data: { plan: null, usage: null, apiKeys: [] }
+      };
+    }
+
+    const apiKeys = [];
+    const keys = await ApiKeyModel.findByUserId(actor.userId);
+    const plans = await loadPlans();
+
+    for (const key of keys.filter(apiKey => apiKey.planId)) {
+      const assigned = plans.get(key.planId);
+      const plan = assigned && assigned.isActive ? assigned : findDefaultPlan(plans);
+      if (!plan) continue;
+
+      apiKeys.push({
+        id: key.id,
+        name: key.name,
+        plan: toPublicPlan(plan),
+        usage: await getSubjectUsage(plan, `key:${key.id}`)
+      });
+    }
+
+    return {
+      success: true,
+      message: 'API usage retrieved successfully',
+      data: {
+        plan: toPublicPlan(current.plan),
+        apiKeyId: actor.apiKey?.id || null,
+        usage: await getSubjectUsage(current.plan, current.subject),
+        apiKeys
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getUsage:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve API usage',
+      error: error.message
+    };
+  }
+};
+
+// =============================================================================
+// PLAN MANAGEMENT
+// =============================================================================
+
+/**
+ * Failed result for Yup validation errors, or null for other errors
+ *
+ * @param {Error} error - Caught error
+ * @returns {Object|null} Failed result
+ */
+const validationFailure = (error) => {
+  if (error.name !== 'ValidationError') return null;
+
+  return {
+    success: false,
+    message: 'Validation failed',
+    errors: error.errors,
+    field: error.path
+  };
+};
+
+/**
+ * List all API plans
+ *
+ * @returns {Promise<Object>} Result with { plans, defaultPlan }
+ */
+const listPlans = async () => {
+  try {
+    const plans = await loadPlans(true);
+    const defaultPlan = findDefaultPlan(plans);
+
+    return {
+      success: true,
+      message: 'API plans retrieved successfully',
+      data: {
+        plans: [...plans.values()],
+        defaultPlan: defaultPlan ? defaultPlan.name : null
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in listPlans:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve API plans',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Create an API plan
+ *
+ * @param {Object} data - Plan fields
+ * @param {Object} options - { actorId }
+ * @returns {Promise<Object>} Result with { plan }
+ */
+const createPlan = async (data, options = {}) => {
+  try {
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.createApiPlan.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const plan = await ApiPlanModel.create(validatedData);
+    invalidateCaches();
+
+    logger.logSecurity('API plan created', { planId: plan.id, plan: plan.name, actorId: options.actorId });
+
+    return {
+      success: true,
+      message: 'API plan created successfully',
+      data: { plan }
+    };
+
+  } catch (error) {
+    console.error('Error in createPlan:', error);
+
+    if (/already exists/i.test(error.message)) {
+      return {
+        success: false,
+        message: 'API plan already exists',
+        code: 'API_PLAN_ALREADY_EXISTS',
+        field: 'name'
+      };
+    }
+
+    return validationFailure(error) || {
+      success: false,
+      message: 'Failed to create API plan',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Change the limits or status of an API plan
+ * Takes effect here at once and on other instances within the cache TTL
+ *
+ * @param {number} planId - Plan ID
+ * @param {Object} data - Plan fields to change
+ * @param {Object} options - { actorId }
+ * @returns {Promise<Object>} Result with { plan }
+ */
+const updatePlan = async (planId, data, options = {}) => {
+  try {
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.updateApiPlan.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const plan = await ApiPlanModel.update(planId, {
+      display_name: validatedData.displayName,
+      description: validatedData.description,
+      burst_limit: validatedData.burstLimit,
+      sustained_per_minute: validatedData.sustainedPerMinute,
+      daily_quota: validatedData.dailyQuota,
+      monthly_quota: validatedData.monthlyQuota,
+      is_default: validatedData.isDefault,
+      is_active: validatedData.isActive
+    });
+
+    if (!plan) {
+      return {
+        success: false,
+        message: 'API plan not found',
+        code: 'API_PLAN_NOT_FOUND'
+      };
+    }
+
+    invalidateCaches();
+
+    logger.logSecurity('API plan updated', {
+      planId: plan.id,
+      plan: plan.name,
+      changes: Object.keys(validatedData).filter(field => validatedData[field] !== undefined),
+      actorId: options.actorId
+    });
+
+    return {
+      success: true,
+      message: 'API plan updated successfully',
+      data: { plan }
+    };
+
+  } catch (error) {
+    console.error('Error in updatePlan:', error);
+    return validationFailure(error) || {
+      success: false,
+      message: 'Failed to update API plan',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Look up the plan named in an assignment request
+ *
+ * @param {Object} data - { plan } (null to clear)
+ * @returns {Promise<Object>} { plan } (null to clear), or { result } with a failed result
+ */
+const findPlanToAssign = async (data) => {
+  // Validate request data using Yup
+  const validatedData = await schemas.auth.assignApiPlan.validate(data, {
+    stripUnknown: true,
+    abortEarly: false
+  });
+
+  if (validatedData.plan === null) {
+    return { plan: null };
+  }
+
+  const plan = await ApiPlanModel.findByName(validatedData.plan);
+  if (!plan || !plan.isActive) {
+    return {
+      result: {
+        success: false,
+        message: 'API plan not found',
+        code: 'API_PLAN_NOT_FOUND',
+        field: 'plan'
+      }
+    };
+  }
+
+  return { plan };
+};
+
+/**
+ * Put a user on a plan, or back on the default plan
+ *
+ * @param {number} userId - User ID
+ * @param {Object} data - { plan } (plan name or null)
+ * @param {Object} options - { actorId }
+ * @returns {Promise<Object>} Result with { userId, plan }
+ */
+const assignUserPlan = async (userId, data, options = {}) => {
+  try {
+    const { plan, result } = await findPlanToAssign(data);
+    if (result) return result;
+
+    if (!(await ApiPlanModel.assignToUser(userId, plan ? plan.id : null))) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    invalidateCaches();
+
+    logger.logSecurity('API plan assigned to user', {
+      userId,
+      plan: plan ? plan.name : null,
+      actorId: options.actorId
+    });
+
+    return {
+      success: true,
+      message: plan ? `User moved to the ${plan.name} plan` : 'User moved to the default plan',
+      data: { userId, plan: plan ? plan.name : null }
+    };
+
+  } catch (error) {
+    console.error('Error in assignUserPlan:', error);
+    return validationFailure(error) || {
+      success: false,
+      message: 'Failed to assign API plan',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Put an API key on its own plan, or back on its owner's plan
+ *
+ * @param {number} apiKeyId - API key ID
+ * @param {Object} data - { plan } (plan name or null)
+ * @param {Object} options - { actorId }
+ * @returns {Promise<Object>} Result with { apiKeyId, plan }
+ */
+const assignApiKeyPlan = async (apiKeyId, data, options = {}) => {
+  try {
+    const { plan, result } = await findPlanToAssign(data);
+    if (result) return result;
+
+    if (!(await ApiPlanModel.assignToApiKey(apiKeyId, plan ? plan.id : null))) {
+      return {
+        success: false,
+        message: 'API key not found'
+      };
+    }
+
+    invalidateCaches();
+
+    logger.logSecurity('API plan assigned to API key', {
+      apiKeyId,
+      plan: plan ? plan.name : null,
+      actorId: options.actorId
+    });
+
+    return {
+      success: true,
+      message: plan ? `API key moved to the ${plan.name} plan` : "API key moved back to its owner's plan",
+      data: { apiKeyId, plan: plan ? plan.name : null }
+    };
+
+  } catch (error) {
+    console.error('Error in assignApiKeyPlan:', error);
+    return validationFailure(error) || {
+      success: false,
+      message: 'Failed to assign API plan',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Reload plans and assignments on this instance now
+ * For changes made directly in the database
+ *
+ * @returns {Promise<Object>} Result with { plans, loadedAt }
+ */
+const reloadPlans = async () => {
+  try {
+    invalidateCaches();
+    const plans = await loadPlans(true);
+
+    return {
+      success: true,
+      message: 'API plans reloaded',
+      data: {
+        plans: [...plans.values()].map(plan => plan.name),
+        loadedAt: new Date(planCache.loadedAt)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in reloadPlans:', error);
+    return {
+      success: false,
+      message: 'Failed to reload API plans',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  consumeRequest,
+  getUsage,
+  listPlans,
+  createPlan,
+  updatePlan,
+  assignUserPlan,
+  assignApiKeyPlan,
+  reloadPlans
+};
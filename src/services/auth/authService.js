@@ -14,10 +14,16 @@
  */
 
 const bcrypt = require('bcryptjs');
-const { UserModel, SessionModel } = require('../../models');
-const { jwtService } = require('./jwtService');
-const { Auth: AuthSchemas } = require('../../schemas');
+const crypto = require('crypto');
+const { UserModel, SessionModel, PasswordResetModel } = require('../../models');
+const jwtService = require('./jwtService');
+const mfaService = require('./mfaService');
+const breachedPasswordService = require('./breachedPasswordService');
+const passwordPolicyService = require('./passwordPolicyService');
+const { Auth: AuthSchemas, schemas } = require('../../schemas');
 const config = require('../../../config/environment');
+const { sendTemplateEmail } = require('../../../config/email');
+const logger = require('../../utils/logger');
 
 /**
  * Register a new user
@@ -46,6 +52,12 @@ const registerUser = async (userData, options = {}) => {
       };
     }
 
+    // Refuse passwords known from data breaches
+    const breachCheck = await breachedPasswordService.checkPassword(validatedData.password);
+    if (breachCheck.breached) {
+      return breachedPasswordService.breachedPasswordFailure('password');
+    }
+
     // Hash password
     const hashedPassword = await bcrypt.hash(
       validatedData.password,
@@ -117,6 +129,177 @@ const registerUser = async (userData, options = {}) => {
   }
 };
 
+/**
+ * Issue the token pair and session for a user who passed every login step
+ * A login with an expired password gets a password change token instead,
+ * and is finished with completeExpiredPasswordLogin
+ *
+ * @param {Object} user - User object
+ * @param {Object} options - { ipAddress, userAgent, rememberMe, deviceName, amr }
+ * @returns {Promise<Object>} Login result
+ */
+const createLoginSession = async (user, options = {}) => {
+  const { ipAddress, userAgent, rememberMe = false, deviceName = null, amr = ['pwd'] } = options;
+
+  // Every first factor is held up, so a magic link or provider login can't skip the change
+  if (passwordPolicyService.isPasswordExpired(user)) {
+    const passwordChangeToken = jwtService.generatePasswordChangeToken({
+      userId: user.id,
+      rememberMe,
+      deviceName,
+      amr
+    });
+
+    return {
+      success: true,
+      message: 'Your password has expired. Choose a new one to finish logging in',
+      data: {
+        passwordChangeRequired: true,
+        passwordChangeToken,
+        expiresIn: config.passwordPolicy.changeTokenExpiresIn
+      }
+    };
+  }
+
+  // Generate JWT tokens (amr lists the authentication methods used, auth_time when)
+  const tokenPayload = {
+    userId: user.id,
+    email: user.email,
+    isVerified: user.emailVerified,
+    amr,
+    auth_time: Math.floor(Date.now() / 1000)
+  };
+
+  // Every refresh token rotated out of this login belongs to one token family
+  const tokenFamily = crypto.randomUUID();
+
+  const accessToken = jwtService.generateAccessToken(tokenPayload);
+  const refreshToken = jwtService.generateRefreshToken({ ...tokenPayload, tokenFamily });
+
+  // Create session record
+  const sessionData = {
+    userId: user.id,
+    sessionToken: accessToken,
+    refreshToken: refreshToken,
+    tokenFamily: tokenFamily,
+    deviceName: deviceName,
+    ipAddress: ipAddress,
+    userAgent: userAgent,
+    expiresAt: new Date(Date.now() + (rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000)), // 30 days or 1 day
+    isRememberMe: rememberMe
+  };
+
+  const session = await SessionModel.create(sessionData);
+
+  // Successful login clears the failed attempt counter and updates last login
+  await UserModel.resetFailedLoginAttempts(user.id);
+  await UserModel.updateLastLogin(user.id, ipAddress);
+
+  // Prepare user response (exclude sensitive data)
+  const userResponse = {
+    id: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    isVerified: user.emailVerified,
+    isActive: user.isActive,
+    lastLoginAt: new Date()
+  };
+
+  return {
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      tokens: {
+        accessToken: accessToken,
+        refreshToken: refreshToken,
+        expiresIn: rememberMe ? '30d' : '1d'
+      },
+      session: {
+        id: session.id,
+        expiresAt: sessionData.expiresAt
+      }
+    }
+  };
+};
+
+/**
+ * Check that an account may log in right now
+ *
+ * @param {Object} user - User object
+ * @returns {Object|null} Failed login result, or null if the account may log in
+ */
+const checkAccountStatus = (user) => {
+  // Check if account is locked
+  if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+    return {
+      success: false,
+      message: `Account is locked due to too many failed login attempts. Try again after ${new Date(user.lockedUntil).toLocaleString()}`
+    };
+  }
+
+  // Check if account is active
+  if (!user.isActive) {
+    return {
+      success: false,
+      message: 'Account is deactivated. Please contact support.'
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Finish a login once the first factor (password or magic link) was accepted
+ * Users with MFA enabled, or holding a role that requires it, get a short-lived
+ * MFA token instead of a session and finish with completeMfaLogin
+ *
+ * @param {Object} user - User object
+ * @param {Object} options - { ipAddress, userAgent, rememberMe, deviceName, amr }
+ * @returns {Promise<Object>} Login result
+ */
+const completeFirstFactor = async (user, options = {}) => {
+  const { rememberMe = false, deviceName = null, amr = ['pwd'] } = options;
+
+  // Check if email verification is required
+  if (config.features.emailVerificationEnabled && !user.emailVerified) {
+    return {
+      success: false,
+      message: 'Please verify your email before logging in',
+      requiresEmailVerification: true
+    };
+  }
+
+  // Second step: the failed attempt counter is only reset once it passes too
+  const mfa = await mfaService.getMfaRequirement(user.id);
+
+  if (mfa.enabled || mfa.required) {
+    const mfaToken = jwtService.generateMfaPendingToken({
+      userId: user.id,
+      rememberMe,
+      deviceName,
+      amr,
+      enroll: !mfa.enabled
+    });
+
+    return {
+      success: true,
+      message: mfa.enabled
+        ? 'Enter the code from your authenticator app'
+        : 'Your role requires two-factor authentication. Set it up to finish logging in',
+      data: {
+        mfaRequired: true,
+        enrollmentRequired: !mfa.enabled,
+        mfaToken,
+        expiresIn: config.mfa.pendingTokenExpiresIn
+      }
+    };
+  }
+
+  return createLoginSession(user, options);
+};
+
 /**
  * Authenticate user login
  *
@@ -126,19 +309,34 @@ const registerUser = async (userData, options = {}) => {
  */
 const loginUser = async (loginData, options = {}) => {
   try {
-    const { ipAddress, userAgent, rememberMe = false } = options;
+    const { ipAddress, userAgent } = options;
 
     // Validate login data using Yup
-    const validatedData = await AuthSchemas.loginSchema.validate(loginData, {
+    const validatedData = await schemas.auth.login.validate(loginData, {
       stripUnknown: true,
       abortEarly: false
     });
 
-    // Find user by email
-    const user = await UserModel.findByEmail(validatedData.email);
+    // Find user by email (with the password hash)
+    const user = await UserModel.findByEmail(validatedData.email, true);
     if (!user) {
+      return {
+        success: false,
+        message: 'Invalid email or password'
+      };
+    }
+
+    const accountStatus = checkAccountStatus(user);
+    if (accountStatus) {
+      return accountStatus;
+    }
+
+    // Verify password
+    const isPasswordValid = await bcrypt.compare(validatedData.password, user.password);
+
+    if (!isPasswordValid) {
       // Record failed login attempt
-      await UserModel.recordLoginAttempt(validatedData.email, ipAddress, false);
+      await UserModel.incrementFailedLoginAttempts(user.id);
 
       return {
         success: false,
@@ -146,111 +344,356 @@ const loginUser = async (loginData, options = {}) => {
       };
     }
 
-    // Check if account is locked
-    if (user.isLocked) {
+    return await completeFirstFactor(user, {
+      ipAddress,
+      userAgent,
+      rememberMe: validatedData.rememberMe,
+      deviceName: validatedData.deviceName,
+      amr: ['pwd']
+    });
+
+  } catch (error) {
+    console.error('Error in loginUser:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Check a pending MFA token and load its user
+ *
+ * @param {string} mfaToken - Token from loginUser
+ * @returns {Promise<Object>} { payload, user } or a failed result
+ */
+const resolveMfaToken = async (mfaToken) => {
+  const payload = await jwtService.verifyMfaPendingToken(mfaToken);
+  if (!payload) {
+    return {
+      success: false,
+      code: 'TOKEN_INVALID',
+      message: 'MFA token is invalid or has expired. Please log in again'
+    };
+  }
+
+  const user = await UserModel.findById(payload.userId);
+  if (!user || !user.isActive) {
+    return {
+      success: false,
+      code: 'TOKEN_INVALID',
+      message: 'User not found or inactive'
+    };
+  }
+
+  if (user.lockedUntil && new Date(user.lockedUntil) > new Date()) {
+    return {
+      success: false,
+      code: 'ACCOUNT_LOCKED',
+      message: `Account is locked due to too many failed login attempts. Try again after ${new Date(user.lockedUntil).toLocaleString()}`
+    };
+  }
+
+  return { success: true, payload, user };
+};
+
+/**
+ * Start MFA enrollment during login, for users whose role requires MFA
+ *
+ * @param {string} mfaToken - Token from loginUser (with enrollmentRequired)
+ * @returns {Promise<Object>} Enrollment result with the secret and otpauth URI
+ */
+const startLoginMfaEnrollment = async (mfaToken) => {
+  try {
+    const resolved = await resolveMfaToken(mfaToken);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    if (!resolved.payload.enroll) {
       return {
         success: false,
-        message: `Account is locked due to too many failed login attempts. Try again after ${new Date(user.lockUntil).toLocaleString()}`
+        code: 'MFA_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    return await mfaService.startEnrollment(resolved.user.id);
+
+  } catch (error) {
+    console.error('Error in startLoginMfaEnrollment:', error);
+    return {
+      success: false,
+      message: 'Failed to start MFA enrollment',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Finish a login with the second factor and issue the real token pair
+ * Users enrolling during login confirm their new authenticator here
+ *
+ * @param {Object} verifyData - { mfaToken, code } or { mfaToken, recoveryCode }
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Authentication result
+ */
+const completeMfaLogin = async (verifyData, options = {}) => {
+  try {
+    const { ipAddress, userAgent } = options;
+
+    const validatedData = await schemas.auth.mfaVerify.validate(verifyData, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const resolved = await resolveMfaToken(validatedData.mfaToken);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const { payload, user } = resolved;
+    const mfa = await mfaService.getMfaRequirement(user.id);
+
+    let verification;
+    if (mfa.enabled) {
+      verification = await mfaService.verifySecondFactor(user.id, validatedData);
+    } else if (payload.enroll && validatedData.code) {
+      verification = await mfaService.confirmEnrollment(user.id, { code: validatedData.code });
+    } else {
+      verification = {
+        success: false,
+        code: 'MFA_NOT_ENABLED',
+        message: 'Two-factor authentication is not enabled. Please log in again'
       };
     }
 
-    // Check if account is active
-    if (!user.isActive) {
+    if (!verification.success) {
+      return verification;
+    }
+
+    const result = await createLoginSession(user, {
+      ipAddress,
+      userAgent,
+      rememberMe: payload.rememberMe,
+      deviceName: payload.deviceName,
+      amr: [...(payload.amr || ['pwd']), 'otp']
+    });
+
+    result.data.mfa = verification.data;
+
+    return result;
+
+  } catch (error) {
+    console.error('Error in completeMfaLogin:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
       return {
         success: false,
-        message: 'Account is deactivated. Please contact support.'
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
       };
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(validatedData.password, user.password);
+    return {
+      success: false,
+      message: 'MFA verification failed',
+      error: error.message
+    };
+  }
+};
 
-    if (!isPasswordValid) {
-      // Record failed login attempt
-      await UserModel.recordLoginAttempt(user.id, ipAddress, false);
+/**
+ * Finish a login that used an expired password by setting a new one
+ * The password change token is single use
+ *
+ * @param {Object} changeData - { passwordChangeToken, newPassword, confirmNewPassword }
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Authentication result
+ */
+const completeExpiredPasswordLogin = async (changeData, options = {}) => {
+  try {
+    const { ipAddress, userAgent } = options;
+
+    const validatedData = await schemas.auth.expiredPasswordChange.validate(changeData, {
+      stripUnknown: true,
+      abortEarly: false
+    });
 
+    const payload = await jwtService.verifyPasswordChangeToken(validatedData.passwordChangeToken);
+    if (!payload) {
       return {
         success: false,
-        message: 'Invalid email or password'
+        code: 'TOKEN_INVALID',
+        message: 'Password change token is invalid or has expired. Please log in again'
       };
     }
 
-    // Check if email verification is required
-    if (config.features.emailVerificationEnabled && !user.isVerified) {
+    const user = await UserModel.findById(payload.userId, true);
+    if (!user) {
       return {
         success: false,
-        message: 'Please verify your email before logging in',
-        requiresEmailVerification: true
+        code: 'TOKEN_INVALID',
+        message: 'User not found or inactive'
       };
     }
 
-    // Record successful login attempt
-    await UserModel.recordLoginAttempt(user.id, ipAddress, true);
+    const accountStatus = checkAccountStatus(user);
+    if (accountStatus) {
+      return accountStatus;
+    }
 
-    // Generate JWT tokens
-    const tokenPayload = {
-      userId: user.id,
-      email: user.email,
-      isVerified: user.isVerified
-    };
+    const isSamePassword = await bcrypt.compare(validatedData.newPassword, user.password);
+    if (isSamePassword) {
+      return {
+        success: false,
+        message: 'New password must be different from current password',
+        field: 'newPassword'
+      };
+    }
 
-    const accessToken = jwtService.generateAccessToken(tokenPayload);
-    const refreshToken = jwtService.generateRefreshToken(tokenPayload);
+    // Refuse passwords known from data breaches
+    const breachCheck = await breachedPasswordService.checkPassword(validatedData.newPassword);
+    if (breachCheck.breached) {
+      return breachedPasswordService.breachedPasswordFailure('newPassword');
+    }
 
-    // Create session record
-    const sessionData = {
-      userId: user.id,
-      token: accessToken,
-      refreshToken: refreshToken,
-      ipAddress: ipAddress,
-      userAgent: userAgent,
-      expiresAt: new Date(Date.now() + (rememberMe ? 30 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000)), // 30 days or 1 day
-      isActive: true
-    };
+    // Refuse the user's recent passwords
+    const isReused = await passwordPolicyService.isPasswordReused(user.id, validatedData.newPassword, user.password);
+    if (isReused) {
+      return passwordPolicyService.reusedPasswordFailure('newPassword');
+    }
 
-    const session = await SessionModel.create(sessionData);
+    await UserModel.updatePassword(user.id, validatedData.newPassword);
+    await passwordPolicyService.pruneHistory(user.id);
+
+    await jwtService.revokeToken(validatedData.passwordChangeToken, {
+      reason: 'password_changed',
+      revokedBy: user.id
+    });
+
+    // Reload for the new password_changed_at, so the login isn't held up again
+    const updatedUser = await UserModel.findById(user.id);
+
+    const result = await createLoginSession(updatedUser, {
+      ipAddress,
+      userAgent,
+      rememberMe: payload.rememberMe,
+      deviceName: payload.deviceName,
+      amr: payload.amr
+    });
 
-    if (!session.success) {
+    result.message = 'Password changed and login successful';
+    return result;
+
+  } catch (error) {
+    console.error('Error in completeExpiredPasswordLogin:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
       return {
         success: false,
-        message: 'Failed to create session',
-        error: session.error
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
       };
     }
 
-    // Update user last login
-    await UserModel.updateLastLogin(user.id, ipAddress);
-
-    // Prepare user response (exclude sensitive data)
-    const userResponse = {
-      id: user.id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      isVerified: user.isVerified,
-      isActive: user.isActive,
-      lastLoginAt: new Date()
+    return {
+      success: false,
+      message: 'Password change failed',
+      error: error.message
     };
+  }
+};
+
+/**
+ * Email a one-time login link
+ * The response is the same whether or not the account exists
+ *
+ * @param {Object} data - { email }
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Result; data.deviceToken is the secret for the device cookie
+ */
+const requestMagicLink = async (data, options = {}) => {
+  try {
+    const { ipAddress, userAgent } = options;
+
+    const validatedData = await schemas.auth.magicLinkRequest.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    // Issued for every request, so the response doesn't reveal whether the account exists
+    const deviceToken = config.auth.magicLinkBindDevice ? crypto.randomBytes(32).toString('hex') : null;
+    const expiresInMinutes = config.auth.magicLinkExpiresMinutes;
+
+    const user = await UserModel.findByEmail(validatedData.email);
+
+    let link = null;
+
+    if (user && user.isActive) {
+      try {
+        link = await PasswordResetModel.createResetRequest({
+          email: validatedData.email,
+          userId: user.id,
+          ipAddress,
+          userAgent,
+          purpose: 'magic_link',
+          deviceToken,
+          expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+        });
+      } catch (error) {
+        // Over the per-email/per-IP limit: answer as usual so the limit doesn't reveal the account
+        if (!/^Too many/.test(error.message)) {
+          throw error;
+        }
+        logger.logSecurity('Magic link request rate limited', { userId: user.id, ipAddress });
+      }
+    }
+
+    if (link) {
+      const loginUrl = `${config.frontend.magicLinkUrl}?token=${link.plainToken}&email=${encodeURIComponent(validatedData.email)}`;
+
+      try {
+        await sendTemplateEmail('magicLink', user.email, {
+          firstName: user.firstName || 'there',
+          loginUrl,
+          expiresInMinutes,
+          ipAddress: ipAddress || 'unknown',
+          userAgent: userAgent || 'unknown'
+        });
+      } catch (error) {
+        logger.logError('Failed to send magic link email', error, { userId: user.id });
+      }
+    }
 
     return {
       success: true,
-      message: 'Login successful',
+      message: 'If an account exists with this email, a sign-in link has been sent',
       data: {
-        user: userResponse,
-        tokens: {
-          accessToken: accessToken,
-          refreshToken: refreshToken,
-          expiresIn: rememberMe ? '30d' : '1d'
-        },
-        session: {
-          id: session.data.id,
-          expiresAt: sessionData.expiresAt
-        }
+        email: validatedData.email,
+        expiresInMinutes,
+        deviceToken
       }
     };
 
   } catch (error) {
-    console.error('Error in loginUser:', error);
+    console.error('Error in requestMagicLink:', error);
 
     // Handle Yup validation errors
     if (error.name === 'ValidationError') {
@@ -264,7 +707,79 @@ const loginUser = async (loginData, options = {}) => {
 
     return {
       success: false,
-      message: 'Login failed',
+      message: 'Magic link request failed',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Log in with a magic link
+ * After the link is accepted the login continues like a password login
+ * (account checks, MFA, session)
+ *
+ * @param {Object} data - { token, email, rememberMe?, deviceName? }
+ * @param {Object} options - { ipAddress, userAgent, deviceToken }
+ * @returns {Promise<Object>} Authentication result
+ */
+const loginWithMagicLink = async (data, options = {}) => {
+  try {
+    const { ipAddress, userAgent, deviceToken } = options;
+
+    const validatedData = await schemas.auth.magicLinkConsume.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const result = await PasswordResetModel.consumeMagicLink(validatedData.token, validatedData.email, ipAddress, deviceToken);
+
+    if (!result.consumed && result.reason === 'device_mismatch') {
+      return {
+        success: false,
+        code: 'MAGIC_LINK_DEVICE_MISMATCH',
+        message: 'Open the sign-in link in the browser where you requested it',
+        data: { userId: result.link.userId }
+      };
+    }
+
+    const user = result.consumed ? await UserModel.findById(result.link.userId) : null;
+    if (!user) {
+      return {
+        success: false,
+        code: 'MAGIC_LINK_INVALID',
+        message: 'This sign-in link is invalid, expired or has already been used'
+      };
+    }
+
+    const accountStatus = checkAccountStatus(user);
+    if (accountStatus) {
+      return accountStatus;
+    }
+
+    return await completeFirstFactor(user, {
+      ipAddress,
+      userAgent,
+      rememberMe: validatedData.rememberMe,
+      deviceName: validatedData.deviceName,
+      amr: ['email']
+    });
+
+  } catch (error) {
+    console.error('Error in loginWithMagicLink:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Magic link login failed',
       error: error.message
     };
   }
@@ -280,28 +795,32 @@ const loginUser = async (loginData, options = {}) => {
  */
 const logoutUser = async (userId, sessionToken, options = {}) => {
   try {
-    const { logoutAllSessions = false, ipAddress } = options;
+    const { logoutAllSessions = false } = options;
+
+    // The presented access token stops working at once, even before its session is checked
+    await jwtService.revokeToken(sessionToken, { reason: 'logout', revokedBy: userId });
 
     if (logoutAllSessions) {
       // Invalidate all user sessions
-      const result = await SessionModel.invalidateAllUserSessions(userId, ipAddress);
+      const sessionsInvalidated = await SessionModel.revokeAllUserSessions(userId, 'logout');
 
       return {
-        success: result.success,
-        message: result.success ? 'Logged out from all sessions' : 'Failed to logout from all sessions',
+        success: true,
+        message: 'Logged out from all sessions',
         data: {
-          sessionsInvalidated: result.data?.sessionsInvalidated || 0
+          sessionsInvalidated
         }
       };
     } else {
       // Invalidate specific session
-      const result = await SessionModel.invalidateSession(sessionToken, userId, ipAddress);
+      const session = await SessionModel.findByToken(sessionToken);
+      const revoked = Boolean(session) && await SessionModel.revokeSession(session.id, 'logout');
 
       return {
-        success: result.success,
-        message: result.success ? 'Logged out successfully' : 'Failed to logout',
+        success: revoked,
+        message: revoked ? 'Logged out successfully' : 'Failed to logout',
         data: {
-          sessionId: result.data?.sessionId
+          sessionId: session?.id
         }
       };
     }
@@ -316,8 +835,88 @@ const logoutUser = async (userId, sessionToken, options = {}) => {
   }
 };
 
+/**
+ * Keep the sessions of a token family that a replayed token can still harm
+ * A family that ended with a normal logout is simply over, so replaying one
+ * of its old tokens is not treated as theft
+ *
+ * @private
+ * @param {Array} familySessions - Sessions of the token family
+ * @returns {Array} Sessions that were not revoked by logout
+ */
+const getReuseCandidates = (familySessions) => familySessions.filter(session => session.revokedReason !== 'logout');
+
+/**
+ * Deal with a refresh token that was presented after it had been rotated
+ * Somebody kept a copy of an old token, so every session of the login it came
+ * from is revoked, flagged as suspicious, and the user is alerted
+ *
+ * @private
+ * @param {Object} tokenPayload - Decoded refresh token
+ * @param {Array} familySessions - Sessions of the token family
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Failed refresh result
+ */
+const handleRefreshTokenReuse = async (tokenPayload, familySessions, options = {}) => {
+  const { ipAddress, userAgent } = options;
+
+  // Sessions from before token families existed can only be revoked one by one
+  let revokedSessions = 0;
+  if (tokenPayload.tokenFamily) {
+    revokedSessions = await SessionModel.revokeTokenFamily(tokenPayload.tokenFamily, 'security');
+  } else {
+    for (const session of familySessions) {
+      if (await SessionModel.revokeSession(session.id, 'security')) {
+        revokedSessions++;
+      }
+    }
+  }
+
+  for (const session of familySessions) {
+    await SessionModel.markSuspicious(session.id, 'Refresh token reuse detected');
+  }
+
+  logger.logSecurity('Refresh token reuse detected', {
+    userId: tokenPayload.userId,
+    tokenFamily: tokenPayload.tokenFamily,
+    sessionIds: familySessions.map(session => session.id),
+    revokedSessions,
+    ipAddress,
+    userAgent
+  });
+
+  // The alert is best effort; the sessions are already revoked
+  try {
+    const user = await UserModel.findById(tokenPayload.userId);
+
+    if (user) {
+      await sendTemplateEmail('securityAlert', user.email, {
+        firstName: user.firstName || 'there',
+        alertType: 'Suspicious session activity',
+        alertMessage: 'A sign-in token from one of your sessions was used again after it had already been replaced. This can mean the token was copied from your device.',
+        occurredAt: new Date().toUTCString(),
+        ipAddress: ipAddress || 'unknown',
+        userAgent: userAgent || 'unknown'
+      });
+    }
+  } catch (error) {
+    logger.logError('Failed to send refresh token reuse alert', error, { userId: tokenPayload.userId });
+  }
+
+  return {
+    success: false,
+    message: 'Refresh token has already been used; all sessions of this login were revoked',
+    code: 'REFRESH_TOKEN_REUSED',
+    data: {
+      revokedSessions
+    }
+  };
+};
+
 /**
  * Refresh authentication tokens
+ * Each refresh rotates the refresh token; presenting a token that was already
+ * rotated revokes the whole token family (see handleRefreshTokenReuse)
  *
  * @param {string} refreshToken - Refresh token
  * @param {Object} options - Refresh options
@@ -328,7 +927,7 @@ const refreshTokens = async (refreshToken, options = {}) => {
     const { ipAddress, userAgent } = options;
 
     // Verify refresh token
-    const tokenPayload = jwtService.verifyRefreshToken(refreshToken);
+    const tokenPayload = await jwtService.verifyRefreshToken(refreshToken);
     if (!tokenPayload) {
       return {
         success: false,
@@ -336,52 +935,90 @@ const refreshTokens = async (refreshToken, options = {}) => {
       };
     }
 
-    // Find user
-    const user = await UserModel.findById(tokenPayload.userId);
-    if (!user || !user.isActive) {
+    // Find the session currently holding this refresh token
+    const session = await SessionModel.findByRefreshToken(refreshToken);
+
+    if (!session) {
+      // A genuine token whose family lives on was rotated out earlier
+      const familySessions = tokenPayload.tokenFamily
+        ? getReuseCandidates(await SessionModel.findByTokenFamily(tokenPayload.tokenFamily))
+        : [];
+
+      if (familySessions.length > 0) {
+        return await handleRefreshTokenReuse(tokenPayload, familySessions, { ipAddress, userAgent });
+      }
+
       return {
         success: false,
-        message: 'User not found or inactive'
+        message: 'Session not found or expired'
       };
     }
 
-    // Find session
-    const session = await SessionModel.findByRefreshToken(refreshToken);
-    if (!session || !session.isActive) {
+    if (!session.isActive || new Date() > new Date(session.expiresAt)) {
       return {
         success: false,
         message: 'Session not found or expired'
       };
     }
 
-    // Generate new tokens
+    // Find user
+    const user = await UserModel.findById(session.userId);
+    if (!user || !user.isActive) {
+      return {
+        success: false,
+        message: 'User not found or inactive'
+      };
+    }
+
+    // Generate new tokens (keeping the authentication methods and time of the login)
     const newTokenPayload = {
       userId: user.id,
       email: user.email,
-      isVerified: user.isVerified
+      isVerified: user.emailVerified,
+      amr: tokenPayload.amr || ['pwd'],
+      auth_time: tokenPayload.auth_time
     };
 
     const newAccessToken = jwtService.generateAccessToken(newTokenPayload);
-    const newRefreshToken = jwtService.generateRefreshToken(newTokenPayload);
+    const newRefreshToken = jwtService.generateRefreshToken({
+      ...newTokenPayload,
+      tokenFamily: session.tokenFamily
+    });
 
-    // Update session with new tokens
-    const updateResult = await SessionModel.updateTokens(session.id, newAccessToken, newRefreshToken);
+    // Swap the tokens only if nobody exchanged this refresh token in the meantime
+    const rotated = await SessionModel.rotateTokens(session.id, refreshToken, newAccessToken, newRefreshToken);
 
-    if (!updateResult.success) {
-      return {
-        success: false,
-        message: 'Failed to update session tokens'
-      };
+    if (!rotated) {
+      const familySessions = session.tokenFamily
+        ? getReuseCandidates(await SessionModel.findByTokenFamily(session.tokenFamily))
+        : [session];
+
+      // The session was logged out while this refresh was running
+      if (familySessions.length === 0) {
+        return {
+          success: false,
+          message: 'Session not found or expired'
+        };
+      }
+
+      return await handleRefreshTokenReuse(tokenPayload, familySessions, { ipAddress, userAgent });
     }
 
     return {
       success: true,
       message: 'Tokens refreshed successfully',
       data: {
+        user: {
+          id: user.id
+        },
         tokens: {
           accessToken: newAccessToken,
           refreshToken: newRefreshToken,
           expiresIn: config.jwt.expiresIn
+        },
+        session: {
+          id: session.id,
+          expiresAt: session.expiresAt
         }
       }
     };
@@ -396,6 +1033,138 @@ const refreshTokens = async (refreshToken, options = {}) => {
   }
 };
 
+/**
+ * Confirm the user again before a sensitive action
+ * Checks the password or an authenticator code and swaps the session's access
+ * token for one with a fresh auth_time; the session and refresh token stay
+ *
+ * @param {Object} actor - req.user { userId, sessionId }
+ * @param {Object} data - { password } or { code }
+ * @param {Object} options - { accessToken, ipAddress }
+ * @returns {Promise<Object>} Result with { tokens, authTime }
+ */
+const reauthenticate = async (actor, data, options = {}) => {
+  try {
+    const { accessToken, ipAddress } = options;
+
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.reauthenticate.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const currentPayload = await jwtService.verifyAccessToken(accessToken);
+    if (!currentPayload || currentPayload.userId !== actor.userId) {
+      return {
+        success: false,
+        message: 'Invalid or expired token',
+        code: 'TOKEN_INVALID'
+      };
+    }
+
+    const profile = await UserModel.findById(actor.userId);
+    const user = profile ? await UserModel.findByEmail(profile.email, true) : null;
+    if (!user) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    const accountStatus = checkAccountStatus(user);
+    if (accountStatus) {
+      return { ...accountStatus, code: user.isActive ? 'ACCOUNT_LOCKED' : 'ACCOUNT_DISABLED' };
+    }
+
+    let method = 'pwd';
+
+    if (validatedData.password) {
+      const isPasswordValid = await bcrypt.compare(validatedData.password, user.password);
+
+      if (!isPasswordValid) {
+        await UserModel.incrementFailedLoginAttempts(user.id);
+        logger.logSecurity('Re-authentication failed', { userId: user.id, method, ipAddress });
+
+        return {
+          success: false,
+          message: 'Password is incorrect',
+          code: 'INVALID_CREDENTIALS',
+          field: 'password'
+        };
+      }
+    } else {
+      method = 'otp';
+      const verification = await mfaService.verifySecondFactor(user.id, { code: validatedData.code });
+
+      if (!verification.success) {
+        logger.logSecurity('Re-authentication failed', { userId: user.id, method, ipAddress });
+        return verification;
+      }
+    }
+
+    const authTime = Math.floor(Date.now() / 1000);
+    const amr = Array.from(new Set([...(currentPayload.amr || []), method]));
+
+    const newAccessToken = jwtService.generateAccessToken({
+      userId: user.id,
+      email: user.email,
+      isVerified: user.emailVerified,
+      amr,
+      auth_time: authTime
+    });
+
+    // The old access token stops working with the swap
+    const replaced = await SessionModel.replaceSessionToken(actor.sessionId, accessToken, newAccessToken);
+    if (!replaced) {
+      return {
+        success: false,
+        message: 'Session expired or invalid',
+        code: 'TOKEN_EXPIRED'
+      };
+    }
+
+    await UserModel.resetFailedLoginAttempts(user.id);
+
+    logger.logSecurity('User re-authenticated', {
+      userId: user.id,
+      sessionId: actor.sessionId,
+      method,
+      ipAddress
+    });
+
+    return {
+      success: true,
+      message: 'Re-authentication successful',
+      data: {
+        tokens: {
+          accessToken: newAccessToken,
+          expiresIn: config.jwt.expiresIn
+        },
+        authTime: new Date(authTime * 1000)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in reauthenticate:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Re-authentication failed',
+      error: error.message
+    };
+  }
+};
+
 /**
  * Verify user email
  *
@@ -497,6 +1266,8 @@ const getUserProfile = async (userId, options = {}) => {
 
 /**
  * Update user profile
+ * The email address is not a profile field; it changes through
+ * emailChangeService, which confirms both addresses
  *
  * @param {string} userId - User ID
  * @param {Object} updateData - Profile update data
@@ -593,13 +1364,77 @@ const getUserSessions = async (userId, options = {}) => {
   }
 };
 
+/**
+ * Revoke a single issued token (admin action)
+ * Accepts the token itself or only its jti; see jwtService.revokeToken
+ *
+ * @param {Object} data - { token?, jti?, expiresAt?, reason? }
+ * @param {Object} options - { revokedBy }
+ * @returns {Promise<Object>} Revocation result
+ */
+const revokeIssuedToken = async (data, options = {}) => {
+  try {
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.revokeToken.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const revokeOptions = {
+      reason: validatedData.reason || 'admin_revoke',
+      revokedBy: options.revokedBy
+    };
+
+    const result = validatedData.token
+      ? await jwtService.revokeToken(validatedData.token, revokeOptions)
+      : await jwtService.revokeTokenById(validatedData.jti, {
+        ...revokeOptions,
+        expiresAt: validatedData.expiresAt
+      });
+
+    return {
+      success: true,
+      message: result.revoked ? 'Token revoked successfully' : 'Token has already expired',
+      data: result
+    };
+
+  } catch (error) {
+    console.error('Error in revokeIssuedToken:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to revoke token',
+      error: error.message
+    };
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  checkAccountStatus,
+  completeFirstFactor,
+  startLoginMfaEnrollment,
+  completeMfaLogin,
+  completeExpiredPasswordLogin,
+  requestMagicLink,
+  loginWithMagicLink,
   logoutUser,
   refreshTokens,
+  reauthenticate,
   verifyEmail,
   getUserProfile,
   updateUserProfile,
-  getUserSessions
+  getUserSessions,
+  revokeIssuedToken
 };
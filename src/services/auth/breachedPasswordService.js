@@ -0,0 +1,202 @@
+/**
+ * File: src/services/auth/breachedPasswordService.js
+ * Breached Password Service - Offline Have I Been Pwned Lookups
+ *
+ * This file checks passwords against a local copy of the Pwned Passwords
+ * corpus, so the check also works without internet access.
+ *
+ * For beginners:
+ * - The corpus lists SHA-1 hashes of leaked passwords with how often each
+ *   was seen; the password itself is never stored or sent anywhere
+ * - BREACHED_PASSWORDS_PATH is either a directory of range files named by
+ *   the first 5 hex characters of the hash (00000.txt ... FFFFF.txt, lines
+ *   "SUFFIX:COUNT"), as written by the Pwned Passwords downloader, or one
+ *   file of "HASH:COUNT" lines ordered by hash
+ * - Lines are sorted, so a lookup is a binary search over the file on disk
+ *   instead of loading it into memory
+ * - Without a configured corpus no password counts as breached
+ * - Lookups only need a hash to count, so a remote range API could later be
+ *   added as another source next to findInLocalCorpus
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../config/environment');
+const logger = require('../../utils/logger');
+
+const PREFIX_LENGTH = 5;
+const READ_CHUNK_SIZE = 512; // Several times the longest corpus line
+
+/**
+ * Read the first complete line starting at or after a byte offset
+ *
+ * @param {Object} file - fs.promises FileHandle
+ * @param {number} offset - Byte offset
+ * @returns {Promise<Object|null>} { text, start, end } where end is the start of the next line, or null past the last line
+ */
+const readLineFrom = async (file, offset) => {
+  // Starting one byte early finds a line that begins exactly at the offset
+  const readStart = Math.max(0, offset - 1);
+  const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+  const { bytesRead } = await file.read(buffer, 0, buffer.length, readStart);
+  const chunk = buffer.subarray(0, bytesRead);
+
+  let lineStart = 0;
+  if (offset > 0) {
+    const newline = chunk.indexOf(0x0a);
+    if (newline === -1) return null;
+    lineStart = newline + 1;
+  }
+
+  if (lineStart >= chunk.length) return null;
+
+  let lineEnd = chunk.indexOf(0x0a, lineStart);
+  if (lineEnd === -1) lineEnd = chunk.length;
+
+  return {
+    text: chunk.subarray(lineStart, lineEnd).toString('ascii').trim(),
+    start: readStart + lineStart,
+    end: readStart + lineEnd + 1
+  };
+};
+
+/**
+ * Binary search a file of "KEY:COUNT" lines sorted by key
+ *
+ * @param {string} filePath - Corpus file
+ * @param {string} key - Upper case hex key (hash or hash suffix)
+ * @returns {Promise<number>} Count of the key, 0 when it isn't listed or the file doesn't exist
+ */
+const searchSortedFile = async (filePath, key) => {
+  let file;
+  try {
+    file = await fs.promises.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  try {
+    const { size } = await file.stat();
+    let low = 0;
+    let high = size;
+
+    // low is always the start of a line that may still hold the key
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      const line = await readLineFrom(file, middle);
+
+      if (!line || line.start >= high) {
+        high = middle;
+        continue;
+      }
+
+      const [lineKey, count] = line.text.split(':');
+      const candidate = lineKey.toUpperCase();
+
+      if (candidate === key) {
+        return parseInt(count, 10) || 0;
+      }
+
+      if (candidate < key) {
+        low = line.end;
+      } else {
+        high = middle;
+      }
+    }
+
+    return 0;
+  } finally {
+    await file.close();
+  }
+};
+
+/**
+ * Find the breach count of a SHA-1 hash in the local corpus
+ *
+ * @param {string} hash - Upper case SHA-1 hex
+ * @param {string} corpusPath - Range file directory or ordered hash file
+ * @returns {Promise<number>} Breach count
+ */
+const findInLocalCorpus = async (hash, corpusPath) => {
+  const stats = await fs.promises.stat(corpusPath);
+
+  if (stats.isDirectory()) {
+    const prefix = hash.slice(0, PREFIX_LENGTH);
+    return searchSortedFile(path.join(corpusPath, `${prefix}.txt`), hash.slice(PREFIX_LENGTH));
+  }
+
+  return searchSortedFile(corpusPath, hash);
+};
+
+/**
+ * Whether a breach corpus is configured
+ *
+ * @returns {boolean} True when lookups are possible
+ */
+const isEnabled = () => Boolean(config.breachedPasswords?.corpusPath);
+
+/**
+ * Get how often a password appears in known breaches
+ *
+ * @param {string} password - Plain password
+ * @returns {Promise<number|null>} Breach count, or null without a configured corpus
+ */
+const getBreachCount = async (password) => {
+  if (!isEnabled()) {
+    return null;
+  }
+
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  const count = await findInLocalCorpus(hash, config.breachedPasswords.corpusPath);
+
+  return count;
+};
+
+/**
+ * Check a new password against known breaches
+ * Lookup errors let the password through, so a broken corpus can't block
+ * registrations and password changes
+ *
+ * @param {string} password - Plain password
+ * @returns {Promise<Object>} { checked, breached, count }
+ */
+const checkPassword = async (password) => {
+  try {
+    const count = await getBreachCount(password);
+    if (count === null) {
+      return { checked: false, breached: false, count: 0 };
+    }
+
+    return {
+      checked: true,
+      breached: count >= config.breachedPasswords.threshold,
+      count
+    };
+
+  } catch (error) {
+    logger.logError('Breached password lookup failed', error, { corpusPath: config.breachedPasswords.corpusPath });
+    return { checked: false, breached: false, count: 0 };
+  }
+};
+
+/**
+ * Failed service result for a breached password
+ *
+ * @param {string} field - Password field name
+ * @returns {Object} Failed result
+ */
+const breachedPasswordFailure = (field) => ({
+  success: false,
+  message: 'This password has appeared in a data breach, please choose a different one',
+  code: 'PASSWORD_BREACHED',
+  field
+});
+
+module.exports = {
+  isEnabled,
+  getBreachCount,
+  checkPassword,
+  breachedPasswordFailure
+};
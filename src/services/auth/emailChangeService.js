@@ -0,0 +1,441 @@
+/**
+ * File: src/services/auth/emailChangeService.js
+ * Email Change Service - Self-Service Email Address Changes
+ *
+ * This file lets users move their account to a new email address without
+ * handing the account to whoever controls one of the two mailboxes alone.
+ *
+ * For beginners:
+ * - Requesting a change sends a confirmation link to the new address and a
+ *   notice with a cancel link to the old address; nothing changes yet
+ * - Confirming switches users.email, marks it verified and signs out every
+ *   other session of the user
+ * - The cancel link stops a pending change, or reverts a confirmed one and
+ *   signs out every session, for EMAIL_CHANGE_CANCEL_DAYS
+ * - Uses functional programming instead of classes
+ */
+
+const { UserModel, SessionModel, EmailChangeModel } = require('../../models');
+const { executeTransaction } = require('../../models/database');
+const { schemas } = require('../../schemas');
+const config = require('../../../config/environment');
+const { sendTemplateEmail } = require('../../../config/email');
+const logger = require('../../utils/logger');
+
+/**
+ * Failed result for unknown, used, expired or superseded links
+ *
+ * @returns {Object} Failed result
+ */
+const invalidLinkResult = () => ({
+  success: false,
+  message: 'Invalid or expired email change link',
+  code: 'EMAIL_CHANGE_INVALID'
+});
+
+/**
+ * Failed result for an address another account already uses
+ *
+ * @returns {Object} Failed result
+ */
+const emailTakenResult = () => ({
+  success: false,
+  message: 'Email address is already in use',
+  code: 'EMAIL_ALREADY_EXISTS',
+  field: 'newEmail'
+});
+
+/**
+ * Shape an email change request for API responses
+ *
+ * @param {Object} change - Request from EmailChangeModel
+ * @returns {Object} Public request fields
+ */
+const toPublicEmailChange = (change) => ({
+  id: change.id,
+  oldEmail: change.oldEmail,
+  newEmail: change.newEmail,
+  status: change.status,
+  requestedAt: change.createdAt,
+  expiresAt: change.expiresAt
+});
+
+/**
+ * Send the confirmation link and the old-address notice
+ * A failed email is logged; the user can simply ask again
+ *
+ * @param {Object} user - User object
+ * @param {Object} change - Created request with plain tokens
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<void>}
+ */
+const sendEmailChangeEmails = async (user, change, options) => {
+  const { ipAddress, userAgent } = options;
+  const firstName = user.firstName || 'there';
+
+  try {
+    await sendTemplateEmail('emailChangeConfirm', change.newEmail, {
+      firstName,
+      newEmail: change.newEmail,
+      confirmUrl: `${config.frontend.emailChangeConfirmUrl}?token=${change.plainConfirmToken}`,
+      expiresInMinutes: config.auth.emailChangeExpiresMinutes
+    });
+  } catch (error) {
+    logger.logError('Failed to send email change confirmation', error, { userId: user.id });
+  }
+
+  try {
+    await sendTemplateEmail('emailChangeNotice', change.oldEmail, {
+      firstName,
+      oldEmail: change.oldEmail,
+      newEmail: change.newEmail,
+      cancelUrl: `${config.frontend.emailChangeCancelUrl}?token=${change.plainCancelToken}`,
+      cancelDays: config.auth.emailChangeCancelDays,
+      requestedAt: new Date().toUTCString(),
+      ipAddress: ipAddress || 'unknown',
+      userAgent: userAgent || 'unknown'
+    });
+  } catch (error) {
+    logger.logError('Failed to send email change notice', error, { userId: user.id });
+  }
+};
+
+/**
+ * Ask to change the email address of the current user
+ *
+ * @param {Object} actor - req.user { userId, sessionId }
+ * @param {Object} data - { newEmail }
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Result with { emailChange }
+ */
+const requestEmailChange = async (actor, data, options = {}) => {
+  try {
+    const { ipAddress, userAgent } = options;
+
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.emailChangeRequest.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const user = await UserModel.findById(actor.userId);
+    if (!user) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    if (validatedData.newEmail === user.email.toLowerCase()) {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: ['New email must be different from your current email'],
+        field: 'newEmail'
+      };
+    }
+
+    if (await UserModel.emailExists(validatedData.newEmail, user.id)) {
+      return emailTakenResult();
+    }
+
+    const now = Date.now();
+    const change = await EmailChangeModel.create({
+      userId: user.id,
+      oldEmail: user.email,
+      newEmail: validatedData.newEmail,
+      expiresAt: new Date(now + config.auth.emailChangeExpiresMinutes * 60 * 1000),
+      cancelExpiresAt: new Date(now + config.auth.emailChangeCancelDays * 24 * 60 * 60 * 1000),
+      sessionId: actor.sessionId,
+      ipAddress,
+      userAgent
+    });
+
+    await sendEmailChangeEmails(user, change, { ipAddress, userAgent });
+
+    logger.logSecurity('Email change requested', {
+      userId: user.id,
+      emailChangeId: change.id,
+      newEmail: change.newEmail,
+      ipAddress
+    });
+
+    return {
+      success: true,
+      message: `We sent a confirmation link to ${change.newEmail}`,
+      data: {
+        emailChange: toPublicEmailChange(change)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in requestEmailChange:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to request email change',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Get the pending email change of a user
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Result with { emailChange } (null if none is pending)
+ */
+const getPendingEmailChange = async (userId) => {
+  try {
+    const change = await EmailChangeModel.findPendingByUserId(userId);
+
+    return {
+      success: true,
+      message: change ? 'Email change pending' : 'No email change pending',
+      data: {
+        emailChange: change ? toPublicEmailChange(change) : null
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getPendingEmailChange:', error);
+
+    return {
+      success: false,
+      message: 'Failed to retrieve email change',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Confirm an email change with the link sent to the new address
+ * The address is checked again inside the transaction, since another account
+ * may have taken it after the request was made
+ *
+ * @param {Object} data - { token }
+ * @param {Object} options - { ipAddress }
+ * @returns {Promise<Object>} Result with { email, revokedSessions }
+ */
+const confirmEmailChange = async (data, options = {}) => {
+  try {
+    const { ipAddress } = options;
+
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.emailChangeToken.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const change = await EmailChangeModel.findByConfirmToken(validatedData.token);
+    if (!change || change.status !== 'pending' || new Date() > new Date(change.expiresAt)) {
+      return invalidLinkResult();
+    }
+
+    await executeTransaction(async () => {
+      if (await UserModel.emailExists(change.newEmail, change.userId)) {
+        throw Object.assign(new Error('Email address is already in use'), { result: emailTakenResult() });
+      }
+
+      // Only one request can confirm the change
+      const confirmed = await EmailChangeModel.updateStatus(change.id, 'pending', 'confirmed');
+      if (!confirmed) {
+        throw Object.assign(new Error('Email change is no longer pending'), { result: invalidLinkResult() });
+      }
+
+      // The user's address may have changed since the request
+      const changed = await UserModel.changeEmail(change.userId, change.oldEmail, change.newEmail);
+      if (!changed) {
+        throw Object.assign(new Error('Email address changed since the request'), { result: invalidLinkResult() });
+      }
+    });
+
+    // Everyone signed in with the old address has to log in again
+    const revokedSessions = await SessionModel.revokeAllUserSessions(change.userId, 'email_changed', change.sessionId);
+
+    logger.logSecurity('Email changed', {
+      userId: change.userId,
+      emailChangeId: change.id,
+      oldEmail: change.oldEmail,
+      newEmail: change.newEmail,
+      revokedSessions,
+      ipAddress
+    });
+
+    return {
+      success: true,
+      message: 'Email address changed successfully',
+      data: {
+        email: change.newEmail,
+        emailVerified: true,
+        revokedSessions
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in confirmEmailChange:', error);
+
+    // A check inside the transaction failed and it was rolled back
+    if (error.result) {
+      return error.result;
+    }
+
+    // Another account took the address between the check and the update
+    if (/already in use/i.test(error.message)) {
+      return emailTakenResult();
+    }
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to confirm email change',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Cancel an email change with the link sent to the old address
+ * A pending change is dropped; a confirmed one is reverted and every session
+ * of the user is revoked, since someone else may have made it
+ *
+ * @param {Object} data - { token }
+ * @param {Object} options - { ipAddress }
+ * @returns {Promise<Object>} Result with { email, reverted, revokedSessions }
+ */
+const cancelEmailChange = async (data, options = {}) => {
+  try {
+    const { ipAddress } = options;
+
+    // Validate request data using Yup
+    const validatedData = await schemas.auth.emailChangeToken.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const change = await EmailChangeModel.findByCancelToken(validatedData.token);
+    if (!change || new Date() > new Date(change.cancelExpiresAt)) {
+      return invalidLinkResult();
+    }
+
+    if (change.status === 'pending') {
+      const cancelled = await EmailChangeModel.updateStatus(change.id, 'pending', 'cancelled');
+      if (!cancelled) {
+        return invalidLinkResult();
+      }
+
+      logger.logSecurity('Email change cancelled', {
+        userId: change.userId,
+        emailChangeId: change.id,
+        ipAddress
+      });
+
+      return {
+        success: true,
+        message: 'Email change cancelled',
+        data: {
+          email: change.oldEmail,
+          reverted: false,
+          revokedSessions: 0
+        }
+      };
+    }
+
+    if (change.status !== 'confirmed') {
+      return invalidLinkResult();
+    }
+
+    await executeTransaction(async () => {
+      if (await UserModel.emailExists(change.oldEmail, change.userId)) {
+        throw Object.assign(new Error('Email address is already in use'), {
+          result: { ...emailTakenResult(), field: 'token' }
+        });
+      }
+
+      const reverted = await EmailChangeModel.updateStatus(change.id, 'confirmed', 'reverted');
+      if (!reverted) {
+        throw Object.assign(new Error('Email change is no longer confirmed'), { result: invalidLinkResult() });
+      }
+
+      const changed = await UserModel.changeEmail(change.userId, change.newEmail, change.oldEmail);
+      if (!changed) {
+        throw Object.assign(new Error('Email address changed since the confirmation'), { result: invalidLinkResult() });
+      }
+    });
+
+    const revokedSessions = await SessionModel.revokeAllUserSessions(change.userId, 'security');
+
+    logger.logSecurity('Email change reverted', {
+      userId: change.userId,
+      emailChangeId: change.id,
+      restoredEmail: change.oldEmail,
+      removedEmail: change.newEmail,
+      revokedSessions,
+      ipAddress
+    });
+
+    return {
+      success: true,
+      message: 'Email change reverted. Please log in and change your password.',
+      data: {
+        email: change.oldEmail,
+        reverted: true,
+        revokedSessions
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in cancelEmailChange:', error);
+
+    // A check inside the transaction failed and it was rolled back
+    if (error.result) {
+      return error.result;
+    }
+
+    if (/already in use/i.test(error.message)) {
+      return { ...emailTakenResult(), field: 'token' };
+    }
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to cancel email change',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  requestEmailChange,
+  getPendingEmailChange,
+  confirmEmailChange,
+  cancelEmailChange
+};
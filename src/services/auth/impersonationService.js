@@ -0,0 +1,301 @@
+/**
+ * File: src/services/auth/impersonationService.js
+ * Impersonation Service - Admin "Login As User"
+ *
+ * This file lets support staff act as another user to reproduce what that user
+ * sees, and keeps the audit trail of doing so.
+ *
+ * For beginners:
+ * - Impersonating opens a normal session for the target user, marked with the
+ *   staff member (impersonatorId), their own session and the reason they gave
+ * - The access token carries impersonatorId too, lives for
+ *   IMPERSONATION_EXPIRES_MINUTES and has no refresh token
+ * - Staff can only impersonate users whose permissions they hold themselves,
+ *   so impersonation never grants more access than the staff member has
+ * - Uses functional programming instead of classes
+ */
+
+const { UserModel, SessionModel } = require('../../models');
+const jwtService = require('./jwtService');
+const userRoleService = require('../rbac/userRoleService');
+const { schemas } = require('../../schemas');
+const config = require('../../../config/environment');
+const logger = require('../../utils/logger');
+
+/**
+ * Shape an impersonation session for API responses
+ *
+ * @param {Object} session - Session from SessionModel.findImpersonations
+ * @returns {Object} Public impersonation fields
+ */
+const toPublicImpersonation = (session) => ({
+  sessionId: session.id,
+  userId: session.userId,
+  userEmail: session.user ? session.user.email : null,
+  impersonatorId: session.impersonatorId,
+  impersonatorEmail: session.impersonatorEmail || null,
+  reason: session.impersonationReason,
+  ipAddress: session.ipAddress,
+  userAgent: session.userAgent,
+  startedAt: session.createdAt,
+  expiresAt: session.expiresAt,
+  lastUsedAt: session.lastUsedAt,
+  isActive: session.isActive && new Date(session.expiresAt) > new Date(),
+  endedAt: session.revokedAt,
+  endedReason: session.revokedReason
+});
+
+/**
+ * Start impersonating a user
+ *
+ * @param {Object} actor - req.user of the staff member { userId, sessionId, impersonatorId }
+ * @param {number} targetUserId - User to impersonate
+ * @param {Object} data - { reason }
+ * @param {Object} options - { ipAddress, userAgent }
+ * @returns {Promise<Object>} Result with { user, tokens, session, impersonation }
+ */
+const startImpersonation = async (actor, targetUserId, data, options = {}) => {
+  try {
+    const { ipAddress, userAgent } = options;
+
+    const validatedData = await schemas.auth.startImpersonation.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    if (actor.impersonatorId) {
+      return {
+        success: false,
+        message: 'End the current impersonation first',
+        code: 'IMPERSONATION_NOT_ALLOWED'
+      };
+    }
+
+    if (targetUserId === actor.userId) {
+      return {
+        success: false,
+        message: 'You cannot impersonate yourself',
+        code: 'IMPERSONATION_NOT_ALLOWED'
+      };
+    }
+
+    const target = await UserModel.findById(targetUserId);
+    if (!target) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    if (!target.isActive) {
+      return {
+        success: false,
+        message: 'Inactive users cannot be impersonated',
+        code: 'IMPERSONATION_NOT_ALLOWED'
+      };
+    }
+
+    // Impersonating must not grant permissions the staff member doesn't hold
+    const [actorPermissions, targetPermissions] = await Promise.all([
+      userRoleService.getUserPermissions(actor.userId, { skipCache: true }),
+      userRoleService.getUserPermissions(target.id, { skipCache: true })
+    ]);
+
+    if (!actorPermissions.success || !targetPermissions.success) {
+      return {
+        success: false,
+        message: 'Failed to compare permissions',
+        error: actorPermissions.error || targetPermissions.error
+      };
+    }
+
+    const notHeld = targetPermissions.data.permissions.filter(perm => !actorPermissions.data.permissions.includes(perm));
+    if (notHeld.length > 0) {
+      logger.logSecurity('Impersonation of more privileged user refused', {
+        impersonatorId: actor.userId,
+        userId: target.id,
+        permissionsNotHeld: notHeld,
+        ipAddress
+      });
+
+      return {
+        success: false,
+        message: 'This user holds permissions you don\'t have',
+        code: 'IMPERSONATION_NOT_ALLOWED'
+      };
+    }
+
+    const expiresInMinutes = config.auth.impersonationExpiresMinutes;
+    const expiresAt = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    const accessToken = jwtService.generateAccessToken({
+      userId: target.id,
+      email: target.email,
+      isVerified: target.emailVerified,
+      amr: ['imp'],
+      impersonatorId: actor.userId,
+      impersonatorSessionId: actor.sessionId
+    }, { expiresIn: `${expiresInMinutes}m` });
+
+    const session = await SessionModel.create({
+      userId: target.id,
+      impersonatorId: actor.userId,
+      impersonatorSessionId: actor.sessionId,
+      impersonationReason: validatedData.reason,
+      sessionToken: accessToken,
+      deviceName: 'Impersonation',
+      ipAddress,
+      userAgent,
+      expiresAt
+    });
+
+    logger.logSecurity('Impersonation started', {
+      impersonatorId: actor.userId,
+      impersonatorSessionId: actor.sessionId,
+      userId: target.id,
+      sessionId: session.id,
+      reason: validatedData.reason,
+      ipAddress
+    });
+
+    return {
+      success: true,
+      message: `Impersonating ${target.email}`,
+      data: {
+        user: {
+          id: target.id,
+          email: target.email,
+          firstName: target.firstName,
+          lastName: target.lastName
+        },
+        tokens: {
+          accessToken,
+          expiresIn: `${expiresInMinutes}m`
+        },
+        session: {
+          id: session.id,
+          expiresAt
+        },
+        impersonation: {
+          impersonatorId: actor.userId,
+          reason: validatedData.reason
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in startImpersonation:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to start impersonation',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * End the impersonation the request is made with
+ *
+ * @param {Object} actor - req.user of the impersonation token
+ * @param {Object} options - { ipAddress }
+ * @returns {Promise<Object>} End result
+ */
+const endImpersonation = async (actor, options = {}) => {
+  try {
+    if (!actor.impersonatorId) {
+      return {
+        success: false,
+        message: 'This session is not an impersonation',
+        code: 'NOT_IMPERSONATING'
+      };
+    }
+
+    await SessionModel.revokeSession(actor.sessionId, 'impersonation_ended');
+
+    logger.logSecurity('Impersonation ended', {
+      impersonatorId: actor.impersonatorId,
+      userId: actor.userId,
+      sessionId: actor.sessionId,
+      ipAddress: options.ipAddress
+    });
+
+    return {
+      success: true,
+      message: 'Impersonation ended',
+      data: {
+        userId: actor.userId,
+        impersonatorId: actor.impersonatorId
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in endImpersonation:', error);
+
+    return {
+      success: false,
+      message: 'Failed to end impersonation',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List impersonation sessions (the audit trail)
+ *
+ * @param {Object} query - { impersonatorId, userId, activeOnly, limit }
+ * @returns {Promise<Object>} Result with { impersonations }
+ */
+const listImpersonations = async (query = {}) => {
+  try {
+    const validatedQuery = await schemas.auth.listImpersonations.validate(query, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const sessions = await SessionModel.findImpersonations(validatedQuery);
+
+    return {
+      success: true,
+      message: 'Impersonation sessions retrieved successfully',
+      data: {
+        impersonations: sessions.map(toPublicImpersonation)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in listImpersonations:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to retrieve impersonation sessions',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  endImpersonation,
+  listImpersonations
+};
@@ -9,19 +9,25 @@
  * - JWT (JSON Web Token) is used for secure authentication
  * - Tokens contain user information and expire after a set time
  * - Access tokens are short-lived, refresh tokens are longer-lived
+ * - Every token carries a unique ID (jti) so it can be revoked on its own;
+ *   the verify functions reject tokens found on the denylist
  * - This service uses functional programming approach
  */
 
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../../../config/environment');
+const jwtKeys = require('../../../config/jwtKeys');
+const tokenDenylist = require('./tokenDenylistService');
 
 /**
  * Generate access token for user authentication
  *
  * @param {Object} payload - Token payload (user data)
+ * @param {Object} options - { expiresIn } to override JWT_EXPIRES_IN, e.g. for impersonation
  * @returns {string} JWT access token
  */
-const generateAccessToken = (payload) => {
+const generateAccessToken = (payload, options = {}) => {
   try {
     const tokenPayload = {
       ...payload,
@@ -29,9 +35,12 @@ const generateAccessToken = (payload) => {
       iat: Math.floor(Date.now() / 1000) // Issued at
     };
 
-    return jwt.sign(tokenPayload, config.jwt.secret, {
-      expiresIn: config.jwt.expiresIn,
-      algorithm: config.jwt.algorithm,
+    const signing = jwtKeys.getSigningKey('access');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
+      expiresIn: options.expiresIn || config.jwt.expiresIn,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -44,8 +53,10 @@ const generateAccessToken = (payload) => {
 
 /**
  * Generate refresh token for token renewal
+ * Every refresh token gets its own ID, so a rotated token never equals the
+ * one it replaces even when both are issued within the same second
  *
- * @param {Object} payload - Token payload (user data)
+ * @param {Object} payload - Token payload (user data, tokenFamily)
  * @returns {string} JWT refresh token
  */
 const generateRefreshToken = (payload) => {
@@ -56,9 +67,12 @@ const generateRefreshToken = (payload) => {
       iat: Math.floor(Date.now() / 1000) // Issued at
     };
 
-    return jwt.sign(tokenPayload, config.jwt.refreshSecret || config.jwt.secret, {
+    const signing = jwtKeys.getSigningKey('refresh');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
       expiresIn: config.jwt.refreshExpiresIn,
-      algorithm: config.jwt.algorithm,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -69,13 +83,31 @@ const generateRefreshToken = (payload) => {
   }
 };
 
+/**
+ * Check a verified token against the denylist
+ *
+ * @private
+ * @param {Object} decoded - Verified token payload
+ * @returns {Promise<boolean>} True if the token was revoked
+ */
+const isDenylisted = async (decoded) => {
+  const revoked = await tokenDenylist.isRevoked(decoded.jti);
+
+  if (revoked) {
+    console.warn(`Revoked ${decoded.type} token presented`);
+  }
+
+  return revoked;
+};
+
 /**
  * Verify access token
  *
  * @param {string} token - JWT access token to verify
- * @returns {Object|null} Decoded token payload or null if invalid
+ * @param {Object} options - { checkRevoked: false } skips the denylist (caller checks it)
+ * @returns {Promise<Object|null>} Decoded token payload or null if invalid
  */
-const verifyAccessToken = (token) => {
+const verifyAccessToken = async (token, options = {}) => {
   try {
     if (!token) {
       return null;
@@ -84,8 +116,15 @@ const verifyAccessToken = (token) => {
     // Remove 'Bearer ' prefix if present
     const cleanToken = token.startsWith('Bearer ') ? token.slice(7) : token;
 
-    const decoded = jwt.verify(cleanToken, config.jwt.secret, {
-      algorithms: [config.jwt.algorithm],
+    // With RS256/ES256 the key, and its algorithm, is picked by the token's kid
+    const verification = jwtKeys.getVerificationKey(cleanToken, 'access');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(cleanToken, verification.key, {
+      algorithms: verification.algorithms,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -96,6 +135,10 @@ const verifyAccessToken = (token) => {
       return null;
     }
 
+    if (options.checkRevoked !== false && await isDenylisted(decoded)) {
+      return null;
+    }
+
     return decoded;
 
   } catch (error) {
@@ -117,16 +160,22 @@ const verifyAccessToken = (token) => {
  * Verify refresh token
  *
  * @param {string} token - JWT refresh token to verify
- * @returns {Object|null} Decoded token payload or null if invalid
+ * @returns {Promise<Object|null>} Decoded token payload or null if invalid
  */
-const verifyRefreshToken = (token) => {
+const verifyRefreshToken = async (token) => {
   try {
     if (!token) {
       return null;
     }
 
-    const decoded = jwt.verify(token, config.jwt.refreshSecret || config.jwt.secret, {
-      algorithms: [config.jwt.algorithm],
+    const verification = jwtKeys.getVerificationKey(token, 'refresh');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(token, verification.key, {
+      algorithms: verification.algorithms,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -137,6 +186,10 @@ const verifyRefreshToken = (token) => {
       return null;
     }
 
+    if (await isDenylisted(decoded)) {
+      return null;
+    }
+
     return decoded;
 
   } catch (error) {
@@ -407,9 +460,12 @@ const generatePasswordResetToken = (payload) => {
       iat: Math.floor(Date.now() / 1000)
     };
 
-    return jwt.sign(tokenPayload, config.jwt.secret, {
+    const signing = jwtKeys.getSigningKey('access');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
       expiresIn: config.auth.passwordResetExpiresIn,
-      algorithm: config.jwt.algorithm,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -424,12 +480,18 @@ const generatePasswordResetToken = (payload) => {
  * Verify password reset token
  *
  * @param {string} token - Password reset token
- * @returns {Object|null} Decoded payload or null if invalid
+ * @returns {Promise<Object|null>} Decoded payload or null if invalid
  */
-const verifyPasswordResetToken = (token) => {
+const verifyPasswordResetToken = async (token) => {
   try {
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      algorithms: [config.jwt.algorithm],
+    const verification = jwtKeys.getVerificationKey(token, 'access');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(token, verification.key, {
+      algorithms: verification.algorithms,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -440,6 +502,10 @@ const verifyPasswordResetToken = (token) => {
       return null;
     }
 
+    if (await isDenylisted(decoded)) {
+      return null;
+    }
+
     return decoded;
 
   } catch (error) {
@@ -469,9 +535,12 @@ const generateEmailVerificationToken = (payload) => {
       iat: Math.floor(Date.now() / 1000)
     };
 
-    return jwt.sign(tokenPayload, config.jwt.secret, {
+    const signing = jwtKeys.getSigningKey('access');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
       expiresIn: config.auth.emailVerificationExpiresIn,
-      algorithm: config.jwt.algorithm,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -486,12 +555,18 @@ const generateEmailVerificationToken = (payload) => {
  * Verify email verification token
  *
  * @param {string} token - Email verification token
- * @returns {Object|null} Decoded payload or null if invalid
+ * @returns {Promise<Object|null>} Decoded payload or null if invalid
  */
-const verifyEmailVerificationToken = (token) => {
+const verifyEmailVerificationToken = async (token) => {
   try {
-    const decoded = jwt.verify(token, config.jwt.secret, {
-      algorithms: [config.jwt.algorithm],
+    const verification = jwtKeys.getVerificationKey(token, 'access');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(token, verification.key, {
+      algorithms: verification.algorithms,
       issuer: config.jwt.issuer,
       audience: config.jwt.audience
     });
@@ -502,6 +577,10 @@ const verifyEmailVerificationToken = (token) => {
       return null;
     }
 
+    if (await isDenylisted(decoded)) {
+      return null;
+    }
+
     return decoded;
 
   } catch (error) {
@@ -517,6 +596,288 @@ const verifyEmailVerificationToken = (token) => {
   }
 };
 
+/**
+ * Create MFA pending token
+ * Proves the password step of a login passed; it is only accepted by the
+ * MFA verification endpoint, never as an access token
+ *
+ * @param {Object} payload - Pending login payload
+ * @returns {string} MFA pending token
+ */
+const generateMfaPendingToken = (payload) => {
+  try {
+    const tokenPayload = {
+      ...payload,
+      type: 'mfa_pending',
+      iat: Math.floor(Date.now() / 1000)
+    };
+
+    const signing = jwtKeys.getSigningKey('access');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
+      expiresIn: config.mfa.pendingTokenExpiresIn,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+
+  } catch (error) {
+    console.error('Error generating MFA pending token:', error);
+    throw new Error(`Failed to generate MFA pending token: ${error.message}`);
+  }
+};
+
+/**
+ * Verify MFA pending token
+ *
+ * @param {string} token - MFA pending token
+ * @returns {Promise<Object|null>} Decoded payload or null if invalid
+ */
+const verifyMfaPendingToken = async (token) => {
+  try {
+    const verification = jwtKeys.getVerificationKey(token, 'access');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(token, verification.key, {
+      algorithms: verification.algorithms,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+
+    // Check token type
+    if (decoded.type !== 'mfa_pending') {
+      console.warn('Invalid token type for MFA verification');
+      return null;
+    }
+
+    if (await isDenylisted(decoded)) {
+      return null;
+    }
+
+    return decoded;
+
+  } catch (error) {
+    // Expired or tampered tokens are an expected outcome, not an error
+    if (error.name !== 'TokenExpiredError' && error.name !== 'JsonWebTokenError') {
+      console.error('Error verifying MFA pending token:', error);
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Create password change token
+ * Issued instead of a session when a login uses an expired password; it is
+ * only accepted by the expired password endpoint, never as an access token
+ *
+ * @param {Object} payload - Pending login payload
+ * @returns {string} Password change token
+ */
+const generatePasswordChangeToken = (payload) => {
+  try {
+    const tokenPayload = {
+      ...payload,
+      type: 'password_change',
+      iat: Math.floor(Date.now() / 1000)
+    };
+
+    const signing = jwtKeys.getSigningKey('access');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
+      expiresIn: config.passwordPolicy.changeTokenExpiresIn,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+
+  } catch (error) {
+    console.error('Error generating password change token:', error);
+    throw new Error(`Failed to generate password change token: ${error.message}`);
+  }
+};
+
+/**
+ * Verify password change token
+ *
+ * @param {string} token - Password change token
+ * @returns {Promise<Object|null>} Decoded payload or null if invalid
+ */
+const verifyPasswordChangeToken = async (token) => {
+  try {
+    const verification = jwtKeys.getVerificationKey(token, 'access');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(token, verification.key, {
+      algorithms: verification.algorithms,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+
+    // Check token type
+    if (decoded.type !== 'password_change') {
+      console.warn('Invalid token type for expired password change');
+      return null;
+    }
+
+    if (await isDenylisted(decoded)) {
+      return null;
+    }
+
+    return decoded;
+
+  } catch (error) {
+    // Expired or tampered tokens are an expected outcome, not an error
+    if (error.name !== 'TokenExpiredError' && error.name !== 'JsonWebTokenError') {
+      console.error('Error verifying password change token:', error);
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Create OIDC state token
+ * Carries the state, nonce and PKCE verifier of a provider sign-in between
+ * the authorization redirect and the callback
+ *
+ * @param {Object} payload - { provider, intent, state, nonce, codeVerifier, userId? }
+ * @returns {string} OIDC state token
+ */
+const generateOidcStateToken = (payload) => {
+  try {
+    const tokenPayload = {
+      ...payload,
+      type: 'oidc_state',
+      iat: Math.floor(Date.now() / 1000)
+    };
+
+    const signing = jwtKeys.getSigningKey('access');
+
+    return jwt.sign(tokenPayload, signing.key, {
+      ...signing.options,
+      jwtid: crypto.randomUUID(),
+      expiresIn: config.oidc.stateExpiresIn,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+
+  } catch (error) {
+    console.error('Error generating OIDC state token:', error);
+    throw new Error(`Failed to generate OIDC state token: ${error.message}`);
+  }
+};
+
+/**
+ * Verify OIDC state token
+ *
+ * @param {string} token - OIDC state token
+ * @returns {Promise<Object|null>} Decoded payload or null if invalid
+ */
+const verifyOidcStateToken = async (token) => {
+  try {
+    const verification = jwtKeys.getVerificationKey(token, 'access');
+    if (!verification) {
+      console.warn('Token signed with an unknown or expired key');
+      return null;
+    }
+
+    const decoded = jwt.verify(token, verification.key, {
+      algorithms: verification.algorithms,
+      issuer: config.jwt.issuer,
+      audience: config.jwt.audience
+    });
+
+    // Check token type
+    if (decoded.type !== 'oidc_state') {
+      console.warn('Invalid token type for OIDC callback');
+      return null;
+    }
+
+    if (await isDenylisted(decoded)) {
+      return null;
+    }
+
+    return decoded;
+
+  } catch (error) {
+    // Expired or tampered tokens are an expected outcome, not an error
+    if (error.name !== 'TokenExpiredError' && error.name !== 'JsonWebTokenError') {
+      console.error('Error verifying OIDC state token:', error);
+    }
+
+    return null;
+  }
+};
+
+/**
+ * Revoke a token until it expires
+ * The token is decoded without verification: revoking a forged token's jti
+ * is harmless, and expired tokens need no entry
+ *
+ * @param {string} token - Any JWT issued by this service
+ * @param {Object} options - { reason, revokedBy }
+ * @returns {Promise<Object>} { revoked, jti, tokenType, userId, expiresAt }
+ */
+const revokeToken = async (token, options = {}) => {
+  const decoded = decodeToken(token);
+  const payload = decoded?.payload;
+
+  if (!payload || !payload.jti || !payload.exp) {
+    throw new Error('Token has no jti or expiry and cannot be revoked');
+  }
+
+  const expiresAt = new Date(payload.exp * 1000);
+  const revoked = await tokenDenylist.revoke(payload.jti, expiresAt, {
+    tokenType: payload.type,
+    userId: payload.userId,
+    reason: options.reason,
+    revokedBy: options.revokedBy
+  });
+
+  return {
+    revoked,
+    jti: payload.jti,
+    tokenType: payload.type || null,
+    userId: payload.userId || null,
+    expiresAt
+  };
+};
+
+/**
+ * Revoke a token by its jti alone
+ * Without the token its expiry is unknown, so the entry is kept for
+ * expiresAt or, if omitted, config.auth.tokenDenylistDefaultTtl seconds
+ *
+ * @param {string} jti - JWT ID
+ * @param {Object} options - { expiresAt, reason, revokedBy }
+ * @returns {Promise<Object>} { revoked, jti, expiresAt }
+ */
+const revokeTokenById = async (jti, options = {}) => {
+  const expiresAt = options.expiresAt
+    ? new Date(options.expiresAt)
+    : new Date(Date.now() + config.auth.tokenDenylistDefaultTtl * 1000);
+
+  const revoked = await tokenDenylist.revoke(jti, expiresAt, {
+    reason: options.reason,
+    revokedBy: options.revokedBy
+  });
+
+  return {
+    revoked,
+    jti,
+    expiresAt
+  };
+};
+
 module.exports = {
   // Token generation
   generateAccessToken,
@@ -524,12 +885,22 @@ module.exports = {
   generateTokenPair,
   generatePasswordResetToken,
   generateEmailVerificationToken,
+  generateMfaPendingToken,
+  generatePasswordChangeToken,
+  generateOidcStateToken,
 
   // Token verification
   verifyAccessToken,
   verifyRefreshToken,
   verifyPasswordResetToken,
   verifyEmailVerificationToken,
+  verifyMfaPendingToken,
+  verifyPasswordChangeToken,
+  verifyOidcStateToken,
+
+  // Token revocation
+  revokeToken,
+  revokeTokenById,
 
   // Token utilities
   decodeToken,
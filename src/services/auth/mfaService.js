@@ -0,0 +1,481 @@
+/**
+ * File: src/services/auth/mfaService.js
+ * MFA Service - TOTP Two-Factor Authentication
+ *
+ * This file handles two-factor enrollment, checking codes, recovery codes
+ * and turning two-factor authentication off.
+ *
+ * For beginners:
+ * - Enrollment is two steps: startEnrollment creates a secret (shown as a QR
+ *   code), confirmEnrollment proves the authenticator app produces the codes
+ * - Recovery codes are shown once, when they are generated; only hashes are kept
+ * - Roles can require MFA (roles.require_mfa); that applies to everyone holding
+ *   the role, including through a child role that inherits from it
+ * - Wrong codes count as failed logins, so guessing locks the account
+ * - Uses functional programming instead of classes
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { MfaModel, UserModel, RoleModel, UserRoleModel } = require('../../models');
+const { schemas } = require('../../schemas');
+const { expandHeldRoles } = require('../rbac/roleConstraintService');
+const totp = require('../../utils/totp');
+const config = require('../../../config/environment');
+
+/**
+ * Key for encrypting stored TOTP secrets
+ *
+ * @returns {Buffer} 32-byte key
+ */
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(config.mfa.encryptionKey || config.jwt.secret)
+  .digest();
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ *
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv.tag.ciphertext, base64 encoded
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ *
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Hash a recovery code for storage and lookup
+ *
+ * @param {string} code - Recovery code (any case, with or without the dash)
+ * @returns {string} SHA-256 hex digest
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Generate a fresh set of recovery codes
+ *
+ * @returns {Array} Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = () => Array.from({ length: config.mfa.recoveryCodeCount }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+/**
+ * Result for a wrong, expired or replayed code
+ *
+ * @returns {Object} Service result
+ */
+const invalidCodeResult = () => ({
+  success: false,
+  code: 'MFA_CODE_INVALID',
+  message: 'Invalid two-factor code'
+});
+
+/**
+ * Work out whether a user has MFA enabled and whether any of their roles require it
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { enabled, required, requiredByRoles }
+ */
+const getMfaRequirement = async (userId) => {
+  const mfa = await MfaModel.findByUserId(userId);
+  const requiredRoles = await RoleModel.getMfaRequiredRoles();
+
+  let requiredByRoles = [];
+
+  if (requiredRoles.length > 0) {
+    const rolesResult = await UserRoleModel.getUserRoles(userId);
+    if (!rolesResult.success) {
+      throw new Error(rolesResult.message);
+    }
+
+    const held = expandHeldRoles(rolesResult.data.roles.map(role => role.role_id), await RoleModel.getParentMap());
+    requiredByRoles = requiredRoles.filter(role => held.has(role.id)).map(role => role.name);
+  }
+
+  return {
+    enabled: Boolean(mfa && mfa.isEnabled),
+    required: requiredByRoles.length > 0,
+    requiredByRoles
+  };
+};
+
+/**
+ * Check a second factor for a user with MFA enabled
+ * Accepted codes are used up; wrong codes count towards the account lockout
+ *
+ * @param {number} userId - User ID
+ * @param {Object} factor - { code } or { recoveryCode }, already validated
+ * @returns {Promise<Object>} Verification result with the method used
+ */
+const verifySecondFactor = async (userId, factor) => {
+  const mfa = await MfaModel.findByUserId(userId);
+  if (!mfa || !mfa.isEnabled) {
+    return {
+      success: false,
+      code: 'MFA_NOT_ENABLED',
+      message: 'Two-factor authentication is not enabled'
+    };
+  }
+
+  let accepted = false;
+  let method = 'totp';
+
+  if (factor.recoveryCode) {
+    method = 'recovery_code';
+    accepted = await MfaModel.consumeRecoveryCode(userId, hashRecoveryCode(factor.recoveryCode));
+  } else {
+    const timeStep = totp.verifyCode(decryptSecret(mfa.secretEncrypted), factor.code);
+    // markStepUsed refuses a step at or before the last accepted one (replays)
+    accepted = timeStep !== null && await MfaModel.markStepUsed(userId, timeStep);
+  }
+
+  if (!accepted) {
+    await UserModel.incrementFailedLoginAttempts(userId);
+    return invalidCodeResult();
+  }
+
+  return {
+    success: true,
+    message: 'Two-factor code accepted',
+    data: {
+      method,
+      recoveryCodesRemaining: await MfaModel.countUnusedRecoveryCodes(userId)
+    }
+  };
+};
+
+/**
+ * Get the MFA status of a user
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Status result
+ */
+const getMfaStatus = async (userId) => {
+  try {
+    const requirement = await getMfaRequirement(userId);
+    const mfa = await MfaModel.findByUserId(userId);
+
+    return {
+      success: true,
+      message: 'MFA status retrieved successfully',
+      data: {
+        enabled: requirement.enabled,
+        enabledAt: requirement.enabled ? mfa.enabledAt : null,
+        enrollmentPending: Boolean(mfa && !mfa.isEnabled),
+        required: requirement.required,
+        requiredByRoles: requirement.requiredByRoles,
+        recoveryCodesRemaining: requirement.enabled ? await MfaModel.countUnusedRecoveryCodes(userId) : 0
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getMfaStatus:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve MFA status',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Start TOTP enrollment
+ * Creates a new secret; calling it again before confirming replaces the secret
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Result with the secret and otpauth URI for the QR code
+ */
+const startEnrollment = async (userId) => {
+  try {
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    const secret = totp.generateSecret();
+    const pending = await MfaModel.savePendingSecret(userId, encryptSecret(secret));
+
+    if (!pending) {
+      return {
+        success: false,
+        code: 'MFA_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: config.mfa.issuer
+        }),
+        digits: totp.DIGITS,
+        period: totp.STEP_SECONDS
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in startEnrollment:', error);
+    return {
+      success: false,
+      message: 'Failed to start MFA enrollment',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ *
+ * @param {number} userId - User ID
+ * @param {Object} data - { code }
+ * @returns {Promise<Object>} Result with the recovery codes (shown only now)
+ */
+const confirmEnrollment = async (userId, data) => {
+  try {
+    const validatedData = await schemas.auth.mfaCode.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const mfa = await MfaModel.findByUserId(userId);
+    if (!mfa) {
+      return {
+        success: false,
+        code: 'MFA_NOT_ENABLED',
+        message: 'Start two-factor enrollment first'
+      };
+    }
+
+    if (mfa.isEnabled) {
+      return {
+        success: false,
+        code: 'MFA_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    const timeStep = totp.verifyCode(decryptSecret(mfa.secretEncrypted), validatedData.code);
+    if (timeStep === null) {
+      await UserModel.incrementFailedLoginAttempts(userId);
+      return invalidCodeResult();
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const enabled = await MfaModel.enable(userId, timeStep, recoveryCodes.map(hashRecoveryCode));
+
+    if (!enabled) {
+      return {
+        success: false,
+        code: 'MFA_ALREADY_ENABLED',
+        message: 'Two-factor authentication is already enabled'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+      data: {
+        method: 'totp',
+        recoveryCodes
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in confirmEnrollment:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to confirm MFA enrollment',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Replace the recovery codes of a user
+ * Needs a current authenticator code, so a stolen session alone isn't enough
+ *
+ * @param {number} userId - User ID
+ * @param {Object} data - { code }
+ * @returns {Promise<Object>} Result with the new recovery codes
+ */
+const regenerateRecoveryCodes = async (userId, data) => {
+  try {
+    const validatedData = await schemas.auth.mfaCode.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const verification = await verifySecondFactor(userId, { code: validatedData.code });
+    if (!verification.success) {
+      return verification;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await MfaModel.replaceRecoveryCodes(userId, recoveryCodes.map(hashRecoveryCode));
+
+    return {
+      success: true,
+      message: 'Recovery codes regenerated. The old codes no longer work',
+      data: { recoveryCodes }
+    };
+
+  } catch (error) {
+    console.error('Error in regenerateRecoveryCodes:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to regenerate recovery codes',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Turn two-factor authentication off
+ * Needs the password and a second factor; refused while a held role requires MFA
+ *
+ * @param {number} userId - User ID
+ * @param {Object} data - { password, code } or { password, recoveryCode }
+ * @returns {Promise<Object>} Disable result
+ */
+const disableMfa = async (userId, data) => {
+  try {
+    const validatedData = await schemas.auth.mfaDisable.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    const requirement = await getMfaRequirement(userId);
+    if (!requirement.enabled) {
+      return {
+        success: false,
+        code: 'MFA_NOT_ENABLED',
+        message: 'Two-factor authentication is not enabled'
+      };
+    }
+
+    if (requirement.required) {
+      return {
+        success: false,
+        code: 'MFA_REQUIRED_BY_ROLE',
+        message: `Two-factor authentication is required by your role(s): ${requirement.requiredByRoles.join(', ')}`,
+        data: { requiredByRoles: requirement.requiredByRoles }
+      };
+    }
+
+    const userWithPassword = await UserModel.findByEmail(user.email, true);
+    const isPasswordValid = await bcrypt.compare(validatedData.password, userWithPassword.password);
+
+    if (!isPasswordValid) {
+      await UserModel.incrementFailedLoginAttempts(userId);
+      return {
+        success: false,
+        code: 'INVALID_CREDENTIALS',
+        message: 'Password is incorrect',
+        field: 'password'
+      };
+    }
+
+    const verification = await verifySecondFactor(userId, validatedData);
+    if (!verification.success) {
+      return verification;
+    }
+
+    await MfaModel.delete(userId);
+
+    return {
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: { enabled: false }
+    };
+
+  } catch (error) {
+    console.error('Error in disableMfa:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to disable MFA',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  getMfaRequirement,
+  verifySecondFactor,
+  getMfaStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableMfa
+};
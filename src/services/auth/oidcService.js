@@ -0,0 +1,655 @@
+/**
+ * File: src/services/auth/oidcService.js
+ * OIDC Service - Sign In With External OpenID Connect Providers
+ *
+ * This file handles the authorization code flow with Google, Microsoft or any
+ * other OpenID Connect issuer, and the identities that link provider accounts
+ * to local users.
+ *
+ * For beginners:
+ * - startAuthorization builds the provider URL the browser is sent to; the
+ *   random state, nonce and PKCE verifier travel in a signed, single-use state
+ *   token that the controller keeps in an HTTP-only cookie
+ * - The provider sends the browser back to the frontend with ?code&state; the
+ *   frontend posts both to us and completeAuthorization swaps the code for an
+ *   ID token, whose signature is checked against the provider's published keys
+ * - An unknown provider account creates a new user with the default role,
+ *   unless its email already belongs to an account: linking that is an explicit
+ *   step taken while logged in, so nobody can take over an account by
+ *   registering its email at some provider
+ * - Uses functional programming instead of classes
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { UserModel, UserIdentityModel, RoleModel, UserRoleModel } = require('../../models');
+const { executeTransaction } = require('../../models/database');
+const jwtService = require('./jwtService');
+const authService = require('./authService');
+const permissionCache = require('../rbac/permissionCacheService');
+const { schemas } = require('../../schemas');
+const config = require('../../../config/environment');
+const logger = require('../../utils/logger');
+
+// ID token algorithms we accept; symmetric ones would need the client secret as key
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// issuer -> { metadata, jwks, fetchedAt }
+const providerCache = new Map();
+
+/**
+ * Get a configured provider
+ *
+ * @param {string} name - Provider name (google, microsoft, oidc)
+ * @returns {Object|null} Provider settings with its name, or null if unknown or not configured
+ */
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(config.oidc.providers, name)
+    ? config.oidc.providers[name]
+    : null;
+
+  if (!provider || !provider.issuer || !provider.clientId) {
+    return null;
+  }
+
+  return { name, ...provider };
+};
+
+/**
+ * List the providers users can sign in with
+ *
+ * @returns {Array} [{ name, displayName }]
+ */
+const listProviders = () => {
+  return Object.keys(config.oidc.providers)
+    .map(getProvider)
+    .filter(Boolean)
+    .map(provider => ({ name: provider.name, displayName: provider.displayName }));
+};
+
+/**
+ * Fetch a provider's discovery document and signing keys, cached per issuer
+ *
+ * @private
+ * @param {Object} provider - Provider settings
+ * @param {Object} options - { refreshKeys } to reload the JWKS, e.g. after a key rotation
+ * @returns {Promise<Object>} { metadata, jwks }
+ */
+const loadProviderMetadata = async (provider, options = {}) => {
+  const cached = providerCache.get(provider.issuer);
+  const fresh = cached && Date.now() - cached.fetchedAt < config.oidc.metadataCacheTtl * 1000;
+
+  if (fresh && !options.refreshKeys) {
+    return cached;
+  }
+
+  const requestOptions = { timeout: config.oidc.httpTimeout };
+
+  const metadata = fresh
+    ? cached.metadata
+    : (await axios.get(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, requestOptions)).data;
+
+  // Microsoft's multi-tenant documents use an {tenantid} placeholder
+  if (metadata.issuer !== provider.issuer && !metadata.issuer.includes('{tenantid}')) {
+    throw new Error(`Discovery document is for issuer ${metadata.issuer}`);
+  }
+
+  const jwks = (await axios.get(metadata.jwks_uri, requestOptions)).data;
+
+  const entry = { metadata, jwks, fetchedAt: fresh ? cached.fetchedAt : Date.now() };
+  providerCache.set(provider.issuer, entry);
+
+  return entry;
+};
+
+/**
+ * Encode bytes as base64url, as PKCE and our random values use
+ *
+ * @private
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} base64url string
+ */
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Start a sign-in (or identity link) at a provider
+ *
+ * @param {string} providerName - Provider name
+ * @param {Object} options - { intent: 'login' | 'link', userId } (userId of the account to link to)
+ * @returns {Promise<Object>} Result with { provider, authorizationUrl, stateToken, expiresAt }
+ */
+const startAuthorization = async (providerName, options = {}) => {
+  try {
+    const { intent = 'login', userId = null } = options;
+
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return {
+        success: false,
+        message: 'Unknown sign-in provider',
+        code: 'OIDC_PROVIDER_UNKNOWN'
+      };
+    }
+
+    const { metadata } = await loadProviderMetadata(provider);
+
+    const state = toBase64Url(crypto.randomBytes(32));
+    const nonce = toBase64Url(crypto.randomBytes(32));
+    const codeVerifier = toBase64Url(crypto.randomBytes(32));
+    const codeChallenge = toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const stateToken = jwtService.generateOidcStateToken({
+      provider: provider.name,
+      intent,
+      userId: intent === 'link' ? userId : null,
+      state,
+      nonce,
+      codeVerifier
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: provider.clientId,
+      redirect_uri: config.frontend.oidcCallbackUrl,
+      scope: provider.scopes.join(' '),
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return {
+      success: true,
+      message: 'Continue at the provider',
+      data: {
+        provider: provider.name,
+        authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+        stateToken,
+        expiresAt: new Date(jwtService.decodeToken(stateToken).payload.exp * 1000)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in startAuthorization:', error);
+
+    return {
+      success: false,
+      message: 'Failed to start sign-in with provider',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ *
+ * @private
+ * @param {Object} provider - Provider settings
+ * @param {string} idToken - ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} ID token claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new Error('ID token is not a JWT');
+  }
+
+  const findKey = (jwks) => (jwks.keys || []).find(key =>
+    (decoded.header.kid ? key.kid === decoded.header.kid : true) && (!key.use || key.use === 'sig')
+  );
+
+  let { metadata, jwks } = await loadProviderMetadata(provider);
+  let jwk = findKey(jwks);
+
+  // Unknown kid: the provider may have rotated its keys since we cached them
+  if (!jwk) {
+    ({ metadata, jwks } = await loadProviderMetadata(provider, { refreshKeys: true }));
+    jwk = findKey(jwks);
+  }
+
+  if (!jwk) {
+    throw new Error('ID token signed with an unknown key');
+  }
+
+  const supported = metadata.id_token_signing_alg_values_supported || ['RS256'];
+  const algorithms = supported.filter(alg => ASYMMETRIC_ALGORITHMS.includes(alg));
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms,
+    issuer: metadata.issuer.replace('{tenantid}', decoded.payload.tid),
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  if (!claims.sub) {
+    throw new Error('ID token has no subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Swap an authorization code for the provider's verified ID token claims
+ *
+ * @private
+ * @param {Object} provider - Provider settings
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} statePayload - Verified state token payload (nonce, codeVerifier)
+ * @returns {Promise<Object>} ID token claims
+ */
+const exchangeCode = async (provider, code, statePayload) => {
+  const { metadata } = await loadProviderMetadata(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.frontend.oidcCallbackUrl,
+    client_id: provider.clientId,
+    code_verifier: statePayload.codeVerifier
+  });
+
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  let tokens;
+  try {
+    const response = await axios.post(metadata.token_endpoint, body.toString(), {
+      timeout: config.oidc.httpTimeout,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' }
+    });
+    tokens = response.data;
+  } catch (error) {
+    const reason = error.response?.data?.error || error.message;
+    throw new Error(`Token request failed: ${reason}`);
+  }
+
+  if (!tokens || !tokens.id_token) {
+    throw new Error('Token response has no id_token');
+  }
+
+  return verifyIdToken(provider, tokens.id_token, statePayload.nonce);
+};
+
+/**
+ * Pick the profile fields we use from ID token claims
+ *
+ * @private
+ * @param {Object} claims - ID token claims
+ * @returns {Object} { subject, email, emailVerified, displayName, firstName, lastName }
+ */
+const toProfile = (claims) => {
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const nameParts = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+
+  return {
+    subject: String(claims.sub),
+    email,
+    // Microsoft leaves email_verified out; treat it like "not verified"
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    displayName: claims.name || null,
+    firstName: claims.given_name || nameParts[0] || (email ? email.split('@')[0] : null),
+    lastName: claims.family_name || (nameParts.length > 1 ? nameParts.slice(1).join(' ') : null)
+  };
+};
+
+/**
+ * Shape an identity for API responses
+ *
+ * @param {Object} identity - Identity object
+ * @returns {Object} Public identity fields
+ */
+const toPublicIdentity = (identity) => {
+  const provider = getProvider(identity.provider);
+
+  return {
+    id: identity.id,
+    provider: identity.provider,
+    providerName: provider ? provider.displayName : identity.provider,
+    email: identity.email,
+    displayName: identity.displayName,
+    lastLoginAt: identity.lastLoginAt,
+    createdAt: identity.createdAt
+  };
+};
+
+/**
+ * Create a user for a provider account seen for the first time
+ * The user, the identity and the default role are written in one transaction,
+ * so a failed step never leaves an account that can't sign in with the provider
+ *
+ * @private
+ * @param {Object} provider - Provider settings
+ * @param {Object} profile - Profile from toProfile
+ * @returns {Promise<Object>} Created user
+ */
+const createUserFromProfile = async (provider, profile) => {
+  const { user, defaultRole } = await executeTransaction(async () => {
+    const createdUser = await UserModel.create({
+      email: profile.email,
+      // Unknown to anyone; the user can set a real one through password reset
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      emailVerified: profile.emailVerified
+    });
+
+    await UserIdentityModel.create({
+      userId: createdUser.id,
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email,
+      emailVerified: profile.emailVerified,
+      displayName: profile.displayName
+    });
+
+    const role = await RoleModel.getDefaultRole();
+
+    if (role) {
+      await UserRoleModel.assignRole({
+        userId: createdUser.id,
+        roleId: role.id,
+        assignmentReason: `Default role for ${provider.displayName} sign-up`,
+        isPrimary: true
+      });
+    }
+
+    return { user: createdUser, defaultRole: role };
+  });
+
+  if (defaultRole) {
+    await permissionCache.invalidateUser(user.id);
+  } else {
+    logger.logSecurity('No default role for OIDC sign-up', { userId: user.id, provider: provider.name });
+  }
+
+  return user;
+};
+
+/**
+ * Log in (or sign up) with a verified provider account
+ *
+ * @private
+ * @param {Object} provider - Provider settings
+ * @param {Object} profile - Profile from toProfile
+ * @param {Object} options - { ipAddress, userAgent, rememberMe, deviceName }
+ * @returns {Promise<Object>} Login result, as authService.loginUser returns
+ */
+const loginWithIdentity = async (provider, profile, options) => {
+  const identity = await UserIdentityModel.findByProviderSubject(provider.name, profile.subject);
+
+  let user;
+
+  if (identity) {
+    user = await UserModel.findById(identity.userId);
+    await UserIdentityModel.recordLogin(identity.id, profile);
+  } else {
+    if (!profile.email) {
+      return {
+        success: false,
+        message: 'The provider did not share an email address',
+        code: 'OIDC_LOGIN_FAILED'
+      };
+    }
+
+    if (await UserModel.findByEmail(profile.email)) {
+      return {
+        success: false,
+        message: 'An account with this email already exists. Log in to it and link the provider from your account settings',
+        code: 'OIDC_ACCOUNT_EXISTS'
+      };
+    }
+
+    user = await createUserFromProfile(provider, profile);
+    logger.logAuth('User registered with OIDC provider', user.id, { provider: provider.name });
+  }
+
+  if (!user) {
+    return {
+      success: false,
+      message: 'Sign-in with provider failed',
+      code: 'OIDC_LOGIN_FAILED'
+    };
+  }
+
+  const statusFailure = authService.checkAccountStatus(user);
+  if (statusFailure) {
+    return statusFailure;
+  }
+
+  return authService.completeFirstFactor(user, {
+    ...options,
+    amr: ['oidc']
+  });
+};
+
+/**
+ * Link a verified provider account to the logged-in user
+ *
+ * @private
+ * @param {Object} provider - Provider settings
+ * @param {Object} profile - Profile from toProfile
+ * @param {number} userId - User who started the link
+ * @returns {Promise<Object>} Result with { identity }
+ */
+const linkIdentity = async (provider, profile, userId) => {
+  const existing = await UserIdentityModel.findByProviderSubject(provider.name, profile.subject);
+
+  if (existing) {
+    if (existing.userId !== userId) {
+      return {
+        success: false,
+        message: 'This provider account is linked to another user',
+        code: 'OIDC_IDENTITY_CONFLICT'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Identity already linked',
+      data: { identity: toPublicIdentity(existing) }
+    };
+  }
+
+  const linked = await UserIdentityModel.findByUserId(userId);
+  if (linked.some(identity => identity.provider === provider.name)) {
+    return {
+      success: false,
+      message: `Another ${provider.displayName} account is already linked. Unlink it first`,
+      code: 'OIDC_IDENTITY_CONFLICT'
+    };
+  }
+
+  const identity = await UserIdentityModel.create({
+    userId,
+    provider: provider.name,
+    subject: profile.subject,
+    email: profile.email,
+    emailVerified: profile.emailVerified,
+    displayName: profile.displayName
+  });
+
+  logger.logAuth('OIDC identity linked', userId, { provider: provider.name, identityId: identity.id });
+
+  return {
+    success: true,
+    message: 'Identity linked successfully',
+    data: { identity: toPublicIdentity(identity) }
+  };
+};
+
+/**
+ * Finish a sign-in or identity link when the provider redirected back
+ *
+ * @param {Object} data - Callback data { code, state, rememberMe, deviceName }
+ * @param {Object} options - { stateToken, currentUserId, ipAddress, userAgent }
+ * @returns {Promise<Object>} Login result, or { identity } for a link
+ */
+const completeAuthorization = async (data, options = {}) => {
+  try {
+    const { stateToken, currentUserId = null, ipAddress, userAgent } = options;
+
+    const validatedData = await schemas.auth.oidcCallback.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const statePayload = stateToken ? await jwtService.verifyOidcStateToken(stateToken) : null;
+
+    if (!statePayload || statePayload.state !== validatedData.state) {
+      return {
+        success: false,
+        message: 'Sign-in expired or was started in another browser. Please try again',
+        code: 'OIDC_STATE_INVALID'
+      };
+    }
+
+    // Single use: a replayed callback fails here instead of at the provider
+    await jwtService.revokeToken(stateToken, { reason: 'oidc_state_used' });
+
+    const provider = getProvider(statePayload.provider);
+    if (!provider) {
+      return {
+        success: false,
+        message: 'Unknown sign-in provider',
+        code: 'OIDC_PROVIDER_UNKNOWN'
+      };
+    }
+
+    if (statePayload.intent === 'link' && statePayload.userId !== currentUserId) {
+      return {
+        success: false,
+        message: 'Log in to the account that started linking and try again',
+        code: 'OIDC_STATE_INVALID'
+      };
+    }
+
+    let profile;
+    try {
+      profile = toProfile(await exchangeCode(provider, validatedData.code, statePayload));
+    } catch (error) {
+      logger.logSecurity('OIDC sign-in rejected', {
+        provider: provider.name,
+        reason: error.message,
+        ipAddress
+      });
+
+      return {
+        success: false,
+        message: 'Sign-in with provider failed',
+        code: 'OIDC_LOGIN_FAILED'
+      };
+    }
+
+    if (statePayload.intent === 'link') {
+      return await linkIdentity(provider, profile, statePayload.userId);
+    }
+
+    return await loginWithIdentity(provider, profile, {
+      ipAddress,
+      userAgent,
+      rememberMe: validatedData.rememberMe,
+      deviceName: validatedData.deviceName
+    });
+
+  } catch (error) {
+    console.error('Error in completeAuthorization:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Sign-in with provider failed',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List the identities linked to a user
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Result with { identities }
+ */
+const listIdentities = async (userId) => {
+  try {
+    const identities = await UserIdentityModel.findByUserId(userId);
+
+    return {
+      success: true,
+      message: 'Linked identities retrieved successfully',
+      data: { identities: identities.map(toPublicIdentity) }
+    };
+
+  } catch (error) {
+    console.error('Error in listIdentities:', error);
+
+    return {
+      success: false,
+      message: 'Failed to retrieve linked identities',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Unlink an identity from a user
+ * The account stays reachable by password reset or magic link, so unlinking
+ * the last identity of an account created through a provider is allowed
+ *
+ * @param {number} userId - User ID
+ * @param {number} identityId - Identity ID
+ * @returns {Promise<Object>} Unlink result
+ */
+const unlinkIdentity = async (userId, identityId) => {
+  try {
+    const deleted = await UserIdentityModel.delete(identityId, userId);
+
+    if (!deleted) {
+      return {
+        success: false,
+        message: 'Linked identity not found'
+      };
+    }
+
+    logger.logAuth('OIDC identity unlinked', userId, { identityId });
+
+    return {
+      success: true,
+      message: 'Identity unlinked successfully'
+    };
+
+  } catch (error) {
+    console.error('Error in unlinkIdentity:', error);
+
+    return {
+      success: false,
+      message: 'Failed to unlink identity',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  startAuthorization,
+  completeAuthorization,
+  listIdentities,
+  unlinkIdentity,
+  toPublicIdentity
+};
@@ -0,0 +1,453 @@
+/**
+ * File: src/services/auth/passwordPolicyService.js
+ * Password Policy Service - Password History and Expiry
+ *
+ * This file enforces the password history and maximum age policy, and runs
+ * the background job that reminds users before their password expires.
+ *
+ * For beginners:
+ * - The last PASSWORD_HISTORY_COUNT passwords of a user can't be chosen
+ *   again; they are compared with bcrypt, so every remembered password adds
+ *   the cost of one login check
+ * - A password expires PASSWORD_MAX_AGE_DAYS after it was set, or earlier
+ *   when an admin expired it (users.password_expires_at)
+ * - Logging in with an expired password only gets a short-lived token that
+ *   is good for choosing a new password (POST /api/auth/password/expired)
+ * - Users get one reminder email PASSWORD_EXPIRY_REMINDER_DAYS before their
+ *   password expires; the job is started from server.js
+ */
+
+const bcrypt = require('bcryptjs');
+const { UserModel, SessionModel, PasswordHistoryModel } = require('../../models');
+const { executeTransaction } = require('../../models/database');
+const breachedPasswordService = require('./breachedPasswordService');
+const { schemas } = require('../../schemas');
+const config = require('../../../config/environment');
+const { sendTemplateEmail } = require('../../../config/email');
+const logger = require('../../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const policy = config.passwordPolicy;
+const jobConfig = config.jobs || {};
+
+let timer = null;
+let running = false;
+let lastRun = null;
+
+/**
+ * Get when a user's password expires
+ * The earlier of a forced expiry and the maximum age counts
+ *
+ * @param {Object} user - User object (passwordChangedAt, passwordExpiresAt, createdAt)
+ * @returns {Date|null} Expiry, or null if the password never expires
+ */
+const getPasswordExpiry = (user) => {
+  const candidates = [];
+
+  if (user.passwordExpiresAt) {
+    candidates.push(new Date(user.passwordExpiresAt).getTime());
+  }
+
+  // Passwords set before password_changed_at was tracked count from account creation
+  const setAt = user.passwordChangedAt || user.createdAt;
+  if (policy.maxAgeDays > 0 && setAt) {
+    candidates.push(new Date(setAt).getTime() + policy.maxAgeDays * DAY_MS);
+  }
+
+  return candidates.length > 0 ? new Date(Math.min(...candidates)) : null;
+};
+
+/**
+ * Whether a user must change their password before logging in
+ *
+ * @param {Object} user - User object
+ * @returns {boolean} True if the password has expired
+ */
+const isPasswordExpired = (user) => {
+  const expiresAt = getPasswordExpiry(user);
+  return Boolean(expiresAt) && expiresAt <= new Date();
+};
+
+/**
+ * Check a new password against the user's recent passwords
+ * The current password always counts as one of them, also for accounts
+ * whose history is still empty
+ *
+ * @param {number} userId - User ID
+ * @param {string} password - New plain password
+ * @param {string|null} currentHash - Hash of the current password
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+const isPasswordReused = async (userId, password, currentHash = null) => {
+  if (policy.historyCount <= 0) {
+    return false;
+  }
+
+  let hashes = await PasswordHistoryModel.findRecentHashes(userId, policy.historyCount);
+
+  if (currentHash && !hashes.includes(currentHash)) {
+    hashes = [currentHash, ...hashes].slice(0, policy.historyCount);
+  }
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Failed service result for a recently used password
+ *
+ * @param {string} field - Password field name
+ * @returns {Object} Failed result
+ */
+const reusedPasswordFailure = (field) => ({
+  success: false,
+  message: `This password was used recently, please choose one that differs from your last ${policy.historyCount} passwords`,
+  code: 'PASSWORD_REUSED',
+  field
+});
+
+/**
+ * Drop history entries the policy no longer looks at
+ * Call after the password was updated
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of deleted entries
+ */
+const pruneHistory = (userId) => {
+  // Without a history policy, entries are kept in case it is turned on later
+  if (policy.historyCount <= 0) {
+    return Promise.resolve(0);
+  }
+
+  return PasswordHistoryModel.prune(userId, policy.historyCount);
+};
+
+/**
+ * Get the password policy and the state of the user's password
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Policy result
+ */
+const getPasswordPolicy = async (userId) => {
+  try {
+    const user = await UserModel.findById(userId);
+    if (!user) {
+      return {
+        success: false,
+        message: 'User not found'
+      };
+    }
+
+    const expiresAt = getPasswordExpiry(user);
+
+    return {
+      success: true,
+      message: 'Password policy retrieved successfully',
+      data: {
+        policy: {
+          historyCount: policy.historyCount,
+          maxAgeDays: policy.maxAgeDays,
+          expiryReminderDays: policy.expiryReminderDays,
+          rejectBreachedPasswords: breachedPasswordService.isEnabled()
+        },
+        password: {
+          changedAt: user.passwordChangedAt || null,
+          expiresAt,
+          daysUntilExpiry: expiresAt ? Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / DAY_MS), 0) : null,
+          expired: isPasswordExpired(user)
+        }
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getPasswordPolicy:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve password policy',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List when the user changed their password (no hashes)
+ *
+ * @param {number} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} History result
+ */
+const getPasswordHistory = async (userId, options = {}) => {
+  try {
+    const { limit = 10 } = options;
+
+    const history = await PasswordHistoryModel.findByUserId(userId, limit);
+
+    return {
+      success: true,
+      message: 'Password history retrieved successfully',
+      data: {
+        history,
+        total: history.length,
+        historyCount: policy.historyCount
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getPasswordHistory:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve password history',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Expire the passwords of selected users
+ * They must choose a new password at their next login once the grace period
+ * is over, and get a reminder email before that. Without a grace period their
+ * sessions are revoked as well, so nobody stays logged in on the old password
+ *
+ * @param {Object} data - { userIds, reason, gracePeriodDays }
+ * @param {Object} options - { actorId }
+ * @returns {Promise<Object>} Expiry result
+ */
+const bulkExpirePasswords = async (data, options = {}) => {
+  try {
+    const { actorId = null } = options;
+
+    const validatedData = await schemas.auth.bulkExpirePasswords.validate(data, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const userIds = [...new Set(validatedData.userIds)];
+    const { reason, gracePeriodDays } = validatedData;
+    const expiresAt = new Date(Date.now() + gracePeriodDays * DAY_MS);
+
+    const { expired, revokedSessions } = await executeTransaction(async () => {
+      const expiredCount = await UserModel.expirePasswords(userIds, expiresAt);
+
+      let revoked = 0;
+      if (gracePeriodDays === 0) {
+        for (const userId of userIds) {
+          revoked += await SessionModel.revokeAllUserSessions(userId, 'admin_revoke');
+        }
+      }
+
+      return { expired: expiredCount, revokedSessions: revoked };
+    });
+
+    logger.logSecurity('Passwords expired by admin', {
+      actorId,
+      userIds,
+      expired,
+      revokedSessions,
+      gracePeriodDays,
+      reason
+    });
+
+    return {
+      success: true,
+      message: `Passwords of ${expired} user(s) expired`,
+      data: {
+        requested: userIds.length,
+        expired,
+        revokedSessions,
+        expiresAt,
+        gracePeriodDays
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in bulkExpirePasswords:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to expire passwords',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Email users whose password expires within the reminder window
+ * Each password is reminded once; failed sends are retried on the next run
+ *
+ * @returns {Promise<Object>} Reminder result
+ */
+const sendExpiryReminders = async () => {
+  try {
+    if (policy.expiryReminderDays <= 0) {
+      return {
+        success: true,
+        message: 'Password expiry reminders are turned off',
+        data: { sent: 0, failed: 0, total: 0 }
+      };
+    }
+
+    const users = await UserModel.findPasswordsExpiringSoon(policy.maxAgeDays, policy.expiryReminderDays);
+
+    const results = {
+      sent: 0,
+      failed: 0,
+      total: users.length
+    };
+
+    for (const user of users) {
+      const expiresAt = new Date(user.expires_at);
+      const daysLeft = Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / DAY_MS), 1);
+
+      try {
+        await sendTemplateEmail('passwordExpiring', user.email, {
+          firstName: user.first_name || 'there',
+          daysLeft,
+          expiresAt: expiresAt.toUTCString()
+        });
+
+        await UserModel.markPasswordExpiryReminded(user.id);
+        results.sent++;
+      } catch (error) {
+        results.failed++;
+        logger.logError('Failed to send password expiry reminder', error, { userId: user.id });
+      }
+    }
+
+    return {
+      success: true,
+      message: `Sent ${results.sent} of ${results.total} password expiry reminders`,
+      data: results
+    };
+
+  } catch (error) {
+    console.error('Error in sendExpiryReminders:', error);
+    return {
+      success: false,
+      message: 'Failed to send password expiry reminders',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Run one pass of the password expiry reminder job
+ * Overlapping runs are skipped
+ *
+ * @returns {Promise<Object>} Job result
+ */
+const runPasswordExpiryReminderJob = async () => {
+  if (running) {
+    return {
+      success: false,
+      message: 'Password expiry reminder job is already running'
+    };
+  }
+
+  running = true;
+  const startedAt = new Date();
+
+  try {
+    const reminders = await sendExpiryReminders();
+
+    lastRun = {
+      startedAt,
+      finishedAt: new Date(),
+      reminders: reminders.data || { error: reminders.message }
+    };
+
+    if (reminders.data?.sent || reminders.data?.failed) {
+      logger.info('Password expiry reminder job completed', lastRun);
+    }
+
+    return {
+      success: reminders.success,
+      message: 'Password expiry reminder job completed',
+      data: lastRun
+    };
+
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the recurring password expiry reminder job
+ *
+ * @param {Object} options - Scheduler options
+ * @param {number} options.intervalMinutes - Minutes between runs
+ * @returns {boolean} True if the scheduler was started
+ */
+const startPasswordExpiryReminderScheduler = (options = {}) => {
+  const { intervalMinutes = jobConfig.passwordExpiryReminderInterval || 60 } = options;
+
+  if (timer || jobConfig.passwordExpiryReminderEnabled === false) {
+    return false;
+  }
+
+  const run = () => {
+    runPasswordExpiryReminderJob().catch(error => {
+      logger.logError('Password expiry reminder job failed', error);
+    });
+  };
+
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+
+  setImmediate(run);
+
+  logger.info(`⏰ Password expiry reminder job scheduled every ${intervalMinutes} minute(s)`);
+  return true;
+};
+
+/**
+ * Stop the recurring password expiry reminder job
+ */
+const stopPasswordExpiryReminderScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+/**
+ * Get scheduler status
+ *
+ * @returns {Object} Scheduler status and last run summary
+ */
+const getPasswordExpiryReminderStatus = () => ({
+  scheduled: Boolean(timer),
+  running,
+  lastRun
+});
+
+module.exports = {
+  getPasswordExpiry,
+  isPasswordExpired,
+  isPasswordReused,
+  reusedPasswordFailure,
+  pruneHistory,
+  getPasswordPolicy,
+  getPasswordHistory,
+  bulkExpirePasswords,
+  sendExpiryReminders,
+  runPasswordExpiryReminderJob,
+  startPasswordExpiryReminderScheduler,
+  stopPasswordExpiryReminderScheduler,
+  getPasswordExpiryReminderStatus
+};
@@ -15,6 +15,8 @@
 const bcrypt = require('bcryptjs');
 const { UserModel, PasswordResetModel } = require('../../models');
 const { jwtService } = require('./jwtService');
+const breachedPasswordService = require('./breachedPasswordService');
+const passwordPolicyService = require('./passwordPolicyService');
 const { Auth: AuthSchemas } = require('../../schemas');
 const config = require('../../../config/environment');
 
@@ -33,8 +35,8 @@ const changePassword = async (userId, passwordData) => {
       abortEarly: false
     });
 
-    // Find user
-    const user = await UserModel.findById(userId);
+    // Find user (with the password hash)
+    const user = await UserModel.findById(userId, true);
     if (!user) {
       return {
         success: false,
@@ -70,23 +72,22 @@ const changePassword = async (userId, passwordData) => {
       };
     }
 
-    // Hash new password
-    const hashedNewPassword = await bcrypt.hash(
-      validatedData.newPassword,
-      config.auth.bcryptRounds
-    );
-
-    // Update password in database
-    const updateResult = await UserModel.updatePassword(userId, hashedNewPassword);
+    // Refuse passwords known from data breaches
+    const breachCheck = await breachedPasswordService.checkPassword(validatedData.newPassword);
+    if (breachCheck.breached) {
+      return breachedPasswordService.breachedPasswordFailure('newPassword');
+    }
 
-    if (!updateResult.success) {
-      return {
-        success: false,
-        message: 'Failed to update password',
-        error: updateResult.error
-      };
+    // Refuse the user's recent passwords
+    const isReused = await passwordPolicyService.isPasswordReused(userId, validatedData.newPassword, user.password);
+    if (isReused) {
+      return passwordPolicyService.reusedPasswordFailure('newPassword');
     }
 
+    // Update password in database (hashed by the model, which also records it in the history)
+    await UserModel.updatePassword(userId, validatedData.newPassword);
+    await passwordPolicyService.pruneHistory(userId);
+
     return {
       success: true,
       message: 'Password changed successfully',
@@ -211,6 +212,26 @@ const resetPassword = async (resetData, options = {}) => {
 
     const { token, email, newPassword } = validatedData;
 
+    // Refuse passwords known from data breaches
+    const breachCheck = await breachedPasswordService.checkPassword(newPassword);
+    if (breachCheck.breached) {
+      return breachedPasswordService.breachedPasswordFailure('newPassword');
+    }
+
+    const resetRequest = await PasswordResetModel.validateResetToken(token, email);
+    if (!resetRequest) {
+      return {
+        success: false,
+        message: 'Invalid or expired reset token'
+      };
+    }
+
+    // Refuse the user's recent passwords
+    const user = resetRequest.userId ? await UserModel.findById(resetRequest.userId, true) : null;
+    if (user && await passwordPolicyService.isPasswordReused(user.id, newPassword, user.password)) {
+      return passwordPolicyService.reusedPasswordFailure('newPassword');
+    }
+
     // Use the password reset token
     const resetResult = await PasswordResetModel.useResetToken(
       token,
@@ -226,10 +247,13 @@ const resetPassword = async (resetData, options = {}) => {
       };
     }
 
+    await passwordPolicyService.pruneHistory(resetRequest.userId);
+
     return {
       success: true,
       message: 'Password has been reset successfully',
       data: {
+        userId: resetRequest.userId,
         email: email,
         resetAt: new Date()
       }
@@ -576,16 +600,15 @@ const generateSecurePassword = (options = {}) => {
 };
 
 /**
- * Check if password has been compromised (basic check)
+ * Check if password has been compromised
+ * Uses the offline breach corpus when one is configured, and always a short
+ * list of the most common passwords
  *
  * @param {string} password - Password to check
- * @returns {Object} Compromise check result
+ * @returns {Promise<Object>} Compromise check result
  */
 const checkPasswordCompromise = async (password) => {
   try {
-    // This is a basic implementation
-    // In production, you might want to integrate with HaveIBeenPwned API
-
     const commonPasswords = [
       'password', 'password123', '123456', '123456789', 'qwerty',
       'abc123', 'password1', 'admin', 'letmein', 'welcome',
@@ -593,13 +616,25 @@ const checkPasswordCompromise = async (password) => {
     ];
 
     const isCommon = commonPasswords.includes(password.toLowerCase());
+    const breachCount = await breachedPasswordService.getBreachCount(password);
+    const isBreached = breachCount !== null && breachCount >= config.breachedPasswords.threshold;
+    const isCompromised = isCommon || isBreached;
+
+    let message = 'Password not found in common compromise lists';
+    if (isBreached) {
+      message = `This password has appeared ${breachCount} times in data breaches`;
+    } else if (isCommon) {
+      message = 'This password appears in common password lists';
+    }
 
     return {
       success: true,
       data: {
-        isCompromised: isCommon,
-        riskLevel: isCommon ? 'high' : 'low',
-        message: isCommon ? 'This password appears in common password lists' : 'Password not found in common compromise lists'
+        isCompromised,
+        breachCount,
+        breachCorpusChecked: breachCount !== null,
+        riskLevel: isCompromised ? 'high' : 'low',
+        message
       }
     };
 
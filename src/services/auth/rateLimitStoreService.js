@@ -0,0 +1,638 @@
+/**
+ * File: src/services/auth/rateLimitStoreService.js
+ * Rate Limit Store Service - Shared Request Counters
+ *
+ * This file counts requests for every rate limiter, so the limits hold across
+ * all instances of the API instead of per process. On Vercel each cold
+ * instance has its own memory, which made in-memory counters easy to dodge.
+ *
+ * For beginners:
+ * - When config.services.redis.enabled is true the counters live in Redis
+ * - Otherwise config.rateLimiting.store picks 'mysql' (the rate_limit_counters
+ *   table) or 'memory' (one process only, fine for a single server)
+ * - Counts are kept per fixed window; the current window plus a weighted share
+ *   of the previous one approximates a sliding window without storing every hit
+ * - Quotas count per calendar period (countInPeriod), and API plans use token
+ *   buckets (takeToken) that refill continuously up to a burst size
+ * - If the shared backend fails, requests are counted in memory instead of
+ *   being blocked or let through unlimited
+ */
+
+const crypto = require('crypto');
+const config = require('../../../config/environment');
+const { RateLimitCounterModel } = require('../../models');
+const { logError } = require('../../utils/logger');
+
+const STORE_TYPE = config.rateLimiting?.store || 'memory';
+const REDIS_PREFIX = 'ratelimit:';
+const MAX_KEY_LENGTH = 255; // rate_limit_counters.limiter_key
+const PURGE_INTERVAL_MS = 10 * 60 * 1000; // Purge expired counters at most every 10 minutes
+const FAILURE_LOG_INTERVAL_MS = 60 * 1000; // Log backend failures at most once a minute
+
+// Refills a bucket for the time passed and takes a token if there is one
+// KEYS[1] = bucket, ARGV = capacity, tokens per ms, now (ms); returns { allowed, tokens left }
+const TOKEN_BUCKET_SCRIPT = `
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'refilled_at')
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local tokens = capacity
+if state[1] then
+  tokens = math.min(capacity, tonumber(state[1]) + math.max(0, now - tonumber(state[2])) * rate)
+end
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'refilled_at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// Takes back a hit without creating the counter or dropping its expiry
+// KEYS[1] = counter; returns the count left
+const DECREMENT_SCRIPT = `
+local hits = tonumber(redis.call('GET', KEYS[1]))
+if hits and hits > 0 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0
+`;
+
+const stats = {
+  hits: 0,
+  fallbacks: 0,
+  purged: 0
+};
+
+// =============================================================================
+// STORAGE BACKENDS
+// =============================================================================
+
+/**
+ * Create an in-process store
+ *
+ * @returns {Object} Store with increment/decrement/count/takeToken/reset/purge/size
+ */
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { windowStart, windowMs, current, previous }
+  const periods = new Map(); // key:windowStart -> { hits, expiresAt }
+  const buckets = new Map(); // key -> { tokens, refilledAt, expiresAt }
+
+  const read = (key, windowStart, windowMs) => {
+    const entry = counters.get(key);
+    if (!entry) return { current: 0, previous: 0 };
+    if (entry.windowStart === windowStart) return { current: entry.current, previous: entry.previous };
+    if (entry.windowStart === windowStart - windowMs) return { current: 0, previous: entry.current };
+    return { current: 0, previous: 0 };
+  };
+
+  return {
+    name: 'memory',
+
+    increment: (key, windowStart, windowMs) => {
+      const counts = read(key, windowStart, windowMs);
+      const entry = { windowStart, windowMs, current: counts.current + 1, previous: counts.previous };
+      counters.set(key, entry);
+      return { current: entry.current, previous: entry.previous };
+    },
+
+    decrement: (key, windowStart) => {
+      const entry = counters.get(key);
+      if (entry && entry.windowStart === windowStart && entry.current > 0) {
+        entry.current--;
+      }
+
+      const period = periods.get(`${key}:${windowStart}`);
+      if (period && period.hits > 0) {
+        period.hits--;
+      }
+    },
+
+    count: (key, windowStart, expiresAt) => {
+      const periodKey = `${key}:${windowStart}`;
+      const period = periods.get(periodKey) || { hits: 0, expiresAt: expiresAt.getTime() };
+      period.hits++;
+      periods.set(periodKey, period);
+      return period.hits;
+    },
+
+    getCount: (key, windowStart) => periods.get(`${key}:${windowStart}`)?.hits || 0,
+
+    takeToken: (key, capacity, refillPerMs, now) => {
+      const bucket = buckets.get(key);
+      let tokens = bucket
+        ? Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.refilledAt) * refillPerMs)
+        : capacity;
+
+      const allowed = tokens >= 1;
+      if (allowed) tokens -= 1;
+
+      buckets.set(key, { tokens, refilledAt: now, expiresAt: now + Math.ceil((capacity - tokens) / refillPerMs) });
+      return { allowed, tokens };
+    },
+
+    getBucket: (key) => {
+      const bucket = buckets.get(key);
+      return bucket ? { tokens: bucket.tokens, refilledAt: bucket.refilledAt } : null;
+    },
+
+    reset: (key) => {
+      counters.delete(key);
+      buckets.delete(key);
+      for (const periodKey of periods.keys()) {
+        if (periodKey.startsWith(`${key}:`)) periods.delete(periodKey);
+      }
+    },
+
+    purge: () => {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of counters) {
+        if (entry.windowStart + 2 * entry.windowMs <= now) {
+          counters.delete(key);
+          removed++;
+        }
+      }
+      for (const [periodKey, period] of periods) {
+        if (period.expiresAt <= now) {
+          periods.delete(periodKey);
+          removed++;
+        }
+      }
+      for (const [key, bucket] of buckets) {
+        if (bucket.expiresAt <= now) {
+          buckets.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    size: () => counters.size + periods.size + buckets.size
+  };
+};
+
+/**
+ * Create a MySQL-backed store (rate_limit_counters table)
+ *
+ * @returns {Object} Store with increment/decrement/count/takeToken/reset/purge/size
+ */
+const createMysqlStore = () => ({
+  name: 'mysql',
+
+  increment: async (key, windowStart, windowMs) => {
+    const previousStart = windowStart - windowMs;
+
+    // A row is needed until the window after it has ended
+    await RateLimitCounterModel.increment(key, windowStart, new Date(windowStart + 2 * windowMs));
+    const counts = await RateLimitCounterModel.getCounts(key, [windowStart, previousStart]);
+
+    return { current: counts[windowStart] || 0, previous: counts[previousStart] || 0 };
+  },
+
+  decrement: (key, windowStart) => RateLimitCounterModel.decrement(key, windowStart),
+
+  count: async (key, windowStart, expiresAt) => {
+    await RateLimitCounterModel.increment(key, windowStart, expiresAt);
+    const counts = await RateLimitCounterModel.getCounts(key, [windowStart]);
+    return counts[windowStart] || 0;
+  },
+
+  getCount: async (key, windowStart) => {
+    const counts = await RateLimitCounterModel.getCounts(key, [windowStart]);
+    return counts[windowStart] || 0;
+  },
+
+  takeToken: (key, capacity, refillPerMs, now) => RateLimitCounterModel.takeToken(key, capacity, refillPerMs, now),
+
+  getBucket: (key) => RateLimitCounterModel.getBucket(key),
+
+  reset: (key) => RateLimitCounterModel.deleteKey(key),
+
+  purge: async () => (await RateLimitCounterModel.deleteExpired()) + (await RateLimitCounterModel.deleteExpiredBuckets()),
+
+  size: () => RateLimitCounterModel.countActiveKeys()
+});
+
+/**
+ * Create a Redis-backed store
+ * Counters expire on their own, so there is nothing to purge
+ *
+ * @param {Object} redisConfig - config.services.redis
+ * @returns {Object} Store with increment/decrement/count/takeToken/reset/purge/size
+ */
+const createRedisStore = (redisConfig) => {
+  // Loaded lazily so the redis package is only needed when Redis is enabled
+  const { createClient } = require('redis');
+
+  const client = createClient({
+    socket: { host: redisConfig.host, port: redisConfig.port },
+    password: redisConfig.password || undefined,
+    database: redisConfig.db
+  });
+
+  client.on('error', (error) => logError('Rate limit store Redis error', error));
+  const ready = client.connect();
+  // Every store call awaits ready and fails on its own; this only keeps the rejection from going unhandled
+  ready.catch((error) => logError('Rate limit store could not connect to Redis', error));
+
+  const windowKey = (key, windowStart) => `${REDIS_PREFIX}${key}:${windowStart}`;
+  const bucketKey = (key) => `${REDIS_PREFIX}bucket:${key}`;
+
+  return {
+    name: 'redis',
+
+    increment: async (key, windowStart, windowMs) => {
+      await ready;
+      const currentKey = windowKey(key, windowStart);
+
+      const [current, , previous] = await client.multi()
+        .incr(currentKey)
+        .pExpire(currentKey, 2 * windowMs)
+        .get(windowKey(key, windowStart - windowMs))
+        .exec();
+
+      return { current: Number(current), previous: Number(previous) || 0 };
+    },
+
+    decrement: async (key, windowStart) => {
+      await ready;
+
+      // A missing or expired counter stays missing; DECR would create it without a TTL
+      await client.eval(DECREMENT_SCRIPT, { keys: [windowKey(key, windowStart)] });
+    },
+
+    count: async (key, windowStart, expiresAt) => {
+      await ready;
+      const periodKey = windowKey(key, windowStart);
+
+      const [hits] = await client.multi()
+        .incr(periodKey)
+        .pExpireAt(periodKey, expiresAt.getTime())
+        .exec();
+
+      return Number(hits);
+    },
+
+    getCount: async (key, windowStart) => {
+      await ready;
+      return Number(await client.get(windowKey(key, windowStart))) || 0;
+    },
+
+    takeToken: async (key, capacity, refillPerMs, now) => {
+      await ready;
+
+      // Refill and take in one script, so concurrent requests can't both take the last token
+      const [allowed, tokens] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+        keys: [bucketKey(key)],
+        arguments: [String(capacity), String(refillPerMs), String(now)]
+      });
+
+      return { allowed: allowed === 1, tokens: Number(tokens) };
+    },
+
+    getBucket: async (key) => {
+      await ready;
+      const [tokens, refilledAt] = await client.hmGet(bucketKey(key), ['tokens', 'refilled_at']);
+      return tokens === null ? null : { tokens: Number(tokens), refilledAt: Number(refilledAt) };
+    },
+
+    reset: async (key) => {
+      await ready;
+      await client.del(bucketKey(key));
+      // The iterator yields the keys in batches, one per SCAN reply
+      for await (const redisKeys of client.scanIterator({ MATCH: `${REDIS_PREFIX}${key}:*`, COUNT: 100 })) {
+        if (redisKeys.length > 0) {
+          await client.del(redisKeys);
+        }
+      }
+    },
+
+    purge: () => 0,
+
+    size: () => null
+  };
+};
+
+/**
+ * Pick the storage backend from configuration
+ * Falls back to memory when Redis is enabled but cannot be loaded
+ *
+ * @returns {Object} Store
+ */
+const createBackend = () => {
+  const redisConfig = config.services?.redis;
+
+  if (redisConfig?.enabled) {
+    try {
+      return createRedisStore(redisConfig);
+    } catch (error) {
+      logError('Rate limit store falling back to memory store', error);
+    }
+  }
+
+  return STORE_TYPE === 'mysql' ? createMysqlStore() : createMemoryStore();
+};
+
+let backend = null;
+let fallback = null;
+let lastPurge = Date.now();
+let lastFailureLog = 0;
+
+const getBackend = () => {
+  if (!backend) backend = createBackend();
+  return backend;
+};
+
+const getFallback = () => {
+  if (!fallback) fallback = createMemoryStore();
+  return fallback;
+};
+
+/**
+ * Run an operation on the configured backend, or in memory if it fails
+ * A broken database must not take the API down with it
+ *
+ * @param {string} operation - Backend method name
+ * @param {Array} args - Method arguments
+ * @returns {Promise<*>} Method result
+ */
+const runOnBackend = async (operation, args) => {
+  const store = getBackend();
+
+  try {
+    return await store[operation](...args);
+  } catch (error) {
+    if (store.name === 'memory') throw error;
+
+    stats.fallbacks++;
+    if (Date.now() - lastFailureLog >= FAILURE_LOG_INTERVAL_MS) {
+      lastFailureLog = Date.now();
+      logError('Rate limit store failed, counting in memory', error, { backend: store.name, operation });
+    }
+
+    return getFallback()[operation](...args);
+  }
+};
+
+/**
+ * Drop expired counters if the last purge is long enough ago
+ * Purge failures are logged and never fail a request
+ *
+ * @returns {Promise<void>}
+ */
+const purgeIfDue = async () => {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+
+  try {
+    stats.purged += await getBackend().purge();
+    if (fallback) stats.purged += fallback.purge();
+  } catch (error) {
+    logError('Rate limit store purge failed', error);
+  }
+};
+
+/**
+ * Build the stored key of a limiter and client
+ * Long keys (e.g. long emails) are hashed to fit the column
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key (IP, user ID, ...)
+ * @returns {string} Stored key
+ */
+const buildKey = (name, key) => {
+  const fullKey = `${name}:${key}`;
+  if (fullKey.length <= MAX_KEY_LENGTH) return fullKey;
+
+  return `${name}:${crypto.createHash('sha256').update(String(key)).digest('hex')}`;
+};
+
+/**
+ * Get the start of the fixed window containing a moment
+ *
+ * @param {number} now - Timestamp (ms)
+ * @param {number} windowMs - Window length (ms)
+ * @returns {number} Window start (ms)
+ */
+const getWindowStart = (now, windowMs) => Math.floor(now / windowMs) * windowMs;
+
+// =============================================================================
+// RATE LIMIT STORE API
+// =============================================================================
+
+/**
+ * Count a request and get the sliding window total
+ *
+ * @param {string} name - Limiter name, keeps the counters of limiters apart
+ * @param {string} key - Client key (IP, user ID, ...)
+ * @param {number} windowMs - Window length (ms)
+ * @returns {Promise<Object>} { totalHits, resetTime }
+ */
+const hit = async (name, key, windowMs) => {
+  const now = Date.now();
+  const windowStart = getWindowStart(now, windowMs);
+
+  const { current, previous } = await runOnBackend('increment', [buildKey(name, key), windowStart, windowMs]);
+
+  // The previous window counts for the part of it still inside the sliding window
+  const previousWeight = (windowMs - (now - windowStart)) / windowMs;
+
+  stats.hits++;
+  await purgeIfDue();
+
+  return {
+    totalHits: current + Math.floor(previous * previousWeight),
+    resetTime: new Date(windowStart + windowMs)
+  };
+};
+
+/**
+ * Take back a counted request (e.g. a request the limiter skips afterwards)
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @param {number} windowMs - Window length (ms)
+ * @returns {Promise<void>}
+ */
+const undo = async (name, key, windowMs) => {
+  await runOnBackend('decrement', [buildKey(name, key), getWindowStart(Date.now(), windowMs)]);
+};
+
+/**
+ * Forget every counted request of a client
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @returns {Promise<void>}
+ */
+const reset = async (name, key) => {
+  await runOnBackend('reset', [buildKey(name, key)]);
+};
+
+/**
+ * Count a request in a fixed period, such as a calendar day for a quota
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @param {Date} periodStart - Start of the period
+ * @param {Date} periodEnd - End of the period; the count is dropped afterwards
+ * @returns {Promise<number>} Requests counted in the period so far
+ */
+const countInPeriod = async (name, key, periodStart, periodEnd) => {
+  const hits = await runOnBackend('count', [buildKey(name, key), periodStart.getTime(), periodEnd]);
+
+  stats.hits++;
+  await purgeIfDue();
+
+  return hits;
+};
+
+/**
+ * Take back a request counted in a fixed period
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @param {Date} periodStart - Start of the period
+ * @returns {Promise<void>}
+ */
+const uncountInPeriod = async (name, key, periodStart) => {
+  await runOnBackend('decrement', [buildKey(name, key), periodStart.getTime()]);
+};
+
+/**
+ * Get the requests counted in a fixed period without counting one
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @param {Date} periodStart - Start of the period
+ * @returns {Promise<number>} Requests counted in the period
+ */
+const getPeriodCount = (name, key, periodStart) => {
+  return runOnBackend('getCount', [buildKey(name, key), periodStart.getTime()]);
+};
+
+/**
+ * Describe a bucket for rate limit headers
+ *
+ * @param {number} tokens - Tokens left
+ * @param {number} capacity - Bucket size
+ * @param {number} refillPerMs - Tokens added per millisecond
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { remaining, retryAfter, resetTime }
+ */
+const describeBucket = (tokens, capacity, refillPerMs, now) => ({
+  remaining: Math.floor(tokens),
+  retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000), // seconds until the next token
+  resetTime: new Date(now + Math.ceil((capacity - tokens) / refillPerMs)) // when the bucket is full again
+});
+
+/**
+ * Take a token from a client's bucket
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @param {number} capacity - Bucket size (burst)
+ * @param {number} refillPerSecond - Tokens added per second (sustained rate)
+ * @returns {Promise<Object>} { allowed, remaining, retryAfter, resetTime }
+ */
+const takeToken = async (name, key, capacity, refillPerSecond) => {
+  const now = Date.now();
+  const refillPerMs = refillPerSecond / 1000;
+
+  const { allowed, tokens } = await runOnBackend('takeToken', [buildKey(name, key), capacity, refillPerMs, now]);
+
+  stats.hits++;
+  await purgeIfDue();
+
+  return { allowed, ...describeBucket(tokens, capacity, refillPerMs, now) };
+};
+
+/**
+ * Get a client's bucket without taking a token
+ *
+ * @param {string} name - Limiter name
+ * @param {string} key - Client key
+ * @param {number} capacity - Bucket size (burst)
+ * @param {number} refillPerSecond - Tokens added per second (sustained rate)
+ * @returns {Promise<Object>} { remaining, retryAfter, resetTime }
+ */
+const getTokens = async (name, key, capacity, refillPerSecond) => {
+  const now = Date.now();
+  const refillPerMs = refillPerSecond / 1000;
+
+  const bucket = await runOnBackend('getBucket', [buildKey(name, key)]);
+  const tokens = bucket
+    ? Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.refilledAt) * refillPerMs)
+    : capacity;
+
+  return describeBucket(tokens, capacity, refillPerMs, now);
+};
+
+/**
+ * Create a store for express-rate-limit and express-slow-down
+ * Every limiter needs its own store, since the window length is per limiter
+ *
+ * @param {string} name - Limiter name
+ * @param {number} windowMs - Window length (ms); express-rate-limit sets it on init
+ * @returns {Object} Store with init/increment/decrement/resetKey
+ */
+const createStore = (name, windowMs = 60 * 1000) => {
+  let storeWindowMs = windowMs;
+
+  return {
+    prefix: `${name}:`,
+    localKeys: false,
+
+    init: (options) => {
+      storeWindowMs = options.windowMs;
+    },
+
+    increment: (key) => hit(name, key, storeWindowMs),
+
+    decrement: (key) => undo(name, key, storeWindowMs),
+
+    resetKey: (key) => reset(name, key)
+  };
+};
+
+/**
+ * Remove expired counters now
+ *
+ * @returns {Promise<number>} Number of removed counters
+ */
+const purgeExpired = async () => {
+  lastPurge = Date.now();
+  const removed = await getBackend().purge();
+  stats.purged += removed;
+  return removed;
+};
+
+/**
+ * Get rate limit store statistics
+ *
+ * @returns {Promise<Object>} Store statistics
+ */
+const getRateLimitStoreStats = async () => {
+  return {
+    backend: getBackend().name,
+    size: await getBackend().size(),
+    ...stats
+  };
+};
+
+module.exports = {
+  hit,
+  undo,
+  reset,
+  countInPeriod,
+  uncountInPeriod,
+  getPeriodCount,
+  takeToken,
+  getTokens,
+  createStore,
+  purgeExpired,
+  getRateLimitStoreStats
+};
@@ -0,0 +1,218 @@
+/**
+ * File: src/services/auth/tokenDenylistService.js
+ * Token Denylist Service - Revoked JWT IDs
+ *
+ * This file keeps track of revoked tokens by their jti (JWT ID) claim, so a
+ * token can be rejected without looking up its session. It also covers
+ * tokens that have no session row, such as password reset and email
+ * verification tokens.
+ *
+ * For beginners:
+ * - The default backend is an in-process map, which only protects one server
+ * - With config.auth.tokenDenylistStore = 'mysql' the entries live in the
+ *   revoked_tokens table, shared by every instance
+ * - An entry only needs to live as long as the token it revokes; after that
+ *   the token is rejected as expired anyway, so entries get purged
+ */
+
+const config = require('../../../config/environment');
+const { RevokedTokenModel } = require('../../models');
+const { logError } = require('../../utils/logger');
+
+const STORE_TYPE = config.auth?.tokenDenylistStore || 'memory';
+const PURGE_INTERVAL_MS = 10 * 60 * 1000; // Purge expired entries at most every 10 minutes
+
+const stats = {
+  revocations: 0,
+  checks: 0,
+  hits: 0,
+  purged: 0
+};
+
+// =============================================================================
+// STORAGE BACKENDS
+// =============================================================================
+
+/**
+ * Create an in-process store
+ *
+ * @returns {Object} Store with add/has/purge/size
+ */
+const createMemoryStore = () => {
+  const entries = new Map(); // jti -> expiry timestamp (ms)
+
+  return {
+    name: 'memory',
+
+    add: (entry) => {
+      const expiresAt = new Date(entry.expiresAt).getTime();
+      entries.set(entry.jti, Math.max(entries.get(entry.jti) || 0, expiresAt));
+    },
+
+    has: (jti) => {
+      const expiresAt = entries.get(jti);
+      if (!expiresAt) return false;
+
+      if (expiresAt <= Date.now()) {
+        entries.delete(jti);
+        return false;
+      }
+
+      return true;
+    },
+
+    purge: () => {
+      const now = Date.now();
+      let removed = 0;
+      for (const [jti, expiresAt] of entries) {
+        if (expiresAt <= now) {
+          entries.delete(jti);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    size: () => entries.size
+  };
+};
+
+/**
+ * Create a MySQL-backed store (revoked_tokens table)
+ *
+ * @returns {Object} Store with add/has/purge/size
+ */
+const createMysqlStore = () => ({
+  name: 'mysql',
+
+  add: (entry) => RevokedTokenModel.add(entry),
+
+  has: (jti) => RevokedTokenModel.isRevoked(jti),
+
+  purge: () => RevokedTokenModel.deleteExpired(),
+
+  size: () => RevokedTokenModel.countActive()
+});
+
+/**
+ * Pick the storage backend from configuration
+ *
+ * @returns {Object} Store
+ */
+const createStore = () => {
+  return STORE_TYPE === 'mysql' ? createMysqlStore() : createMemoryStore();
+};
+
+let store = null;
+let lastPurge = Date.now();
+const getStore = () => {
+  if (!store) store = createStore();
+  return store;
+};
+
+/**
+ * Drop expired entries if the last purge is long enough ago
+ * Purge failures are logged and never fail a revocation
+ *
+ * @returns {Promise<void>}
+ */
+const purgeIfDue = async () => {
+  if (Date.now() - lastPurge < PURGE_INTERVAL_MS) return;
+  lastPurge = Date.now();
+
+  try {
+    stats.purged += await getStore().purge();
+  } catch (error) {
+    logError('Token denylist purge failed', error);
+  }
+};
+
+// =============================================================================
+// DENYLIST API
+// =============================================================================
+
+/**
+ * Revoke a token by its jti until the given expiry
+ *
+ * @param {string} jti - JWT ID
+ * @param {Date|string|number} expiresAt - When the token expires
+ * @param {Object} meta - { tokenType, userId, reason, revokedBy }
+ * @returns {Promise<boolean>} False if the token had already expired (nothing to revoke)
+ */
+const revoke = async (jti, expiresAt, meta = {}) => {
+  if (!jti) {
+    throw new Error('Token has no jti and cannot be revoked');
+  }
+
+  const expiry = new Date(expiresAt);
+  if (Number.isNaN(expiry.getTime())) {
+    throw new Error('A valid token expiry is required');
+  }
+
+  if (expiry.getTime() <= Date.now()) {
+    return false;
+  }
+
+  await getStore().add({
+    jti,
+    expiresAt: expiry,
+    tokenType: meta.tokenType || null,
+    userId: meta.userId || null,
+    reason: meta.reason || null,
+    revokedBy: meta.revokedBy || null
+  });
+
+  stats.revocations++;
+  await purgeIfDue();
+
+  return true;
+};
+
+/**
+ * Check whether a token ID has been revoked
+ * Tokens issued before jti claims existed have none and are never denylisted
+ *
+ * @param {string} jti - JWT ID
+ * @returns {Promise<boolean>} True if revoked
+ */
+const isRevoked = async (jti) => {
+  if (!jti) return false;
+
+  stats.checks++;
+  const revoked = await getStore().has(jti);
+  if (revoked) stats.hits++;
+
+  return revoked;
+};
+
+/**
+ * Remove expired entries now
+ *
+ * @returns {Promise<number>} Number of removed entries
+ */
+const purgeExpired = async () => {
+  lastPurge = Date.now();
+  const removed = await getStore().purge();
+  stats.purged += removed;
+  return removed;
+};
+
+/**
+ * Get denylist statistics
+ *
+ * @returns {Promise<Object>} Denylist statistics
+ */
+const getDenylistStats = async () => {
+  return {
+    backend: getStore().name,
+    size: await getStore().size(),
+    ...stats
+  };
+};
+
+module.exports = {
+  revoke,
+  isRevoked,
+  purgeExpired,
+  getDenylistStats
+};
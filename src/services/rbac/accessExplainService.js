@@ -0,0 +1,326 @@
+/**
+ * File: src/services/rbac/accessExplainService.js
+ * Access Explain Service - Why a User Is Granted or Denied Access
+ *
+ * This file rebuilds the decision made by rbac.requirePermission and
+ * rbac.requireRole for one user, listing every role assignment and role
+ * permission grant that contributed to it.
+ *
+ * For beginners:
+ * - A user holds roles (user_roles); each role holds permissions directly or
+ *   through its parent roles (roles.parent_role_id)
+ * - A grant only counts when the assignment is active and unexpired, the role
+ *   and permission are active, and the grant's conditions hold
+ * - The what-if mode adds or removes roles in memory before explaining, so
+ *   nothing is written to the database
+ */
+
+const { UserRoleModel, RoleModel, PermissionModel, RolePermissionModel } = require('../../models');
+const { schemas } = require('../../schemas');
+const { normalizePermission, buildConditionContext, evaluateConditions } = require('../../utils/permissionConditions');
+const { getMembership } = require('./ownershipService');
+
+/**
+ * Check whether a date is in the past
+ *
+ * @param {Date|string|null} value - Date value
+ * @returns {boolean} True if the date has passed
+ */
+const isPast = (value) => Boolean(value) && new Date(value) < new Date();
+
+/**
+ * Describe why a role assignment does or doesn't count
+ *
+ * @param {Object} assignment - Assignment (from getUserRoles or simulated)
+ * @returns {Object} { active, reason }
+ */
+const describeAssignment = (assignment) => {
+  if (assignment.roleDeletedAt) {
+    return { active: false, reason: 'Role was deleted' };
+  }
+  if (!assignment.roleActive) {
+    return { active: false, reason: 'Role is inactive' };
+  }
+  if (!assignment.isActive) {
+    return { active: false, reason: 'Role assignment is inactive' };
+  }
+  if (isPast(assignment.expiresAt)) {
+    return { active: false, reason: `Role assignment expired at ${new Date(assignment.expiresAt).toISOString()}` };
+  }
+  return { active: true, reason: null };
+};
+
+/**
+ * Load the user's role assignments and apply what-if changes
+ *
+ * @param {number} userId - User ID
+ * @param {Object} simulation - { addRoleIds, removeRoleIds }
+ * @returns {Promise<Object>} { assignments, unknownRoleIds }
+ */
+const loadAssignments = async (userId, simulation) => {
+  // Include inactive and expired rows, and inactive roles, so they can be explained as well
+  const rolesResult = await UserRoleModel.getUserRoles(userId, {
+    includeInactive: true,
+    includeExpired: true,
+    includeInactiveRoles: true
+  });
+
+  if (!rolesResult.success) {
+    throw new Error(rolesResult.message);
+  }
+
+  const assignments = rolesResult.data.roles
+    .filter(role => !simulation.removeRoleIds.includes(role.role_id))
+    .map(role => ({
+      roleId: role.role_id,
+      roleName: role.role_name,
+      roleActive: role.role_is_active,
+      roleDeletedAt: role.role_deleted_at,
+      isPrimary: role.is_primary,
+      isActive: role.is_active,
+      expiresAt: role.expires_at,
+      conditions: role.conditions,
+      simulated: false
+    }));
+
+  const unknownRoleIds = [];
+  for (const roleId of simulation.addRoleIds) {
+    if (assignments.some(assignment => assignment.roleId === roleId && assignment.isActive && !isPast(assignment.expiresAt))) {
+      continue; // Already held
+    }
+
+    const role = await RoleModel.findById(roleId);
+    if (!role) {
+      unknownRoleIds.push(roleId);
+      continue;
+    }
+
+    assignments.push({
+      roleId: role.id,
+      roleName: role.name,
+      roleActive: role.isActive,
+      roleDeletedAt: null,
+      isPrimary: false,
+      isActive: true,
+      expiresAt: null,
+      conditions: null,
+      simulated: true
+    });
+  }
+
+  return { assignments, unknownRoleIds };
+};
+
+/**
+ * Explain one permission across the user's role assignments
+ *
+ * @param {Array} assignments - Role assignments
+ * @param {string} permissionName - Permission in module.action format
+ * @param {Object} context - Condition evaluation context
+ * @returns {Promise<Object>} Permission explanation
+ */
+const explainPermission = async (assignments, permissionName, context) => {
+  const permission = await PermissionModel.findByName(permissionName);
+
+  if (!permission) {
+    return {
+      decision: 'denied',
+      reason: `Permission '${permissionName}' does not exist`,
+      permission: null,
+      chain: []
+    };
+  }
+
+  const chain = [];
+  for (const assignment of assignments) {
+    const assignmentState = describeAssignment(assignment);
+    const assignmentConditions = evaluateConditions(assignment.conditions, context);
+
+    const effective = await RolePermissionModel.getEffectiveRolePermissions(assignment.roleId, { includeExpired: true });
+
+    effective
+      .filter(grant => grant.permissionName === permissionName)
+      .forEach(grant => {
+        const grantConditions = evaluateConditions(grant.conditions, context);
+        const conditionResult = [assignmentConditions.result, grantConditions.result];
+
+        let status = 'applies';
+        let reason = null;
+        if (!permission.isActive) {
+          status = 'blocked';
+          reason = 'Permission is inactive';
+        } else if (!assignmentState.active) {
+          status = 'blocked';
+          reason = assignmentState.reason;
+        } else if (grant.isExpired) {
+          status = 'blocked';
+          reason = `Grant expired at ${new Date(grant.expiresAt).toISOString()}`;
+        } else if (conditionResult.includes(false)) {
+          status = 'blocked';
+          reason = [...assignmentConditions.reasons, ...grantConditions.reasons].join('; ') || 'Conditions do not hold';
+        } else if (conditionResult.includes(null)) {
+          status = 'conditional';
+          reason = 'Conditions depend on the request or target resource';
+        }
+
+        chain.push({
+          roleId: assignment.roleId,
+          roleName: assignment.roleName,
+          simulated: assignment.simulated,
+          via: grant.isDirect ? 'direct' : 'inherited',
+          sourceRoleName: grant.sourceRoleName,
+          inheritanceLevel: grant.inheritanceLevel,
+          assignmentExpiresAt: assignment.expiresAt,
+          assignmentConditions: assignment.conditions,
+          grantExpiresAt: grant.expiresAt,
+          grantConditions: grant.conditions,
+          status,
+          reason
+        });
+      });
+  }
+
+  let decision = 'denied';
+  let reason = chain.length > 0
+    ? 'Every grant of this permission is blocked'
+    : 'None of the user\'s roles grant this permission';
+
+  if (chain.some(link => link.status === 'applies')) {
+    decision = 'granted';
+    reason = null;
+  } else if (chain.some(link => link.status === 'conditional')) {
+    decision = 'conditional';
+    reason = 'Granted only if the pending conditions hold for the request';
+  }
+
+  return {
+    decision,
+    reason,
+    permission: {
+      id: permission.id,
+      name: permission.name,
+      isActive: permission.isActive
+    },
+    chain
+  };
+};
+
+/**
+ * Explain one role as checked by requireRole
+ *
+ * @param {Array} assignments - Role assignments
+ * @param {string} roleName - Role name
+ * @returns {Object} Role explanation
+ */
+const explainRole = (assignments, roleName) => {
+  const matches = assignments
+    .filter(assignment => assignment.roleName === roleName)
+    .map(assignment => ({
+      roleId: assignment.roleId,
+      roleName: assignment.roleName,
+      simulated: assignment.simulated,
+      isPrimary: assignment.isPrimary,
+      expiresAt: assignment.expiresAt,
+      ...describeAssignment(assignment)
+    }));
+
+  const held = matches.some(match => match.active);
+
+  return {
+    decision: held ? 'granted' : 'denied',
+    reason: held
+      ? null
+      : (matches.length > 0 ? matches.map(match => match.reason).join('; ') : `User is not assigned the '${roleName}' role`),
+    assignments: matches
+  };
+};
+
+/**
+ * Explain why a user is granted or denied a permission and/or role
+ * Pass addRoleIds/removeRoleIds to simulate role changes without applying them
+ *
+ * @param {Object} explainData - { userId, permission?, role?, addRoleIds?, removeRoleIds?, ip? }
+ * @returns {Promise<Object>} Explanation result
+ */
+const explainAccess = async (explainData) => {
+  try {
+    const validatedData = await schemas.rbac.accessExplain.validate(explainData, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const simulation = {
+      addRoleIds: validatedData.addRoleIds,
+      removeRoleIds: validatedData.removeRoleIds
+    };
+    const simulated = simulation.addRoleIds.length > 0 || simulation.removeRoleIds.length > 0;
+
+    const { assignments, unknownRoleIds } = await loadAssignments(validatedData.userId, simulation);
+
+    if (unknownRoleIds.length > 0) {
+      return {
+        success: false,
+        message: 'Roles to add not found',
+        field: 'addRoleIds',
+        errors: unknownRoleIds.map(roleId => `Role ${roleId} does not exist`)
+      };
+    }
+
+    // No live request here, only the user and the IP address being asked about
+    const user = { userId: validatedData.userId };
+    const context = buildConditionContext({ user, ip: validatedData.ip }, null, {
+      membership: await getMembership(user)
+    });
+
+    const data = {
+      userId: validatedData.userId,
+      simulated,
+      simulation: simulated ? simulation : null,
+      roles: assignments.map(assignment => ({
+        roleId: assignment.roleId,
+        roleName: assignment.roleName,
+        simulated: assignment.simulated,
+        isPrimary: assignment.isPrimary,
+        expiresAt: assignment.expiresAt,
+        ...describeAssignment(assignment)
+      }))
+    };
+
+    if (validatedData.permission) {
+      data.permission = await explainPermission(assignments, normalizePermission(validatedData.permission), context);
+    }
+
+    if (validatedData.role) {
+      data.role = explainRole(assignments, validatedData.role);
+    }
+
+    return {
+      success: true,
+      message: simulated ? 'Access simulation completed successfully' : 'Access explanation completed successfully',
+      data
+    };
+
+  } catch (error) {
+    console.error('Error in explainAccess:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to explain access',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  explainAccess
+};
@@ -0,0 +1,244 @@
+/**
+ * File: src/services/rbac/assignmentExpiryService.js
+ * Assignment Expiry Service - Scheduled Role/Permission Expiry
+ *
+ * This file runs the background job that deactivates time-bound role and
+ * permission assignments once their expires_at has passed, and warns users
+ * before their access runs out.
+ *
+ * For beginners:
+ * - user_roles.expires_at and role_permissions.expires_at mark temporary access
+ * - Queries already ignore expired rows, but is_active and roles.user_count
+ *   only change when this job runs
+ * - If a user's primary role expires, their next role becomes primary
+ * - The job is started from server.js and runs every few minutes
+ */
+
+const { UserRoleModel, RoleModel, RolePermissionModel } = require('../../models');
+const config = require('../../../config/environment');
+const { sendTemplateEmail } = require('../../../config/email');
+const logger = require('../../utils/logger');
+const permissionCache = require('./permissionCacheService');
+
+const jobConfig = config.jobs || {};
+
+let timer = null;
+let running = false;
+let lastRun = null;
+
+/**
+ * Deactivate expired assignments and keep derived data in sync
+ *
+ * @returns {Promise<Object>} Expiry result
+ */
+const expireAssignments = async () => {
+  try {
+    const userRolesResult = await UserRoleModel.expireAssignments();
+    if (!userRolesResult.success) {
+      return userRolesResult;
+    }
+
+    const { expired_count: expiredCount, user_ids: userIds, role_ids: roleIds, promoted } = userRolesResult.data;
+
+    // roles.user_count only counts active assignments
+    for (const roleId of roleIds) {
+      await RoleModel.updateUserCount(roleId);
+    }
+
+    const expiredPermissions = await RolePermissionModel.cleanupExpiredAssignments();
+
+    if (expiredPermissions > 0) {
+      await permissionCache.invalidateAll();
+    } else if (userIds.length > 0) {
+      await permissionCache.invalidateUser(userIds);
+    }
+
+    promoted.forEach(({ user_id: userId, role_id: roleId }) => {
+      logger.logAuth('Primary role promoted after expiry', userId, { roleId });
+    });
+
+    return {
+      success: true,
+      message: 'Expired assignments processed successfully',
+      data: {
+        expiredUserRoles: expiredCount,
+        expiredRolePermissions: expiredPermissions,
+        affectedUsers: userIds,
+        promotedPrimaryRoles: promoted.map(({ user_id: userId, role_id: roleId }) => ({ userId, roleId }))
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in expireAssignments:', error);
+    return {
+      success: false,
+      message: 'Failed to process expired assignments',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Email users whose role assignments expire within the notice window
+ * Each assignment is notified once; failed sends are retried on the next run
+ *
+ * @param {Object} options - Notice options
+ * @param {number} options.withinDays - Notice window in days
+ * @returns {Promise<Object>} Notice result
+ */
+const sendExpiryNotices = async (options = {}) => {
+  try {
+    const { withinDays = jobConfig.expiryNoticeDays || 7 } = options;
+
+    const expiringResult = await UserRoleModel.getExpiringAssignments(withinDays);
+    if (!expiringResult.success) {
+      return expiringResult;
+    }
+
+    const results = {
+      sent: 0,
+      failed: 0,
+      total: expiringResult.data.total
+    };
+
+    for (const assignment of expiringResult.data.assignments) {
+      const expiresAt = new Date(assignment.expires_at);
+      const daysLeft = Math.max(Math.ceil((expiresAt.getTime() - Date.now()) / (24 * 60 * 60 * 1000)), 1);
+
+      try {
+        await sendTemplateEmail('accessExpiring', assignment.email, {
+          firstName: assignment.first_name || 'there',
+          roleName: assignment.role_display_name || assignment.role_name,
+          daysLeft,
+          expiresAt: expiresAt.toUTCString()
+        });
+
+        await UserRoleModel.markExpiryNotified(assignment.id);
+        results.sent++;
+      } catch (error) {
+        results.failed++;
+        logger.logError('Failed to send role expiry notice', error, {
+          userId: assignment.user_id,
+          roleId: assignment.role_id
+        });
+      }
+    }
+
+    return {
+      success: true,
+      message: `Sent ${results.sent} of ${results.total} expiry notices`,
+      data: results
+    };
+
+  } catch (error) {
+    console.error('Error in sendExpiryNotices:', error);
+    return {
+      success: false,
+      message: 'Failed to send expiry notices',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Run one pass of the assignment expiry job
+ * Overlapping runs are skipped
+ *
+ * @returns {Promise<Object>} Job result
+ */
+const runAssignmentExpiryJob = async () => {
+  if (running) {
+    return {
+      success: false,
+      message: 'Assignment expiry job is already running'
+    };
+  }
+
+  running = true;
+  const startedAt = new Date();
+
+  try {
+    const expiry = await expireAssignments();
+    const notices = await sendExpiryNotices();
+
+    lastRun = {
+      startedAt,
+      finishedAt: new Date(),
+      expiry: expiry.data || { error: expiry.message },
+      notices: notices.data || { error: notices.message }
+    };
+
+    if (expiry.data?.expiredUserRoles || expiry.data?.expiredRolePermissions || notices.data?.sent) {
+      logger.info('Assignment expiry job completed', lastRun);
+    }
+
+    return {
+      success: expiry.success && notices.success,
+      message: 'Assignment expiry job completed',
+      data: lastRun
+    };
+
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the recurring assignment expiry job
+ *
+ * @param {Object} options - Scheduler options
+ * @param {number} options.intervalMinutes - Minutes between runs
+ * @returns {boolean} True if the scheduler was started
+ */
+const startAssignmentExpiryScheduler = (options = {}) => {
+  const { intervalMinutes = jobConfig.assignmentExpiryInterval || 15 } = options;
+
+  if (timer || jobConfig.assignmentExpiryEnabled === false) {
+    return false;
+  }
+
+  const run = () => {
+    runAssignmentExpiryJob().catch(error => {
+      logger.logError('Assignment expiry job failed', error);
+    });
+  };
+
+  timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref(); // Never keep the process alive just for this job
+
+  // Catch up on anything that expired while the server was down
+  setImmediate(run);
+
+  logger.info(`⏰ Assignment expiry job scheduled every ${intervalMinutes} minute(s)`);
+  return true;
+};
+
+/**
+ * Stop the recurring assignment expiry job
+ */
+const stopAssignmentExpiryScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+/**
+ * Get scheduler status
+ *
+ * @returns {Object} Scheduler status and last run summary
+ */
+const getAssignmentExpiryStatus = () => ({
+  scheduled: Boolean(timer),
+  running,
+  lastRun
+});
+
+module.exports = {
+  expireAssignments,
+  sendExpiryNotices,
+  runAssignmentExpiryJob,
+  startAssignmentExpiryScheduler,
+  stopAssignmentExpiryScheduler,
+  getAssignmentExpiryStatus
+};
@@ -0,0 +1,222 @@
+/**
+ * File: src/services/rbac/ownershipService.js
+ * Ownership Service - Resource Ownership Resolution
+ *
+ * This file keeps a registry of ownership resolvers, one per resource type,
+ * and decides whether a user owns a resource directly or through a team or
+ * department.
+ *
+ * For beginners:
+ * - A resolver is either a table description ({ table, ownerColumn, ... })
+ *   or an async loader function registered for a resource type
+ * - The checkOwnership middleware uses this service to load the resource and
+ *   compare its owner columns with the current user
+ * - Team/department/organization membership comes from a pluggable membership
+ *   resolver (defaults to teamId/departmentId/organizationId fields on req.user,
+ *   which the access token does not carry, so real deployments register one)
+ * - Permission conditions with scope 'team' or 'organization' use the same
+ *   resolver through getMembership
+ */
+
+const { findById } = require('../../models/database');
+
+const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+const DEFAULT_RESOLVER = {
+  idColumn: 'id',
+  ownerColumn: 'user_id',
+  teamColumn: null,
+  departmentColumn: null
+};
+
+// Resource type => resolver definition
+const resolvers = new Map();
+
+/**
+ * Default membership resolver
+ * Reads team, department and organization ids from the authenticated user
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Object} { teamIds, departmentIds, organizationIds }
+ */
+const defaultMembershipResolver = (user = {}) => {
+  const collect = (single, many) => [
+    ...(Array.isArray(many) ? many : []),
+    ...(single !== undefined && single !== null ? [single] : [])
+  ].map(String);
+
+  return {
+    teamIds: collect(user.teamId, user.teamIds),
+    departmentIds: collect(user.departmentId, user.departmentIds),
+    organizationIds: collect(user.organizationId, user.organizationIds)
+  };
+};
+
+let membershipResolver = defaultMembershipResolver;
+
+/**
+ * Check that a table or column name is safe to interpolate into SQL
+ *
+ * @param {string} name - Identifier
+ * @param {string} label - Label used in the error message
+ */
+const assertIdentifier = (name, label) => {
+  if (!IDENTIFIER_PATTERN.test(name)) {
+    throw new Error(`Invalid ${label} '${name}' for ownership resolver`);
+  }
+};
+
+/**
+ * Register an ownership resolver for a resource type
+ *
+ * @param {string} resourceType - Resource type name (e.g. 'session')
+ * @param {Object|Function} definition - { table, idColumn?, ownerColumn?, teamColumn?, departmentColumn? }
+ *   or an async loader (resourceId, req) => resource|null. Loaders may also be passed
+ *   as { load, ownerColumn?, teamColumn?, departmentColumn? }
+ * @returns {Object} Registered resolver
+ */
+const registerOwnershipResolver = (resourceType, definition) => {
+  if (!resourceType || typeof resourceType !== 'string') {
+    throw new Error('Resource type is required to register an ownership resolver');
+  }
+
+  const options = typeof definition === 'function' ? { load: definition } : { ...definition };
+
+  if (!options.load && !options.table) {
+    throw new Error(`Ownership resolver for '${resourceType}' needs a table or a load function`);
+  }
+
+  const resolver = { ...DEFAULT_RESOLVER, ...options, resourceType };
+
+  if (resolver.table) assertIdentifier(resolver.table, 'table name');
+  ['idColumn', 'ownerColumn', 'teamColumn', 'departmentColumn'].forEach(key => {
+    if (resolver[key]) assertIdentifier(resolver[key], key);
+  });
+
+  resolvers.set(resourceType, resolver);
+  return resolver;
+};
+
+/**
+ * Remove a registered ownership resolver
+ *
+ * @param {string} resourceType - Resource type name
+ * @returns {boolean} True if a resolver was removed
+ */
+const unregisterOwnershipResolver = (resourceType) => resolvers.delete(resourceType);
+
+/**
+ * Get the resolver registered for a resource type
+ *
+ * @param {string} resourceType - Resource type name
+ * @returns {Object|null} Resolver definition
+ */
+const getOwnershipResolver = (resourceType) => resolvers.get(resourceType) || null;
+
+/**
+ * Replace the membership resolver used for team/department ownership
+ *
+ * @param {Function} resolver - async (user) => ({ teamIds, departmentIds, organizationIds })
+ */
+const registerMembershipResolver = (resolver) => {
+  if (typeof resolver !== 'function') {
+    throw new Error('Membership resolver must be a function');
+  }
+  membershipResolver = resolver;
+};
+
+/**
+ * Get the teams, departments and organizations a user belongs to
+ *
+ * @param {Object} user - Authenticated user (req.user)
+ * @returns {Promise<Object>} { teamIds, departmentIds, organizationIds } as strings
+ */
+const getMembership = async (user) => {
+  const membership = (user && await membershipResolver(user)) || {};
+  const ids = (list) => (Array.isArray(list) ? list : []).map(String);
+
+  return {
+    teamIds: ids(membership.teamIds),
+    departmentIds: ids(membership.departmentIds),
+    organizationIds: ids(membership.organizationIds)
+  };
+};
+
+/**
+ * Load a resource through its registered resolver
+ *
+ * @param {string} resourceType - Resource type name
+ * @param {string|number} resourceId - Resource identifier
+ * @param {Object} req - Express request (passed to custom loaders)
+ * @returns {Promise<Object|null>} Resource row or null if it does not exist
+ */
+const loadResource = async (resourceType, resourceId, req = {}) => {
+  const resolver = getOwnershipResolver(resourceType);
+  if (!resolver) {
+    throw new Error(`No ownership resolver registered for resource type '${resourceType}'`);
+  }
+
+  if (resolver.load) {
+    const resource = await resolver.load(resourceId, req);
+    return resource || null;
+  }
+
+  return findById(resolver.table, resourceId, resolver.idColumn);
+};
+
+/**
+ * Decide whether a user owns a resource
+ *
+ * @param {string} resourceType - Resource type name
+ * @param {Object} resource - Loaded resource
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} options - { ownerColumn?, allowTeam?, allowDepartment? }
+ * @returns {Promise<Object>} { isOwner, ownedThrough }
+ */
+const resolveOwnership = async (resourceType, resource, user, options = {}) => {
+  const resolver = getOwnershipResolver(resourceType) || DEFAULT_RESOLVER;
+  const { allowTeam = true, allowDepartment = true } = options;
+  const ownerColumn = options.ownerColumn || resolver.ownerColumn;
+
+  if (!resource || !user) {
+    return { isOwner: false, ownedThrough: null };
+  }
+
+  const matches = (value, ids) => value !== undefined && value !== null && ids.includes(String(value));
+
+  if (ownerColumn && matches(resource[ownerColumn], [String(user.userId)])) {
+    return { isOwner: true, ownedThrough: 'user' };
+  }
+
+  const checkTeam = allowTeam && resolver.teamColumn;
+  const checkDepartment = allowDepartment && resolver.departmentColumn;
+  if (!checkTeam && !checkDepartment) {
+    return { isOwner: false, ownedThrough: null };
+  }
+
+  const membership = await getMembership(user);
+
+  if (checkTeam && matches(resource[resolver.teamColumn], membership.teamIds)) {
+    return { isOwner: true, ownedThrough: 'team' };
+  }
+
+  if (checkDepartment && matches(resource[resolver.departmentColumn], membership.departmentIds)) {
+    return { isOwner: true, ownedThrough: 'department' };
+  }
+
+  return { isOwner: false, ownedThrough: null };
+};
+
+// Built-in resolvers for tables that ship with the project
+registerOwnershipResolver('user', { table: 'users', ownerColumn: 'id' });
+registerOwnershipResolver('session', { table: 'user_sessions', ownerColumn: 'user_id' });
+
+module.exports = {
+  registerOwnershipResolver,
+  unregisterOwnershipResolver,
+  getOwnershipResolver,
+  registerMembershipResolver,
+  getMembership,
+  loadResource,
+  resolveOwnership
+};
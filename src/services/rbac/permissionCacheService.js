@@ -0,0 +1,329 @@
+/**
+ * File: src/services/rbac/permissionCacheService.js
+ * Permission Cache Service - Effective Role/Permission Caching
+ *
+ * This file caches the results of userRoleService.getUserRoles and
+ * getUserPermissions per user, so protected requests don't walk user_roles,
+ * role_permissions and the role hierarchy on every call.
+ *
+ * For beginners:
+ * - The default backend is an in-process LRU (least recently used) map
+ * - When config.services.redis.enabled is true the cache lives in Redis,
+ *   which keeps several server instances in sync
+ * - Entries are dropped whenever roles or permissions change, and expire
+ *   after PERMISSION_CACHE_TTL seconds (or earlier if an assignment expires)
+ */
+
+const config = require('../../../config/environment');
+const { CACHE_KEYS, CACHE_TTL } = require('../../utils/constants');
+const { logError } = require('../../utils/logger');
+
+const DEFAULT_TTL = config.performance?.permissionCacheTtl || CACHE_TTL.SHORT;
+const MAX_ENTRIES = config.performance?.permissionCacheMaxEntries || 5000;
+const ENABLED = config.performance?.permissionCacheEnabled !== false;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  sets: 0,
+  invalidations: 0,
+  errors: 0
+};
+
+// =============================================================================
+// STORAGE BACKENDS
+// =============================================================================
+
+/**
+ * Create an in-process LRU store
+ * Map keeps insertion order, so the first key is always the least recently used
+ *
+ * @param {number} maxEntries - Maximum number of cached entries
+ * @returns {Object} Store with get/set/deletePrefix/clear/size
+ */
+const createMemoryStore = (maxEntries) => {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    get: (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      // Move to the most recently used position
+      entries.delete(key);
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+
+    set: (key, value, ttlSeconds) => {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    deletePrefix: (prefix) => {
+      let removed = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    clear: () => entries.clear(),
+
+    size: () => entries.size
+  };
+};
+
+/**
+ * Create a Redis-backed store
+ * Values are stored as JSON, so Date fields come back as ISO strings
+ *
+ * @param {Object} redisConfig - config.services.redis
+ * @returns {Object} Store with get/set/deletePrefix/clear/size
+ */
+const createRedisStore = (redisConfig) => {
+  // Loaded lazily so the redis package is only needed when Redis is enabled
+  const { createClient } = require('redis');
+
+  const client = createClient({
+    socket: { host: redisConfig.host, port: redisConfig.port },
+    password: redisConfig.password || undefined,
+    database: redisConfig.db
+  });
+
+  client.on('error', (error) => logError('Permission cache Redis error', error));
+  const ready = client.connect();
+  // Every cache call awaits ready and fails on its own; this only keeps the rejection from going unhandled
+  ready.catch((error) => logError('Permission cache could not connect to Redis', error));
+
+  const deletePrefix = async (prefix) => {
+    await ready;
+    let removed = 0;
+    // The iterator yields the keys in batches, one per SCAN reply
+    for await (const keys of client.scanIterator({ MATCH: `${prefix}*`, COUNT: 100 })) {
+      if (keys.length > 0) {
+        removed += await client.del(keys);
+      }
+    }
+    return removed;
+  };
+
+  return {
+    name: 'redis',
+
+    get: async (key) => {
+      await ready;
+      const value = await client.get(key);
+      return value ? JSON.parse(value) : null;
+    },
+
+    set: async (key, value, ttlSeconds) => {
+      await ready;
+      await client.set(key, JSON.stringify(value), { expiration: { type: 'EX', value: ttlSeconds } });
+    },
+
+    deletePrefix,
+
+    clear: () => deletePrefix(CACHE_KEYS.USER_PERMISSIONS),
+
+    size: () => null
+  };
+};
+
+/**
+ * Pick the storage backend from configuration
+ * Falls back to memory when Redis is enabled but cannot be loaded
+ *
+ * @returns {Object} Store
+ */
+const createStore = () => {
+  const redisConfig = config.services?.redis;
+
+  if (redisConfig?.enabled) {
+    try {
+      return createRedisStore(redisConfig);
+    } catch (error) {
+      logError('Permission cache falling back to memory store', error);
+    }
+  }
+
+  return createMemoryStore(MAX_ENTRIES);
+};
+
+let store = null;
+const getStore = () => {
+  if (!store) store = createStore();
+  return store;
+};
+
+// =============================================================================
+// CACHE API
+// =============================================================================
+
+/**
+ * Build the cache key for a user lookup
+ *
+ * @param {string|number} userId - User ID
+ * @param {string} kind - Lookup name ('roles' or 'permissions')
+ * @param {Object} options - Lookup options (part of the key)
+ * @returns {string} Cache key
+ */
+const buildKey = (userId, kind, options = {}) => {
+  const variant = Object.keys(options)
+    .filter(key => options[key] !== undefined)
+    .sort()
+    .map(key => `${key}=${options[key]}`)
+    .join('&');
+
+  return `${CACHE_KEYS.USER_PERMISSIONS}${userId}:${kind}:${variant}`;
+};
+
+/**
+ * Work out the TTL for a result
+ * Never cache past the earliest assignment expiry it contains
+ *
+ * @param {Array} expiryDates - expires_at values found in the result
+ * @returns {number} TTL in seconds (0 means don't cache)
+ */
+const computeTtl = (expiryDates = []) => {
+  const now = Date.now();
+  let ttl = DEFAULT_TTL;
+
+  expiryDates.forEach(value => {
+    if (!value) return;
+    const secondsLeft = Math.floor((new Date(value).getTime() - now) / 1000);
+    if (secondsLeft > 0) ttl = Math.min(ttl, secondsLeft); // Past dates are already reflected in the result
+  });
+
+  return Math.max(ttl, 0);
+};
+
+/**
+ * Return a cached service result or compute and store it
+ * Only successful results are cached; cache failures fall through to the loader
+ *
+ * @param {string} key - Cache key
+ * @param {Function} loader - async () => service result
+ * @param {Function} getExpiryDates - (result) => expires_at values used to cap the TTL
+ * @returns {Promise<Object>} Service result
+ */
+const remember = async (key, loader, getExpiryDates = () => []) => {
+  if (!ENABLED) return loader();
+
+  try {
+    const cached = await getStore().get(key);
+    if (cached) {
+      stats.hits++;
+      return cached;
+    }
+  } catch (error) {
+    stats.errors++;
+    logError('Permission cache read failed', error, { key });
+  }
+
+  stats.misses++;
+  const result = await loader();
+
+  if (result && result.success) {
+    const ttl = computeTtl(getExpiryDates(result));
+    if (ttl > 0) {
+      try {
+        await getStore().set(key, result, ttl);
+        stats.sets++;
+      } catch (error) {
+        stats.errors++;
+        logError('Permission cache write failed', error, { key });
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Drop every cached entry for one or more users
+ *
+ * @param {string|number|Array} userIds - User ID(s)
+ * @returns {Promise<void>}
+ */
+const invalidateUser = async (userIds) => {
+  const ids = (Array.isArray(userIds) ? userIds : [userIds]).filter(id => id !== undefined && id !== null);
+
+  try {
+    for (const userId of ids) {
+      await getStore().deletePrefix(`${CACHE_KEYS.USER_PERMISSIONS}${userId}:`);
+      stats.invalidations++;
+    }
+  } catch (error) {
+    stats.errors++;
+    logError('Permission cache invalidation failed', error, { userIds: ids });
+  }
+};
+
+/**
+ * Drop every cached user entry
+ * Used when a role or permission changes, since that can affect any holder
+ * of the role or of its child roles
+ *
+ * @returns {Promise<void>}
+ */
+const invalidateAll = async () => {
+  try {
+    await getStore().clear();
+    stats.invalidations++;
+  } catch (error) {
+    stats.errors++;
+    logError('Permission cache invalidation failed', error);
+  }
+};
+
+/**
+ * Get cache hit/miss statistics
+ *
+ * @returns {Object} Cache statistics
+ */
+const getCacheStats = () => {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    enabled: ENABLED,
+    backend: ENABLED ? getStore().name : 'disabled',
+    ttlSeconds: DEFAULT_TTL,
+    maxEntries: MAX_ENTRIES,
+    size: ENABLED ? getStore().size() : 0,
+    ...stats,
+    hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 10000) / 100 : 0
+  };
+};
+
+/**
+ * Reset hit/miss counters
+ */
+const resetCacheStats = () => {
+  Object.keys(stats).forEach(key => {
+    stats[key] = 0;
+  });
+};
+
+module.exports = {
+  buildKey,
+  remember,
+  invalidateUser,
+  invalidateAll,
+  getCacheStats,
+  resetCacheStats
+};
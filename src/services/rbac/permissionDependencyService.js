@@ -0,0 +1,330 @@
+/**
+ * File: src/services/rbac/permissionDependencyService.js
+ * Permission Dependency Service - Prerequisite Permission Graph
+ *
+ * This file works with permissions.requires_permissions, the list of
+ * permission IDs a permission depends on (e.g. users.update requires users.read).
+ *
+ * For beginners:
+ * - Dependencies form a directed graph: an edge A -> B means "A requires B"
+ * - Granting A to a role must also give the role B (and B's prerequisites)
+ * - Removing B from a role breaks every permission on that role that needs B
+ * - Cycles (A requires B, B requires A) are rejected when dependencies change
+ */
+
+const { PermissionModel, RolePermissionModel } = require('../../models');
+const { schemas } = require('../../schemas');
+
+/**
+ * Collect every permission reachable from the start IDs
+ *
+ * @param {Map} graph - Permission ID => neighbour IDs
+ * @param {Array} startIds - Starting permission IDs
+ * @returns {Set} Reachable IDs (start IDs excluded unless reachable through a cycle)
+ */
+const walk = (graph, startIds) => {
+  const reached = new Set();
+  const stack = [...startIds];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    (graph.get(current) || []).forEach(next => {
+      if (!reached.has(next)) {
+        reached.add(next);
+        stack.push(next);
+      }
+    });
+  }
+
+  return reached;
+};
+
+/**
+ * Build "requires" and "required by" adjacency maps from the dependency map
+ *
+ * @param {Map} dependencyMap - Result of PermissionModel.getDependencyMap()
+ * @returns {Object} { requires, requiredBy }
+ */
+const buildAdjacency = (dependencyMap) => {
+  const requires = new Map();
+  const requiredBy = new Map();
+
+  dependencyMap.forEach((permission, id) => {
+    requires.set(id, permission.requiresPermissions);
+    permission.requiresPermissions.forEach(requiredId => {
+      if (!requiredBy.has(requiredId)) requiredBy.set(requiredId, []);
+      requiredBy.get(requiredId).push(id);
+    });
+  });
+
+  return { requires, requiredBy };
+};
+
+/**
+ * Find a dependency cycle that goes through a permission
+ *
+ * @param {Map} requires - Permission ID => required IDs
+ * @param {number} startId - Permission to check
+ * @returns {Array|null} Cycle as a list of IDs (first === last) or null
+ */
+const findCycle = (requires, startId) => {
+  const path = [];
+  const visited = new Set();
+
+  const visit = (id) => {
+    path.push(id);
+    for (const next of requires.get(id) || []) {
+      if (next === startId) return [...path, next];
+      if (!visited.has(next)) {
+        visited.add(next);
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+    path.pop();
+    return null;
+  };
+
+  return visit(startId);
+};
+
+/**
+ * Work out which prerequisites a grant would leave unsatisfied
+ *
+ * @param {number} roleId - Role receiving the permissions
+ * @param {Array} permissionIds - Permission IDs being granted
+ * @returns {Promise<Object>} { missing: [{ permissionId, name, requiredBy }] }
+ */
+const checkGrantDependencies = async (roleId, permissionIds) => {
+  const dependencyMap = await PermissionModel.getDependencyMap();
+  const { requires } = buildAdjacency(dependencyMap);
+
+  const effective = await RolePermissionModel.getEffectiveRolePermissions(roleId);
+  const held = new Set([...effective.map(permission => permission.permissionId), ...permissionIds]);
+
+  const missing = new Map();
+  permissionIds.forEach(permissionId => {
+    walk(requires, [permissionId]).forEach(requiredId => {
+      if (held.has(requiredId)) return;
+
+      if (!missing.has(requiredId)) {
+        missing.set(requiredId, {
+          permissionId: requiredId,
+          name: dependencyMap.get(requiredId)?.name || null,
+          requiredBy: []
+        });
+      }
+      missing.get(requiredId).requiredBy.push(permissionId);
+    });
+  });
+
+  return { missing: Array.from(missing.values()) };
+};
+
+/**
+ * Work out which permissions on a role would lose a prerequisite
+ *
+ * @param {number} roleId - Role losing the permissions
+ * @param {Array} permissionIds - Permission IDs being removed
+ * @returns {Promise<Object>} { dependents: [{ permissionId, name, requires }] }
+ */
+const checkRevokeDependencies = async (roleId, permissionIds) => {
+  const dependencyMap = await PermissionModel.getDependencyMap();
+  const { requires, requiredBy } = buildAdjacency(dependencyMap);
+
+  // Only direct grants can be removed from this role; inherited ones come from the parent
+  const direct = await RolePermissionModel.getRolePermissions(roleId, { includeInherited: false });
+  const heldDirectly = new Set(direct.map(permission => permission.permissionId));
+
+  // A permission a parent role also grants stays on the role after the direct grant goes
+  const effective = await RolePermissionModel.getEffectiveRolePermissions(roleId);
+  const stillInherited = new Set(effective.filter(permission => !permission.isDirect).map(permission => permission.permissionId));
+  const removing = new Set(permissionIds.filter(permissionId => !stillInherited.has(permissionId)));
+
+  const dependents = [];
+  walk(requiredBy, Array.from(removing)).forEach(dependentId => {
+    if (!heldDirectly.has(dependentId) || permissionIds.includes(dependentId)) return;
+
+    dependents.push({
+      permissionId: dependentId,
+      name: dependencyMap.get(dependentId)?.name || null,
+      requires: Array.from(walk(requires, [dependentId])).filter(requiredId => removing.has(requiredId))
+    });
+  });
+
+  return { dependents };
+};
+
+/**
+ * Get a permission's dependency graph
+ *
+ * @param {number} permissionId - Permission ID
+ * @returns {Promise<Object>} Graph result with prerequisites, dependents, nodes and edges
+ */
+const getPermissionDependencyGraph = async (permissionId) => {
+  try {
+    const id = Number(permissionId);
+    const dependencyMap = await PermissionModel.getDependencyMap();
+
+    if (!dependencyMap.has(id)) {
+      return {
+        success: false,
+        message: 'Permission not found'
+      };
+    }
+
+    const { requires, requiredBy } = buildAdjacency(dependencyMap);
+    const prerequisites = walk(requires, [id]);
+    const dependents = walk(requiredBy, [id]);
+
+    const nodeIds = new Set([id, ...prerequisites, ...dependents]);
+    const describe = nodeId => {
+      const permission = dependencyMap.get(nodeId);
+      return permission
+        ? { id: nodeId, name: permission.name, displayName: permission.displayName, isActive: permission.isActive }
+        : { id: nodeId, name: null, missing: true }; // Dangling reference to a deleted permission
+    };
+
+    const edges = [];
+    nodeIds.forEach(nodeId => {
+      (requires.get(nodeId) || []).forEach(requiredId => {
+        if (nodeIds.has(requiredId)) edges.push({ from: nodeId, to: requiredId });
+      });
+    });
+
+    const cycle = findCycle(requires, id);
+
+    return {
+      success: true,
+      message: 'Permission dependency graph retrieved successfully',
+      data: {
+        permission: describe(id),
+        directRequires: requires.get(id).map(describe),
+        prerequisites: Array.from(prerequisites).filter(nodeId => nodeId !== id).map(describe),
+        dependents: Array.from(dependents).filter(nodeId => nodeId !== id).map(describe),
+        nodes: Array.from(nodeIds).map(describe),
+        edges,
+        hasCycle: Boolean(cycle),
+        cycle: cycle ? cycle.map(nodeId => dependencyMap.get(nodeId)?.name || nodeId) : null
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getPermissionDependencyGraph:', error);
+    return {
+      success: false,
+      message: 'Failed to retrieve permission dependencies',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Add, remove or replace a permission's prerequisites
+ * Rejects unknown permissions and changes that would create a cycle
+ *
+ * @param {number} permissionId - Permission ID
+ * @param {Object} dependencyData - { requiredPermissionIds, operation: 'add'|'remove'|'replace' }
+ * @param {string} updatedBy - ID of user making the change
+ * @returns {Promise<Object>} Update result
+ */
+const updatePermissionDependencies = async (permissionId, dependencyData, updatedBy) => {
+  try {
+    const validatedData = await schemas.rbac.permissionDependency.validate({
+      ...dependencyData,
+      permissionId
+    }, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const id = validatedData.permissionId;
+    const dependencyMap = await PermissionModel.getDependencyMap();
+
+    if (!dependencyMap.has(id)) {
+      return {
+        success: false,
+        message: 'Permission not found'
+      };
+    }
+
+    const unknownIds = validatedData.requiredPermissionIds.filter(requiredId => !dependencyMap.has(requiredId));
+    if (unknownIds.length > 0) {
+      return {
+        success: false,
+        message: 'Required permissions not found',
+        field: 'requiredPermissionIds',
+        errors: unknownIds.map(unknownId => `Permission ${unknownId} does not exist`)
+      };
+    }
+
+    const current = dependencyMap.get(id).requiresPermissions;
+    let next;
+    switch (validatedData.operation) {
+      case 'remove':
+        next = current.filter(requiredId => !validatedData.requiredPermissionIds.includes(requiredId));
+        break;
+      case 'replace':
+        next = validatedData.requiredPermissionIds;
+        break;
+      default:
+        next = Array.from(new Set([...current, ...validatedData.requiredPermissionIds]));
+    }
+
+    // Check the graph as it would look after the change
+    dependencyMap.get(id).requiresPermissions = next;
+    const { requires } = buildAdjacency(dependencyMap);
+    const cycle = findCycle(requires, id);
+
+    if (cycle) {
+      return {
+        success: false,
+        code: 'PERMISSION_DEPENDENCY_CYCLE',
+        message: `Dependency would create a cycle: ${cycle.map(nodeId => dependencyMap.get(nodeId).name).join(' -> ')}`,
+        field: 'requiredPermissionIds'
+      };
+    }
+
+    const updated = await PermissionModel.update(id, {
+      requires_permissions: next.length > 0 ? next : null,
+      updated_by: updatedBy
+    });
+
+    return {
+      success: true,
+      message: 'Permission dependencies updated successfully',
+      data: {
+        permissionId: id,
+        requiresPermissions: updated ? updated.requiresPermissions || [] : next
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in updatePermissionDependencies:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to update permission dependencies',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  walk,
+  findCycle,
+  checkGrantDependencies,
+  checkRevokeDependencies,
+  getPermissionDependencyGraph,
+  updatePermissionDependencies
+};
@@ -13,7 +13,21 @@
  */
 
 const { PermissionModel, RolePermissionModel } = require('../../models');
-const { RBAC: RBACSchemas } = require('../../schemas');
+const { schemas } = require('../../schemas');
+const permissionCache = require('./permissionCacheService');
+const { getMembership } = require('./ownershipService');
+const { normalizePermission, buildConditionContext, evaluateGrants } = require('../../utils/permissionConditions');
+
+// Sort fields accepted from the API, mapped to their permissions column
+const PERMISSION_SORT_COLUMNS = {
+  name: 'name',
+  displayName: 'display_name',
+  module: 'module',
+  action: 'action',
+  accessLevel: 'access_level',
+  usageCount: 'usage_count',
+  createdAt: 'created_at'
+};
 
 /**
  * Create a new permission
@@ -25,7 +39,7 @@ const { RBAC: RBACSchemas } = require('../../schemas');
 const createPermission = async (permissionData, createdBy) => {
   try {
     // Validate permission data using Yup
-    const validatedData = await RBACSchemas.permissionCreateSchema.validate(permissionData, {
+    const validatedData = await schemas.rbac.createPermission.validate(permissionData, {
       stripUnknown: true,
       abortEarly: false
     });
@@ -46,18 +60,10 @@ const createPermission = async (permissionData, createdBy) => {
       createdBy
     });
 
-    if (!newPermission.success) {
-      return {
-        success: false,
-        message: 'Failed to create permission',
-        error: newPermission.error
-      };
-    }
-
     return {
       success: true,
       message: 'Permission created successfully',
-      data: newPermission.data
+      data: newPermission
     };
 
   } catch (error) {
@@ -92,7 +98,7 @@ const createPermission = async (permissionData, createdBy) => {
 const updatePermission = async (permissionId, updateData, updatedBy) => {
   try {
     // Validate update data using Yup
-    const validatedData = await RBACSchemas.permissionUpdateSchema.validate(updateData, {
+    const validatedData = await schemas.rbac.updatePermission.validate({ ...updateData, id: permissionId }, {
       stripUnknown: true,
       abortEarly: false
     });
@@ -107,7 +113,7 @@ const updatePermission = async (permissionId, updateData, updatedBy) => {
     }
 
     // Check if permission is system permission and prevent certain updates
-    if (existingPermission.isSystem && (validatedData.name || validatedData.module || validatedData.action)) {
+    if (existingPermission.isSystemPermission && (validatedData.name || validatedData.module || validatedData.action)) {
       return {
         success: false,
         message: 'Cannot modify name, module, or action of system permissions'
@@ -126,24 +132,35 @@ const updatePermission = async (permissionId, updateData, updatedBy) => {
       }
     }
 
-    // Update permission
-    const updateResult = await PermissionModel.update(permissionId, {
-      ...validatedData,
-      updatedBy
+    // Update permission (the model takes database column names)
+    const updatedPermission = await PermissionModel.update(existingPermission.id, {
+      display_name: validatedData.displayName,
+      description: validatedData.description,
+      is_active: validatedData.isActive,
+      group_name: validatedData.groupName,
+      sort_order: validatedData.sortOrder,
+      icon: validatedData.icon,
+      color_code: validatedData.colorCode,
+      access_level: validatedData.accessLevel,
+      scope: validatedData.scope,
+      requires_permissions: validatedData.requiresPermissions,
+      updated_by: updatedBy
     });
 
-    if (!updateResult.success) {
+    if (!updatedPermission) {
       return {
         success: false,
-        message: 'Failed to update permission',
-        error: updateResult.error
+        message: 'Permission not found'
       };
     }
 
+    // Deactivating a permission changes the effective permissions of its holders
+    await permissionCache.invalidateAll();
+
     return {
       success: true,
       message: 'Permission updated successfully',
-      data: updateResult.data
+      data: updatedPermission
     };
 
   } catch (error) {
@@ -178,7 +195,7 @@ const getPermissionById = async (permissionId, options = {}) => {
   try {
     const { includeRoles = false } = options;
 
-    const permission = await PermissionModel.findById(permissionId, { includeRoles });
+    const permission = await PermissionModel.findById(permissionId);
 
     if (!permission) {
       return {
@@ -187,6 +204,10 @@ const getPermissionById = async (permissionId, options = {}) => {
       };
     }
 
+    if (includeRoles) {
+      permission.roles = await RolePermissionModel.getPermissionRoles(permission.id);
+    }
+
     return {
       success: true,
       message: 'Permission retrieved successfully',
@@ -224,23 +245,34 @@ const getAllPermissions = async (options = {}) => {
       sortOrder = 'asc'
     } = options;
 
-    const permissionsResult = await PermissionModel.findAll({
-      page,
-      limit,
+    let isSystemPermission = null;
+    if (systemOnly) {
+      isSystemPermission = true;
+    } else if (customOnly) {
+      isSystemPermission = false;
+    }
+
+    // Only known fields reach ORDER BY
+    const permissionsResult = await PermissionModel.search({
       search,
-      module,
-      accessLevel,
-      includeInactive,
-      systemOnly,
-      customOnly,
-      sortBy,
-      sortOrder
+      module: module || null,
+      accessLevel: accessLevel || null,
+      isActive: includeInactive ? null : true,
+      isSystemPermission
+    }, {
+      page,
+      pageSize: limit,
+      sortBy: PERMISSION_SORT_COLUMNS[sortBy] || 'module',
+      sortOrder: String(sortOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
     });
 
     return {
-      success: permissionsResult.success,
-      message: permissionsResult.success ? 'Permissions retrieved successfully' : permissionsResult.message,
-      data: permissionsResult.data
+      success: true,
+      message: 'Permissions retrieved successfully',
+      data: {
+        permissions: permissionsResult.data,
+        pagination: permissionsResult.pagination
+      }
     };
 
   } catch (error) {
@@ -264,15 +296,18 @@ const getPermissionsByModule = async (module, options = {}) => {
   try {
     const { includeInactive = false, groupByAction = false } = options;
 
-    const permissionsResult = await PermissionModel.findByModule(module, {
-      includeInactive,
-      groupByAction
-    });
+    const permissions = await PermissionModel.findByModule(module, { includeInactive });
+
+    const data = { module, permissions, total: permissions.length };
+
+    if (groupByAction) {
+      data.actions = Object.fromEntries(permissions.map(permission => [permission.action, permission]));
+    }
 
     return {
-      success: permissionsResult.success,
-      message: permissionsResult.success ? 'Module permissions retrieved successfully' : permissionsResult.message,
-      data: permissionsResult.data
+      success: true,
+      message: 'Module permissions retrieved successfully',
+      data
     };
 
   } catch (error) {
@@ -304,29 +339,30 @@ const deletePermission = async (permissionId, deletedBy) => {
     }
 
     // Prevent deletion of system permissions
-    if (existingPermission.isSystem) {
+    if (existingPermission.isSystemPermission) {
       return {
         success: false,
         message: 'Cannot delete system permissions'
       };
     }
 
-    // Check if permission is assigned to any roles
-    const permissionRoles = await RolePermissionModel.getPermissionRoles(permissionId);
-    if (permissionRoles.success && permissionRoles.data.roles.length > 0) {
+    // Check if permission is assigned to any roles (inactive roles would keep a dangling grant)
+    const permissionRoles = await RolePermissionModel.getPermissionRoles(existingPermission.id, { includeInactive: true });
+    if (permissionRoles.length > 0) {
       return {
         success: false,
-        message: `Cannot delete permission. It is assigned to ${permissionRoles.data.roles.length} role(s). Remove from all roles first.`
+        message: `Cannot delete permission. It is assigned to ${permissionRoles.length} role(s). Remove from all roles first.`
       };
     }
 
     // Soft delete the permission
-    const deleteResult = await PermissionModel.softDelete(permissionId, deletedBy);
+    await PermissionModel.delete(existingPermission.id, { deletedBy });
+    await permissionCache.invalidateAll();
 
     return {
-      success: deleteResult.success,
-      message: deleteResult.success ? 'Permission deleted successfully' : deleteResult.message,
-      data: deleteResult.success ? { permissionId, deletedBy, deletedAt: new Date() } : null
+      success: true,
+      message: 'Permission deleted successfully',
+      data: { permissionId, deletedBy, deletedAt: new Date() }
     };
 
   } catch (error) {
@@ -346,12 +382,18 @@ const deletePermission = async (permissionId, deletedBy) => {
  */
 const getAvailableModules = async () => {
   try {
-    const modulesResult = await PermissionModel.getModules();
+    const grouped = await PermissionModel.getGroupedByModule();
+
+    const modules = Object.entries(grouped).map(([module, permissions]) => ({
+      module,
+      permissionCount: permissions.length,
+      actions: permissions.map(permission => permission.action)
+    }));
 
     return {
-      success: modulesResult.success,
-      message: modulesResult.success ? 'Modules retrieved successfully' : modulesResult.message,
-      data: modulesResult.data
+      success: true,
+      message: 'Modules retrieved successfully',
+      data: { modules, total: modules.length }
     };
 
   } catch (error) {
@@ -375,13 +417,15 @@ const getAvailableModules = async () => {
  */
 const createModulePermissions = async (module, actions, options = {}, createdBy) => {
   try {
-    const { description, accessLevel = 'user' } = options;
+    const { description, accessLevel } = options;
 
     // Validate input using Yup
-    const validatedData = await RBACSchemas.modulePermissionCreateSchema.validate({
+    const validatedData = await schemas.rbac.modulePermissions.validate({
       module,
       actions,
       accessLevel
+    }, {
+      abortEarly: false
     });
 
     const results = {
@@ -397,6 +441,7 @@ const createModulePermissions = async (module, actions, options = {}, createdBy)
 
         const permissionData = {
           name: permissionName,
+          displayName: `${action.charAt(0).toUpperCase()}${action.slice(1).replace(/_/g, ' ')} ${validatedData.module.replace(/_/g, ' ')}`,
           description: description || `${action} permission for ${validatedData.module} module`,
           module: validatedData.module,
           action: action,
@@ -453,41 +498,48 @@ const createModulePermissions = async (module, actions, options = {}, createdBy)
 
 /**
  * Check if user has specific permission
+ * Grants whose conditions fail are not counted; grants whose conditions need
+ * a resource that was not supplied are reported as conditional.
  *
  * @param {string} userId - User ID
- * @param {string} permission - Permission name (module.action)
+ * @param {string} permission - Permission name (module.action or module:action)
+ * @param {Object} context - Optional evaluation context { resource, ip, user }
  * @returns {Promise<Object>} Permission check result
  */
-const checkUserPermission = async (userId, permission) => {
+const checkUserPermission = async (userId, permission, context = {}) => {
   try {
-    // This function coordinates with UserRoleModel to check permissions
-    const { UserRoleModel } = require('../../models');
+    // This function coordinates with the user role service to check permissions
+    const userRoleService = require('./userRoleService');
+
+    const permissionName = normalizePermission(permission);
 
-    // Get user roles with permissions
-    const userRoles = await UserRoleModel.getUserRoles(userId, { includePermissions: true });
+    // Get user permission grants with their conditions
+    const permissionsResult = await userRoleService.getUserPermissions(userId, { includeConditions: true });
 
-    if (!userRoles.success) {
+    if (!permissionsResult.success) {
       return {
         success: false,
         message: 'Failed to retrieve user roles'
       };
     }
 
-    // Check if user has the specific permission through any role
-    const hasPermission = userRoles.data.roles.some(role =>
-      role.permissions && role.permissions.includes(permission)
-    );
+    const user = { ...(context.user || {}), userId: Number(userId) };
+    const conditionContext = buildConditionContext({ user, ip: context.ip }, context.resource || null, {
+      membership: await getMembership(user)
+    });
+
+    const evaluation = evaluateGrants(permissionsResult.data.permissionGrants[permissionName], conditionContext);
 
     return {
       success: true,
       data: {
         userId,
-        permission,
-        hasPermission,
-        grantedThrough: hasPermission ?
-          userRoles.data.roles.filter(role =>
-            role.permissions && role.permissions.includes(permission)
-          ).map(role => role.role_name) : []
+        permission: permissionName,
+        hasPermission: evaluation.granted,
+        conditional: evaluation.conditional,
+        grantedThrough: evaluation.grantedThrough,
+        pendingConditions: evaluation.pendingConditions,
+        deniedBy: evaluation.deniedBy
       }
     };
 
@@ -509,12 +561,28 @@ const checkUserPermission = async (userId, permission) => {
  */
 const getPermissionStatistics = async (module = null) => {
   try {
-    const statsResult = await PermissionModel.getStatistics(module);
+    const stats = await PermissionModel.getStatistics();
+
+    if (!module) {
+      return {
+        success: true,
+        message: 'Permission statistics retrieved successfully',
+        data: stats
+      };
+    }
+
+    const moduleStats = stats.moduleBreakdown.find(row => row.module === module.toLowerCase());
+    if (!moduleStats) {
+      return {
+        success: false,
+        message: 'Module not found'
+      };
+    }
 
     return {
-      success: statsResult.success,
-      message: statsResult.success ? 'Permission statistics retrieved successfully' : statsResult.message,
-      data: statsResult.data
+      success: true,
+      message: 'Permission statistics retrieved successfully',
+      data: moduleStats
     };
 
   } catch (error) {
@@ -527,6 +595,19 @@ const getPermissionStatistics = async (module = null) => {
   }
 };
 
+/**
+ * Get permission cache statistics
+ *
+ * @returns {Object} Cache statistics result (hits, misses, hit rate, backend)
+ */
+const getPermissionCacheStats = () => {
+  return {
+    success: true,
+    message: 'Permission cache statistics retrieved successfully',
+    data: permissionCache.getCacheStats()
+  };
+};
+
 /**
  * Bulk create permissions
  *
@@ -537,7 +618,7 @@ const getPermissionStatistics = async (module = null) => {
 const bulkCreatePermissions = async (permissionsData, createdBy) => {
   try {
     // Validate bulk data using Yup
-    const validatedData = await RBACSchemas.permissionBulkCreateSchema.validate({
+    const validatedData = await schemas.rbac.bulkCreatePermissions.validate({
       permissions: permissionsData
     });
 
@@ -609,5 +690,6 @@ module.exports = {
   createModulePermissions,
   checkUserPermission,
   getPermissionStatistics,
+  getPermissionCacheStats,
   bulkCreatePermissions
 };
@@ -0,0 +1,831 @@
+/**
+ * File: src/services/rbac/policyService.js
+ * Policy Service - RBAC Policy Import/Export
+ *
+ * This file exports the role hierarchy, permissions and role grants as a
+ * versioned JSON or YAML document, and imports such a document back, either
+ * as a dry run that only reports the differences or as a single transaction.
+ *
+ * For beginners:
+ * - Documents refer to roles and permissions by name, so a policy exported
+ *   from staging can be applied to production
+ * - Import never deletes roles or permissions; ones the document doesn't
+ *   mention are reported as "unmanaged" and left alone
+ * - Grants the document doesn't list are only removed with prune
+ * - Changes go through roleService/permissionService, so the usual validation,
+ *   dependency checks and inheritance sync apply
+ */
+
+const YAML = require('yaml');
+const { executeTransaction } = require('../../models/database');
+const { RoleModel, PermissionModel, RolePermissionModel } = require('../../models');
+const { schemas } = require('../../schemas');
+const { POLICY_VERSION } = require('../../schemas/rbac/policySchema');
+const roleService = require('./roleService');
+const permissionService = require('./permissionService');
+const permissionDependencies = require('./permissionDependencyService');
+const permissionCache = require('./permissionCacheService');
+
+const PERMISSION_FIELDS = ['displayName', 'description', 'accessLevel', 'scope', 'groupName', 'isActive'];
+const ROLE_FIELDS = ['displayName', 'description', 'parent', 'isActive', 'isDefault', 'requireMfa', 'maxUsers', 'priority', 'colorCode', 'icon'];
+
+// assignPermissions accepts at most this many permissions per call
+const GRANT_BATCH_SIZE = 200;
+
+/**
+ * Sort object keys recursively so equal values serialize the same way
+ * MySQL JSON columns don't keep the key order they were written with
+ *
+ * @param {*} value - Value to normalize
+ * @returns {*} Normalized value
+ */
+const canonical = (value) => {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: canonical(value[key]) }), {});
+  }
+  return value;
+};
+
+/**
+ * Compare two field values, treating undefined as null
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+const sameValue = (a, b) => JSON.stringify(canonical(a ?? null)) === JSON.stringify(canonical(b ?? null));
+
+/**
+ * Normalize a grant from a document or the database
+ *
+ * @param {Object} grant - { conditions, expiresAt }
+ * @returns {Object} { conditions, expiresAt } with empty values as null
+ */
+const normalizeGrant = (grant = {}) => ({
+  conditions: grant.conditions && Object.keys(grant.conditions).length > 0 ? grant.conditions : null,
+  expiresAt: grant.expiresAt ? new Date(grant.expiresAt) : null
+});
+
+/**
+ * List the fields that differ between the current and desired object
+ *
+ * @param {Object} current - Current values
+ * @param {Object} desired - Desired values
+ * @param {Array} fields - Fields to compare
+ * @returns {Object} field => { from, to }
+ */
+const diffFields = (current, desired, fields) => fields.reduce((changes, field) => {
+  if (!sameValue(current[field], desired[field])) {
+    changes[field] = { from: current[field] ?? null, to: desired[field] ?? null };
+  }
+  return changes;
+}, {});
+
+/**
+ * Read every row of a model's paginated search
+ *
+ * @param {Object} model - RoleModel or PermissionModel
+ * @returns {Promise<Array>} All rows
+ */
+const loadAll = async (model) => {
+  const rows = [];
+  let page = 1;
+  let hasNextPage = true;
+
+  while (hasNextPage) {
+    const result = await model.search({}, { page, pageSize: 100, sortBy: 'name', sortOrder: 'ASC' });
+    rows.push(...result.data);
+    hasNextPage = result.pagination.hasNextPage;
+    page++;
+  }
+
+  return rows;
+};
+
+/**
+ * Load the current policy from the database, keyed by name
+ *
+ * @returns {Promise<Object>} { permissions, roles, grants }
+ */
+const loadCurrentPolicy = async () => {
+  const permissionRows = await loadAll(PermissionModel);
+  const roleRows = await loadAll(RoleModel);
+
+  const permissionNames = new Map(permissionRows.map(permission => [permission.id, permission.name]));
+  const roleNames = new Map(roleRows.map(role => [role.id, role.name]));
+
+  const permissions = new Map(permissionRows.map(permission => [permission.name, {
+    ...permission,
+    requires: (permission.requiresPermissions || [])
+      .map(requiredId => permissionNames.get(Number(requiredId)))
+      .filter(Boolean)
+      .sort()
+  }]));
+
+  const roles = new Map(roleRows.map(role => [role.name, {
+    ...role,
+    parent: role.parentRoleId ? roleNames.get(role.parentRoleId) || null : null
+  }]));
+
+  // Direct, active, unexpired grants only; inherited rows are derived from the parent
+  const grants = new Map();
+  for (const role of roleRows) {
+    const direct = await RolePermissionModel.getRolePermissions(role.id, { includeInherited: false });
+    grants.set(role.name, new Map(direct.map(grant => [grant.permissionName, normalizeGrant(grant)])));
+  }
+
+  return { permissions, roles, grants };
+};
+
+/**
+ * Order role names so every parent comes before its children
+ *
+ * @param {Array} names - Role names
+ * @param {Map} parentOf - Role name => parent role name
+ * @returns {Array} Sorted role names
+ */
+const orderByHierarchy = (names, parentOf) => {
+  const depth = (name) => {
+    const seen = new Set([name]);
+    let level = 0;
+    let current = parentOf.get(name);
+    while (current && !seen.has(current)) {
+      seen.add(current);
+      level++;
+      current = parentOf.get(current);
+    }
+    return level;
+  };
+
+  return [...names].sort((a, b) => depth(a) - depth(b) || a.localeCompare(b));
+};
+
+/**
+ * Build a policy document from the current policy
+ *
+ * @param {Object} current - Result of loadCurrentPolicy()
+ * @returns {Object} Policy document
+ */
+const buildDocument = (current) => {
+  const parentOf = new Map(Array.from(current.roles.values()).map(role => [role.name, role.parent]));
+
+  return {
+    version: POLICY_VERSION,
+    exportedAt: new Date().toISOString(),
+    permissions: Array.from(current.permissions.values()).map(permission => ({
+      name: permission.name,
+      displayName: permission.displayName,
+      description: permission.description,
+      resource: permission.resource,
+      accessLevel: permission.accessLevel,
+      scope: permission.scope,
+      groupName: permission.groupName,
+      isActive: permission.isActive,
+      requires: permission.requires
+    })),
+    roles: orderByHierarchy(Array.from(current.roles.keys()), parentOf).map(name => {
+      const role = current.roles.get(name);
+      const grants = Array.from(current.grants.get(name) || new Map()).sort(([a], [b]) => a.localeCompare(b));
+
+      return {
+        name: role.name,
+        displayName: role.displayName,
+        description: role.description,
+        parent: role.parent,
+        isActive: role.isActive,
+        isDefault: role.isDefault,
+        requireMfa: role.requireMfa,
+        maxUsers: role.maxUsers,
+        priority: role.priority,
+        colorCode: role.colorCode,
+        icon: role.icon,
+        // Plain names unless the grant is limited
+        permissions: grants.map(([permissionName, grant]) => (grant.conditions || grant.expiresAt
+          ? { name: permissionName, conditions: grant.conditions, expiresAt: grant.expiresAt ? grant.expiresAt.toISOString() : null }
+          : permissionName))
+      };
+    })
+  };
+};
+
+/**
+ * Serialize a policy document
+ *
+ * @param {Object} document - Policy document
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {string} Document text
+ */
+const serializeDocument = (document, format) => (format === 'yaml'
+  ? YAML.stringify(document)
+  : JSON.stringify(document, null, 2));
+
+/**
+ * Parse policy document text
+ *
+ * @param {string} content - Document text
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} Parsed document
+ */
+const parseDocument = (content, format) => (format === 'yaml'
+  ? YAML.parse(content)
+  : JSON.parse(content));
+
+/**
+ * Validate data against a schema and collect the messages instead of throwing
+ *
+ * @param {Object} schema - Yup schema
+ * @param {Object} data - Data to validate
+ * @param {string} label - Prefix for the messages
+ * @param {Array} errors - List the messages are added to
+ * @returns {Promise<void>}
+ */
+const collectValidationErrors = async (schema, data, label, errors) => {
+  try {
+    await schema.validate(data, { abortEarly: false });
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    errors.push(...error.errors.map(message => `${label}: ${message}`));
+  }
+};
+
+/**
+ * Turn a document permission into updatePermission data
+ *
+ * @param {Object} permission - Document permission
+ * @returns {Object} Service payload
+ */
+const toPermissionUpdate = (permission) => ({
+  displayName: permission.displayName,
+  description: permission.description,
+  accessLevel: permission.accessLevel,
+  scope: permission.scope,
+  groupName: permission.groupName,
+  isActive: permission.isActive
+});
+
+/**
+ * Turn a document permission into createPermission data
+ *
+ * @param {Object} permission - Document permission
+ * @returns {Object} Service payload
+ */
+const toPermissionPayload = (permission) => {
+  const [module, action] = permission.name.split('.');
+  return {
+    name: permission.name,
+    module,
+    action,
+    resource: permission.resource,
+    ...toPermissionUpdate(permission)
+  };
+};
+
+/**
+ * Turn a document role into createRole/updateRole data (without the parent)
+ *
+ * @param {Object} role - Document role
+ * @returns {Object} Service payload
+ */
+const toRolePayload = (role) => ({
+  name: role.name,
+  displayName: role.displayName,
+  description: role.description,
+  isActive: role.isActive,
+  isDefault: role.isDefault,
+  requireMfa: role.requireMfa,
+  maxUsers: role.maxUsers,
+  priority: role.priority,
+  colorCode: role.colorCode,
+  icon: role.icon
+});
+
+/**
+ * Work out what importing a document would change
+ *
+ * @param {Object} document - Validated policy document
+ * @param {Object} current - Result of loadCurrentPolicy()
+ * @param {Object} options - { prune }
+ * @returns {Promise<Object>} Import plan with errors and warnings
+ */
+const planImport = async (document, current, options) => {
+  const errors = [];
+  const warnings = [];
+
+  // ---- Permissions ----
+  const documentPermissions = new Map(document.permissions.map(permission => [permission.name, {
+    ...permission,
+    requires: Array.from(new Set(permission.requires)).sort()
+  }]));
+  const permissionExists = name => documentPermissions.has(name) || current.permissions.has(name);
+
+  const permissionPlan = { create: [], update: [], unchanged: [], unmanaged: [] };
+
+  for (const permission of documentPermissions.values()) {
+    permission.requires.forEach(requiredName => {
+      if (requiredName === permission.name) {
+        errors.push(`Permission '${permission.name}' cannot require itself`);
+      } else if (!permissionExists(requiredName)) {
+        errors.push(`Permission '${permission.name}' requires unknown permission '${requiredName}'`);
+      }
+    });
+
+    const existing = current.permissions.get(permission.name);
+    if (!existing) {
+      await collectValidationErrors(schemas.rbac.createPermission, toPermissionPayload(permission), `Permission '${permission.name}'`, errors);
+      permissionPlan.create.push({ name: permission.name, requires: permission.requires });
+      continue;
+    }
+
+    if (!sameValue(existing.resource, permission.resource)) {
+      warnings.push(`Permission '${permission.name}': resource can't be changed after creation and is left as '${existing.resource}'`);
+    }
+
+    const changes = diffFields(existing, permission, [...PERMISSION_FIELDS, 'requires']);
+    if (Object.keys(changes).length > 0) {
+      await collectValidationErrors(schemas.rbac.updatePermission, { ...toPermissionUpdate(permission), id: existing.id }, `Permission '${permission.name}'`, errors);
+      permissionPlan.update.push({ name: permission.name, changes });
+    } else {
+      permissionPlan.unchanged.push(permission.name);
+    }
+  }
+
+  current.permissions.forEach((permission, name) => {
+    if (!documentPermissions.has(name)) permissionPlan.unmanaged.push(name);
+  });
+
+  // Prerequisite graph after the import
+  const requiresOf = new Map();
+  current.permissions.forEach((permission, name) => requiresOf.set(name, permission.requires));
+  documentPermissions.forEach((permission, name) => requiresOf.set(name, permission.requires));
+
+  documentPermissions.forEach((permission, name) => {
+    const cycle = permissionDependencies.findCycle(requiresOf, name);
+    if (cycle) errors.push(`Permission dependency cycle: ${cycle.join(' -> ')}`);
+  });
+
+  // ---- Roles ----
+  const documentRoles = new Map(document.roles.map(role => [role.name, role]));
+  const roleExists = name => documentRoles.has(name) || current.roles.has(name);
+
+  const parentOf = new Map();
+  current.roles.forEach((role, name) => parentOf.set(name, role.parent));
+  documentRoles.forEach((role, name) => parentOf.set(name, role.parent));
+
+  const rolePlan = { create: [], update: [], unchanged: [], unmanaged: [] };
+  const rolesInCycles = new Set();
+
+  for (const role of documentRoles.values()) {
+    if (role.parent && !roleExists(role.parent)) {
+      errors.push(`Role '${role.name}' has unknown parent role '${role.parent}'`);
+    }
+
+    // Walk up the final hierarchy looking for a loop back to this role
+    const chain = [role.name];
+    let ancestor = role.parent;
+    while (ancestor && !chain.includes(ancestor)) {
+      chain.push(ancestor);
+      ancestor = parentOf.get(ancestor);
+    }
+    if (ancestor === role.name && !rolesInCycles.has(role.name)) {
+      chain.forEach(name => rolesInCycles.add(name));
+      errors.push(`Role hierarchy cycle: ${[...chain, ancestor].join(' -> ')}`);
+    }
+
+    const existing = current.roles.get(role.name);
+    if (!existing) {
+      await collectValidationErrors(schemas.rbac.createRole, toRolePayload(role), `Role '${role.name}'`, errors);
+      rolePlan.create.push({ name: role.name, parent: role.parent });
+      continue;
+    }
+
+    const changes = diffFields(existing, role, ROLE_FIELDS);
+    if (Object.keys(changes).length > 0) {
+      const { name, ...updatePayload } = toRolePayload(role);
+      await collectValidationErrors(schemas.rbac.updateRole, { ...updatePayload, id: existing.id }, `Role '${name}'`, errors);
+      rolePlan.update.push({ name: role.name, changes });
+    } else {
+      rolePlan.unchanged.push(role.name);
+    }
+  }
+
+  current.roles.forEach((role, name) => {
+    if (!documentRoles.has(name)) rolePlan.unmanaged.push(name);
+  });
+
+  const defaultRoles = Array.from(parentOf.keys()).filter(name => (documentRoles.has(name)
+    ? documentRoles.get(name).isDefault
+    : current.roles.get(name).isDefault));
+  if (defaultRoles.length > 1) {
+    errors.push(`Only one role can be the default role (found ${defaultRoles.join(', ')})`);
+  }
+
+  // ---- Grants ----
+  const grantPlan = { add: [], update: [], remove: [], unlisted: [] };
+  const desiredGrants = new Map();
+
+  // Parents first, so a role can count on what its ancestors will hold
+  const roleOrder = orderByHierarchy(Array.from(documentRoles.keys()), parentOf);
+
+  for (const roleName of roleOrder) {
+    const desired = new Map();
+    documentRoles.get(roleName).permissions.forEach(grant => {
+      const permissionName = typeof grant === 'string' ? grant : grant.name;
+      if (!permissionExists(permissionName)) {
+        errors.push(`Role '${roleName}' grants unknown permission '${permissionName}'`);
+        return;
+      }
+      desired.set(permissionName, { ...normalizeGrant(typeof grant === 'string' ? {} : grant), requiredBy: null });
+    });
+
+    const currentGrants = current.grants.get(roleName) || new Map();
+    if (!options.prune) {
+      // Unlisted grants stay, so they still count as held
+      currentGrants.forEach((grant, permissionName) => {
+        if (!desired.has(permissionName)) grantPlan.unlisted.push({ role: roleName, permission: permissionName });
+      });
+    }
+
+    // Everything the role will hold, directly or from an ancestor
+    const held = new Set(desired.keys());
+    if (!options.prune) currentGrants.forEach((grant, permissionName) => held.add(permissionName));
+
+    const seen = new Set([roleName]);
+    let ancestor = parentOf.get(roleName);
+    while (ancestor && !seen.has(ancestor)) {
+      seen.add(ancestor);
+      const ancestorGrants = desiredGrants.get(ancestor) || current.grants.get(ancestor) || new Map();
+      ancestorGrants.forEach((grant, permissionName) => held.add(permissionName));
+      ancestor = parentOf.get(ancestor);
+    }
+
+    // Prerequisites the document leaves out are granted as well
+    Array.from(desired.keys()).forEach(permissionName => {
+      permissionDependencies.walk(requiresOf, [permissionName]).forEach(requiredName => {
+        if (held.has(requiredName)) return;
+
+        held.add(requiredName);
+        desired.set(requiredName, { conditions: null, expiresAt: null, requiredBy: permissionName });
+        warnings.push(`Role '${roleName}': '${permissionName}' requires '${requiredName}', which will be granted as well`);
+      });
+    });
+
+    desiredGrants.set(roleName, desired);
+
+    desired.forEach((grant, permissionName) => {
+      const existing = currentGrants.get(permissionName);
+      if (!existing) {
+        grantPlan.add.push({ role: roleName, permission: permissionName, ...grant });
+      } else if (!sameValue(existing.conditions, grant.conditions) || !sameValue(existing.expiresAt, grant.expiresAt)) {
+        grantPlan.update.push({ role: roleName, permission: permissionName, from: existing, to: grant });
+      }
+    });
+
+    if (options.prune) {
+      currentGrants.forEach((grant, permissionName) => {
+        if (!desired.has(permissionName)) grantPlan.remove.push({ role: roleName, permission: permissionName });
+      });
+    }
+  }
+
+  return {
+    permissions: permissionPlan,
+    roles: rolePlan,
+    grants: grantPlan,
+    roleOrder,
+    desiredGrants,
+    documentPermissions,
+    documentRoles,
+    errors: Array.from(new Set(errors)),
+    warnings
+  };
+};
+
+/**
+ * Summarize a plan for the API response
+ *
+ * @param {Object} plan - Result of planImport()
+ * @returns {Object} Plan without internal lookups
+ */
+const describePlan = (plan) => ({
+  permissions: plan.permissions,
+  roles: plan.roles,
+  grants: plan.grants,
+  warnings: plan.warnings,
+  summary: {
+    permissionsCreated: plan.permissions.create.length,
+    permissionsUpdated: plan.permissions.update.length,
+    rolesCreated: plan.roles.create.length,
+    rolesUpdated: plan.roles.update.length,
+    grantsAdded: plan.grants.add.length,
+    grantsUpdated: plan.grants.update.length,
+    grantsRemoved: plan.grants.remove.length
+  }
+});
+
+/**
+ * Throw when a service call inside the import fails, so the transaction rolls back
+ *
+ * @param {Object} result - Service result
+ * @param {string} step - Description of the step
+ * @returns {Object} The result when it succeeded
+ */
+const ensureSuccess = (result, step) => {
+  const failed = !result.success ||
+    (result.data?.failed && result.data.failed.length > 0) ||
+    (result.data?.errors && result.data.errors.length > 0);
+
+  if (failed) {
+    const details = result.errors ||
+      (result.data?.failed || result.data?.errors || []).map(item => `${item.name || item.permissionId}: ${item.error}`);
+    const error = new Error(`${step}: ${result.message}`);
+    error.details = details;
+    throw error;
+  }
+
+  return result;
+};
+
+/**
+ * Apply an import plan
+ * Must run inside executeTransaction; any failure throws and rolls everything back
+ *
+ * @param {Object} plan - Result of planImport()
+ * @param {Object} current - Result of loadCurrentPolicy()
+ * @param {string} importedBy - ID of user running the import
+ * @returns {Promise<Object>} Counts of what was changed
+ */
+const applyPlan = async (plan, current, importedBy) => {
+  const applied = { grantsAutoGranted: 0, grantConditionsUpdated: 0 };
+
+  // 1. Permissions
+  const newPermissions = plan.permissions.create.map(({ name }) => toPermissionPayload(plan.documentPermissions.get(name)));
+  if (newPermissions.length > 0) {
+    ensureSuccess(await permissionService.bulkCreatePermissions(newPermissions, importedBy), 'Creating permissions');
+  }
+
+  for (const { name } of plan.permissions.update) {
+    ensureSuccess(
+      await permissionService.updatePermission(current.permissions.get(name).id, toPermissionUpdate(plan.documentPermissions.get(name)), importedBy),
+      `Updating permission '${name}'`
+    );
+  }
+
+  // 2. Prerequisites: drop old edges before adding new ones, so no step sees a temporary cycle
+  const dependencyMap = await PermissionModel.getDependencyMap();
+  const permissionIds = new Map(Array.from(dependencyMap.values()).map(permission => [permission.name, permission.id]));
+
+  const dependencyChanges = Array.from(plan.documentPermissions.values()).map(permission => {
+    const id = permissionIds.get(permission.name);
+    const currentIds = dependencyMap.get(id).requiresPermissions;
+    const desiredIds = permission.requires.map(requiredName => permissionIds.get(requiredName));
+    return {
+      id,
+      name: permission.name,
+      remove: currentIds.filter(requiredId => !desiredIds.includes(requiredId)),
+      add: desiredIds.filter(requiredId => !currentIds.includes(requiredId))
+    };
+  });
+
+  for (const operation of ['remove', 'add']) {
+    for (const change of dependencyChanges) {
+      if (change[operation].length === 0) continue;
+      ensureSuccess(
+        await permissionDependencies.updatePermissionDependencies(change.id, { requiredPermissionIds: change[operation], operation }, importedBy),
+        `Updating prerequisites of '${change.name}'`
+      );
+    }
+  }
+
+  // 3. Roles: create without parents, then detach moved roles, then set parents and fields
+  const newRoles = plan.roles.create.map(({ name }) => toRolePayload(plan.documentRoles.get(name)));
+  if (newRoles.length > 0) {
+    ensureSuccess(await roleService.bulkCreateRoles(newRoles, importedBy), 'Creating roles');
+  }
+
+  const roleIds = new Map((await loadAll(RoleModel)).map(role => [role.name, role.id]));
+
+  const movedRoles = plan.roles.update.filter(({ changes }) => changes.parent && changes.parent.from);
+  for (const { name } of movedRoles) {
+    ensureSuccess(await roleService.updateRole(roleIds.get(name), { parentRoleId: null }, importedBy), `Detaching role '${name}'`);
+  }
+
+  const rolesToUpdate = [
+    ...plan.roles.create.filter(({ parent }) => parent),
+    ...plan.roles.update
+  ];
+  for (const { name } of rolesToUpdate) {
+    const role = plan.documentRoles.get(name);
+    const { name: roleName, ...updateData } = toRolePayload(role);
+    ensureSuccess(await roleService.updateRole(roleIds.get(roleName), {
+      ...updateData,
+      parentRoleId: role.parent ? roleIds.get(role.parent) : null
+    }, importedBy), `Updating role '${roleName}'`);
+  }
+
+  // 4. Grants, parents first; grants sharing conditions and expiry go in one call
+  const freshPermissionIds = new Map(Array.from((await PermissionModel.getDependencyMap()).values())
+    .map(permission => [permission.name, permission.id]));
+
+  for (const roleName of plan.roleOrder) {
+    const batches = new Map();
+    plan.grants.add
+      .filter(grant => grant.role === roleName)
+      .forEach(grant => {
+        const key = JSON.stringify(canonical({ conditions: grant.conditions, expiresAt: grant.expiresAt }));
+        if (!batches.has(key)) batches.set(key, { conditions: grant.conditions, expiresAt: grant.expiresAt, permissionIds: [] });
+        batches.get(key).permissionIds.push(freshPermissionIds.get(grant.permission));
+      });
+
+    for (const batch of batches.values()) {
+      for (let start = 0; start < batch.permissionIds.length; start += GRANT_BATCH_SIZE) {
+        const result = ensureSuccess(await roleService.assignPermissions(
+          roleIds.get(roleName),
+          batch.permissionIds.slice(start, start + GRANT_BATCH_SIZE),
+          importedBy,
+          { conditions: batch.conditions, expiresAt: batch.expiresAt, autoGrantDependencies: true }
+        ), `Granting permissions to '${roleName}'`);
+        applied.grantsAutoGranted += result.data.autoGranted.length;
+      }
+    }
+
+    // Covers planned condition changes and prerequisites granted early by another batch
+    const direct = await RolePermissionModel.getRolePermissions(roleIds.get(roleName), { includeInherited: false });
+    let changed = false;
+    for (const grant of direct) {
+      const desired = plan.desiredGrants.get(roleName).get(grant.permissionName);
+      const actual = normalizeGrant(grant);
+      if (!desired || (sameValue(actual.conditions, desired.conditions) && sameValue(actual.expiresAt, desired.expiresAt))) continue;
+
+      await RolePermissionModel.updateAssignment(roleIds.get(roleName), grant.permissionId, {
+        conditions: desired.conditions,
+        expiresAt: desired.expiresAt
+      });
+      applied.grantConditionsUpdated++;
+      changed = true;
+    }
+
+    if (changed) {
+      await RolePermissionModel.syncInheritedPermissionsForSubtree(roleIds.get(roleName));
+    }
+
+    // 5. Prune grants the document doesn't list
+    const removeIds = plan.grants.remove
+      .filter(grant => grant.role === roleName)
+      .map(grant => freshPermissionIds.get(grant.permission));
+    if (removeIds.length > 0) {
+      ensureSuccess(
+        await roleService.removePermissions(roleIds.get(roleName), removeIds, importedBy),
+        `Removing permissions from '${roleName}'`
+      );
+    }
+  }
+
+  return applied;
+};
+
+/**
+ * Export the RBAC policy as a document
+ *
+ * @param {Object} options - { format: 'json'|'yaml' }
+ * @returns {Promise<Object>} Export result with the document and its text
+ */
+const exportPolicy = async (options = {}) => {
+  try {
+    const format = String(options.format || 'json').toLowerCase();
+    if (!['json', 'yaml'].includes(format)) {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: ['Format must be json or yaml'],
+        field: 'format'
+      };
+    }
+
+    const document = buildDocument(await loadCurrentPolicy());
+
+    return {
+      success: true,
+      message: 'Policy exported successfully',
+      data: {
+        format,
+        version: POLICY_VERSION,
+        document,
+        content: serializeDocument(document, format)
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in exportPolicy:', error);
+    return {
+      success: false,
+      message: 'Failed to export policy',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Import an RBAC policy document
+ * Dry runs (the default) only report the plan; otherwise the whole plan is
+ * applied in one transaction
+ *
+ * @param {Object} importData - { document?, content?, format?, dryRun?, prune? }
+ * @param {string} importedBy - ID of user running the import
+ * @returns {Promise<Object>} Import result with the plan
+ */
+const importPolicy = async (importData, importedBy) => {
+  try {
+    const request = await schemas.rbac.policyImport.validate(importData, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    let rawDocument = request.document;
+    if (!rawDocument) {
+      try {
+        rawDocument = parseDocument(request.content, request.format);
+      } catch (error) {
+        return {
+          success: false,
+          message: 'Policy document could not be parsed',
+          errors: [error.message],
+          field: 'content'
+        };
+      }
+    }
+
+    const document = await schemas.rbac.policyDocument.validate(rawDocument, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const current = await loadCurrentPolicy();
+    const plan = await planImport(document, current, { prune: request.prune });
+
+    if (plan.errors.length > 0) {
+      return {
+        success: false,
+        code: 'POLICY_INVALID',
+        message: 'Policy document is not consistent',
+        errors: plan.errors,
+        field: 'document',
+        data: describePlan(plan)
+      };
+    }
+
+    if (request.dryRun) {
+      return {
+        success: true,
+        message: 'Policy import dry run completed successfully',
+        data: { dryRun: true, prune: request.prune, ...describePlan(plan) }
+      };
+    }
+
+    let applied;
+    try {
+      applied = await executeTransaction(() => applyPlan(plan, current, importedBy));
+    } catch (error) {
+      return {
+        success: false,
+        code: 'POLICY_IMPORT_FAILED',
+        message: `Policy import rolled back: ${error.message}`,
+        errors: error.details || [error.message],
+        data: describePlan(plan)
+      };
+    }
+
+    // Services cleared the cache mid-transaction; clear it again now the changes are visible
+    await permissionCache.invalidateAll();
+
+    return {
+      success: true,
+      message: 'Policy imported successfully',
+      data: { dryRun: false, prune: request.prune, ...describePlan(plan), applied }
+    };
+
+  } catch (error) {
+    console.error('Error in importPolicy:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to import policy',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  exportPolicy,
+  importPolicy
+};
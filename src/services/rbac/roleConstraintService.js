@@ -0,0 +1,508 @@
+/**
+ * File: src/services/rbac/roleConstraintService.js
+ * Role Constraint Service - Separation of Duties
+ *
+ * This file manages rules between roles and checks role assignments against
+ * them: mutually exclusive roles (an order approver can't also be an order
+ * creator) and prerequisite roles (a role that needs another role first).
+ *
+ * For beginners:
+ * - A user "holds" a role when it is assigned to them directly, or when they
+ *   hold a child role that inherits from it (roles.parent_role_id)
+ * - Assignments only fail for violations they introduce; violations that
+ *   already exist are listed by the violations report instead
+ * - Rules that could never be satisfied (e.g. A requires B while A and B are
+ *   mutually exclusive) are rejected when they are created
+ */
+
+const { RoleConstraintModel, RoleModel, UserRoleModel } = require('../../models');
+const { schemas } = require('../../schemas');
+const { walk } = require('./permissionDependencyService');
+
+const VIOLATION_CODES = {
+  mutually_exclusive: 'ROLE_MUTUALLY_EXCLUSIVE',
+  prerequisite: 'ROLE_PREREQUISITE_MISSING'
+};
+
+/**
+ * Collect the roles a set of assigned roles amounts to (the roles plus all their ancestors)
+ *
+ * @param {Array} roleIds - Assigned role IDs
+ * @param {Map} parentMap - Result of RoleModel.getParentMap()
+ * @returns {Set} Held role IDs
+ */
+const expandHeldRoles = (roleIds, parentMap) => {
+  const parentGraph = new Map(Array.from(parentMap, ([roleId, parentId]) => [roleId, parentId ? [parentId] : []]));
+  return new Set([...roleIds, ...walk(parentGraph, roleIds)]);
+};
+
+/**
+ * Describe a constraint violation
+ *
+ * @param {Object} constraint - Constraint object
+ * @returns {Object} Violation
+ */
+const toViolation = (constraint) => ({
+  constraintId: constraint.id,
+  constraintType: constraint.constraintType,
+  code: VIOLATION_CODES[constraint.constraintType],
+  roleId: constraint.roleId,
+  roleName: constraint.role.name,
+  relatedRoleId: constraint.relatedRoleId,
+  relatedRoleName: constraint.relatedRole.name,
+  message: constraint.constraintType === 'mutually_exclusive'
+    ? `Roles '${constraint.role.name}' and '${constraint.relatedRole.name}' are mutually exclusive`
+    : `Role '${constraint.role.name}' requires role '${constraint.relatedRole.name}'`,
+  description: constraint.description
+});
+
+/**
+ * Find the constraints broken by a set of assigned roles
+ *
+ * @param {Array} roleIds - Assigned role IDs
+ * @param {Array} constraints - Active constraints
+ * @param {Map} parentMap - Role ID => parent role ID
+ * @returns {Array} Violations
+ */
+const findViolations = (roleIds, constraints, parentMap) => {
+  const held = expandHeldRoles(roleIds, parentMap);
+
+  return constraints
+    .filter(constraint => (constraint.constraintType === 'mutually_exclusive'
+      ? held.has(constraint.roleId) && held.has(constraint.relatedRoleId)
+      : held.has(constraint.roleId) && !held.has(constraint.relatedRoleId)))
+    .map(toViolation);
+};
+
+/**
+ * Find the constraints that could never be satisfied
+ * A role can't be held if everything it implies (ancestors and prerequisite
+ * roles, recursively) includes both roles of an exclusive pair, or itself
+ *
+ * @param {Array} constraints - Active constraints
+ * @param {Map} parentMap - Role ID => parent role ID
+ * @returns {Array} Conflicts { roleId, constraintId, reason }
+ */
+const findRuleConflicts = (constraints, parentMap) => {
+  const implies = new Map();
+  const addEdge = (from, to) => {
+    if (!implies.has(from)) implies.set(from, []);
+    implies.get(from).push(to);
+  };
+
+  parentMap.forEach((parentId, roleId) => {
+    if (parentId) addEdge(roleId, parentId);
+  });
+  constraints
+    .filter(constraint => constraint.constraintType === 'prerequisite')
+    .forEach(constraint => addEdge(constraint.roleId, constraint.relatedRoleId));
+
+  const exclusive = constraints.filter(constraint => constraint.constraintType === 'mutually_exclusive');
+  const conflicts = [];
+
+  implies.forEach((edges, roleId) => {
+    const reached = walk(implies, [roleId]);
+
+    if (reached.has(roleId)) {
+      conflicts.push({ roleId, constraintId: null, reason: 'prerequisite cycle' });
+    }
+
+    reached.add(roleId);
+    exclusive
+      .filter(constraint => reached.has(constraint.roleId) && reached.has(constraint.relatedRoleId))
+      .forEach(constraint => conflicts.push({ roleId, constraintId: constraint.id, reason: 'exclusive roles implied' }));
+  });
+
+  return conflicts;
+};
+
+/**
+ * Check whether adding or re-enabling a constraint makes any role impossible to hold
+ *
+ * @param {Object} candidate - Constraint being added (needs constraintType, roleId, relatedRoleId)
+ * @returns {Promise<Array>} Conflict messages (empty when the rule is consistent)
+ */
+const checkRuleConsistency = async (candidate) => {
+  const constraints = (await RoleConstraintModel.findAll()).filter(constraint => constraint.id !== candidate.id);
+  const parentMap = await RoleModel.getParentMap();
+
+  const conflictKey = conflict => `${conflict.roleId}:${conflict.constraintId}:${conflict.reason}`;
+  const existing = new Set(findRuleConflicts(constraints, parentMap).map(conflictKey));
+
+  const introduced = findRuleConflicts([...constraints, { ...candidate, id: candidate.id || 0 }], parentMap)
+    .filter(conflict => !existing.has(conflictKey(conflict)));
+
+  const messages = [];
+  for (const conflict of introduced) {
+    const role = await RoleModel.findById(conflict.roleId);
+    const roleName = role ? role.name : `#${conflict.roleId}`;
+    const message = conflict.reason === 'prerequisite cycle'
+      ? `Role '${roleName}' would require itself through its prerequisite roles`
+      : `Role '${roleName}' could never be held: it would need two mutually exclusive roles`;
+
+    if (!messages.includes(message)) messages.push(message);
+  }
+
+  return messages;
+};
+
+/**
+ * Check role assignments for a user against the active constraints
+ * Only violations introduced by the change are returned. To act on the result,
+ * run the check and the assignment in one transaction after
+ * UserRoleModel.lockUserAssignments, as userRoleService.assignRole does
+ *
+ * @param {number} userId - User ID
+ * @param {Array} roleIds - Role IDs being assigned
+ * @param {Object} options - { removeRoleIds } roles the user is about to lose
+ * @returns {Promise<Object>} { violations }
+ */
+const checkAssignmentConstraints = async (userId, roleIds, options = {}) => {
+  const { removeRoleIds = [] } = options;
+
+  const constraints = await RoleConstraintModel.findAll();
+  if (constraints.length === 0) {
+    return { violations: [] };
+  }
+
+  const rolesResult = await UserRoleModel.getUserRoles(userId);
+  if (!rolesResult.success) {
+    throw new Error(rolesResult.message);
+  }
+
+  const parentMap = await RoleModel.getParentMap();
+
+  const currentRoleIds = rolesResult.data.roles
+    .map(role => role.role_id)
+    .filter(roleId => !removeRoleIds.includes(roleId));
+  const proposedRoleIds = [...new Set([...currentRoleIds, ...roleIds])];
+
+  const existing = new Set(findViolations(currentRoleIds, constraints, parentMap).map(violation => violation.constraintId));
+
+  return {
+    violations: findViolations(proposedRoleIds, constraints, parentMap)
+      .filter(violation => !existing.has(violation.constraintId))
+  };
+};
+
+/**
+ * Turn assignment violations into a failed service result
+ *
+ * @param {Array} violations - Violations from checkAssignmentConstraints
+ * @returns {Object} Service result
+ */
+const toViolationResult = (violations) => ({
+  success: false,
+  code: violations[0].code,
+  message: violations.map(violation => violation.message).join('; '),
+  data: { violations }
+});
+
+/**
+ * Create a role constraint
+ *
+ * @param {Object} constraintData - { constraintType, roleId, relatedRoleId, description? }
+ * @param {string} createdBy - ID of user creating the constraint
+ * @returns {Promise<Object>} Creation result
+ */
+const createConstraint = async (constraintData, createdBy) => {
+  try {
+    const validatedData = await schemas.rbac.createRoleConstraint.validate(constraintData, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    // Both roles must exist
+    for (const [field, roleId] of [['roleId', validatedData.roleId], ['relatedRoleId', validatedData.relatedRoleId]]) {
+      if (!await RoleModel.findById(roleId)) {
+        return {
+          success: false,
+          message: `Role ${roleId} not found`,
+          field
+        };
+      }
+    }
+
+    const existing = await RoleConstraintModel.findByRoles(
+      validatedData.constraintType,
+      validatedData.roleId,
+      validatedData.relatedRoleId
+    );
+    if (existing) {
+      return {
+        success: false,
+        code: 'ROLE_CONSTRAINT_CONFLICT',
+        message: 'Role constraint already exists',
+        data: { constraint: existing, conflicts: [] }
+      };
+    }
+
+    const conflicts = await checkRuleConsistency(validatedData);
+    if (conflicts.length > 0) {
+      return {
+        success: false,
+        code: 'ROLE_CONSTRAINT_CONFLICT',
+        message: 'Role constraint conflicts with the role hierarchy or other constraints',
+        data: { constraint: null, conflicts }
+      };
+    }
+
+    const constraint = await RoleConstraintModel.create({
+      ...validatedData,
+      createdBy
+    });
+
+    return {
+      success: true,
+      message: 'Role constraint created successfully',
+      data: constraint
+    };
+
+  } catch (error) {
+    console.error('Error in createConstraint:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to create role constraint',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List role constraints
+ *
+ * @param {Object} query - { constraintType?, roleId?, includeInactive? }
+ * @returns {Promise<Object>} Constraints result
+ */
+const getConstraints = async (query = {}) => {
+  try {
+    const filters = await schemas.rbac.roleConstraintQuery.validate(query, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const constraints = await RoleConstraintModel.findAll(filters);
+
+    return {
+      success: true,
+      message: 'Role constraints retrieved successfully',
+      data: constraints
+    };
+
+  } catch (error) {
+    console.error('Error in getConstraints:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to retrieve role constraints',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Update a role constraint's description or active flag
+ *
+ * @param {number} constraintId - Constraint ID
+ * @param {Object} updateData - { description?, isActive? }
+ * @param {string} updatedBy - ID of user updating the constraint
+ * @returns {Promise<Object>} Update result
+ */
+const updateConstraint = async (constraintId, updateData, updatedBy) => {
+  try {
+    const validatedData = await schemas.rbac.updateRoleConstraint.validate({ ...updateData, id: constraintId }, {
+      stripUnknown: true,
+      abortEarly: false
+    });
+
+    const constraint = await RoleConstraintModel.findById(validatedData.id);
+    if (!constraint) {
+      return {
+        success: false,
+        message: 'Role constraint not found'
+      };
+    }
+
+    // Re-enabling a rule is the same as adding it
+    if (validatedData.isActive && !constraint.isActive) {
+      const conflicts = await checkRuleConsistency(constraint);
+      if (conflicts.length > 0) {
+        return {
+          success: false,
+          code: 'ROLE_CONSTRAINT_CONFLICT',
+          message: 'Role constraint conflicts with the role hierarchy or other constraints',
+          data: { constraint, conflicts }
+        };
+      }
+    }
+
+    const updatedConstraint = await RoleConstraintModel.update(validatedData.id, {
+      description: validatedData.description,
+      is_active: validatedData.isActive,
+      updated_by: updatedBy
+    });
+
+    if (!updatedConstraint) {
+      return {
+        success: false,
+        message: 'Role constraint not found'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Role constraint updated successfully',
+      data: updatedConstraint
+    };
+
+  } catch (error) {
+    console.error('Error in updateConstraint:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: error.path
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to update role constraint',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Delete a role constraint
+ *
+ * @param {number} constraintId - Constraint ID
+ * @returns {Promise<Object>} Deletion result
+ */
+const deleteConstraint = async (constraintId) => {
+  try {
+    const id = await schemas.common.id.label('Constraint ID').validate(constraintId);
+
+    const deleted = await RoleConstraintModel.delete(id);
+
+    if (!deleted) {
+      return {
+        success: false,
+        message: 'Role constraint not found'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Role constraint deleted successfully',
+      data: { id }
+    };
+
+  } catch (error) {
+    console.error('Error in deleteConstraint:', error);
+
+    // Handle Yup validation errors
+    if (error.name === 'ValidationError') {
+      return {
+        success: false,
+        message: 'Validation failed',
+        errors: error.errors,
+        field: 'id'
+      };
+    }
+
+    return {
+      success: false,
+      message: 'Failed to delete role constraint',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * List every user whose current roles break an active constraint
+ * Violations exist when rules are added after roles were assigned, or when a
+ * prerequisite role is revoked or expires
+ *
+ * @returns {Promise<Object>} Violations report
+ */
+const getViolationsReport = async () => {
+  try {
+    const constraints = await RoleConstraintModel.findAll();
+    const parentMap = await RoleModel.getParentMap();
+    const assignments = await RoleConstraintModel.getActiveUserRoles();
+
+    const users = new Map();
+    assignments.forEach(assignment => {
+      if (!users.has(assignment.userId)) {
+        users.set(assignment.userId, { userId: assignment.userId, userEmail: assignment.userEmail, roleIds: [] });
+      }
+      users.get(assignment.userId).roleIds.push(assignment.roleId);
+    });
+
+    const usersWithViolations = [];
+    users.forEach(user => {
+      const violations = findViolations(user.roleIds, constraints, parentMap);
+      if (violations.length > 0) {
+        usersWithViolations.push({ ...user, violations });
+      }
+    });
+
+    return {
+      success: true,
+      message: usersWithViolations.length > 0
+        ? `Found role constraint violations for ${usersWithViolations.length} users`
+        : 'No role constraint violations found',
+      data: {
+        generatedAt: new Date(),
+        constraintsChecked: constraints.length,
+        usersChecked: users.size,
+        totalViolations: usersWithViolations.reduce((total, user) => total + user.violations.length, 0),
+        users: usersWithViolations
+      }
+    };
+
+  } catch (error) {
+    console.error('Error in getViolationsReport:', error);
+    return {
+      success: false,
+      message: 'Failed to build role constraint violations report',
+      error: error.message
+    };
+  }
+};
+
+module.exports = {
+  expandHeldRoles,
+  checkAssignmentConstraints,
+  toViolationResult,
+  createConstraint,
+  getConstraints,
+  updateConstraint,
+  deleteConstraint,
+  getViolationsReport
+};
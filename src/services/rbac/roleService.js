@@ -10,10 +10,25 @@
  * - This service manages role CRUD operations and relationships
  * - Uses functional programming approach
  * - Integrates with Yup validation and MySQL2 models
+ * - Child roles hold copies of their ancestors' grants; every change that
+ *   affects them refreshes the copies in the same transaction
  */
 
 const { RoleModel, RolePermissionModel, UserRoleModel } = require('../../models');
-const { RBAC: RBACSchemas } = require('../../schemas');
+const { executeTransaction } = require('../../models/database');
+const { schemas } = require('../../schemas');
+const permissionCache = require('./permissionCacheService');
+const permissionDependencies = require('./permissionDependencyService');
+
+// Sort fields accepted from the API, mapped to their roles column
+const ROLE_SORT_COLUMNS = {
+  name: 'name',
+  displayName: 'display_name',
+  priority: 'priority',
+  userCount: 'user_count',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at'
+};
 
 /**
  * Create a new role
@@ -25,7 +40,7 @@ const { RBAC: RBACSchemas } = require('../../schemas');
 const createRole = async (roleData, createdBy) => {
   try {
     // Validate role data using Yup
-    const validatedData = await RBACSchemas.roleCreateSchema.validate(roleData, {
+    const validatedData = await schemas.rbac.createRole.validate(roleData, {
       stripUnknown: true,
       abortEarly: false
     });
@@ -41,35 +56,35 @@ const createRole = async (roleData, createdBy) => {
     }
 
     // If parent role is specified, verify it exists
-    if (validatedData.parentId) {
-      const parentRole = await RoleModel.findById(validatedData.parentId);
+    if (validatedData.parentRoleId) {
+      const parentRole = await RoleModel.findById(validatedData.parentRoleId);
       if (!parentRole) {
         return {
           success: false,
           message: 'Parent role not found',
-          field: 'parentId'
+          field: 'parentRoleId'
         };
       }
     }
 
-    // Create role
-    const newRole = await RoleModel.create({
-      ...validatedData,
-      createdBy
-    });
+    const newRole = await executeTransaction(async () => {
+      const role = await RoleModel.create({
+        ...validatedData,
+        createdBy
+      });
 
-    if (!newRole.success) {
-      return {
-        success: false,
-        message: 'Failed to create role',
-        error: newRole.error
-      };
-    }
+      // A child role starts out with everything its parent holds
+      if (role.parentRoleId) {
+        await RolePermissionModel.syncInheritedPermissions(role.id);
+      }
+
+      return role;
+    });
 
     return {
       success: true,
       message: 'Role created successfully',
-      data: newRole.data
+      data: newRole
     };
 
   } catch (error) {
@@ -104,7 +119,7 @@ const createRole = async (roleData, createdBy) => {
 const updateRole = async (roleId, updateData, updatedBy) => {
   try {
     // Validate update data using Yup
-    const validatedData = await RBACSchemas.roleUpdateSchema.validate(updateData, {
+    const validatedData = await schemas.rbac.updateRole.validate({ ...updateData, id: roleId }, {
       stripUnknown: true,
       abortEarly: false
     });
@@ -119,7 +134,7 @@ const updateRole = async (roleId, updateData, updatedBy) => {
     }
 
     // Check if role is system role and prevent certain updates
-    if (existingRole.isSystem && (validatedData.name || validatedData.isSystem === false)) {
+    if (existingRole.isSystemRole && (validatedData.name || validatedData.isSystem === false)) {
       return {
         success: false,
         message: 'Cannot modify name or system status of system roles'
@@ -139,45 +154,71 @@ const updateRole = async (roleId, updateData, updatedBy) => {
     }
 
     // If updating parent, verify it exists and prevents circular hierarchy
-    if (validatedData.parentId) {
-      const parentRole = await RoleModel.findById(validatedData.parentId);
+    if (validatedData.parentRoleId) {
+      const parentRole = await RoleModel.findById(validatedData.parentRoleId);
       if (!parentRole) {
         return {
           success: false,
           message: 'Parent role not found',
-          field: 'parentId'
+          field: 'parentRoleId'
         };
       }
 
       // Check for circular hierarchy
-      const wouldCreateCycle = await RoleModel.wouldCreateCircularHierarchy(roleId, validatedData.parentId);
+      const wouldCreateCycle = await RoleModel.wouldCreateCircularHierarchy(existingRole.id, parentRole.id);
       if (wouldCreateCycle) {
         return {
           success: false,
           message: 'Cannot set parent role as it would create a circular hierarchy',
-          field: 'parentId'
+          field: 'parentRoleId'
         };
       }
     }
 
-    // Update role
-    const updateResult = await RoleModel.update(roleId, {
-      ...validatedData,
-      updatedBy
+    // A new parent changes what this role and every role below it inherit,
+    // and an inactive role passes nothing on to the roles below it
+    const parentChanged = validatedData.parentRoleId !== undefined &&
+      (validatedData.parentRoleId || null) !== (existingRole.parentRoleId || null);
+    const activeChanged = validatedData.isActive !== undefined &&
+      Boolean(validatedData.isActive) !== Boolean(existingRole.isActive);
+
+    const updatedRole = await executeTransaction(async () => {
+      // Update role (the model takes database column names)
+      const role = await RoleModel.update(existingRole.id, {
+        display_name: validatedData.displayName,
+        description: validatedData.description,
+        parent_role_id: validatedData.parentRoleId,
+        is_active: validatedData.isActive,
+        is_default: validatedData.isDefault,
+        require_mfa: validatedData.requireMfa,
+        max_users: validatedData.maxUsers,
+        color_code: validatedData.colorCode,
+        icon: validatedData.icon,
+        priority: validatedData.priority,
+        updated_by: updatedBy
+      });
+
+      if (role && (parentChanged || activeChanged)) {
+        await RolePermissionModel.syncInheritedPermissionsForSubtree(existingRole.id);
+      }
+
+      return role;
     });
 
-    if (!updateResult.success) {
+    if (!updatedRole) {
       return {
         success: false,
-        message: 'Failed to update role',
-        error: updateResult.error
+        message: 'Role not found'
       };
     }
 
+    // Activation and parent changes affect every holder of this role and its children
+    await permissionCache.invalidateAll();
+
     return {
       success: true,
       message: 'Role updated successfully',
-      data: updateResult.data
+      data: updatedRole
     };
 
   } catch (error) {
@@ -213,9 +254,8 @@ const getRoleById = async (roleId, options = {}) => {
     const { includePermissions = false, includeUsers = false, includeHierarchy = false } = options;
 
     const role = await RoleModel.findById(roleId, {
-      includePermissions,
-      includeUsers,
-      includeHierarchy
+      includeParent: includeHierarchy,
+      includeChildren: includeHierarchy
     });
 
     if (!role) {
@@ -225,6 +265,15 @@ const getRoleById = async (roleId, options = {}) => {
       };
     }
 
+    if (includePermissions) {
+      role.permissions = await RolePermissionModel.getRolePermissions(role.id);
+    }
+
+    if (includeUsers) {
+      const roleUsers = await UserRoleModel.getRoleUsers(role.id);
+      role.users = roleUsers.success ? roleUsers.data.users : [];
+    }
+
     return {
       success: true,
       message: 'Role retrieved successfully',
@@ -260,21 +309,32 @@ const getAllRoles = async (options = {}) => {
       sortOrder = 'asc'
     } = options;
 
-    const rolesResult = await RoleModel.findAll({
-      page,
-      limit,
+    let isSystemRole = null;
+    if (systemOnly) {
+      isSystemRole = true;
+    } else if (customOnly) {
+      isSystemRole = false;
+    }
+
+    // Only known fields reach ORDER BY
+    const rolesResult = await RoleModel.search({
       search,
-      includeInactive,
-      systemOnly,
-      customOnly,
-      sortBy,
-      sortOrder
+      isActive: includeInactive ? null : true,
+      isSystemRole
+    }, {
+      page,
+      pageSize: limit,
+      sortBy: ROLE_SORT_COLUMNS[sortBy] || 'priority',
+      sortOrder: String(sortOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC'
     });
 
     return {
-      success: rolesResult.success,
-      message: rolesResult.success ? 'Roles retrieved successfully' : rolesResult.message,
-      data: rolesResult.data
+      success: true,
+      message: 'Roles retrieved successfully',
+      data: {
+        roles: rolesResult.data,
+        pagination: rolesResult.pagination
+      }
     };
 
   } catch (error) {
@@ -306,7 +366,7 @@ const deleteRole = async (roleId, deletedBy) => {
     }
 
     // Prevent deletion of system roles
-    if (existingRole.isSystem) {
+    if (existingRole.isSystemRole) {
       return {
         success: false,
         message: 'Cannot delete system roles'
@@ -322,22 +382,23 @@ const deleteRole = async (roleId, deletedBy) => {
       };
     }
 
-    // Check if role has child roles
-    const childRoles = await RoleModel.getChildRoles(roleId);
-    if (childRoles.success && childRoles.data.length > 0) {
+    // Check if role has child roles (inactive ones would be orphaned as well)
+    const childRoles = await RoleModel.findByParentId(existingRole.id, { includeInactive: true });
+    if (childRoles.length > 0) {
       return {
         success: false,
-        message: `Cannot delete role. It has ${childRoles.data.length} child role(s). Remove child roles first.`
+        message: `Cannot delete role. It has ${childRoles.length} child role(s). Remove child roles first.`
       };
     }
 
     // Soft delete the role
-    const deleteResult = await RoleModel.softDelete(roleId, deletedBy);
+    await RoleModel.delete(existingRole.id, { deletedBy });
+    await permissionCache.invalidateAll();
 
     return {
-      success: deleteResult.success,
-      message: deleteResult.success ? 'Role deleted successfully' : deleteResult.message,
-      data: deleteResult.success ? { roleId, deletedBy, deletedAt: new Date() } : null
+      success: true,
+      message: 'Role deleted successfully',
+      data: { roleId, deletedBy, deletedAt: new Date() }
     };
 
   } catch (error) {
@@ -356,18 +417,27 @@ const deleteRole = async (roleId, deletedBy) => {
  * @param {string} roleId - Role ID
  * @param {Array} permissionIds - Array of permission IDs
  * @param {string} assignedBy - ID of user making the assignment
+ * @param {Object} options - Grant options
+ * @param {Object} options.conditions - Conditions limiting the grant (see utils/permissionConditions)
+ * @param {Date} options.expiresAt - When the grant expires
+ * @param {boolean} options.autoGrantDependencies - Grant missing prerequisites instead of rejecting
  * @returns {Promise<Object>} Permission assignment result
  */
-const assignPermissions = async (roleId, permissionIds, assignedBy) => {
+const assignPermissions = async (roleId, permissionIds, assignedBy, options = {}) => {
   try {
     // Validate input using Yup
-    const validatedData = await RBACSchemas.rolePermissionAssignSchema.validate({
-      roleId,
-      permissionIds
+    const validatedData = await schemas.rbac.rolePermissions.validate({
+      permissionIds,
+      conditions: options.conditions || null,
+      expiresAt: options.expiresAt || null,
+      autoGrantDependencies: options.autoGrantDependencies
+    }, {
+      stripUnknown: true,
+      abortEarly: false
     });
 
     // Check if role exists
-    const role = await RoleModel.findById(validatedData.roleId);
+    const role = await RoleModel.findById(roleId);
     if (!role) {
       return {
         success: false,
@@ -375,17 +445,48 @@ const assignPermissions = async (roleId, permissionIds, assignedBy) => {
       };
     }
 
-    // Assign permissions
-    const assignResult = await RolePermissionModel.assignPermissions(
-      validatedData.roleId,
-      validatedData.permissionIds,
-      assignedBy
-    );
+    // Every granted permission needs its prerequisites on the role as well
+    const { missing } = await permissionDependencies.checkGrantDependencies(role.id, validatedData.permissionIds);
+
+    if (missing.length > 0 && !validatedData.autoGrantDependencies) {
+      return {
+        success: false,
+        code: 'PERMISSION_DEPENDENCY_UNSATISFIED',
+        message: `Missing prerequisite permissions: ${missing.map(dependency => dependency.name).join(', ')}`,
+        data: { missing }
+      };
+    }
+
+    const assignResult = await executeTransaction(async () => {
+      const result = await RolePermissionModel.bulkAssignPermissions(
+        role.id,
+        [...validatedData.permissionIds, ...missing.map(dependency => dependency.permissionId)],
+        {
+          grantedBy: assignedBy,
+          conditions: validatedData.conditions,
+          expiresAt: validatedData.expiresAt
+        }
+      );
+
+      // Child roles carry materialized copies of this role's grants
+      if (result.assigned > 0) {
+        await RolePermissionModel.syncInheritedPermissionsForSubtree(role.id);
+      }
+
+      return result;
+    });
+
+    if (assignResult.assigned > 0) {
+      await permissionCache.invalidateAll();
+    }
 
     return {
-      success: assignResult.success,
-      message: assignResult.success ? 'Permissions assigned successfully' : assignResult.message,
-      data: assignResult.data
+      success: true,
+      message: 'Permissions assigned successfully',
+      data: {
+        ...assignResult,
+        autoGranted: missing
+      }
     };
 
   } catch (error) {
@@ -415,18 +516,23 @@ const assignPermissions = async (roleId, permissionIds, assignedBy) => {
  * @param {string} roleId - Role ID
  * @param {Array} permissionIds - Array of permission IDs to remove
  * @param {string} removedBy - ID of user removing the permissions
+ * @param {Object} options - Removal options
+ * @param {boolean} options.cascade - Also remove permissions that depend on the removed ones
  * @returns {Promise<Object>} Permission removal result
  */
-const removePermissions = async (roleId, permissionIds, removedBy) => {
+const removePermissions = async (roleId, permissionIds, removedBy, options = {}) => {
   try {
     // Validate input using Yup
-    const validatedData = await RBACSchemas.rolePermissionRemoveSchema.validate({
-      roleId,
-      permissionIds
+    const validatedData = await schemas.rbac.rolePermissions.validate({
+      permissionIds,
+      cascade: options.cascade
+    }, {
+      stripUnknown: true,
+      abortEarly: false
     });
 
     // Check if role exists
-    const role = await RoleModel.findById(validatedData.roleId);
+    const role = await RoleModel.findById(roleId);
     if (!role) {
       return {
         success: false,
@@ -434,17 +540,61 @@ const removePermissions = async (roleId, permissionIds, removedBy) => {
       };
     }
 
-    // Remove permissions
-    const removeResult = await RolePermissionModel.removePermissions(
-      validatedData.roleId,
-      validatedData.permissionIds,
-      removedBy
-    );
+    // Permissions left on the role must not lose a prerequisite
+    const { dependents } = await permissionDependencies.checkRevokeDependencies(role.id, validatedData.permissionIds);
+
+    if (dependents.length > 0 && !validatedData.cascade) {
+      return {
+        success: false,
+        code: 'PERMISSION_DEPENDENCY_IN_USE',
+        message: `Permissions still required by: ${dependents.map(dependent => dependent.name).join(', ')}`,
+        data: { dependents }
+      };
+    }
+
+    // Remove permissions one by one so a missing assignment doesn't stop the rest
+    const removeResult = {
+      removed: 0,
+      skipped: 0,
+      errors: [],
+      cascaded: dependents
+    };
+
+    await executeTransaction(async () => {
+      for (const permissionId of [...validatedData.permissionIds, ...dependents.map(dependent => dependent.permissionId)]) {
+        try {
+          const revoked = await RolePermissionModel.revokePermission(role.id, permissionId, {
+            revokedBy: removedBy,
+            revocationReason: 'manual_revocation'
+          });
+
+          if (revoked) {
+            removeResult.removed++;
+          } else {
+            removeResult.skipped++;
+          }
+        } catch (error) {
+          removeResult.errors.push({
+            permissionId,
+            error: error.message
+          });
+        }
+      }
+
+      // Drops the copies held by child roles, and restores the role's own inherited copy if a parent still grants it
+      if (removeResult.removed > 0) {
+        await RolePermissionModel.syncInheritedPermissionsForSubtree(role.id);
+      }
+    });
+
+    if (removeResult.removed > 0) {
+      await permissionCache.invalidateAll();
+    }
 
     return {
-      success: removeResult.success,
-      message: removeResult.success ? 'Permissions removed successfully' : removeResult.message,
-      data: removeResult.data
+      success: true,
+      message: 'Permissions removed successfully',
+      data: removeResult
     };
 
   } catch (error) {
@@ -489,15 +639,21 @@ const getRolePermissions = async (roleId, options = {}) => {
     }
 
     // Get role permissions
-    const permissionsResult = await RolePermissionModel.getRolePermissions(roleId, {
-      includeInherited,
-      groupByModule
-    });
+    const permissions = await RolePermissionModel.getRolePermissions(role.id, { includeInherited });
+
+    const data = { roleId: role.id, permissions, total: permissions.length };
+
+    if (groupByModule) {
+      data.modules = permissions.reduce((modules, permission) => {
+        (modules[permission.module] = modules[permission.module] || []).push(permission);
+        return modules;
+      }, {});
+    }
 
     return {
-      success: permissionsResult.success,
-      message: permissionsResult.success ? 'Role permissions retrieved successfully' : permissionsResult.message,
-      data: permissionsResult.data
+      success: true,
+      message: 'Role permissions retrieved successfully',
+      data
     };
 
   } catch (error) {
@@ -519,7 +675,7 @@ const getRolePermissions = async (roleId, options = {}) => {
  */
 const getRoleHierarchy = async (roleId, options = {}) => {
   try {
-    const { includePermissions = false, maxDepth = 5 } = options;
+    const { includePermissions = false } = options;
 
     // Check if role exists
     const role = await RoleModel.findById(roleId);
@@ -530,16 +686,28 @@ const getRoleHierarchy = async (roleId, options = {}) => {
       };
     }
 
-    // Get role hierarchy
-    const hierarchyResult = await RoleModel.getRoleHierarchy(roleId, {
-      includePermissions,
-      maxDepth
-    });
+    // Get role hierarchy (the role itself first, then its parents up to the root)
+    const [ancestors, children] = await Promise.all([
+      RoleModel.getRoleHierarchy(role.id),
+      RoleModel.findByParentId(role.id)
+    ]);
+
+    if (includePermissions) {
+      for (const hierarchyRole of [...ancestors, ...children]) {
+        hierarchyRole.permissions = await RolePermissionModel.getRolePermissions(hierarchyRole.id, {
+          includeInherited: false
+        });
+      }
+    }
 
     return {
-      success: hierarchyResult.success,
-      message: hierarchyResult.success ? 'Role hierarchy retrieved successfully' : hierarchyResult.message,
-      data: hierarchyResult.data
+      success: true,
+      message: 'Role hierarchy retrieved successfully',
+      data: {
+        role: ancestors[0] || role,
+        parents: ancestors.slice(1),
+        children
+      }
     };
 
   } catch (error) {
@@ -560,12 +728,39 @@ const getRoleHierarchy = async (roleId, options = {}) => {
  */
 const getRoleStatistics = async (roleId = null) => {
   try {
-    const statsResult = await RoleModel.getStatistics(roleId);
+    if (!roleId) {
+      return {
+        success: true,
+        message: 'Role statistics retrieved successfully',
+        data: await RoleModel.getStatistics()
+      };
+    }
+
+    const role = await RoleModel.findById(roleId);
+    if (!role) {
+      return {
+        success: false,
+        message: 'Role not found'
+      };
+    }
+
+    const [permissions, children] = await Promise.all([
+      RolePermissionModel.getRolePermissions(role.id),
+      RoleModel.findByParentId(role.id, { includeInactive: true })
+    ]);
 
     return {
-      success: statsResult.success,
-      message: statsResult.success ? 'Role statistics retrieved successfully' : statsResult.message,
-      data: statsResult.data
+      success: true,
+      message: 'Role statistics retrieved successfully',
+      data: {
+        roleId: role.id,
+        name: role.name,
+        userCount: role.userCount,
+        maxUsers: role.maxUsers,
+        directPermissions: permissions.filter(permission => !permission.isInherited).length,
+        inheritedPermissions: permissions.filter(permission => permission.isInherited).length,
+        childRoles: children.length
+      }
     };
 
   } catch (error) {
@@ -589,13 +784,13 @@ const getRoleStatistics = async (roleId = null) => {
 const duplicateRole = async (roleId, duplicateData, createdBy) => {
   try {
     // Validate duplicate data using Yup
-    const validatedData = await RBACSchemas.roleDuplicateSchema.validate(duplicateData, {
+    const validatedData = await schemas.rbac.duplicateRole.validate(duplicateData, {
       stripUnknown: true,
       abortEarly: false
     });
 
     // Check if source role exists
-    const sourceRole = await RoleModel.findById(roleId, { includePermissions: true });
+    const sourceRole = await RoleModel.findById(roleId);
     if (!sourceRole) {
       return {
         success: false,
@@ -613,42 +808,52 @@ const duplicateRole = async (roleId, duplicateData, createdBy) => {
       };
     }
 
-    // Create duplicate role data
-    const newRoleData = {
-      name: validatedData.name,
-      description: validatedData.description || `Copy of ${sourceRole.description}`,
-      priority: validatedData.priority || sourceRole.priority + 1,
-      isSystem: false, // Duplicated roles are never system roles
-      isActive: validatedData.isActive !== undefined ? validatedData.isActive : sourceRole.isActive,
-      parentId: validatedData.parentId || sourceRole.parentId
-    };
-
-    // Create the new role
-    const newRole = await RoleModel.create({
-      ...newRoleData,
-      createdBy
-    });
+    let copiedPermissions = 0;
+    const newRole = await executeTransaction(async () => {
+      // Duplicated roles are never system or default roles
+      const role = await RoleModel.create({
+        name: validatedData.name,
+        displayName: validatedData.displayName || `${sourceRole.displayName} (copy)`,
+        description: validatedData.description || `Copy of ${sourceRole.description || sourceRole.name}`,
+        parentRoleId: validatedData.parentRoleId !== undefined ? validatedData.parentRoleId : sourceRole.parentRoleId,
+        isActive: validatedData.isActive !== undefined ? validatedData.isActive : sourceRole.isActive,
+        requireMfa: sourceRole.requireMfa,
+        colorCode: sourceRole.colorCode,
+        icon: sourceRole.icon,
+        priority: validatedData.priority !== undefined ? validatedData.priority : sourceRole.priority,
+        createdBy
+      });
+
+      // Copy the source role's own grants; inherited ones come from the new role's parent
+      if (validatedData.copyPermissions) {
+        const permissions = await RolePermissionModel.getRolePermissions(sourceRole.id, { includeInherited: false });
+
+        for (const permission of permissions) {
+          await RolePermissionModel.assignPermission({
+            roleId: role.id,
+            permissionId: permission.permissionId,
+            grantedBy: createdBy,
+            conditions: permission.conditions,
+            expiresAt: permission.expiresAt
+          });
+          copiedPermissions++;
+        }
+      }
 
-    if (!newRole.success) {
-      return {
-        success: false,
-        message: 'Failed to create duplicate role',
-        error: newRole.error
-      };
-    }
+      if (role.parentRoleId) {
+        await RolePermissionModel.syncInheritedPermissions(role.id);
+      }
 
-    // Copy permissions if requested
-    if (validatedData.copyPermissions && sourceRole.permissions && sourceRole.permissions.length > 0) {
-      const permissionIds = sourceRole.permissions.map(p => p.id);
-      await RolePermissionModel.assignPermissions(newRole.data.id, permissionIds, createdBy);
-    }
+      return role;
+    });
 
     return {
       success: true,
       message: 'Role duplicated successfully',
       data: {
-        sourceRole: { id: roleId, name: sourceRole.name },
-        newRole: newRole.data
+        sourceRole: { id: sourceRole.id, name: sourceRole.name },
+        newRole,
+        copiedPermissions
       }
     };
 
@@ -683,7 +888,7 @@ const duplicateRole = async (roleId, duplicateData, createdBy) => {
 const bulkCreateRoles = async (rolesData, createdBy) => {
   try {
     // Validate bulk data using Yup
-    const validatedData = await RBACSchemas.roleBulkCreateSchema.validate({ roles: rolesData });
+    const validatedData = await schemas.rbac.bulkCreateRoles.validate({ roles: rolesData });
 
     const results = {
       successful: [],
@@ -12,8 +12,11 @@
  * - Integrates with Yup validation and MySQL2 models
  */
 
+const { executeTransaction } = require('../../models/database');
 const { UserRoleModel, RoleModel, UserModel } = require('../../models');
-const { RBAC: RBACSchemas } = require('../../schemas');
+const { RBAC: RBACSchemas, schemas } = require('../../schemas');
+const permissionCache = require('./permissionCacheService');
+const roleConstraints = require('./roleConstraintService');
 
 /**
  * Assign role to user
@@ -25,7 +28,7 @@ const { RBAC: RBACSchemas } = require('../../schemas');
 const assignRole = async (assignmentData, assignedBy) => {
   try {
     // Validate assignment data using Yup
-    const validatedData = await RBACSchemas.userRoleAssignSchema.validate(assignmentData, {
+    const validatedData = await schemas.rbac.assignRole.validate({ ...assignmentData, assignedBy }, {
       stripUnknown: true,
       abortEarly: false
     });
@@ -56,18 +59,42 @@ const assignRole = async (assignmentData, assignedBy) => {
       };
     }
 
-    // Assign role
-    const assignResult = await UserRoleModel.assignRole({
-      userId: validatedData.userId,
-      roleId: validatedData.roleId,
-      assignedBy: assignedBy,
-      assignmentReason: validatedData.assignmentReason,
-      context: validatedData.context,
-      conditions: validatedData.conditions,
-      expiresAt: validatedData.expiresAt,
-      isPrimary: validatedData.isPrimary || false
+    // The separation of duties check and the insert share one transaction that holds the
+    // user's assignments locked, so two concurrent assignments can't both pass the check
+    const outcome = await executeTransaction(async () => {
+      await UserRoleModel.lockUserAssignments(validatedData.userId);
+
+      // Separation of duties: exclusive roles and prerequisite roles
+      const { violations } = await roleConstraints.checkAssignmentConstraints(validatedData.userId, [role.id]);
+      if (violations.length > 0) {
+        return { violations };
+      }
+
+      // Assign role
+      const result = await UserRoleModel.assignRole({
+        userId: validatedData.userId,
+        roleId: validatedData.roleId,
+        assignedBy: assignedBy,
+        assignmentReason: validatedData.assignmentReason,
+        context: validatedData.context,
+        conditions: validatedData.conditions,
+        expiresAt: validatedData.expiresAt,
+        isPrimary: validatedData.isPrimary || false
+      });
+
+      return { assignResult: result };
     });
 
+    if (outcome.violations) {
+      return roleConstraints.toViolationResult(outcome.violations);
+    }
+
+    const { assignResult } = outcome;
+
+    if (assignResult.success) {
+      await permissionCache.invalidateUser(validatedData.userId);
+    }
+
     return {
       success: assignResult.success,
       message: assignResult.success ? 'Role assigned successfully' : assignResult.message,
@@ -105,7 +132,7 @@ const assignRole = async (assignmentData, assignedBy) => {
 const revokeRole = async (revocationData, revokedBy) => {
   try {
     // Validate revocation data using Yup
-    const validatedData = await RBACSchemas.userRoleRevokeSchema.validate(revocationData, {
+    const validatedData = await schemas.rbac.revokeRole.validate({ ...revocationData, revokedBy }, {
       stripUnknown: true,
       abortEarly: false
     });
@@ -136,6 +163,10 @@ const revokeRole = async (revocationData, revokedBy) => {
       validatedData.revocationReason || 'Role revoked'
     );
 
+    if (revokeResult.success) {
+      await permissionCache.invalidateUser(validatedData.userId);
+    }
+
     return {
       success: revokeResult.success,
       message: revokeResult.success ? 'Role revoked successfully' : revokeResult.message,
@@ -164,19 +195,15 @@ const revokeRole = async (revocationData, revokedBy) => {
 };
 
 /**
- * Get user's roles with details
+ * Load user's roles from the database (uncached)
  *
  * @param {string} userId - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - { includeInactive, includeExpired, includePermissions }
  * @returns {Promise<Object>} User roles result
  */
-const getUserRoles = async (userId, options = {}) => {
+const loadUserRoles = async (userId, options) => {
   try {
-    const {
-      includeInactive = false,
-      includeExpired = false,
-      includePermissions = false
-    } = options;
+    const { includeInactive, includeExpired, includePermissions } = options;
 
     // Check if user exists
     const user = await UserModel.findById(userId);
@@ -210,6 +237,35 @@ const getUserRoles = async (userId, options = {}) => {
   }
 };
 
+/**
+ * Get user's roles with details
+ * Results are cached per user until their roles change (see permissionCacheService)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.skipCache - Bypass the permission cache
+ * @returns {Promise<Object>} User roles result
+ */
+const getUserRoles = (userId, options = {}) => {
+  const {
+    includeInactive = false,
+    includeExpired = false,
+    includePermissions = false,
+    skipCache = false
+  } = options;
+  const queryOptions = { includeInactive, includeExpired, includePermissions };
+
+  if (skipCache) {
+    return loadUserRoles(userId, queryOptions);
+  }
+
+  return permissionCache.remember(
+    permissionCache.buildKey(userId, 'roles', queryOptions),
+    () => loadUserRoles(userId, queryOptions),
+    result => result.data.roles.map(role => role.expires_at)
+  );
+};
+
 /**
  * Get role's assigned users
  *
@@ -337,6 +393,10 @@ const setPrimaryRole = async (primaryRoleData, updatedBy) => {
       validatedData.roleId
     );
 
+    if (setPrimaryResult.success) {
+      await permissionCache.invalidateUser(validatedData.userId);
+    }
+
     return {
       success: setPrimaryResult.success,
       message: setPrimaryResult.success ? 'Primary role set successfully' : setPrimaryResult.message,
@@ -401,18 +461,19 @@ const getUserPrimaryRole = async (userId) => {
 };
 
 /**
- * Get user permissions from all assigned roles
+ * Build user permissions from the database (uncached)
  *
  * @param {string} userId - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - { groupByModule, includeRoleInfo, includeConditions, skipCache }
+ * @param {Function} reportExpiryDates - Receives the expires_at values the result depends on
  * @returns {Promise<Object>} User permissions result
  */
-const getUserPermissions = async (userId, options = {}) => {
+const loadUserPermissions = async (userId, options, reportExpiryDates = () => {}) => {
   try {
-    const { groupByModule = false, includeRoleInfo = false } = options;
+    const { groupByModule, includeRoleInfo, includeConditions, skipCache = false } = options;
 
     // Get user roles with permissions
-    const rolesResult = await getUserRoles(userId, { includePermissions: true });
+    const rolesResult = await getUserRoles(userId, { includePermissions: true, skipCache });
 
     if (!rolesResult.success) {
       return rolesResult;
@@ -421,6 +482,7 @@ const getUserPermissions = async (userId, options = {}) => {
     // Extract all permissions from roles
     const allPermissions = new Set();
     const permissionSources = {};
+    const expiryDates = rolesResult.data.roles.map(role => role.expires_at);
 
     rolesResult.data.roles.forEach(role => {
       if (role.permissions) {
@@ -441,6 +503,34 @@ const getUserPermissions = async (userId, options = {}) => {
       }
     });
 
+    // Conditions live on each role/permission pair, so they need the per-grant rows
+    let permissionGrants;
+    if (includeConditions) {
+      const grantsResult = await UserRoleModel.getUserPermissionGrants(userId);
+      if (!grantsResult.success) {
+        return grantsResult;
+      }
+
+      permissionGrants = {};
+      grantsResult.data.grants.forEach(grant => {
+        if (!permissionGrants[grant.permission_name]) {
+          permissionGrants[grant.permission_name] = [];
+        }
+        permissionGrants[grant.permission_name].push({
+          roleId: grant.role_id,
+          roleName: grant.role_name,
+          isPrimary: grant.is_primary,
+          scope: grant.permission_scope,
+          assignmentConditions: grant.assignment_conditions,
+          permissionConditions: grant.permission_conditions,
+          isInherited: grant.is_inherited
+        });
+        expiryDates.push(grant.expires_at);
+      });
+    }
+
+    reportExpiryDates(expiryDates);
+
     let permissions = Array.from(allPermissions);
 
     // Group by module if requested
@@ -463,7 +553,8 @@ const getUserPermissions = async (userId, options = {}) => {
         userId,
         totalPermissions: allPermissions.size,
         permissions,
-        permissionSources: includeRoleInfo ? permissionSources : undefined
+        permissionSources: includeRoleInfo ? permissionSources : undefined,
+        permissionGrants
       }
     };
 
@@ -478,22 +569,52 @@ const getUserPermissions = async (userId, options = {}) => {
 };
 
 /**
- * Transfer user roles to another user
+ * Get user permissions from all assigned roles
+ *
+ * @param {string} userId - User ID
+ * @param {Object} options - Query options
+ * @param {boolean} options.includeConditions - Also return per-grant conditions (permissionGrants)
+ * @param {boolean} options.skipCache - Bypass the permission cache
+ * @returns {Promise<Object>} User permissions result
+ */
+const getUserPermissions = (userId, options = {}) => {
+  const { groupByModule = false, includeRoleInfo = false, includeConditions = false, skipCache = false } = options;
+  const queryOptions = { groupByModule, includeRoleInfo, includeConditions };
+
+  if (skipCache) {
+    return loadUserPermissions(userId, { ...queryOptions, skipCache });
+  }
+
+  // Assignment expiry dates cap how long the result may stay cached
+  let expiryDates = [];
+  return permissionCache.remember(
+    permissionCache.buildKey(userId, 'permissions', queryOptions),
+    () => loadUserPermissions(userId, queryOptions, dates => {
+      expiryDates = dates;
+    }),
+    () => expiryDates
+  );
+};
+
+/**
+ * Transfer a role from one user to another
+ * The revoke and the assignment run in one transaction, so the source user
+ * keeps the role if the target user can't receive it
  *
- * @param {Object} transferData - Transfer data
+ * @param {Object} transferData - { fromUserId, toUserId, roleId, transferReason, transferNote? }
  * @param {string} transferredBy - ID of user performing the transfer
  * @returns {Promise<Object>} Transfer result
  */
 const transferUserRoles = async (transferData, transferredBy) => {
   try {
     // Validate transfer data using Yup
-    const validatedData = await RBACSchemas.userRoleTransferSchema.validate(transferData, {
+    const validatedData = await schemas.rbac.roleTransfer.validate({ ...transferData, transferredBy }, {
       stripUnknown: true,
       abortEarly: false
     });
 
     // Check if source user exists
-    const sourceUser = await UserModel.findById(validatedData.sourceUserId);
+    const sourceUser = await UserModel.findById(validatedData.fromUserId);
     if (!sourceUser) {
       return {
         success: false,
@@ -502,7 +623,7 @@ const transferUserRoles = async (transferData, transferredBy) => {
     }
 
     // Check if target user exists
-    const targetUser = await UserModel.findById(validatedData.targetUserId);
+    const targetUser = await UserModel.findById(validatedData.toUserId);
     if (!targetUser) {
       return {
         success: false,
@@ -510,84 +631,82 @@ const transferUserRoles = async (transferData, transferredBy) => {
       };
     }
 
-    // Get source user's roles
-    const sourceRoles = await getUserRoles(validatedData.sourceUserId, { includeInactive: false });
-    if (!sourceRoles.success || sourceRoles.data.roles.length === 0) {
+    // The source user must currently hold the role
+    const sourceRoles = await getUserRoles(validatedData.fromUserId);
+    const sourceAssignment = sourceRoles.success
+      ? sourceRoles.data.roles.find(role => role.role_id === validatedData.roleId)
+      : null;
+    if (!sourceAssignment) {
       return {
         success: false,
-        message: 'Source user has no active roles to transfer'
+        message: 'Source user does not hold this role'
       };
     }
 
-    const results = {
-      successful: [],
-      failed: [],
-      total: sourceRoles.data.roles.length
-    };
+    // Check the target user before touching the source user's role
+    const { violations } = await roleConstraints.checkAssignmentConstraints(validatedData.toUserId, [validatedData.roleId]);
+    if (violations.length > 0) {
+      return roleConstraints.toViolationResult(violations);
+    }
 
-    // Transfer each role
-    for (const role of sourceRoles.data.roles) {
-      try {
-        // Revoke from source user
-        const revokeResult = await revokeRole({
-          userId: validatedData.sourceUserId,
-          roleId: role.role_id,
-          revocationReason: `Role transferred to user ${validatedData.targetUserId}`
-        }, transferredBy);
-
-        if (revokeResult.success) {
-          // Assign to target user
-          const assignResult = await assignRole({
-            userId: validatedData.targetUserId,
-            roleId: role.role_id,
-            isPrimary: role.is_primary,
-            assignmentReason: `Role transferred from user ${validatedData.sourceUserId}`
-          }, transferredBy);
-
-          if (assignResult.success) {
-            results.successful.push({
-              roleId: role.role_id,
-              roleName: role.role_name,
-              wasPrimary: role.is_primary
-            });
-          } else {
-            results.failed.push({
-              roleId: role.role_id,
-              roleName: role.role_name,
-              error: assignResult.message
-            });
-          }
-        } else {
-          results.failed.push({
-            roleId: role.role_id,
-            roleName: role.role_name,
-            error: revokeResult.message
-          });
-        }
-      } catch (error) {
-        results.failed.push({
-          roleId: role.role_id,
-          roleName: role.role_name,
-          error: error.message
-        });
+    const assignment = await executeTransaction(async () => {
+      const revokeResult = await revokeRole({
+        userId: validatedData.fromUserId,
+        roleId: validatedData.roleId,
+        revocationReason: 'transfer',
+        revocationNote: `Role transferred to user ${validatedData.toUserId}`
+      }, transferredBy);
+
+      if (!revokeResult.success) {
+        throw Object.assign(new Error(revokeResult.message), { result: revokeResult });
       }
-    }
+
+      const assignResult = await assignRole({
+        userId: validatedData.toUserId,
+        roleId: validatedData.roleId,
+        isPrimary: sourceAssignment.is_primary,
+        context: 'transfer',
+        assignmentReason: validatedData.transferNote || `Role transferred from user ${validatedData.fromUserId}`
+      }, transferredBy);
+
+      if (!assignResult.success) {
+        throw Object.assign(new Error(assignResult.message), { result: assignResult });
+      }
+
+      return assignResult.data;
+    });
+
+    // Cached lookups may have been refilled before the transaction committed
+    await permissionCache.invalidateUser(validatedData.fromUserId);
+    await permissionCache.invalidateUser(validatedData.toUserId);
 
     return {
       success: true,
-      message: `Transferred ${results.successful.length} of ${results.total} roles successfully`,
+      message: 'Role transferred successfully',
       data: {
-        sourceUserId: validatedData.sourceUserId,
-        targetUserId: validatedData.targetUserId,
+        fromUserId: validatedData.fromUserId,
+        toUserId: validatedData.toUserId,
+        roleId: validatedData.roleId,
+        roleName: sourceAssignment.role_name,
+        wasPrimary: sourceAssignment.is_primary,
+        transferReason: validatedData.transferReason,
         transferredBy,
         transferredAt: new Date(),
-        results
+        assignment
       }
     };
 
   } catch (error) {
     console.error('Error in transferUserRoles:', error);
 
+    // A revoke or assignment step failed and the transaction was rolled back
+    if (error.result) {
+      return {
+        ...error.result,
+        message: `Role transfer failed: ${error.result.message}`
+      };
+    }
+
     // Handle Yup validation errors
     if (error.name === 'ValidationError') {
       return {
@@ -608,15 +727,17 @@ const transferUserRoles = async (transferData, transferredBy) => {
 
 /**
  * Bulk assign roles to multiple users
+ * Assignments run in order, so an earlier assignment can satisfy a later
+ * one's prerequisite role
  *
- * @param {Object} bulkData - Bulk assignment data
+ * @param {Object} bulkData - { assignments: [{ userId, roleId, ... }] }
  * @param {string} assignedBy - ID of user making assignments
  * @returns {Promise<Object>} Bulk assignment result
  */
 const bulkAssignRoles = async (bulkData, assignedBy) => {
   try {
-    // Validate bulk assignment data using Yup
-    const validatedData = await RBACSchemas.userRoleBulkAssignSchema.validate(bulkData);
+    // Validate bulk assignment data using Yup (each assignment is validated by assignRole)
+    const validatedData = await schemas.rbac.bulkAssignRoles.validate(bulkData);
 
     const results = {
       successful: [],
@@ -633,13 +754,15 @@ const bulkAssignRoles = async (bulkData, assignedBy) => {
           results.successful.push({
             userId: assignment.userId,
             roleId: assignment.roleId,
-            assignmentId: result.data.assignment_id
+            assignmentId: result.data.id
           });
         } else {
           results.failed.push({
             userId: assignment.userId,
             roleId: assignment.roleId,
-            error: result.message
+            error: result.message,
+            code: result.code,
+            violations: result.data?.violations
           });
         }
       } catch (error) {
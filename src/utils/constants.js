@@ -120,13 +120,25 @@ const PERMISSIONS = {
   USERS_UPDATE: 'users:update',
   USERS_DELETE: 'users:delete',
   USERS_LIST: 'users:list',
+  USERS_IMPERSONATE: 'users:impersonate',
 
   // Role Management
   ROLES_CREATE: 'roles:create',
   ROLES_READ: 'roles:read',
   ROLES_UPDATE: 'roles:update',
   ROLES_DELETE: 'roles:delete',
+  ROLES_LIST: 'roles:list',
   ROLES_ASSIGN: 'roles:assign',
+  ROLES_REVOKE: 'roles:revoke',
+
+  // Permission Management
+  PERMISSIONS_CREATE: 'permissions:create',
+  PERMISSIONS_READ: 'permissions:read',
+  PERMISSIONS_UPDATE: 'permissions:update',
+  PERMISSIONS_DELETE: 'permissions:delete',
+  PERMISSIONS_LIST: 'permissions:list',
+  PERMISSIONS_ASSIGN: 'permissions:assign',
+  PERMISSIONS_REVOKE: 'permissions:revoke',
 
   // Customer Management
   CUSTOMERS_CREATE: 'customers:create',
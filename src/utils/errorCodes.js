@@ -124,6 +124,13 @@ const ERROR_CODES = {
     description: 'The authentication token has been revoked and is no longer valid'
   },
 
+  REFRESH_TOKEN_REUSED: {
+    code: 'REFRESH_TOKEN_REUSED',
+    httpStatus: 401,
+    message: 'Refresh token reuse detected',
+    description: 'A refresh token that was already exchanged was presented again; all sessions of that login were revoked'
+  },
+
   ACCOUNT_LOCKED: {
     code: 'ACCOUNT_LOCKED',
     httpStatus: 423,
@@ -159,6 +166,153 @@ const ERROR_CODES = {
     description: 'Maximum number of login attempts exceeded'
   },
 
+  MFA_CODE_INVALID: {
+    code: 'MFA_CODE_INVALID',
+    httpStatus: 401,
+    message: 'Invalid two-factor code',
+    description: 'The authenticator or recovery code is wrong, expired or already used'
+  },
+
+  MFA_ALREADY_ENABLED: {
+    code: 'MFA_ALREADY_ENABLED',
+    httpStatus: 409,
+    message: 'Two-factor authentication is already enabled',
+    description: 'Disable two-factor authentication before enrolling a new device'
+  },
+
+  MFA_NOT_ENABLED: {
+    code: 'MFA_NOT_ENABLED',
+    httpStatus: 400,
+    message: 'Two-factor authentication is not enabled',
+    description: 'The user has not completed two-factor enrollment'
+  },
+
+  MFA_REQUIRED_BY_ROLE: {
+    code: 'MFA_REQUIRED_BY_ROLE',
+    httpStatus: 403,
+    message: 'Two-factor authentication is required for your role',
+    description: 'A role held by the user requires two-factor authentication, so it cannot be disabled'
+  },
+
+  API_KEY_INVALID: {
+    code: 'API_KEY_INVALID',
+    httpStatus: 401,
+    message: 'Invalid API key',
+    description: 'The API key is malformed, unknown or has been revoked'
+  },
+
+  API_KEY_EXPIRED: {
+    code: 'API_KEY_EXPIRED',
+    httpStatus: 401,
+    message: 'API key has expired',
+    description: 'The API key is past its expiry date; create a new key'
+  },
+
+  API_KEY_IP_NOT_ALLOWED: {
+    code: 'API_KEY_IP_NOT_ALLOWED',
+    httpStatus: 403,
+    message: 'API key is not allowed from this IP address',
+    description: 'The request came from an address outside the key\'s IP allowlist'
+  },
+
+  API_KEY_SCOPE_INVALID: {
+    code: 'API_KEY_SCOPE_INVALID',
+    httpStatus: 400,
+    message: 'Invalid API key scopes',
+    description: 'An API key can only be scoped to permissions its owner holds'
+  },
+
+  API_KEY_LIMIT_REACHED: {
+    code: 'API_KEY_LIMIT_REACHED',
+    httpStatus: 409,
+    message: 'API key limit reached',
+    description: 'The user already has the maximum number of active API keys'
+  },
+
+  SESSION_AUTH_REQUIRED: {
+    code: 'SESSION_AUTH_REQUIRED',
+    httpStatus: 403,
+    message: 'A login session is required',
+    description: 'This endpoint cannot be used with an API key'
+  },
+
+  MAGIC_LINK_INVALID: {
+    code: 'MAGIC_LINK_INVALID',
+    httpStatus: 401,
+    message: 'Invalid sign-in link',
+    description: 'The sign-in link is unknown, expired or has already been used'
+  },
+
+  MAGIC_LINK_DEVICE_MISMATCH: {
+    code: 'MAGIC_LINK_DEVICE_MISMATCH',
+    httpStatus: 401,
+    message: 'Sign-in link opened on another device',
+    description: 'The sign-in link only works in the browser that requested it'
+  },
+
+  OIDC_PROVIDER_UNKNOWN: {
+    code: 'OIDC_PROVIDER_UNKNOWN',
+    httpStatus: 404,
+    message: 'Unknown sign-in provider',
+    description: 'The identity provider is not configured on this server'
+  },
+
+  OIDC_STATE_INVALID: {
+    code: 'OIDC_STATE_INVALID',
+    httpStatus: 400,
+    message: 'Invalid sign-in state',
+    description: 'The provider callback does not match a sign-in started in this browser, or it expired'
+  },
+
+  OIDC_LOGIN_FAILED: {
+    code: 'OIDC_LOGIN_FAILED',
+    httpStatus: 401,
+    message: 'Sign-in with provider failed',
+    description: 'The identity provider did not confirm the sign-in'
+  },
+
+  OIDC_ACCOUNT_EXISTS: {
+    code: 'OIDC_ACCOUNT_EXISTS',
+    httpStatus: 409,
+    message: 'An account with this email already exists',
+    description: 'Sign in to the existing account and link the provider from there'
+  },
+
+  OIDC_IDENTITY_CONFLICT: {
+    code: 'OIDC_IDENTITY_CONFLICT',
+    httpStatus: 409,
+    message: 'Identity already linked',
+    description: 'The provider account belongs to another user, or this user already linked an account at the provider'
+  },
+
+  IMPERSONATION_NOT_ALLOWED: {
+    code: 'IMPERSONATION_NOT_ALLOWED',
+    httpStatus: 403,
+    message: 'Cannot impersonate this user',
+    description: 'Users cannot impersonate themselves, inactive users, or users holding permissions they lack'
+  },
+
+  IMPERSONATION_ACTION_BLOCKED: {
+    code: 'IMPERSONATION_ACTION_BLOCKED',
+    httpStatus: 403,
+    message: 'Not allowed while impersonating',
+    description: 'Sensitive account actions cannot be performed on behalf of an impersonated user'
+  },
+
+  NOT_IMPERSONATING: {
+    code: 'NOT_IMPERSONATING',
+    httpStatus: 400,
+    message: 'Not impersonating',
+    description: 'The request is not made with an impersonation token'
+  },
+
+  REAUTHENTICATION_REQUIRED: {
+    code: 'REAUTHENTICATION_REQUIRED',
+    httpStatus: 403,
+    message: 'Recent authentication required',
+    description: 'Confirm your password or authenticator code at /api/auth/reauthenticate and retry'
+  },
+
   // =============================================================================
   // AUTHORIZATION ERRORS (3000-3999)
   // =============================================================================
@@ -197,6 +351,62 @@ const ERROR_CODES = {
     description: 'You do not have permission to perform this action'
   },
 
+  PERMISSION_DEPENDENCY_UNSATISFIED: {
+    code: 'PERMISSION_DEPENDENCY_UNSATISFIED',
+    httpStatus: 409,
+    message: 'Permission dependencies not satisfied',
+    description: 'The role is missing permissions that the granted permissions require'
+  },
+
+  PERMISSION_DEPENDENCY_IN_USE: {
+    code: 'PERMISSION_DEPENDENCY_IN_USE',
+    httpStatus: 409,
+    message: 'Permission is required by other permissions',
+    description: 'Other permissions on the role depend on the permissions being removed'
+  },
+
+  PERMISSION_DEPENDENCY_CYCLE: {
+    code: 'PERMISSION_DEPENDENCY_CYCLE',
+    httpStatus: 400,
+    message: 'Circular permission dependency',
+    description: 'The permission dependencies would form a cycle'
+  },
+
+  POLICY_INVALID: {
+    code: 'POLICY_INVALID',
+    httpStatus: 400,
+    message: 'Invalid RBAC policy document',
+    description: 'The policy document refers to unknown roles or permissions, or contains cycles'
+  },
+
+  POLICY_IMPORT_FAILED: {
+    code: 'POLICY_IMPORT_FAILED',
+    httpStatus: 409,
+    message: 'RBAC policy import failed',
+    description: 'A change in the policy could not be applied, so the whole import was rolled back'
+  },
+
+  ROLE_MUTUALLY_EXCLUSIVE: {
+    code: 'ROLE_MUTUALLY_EXCLUSIVE',
+    httpStatus: 409,
+    message: 'Role conflicts with a role the user holds',
+    description: 'A separation-of-duties rule forbids one user from holding both roles'
+  },
+
+  ROLE_PREREQUISITE_MISSING: {
+    code: 'ROLE_PREREQUISITE_MISSING',
+    httpStatus: 409,
+    message: 'Prerequisite role missing',
+    description: 'The user must hold another role before this role can be assigned'
+  },
+
+  ROLE_CONSTRAINT_CONFLICT: {
+    code: 'ROLE_CONSTRAINT_CONFLICT',
+    httpStatus: 409,
+    message: 'Role constraint conflicts with existing rules',
+    description: 'The rule already exists, contradicts another rule or the role hierarchy, or forms a prerequisite cycle'
+  },
+
   // =============================================================================
   // USER MANAGEMENT ERRORS (4000-4999)
   // =============================================================================
@@ -221,6 +431,13 @@ const ERROR_CODES = {
     description: 'The email address is already associated with another account'
   },
 
+  EMAIL_CHANGE_INVALID: {
+    code: 'EMAIL_CHANGE_INVALID',
+    httpStatus: 400,
+    message: 'Invalid email change link',
+    description: 'The email change link is invalid, expired, already used or was replaced by a newer request'
+  },
+
   USERNAME_ALREADY_EXISTS: {
     code: 'USERNAME_ALREADY_EXISTS',
     httpStatus: 409,
@@ -242,6 +459,20 @@ const ERROR_CODES = {
     description: 'The password does not meet minimum strength requirements'
   },
 
+  PASSWORD_BREACHED: {
+    code: 'PASSWORD_BREACHED',
+    httpStatus: 400,
+    message: 'Password found in a data breach',
+    description: 'The password appears in known data breaches and must not be used'
+  },
+
+  PASSWORD_REUSED: {
+    code: 'PASSWORD_REUSED',
+    httpStatus: 400,
+    message: 'Password was used recently',
+    description: 'The password matches one of the recent passwords of the user and must not be reused'
+  },
+
   PASSWORD_MISMATCH: {
     code: 'PASSWORD_MISMATCH',
     httpStatus: 400,
@@ -363,6 +594,20 @@ const ERROR_CODES = {
     description: 'The usage quota for this resource has been exceeded'
   },
 
+  API_PLAN_NOT_FOUND: {
+    code: 'API_PLAN_NOT_FOUND',
+    httpStatus: 404,
+    message: 'API plan not found',
+    description: 'No API plan with this ID or name exists'
+  },
+
+  API_PLAN_ALREADY_EXISTS: {
+    code: 'API_PLAN_ALREADY_EXISTS',
+    httpStatus: 409,
+    message: 'API plan already exists',
+    description: 'An API plan with this name already exists'
+  },
+
   // =============================================================================
   // EXTERNAL SERVICE ERRORS (8000-8999)
   // =============================================================================
@@ -503,12 +748,12 @@ const isValidErrorCode = (errorCode) => {
 const getErrorsByCategory = (category) => {
   const categoryMap = {
     GENERAL: ['UNKNOWN_ERROR', 'INTERNAL_SERVER_ERROR', 'BAD_REQUEST', 'VALIDATION_FAILED', 'INVALID_INPUT', 'RESOURCE_NOT_FOUND', 'DUPLICATE_RESOURCE', 'OPERATION_FAILED', 'INVALID_OPERATION'],
-    AUTH: ['UNAUTHORIZED', 'INVALID_CREDENTIALS', 'TOKEN_EXPIRED', 'TOKEN_INVALID', 'TOKEN_MISSING', 'TOKEN_REVOKED', 'ACCOUNT_LOCKED', 'ACCOUNT_DISABLED', 'EMAIL_NOT_VERIFIED', 'PASSWORD_EXPIRED', 'LOGIN_ATTEMPTS_EXCEEDED'],
-    AUTHORIZATION: ['FORBIDDEN', 'INSUFFICIENT_PERMISSIONS', 'ROLE_REQUIRED', 'ACCESS_DENIED', 'PERMISSION_DENIED'],
-    USER: ['USER_NOT_FOUND', 'USER_ALREADY_EXISTS', 'EMAIL_ALREADY_EXISTS', 'USERNAME_ALREADY_EXISTS', 'INVALID_PASSWORD', 'WEAK_PASSWORD', 'PASSWORD_MISMATCH', 'CURRENT_PASSWORD_INCORRECT'],
+    AUTH: ['UNAUTHORIZED', 'INVALID_CREDENTIALS', 'TOKEN_EXPIRED', 'TOKEN_INVALID', 'TOKEN_MISSING', 'TOKEN_REVOKED', 'REFRESH_TOKEN_REUSED', 'ACCOUNT_LOCKED', 'ACCOUNT_DISABLED', 'EMAIL_NOT_VERIFIED', 'PASSWORD_EXPIRED', 'LOGIN_ATTEMPTS_EXCEEDED', 'MFA_CODE_INVALID', 'MFA_ALREADY_ENABLED', 'MFA_NOT_ENABLED', 'MFA_REQUIRED_BY_ROLE', 'API_KEY_INVALID', 'API_KEY_EXPIRED', 'API_KEY_IP_NOT_ALLOWED', 'API_KEY_SCOPE_INVALID', 'API_KEY_LIMIT_REACHED', 'SESSION_AUTH_REQUIRED', 'MAGIC_LINK_INVALID', 'MAGIC_LINK_DEVICE_MISMATCH', 'OIDC_PROVIDER_UNKNOWN', 'OIDC_STATE_INVALID', 'OIDC_LOGIN_FAILED', 'OIDC_ACCOUNT_EXISTS', 'OIDC_IDENTITY_CONFLICT', 'IMPERSONATION_NOT_ALLOWED', 'IMPERSONATION_ACTION_BLOCKED', 'NOT_IMPERSONATING', 'REAUTHENTICATION_REQUIRED'],
+    AUTHORIZATION: ['FORBIDDEN', 'INSUFFICIENT_PERMISSIONS', 'ROLE_REQUIRED', 'ACCESS_DENIED', 'PERMISSION_DENIED', 'PERMISSION_DEPENDENCY_UNSATISFIED', 'PERMISSION_DEPENDENCY_IN_USE', 'PERMISSION_DEPENDENCY_CYCLE', 'POLICY_INVALID', 'POLICY_IMPORT_FAILED', 'ROLE_MUTUALLY_EXCLUSIVE', 'ROLE_PREREQUISITE_MISSING', 'ROLE_CONSTRAINT_CONFLICT'],
+    USER: ['USER_NOT_FOUND', 'USER_ALREADY_EXISTS', 'EMAIL_ALREADY_EXISTS', 'EMAIL_CHANGE_INVALID', 'USERNAME_ALREADY_EXISTS', 'INVALID_PASSWORD', 'WEAK_PASSWORD', 'PASSWORD_BREACHED', 'PASSWORD_REUSED', 'PASSWORD_MISMATCH', 'CURRENT_PASSWORD_INCORRECT'],
     DATABASE: ['DATABASE_ERROR', 'CONNECTION_ERROR', 'QUERY_ERROR', 'CONSTRAINT_VIOLATION', 'FOREIGN_KEY_VIOLATION', 'TRANSACTION_FAILED'],
     FILE: ['FILE_UPLOAD_ERROR', 'FILE_TOO_LARGE', 'INVALID_FILE_TYPE', 'FILE_NOT_FOUND', 'FILE_PROCESSING_ERROR', 'STORAGE_ERROR'],
-    RATE_LIMIT: ['RATE_LIMIT_EXCEEDED', 'QUOTA_EXCEEDED'],
+    RATE_LIMIT: ['RATE_LIMIT_EXCEEDED', 'QUOTA_EXCEEDED', 'API_PLAN_NOT_FOUND', 'API_PLAN_ALREADY_EXISTS'],
     EXTERNAL: ['EMAIL_SERVICE_ERROR', 'SMS_SERVICE_ERROR', 'PAYMENT_SERVICE_ERROR', 'EXTERNAL_API_ERROR', 'SERVICE_UNAVAILABLE'],
     BUSINESS: ['BUSINESS_RULE_VIOLATION', 'INVALID_STATE_TRANSITION', 'WORKFLOW_ERROR', 'INSUFFICIENT_BALANCE', 'INVENTORY_UNAVAILABLE', 'ORDER_CANNOT_BE_MODIFIED']
   };
@@ -0,0 +1,554 @@
+/**
+ * Permission Condition Utilities for Delta-2 Backend
+ *
+ * Evaluates the `conditions` JSON stored on role_permissions and user_roles.
+ * A grant only applies when its conditions hold for the current request
+ * and, where relevant, the resource being accessed.
+ *
+ * Condition language (all keys of one object must hold):
+ *   { "scope": "own" | "team" | "organization" | "global" }
+ *   { "own_records_only": true }                       same as scope "own"
+ *   { "owner_field": "created_by" }                    resource field used by scope "own"
+ *   { "time_window": { "days": ["mon"], "start": "09:00", "end": "17:00", "timezone": "UTC" } }
+ *   { "valid_from": "2024-01-01", "valid_until": "2024-12-31" }
+ *   { "ip_ranges": ["10.0.0.0/8", "192.168.1.10"] }
+ *   { "attributes": { "resource.status": "draft", "resource.team_id": "$user.teamIds" } }
+ *   { "all": [ ... ] }, { "any": [ ... ] }, { "not": { ... } }
+ *
+ * Each check returns true (holds), false (fails) or null (cannot be decided
+ * yet, usually because no resource was loaded). Unknown keys fail closed, and
+ * so does a grant whose conditions are still undecided.
+ *
+ * Team and organization scopes match against context.user.teamIds and
+ * organizationIds, which come from the membership resolver (see
+ * services/rbac/ownershipService) rather than from the access token.
+ *
+ * @author Delta-2 Development Team
+ * @version 1.0.0
+ */
+
+const { getNestedValue, isEmpty } = require('./helpers');
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const CONDITION_SCOPES = ['own', 'team', 'organization', 'global'];
+
+const WEEK_DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Condition keys understood by the evaluator
+ * time_restriction and ip_restriction are accepted as older spellings
+ */
+const CONDITION_KEYS = [
+  'scope', 'own_records_only', 'owner_field', 'team_field', 'organization_field',
+  'time_window', 'time_restriction', 'valid_from', 'valid_until',
+  'ip_ranges', 'ip_restriction', 'attributes', 'all', 'any', 'not'
+];
+
+/**
+ * Resource fields used by scope checks unless the condition overrides them
+ */
+const DEFAULT_SCOPE_FIELDS = {
+  owner: 'user_id',
+  team: 'team_id',
+  organization: 'organization_id'
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Normalize permission name to the stored module.action format
+ * PERMISSIONS constants use module:action, database rows use module.action
+ *
+ * @param {string} permission - Permission name in either format
+ * @returns {string} Permission name in module.action format
+ */
+const normalizePermission = (permission) => {
+  return typeof permission === 'string' ? permission.replace(':', '.') : permission;
+};
+
+/**
+ * Combine tri-state results with AND semantics
+ * @param {Array<boolean|null>} results - Individual results
+ * @returns {boolean|null} false if any failed, null if any undecided, else true
+ */
+const allOf = (results) => {
+  if (results.some(result => result === false)) return false;
+  if (results.some(result => result === null)) return null;
+  return true;
+};
+
+/**
+ * Combine tri-state results with OR semantics
+ * @param {Array<boolean|null>} results - Individual results
+ * @returns {boolean|null} true if any held, null if any undecided, else false
+ */
+const anyOf = (results) => {
+  if (results.some(result => result === true)) return true;
+  if (results.some(result => result === null)) return null;
+  return false;
+};
+
+/**
+ * Compare two identifiers loosely (database ids may be numbers or strings)
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} Whether both are set and equal
+ */
+const sameId = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  return String(a) === String(b);
+};
+
+/**
+ * Convert dotted IPv4 address to an unsigned integer
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Integer value or null if not IPv4
+ */
+const ipv4ToInt = (ip) => {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = (value * 256) + Number(part);
+  }
+  return value;
+};
+
+/**
+ * Check whether an IP address matches a single address or CIDR range
+ * @param {string} ip - Client IP address
+ * @param {string} range - Address or CIDR range (IPv4 CIDR, IPv4/IPv6 exact)
+ * @returns {boolean} Whether IP is inside the range
+ */
+const ipMatchesRange = (ip, range) => {
+  // Express reports IPv4 clients as ::ffff:a.b.c.d on dual-stack sockets
+  const address = String(ip).replace(/^::ffff:/i, '');
+  const [base, bits] = String(range).trim().split('/');
+
+  if (bits === undefined) {
+    return address.toLowerCase() === base.replace(/^::ffff:/i, '').toLowerCase();
+  }
+
+  const addressInt = ipv4ToInt(address);
+  const baseInt = ipv4ToInt(base);
+  const prefix = Number(bits);
+  if (addressInt === null || baseInt === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    return false;
+  }
+
+  const size = 2 ** (32 - prefix);
+  return Math.floor(addressInt / size) === Math.floor(baseInt / size);
+};
+
+/**
+ * Get weekday and minutes-since-midnight for a date in a timezone
+ * @param {Date} date - Point in time
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { day, minutes }
+ */
+const getLocalTime = (date, timezone = 'UTC') => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const lookup = Object.fromEntries(parts.map(part => [part.type, part.value]));
+  return {
+    day: lookup.weekday.toLowerCase().slice(0, 3),
+    minutes: (Number(lookup.hour) * 60) + Number(lookup.minute)
+  };
+};
+
+/**
+ * Check whether a timezone name is known to Intl
+ * @param {string} timezone - IANA timezone name (e.g. Europe/Amsterdam)
+ * @returns {boolean} Whether the timezone can be used
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (_error) {
+    return false;
+  }
+};
+
+/**
+ * Check whether a value matches one of a list of identifiers
+ * @param {any} value - Value to look for
+ * @param {Array} ids - Identifiers
+ * @returns {boolean} Whether the value is in the list
+ */
+const inIds = (value, ids) => (Array.isArray(ids) ? ids : []).some(id => sameId(value, id));
+
+/**
+ * Parse HH:MM into minutes since midnight
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes or null when invalid
+ */
+const parseClockTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+  if (!match) return null;
+  return (Number(match[1]) * 60) + Number(match[2]);
+};
+
+/**
+ * Resolve an attribute reference against the evaluation context
+ * Strings starting with $ point into the context (e.g. "$user.userId")
+ *
+ * @param {any} value - Literal value or $reference
+ * @param {Object} context - Evaluation context
+ * @returns {any} Resolved value
+ */
+const resolveValue = (value, context) => {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    return getNestedValue(context, value.slice(1), undefined);
+  }
+  return value;
+};
+
+// =============================================================================
+// CLAUSE EVALUATORS
+// =============================================================================
+
+/**
+ * Evaluate scope clause against the resource
+ * @param {string} scope - own, team, organization or global
+ * @param {Object} conditions - Full condition object (for field overrides)
+ * @param {Object} context - Evaluation context
+ * @param {Array} reasons - Collected failure reasons
+ * @returns {boolean|null} Clause result
+ */
+const evaluateScope = (scope, conditions, context, reasons) => {
+  if (scope === 'global') return true;
+
+  if (!CONDITION_SCOPES.includes(scope)) {
+    reasons.push(`Unknown scope '${scope}'`);
+    return false;
+  }
+
+  const { resource, user = {} } = context;
+  if (!resource) return null; // Decided once the resource is known
+
+  const ownerField = conditions.owner_field || context.ownerField || DEFAULT_SCOPE_FIELDS.owner;
+  if (sameId(getNestedValue(resource, ownerField, undefined), user.userId)) {
+    return true; // Owners pass every narrower-than-global scope
+  }
+
+  if (scope === 'team') {
+    const teamField = conditions.team_field || DEFAULT_SCOPE_FIELDS.team;
+    if (inIds(getNestedValue(resource, teamField, undefined), user.teamIds)) return true;
+  }
+
+  if (scope === 'organization') {
+    const organizationField = conditions.organization_field || DEFAULT_SCOPE_FIELDS.organization;
+    if (inIds(getNestedValue(resource, organizationField, undefined), user.organizationIds)) return true;
+  }
+
+  reasons.push(`Resource is outside the '${scope}' scope`);
+  return false;
+};
+
+/**
+ * Evaluate time window clause
+ * @param {Object} window - { days?, start?, end?, timezone? }
+ * @param {Object} context - Evaluation context
+ * @param {Array} reasons - Collected failure reasons
+ * @returns {boolean} Clause result
+ */
+const evaluateTimeWindow = (window, context, reasons) => {
+  const timezone = window.timezone || 'UTC';
+
+  // Conditions saved before timezones were validated must not turn into a 500
+  if (!isValidTimezone(timezone)) {
+    reasons.push(`Unknown timezone '${timezone}'`);
+    return false;
+  }
+
+  const { day, minutes } = getLocalTime(context.now || new Date(), timezone);
+
+  if (Array.isArray(window.days) && window.days.length) {
+    const allowedDays = window.days.map(d => String(d).toLowerCase().slice(0, 3));
+    if (!allowedDays.includes(day)) {
+      reasons.push(`Access not allowed on ${day}`);
+      return false;
+    }
+  }
+
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  if (start === null || end === null) return true;
+
+  // Windows like 22:00-06:00 wrap around midnight
+  const inside = start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+
+  if (!inside) {
+    reasons.push(`Access only allowed between ${window.start} and ${window.end}`);
+  }
+  return inside;
+};
+
+/**
+ * Evaluate IP range clause
+ * @param {Array|string} ranges - Allowed addresses/CIDR ranges
+ * @param {Object} context - Evaluation context
+ * @param {Array} reasons - Collected failure reasons
+ * @returns {boolean|null} Clause result
+ */
+const evaluateIpRanges = (ranges, context, reasons) => {
+  const ip = context.request?.ip;
+  if (isEmpty(ip)) return null;
+
+  const list = Array.isArray(ranges) ? ranges : [ranges];
+  if (list.some(range => ipMatchesRange(ip, range))) return true;
+
+  reasons.push(`IP address ${ip} is not in an allowed range`);
+  return false;
+};
+
+/**
+ * Evaluate attribute equality clause
+ * Arrays on the right-hand side mean "any of"
+ *
+ * @param {Object} attributes - Map of context path => expected value
+ * @param {Object} context - Evaluation context
+ * @param {Array} reasons - Collected failure reasons
+ * @returns {boolean|null} Clause result
+ */
+const evaluateAttributes = (attributes, context, reasons) => {
+  const results = Object.entries(attributes).map(([path, expected]) => {
+    if (path.startsWith('resource.') && !context.resource) return null;
+
+    const actual = getNestedValue(context, path, undefined);
+    // References may resolve to a list too (e.g. $user.teamIds)
+    const expectedValues = (Array.isArray(expected) ? expected : [expected])
+      .flatMap(value => resolveValue(value, context));
+    const matches = expectedValues.some(value => sameId(actual, value));
+
+    if (!matches) {
+      reasons.push(`Attribute '${path}' does not match`);
+    }
+    return matches;
+  });
+
+  return allOf(results);
+};
+
+/**
+ * Evaluate a condition object
+ * @param {Object|null} conditions - Condition object (null/empty means unconditional)
+ * @param {Object} context - Evaluation context from buildConditionContext
+ * @param {Array} reasons - Collected failure reasons
+ * @returns {boolean|null} true, false or null (undecided)
+ */
+const evaluateNode = (conditions, context, reasons) => {
+  if (isEmpty(conditions)) return true;
+
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    reasons.push('Malformed condition');
+    return false;
+  }
+
+  const results = Object.entries(conditions).map(([key, value]) => {
+    switch (key) {
+      case 'scope':
+        return evaluateScope(value, conditions, context, reasons);
+      case 'own_records_only':
+        return value ? evaluateScope('own', conditions, context, reasons) : true;
+      case 'owner_field':
+      case 'team_field':
+      case 'organization_field':
+        return true; // Modifiers for scope, not checks on their own
+      case 'time_window':
+      case 'time_restriction':
+        return evaluateTimeWindow(value || {}, context, reasons);
+      case 'valid_from':
+        if ((context.now || new Date()) < new Date(value)) {
+          reasons.push(`Grant not valid before ${value}`);
+          return false;
+        }
+        return true;
+      case 'valid_until':
+        if ((context.now || new Date()) > new Date(value)) {
+          reasons.push(`Grant expired at ${value}`);
+          return false;
+        }
+        return true;
+      case 'ip_ranges':
+      case 'ip_restriction':
+        return evaluateIpRanges(value, context, reasons);
+      case 'attributes':
+        return evaluateAttributes(value || {}, context, reasons);
+      case 'all':
+        return allOf((value || []).map(child => evaluateNode(child, context, reasons)));
+      case 'any':
+        return anyOf((value || []).map(child => evaluateNode(child, context, reasons)));
+      case 'not': {
+        const result = evaluateNode(value, context, []);
+        if (result === true) reasons.push('Negated condition matched');
+        return result === null ? null : !result;
+      }
+      default:
+        reasons.push(`Unsupported condition '${key}'`);
+        return false;
+    }
+  });
+
+  return allOf(results);
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+/**
+ * Build the evaluation context for a request
+ * @param {Object} req - Express request object
+ * @param {Object|null} resource - Target resource (database row) if known
+ * @param {Object} options - { ownerField?, membership? }
+ *   membership is the result of the membership resolver ({ teamIds, organizationIds })
+ * @returns {Object} Evaluation context
+ */
+const buildConditionContext = (req, resource = null, options = {}) => {
+  const { membership = {} } = options;
+
+  return {
+    user: {
+      ...(req.user || {}),
+      teamIds: membership.teamIds || [],
+      organizationIds: membership.organizationIds || []
+    },
+    resource: resource || req.resource || null,
+    request: {
+      ip: req.ip || req.connection?.remoteAddress,
+      method: req.method,
+      path: req.path,
+      params: req.params || {},
+      query: req.query || {}
+    },
+    ownerField: options.ownerField,
+    now: new Date()
+  };
+};
+
+/**
+ * Evaluate conditions against a context
+ * @param {Object|null} conditions - Condition object
+ * @param {Object} context - Evaluation context
+ * @returns {Object} { result: true|false|null, reasons: [] }
+ */
+const evaluateConditions = (conditions, context) => {
+  const reasons = [];
+  const result = evaluateNode(conditions, context, reasons);
+  return { result, reasons };
+};
+
+/**
+ * Evaluate every grant a user holds for one permission
+ * A grant applies when both its role assignment and role permission conditions hold.
+ * Grants that are still undecided do not count as granted; they are reported in
+ * pendingConditions so a caller that loads the resource later can decide them.
+ *
+ * @param {Array} grants - Grants as returned in permissionGrants[permission]
+ * @param {Object} context - Evaluation context
+ * @returns {Object} { granted, conditional, grantedThrough, pendingConditions, deniedBy }
+ */
+const evaluateGrants = (grants = [], context) => {
+  const grantedThrough = [];
+  const pendingConditions = [];
+  const deniedBy = [];
+
+  grants.forEach(grant => {
+    const assignment = evaluateConditions(grant.assignmentConditions, context);
+    const permission = evaluateConditions(grant.permissionConditions, context);
+    const result = allOf([assignment.result, permission.result]);
+
+    if (result === true) {
+      grantedThrough.push(grant.roleName);
+    } else if (result === null) {
+      pendingConditions.push({
+        roleName: grant.roleName,
+        assignmentConditions: grant.assignmentConditions,
+        permissionConditions: grant.permissionConditions
+      });
+    } else {
+      deniedBy.push({
+        roleName: grant.roleName,
+        reasons: [...assignment.reasons, ...permission.reasons]
+      });
+    }
+  });
+
+  return {
+    granted: grantedThrough.length > 0,
+    conditional: grantedThrough.length === 0 && pendingConditions.length > 0,
+    grantedThrough,
+    pendingConditions,
+    deniedBy
+  };
+};
+
+/**
+ * Validate the structure of a condition object (used by schemas)
+ * @param {Object|null} conditions - Condition object
+ * @returns {Array<string>} List of problems (empty when valid)
+ */
+const validateConditions = (conditions) => {
+  const problems = [];
+  if (isEmpty(conditions)) return problems;
+
+  if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+    return ['Conditions must be an object'];
+  }
+
+  Object.entries(conditions).forEach(([key, value]) => {
+    if (!CONDITION_KEYS.includes(key)) {
+      problems.push(`Unsupported condition '${key}'`);
+    } else if (key === 'scope' && !CONDITION_SCOPES.includes(value)) {
+      problems.push(`Scope must be one of: ${CONDITION_SCOPES.join(', ')}`);
+    } else if ((key === 'all' || key === 'any') && !Array.isArray(value)) {
+      problems.push(`'${key}' must be an array of conditions`);
+    } else if (key === 'all' || key === 'any') {
+      value.forEach(child => problems.push(...validateConditions(child)));
+    } else if (key === 'not') {
+      problems.push(...validateConditions(value));
+    } else if ((key === 'time_window' || key === 'time_restriction') && Array.isArray(value?.days) &&
+      value.days.some(day => !WEEK_DAYS.includes(String(day).toLowerCase().slice(0, 3)))) {
+      problems.push(`'${key}.days' must contain week day names`);
+    } else if ((key === 'time_window' || key === 'time_restriction') && value?.timezone !== undefined &&
+      !isValidTimezone(value.timezone)) {
+      problems.push(`'${key}.timezone' must be a valid IANA timezone`);
+    } else if ((key === 'valid_from' || key === 'valid_until') && isNaN(new Date(value).getTime())) {
+      problems.push(`'${key}' must be a valid date`);
+    }
+  });
+
+  return problems;
+};
+
+module.exports = {
+  CONDITION_SCOPES,
+  CONDITION_KEYS,
+  WEEK_DAYS,
+  normalizePermission,
+  ipMatchesRange,
+  isValidTimezone,
+  buildConditionContext,
+  evaluateConditions,
+  evaluateGrants,
+  validateConditions
+};
@@ -0,0 +1,29 @@
+/**
+ * File: tests/helpers/testSetup.js
+ * Jest Setup - Runs Before Every Test File
+ *
+ * This file prepares the environment the application code expects, so test
+ * files can require services, middleware and routes directly.
+ *
+ * For beginners:
+ * - package.json points jest's setupFilesAfterEnv here
+ * - Tests never talk to MySQL, Redis or a mail server; they replace the model
+ *   methods a service uses with jest mocks instead
+ * - Secrets get fixed test values, so tokens signed in one test can be
+ *   verified in the same test
+ * - Mocks are restored after every test, so tests don't leak into each other
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-0123456789abcdef0123456789abcdef';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret-0123456789abcdef0123456789';
+process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'test-mfa-key-0123456789abcdef0123456789abcdef';
+process.env.EMAIL_TEST_MODE = 'true';
+process.env.LOG_FILE = 'false';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+jest.setTimeout(10000);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,93 @@
+/**
+ * File: tests/middleware/auth.test.js
+ * Authentication middleware tests
+ *
+ * Tokens are signed with the test secret from tests/helpers/testSetup.js;
+ * users, sessions and the denylist are mocked.
+ */
+
+const jwtService = require('../../src/services/auth/jwtService');
+const tokenDenylist = require('../../src/services/auth/tokenDenylistService');
+const { UserModel, SessionModel } = require('../../src/models');
+const { authenticateToken } = require('../../src/middleware/auth');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createRequest = (token) => ({
+  headers: { authorization: `Bearer ${token}` },
+  ip: '203.0.113.5',
+  method: 'GET',
+  originalUrl: '/api/auth/me',
+  get: () => 'jest'
+});
+
+describe('authenticateToken', () => {
+  let token;
+
+  beforeEach(() => {
+    token = jwtService.generateAccessToken({ userId: 42, email: 'user@example.com' });
+
+    jest.spyOn(tokenDenylist, 'isRevoked').mockResolvedValue(false);
+    jest.spyOn(UserModel, 'findById').mockResolvedValue({ id: 42, email: 'user@example.com', isActive: true, isVerified: true });
+    jest.spyOn(SessionModel, 'findByToken').mockResolvedValue({ id: 7, userId: 42, isActive: true });
+  });
+
+  it('accepts a Bearer token with an active session and records its use', async () => {
+    const updateLastUsed = jest.spyOn(SessionModel, 'updateLastUsed').mockResolvedValue(true);
+    const req = createRequest(token);
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticateToken(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(updateLastUsed).toHaveBeenCalledWith(7);
+    expect(req.user).toEqual(expect.objectContaining({ userId: 42, sessionId: 7 }));
+  });
+
+  it('rejects a token whose session was revoked', async () => {
+    SessionModel.findByToken.mockResolvedValue({ id: 7, userId: 42, isActive: false });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticateToken(createRequest(token), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('rejects a token on the denylist before looking up the user', async () => {
+    tokenDenylist.isRevoked.mockRestore();
+    const { jti, exp } = jwtService.decodeToken(token).payload;
+    await tokenDenylist.revoke(jti, exp * 1000, { tokenType: 'access', userId: 42, reason: 'logout' });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await authenticateToken(createRequest(token), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Token has been revoked'
+    }));
+    expect(UserModel.findById).not.toHaveBeenCalled();
+  });
+
+  it('keeps accepting tokens that were not revoked', async () => {
+    tokenDenylist.isRevoked.mockRestore();
+    jest.spyOn(SessionModel, 'updateLastUsed').mockResolvedValue(true);
+    const otherToken = jwtService.generateAccessToken({ userId: 42, email: 'user@example.com' });
+    await tokenDenylist.revoke(jwtService.decodeToken(otherToken).payload.jti, Date.now() + 60 * 1000);
+    const next = jest.fn();
+
+    await authenticateToken(createRequest(token), createResponse(), next);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * File: tests/middleware/rateLimiter.test.js
+ * Adaptive load shedder and API plan limiter tests
+ *
+ * Nothing is shed here (every class sheds at Infinity); the shedder tests
+ * only look at the priority class each route gets. Plan limits run through
+ * apiPlanService with mocked plans and the in-memory counter store.
+ */
+
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const { ApiPlanModel } = require('../../src/models');
+const apiPlanService = require('../../src/services/auth/apiPlanService');
+const { createAdaptiveLimiter, planLimiter } = require('../../src/middleware/rateLimiter');
+
+const classify = (path) => {
+  const limiter = createAdaptiveLimiter({ shedAt: { low: Infinity, normal: Infinity, high: Infinity } });
+  const req = { originalUrl: path };
+  const next = jest.fn();
+
+  limiter(req, new EventEmitter(), next);
+
+  expect(next).toHaveBeenCalled();
+  return req.loadPriority;
+};
+
+describe('createAdaptiveLimiter priority rules', () => {
+  it('never sheds login, token and health routes', () => {
+    expect(classify('/api/auth/login')).toBe('critical');
+    expect(classify('/api/auth/refresh?x=1')).toBe('critical');
+    expect(classify('/health')).toBe('critical');
+  });
+
+  it('sheds bulk routes first, also under /api/auth', () => {
+    expect(classify('/api/auth/password/admin/bulk-expire')).toBe('low');
+    expect(classify('/api/rbac/user-roles/bulk-assign')).toBe('low');
+    expect(classify('/api/rbac/policy/export?format=yaml')).toBe('low');
+  });
+
+  it('treats other routes as normal', () => {
+    expect(classify('/api/rbac/roles')).toBe('normal');
+    expect(classify('/api/rbac/bulky-name')).toBe('normal');
+  });
+});
+
+describe('planLimiter', () => {
+  let plans;
+  let userId = 2000;
+
+  // Authenticated as a fresh user, so counters don't carry over between tests
+  const createApp = () => {
+    const app = express();
+    const user = { userId: userId++ };
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.get('/api/things', planLimiter, (req, res) => res.json({ success: true, plan: req.apiPlan }));
+    return app;
+  };
+
+  const usePlan = async (overrides) => {
+    plans = [{
+      id: 1,
+      name: 'free',
+      isActive: true,
+      isDefault: true,
+      burstLimit: 2,
+      sustainedPerMinute: 1,
+      dailyQuota: null,
+      monthlyQuota: null,
+      ...overrides
+    }];
+    await apiPlanService.reloadPlans();
+  };
+
+  beforeEach(() => {
+    jest.spyOn(ApiPlanModel, 'findAll').mockImplementation(() => Promise.resolve(plans));
+    jest.spyOn(ApiPlanModel, 'findAssignedPlan').mockResolvedValue({ planId: null, apiKeyPlanId: null });
+  });
+
+  it('reports the bucket and the tightest quota in headers', async () => {
+    await usePlan({ dailyQuota: 10, monthlyQuota: 100 });
+
+    const res = await request(createApp()).get('/api/things');
+
+    expect(res.status).toBe(200);
+    expect(res.body.plan).toEqual(expect.objectContaining({ name: 'free' }));
+    expect(res.headers['ratelimit-limit']).toBe('2');
+    expect(res.headers['ratelimit-remaining']).toBe('1');
+    expect(res.headers['x-quota-limit']).toBe('10');
+    expect(res.headers['x-quota-remaining']).toBe('9');
+  });
+
+  it('leaves the quota headers out for unlimited plans', async () => {
+    await usePlan({});
+
+    const res = await request(createApp()).get('/api/things');
+
+    expect(res.headers['ratelimit-limit']).toBe('2');
+    expect(res.headers['x-quota-limit']).toBeUndefined();
+  });
+
+  it('answers 429 with Retry-After once the bucket is empty', async () => {
+    await usePlan({});
+    const app = createApp();
+
+    await request(app).get('/api/things');
+    await request(app).get('/api/things');
+    const res = await request(app).get('/api/things');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('answers QUOTA_EXCEEDED once a quota is used up', async () => {
+    await usePlan({ burstLimit: 10, dailyQuota: 1 });
+    const app = createApp();
+
+    await request(app).get('/api/things');
+    const res = await request(app).get('/api/things');
+
+    expect(res.status).toBe(429);
+    expect(res.body.error.code).toBe('QUOTA_EXCEEDED');
+    expect(res.body.error.details).toEqual(expect.objectContaining({ period: 'daily', limit: 1 }));
+    expect(res.headers['x-quota-remaining']).toBe('0');
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * File: tests/middleware/rbac.test.js
+ * RBAC middleware tests
+ *
+ * The user's permissions come from a mocked userRoleService; conditions are
+ * evaluated for real.
+ */
+
+const userRoleService = require('../../src/services/rbac/userRoleService');
+const ownershipService = require('../../src/services/rbac/ownershipService');
+const { requirePermission, checkPermissionConditions } = require('../../src/middleware/rbac');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const createRequest = (user = { userId: 42 }) => ({
+  user,
+  ip: '203.0.113.5',
+  method: 'GET',
+  path: '/api/documents/1',
+  params: {},
+  query: {}
+});
+
+const grant = (roleName, permissionConditions = null) => ({
+  roleId: 1,
+  roleName,
+  assignmentConditions: null,
+  permissionConditions
+});
+
+const mockPermissions = (permissionGrants) => {
+  jest.spyOn(userRoleService, 'getUserPermissions').mockResolvedValue({
+    success: true,
+    data: {
+      permissions: Object.keys(permissionGrants),
+      permissionSources: {},
+      permissionGrants
+    }
+  });
+};
+
+const run = async (middleware, req) => {
+  const res = createResponse();
+  const next = jest.fn();
+  await middleware(req, res, next);
+  return { res, next };
+};
+
+describe('requirePermission', () => {
+  it('grants an unconditional permission', async () => {
+    mockPermissions({ 'documents.read': [grant('viewer')] });
+
+    const { next, res } = await run(requirePermission('documents:read'), createRequest());
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('denies a conditional grant when no resource is known', async () => {
+    mockPermissions({ 'documents.read': [grant('editor', { scope: 'own' })] });
+
+    const { next, res } = await run(requirePermission('documents.read'), createRequest());
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('decides conditions against the resource from getResource', async () => {
+    mockPermissions({ 'documents.read': [grant('editor', { scope: 'own' })] });
+    const middleware = (userId) => requirePermission('documents.read', { getResource: () => Promise.resolve({ user_id: userId }) });
+
+    expect((await run(middleware(42), createRequest())).next).toHaveBeenCalledWith();
+    expect((await run(middleware(7), createRequest())).res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('matches team scope through the membership resolver', async () => {
+    mockPermissions({ 'documents.read': [grant('member', { scope: 'team' })] });
+    jest.spyOn(ownershipService, 'getMembership').mockResolvedValue({ teamIds: ['3'], departmentIds: [], organizationIds: [] });
+
+    const { next } = await run(requirePermission('documents.read', { getResource: () => Promise.resolve({ user_id: 7, team_id: 3 }) }), createRequest());
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('defers undecided conditions only when the route opts in', async () => {
+    mockPermissions({ 'documents.read': [grant('editor', { scope: 'own' })] });
+    const req = createRequest();
+
+    const { next } = await run(requirePermission('documents.read', { deferConditions: true }), req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.permissionConditions['documents.read']).toHaveLength(1);
+    expect((await checkPermissionConditions(req, { user_id: 42 })).allowed).toBe(true);
+    expect((await checkPermissionConditions(req, { user_id: 7 })).allowed).toBe(false);
+    expect((await checkPermissionConditions(req, null)).allowed).toBe(false);
+  });
+});
+
+describe('requirePermission with an API key', () => {
+  const apiKeyRequest = (scopes) => createRequest({ userId: 42, apiKey: { id: 9, scopes } });
+
+  it('grants a permission that is both scoped and held by the owner', async () => {
+    mockPermissions({ 'documents.read': [grant('viewer')], 'documents.delete': [grant('admin')] });
+
+    const { next } = await run(requirePermission('documents.read'), apiKeyRequest(['documents:read']));
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  it('denies a permission the owner holds but the key was not scoped to', async () => {
+    mockPermissions({ 'documents.read': [grant('viewer')], 'documents.delete': [grant('admin')] });
+
+    const { next, res } = await run(requirePermission('documents.delete'), apiKeyRequest(['documents.read']));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('denies a scoped permission the owner no longer holds', async () => {
+    mockPermissions({ 'documents.read': [grant('viewer')] });
+
+    const { next, res } = await run(requirePermission('documents.delete'), apiKeyRequest(['documents.read', 'documents.delete']));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * File: tests/models/auth/passwordResetModel.test.js
+ * Password reset model tests
+ *
+ * The database module is mocked, so these tests check the SQL parameters
+ * the model sends rather than the rows MySQL would store.
+ */
+
+jest.mock('../../../src/models/database', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn()
+}));
+
+const crypto = require('crypto');
+const { executeQuery } = require('../../../src/models/database');
+const PasswordResetModel = require('../../../src/models/auth/passwordResetModel');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('PasswordResetModel.createResetRequest', () => {
+  beforeEach(() => {
+    executeQuery.mockReset();
+    jest.spyOn(PasswordResetModel, '_checkRateLimit').mockResolvedValue({ allowed: true });
+    jest.spyOn(PasswordResetModel, 'findById').mockResolvedValue({ id: 5, email: 'user@example.com' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    executeQuery.mockResolvedValue({ insertId: 5 });
+  });
+
+  it('stores only the hash of a magic link token', async () => {
+    const link = await PasswordResetModel.createResetRequest({
+      email: 'User@example.com',
+      userId: 42,
+      ipAddress: '203.0.113.5',
+      purpose: 'magic_link'
+    });
+
+    const [, params] = executeQuery.mock.calls[0];
+    expect(params[2]).toBeNull();
+    expect(params[3]).toBe(sha256(link.plainToken));
+    expect(params).not.toContain(link.plainToken);
+  });
+
+  it('keeps storing password reset tokens as before', async () => {
+    const reset = await PasswordResetModel.createResetRequest({
+      email: 'user@example.com',
+      ipAddress: '203.0.113.5'
+    });
+
+    const [, params] = executeQuery.mock.calls[0];
+    expect(params[2]).toBe(reset.plainToken);
+    expect(params[3]).toBe(sha256(reset.plainToken));
+  });
+});
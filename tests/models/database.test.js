@@ -0,0 +1,79 @@
+/**
+ * File: tests/models/database.test.js
+ * Transaction helper tests
+ *
+ * mysql2 is replaced by a fake pool whose single connection records the
+ * statements it is sent.
+ */
+
+const mockConnection = {
+  beginTransaction: jest.fn(),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  query: jest.fn(),
+  execute: jest.fn(),
+  release: jest.fn()
+};
+
+jest.mock('mysql2/promise', () => ({
+  createPool: () => ({ getConnection: () => Promise.resolve(mockConnection) })
+}));
+
+jest.mock('../../config/database', () => ({
+  getDatabaseConfig: () => ({})
+}));
+
+const { executeQuery, executeTransaction } = require('../../src/models/database');
+
+const statements = () => mockConnection.query.mock.calls.map(([sql]) => sql);
+
+describe('executeTransaction', () => {
+  beforeEach(() => {
+    Object.values(mockConnection).filter(jest.isMockFunction).forEach(fn => fn.mockReset());
+    mockConnection.execute.mockResolvedValue([[]]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('runs queries of the callback on the transaction connection', async () => {
+    await executeTransaction(() => executeQuery('SELECT 1'));
+
+    expect(mockConnection.beginTransaction).toHaveBeenCalledTimes(1);
+    expect(mockConnection.execute).toHaveBeenCalledWith('SELECT 1', []);
+    expect(mockConnection.commit).toHaveBeenCalledTimes(1);
+    expect(mockConnection.release).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs a nested transaction in a savepoint', async () => {
+    const result = await executeTransaction(() => executeTransaction(() => Promise.resolve('inner')));
+
+    expect(result).toBe('inner');
+    expect(mockConnection.beginTransaction).toHaveBeenCalledTimes(1);
+    expect(statements()).toEqual(['SAVEPOINT sp_1', 'RELEASE SAVEPOINT sp_1']);
+    expect(mockConnection.commit).toHaveBeenCalledTimes(1);
+  });
+
+  it('rolls a failed nested transaction back to its savepoint only', async () => {
+    await executeTransaction(async () => {
+      await executeTransaction(() => Promise.resolve());
+      await expect(executeTransaction(() => Promise.reject(new Error('inner failed')))).rejects.toThrow('inner failed');
+    });
+
+    expect(statements()).toEqual([
+      'SAVEPOINT sp_1',
+      'RELEASE SAVEPOINT sp_1',
+      'SAVEPOINT sp_2',
+      'ROLLBACK TO SAVEPOINT sp_2'
+    ]);
+    expect(mockConnection.rollback).not.toHaveBeenCalled();
+    expect(mockConnection.commit).toHaveBeenCalledTimes(1);
+  });
+
+  it('rolls back the outer transaction when the error is not caught', async () => {
+    await expect(executeTransaction(() => executeTransaction(() => Promise.reject(new Error('inner failed')))))
+      .rejects.toThrow('inner failed');
+
+    expect(mockConnection.rollback).toHaveBeenCalledTimes(1);
+    expect(mockConnection.commit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * File: tests/routes/routes.test.js
+ * Route loading tests
+ *
+ * app.js only logs "Failed to load routes" when a route file throws, and
+ * every /api route then answers 404; these tests load the router directly
+ * so a missing handler or middleware fails here instead.
+ */
+
+const express = require('express');
+const request = require('supertest');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../../src/routes'));
+  return app;
+};
+
+describe('API routes', () => {
+  it('loads every route module', () => {
+    expect(() => require('../../src/routes')).not.toThrow();
+  });
+
+  it('mounts the auth, password and RBAC routers', () => {
+    const router = require('../../src/routes');
+    const mounted = router.stack.filter(layer => layer.name === 'router');
+
+    // One sub-router per router.use in src/routes/index.js
+    expect(mounted.length).toBeGreaterThanOrEqual(18);
+  });
+
+  it('runs express-validator chains through handleValidationErrors', async () => {
+    const res = await request(createApp())
+      .post('/api/auth/password/validate')
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'password' })
+    ]));
+  });
+
+  it('requires authentication on protected routes', async () => {
+    const app = createApp();
+
+    const profile = await request(app).get('/api/auth/me');
+    expect(profile.status).toBe(401);
+
+    const roles = await request(app).get('/api/rbac/roles');
+    expect(roles.status).toBe(401);
+  });
+
+  it('mounts single-session revocation and session statistics', async () => {
+    const app = createApp();
+
+    const badId = await request(app).delete('/api/auth/sessions/not-a-number');
+    expect(badId.status).toBe(400);
+    expect(badId.body.error).toBe('SESSION_ID_INVALID_FORMAT');
+
+    const revoke = await request(app).delete('/api/auth/sessions/7');
+    expect(revoke.status).toBe(401);
+
+    const stats = await request(app).get('/api/auth/stats');
+    expect(stats.status).toBe(401);
+  });
+
+  it('answers the auth status route without a token', async () => {
+    const res = await request(createApp()).get('/api/auth/status');
+
+    expect(res.status).toBe(401);
+    expect(res.body.success).toBe(false);
+  });
+});
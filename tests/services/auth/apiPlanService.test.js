@@ -0,0 +1,139 @@
+/**
+ * File: tests/services/auth/apiPlanService.test.js
+ * API plan token bucket and quota tests
+ *
+ * Plans and assignments are mocked; requests are counted in the in-memory
+ * rate limit store, and each test uses a fresh user so counters don't carry
+ * over between tests.
+ */
+
+const { ApiPlanModel } = require('../../../src/models');
+const rateLimitStore = require('../../../src/services/auth/rateLimitStoreService');
+const apiPlanService = require('../../../src/services/auth/apiPlanService');
+
+const plan = (overrides = {}) => ({
+  id: 1,
+  name: 'free',
+  isActive: true,
+  isDefault: true,
+  burstLimit: 100,
+  sustainedPerMinute: 600,
+  dailyQuota: null,
+  monthlyQuota: null,
+  ...overrides
+});
+
+const today = () => {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+};
+
+let nextUserId = 1000;
+
+describe('consumeRequest', () => {
+  let plans;
+  let actor;
+
+  beforeEach(async () => {
+    plans = [plan()];
+    actor = { userId: nextUserId++ };
+
+    jest.spyOn(ApiPlanModel, 'findAll').mockImplementation(() => Promise.resolve(plans));
+    jest.spyOn(ApiPlanModel, 'findAssignedPlan').mockResolvedValue({ planId: null, apiKeyPlanId: null });
+
+    // Start every test with empty plan and assignment caches
+    await apiPlanService.reloadPlans();
+  });
+
+  it('allows a burst, then refills at the sustained rate', async () => {
+    plans = [plan({ burstLimit: 3, sustainedPerMinute: 60 })];
+    await apiPlanService.reloadPlans();
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await apiPlanService.consumeRequest(actor));
+    }
+
+    expect(results.map(result => result.exceeded)).toEqual([null, null, null, 'burst']);
+    expect(results[2].bucket.remaining).toBe(0);
+    expect(results[3].bucket.retryAfter).toBe(1);
+
+    // One token per second comes back
+    now.mockReturnValue(start + 1000);
+    expect((await apiPlanService.consumeRequest(actor)).exceeded).toBeNull();
+    expect((await apiPlanService.consumeRequest(actor)).exceeded).toBe('burst');
+  });
+
+  it('does not count a request that goes over the daily quota', async () => {
+    plans = [plan({ dailyQuota: 2 })];
+    await apiPlanService.reloadPlans();
+
+    await apiPlanService.consumeRequest(actor);
+    const second = await apiPlanService.consumeRequest(actor);
+    const third = await apiPlanService.consumeRequest(actor);
+
+    expect(second.exceeded).toBeNull();
+    expect(second.quotas.daily).toEqual(expect.objectContaining({ limit: 2, used: 2, remaining: 0 }));
+    expect(third.exceeded).toBe('daily');
+    expect(await rateLimitStore.getPeriodCount('quota:daily', `user:${actor.userId}`, today())).toBe(2);
+  });
+
+  it('takes back the daily count when the monthly quota is used up', async () => {
+    plans = [plan({ monthlyQuota: 1 })];
+    await apiPlanService.reloadPlans();
+
+    await apiPlanService.consumeRequest(actor);
+    const over = await apiPlanService.consumeRequest(actor);
+
+    expect(over.exceeded).toBe('monthly');
+    expect(await rateLimitStore.getPeriodCount('quota:daily', `user:${actor.userId}`, today())).toBe(1);
+  });
+
+  it('counts an API key with its own plan apart from its owner', async () => {
+    plans = [plan({ dailyQuota: 1 }), plan({ id: 2, name: 'pro', isDefault: false, dailyQuota: 5 })];
+    await apiPlanService.reloadPlans();
+    ApiPlanModel.findAssignedPlan.mockImplementation((userId, apiKeyId) => Promise.resolve(
+      apiKeyId ? { planId: 2, apiKeyPlanId: 2 } : { planId: null, apiKeyPlanId: null }
+    ));
+
+    await apiPlanService.consumeRequest(actor);
+    const keyResult = await apiPlanService.consumeRequest({ ...actor, apiKey: { id: 9 } });
+
+    expect(keyResult.plan.name).toBe('pro');
+    expect(keyResult.subject).toBe('key:9');
+    expect(keyResult.exceeded).toBeNull();
+    expect((await apiPlanService.consumeRequest(actor)).exceeded).toBe('daily');
+  });
+
+  it('falls back to the default plan when the assigned plan is inactive', async () => {
+    plans = [plan(), plan({ id: 2, name: 'retired', isDefault: false, isActive: false })];
+    await apiPlanService.reloadPlans();
+    ApiPlanModel.findAssignedPlan.mockResolvedValue({ planId: 2, apiKeyPlanId: null });
+
+    expect((await apiPlanService.consumeRequest(actor)).plan.name).toBe('free');
+  });
+
+  it('uses changed plans after a reload', async () => {
+    plans = [plan({ dailyQuota: 1 })];
+    await apiPlanService.reloadPlans();
+    await apiPlanService.consumeRequest(actor);
+    expect((await apiPlanService.consumeRequest(actor)).exceeded).toBe('daily');
+
+    plans = [plan({ dailyQuota: 10 })];
+    // Cached plans still apply until the cache is dropped
+    expect((await apiPlanService.consumeRequest(actor)).exceeded).toBe('daily');
+
+    const reloaded = await apiPlanService.reloadPlans();
+    expect(reloaded.success).toBe(true);
+    expect((await apiPlanService.consumeRequest(actor)).exceeded).toBeNull();
+  });
+
+  it('lets requests through when no plan applies', async () => {
+    plans = [];
+    await apiPlanService.reloadPlans();
+
+    expect(await apiPlanService.consumeRequest(actor)).toEqual(expect.objectContaining({ plan: null, exceeded: null }));
+  });
+});
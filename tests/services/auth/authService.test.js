@@ -0,0 +1,133 @@
+/**
+ * File: tests/services/auth/authService.test.js
+ * Refresh token reuse detection and login step tests
+ *
+ * Sessions are mocked; the tests check when replaying a rotated refresh token
+ * counts as theft and revokes its token family, and that an expired password
+ * holds up every kind of login.
+ */
+
+const { UserModel, SessionModel } = require('../../../src/models');
+const jwtService = require('../../../src/services/auth/jwtService');
+const mfaService = require('../../../src/services/auth/mfaService');
+const authService = require('../../../src/services/auth/authService');
+
+const FAMILY = 'family-1';
+
+describe('refreshTokens', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(jwtService, 'verifyRefreshToken').mockResolvedValue({ userId: 42, tokenFamily: FAMILY });
+    jest.spyOn(SessionModel, 'revokeTokenFamily').mockResolvedValue(1);
+    jest.spyOn(SessionModel, 'markSuspicious').mockResolvedValue(true);
+    jest.spyOn(UserModel, 'findById').mockResolvedValue(null);
+  });
+
+  describe('with a token that was already rotated', () => {
+    beforeEach(() => {
+      jest.spyOn(SessionModel, 'findByRefreshToken').mockResolvedValue(null);
+    });
+
+    it('revokes the family while one of its sessions is still live', async () => {
+      jest.spyOn(SessionModel, 'findByTokenFamily').mockResolvedValue([
+        { id: 7, isActive: true, revokedReason: null }
+      ]);
+
+      const result = await authService.refreshTokens('old-token');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('REFRESH_TOKEN_REUSED');
+      expect(SessionModel.revokeTokenFamily).toHaveBeenCalledWith(FAMILY, 'security');
+      expect(SessionModel.markSuspicious).toHaveBeenCalledWith(7, 'Refresh token reuse detected');
+    });
+
+    it('treats a family ended by logout as expired, not stolen', async () => {
+      jest.spyOn(SessionModel, 'findByTokenFamily').mockResolvedValue([
+        { id: 7, isActive: false, revokedReason: 'logout' }
+      ]);
+
+      const result = await authService.refreshTokens('old-token');
+
+      expect(result).toEqual({ success: false, message: 'Session not found or expired' });
+      expect(SessionModel.revokeTokenFamily).not.toHaveBeenCalled();
+      expect(SessionModel.markSuspicious).not.toHaveBeenCalled();
+    });
+
+    it('only flags the sessions that were not logged out', async () => {
+      jest.spyOn(SessionModel, 'findByTokenFamily').mockResolvedValue([
+        { id: 7, isActive: false, revokedReason: 'logout' },
+        { id: 8, isActive: false, revokedReason: 'security' }
+      ]);
+
+      const result = await authService.refreshTokens('old-token');
+
+      expect(result.code).toBe('REFRESH_TOKEN_REUSED');
+      expect(SessionModel.markSuspicious).toHaveBeenCalledTimes(1);
+      expect(SessionModel.markSuspicious).toHaveBeenCalledWith(8, 'Refresh token reuse detected');
+    });
+  });
+
+  describe('when the rotation loses a race', () => {
+    beforeEach(() => {
+      jest.spyOn(SessionModel, 'findByRefreshToken').mockResolvedValue({
+        id: 7,
+        userId: 42,
+        tokenFamily: FAMILY,
+        isActive: true,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      });
+      // Only the refresh itself finds the user, so no reuse alert is emailed
+      UserModel.findById.mockResolvedValueOnce({ id: 42, email: 'user@example.com', isActive: true });
+      jest.spyOn(SessionModel, 'rotateTokens').mockResolvedValue(false);
+    });
+
+    it('reports an expired session if a logout got there first', async () => {
+      jest.spyOn(SessionModel, 'findByTokenFamily').mockResolvedValue([
+        { id: 7, isActive: false, revokedReason: 'logout' }
+      ]);
+
+      const result = await authService.refreshTokens('current-token');
+
+      expect(result).toEqual({ success: false, message: 'Session not found or expired' });
+      expect(SessionModel.revokeTokenFamily).not.toHaveBeenCalled();
+    });
+
+    it('revokes the family if another refresh got there first', async () => {
+      jest.spyOn(SessionModel, 'findByTokenFamily').mockResolvedValue([
+        { id: 7, isActive: true, revokedReason: null }
+      ]);
+
+      const result = await authService.refreshTokens('current-token');
+
+      expect(result.code).toBe('REFRESH_TOKEN_REUSED');
+      expect(SessionModel.revokeTokenFamily).toHaveBeenCalledWith(FAMILY, 'security');
+    });
+  });
+});
+
+describe('completeFirstFactor with an expired password', () => {
+  const user = {
+    id: 42,
+    email: 'user@example.com',
+    emailVerified: true,
+    isActive: true,
+    passwordExpiresAt: new Date(Date.now() - 1000)
+  };
+
+  beforeEach(() => {
+    jest.spyOn(mfaService, 'getMfaRequirement').mockResolvedValue({ enabled: false, required: false, requiredByRoles: [] });
+    jest.spyOn(SessionModel, 'create');
+  });
+
+  it.each([['password', ['pwd']], ['magic link', ['magic_link']], ['provider', ['oidc']]])(
+    'asks for a new password after a %s login',
+    async (_method, amr) => {
+      const result = await authService.completeFirstFactor(user, { amr });
+
+      expect(result.success).toBe(true);
+      expect(result.data.passwordChangeRequired).toBe(true);
+      expect(result.data.tokens).toBeUndefined();
+      expect(SessionModel.create).not.toHaveBeenCalled();
+    }
+  );
+});
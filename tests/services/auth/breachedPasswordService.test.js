@@ -0,0 +1,121 @@
+/**
+ * File: tests/services/auth/breachedPasswordService.test.js
+ * Offline breached password lookup tests
+ *
+ * Each test writes a small corpus to a temporary directory, in either the
+ * range file layout or the single ordered file layout, with a few hundred
+ * filler lines so the binary search needs several reads.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../config/environment');
+const breachedPasswordService = require('../../../src/services/auth/breachedPasswordService');
+
+const PASSWORD = 'password';
+const sha1 = (text) => crypto.createHash('sha1').update(text).digest('hex').toUpperCase();
+const HASH = sha1(PASSWORD); // 5BAA61E4..., neither starts nor ends the key range
+
+/**
+ * Build sorted corpus lines with the password hash first, last or in between
+ *
+ * @param {string} key - Key of the password (hash or suffix)
+ * @param {string} position - 'first', 'last' or 'middle'
+ * @returns {Array<string>} "KEY:COUNT" lines
+ */
+const buildLines = (key, position) => {
+  const fillers = Array.from({ length: 300 }, (_, i) => {
+    const filler = sha1(`filler-${i}`).slice(0, key.length);
+    if (position === 'first') return `F${filler.slice(1)}`;
+    if (position === 'last') return `0${filler.slice(1)}`;
+    return filler;
+  });
+
+  return [...fillers, key].sort().map((lineKey, i) => `${lineKey}:${lineKey === key ? 42 : i + 1}`);
+};
+
+describe('breachedPasswordService', () => {
+  const original = { ...config.breachedPasswords };
+  let dir;
+
+  /**
+   * Write a corpus file and point the service at it
+   *
+   * @param {Object} options - { layout: 'range' | 'ordered', position, eol, trailingNewline }
+   */
+  const useCorpus = ({ layout = 'range', position = 'middle', eol = '\n', trailingNewline = true }) => {
+    const key = layout === 'range' ? HASH.slice(5) : HASH;
+    const content = buildLines(key, position).join(eol) + (trailingNewline ? eol : '');
+
+    if (layout === 'range') {
+      fs.writeFileSync(path.join(dir, `${HASH.slice(0, 5)}.txt`), content);
+      config.breachedPasswords.corpusPath = dir;
+    } else {
+      const file = path.join(dir, 'pwned-passwords-ordered-by-hash.txt');
+      fs.writeFileSync(file, content);
+      config.breachedPasswords.corpusPath = file;
+    }
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'breached-'));
+  });
+
+  afterEach(() => {
+    Object.assign(config.breachedPasswords, original);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe.each(['range', 'ordered'])('with the %s layout', (layout) => {
+    it('finds a hash on the first line', async () => {
+      useCorpus({ layout, position: 'first' });
+
+      expect(await breachedPasswordService.getBreachCount(PASSWORD)).toBe(42);
+    });
+
+    it('finds a hash on the last line without a trailing newline', async () => {
+      useCorpus({ layout, position: 'last', trailingNewline: false });
+
+      expect(await breachedPasswordService.getBreachCount(PASSWORD)).toBe(42);
+    });
+
+    it('finds a hash in a file with CRLF line endings', async () => {
+      useCorpus({ layout, eol: '\r\n' });
+
+      expect(await breachedPasswordService.getBreachCount(PASSWORD)).toBe(42);
+    });
+
+    it('returns 0 for a hash that is not listed', async () => {
+      useCorpus({ layout });
+
+      expect(await breachedPasswordService.getBreachCount('filler-7 is not a password')).toBe(0);
+    });
+  });
+
+  it('returns 0 when the range file for a prefix does not exist', async () => {
+    useCorpus({ layout: 'range' });
+    const otherPassword = 'correct horse battery staple';
+    expect(sha1(otherPassword).slice(0, 5)).not.toBe(HASH.slice(0, 5));
+
+    expect(await breachedPasswordService.getBreachCount(otherPassword)).toBe(0);
+  });
+
+  it('only refuses passwords seen at least threshold times', async () => {
+    useCorpus({ layout: 'range' });
+
+    config.breachedPasswords.threshold = 43;
+    expect(await breachedPasswordService.checkPassword(PASSWORD)).toEqual({ checked: true, breached: false, count: 42 });
+
+    config.breachedPasswords.threshold = 42;
+    expect(await breachedPasswordService.checkPassword(PASSWORD)).toEqual({ checked: true, breached: true, count: 42 });
+  });
+
+  it('checks nothing without a configured corpus', async () => {
+    config.breachedPasswords.corpusPath = '';
+
+    expect(breachedPasswordService.isEnabled()).toBe(false);
+    expect(await breachedPasswordService.checkPassword(PASSWORD)).toEqual({ checked: false, breached: false, count: 0 });
+  });
+});
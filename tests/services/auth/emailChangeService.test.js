@@ -0,0 +1,198 @@
+/**
+ * File: tests/services/auth/emailChangeService.test.js
+ * Email change confirm and cancel tests
+ *
+ * Change requests, users and sessions are mocked. The tests cover the races
+ * between the confirm and cancel links and with other accounts: whichever
+ * request loses must roll back its transaction and leave sessions alone.
+ */
+
+jest.mock('../../../src/models/database', () => {
+  const actual = jest.requireActual('../../../src/models/database');
+  const state = { outcomes: [] };
+
+  return {
+    ...actual,
+    transactionState: state,
+    executeTransaction: jest.fn(async (callback) => {
+      try {
+        const result = await callback();
+        state.outcomes.push('committed');
+        return result;
+      } catch (error) {
+        state.outcomes.push('rolled back');
+        throw error;
+      }
+    })
+  };
+});
+
+const { transactionState } = require('../../../src/models/database');
+const { UserModel, SessionModel, EmailChangeModel } = require('../../../src/models');
+const emailChangeService = require('../../../src/services/auth/emailChangeService');
+
+const TOKEN = 'a'.repeat(64);
+const HOUR_MS = 60 * 60 * 1000;
+
+const emailChange = (overrides = {}) => ({
+  id: 3,
+  userId: 42,
+  sessionId: 9,
+  oldEmail: 'old@example.com',
+  newEmail: 'new@example.com',
+  status: 'pending',
+  expiresAt: new Date(Date.now() + HOUR_MS),
+  cancelExpiresAt: new Date(Date.now() + 7 * 24 * HOUR_MS),
+  ...overrides
+});
+
+beforeEach(() => {
+  transactionState.outcomes = [];
+
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(UserModel, 'emailExists').mockResolvedValue(false);
+  jest.spyOn(UserModel, 'changeEmail').mockResolvedValue(true);
+  jest.spyOn(EmailChangeModel, 'updateStatus').mockResolvedValue(true);
+  jest.spyOn(SessionModel, 'revokeAllUserSessions').mockResolvedValue(2);
+});
+
+describe('confirmEmailChange', () => {
+  beforeEach(() => {
+    jest.spyOn(EmailChangeModel, 'findByConfirmToken').mockResolvedValue(emailChange());
+  });
+
+  it('switches the address and signs out every other session', async () => {
+    const result = await emailChangeService.confirmEmailChange({ token: TOKEN });
+
+    expect(result).toEqual({
+      success: true,
+      message: 'Email address changed successfully',
+      data: { email: 'new@example.com', emailVerified: true, revokedSessions: 2 }
+    });
+    expect(EmailChangeModel.updateStatus).toHaveBeenCalledWith(3, 'pending', 'confirmed');
+    expect(UserModel.changeEmail).toHaveBeenCalledWith(42, 'old@example.com', 'new@example.com');
+    expect(SessionModel.revokeAllUserSessions).toHaveBeenCalledWith(42, 'email_changed', 9);
+    expect(transactionState.outcomes).toEqual(['committed']);
+  });
+
+  it('refuses a link whose request was cancelled first', async () => {
+    EmailChangeModel.findByConfirmToken.mockResolvedValue(emailChange({ status: 'cancelled' }));
+
+    expect((await emailChangeService.confirmEmailChange({ token: TOKEN })).code).toBe('EMAIL_CHANGE_INVALID');
+    expect(EmailChangeModel.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('rolls back when a cancel or second confirm wins the status update', async () => {
+    EmailChangeModel.updateStatus.mockResolvedValue(false);
+
+    const result = await emailChangeService.confirmEmailChange({ token: TOKEN });
+
+    expect(result.code).toBe('EMAIL_CHANGE_INVALID');
+    expect(UserModel.changeEmail).not.toHaveBeenCalled();
+    expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+    expect(transactionState.outcomes).toEqual(['rolled back']);
+  });
+
+  it('rolls back when the address on the account changed since the request', async () => {
+    UserModel.changeEmail.mockResolvedValue(false);
+
+    const result = await emailChangeService.confirmEmailChange({ token: TOKEN });
+
+    expect(result.code).toBe('EMAIL_CHANGE_INVALID');
+    expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+    expect(transactionState.outcomes).toEqual(['rolled back']);
+  });
+
+  it('reports a taken address whether the check or the unique index catches it', async () => {
+    UserModel.emailExists.mockResolvedValueOnce(true);
+    const checked = await emailChangeService.confirmEmailChange({ token: TOKEN });
+
+    UserModel.changeEmail.mockRejectedValueOnce(new Error('Email address is already in use'));
+    const raced = await emailChangeService.confirmEmailChange({ token: TOKEN });
+
+    for (const result of [checked, raced]) {
+      expect(result).toEqual(expect.objectContaining({ success: false, code: 'EMAIL_ALREADY_EXISTS', field: 'newEmail' }));
+    }
+    expect(EmailChangeModel.updateStatus).toHaveBeenCalledTimes(1);
+    expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+    expect(transactionState.outcomes).toEqual(['rolled back', 'rolled back']);
+  });
+});
+
+describe('cancelEmailChange', () => {
+  beforeEach(() => {
+    jest.spyOn(EmailChangeModel, 'findByCancelToken').mockResolvedValue(emailChange());
+  });
+
+  it('drops a pending change without touching the account', async () => {
+    const result = await emailChangeService.cancelEmailChange({ token: TOKEN });
+
+    expect(result.data).toEqual({ email: 'old@example.com', reverted: false, revokedSessions: 0 });
+    expect(EmailChangeModel.updateStatus).toHaveBeenCalledWith(3, 'pending', 'cancelled');
+    expect(UserModel.changeEmail).not.toHaveBeenCalled();
+    expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+  });
+
+  it('refuses to cancel a change that was confirmed in the meantime', async () => {
+    EmailChangeModel.updateStatus.mockResolvedValue(false);
+
+    expect((await emailChangeService.cancelEmailChange({ token: TOKEN })).code).toBe('EMAIL_CHANGE_INVALID');
+    expect(UserModel.changeEmail).not.toHaveBeenCalled();
+  });
+
+  describe('after the change was confirmed', () => {
+    beforeEach(() => {
+      EmailChangeModel.findByCancelToken.mockResolvedValue(emailChange({ status: 'confirmed' }));
+    });
+
+    it('restores the old address and signs out every session', async () => {
+      const result = await emailChangeService.cancelEmailChange({ token: TOKEN });
+
+      expect(result.data).toEqual({ email: 'old@example.com', reverted: true, revokedSessions: 2 });
+      expect(EmailChangeModel.updateStatus).toHaveBeenCalledWith(3, 'confirmed', 'reverted');
+      expect(UserModel.changeEmail).toHaveBeenCalledWith(42, 'new@example.com', 'old@example.com');
+      expect(SessionModel.revokeAllUserSessions).toHaveBeenCalledWith(42, 'security');
+      expect(transactionState.outcomes).toEqual(['committed']);
+    });
+
+    it('reverts only once when the cancel link is used twice at the same time', async () => {
+      EmailChangeModel.updateStatus.mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      const results = await Promise.all([
+        emailChangeService.cancelEmailChange({ token: TOKEN }),
+        emailChangeService.cancelEmailChange({ token: TOKEN })
+      ]);
+
+      expect(results.map(result => result.success)).toEqual([true, false]);
+      expect(results[1].code).toBe('EMAIL_CHANGE_INVALID');
+      expect(UserModel.changeEmail).toHaveBeenCalledTimes(1);
+      expect(SessionModel.revokeAllUserSessions).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps the new address when another account took the old one', async () => {
+      UserModel.emailExists.mockResolvedValue(true);
+
+      const result = await emailChangeService.cancelEmailChange({ token: TOKEN });
+
+      expect(result).toEqual(expect.objectContaining({ code: 'EMAIL_ALREADY_EXISTS', field: 'token' }));
+      expect(EmailChangeModel.updateStatus).not.toHaveBeenCalled();
+      expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+      expect(transactionState.outcomes).toEqual(['rolled back']);
+    });
+
+    it('rolls back when the address on the account changed since the confirmation', async () => {
+      UserModel.changeEmail.mockResolvedValue(false);
+
+      expect((await emailChangeService.cancelEmailChange({ token: TOKEN })).code).toBe('EMAIL_CHANGE_INVALID');
+      expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+      expect(transactionState.outcomes).toEqual(['rolled back']);
+    });
+  });
+
+  it('refuses a cancel link after its window has closed', async () => {
+    EmailChangeModel.findByCancelToken.mockResolvedValue(emailChange({ status: 'confirmed', cancelExpiresAt: new Date(Date.now() - 1000) }));
+
+    expect((await emailChangeService.cancelEmailChange({ token: TOKEN })).code).toBe('EMAIL_CHANGE_INVALID');
+    expect(EmailChangeModel.updateStatus).not.toHaveBeenCalled();
+  });
+});
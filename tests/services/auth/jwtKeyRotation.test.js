@@ -0,0 +1,158 @@
+/**
+ * File: tests/services/auth/jwtKeyRotation.test.js
+ * Asymmetric signing key rotation and JWKS tests
+ *
+ * Each test writes a keys.json with freshly made key pairs to a temporary
+ * directory and switches the app to RS256 for the duration of the test:
+ * one retired key still in its grace period, one past it, the active key and
+ * a scheduled ES256 key.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const config = require('../../../config/environment');
+const jwtKeys = require('../../../config/jwtKeys');
+const jwtService = require('../../../src/services/auth/jwtService');
+const jwksRoutes = require('../../../src/routes/auth/jwksRoutes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+const keyPairs = {
+  retired: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  expired: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  current: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+  next: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+};
+
+describe('JWT key rotation', () => {
+  const original = { ...config.jwt };
+  let dir;
+
+  /**
+   * Write keys.json and reload the keys
+   *
+   * @param {Object} schedule - { kid: { activatesAt, retiresAt } } overrides
+   */
+  const writeManifest = (schedule = {}) => {
+    const keys = [
+      { kid: 'retired', alg: 'RS256', activatesAt: daysFromNow(-60), retiresAt: daysFromNow(-1) },
+      { kid: 'expired', alg: 'RS256', activatesAt: daysFromNow(-120), retiresAt: daysFromNow(-40) },
+      { kid: 'current', alg: 'RS256', activatesAt: daysFromNow(-1) },
+      { kid: 'next', alg: 'ES256', activatesAt: daysFromNow(1) }
+    ].map(entry => ({ ...entry, privateKeyFile: `${entry.kid}.private.pem`, ...schedule[entry.kid] }));
+
+    fs.writeFileSync(path.join(dir, 'keys.json'), JSON.stringify({ keys }));
+  };
+
+  // A token signed with one of the test keys, as an earlier deploy would have issued it
+  const signWith = (kid, alg = 'RS256') => jwt.sign(
+    { userId: 42, type: 'access' },
+    keyPairs[kid].privateKey,
+    { algorithm: alg, keyid: kid, expiresIn: '15m', issuer: config.jwt.issuer, audience: config.jwt.audience }
+  );
+
+  const verify = (token) => jwtService.verifyAccessToken(token, { checkRevoked: false });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    for (const [kid, pair] of Object.entries(keyPairs)) {
+      fs.writeFileSync(path.join(dir, `${kid}.private.pem`), pair.privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    }
+
+    config.jwt.algorithm = 'RS256';
+    config.jwt.keysDir = dir;
+    config.jwt.keyGracePeriod = 30 * 24 * 60 * 60;
+    writeManifest();
+    jwtKeys.loadKeys();
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.jwt, original);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('signs new tokens with the active key that started last', async () => {
+    const token = jwtService.generateAccessToken({ userId: 42 });
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual(expect.objectContaining({ alg: 'RS256', kid: 'current' }));
+    expect(await verify(token)).toEqual(expect.objectContaining({ userId: 42, type: 'access' }));
+  });
+
+  it('still accepts tokens from a retired key until its grace period ends', async () => {
+    expect(await verify(signWith('retired'))).toEqual(expect.objectContaining({ userId: 42 }));
+    expect(await verify(signWith('expired'))).toBeNull();
+  });
+
+  it('rejects tokens with an unknown kid or an algorithm the key does not use', async () => {
+    const unknown = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const forged = jwt.sign({ userId: 1, type: 'access' }, unknown.privateKey, {
+      algorithm: 'RS256', keyid: 'current-2', issuer: config.jwt.issuer, audience: config.jwt.audience
+    });
+    // HS256 with the published public key as the secret
+    const confused = jwt.sign(
+      { userId: 1, type: 'access' },
+      keyPairs.current.publicKey.export({ type: 'spki', format: 'pem' }),
+      { algorithm: 'HS256', keyid: 'current', issuer: config.jwt.issuer, audience: config.jwt.audience }
+    );
+
+    expect(await verify(forged)).toBeNull();
+    expect(await verify(confused)).toBeNull();
+  });
+
+  it('switches to a scheduled key once its start time has passed', async () => {
+    const issuedBefore = jwtService.generateAccessToken({ userId: 42 });
+
+    writeManifest({ next: { activatesAt: daysFromNow(-0.5) } });
+    jwtKeys.loadKeys();
+    const issuedAfter = jwtService.generateAccessToken({ userId: 42 });
+
+    expect(jwt.decode(issuedAfter, { complete: true }).header).toEqual(expect.objectContaining({ alg: 'ES256', kid: 'next' }));
+    expect(await verify(issuedAfter)).not.toBeNull();
+    expect(await verify(issuedBefore)).not.toBeNull();
+  });
+
+  it('picks up a changed keys.json on its own', () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    jwtKeys.getSigningKey();
+
+    writeManifest({ current: { retiresAt: daysFromNow(-0.5) }, next: { activatesAt: daysFromNow(-0.5) } });
+    const later = new Date(start + 5000);
+    fs.utimesSync(path.join(dir, 'keys.json'), later, later);
+
+    // The manifest is only looked at again after a minute
+    expect(jwtKeys.getSigningKey().options.keyid).toBe('current');
+    now.mockReturnValue(start + 61 * 1000);
+    expect(jwtKeys.getSigningKey().options.keyid).toBe('next');
+  });
+
+  it('publishes every key that may verify tokens, without private parts', async () => {
+    const app = express();
+    app.use('/.well-known', jwksRoutes);
+
+    const res = await request(app).get('/.well-known/jwks.json');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('public, max-age=300');
+    expect(res.body.keys.map(key => key.kid).sort()).toEqual(['current', 'next', 'retired']);
+    expect(res.body.keys.find(key => key.kid === 'next')).toEqual(expect.objectContaining({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' }));
+    for (const key of res.body.keys) {
+      expect(key.d).toBeUndefined();
+    }
+  });
+
+  it('publishes no keys with a shared secret', () => {
+    config.jwt.algorithm = 'HS256';
+
+    expect(jwtKeys.getJwks()).toEqual({ keys: [] });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * File: tests/services/auth/mfaService.test.js
+ * Second factor verification tests
+ *
+ * The MFA row is mocked; its secret is encrypted by startEnrollment, so codes
+ * are checked exactly as they are at login.
+ */
+
+const crypto = require('crypto');
+const { MfaModel, UserModel } = require('../../../src/models');
+const totp = require('../../../src/utils/totp');
+const mfaService = require('../../../src/services/auth/mfaService');
+
+const USER_ID = 42;
+
+describe('verifySecondFactor', () => {
+  let secret;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(UserModel, 'findById').mockResolvedValue({ id: USER_ID, email: 'user@example.com' });
+    jest.spyOn(UserModel, 'incrementFailedLoginAttempts').mockResolvedValue(true);
+    jest.spyOn(MfaModel, 'countUnusedRecoveryCodes').mockResolvedValue(9);
+    jest.spyOn(MfaModel, 'markStepUsed').mockResolvedValue(true);
+    jest.spyOn(MfaModel, 'consumeRecoveryCode').mockResolvedValue(true);
+
+    // Enroll once to get a secret stored the way the service stores it
+    jest.spyOn(MfaModel, 'savePendingSecret').mockResolvedValue(true);
+    secret = (await mfaService.startEnrollment(USER_ID)).data.secret;
+    const secretEncrypted = MfaModel.savePendingSecret.mock.calls[0][1];
+
+    jest.spyOn(MfaModel, 'findByUserId').mockResolvedValue({ userId: USER_ID, isEnabled: true, secretEncrypted });
+  });
+
+  it('accepts the current code and uses up its time step', async () => {
+    const step = totp.getTimeStep();
+
+    const result = await mfaService.verifySecondFactor(USER_ID, { code: totp.generateCode(secret, step) });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({ method: 'totp', recoveryCodesRemaining: 9 });
+    expect(MfaModel.markStepUsed).toHaveBeenCalledWith(USER_ID, step);
+    expect(UserModel.incrementFailedLoginAttempts).not.toHaveBeenCalled();
+  });
+
+  it('rejects a replayed code and counts the failure', async () => {
+    MfaModel.markStepUsed.mockResolvedValue(false);
+
+    const result = await mfaService.verifySecondFactor(USER_ID, { code: totp.generateCode(secret, totp.getTimeStep()) });
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'MFA_CODE_INVALID' }));
+    expect(UserModel.incrementFailedLoginAttempts).toHaveBeenCalledWith(USER_ID);
+  });
+
+  it('rejects a wrong code without using up a step', async () => {
+    const wrongCode = totp.generateCode(secret, totp.getTimeStep() + 5);
+
+    const result = await mfaService.verifySecondFactor(USER_ID, { code: wrongCode });
+
+    expect(result.code).toBe('MFA_CODE_INVALID');
+    expect(MfaModel.markStepUsed).not.toHaveBeenCalled();
+    expect(UserModel.incrementFailedLoginAttempts).toHaveBeenCalledWith(USER_ID);
+  });
+
+  it('looks recovery codes up by hash, ignoring case and dashes', async () => {
+    const result = await mfaService.verifySecondFactor(USER_ID, { recoveryCode: 'ABCDE-12345' });
+    const expectedHash = crypto.createHash('sha256').update('abcde12345').digest('hex');
+
+    expect(result.data.method).toBe('recovery_code');
+    expect(MfaModel.consumeRecoveryCode).toHaveBeenCalledWith(USER_ID, expectedHash);
+  });
+
+  it('refuses users without MFA enabled', async () => {
+    MfaModel.findByUserId.mockResolvedValue({ userId: USER_ID, isEnabled: false });
+
+    const result = await mfaService.verifySecondFactor(USER_ID, { code: '123456' });
+
+    expect(result.code).toBe('MFA_NOT_ENABLED');
+    expect(UserModel.incrementFailedLoginAttempts).not.toHaveBeenCalled();
+  });
+});
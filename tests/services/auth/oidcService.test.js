@@ -0,0 +1,201 @@
+/**
+ * File: tests/services/auth/oidcService.test.js
+ * OpenID Connect sign-in tests
+ *
+ * A mock issuer stands in for the provider: axios answers its discovery
+ * document, JWKS and token endpoint, and ID tokens are signed with a key pair
+ * made for the test run. Users and identities are mocked; transactions record
+ * which calls ran inside them.
+ */
+
+jest.mock('../../../src/models/database', () => {
+  const actual = jest.requireActual('../../../src/models/database');
+  const state = { depth: 0 };
+
+  return {
+    ...actual,
+    transactionState: state,
+    executeTransaction: jest.fn(async (callback) => {
+      state.depth += 1;
+      try {
+        return await callback();
+      } finally {
+        state.depth -= 1;
+      }
+    })
+  };
+});
+
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../../../config/environment');
+const { transactionState } = require('../../../src/models/database');
+const { UserModel, UserIdentityModel, RoleModel, UserRoleModel } = require('../../../src/models');
+const authService = require('../../../src/services/auth/authService');
+const permissionCache = require('../../../src/services/rbac/permissionCacheService');
+const oidcService = require('../../../src/services/auth/oidcService');
+
+const ISSUER = 'https://issuer.example.test';
+const CLIENT_ID = 'delta2-test-client';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'mock-key-1', use: 'sig', alg: 'RS256' };
+
+const discovery = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`,
+  id_token_signing_alg_values_supported: ['RS256']
+};
+
+describe('OIDC sign-in against a mock issuer', () => {
+  const originalProvider = config.oidc.providers.oidc;
+  let authorization; // Query parameters the browser was sent to the provider with
+  let tokenRequest; // Form body of the last token request
+  let claimOverrides;
+  let calls;
+
+  // Remember each call together with whether it ran inside a transaction
+  const track = (name, value) => () => {
+    calls.push({ name, inTransaction: transactionState.depth > 0 });
+    return Promise.resolve(value);
+  };
+
+  const signIdToken = () => jwt.sign({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: 'provider-user-1',
+    nonce: authorization.get('nonce'),
+    email: 'New.User@example.com',
+    email_verified: true,
+    name: 'New User',
+    ...claimOverrides
+  }, privateKey, { algorithm: 'RS256', keyid: jwk.kid, expiresIn: '5m' });
+
+  const start = async () => {
+    const result = await oidcService.startAuthorization('oidc');
+    authorization = new URL(result.data.authorizationUrl).searchParams;
+    return result.data.stateToken;
+  };
+
+  const finish = (stateToken, state = authorization.get('state')) =>
+    oidcService.completeAuthorization({ code: 'auth-code-1', state }, { stateToken, ipAddress: '203.0.113.5' });
+
+  beforeAll(() => {
+    config.oidc.providers.oidc = {
+      displayName: 'Mock SSO',
+      issuer: ISSUER,
+      clientId: CLIENT_ID,
+      clientSecret: '',
+      scopes: ['openid', 'email', 'profile']
+    };
+  });
+
+  afterAll(() => {
+    config.oidc.providers.oidc = originalProvider;
+  });
+
+  beforeEach(() => {
+    calls = [];
+    claimOverrides = {};
+    tokenRequest = null;
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(axios, 'get').mockImplementation((url) => {
+      if (url === `${ISSUER}/.well-known/openid-configuration`) return Promise.resolve({ data: discovery });
+      if (url === discovery.jwks_uri) return Promise.resolve({ data: { keys: [jwk] } });
+      return Promise.reject(new Error(`Unexpected GET ${url}`));
+    });
+    jest.spyOn(axios, 'post').mockImplementation((url, body) => {
+      tokenRequest = new URLSearchParams(body);
+      return Promise.resolve({ data: { id_token: signIdToken(), token_type: 'Bearer' } });
+    });
+
+    jest.spyOn(UserIdentityModel, 'findByProviderSubject').mockResolvedValue(null);
+    jest.spyOn(UserModel, 'findByEmail').mockResolvedValue(null);
+    jest.spyOn(UserModel, 'create').mockImplementation(track('user', { id: 42, email: 'new.user@example.com', isActive: true }));
+    jest.spyOn(UserIdentityModel, 'create').mockImplementation(track('identity', { id: 1 }));
+    jest.spyOn(RoleModel, 'getDefaultRole').mockImplementation(track('defaultRole', { id: 2 }));
+    jest.spyOn(UserRoleModel, 'assignRole').mockImplementation(track('assign', { success: true }));
+    jest.spyOn(permissionCache, 'invalidateUser').mockImplementation(track('invalidate'));
+    jest.spyOn(authService, 'checkAccountStatus').mockReturnValue(null);
+    jest.spyOn(authService, 'completeFirstFactor').mockResolvedValue({ success: true, message: 'Login successful', data: { tokens: {} } });
+  });
+
+  it('sends a PKCE challenge and state, and proves the verifier at the token endpoint', async () => {
+    const stateToken = await start();
+
+    expect(authorization.get('client_id')).toBe(CLIENT_ID);
+    expect(authorization.get('code_challenge_method')).toBe('S256');
+
+    const result = await finish(stateToken);
+
+    expect(result.success).toBe(true);
+    expect(tokenRequest.get('code')).toBe('auth-code-1');
+    const challenge = crypto.createHash('sha256').update(tokenRequest.get('code_verifier')).digest('base64url');
+    expect(challenge).toBe(authorization.get('code_challenge'));
+    expect(authService.completeFirstFactor).toHaveBeenCalledWith(expect.objectContaining({ id: 42 }), expect.objectContaining({ amr: ['oidc'] }));
+  });
+
+  it('refuses a state that does not match, and a state token used twice', async () => {
+    const stateToken = await start();
+
+    expect((await finish(stateToken, 'another-state')).code).toBe('OIDC_STATE_INVALID');
+    expect(axios.post).not.toHaveBeenCalled();
+
+    const replayToken = await start();
+    expect((await finish(replayToken)).success).toBe(true);
+    expect((await finish(replayToken)).code).toBe('OIDC_STATE_INVALID');
+  });
+
+  it.each([
+    ['nonce', { nonce: 'nonce-from-another-request' }],
+    ['issuer', { iss: 'https://evil.example.test' }],
+    ['audience', { aud: 'someone-elses-client' }]
+  ])('rejects an ID token with the wrong %s', async (_claim, overrides) => {
+    claimOverrides = overrides;
+
+    const result = await finish(await start());
+
+    expect(result).toEqual(expect.objectContaining({ success: false, code: 'OIDC_LOGIN_FAILED' }));
+    expect(UserModel.create).not.toHaveBeenCalled();
+    expect(authService.completeFirstFactor).not.toHaveBeenCalled();
+  });
+
+  it('does not sign up or link a provider account whose email already has an account', async () => {
+    UserModel.findByEmail.mockResolvedValue({ id: 7, email: 'new.user@example.com' });
+
+    const result = await finish(await start());
+
+    expect(result.code).toBe('OIDC_ACCOUNT_EXISTS');
+    expect(UserModel.findByEmail).toHaveBeenCalledWith('new.user@example.com');
+    expect(UserModel.create).not.toHaveBeenCalled();
+    expect(UserIdentityModel.create).not.toHaveBeenCalled();
+  });
+
+  it('creates the user, identity and default role in one transaction', async () => {
+    const result = await finish(await start());
+
+    expect(result.success).toBe(true);
+    expect(calls).toEqual([
+      { name: 'user', inTransaction: true },
+      { name: 'identity', inTransaction: true },
+      { name: 'defaultRole', inTransaction: true },
+      { name: 'assign', inTransaction: true },
+      { name: 'invalidate', inTransaction: false }
+    ]);
+  });
+
+  it('fails the sign-in without touching the cache when a sign-up write fails', async () => {
+    UserIdentityModel.create.mockRejectedValue(new Error('Failed to create identity'));
+
+    const result = await finish(await start());
+
+    expect(result.success).toBe(false);
+    expect(UserRoleModel.assignRole).not.toHaveBeenCalled();
+    expect(permissionCache.invalidateUser).not.toHaveBeenCalled();
+    expect(authService.completeFirstFactor).not.toHaveBeenCalled();
+  });
+});
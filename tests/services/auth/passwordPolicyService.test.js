@@ -0,0 +1,105 @@
+/**
+ * File: tests/services/auth/passwordPolicyService.test.js
+ * Password history and expiry tests
+ *
+ * History hashes and users are mocked; bcrypt runs for real at a low cost so
+ * reuse is checked exactly as it is on a password change.
+ */
+
+jest.mock('../../../src/models/database', () => ({
+  ...jest.requireActual('../../../src/models/database'),
+  executeTransaction: jest.fn(callback => callback())
+}));
+
+const bcrypt = require('bcryptjs');
+const config = require('../../../config/environment');
+const { UserModel, SessionModel, PasswordHistoryModel } = require('../../../src/models');
+const passwordPolicyService = require('../../../src/services/auth/passwordPolicyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('isPasswordReused', () => {
+  let oldHash;
+  let currentHash;
+
+  beforeAll(async () => {
+    oldHash = await bcrypt.hash('Old-password-1', 4);
+    currentHash = await bcrypt.hash('Current-password-1', 4);
+  });
+
+  it('refuses a password from the history', async () => {
+    jest.spyOn(PasswordHistoryModel, 'findRecentHashes').mockResolvedValue([oldHash]);
+
+    expect(await passwordPolicyService.isPasswordReused(42, 'Old-password-1')).toBe(true);
+    expect(await passwordPolicyService.isPasswordReused(42, 'Brand-new-password-1')).toBe(false);
+    expect(PasswordHistoryModel.findRecentHashes).toHaveBeenCalledWith(42, config.passwordPolicy.historyCount);
+  });
+
+  it('counts the current password while the history is still empty', async () => {
+    jest.spyOn(PasswordHistoryModel, 'findRecentHashes').mockResolvedValue([]);
+
+    expect(await passwordPolicyService.isPasswordReused(42, 'Current-password-1', currentHash)).toBe(true);
+  });
+});
+
+describe('getPasswordExpiry', () => {
+  const { maxAgeDays } = config.passwordPolicy;
+
+  afterEach(() => {
+    config.passwordPolicy.maxAgeDays = maxAgeDays;
+  });
+
+  it('uses the earlier of a forced expiry and the maximum age', () => {
+    config.passwordPolicy.maxAgeDays = 90;
+    const changedAt = new Date(Date.now() - 10 * DAY_MS);
+    const forcedAt = new Date(Date.now() + DAY_MS);
+
+    expect(passwordPolicyService.getPasswordExpiry({ passwordChangedAt: changedAt }))
+      .toEqual(new Date(changedAt.getTime() + 90 * DAY_MS));
+    expect(passwordPolicyService.getPasswordExpiry({ passwordChangedAt: changedAt, passwordExpiresAt: forcedAt }))
+      .toEqual(forcedAt);
+  });
+
+  it('never expires without a maximum age or forced expiry', () => {
+    config.passwordPolicy.maxAgeDays = 0;
+
+    expect(passwordPolicyService.getPasswordExpiry({ passwordChangedAt: new Date(0) })).toBeNull();
+    expect(passwordPolicyService.isPasswordExpired({ passwordExpiresAt: new Date(Date.now() - 1000) })).toBe(true);
+  });
+});
+
+describe('bulkExpirePasswords', () => {
+  const data = { userIds: [4, 5, 4], reason: 'Credentials leaked in a phishing test' };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(UserModel, 'expirePasswords').mockResolvedValue(2);
+    jest.spyOn(SessionModel, 'revokeAllUserSessions').mockResolvedValue(3);
+  });
+
+  it('expires at once and revokes the sessions without a grace period', async () => {
+    const result = await passwordPolicyService.bulkExpirePasswords({ ...data, gracePeriodDays: 0 }, { actorId: 1 });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual(expect.objectContaining({ requested: 2, expired: 2, revokedSessions: 6 }));
+    expect(UserModel.expirePasswords).toHaveBeenCalledWith([4, 5], expect.any(Date));
+    expect(SessionModel.revokeAllUserSessions).toHaveBeenCalledWith(4, 'admin_revoke');
+    expect(SessionModel.revokeAllUserSessions).toHaveBeenCalledWith(5, 'admin_revoke');
+  });
+
+  it('keeps sessions alive during a grace period', async () => {
+    const result = await passwordPolicyService.bulkExpirePasswords({ ...data, gracePeriodDays: 7 });
+
+    expect(result.data.revokedSessions).toBe(0);
+    expect(SessionModel.revokeAllUserSessions).not.toHaveBeenCalled();
+    expect(UserModel.expirePasswords.mock.calls[0][1].getTime()).toBeGreaterThan(Date.now() + 6 * DAY_MS);
+  });
+
+  it('rejects a request without a reason', async () => {
+    const result = await passwordPolicyService.bulkExpirePasswords({ userIds: [4] });
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('Validation failed');
+    expect(UserModel.expirePasswords).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * File: tests/services/auth/rateLimitStoreService.test.js
+ * Shared rate limit counter tests
+ *
+ * The same counting rules are checked against each backend. The service is
+ * loaded fresh for every test with the backend picked by configuration:
+ * the MySQL table is mocked with a map, and Redis with a small fake client
+ * that keeps values and expiry times the way Redis does.
+ */
+
+jest.mock('redis', () => ({ createClient: jest.fn() }));
+
+const redis = require('redis');
+const config = require('../../../config/environment');
+const models = require('../../../src/models');
+const logger = require('../../../src/utils/logger');
+
+const { RateLimitCounterModel } = models;
+
+const WINDOW_MS = 60 * 1000;
+const START = 28333333 * WINDOW_MS; // Start of a window
+
+/**
+ * Fake Redis client with the commands the store uses
+ * The decrement script is run as its steps, since there is no Lua here
+ *
+ * @returns {Object} Client; data maps keys to { value, expiresAt }
+ */
+const createFakeRedis = () => {
+  const data = new Map();
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const add = (key, amount) => {
+    const entry = live(key) || { value: '0', expiresAt: null };
+    entry.value = String(Number(entry.value) + amount);
+    data.set(key, entry);
+    return Number(entry.value);
+  };
+
+  const commands = {
+    incr: (key) => add(key, 1),
+    decr: (key) => add(key, -1),
+    get: (key) => live(key)?.value ?? null,
+    pExpire: (key, ms) => {
+      const entry = live(key);
+      if (entry) entry.expiresAt = Date.now() + ms;
+      return entry ? 1 : 0;
+    },
+    pExpireAt: (key, at) => {
+      const entry = live(key);
+      if (entry) entry.expiresAt = at;
+      return entry ? 1 : 0;
+    }
+  };
+
+  const client = {
+    data,
+    on: jest.fn(),
+    connect: jest.fn().mockResolvedValue(),
+    multi: () => {
+      const queued = [];
+      const chain = { exec: () => Promise.resolve(queued.map(run => run())) };
+      for (const [name, command] of Object.entries(commands)) {
+        chain[name] = (...args) => {
+          queued.push(() => command(...args));
+          return chain;
+        };
+      }
+      return chain;
+    },
+    eval: jest.fn((script, { keys }) => {
+      if (!script.includes("redis.call('DECR'")) return Promise.reject(new Error('Script not supported by the fake client'));
+      return Promise.resolve(Number(commands.get(keys[0])) > 0 ? commands.decr(keys[0]) : 0);
+    })
+  };
+
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = jest.fn((...args) => Promise.resolve(command(...args)));
+  }
+
+  return client;
+};
+
+/**
+ * Load the service with a backend
+ * Only the service is loaded again; it shares config, models and logger
+ *
+ * @param {string} backend - 'memory', 'mysql' or 'redis'
+ * @returns {Object} { rateLimitStore, redisClient }
+ */
+const loadStore = (backend) => {
+  const redisClient = createFakeRedis();
+  let rateLimitStore;
+
+  // The store loads the redis package on first use, after the isolated modules are gone
+  redis.createClient.mockReturnValue(redisClient);
+  config.rateLimiting.store = backend === 'mysql' ? 'mysql' : 'memory';
+  config.services.redis.enabled = backend === 'redis';
+
+  jest.isolateModules(() => {
+    jest.doMock('../../../config/environment', () => config);
+    jest.doMock('../../../src/models', () => models);
+    jest.doMock('../../../src/utils/logger', () => logger);
+
+    rateLimitStore = require('../../../src/services/auth/rateLimitStoreService');
+  });
+
+  return { rateLimitStore, redisClient };
+};
+
+/**
+ * Back the MySQL model with a map of rows
+ *
+ * @returns {Map} Rows, "key:windowStart" -> hits
+ */
+const mockCounterTable = () => {
+  const rows = new Map();
+
+  jest.spyOn(RateLimitCounterModel, 'increment').mockImplementation((key, windowStart) => {
+    rows.set(`${key}:${windowStart}`, (rows.get(`${key}:${windowStart}`) || 0) + 1);
+    return Promise.resolve(true);
+  });
+  jest.spyOn(RateLimitCounterModel, 'decrement').mockImplementation((key, windowStart) => {
+    const hits = rows.get(`${key}:${windowStart}`);
+    if (hits) rows.set(`${key}:${windowStart}`, hits - 1);
+    return Promise.resolve(Boolean(hits));
+  });
+  jest.spyOn(RateLimitCounterModel, 'getCounts').mockImplementation((key, windowStarts) => {
+    return Promise.resolve(windowStarts.reduce((counts, windowStart) => {
+      if (rows.has(`${key}:${windowStart}`)) counts[windowStart] = rows.get(`${key}:${windowStart}`);
+      return counts;
+    }, {}));
+  });
+
+  return rows;
+};
+
+const originalSettings = { store: config.rateLimiting.store, redisEnabled: config.services.redis.enabled };
+
+afterEach(() => {
+  config.rateLimiting.store = originalSettings.store;
+  config.services.redis.enabled = originalSettings.redisEnabled;
+});
+
+describe.each(['memory', 'mysql', 'redis'])('with the %s backend', (backend) => {
+  let rateLimitStore;
+  let now;
+
+  beforeEach(() => {
+    ({ rateLimitStore } = loadStore(backend));
+    if (backend === 'mysql') mockCounterTable();
+    now = jest.spyOn(Date, 'now').mockReturnValue(START);
+  });
+
+  it('counts hits in the window plus a weighted share of the previous one', async () => {
+    for (let i = 0; i < 3; i++) {
+      await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+    }
+    expect(await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS))
+      .toEqual({ totalHits: 4, resetTime: new Date(START + WINDOW_MS) });
+
+    // Halfway through the next window half of the previous window still counts
+    now.mockReturnValue(START + WINDOW_MS + WINDOW_MS / 2);
+    expect((await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS)).totalHits).toBe(3);
+
+    // Other limiters and clients have their own counters
+    expect((await rateLimitStore.hit('signup', '203.0.113.5', WINDOW_MS)).totalHits).toBe(1);
+    expect((await rateLimitStore.hit('login', '198.51.100.7', WINDOW_MS)).totalHits).toBe(1);
+  });
+
+  it('takes back hits without going below zero', async () => {
+    await rateLimitStore.undo('login', '203.0.113.5', WINDOW_MS);
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+    await rateLimitStore.undo('login', '203.0.113.5', WINDOW_MS);
+
+    expect((await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS)).totalHits).toBe(2);
+  });
+
+  it('counts requests per period and takes them back', async () => {
+    const day = new Date(START);
+    const nextDay = new Date(START + 24 * 60 * 60 * 1000);
+
+    await rateLimitStore.countInPeriod('quota:daily', 'user:42', day, nextDay);
+    expect(await rateLimitStore.countInPeriod('quota:daily', 'user:42', day, nextDay)).toBe(2);
+
+    await rateLimitStore.uncountInPeriod('quota:daily', 'user:42', day);
+    expect(await rateLimitStore.getPeriodCount('quota:daily', 'user:42', day)).toBe(1);
+    expect(await rateLimitStore.getPeriodCount('quota:daily', 'user:7', day)).toBe(0);
+  });
+});
+
+describe('with the redis backend', () => {
+  let rateLimitStore;
+  let redisClient;
+
+  beforeEach(() => {
+    ({ rateLimitStore, redisClient } = loadStore('redis'));
+    jest.spyOn(Date, 'now').mockReturnValue(START);
+  });
+
+  it('does not create a counter when taking back a hit that expired', async () => {
+    await rateLimitStore.undo('login', '203.0.113.5', WINDOW_MS);
+
+    expect(redisClient.data.size).toBe(0);
+    expect(redisClient.decr).not.toHaveBeenCalled();
+  });
+
+  it('keeps the expiry of a counter when taking back a hit', async () => {
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+    await rateLimitStore.undo('login', '203.0.113.5', WINDOW_MS);
+
+    expect([...redisClient.data.values()]).toEqual([{ value: '1', expiresAt: START + 2 * WINDOW_MS }]);
+  });
+});
+
+describe('with the mysql backend', () => {
+  let rateLimitStore;
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'logError').mockImplementation(() => {});
+    ({ rateLimitStore } = loadStore('mysql'));
+    jest.spyOn(Date, 'now').mockReturnValue(START);
+  });
+
+  it('keeps a row until the window after it has ended', async () => {
+    mockCounterTable();
+
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+
+    expect(RateLimitCounterModel.increment).toHaveBeenCalledWith('login:203.0.113.5', START, new Date(START + 2 * WINDOW_MS));
+  });
+
+  it('counts in memory while the table is unavailable', async () => {
+    jest.spyOn(RateLimitCounterModel, 'increment').mockRejectedValue(new Error('connect ECONNREFUSED'));
+    jest.spyOn(RateLimitCounterModel, 'countActiveKeys').mockResolvedValue(0);
+
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+    const second = await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+
+    expect(second.totalHits).toBe(2);
+    expect(logger.logError).toHaveBeenCalledWith('Rate limit store failed, counting in memory', expect.any(Error), expect.objectContaining({ backend: 'mysql' }));
+    expect(await rateLimitStore.getRateLimitStoreStats()).toEqual(expect.objectContaining({ backend: 'mysql', fallbacks: 2 }));
+  });
+});
+
+describe('with the memory backend', () => {
+  it('purges counters once the window after them has ended', async () => {
+    const { rateLimitStore } = loadStore('memory');
+    const now = jest.spyOn(Date, 'now').mockReturnValue(START);
+    await rateLimitStore.hit('login', '203.0.113.5', WINDOW_MS);
+
+    now.mockReturnValue(START + 2 * WINDOW_MS - 1);
+    expect(await rateLimitStore.purgeExpired()).toBe(0);
+
+    now.mockReturnValue(START + 2 * WINDOW_MS);
+    expect(await rateLimitStore.purgeExpired()).toBe(1);
+    expect((await rateLimitStore.getRateLimitStoreStats()).size).toBe(0);
+  });
+});
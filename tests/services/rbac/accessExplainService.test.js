@@ -0,0 +1,53 @@
+/**
+ * File: tests/services/rbac/accessExplainService.test.js
+ * Access explanation tests
+ *
+ * Role assignments and grants come from mocked model methods.
+ */
+
+const { UserRoleModel, PermissionModel, RolePermissionModel } = require('../../../src/models');
+const { explainAccess } = require('../../../src/services/rbac/accessExplainService');
+
+const assignment = (overrides = {}) => ({
+  role_id: 3,
+  role_name: 'editor',
+  role_is_active: true,
+  role_deleted_at: null,
+  is_primary: true,
+  is_active: true,
+  expires_at: null,
+  conditions: null,
+  ...overrides
+});
+
+describe('explainAccess', () => {
+  beforeEach(() => {
+    jest.spyOn(PermissionModel, 'findByName').mockResolvedValue({ id: 9, name: 'documents.read', isActive: true });
+    jest.spyOn(RolePermissionModel, 'getEffectiveRolePermissions').mockResolvedValue([
+      { permissionName: 'documents.read', isDirect: true, conditions: null, isExpired: false }
+    ]);
+  });
+
+  it('asks for assignments of inactive roles and reports them as blocked', async () => {
+    const getUserRoles = jest.spyOn(UserRoleModel, 'getUserRoles').mockResolvedValue({
+      success: true,
+      data: { roles: [assignment({ role_is_active: false })] }
+    });
+
+    const result = await explainAccess({ userId: 42, permission: 'documents.read', role: 'editor' });
+
+    expect(getUserRoles).toHaveBeenCalledWith(42, expect.objectContaining({ includeInactiveRoles: true }));
+    expect(result.data.roles[0]).toEqual(expect.objectContaining({ active: false, reason: 'Role is inactive' }));
+    expect(result.data.permission.decision).toBe('denied');
+    expect(result.data.role.decision).toBe('denied');
+  });
+
+  it('grants through an active role', async () => {
+    jest.spyOn(UserRoleModel, 'getUserRoles').mockResolvedValue({ success: true, data: { roles: [assignment()] } });
+
+    const result = await explainAccess({ userId: 42, permission: 'documents:read' });
+
+    expect(result.data.permission.decision).toBe('granted');
+    expect(result.data.permission.chain[0].status).toBe('applies');
+  });
+});
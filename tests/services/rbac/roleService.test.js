@@ -0,0 +1,156 @@
+/**
+ * File: tests/services/rbac/roleService.test.js
+ * Role and permission service tests
+ *
+ * The services are exercised against mocked model methods, so these tests
+ * check that they call methods the models really have and read the fields
+ * the models really return. Transactions only record that they were
+ * entered, so tests can check what ran inside one.
+ */
+
+jest.mock('../../../src/models/database', () => {
+  const actual = jest.requireActual('../../../src/models/database');
+  const state = { depth: 0 };
+
+  return {
+    ...actual,
+    transactionState: state,
+    executeTransaction: jest.fn(async (callback) => {
+      state.depth += 1;
+      try {
+        return await callback();
+      } finally {
+        state.depth -= 1;
+      }
+    })
+  };
+});
+
+const { transactionState } = require('../../../src/models/database');
+const { RoleModel, PermissionModel, RolePermissionModel, UserRoleModel } = require('../../../src/models');
+const permissionCache = require('../../../src/services/rbac/permissionCacheService');
+const roleService = require('../../../src/services/rbac/roleService');
+const permissionService = require('../../../src/services/rbac/permissionService');
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(permissionCache, 'invalidateAll').mockResolvedValue();
+});
+
+describe('roleService', () => {
+  it('lists roles through RoleModel.search with a known sort column', async () => {
+    const search = jest.spyOn(RoleModel, 'search').mockResolvedValue({
+      data: [{ id: 1, name: 'editor' }],
+      pagination: { currentPage: 1, totalRecords: 1 }
+    });
+
+    const result = await roleService.getAllRoles({ sortBy: 'name; DROP TABLE roles', sortOrder: 'desc', customOnly: true });
+
+    expect(result.success).toBe(true);
+    expect(result.data.roles).toHaveLength(1);
+    expect(search).toHaveBeenCalledWith(
+      expect.objectContaining({ isActive: true, isSystemRole: false }),
+      expect.objectContaining({ sortBy: 'priority', sortOrder: 'DESC' })
+    );
+  });
+
+  it('refuses to delete system roles', async () => {
+    jest.spyOn(RoleModel, 'findById').mockResolvedValue({ id: 3, isSystemRole: true });
+    const remove = jest.spyOn(RoleModel, 'delete').mockResolvedValue(true);
+
+    const result = await roleService.deleteRole(3, 1);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe('Cannot delete system roles');
+    expect(remove).not.toHaveBeenCalled();
+  });
+
+  it('deletes an unused role without children', async () => {
+    jest.spyOn(RoleModel, 'findById').mockResolvedValue({ id: 4, isSystemRole: false });
+    jest.spyOn(UserRoleModel, 'getRoleUsers').mockResolvedValue({ success: true, data: { users: [] } });
+    jest.spyOn(RoleModel, 'findByParentId').mockResolvedValue([]);
+    const remove = jest.spyOn(RoleModel, 'delete').mockResolvedValue(true);
+
+    const result = await roleService.deleteRole(4, 1);
+
+    expect(result.success).toBe(true);
+    expect(remove).toHaveBeenCalledWith(4, { deletedBy: 1 });
+    expect(permissionCache.invalidateAll).toHaveBeenCalled();
+  });
+
+  it('duplicates a role with its direct grants', async () => {
+    jest.spyOn(RoleModel, 'findById').mockResolvedValue({
+      id: 5, name: 'editor', displayName: 'Editor', parentRoleId: null, isActive: true, priority: 10
+    });
+    jest.spyOn(RoleModel, 'findByName').mockResolvedValue(null);
+    const create = jest.spyOn(RoleModel, 'create').mockResolvedValue({ id: 6, name: 'editor_copy', parentRoleId: null });
+    jest.spyOn(RolePermissionModel, 'getRolePermissions').mockResolvedValue([
+      { permissionId: 11, conditions: null, expiresAt: null },
+      { permissionId: 12, conditions: { scope: 'own' }, expiresAt: null }
+    ]);
+    const assign = jest.spyOn(RolePermissionModel, 'assignPermission').mockResolvedValue({});
+
+    const result = await roleService.duplicateRole(5, { name: 'editor_copy' }, 1);
+
+    expect(result.success).toBe(true);
+    expect(result.data.copiedPermissions).toBe(2);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ name: 'editor_copy', displayName: 'Editor (copy)', priority: 10 }));
+    expect(assign).toHaveBeenCalledWith(expect.objectContaining({ roleId: 6, permissionId: 12, conditions: { scope: 'own' } }));
+  });
+
+  it('resyncs the roles below a role it deactivates, inside the update transaction', async () => {
+    jest.spyOn(RoleModel, 'findById').mockResolvedValue({ id: 5, name: 'editor', parentRoleId: 2, isActive: true });
+    jest.spyOn(RoleModel, 'update').mockResolvedValue({ id: 5, name: 'editor', isActive: false });
+    const sync = jest.spyOn(RolePermissionModel, 'syncInheritedPermissionsForSubtree')
+      .mockImplementation(() => Promise.resolve({ inTransaction: transactionState.depth > 0 }));
+
+    const result = await roleService.updateRole(5, { isActive: false }, 1);
+
+    expect(result.success).toBe(true);
+    expect(sync).toHaveBeenCalledWith(5);
+    await expect(sync.mock.results[0].value).resolves.toEqual({ inTransaction: true });
+  });
+
+  it('leaves inherited grants alone when neither parent nor status change', async () => {
+    jest.spyOn(RoleModel, 'findById').mockResolvedValue({ id: 5, name: 'editor', parentRoleId: 2, isActive: true });
+    jest.spyOn(RoleModel, 'update').mockResolvedValue({ id: 5, name: 'editor', isActive: true });
+    const sync = jest.spyOn(RolePermissionModel, 'syncInheritedPermissionsForSubtree').mockResolvedValue({});
+
+    await roleService.updateRole(5, { description: 'Edits documents', isActive: true }, 1);
+
+    expect(sync).not.toHaveBeenCalled();
+  });
+});
+
+describe('permissionService', () => {
+  it('refuses to delete system permissions', async () => {
+    jest.spyOn(PermissionModel, 'findById').mockResolvedValue({ id: 7, isSystemPermission: true });
+    const remove = jest.spyOn(PermissionModel, 'delete').mockResolvedValue(true);
+
+    const result = await permissionService.deletePermission(7, 1);
+
+    expect(result.success).toBe(false);
+    expect(remove).not.toHaveBeenCalled();
+  });
+
+  it('deletes a permission no role holds', async () => {
+    jest.spyOn(PermissionModel, 'findById').mockResolvedValue({ id: 8, isSystemPermission: false });
+    jest.spyOn(RolePermissionModel, 'getPermissionRoles').mockResolvedValue([]);
+    const remove = jest.spyOn(PermissionModel, 'delete').mockResolvedValue(true);
+
+    const result = await permissionService.deletePermission(8, 1);
+
+    expect(result.success).toBe(true);
+    expect(remove).toHaveBeenCalledWith(8, { deletedBy: 1 });
+  });
+
+  it('lists modules from the grouped permissions', async () => {
+    jest.spyOn(PermissionModel, 'getGroupedByModule').mockResolvedValue({
+      users: [{ action: 'read' }, { action: 'create' }]
+    });
+
+    const result = await permissionService.getAvailableModules();
+
+    expect(result.data.modules).toEqual([{ module: 'users', permissionCount: 2, actions: ['read', 'create'] }]);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * File: tests/services/rbac/userRoleService.test.js
+ * Role assignment tests
+ *
+ * Models are mocked; transactions record the order of the calls made inside
+ * them, so the tests can check what ran under the assignment lock.
+ */
+
+jest.mock('../../../src/models/database', () => {
+  const actual = jest.requireActual('../../../src/models/database');
+  const state = { depth: 0 };
+
+  return {
+    ...actual,
+    transactionState: state,
+    executeTransaction: jest.fn(async (callback) => {
+      state.depth += 1;
+      try {
+        return await callback();
+      } finally {
+        state.depth -= 1;
+      }
+    })
+  };
+});
+
+const { transactionState } = require('../../../src/models/database');
+const { UserModel, RoleModel, UserRoleModel, RoleConstraintModel } = require('../../../src/models');
+const permissionCache = require('../../../src/services/rbac/permissionCacheService');
+const userRoleService = require('../../../src/services/rbac/userRoleService');
+
+const APPROVER = 3;
+const CREATOR = 4;
+
+describe('assignRole', () => {
+  let calls;
+
+  // Remember each call together with whether it ran inside a transaction
+  const track = (name, value) => () => {
+    calls.push({ name, inTransaction: transactionState.depth > 0 });
+    return Promise.resolve(value);
+  };
+
+  beforeEach(() => {
+    calls = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(permissionCache, 'invalidateUser').mockResolvedValue();
+    jest.spyOn(UserModel, 'findById').mockResolvedValue({ id: 42 });
+    jest.spyOn(RoleModel, 'findById').mockResolvedValue({ id: APPROVER, name: 'approver', isActive: true });
+    jest.spyOn(RoleModel, 'getParentMap').mockResolvedValue(new Map([[APPROVER, null], [CREATOR, null]]));
+    jest.spyOn(RoleConstraintModel, 'findAll').mockResolvedValue([{
+      id: 1,
+      constraintType: 'mutually_exclusive',
+      roleId: APPROVER,
+      relatedRoleId: CREATOR,
+      role: { name: 'approver' },
+      relatedRole: { name: 'creator' }
+    }]);
+    jest.spyOn(UserRoleModel, 'lockUserAssignments').mockImplementation(track('lock', 0));
+  });
+
+  it('checks constraints and inserts under the lock, in one transaction', async () => {
+    jest.spyOn(UserRoleModel, 'getUserRoles').mockImplementation(track('read', { success: true, data: { roles: [] } }));
+    jest.spyOn(UserRoleModel, 'assignRole').mockImplementation(track('insert', { success: true, data: { id: 9 } }));
+
+    const result = await userRoleService.assignRole({ userId: 42, roleId: APPROVER }, 1);
+
+    expect(result.success).toBe(true);
+    expect(calls).toEqual([
+      { name: 'lock', inTransaction: true },
+      { name: 'read', inTransaction: true },
+      { name: 'insert', inTransaction: true }
+    ]);
+    expect(UserRoleModel.lockUserAssignments).toHaveBeenCalledWith(42);
+  });
+
+  it('rejects a mutually exclusive role without inserting', async () => {
+    jest.spyOn(UserRoleModel, 'getUserRoles').mockResolvedValue({ success: true, data: { roles: [{ role_id: CREATOR }] } });
+    const insert = jest.spyOn(UserRoleModel, 'assignRole').mockResolvedValue({ success: true });
+
+    const result = await userRoleService.assignRole({ userId: 42, roleId: APPROVER }, 1);
+
+    expect(result.success).toBe(false);
+    expect(result.code).toBe('ROLE_MUTUALLY_EXCLUSIVE');
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
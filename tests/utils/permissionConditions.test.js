@@ -0,0 +1,123 @@
+/**
+ * File: tests/utils/permissionConditions.test.js
+ * Permission condition evaluation tests
+ *
+ * Conditions are plain JSON, so these tests need no mocks; the evaluation
+ * time is pinned through context.now.
+ */
+
+const {
+  buildConditionContext,
+  evaluateConditions,
+  evaluateGrants,
+  validateConditions
+} = require('../../src/utils/permissionConditions');
+
+// Wednesday 2024-05-15 10:30 UTC
+const NOW = new Date('2024-05-15T10:30:00Z');
+
+const createContext = (resource = null, membership = {}) => ({
+  ...buildConditionContext({ user: { userId: 42 }, ip: '10.1.2.3' }, resource, { membership }),
+  now: NOW
+});
+
+describe('evaluateConditions', () => {
+  it('matches scope own against the owner field', () => {
+    expect(evaluateConditions({ scope: 'own' }, createContext({ user_id: 42 })).result).toBe(true);
+    expect(evaluateConditions({ scope: 'own' }, createContext({ user_id: 7 })).result).toBe(false);
+    expect(evaluateConditions({ scope: 'own', owner_field: 'created_by' }, createContext({ created_by: '42' })).result).toBe(true);
+  });
+
+  it('leaves resource scopes undecided without a resource', () => {
+    expect(evaluateConditions({ scope: 'own' }, createContext()).result).toBeNull();
+  });
+
+  it('matches team and organization scopes against the resolved membership', () => {
+    const context = createContext({ user_id: 7, team_id: 3, organization_id: 9 }, { teamIds: ['3'], organizationIds: ['9'] });
+
+    expect(evaluateConditions({ scope: 'team' }, context).result).toBe(true);
+    expect(evaluateConditions({ scope: 'organization' }, context).result).toBe(true);
+    expect(evaluateConditions({ scope: 'team' }, createContext({ user_id: 7, team_id: 3 })).result).toBe(false);
+  });
+
+  it('ignores team ids carried on the user itself', () => {
+    const context = buildConditionContext({ user: { userId: 42, teamId: 3 } }, { user_id: 7, team_id: 3 });
+
+    expect(evaluateConditions({ scope: 'team' }, context).result).toBe(false);
+  });
+
+  it('checks time windows in their timezone', () => {
+    const window = { days: ['mon', 'tue', 'wed'], start: '09:00', end: '17:00' };
+
+    expect(evaluateConditions({ time_window: { ...window, timezone: 'UTC' } }, createContext()).result).toBe(true);
+    // 10:30 UTC is 19:30 in Tokyo
+    expect(evaluateConditions({ time_window: { ...window, timezone: 'Asia/Tokyo' } }, createContext()).result).toBe(false);
+  });
+
+  it('fails closed on an unknown stored timezone instead of throwing', () => {
+    const { result, reasons } = evaluateConditions({ time_window: { timezone: 'Mars/Olympus' } }, createContext());
+
+    expect(result).toBe(false);
+    expect(reasons).toEqual([expect.stringContaining('Mars/Olympus')]);
+  });
+
+  it('checks IP ranges and validity dates', () => {
+    expect(evaluateConditions({ ip_ranges: ['10.0.0.0/8'] }, createContext()).result).toBe(true);
+    expect(evaluateConditions({ ip_ranges: ['192.168.0.0/16'] }, createContext()).result).toBe(false);
+    expect(evaluateConditions({ valid_until: '2024-01-01' }, createContext()).result).toBe(false);
+  });
+
+  it('combines nested conditions and fails closed on unknown keys', () => {
+    const context = createContext({ user_id: 7, status: 'draft' });
+
+    expect(evaluateConditions({ any: [{ scope: 'own' }, { attributes: { 'resource.status': 'draft' } }] }, context).result).toBe(true);
+    expect(evaluateConditions({ not: { attributes: { 'resource.status': 'draft' } } }, context).result).toBe(false);
+    expect(evaluateConditions({ colour: 'blue' }, context).result).toBe(false);
+  });
+});
+
+describe('evaluateGrants', () => {
+  const grants = [
+    { roleName: 'editor', assignmentConditions: null, permissionConditions: { scope: 'own' } }
+  ];
+
+  it('does not grant while conditions are undecided', () => {
+    const evaluation = evaluateGrants(grants, createContext());
+
+    expect(evaluation.granted).toBe(false);
+    expect(evaluation.conditional).toBe(true);
+    expect(evaluation.pendingConditions).toEqual([expect.objectContaining({ roleName: 'editor' })]);
+  });
+
+  it('grants through a role whose conditions hold', () => {
+    const evaluation = evaluateGrants(grants, createContext({ user_id: 42 }));
+
+    expect(evaluation.granted).toBe(true);
+    expect(evaluation.grantedThrough).toEqual(['editor']);
+  });
+
+  it('reports the roles whose conditions failed', () => {
+    const evaluation = evaluateGrants(grants, createContext({ user_id: 7 }));
+
+    expect(evaluation.granted).toBe(false);
+    expect(evaluation.conditional).toBe(false);
+    expect(evaluation.deniedBy).toEqual([expect.objectContaining({ roleName: 'editor' })]);
+  });
+});
+
+describe('validateConditions', () => {
+  it('accepts valid conditions', () => {
+    expect(validateConditions({ scope: 'team', time_window: { days: ['mon'], timezone: 'Europe/Amsterdam' } })).toEqual([]);
+  });
+
+  it('rejects unknown timezones when the condition is saved', () => {
+    expect(validateConditions({ time_window: { timezone: 'Mars/Olympus' } }))
+      .toEqual(["'time_window.timezone' must be a valid IANA timezone"]);
+    expect(validateConditions({ all: [{ time_restriction: { timezone: '' } }] }))
+      .toEqual(["'time_restriction.timezone' must be a valid IANA timezone"]);
+  });
+
+  it('rejects unknown keys and scopes', () => {
+    expect(validateConditions({ scope: 'planet', colour: 'blue' })).toHaveLength(2);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * File: tests/utils/totp.test.js
+ * TOTP utility tests
+ *
+ * Codes are checked against the RFC 6238 test vectors (SHA-1, cut to 6 digits).
+ */
+
+const totp = require('../../src/utils/totp');
+
+// base32 of the ASCII secret '12345678901234567890' used by the RFC
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  it('generates the RFC 6238 codes', () => {
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(RFC_SECRET, totp.getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  it('round-trips secrets through base32', () => {
+    const secret = totp.generateSecret();
+
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    expect(totp.base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  it('returns the matching step for codes within the drift window', () => {
+    const timestamp = 1234567890 * 1000;
+    const step = totp.getTimeStep(timestamp);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step), { timestamp })).toBe(step);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { timestamp })).toBe(step + 1);
+  });
+
+  it('rejects codes outside the window and malformed codes', () => {
+    const timestamp = 1234567890 * 1000;
+    const step = totp.getTimeStep(timestamp);
+
+    expect(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { timestamp })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, '12345', { timestamp })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(totp.verifyCode(RFC_SECRET, undefined, { timestamp })).toBeNull();
+  });
+});